@@ -0,0 +1,238 @@
+/**
+ * Quality Gate Script
+ * Fail a CI job when pages break SEO or AI visibility thresholds.
+ * Exits 0 when every URL passes, 1 when the gate fails, 2 on usage or connection errors.
+ *
+ * Runs the analysis locally by default. With --api-url (or OPTISENSE_API_URL)
+ * it calls POST /api/quality-gate instead, authenticated with an API key that
+ * has the 'gate' scope (--api-key or OPTISENSE_API_KEY). Baseline comparisons
+ * read earlier scans, so they need --api-url.
+ *
+ * Usage: node scripts/qualityGate.js [options] <url> [<url> ...]
+ *   --policy <file>             JSON policy (flags below override it)
+ *   --max-warnings <n>          Maximum SEO warnings per URL
+ *   --max-category <cat>=<n>    Maximum warnings in a category (repeatable), e.g. meta=0
+ *   --require-tags <a,b>        Required tags, e.g. title,metaDescription,canonical,h1
+ *   --require-schema [<A,B>]    Require structured data (optionally these types)
+ *   --min-visibility <0-100>    Minimum LLM visibility (runs LLM prompts)
+ *   --allow-noindex             Don't fail noindex pages
+ *   --skip-llm                  Skip LLM calls (minVisibility is reported as skipped)
+ *   --baseline                  Fail on regressions since each URL's latest scan
+ *   --baseline-project <name>   Compare with the project's approved baselines instead
+ *   --baseline-scan <scanId>    Compare the (single) URL with this scan instead
+ *   --visibility-tolerance <n>  Points of LLM visibility a URL may lose (runs LLM prompts)
+ *   --load-time-tolerance <n>   Percent slower than the baseline allowed (default 25)
+ *   --approve-baseline <name>   Approve each URL's latest scan as the project's baseline and exit
+ *   --note <text>               Note stored with --approve-baseline
+ *   --junit <file>              Write JUnit XML
+ *   --sarif <file>              Write SARIF 2.1.0
+ *   --json <file>               Write the verdict as JSON
+ *
+ * Example: node scripts/qualityGate.js --max-category meta=0 --require-schema Organization \
+ *   --junit reports/seo.xml https://example.com https://example.com/pricing
+ */
+
+require('dotenv').config({ path: require('path').join(__dirname, '../.env') });
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const {
+  normalizeGatePolicy,
+  runQualityGate,
+  toJUnit,
+  toSarif
+} = require('../src/services/qualityGateService');
+
+function usage(message) {
+  console.error(`❌ ${message}`);
+  console.error('Usage: node scripts/qualityGate.js [options] <url> [<url> ...] (see the top of this file for options)');
+  process.exit(2);
+}
+
+function parseArgs(argv) {
+  const args = { urls: [], policy: {}, outputs: {} };
+  const valueOf = (flag, i) => {
+    if (argv[i + 1] === undefined || argv[i + 1].startsWith('--')) usage(`${flag} needs a value`);
+    return argv[i + 1];
+  };
+  let policyFile = null;
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    switch (arg) {
+      case '--policy':
+        policyFile = valueOf(arg, i++);
+        break;
+      case '--max-warnings':
+        args.policy.maxWarnings = valueOf(arg, i++);
+        break;
+      case '--max-category': {
+        const [category, limit] = valueOf(arg, i++).split('=');
+        args.policy.maxWarningsByCategory = { ...args.policy.maxWarningsByCategory, [category]: limit };
+        break;
+      }
+      case '--require-tags':
+        args.policy.requiredTags = valueOf(arg, i++).split(',').map(tag => tag.trim()).filter(Boolean);
+        break;
+      case '--require-schema':
+        // The list of types is optional
+        if (argv[i + 1] && !argv[i + 1].startsWith('--') && !/^https?:\/\//.test(argv[i + 1])) {
+          args.policy.requireSchema = argv[++i].split(',').map(type => type.trim()).filter(Boolean);
+        } else {
+          args.policy.requireSchema = true;
+        }
+        break;
+      case '--min-visibility':
+        args.policy.minVisibility = valueOf(arg, i++);
+        break;
+      case '--allow-noindex':
+        args.policy.allowNoindex = true;
+        break;
+      case '--skip-llm':
+        args.policy.skipLlm = true;
+        break;
+      case '--baseline':
+        args.policy.baseline = { ...args.policy.baseline };
+        break;
+      case '--baseline-project':
+        args.policy.baseline = { ...args.policy.baseline, project: valueOf(arg, i++) };
+        break;
+      case '--baseline-scan':
+        args.policy.baseline = { ...args.policy.baseline, scanId: valueOf(arg, i++) };
+        break;
+      case '--visibility-tolerance':
+        args.policy.baseline = { ...args.policy.baseline, visibilityTolerance: valueOf(arg, i++) };
+        break;
+      case '--load-time-tolerance':
+        args.policy.baseline = { ...args.policy.baseline, loadTimeTolerance: valueOf(arg, i++) };
+        break;
+      case '--approve-baseline':
+        args.approveProject = valueOf(arg, i++);
+        break;
+      case '--note':
+        args.note = valueOf(arg, i++);
+        break;
+      case '--junit':
+      case '--sarif':
+      case '--json':
+        args.outputs[arg.slice(2)] = valueOf(arg, i++);
+        break;
+      case '--api-url':
+        args.apiUrl = valueOf(arg, i++);
+        break;
+      case '--api-key':
+        args.apiKey = valueOf(arg, i++);
+        break;
+      default:
+        if (arg.startsWith('--')) usage(`Unknown option: ${arg}`);
+        args.urls.push(arg);
+    }
+  }
+
+  if (policyFile) {
+    try {
+      const filePolicy = JSON.parse(fs.readFileSync(policyFile, 'utf8'));
+      args.policy = { ...filePolicy, ...args.policy };
+      if (!args.urls.length && Array.isArray(filePolicy.urls)) args.urls = filePolicy.urls;
+    } catch (error) {
+      usage(`Could not read policy ${policyFile}: ${error.message}`);
+    }
+  }
+  delete args.policy.urls;
+
+  args.apiUrl = args.apiUrl || process.env.OPTISENSE_API_URL;
+  args.apiKey = args.apiKey || process.env.OPTISENSE_API_KEY;
+  return args;
+}
+
+async function runRemote(args) {
+  if (!args.apiKey) usage('--api-key (or OPTISENSE_API_KEY) is required with --api-url');
+
+  try {
+    const response = await axios.post(`${args.apiUrl.replace(/\/$/, '')}/api/quality-gate`, {
+      urls: args.urls,
+      policy: args.policy
+    }, {
+      headers: { 'X-API-Key': args.apiKey },
+      timeout: 15 * 60 * 1000
+    });
+    return response.data.verdict;
+  } catch (error) {
+    console.error(`❌ Quality gate request failed: ${error.response?.data?.error || error.message}`);
+    process.exit(2);
+  }
+}
+
+async function approveBaselines(args) {
+  if (!args.apiUrl) usage('--approve-baseline needs --api-url (or OPTISENSE_API_URL)');
+  if (!args.apiKey) usage('--api-key (or OPTISENSE_API_KEY) is required with --api-url');
+
+  let failed = 0;
+  for (const url of args.urls) {
+    try {
+      const response = await axios.put(`${args.apiUrl.replace(/\/$/, '')}/api/quality-gate/baselines`, {
+        project: args.approveProject,
+        url,
+        note: args.note
+      }, {
+        headers: { 'X-API-Key': args.apiKey },
+        timeout: 30 * 1000
+      });
+      console.log(`📌 ${url}: scan ${response.data.baseline.scanId} is the baseline for ${args.approveProject}`);
+    } catch (error) {
+      failed++;
+      console.error(`❌ ${url}: ${error.response?.data?.error || error.message}`);
+    }
+  }
+  process.exit(failed ? 2 : 0);
+}
+
+function writeOutput(file, contents) {
+  fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+  fs.writeFileSync(file, contents);
+  console.log(`📝 Wrote ${file}`);
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.urls.length === 0) usage('Provide at least one URL');
+  if (args.approveProject) await approveBaselines(args);
+  if (args.policy.baseline && !args.apiUrl) usage('Baseline comparisons need --api-url (or OPTISENSE_API_URL)');
+
+  let verdict;
+  if (args.apiUrl) {
+    console.log(`🚦 Running quality gate for ${args.urls.length} URL(s) via ${args.apiUrl}\n`);
+    verdict = await runRemote(args);
+  } else {
+    let policy;
+    try {
+      policy = normalizeGatePolicy(args.policy);
+    } catch (error) {
+      usage(error.message);
+    }
+    console.log(`🚦 Running quality gate for ${args.urls.length} URL(s)\n`);
+    verdict = await runQualityGate(args.urls, policy, { isPremium: true });
+  }
+
+  verdict.results.forEach(result => {
+    console.log(`${result.passed ? '✅' : '❌'} ${result.url}`);
+    result.checks.forEach(check => {
+      const icon = { passed: '  ✓', failed: '  ✗', skipped: '  -' }[check.status];
+      console.log(`${icon} ${check.name}: ${check.message}`);
+    });
+    console.log('');
+  });
+
+  if (args.outputs.junit) writeOutput(args.outputs.junit, toJUnit(verdict));
+  if (args.outputs.sarif) writeOutput(args.outputs.sarif, JSON.stringify(toSarif(verdict), null, 2));
+  if (args.outputs.json) writeOutput(args.outputs.json, JSON.stringify(verdict, null, 2));
+
+  const { passed, failed, urls } = verdict.summary;
+  console.log(`${verdict.passed ? '✅ Quality gate passed' : '❌ Quality gate failed'}: ${passed}/${urls} URLs passed${failed ? `, ${failed} failed` : ''}`);
+  process.exit(verdict.passed ? 0 : 1);
+}
+
+main().catch(error => {
+  console.error('❌ Quality gate failed to run:', error);
+  process.exit(2);
+});
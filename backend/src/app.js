@@ -10,6 +10,15 @@ const compareRoutes = require('./routes/compare');
 const exportRoutes = require('./routes/export');
 const recommendationRoutes = require('./routes/recommendations');
 const integrationRoutes = require('./routes/integrations');
+const promptSetRoutes = require('./routes/promptSets');
+const scheduleRoutes = require('./routes/schedules');
+const alertRoutes = require('./routes/alerts');
+const shareRoutes = require('./routes/share');
+const organizationRoutes = require('./routes/organizations');
+const apiKeyRoutes = require('./routes/apiKeys');
+const webhookRoutes = require('./routes/webhooks');
+const qualityGateRoutes = require('./routes/qualityGate');
+const batchRoutes = require('./routes/batches');
 const { securityHeaders, requestSizeLimiter } = require('./middleware/security');
 
 const app = express();
@@ -46,9 +55,16 @@ app.get('/health', (req, res) => {
 });
 
 // Model health check endpoint
+// ?refresh=true runs a check now, ?hours=N sets the trend window (default 24)
 app.get('/api/health/models', async (req, res) => {
   try {
-    const { checkAllModels, getHealthStatus, getHealthyModels } = require('./services/modelHealthCheckService');
+    const {
+      checkAllModels,
+      getHealthStatus,
+      getHealthyModels,
+      getHealthHistory,
+      getHealthCheckSchedule
+    } = require('./services/modelHealthCheckService');
     
     // Optionally refresh health status
     if (req.query.refresh === 'true') {
@@ -57,18 +73,24 @@ app.get('/api/health/models', async (req, res) => {
     
     const status = getHealthStatus();
     const healthy = getHealthyModels();
+    const hours = Math.min(Math.max(parseInt(req.query.hours, 10) || 24, 1), 24 * 30);
+    const history = await getHealthHistory({ hours });
     
     res.json({
       success: true,
       lastChecked: status.lastChecked,
+      schedule: getHealthCheckSchedule(),
       healthyCount: healthy.length,
       totalCount: Object.keys(status.models || {}).length,
       healthyModels: healthy.map(m => ({
         name: m.name,
         provider: m.config?.provider,
-        responseTime: m.status.responseTime
+        responseTime: m.status.responseTime,
+        avgResponseTime: history.models[m.name]?.avgResponseTime ?? null,
+        errorRate: history.models[m.name]?.errorRate ?? null
       })),
-      allModels: status.models
+      allModels: status.models,
+      history
     });
   } catch (error) {
     res.status(500).json({
@@ -86,6 +108,8 @@ app.get('/', (req, res) => {
     endpoints: {
       health: '/health',
       analyze: 'POST /api/analyze',
+      scanStatus: 'GET /api/analyze/:scanId',
+      scanEvents: 'GET /api/analyze/:scanId/events',
       auth: {
         sendOTP: 'POST /api/auth/send-otp',
         verifyOTP: 'POST /api/auth/verify-otp',
@@ -101,6 +125,15 @@ app.use('/api/analyze', analyzeRoutes);
 app.use('/api/auth', authRoutes);
 app.use('/api/user', userRoutes);
 app.use('/api/integrations', integrationRoutes);
+app.use('/api/prompt-sets', promptSetRoutes);
+app.use('/api/schedules', scheduleRoutes);
+app.use('/api/alerts', alertRoutes);
+app.use('/api/share', shareRoutes);
+app.use('/api/organizations', organizationRoutes);
+app.use('/api/api-keys', apiKeyRoutes);
+app.use('/api/webhooks', webhookRoutes);
+app.use('/api/quality-gate', qualityGateRoutes);
+app.use('/api/batches', batchRoutes);
 app.use('/api/compare', compareRoutes);
 app.use('/api/export', exportRoutes);
 app.use('/api/recommendations', recommendationRoutes);
@@ -1,5 +1,8 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const { hasPermission, restrictToPersonalWorkspace } = require('../services/organizationService');
+const { getRequestApiKey, findApiKeyUser, hasScope } = require('../services/apiKeyService');
+const { apiKeyRateLimiter } = require('./rateLimiter');
 
 /**
  * Generate JWT token for user
@@ -26,12 +29,69 @@ function verifyToken(token) {
   }
 }
 
+/**
+ * Let API keys with `scope` call a route (put it before authenticate/optionalAuth)
+ * Requests with an API key are refused on routes without it.
+ */
+function allowApiKey(scope) {
+  return (req, res, next) => {
+    req.apiKeyScope = scope;
+    next();
+  };
+}
+
+/**
+ * Resolve a request's API key to the user it acts as
+ * @returns {Promise<Object|null>} User, or null when an error response was sent
+ */
+async function authenticateApiKey(req, res, token) {
+  if (!req.apiKeyScope) {
+    res.status(403).json({
+      success: false,
+      error: 'API keys cannot be used for this endpoint'
+    });
+    return null;
+  }
+  
+  const found = await findApiKeyUser(token);
+  if (!found) {
+    res.status(401).json({
+      success: false,
+      error: 'Invalid or revoked API key'
+    });
+    return null;
+  }
+  
+  if (!hasScope(found.apiKey, req.apiKeyScope)) {
+    res.status(403).json({
+      success: false,
+      error: `This API key does not have the '${req.apiKeyScope}' scope`
+    });
+    return null;
+  }
+  
+  req.apiKey = found.apiKey;
+  // Personal keys never act in their creator's organization
+  if (!found.apiKey.organizationId) {
+    req.apiKeyWorkspace = restrictToPersonalWorkspace(found.user);
+  }
+  return found.user;
+}
+
 /**
  * Authentication middleware
- * Checks for JWT token in Authorization header or cookies
+ * Checks for an API key, or a JWT token in Authorization header or cookies
  */
 async function authenticate(req, res, next) {
   try {
+    const apiKey = getRequestApiKey(req);
+    if (apiKey) {
+      const user = await authenticateApiKey(req, res, apiKey);
+      if (!user) return;
+      req.user = user;
+      return apiKeyRateLimiter(req, res, next);
+    }
+    
     // Get token from header or cookie
     const token = req.headers.authorization?.replace('Bearer ', '') || req.cookies?.token;
     
@@ -77,8 +137,14 @@ async function authenticate(req, res, next) {
 
 /**
  * Optional authentication - doesn't fail if no token
+ * A bad API key still fails: the caller meant to authenticate.
  */
 async function optionalAuth(req, res, next) {
+  const apiKey = getRequestApiKey(req);
+  if (apiKey) {
+    return authenticate(req, res, next);
+  }
+  
   try {
     const token = req.headers.authorization?.replace('Bearer ', '') || req.cookies?.token;
     
@@ -99,9 +165,28 @@ async function optionalAuth(req, res, next) {
   }
 }
 
+/**
+ * Require an organization permission (use after authenticate)
+ * Users outside an organization have every permission.
+ */
+function requirePermission(permission) {
+  return (req, res, next) => {
+    if (!hasPermission(req.user, permission)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Your role in this organization does not allow this',
+        requiresRole: true
+      });
+    }
+    next();
+  };
+}
+
 module.exports = {
   authenticate,
   optionalAuth,
+  allowApiKey,
+  requirePermission,
   generateToken,
   verifyToken
 };
@@ -76,9 +76,9 @@ async function checkMonthlyLimit(user) {
 }
 
 /**
- * Increment monthly scan count
+ * Increment monthly scan count (batches charge every URL at once)
  */
-async function incrementMonthlyScan(user) {
+async function incrementMonthlyScan(user, count = 1) {
   if (!user) return;
   
   const now = new Date();
@@ -88,13 +88,77 @@ async function incrementMonthlyScan(user) {
   
   // Free tier uses attemptsUsed (lifetime), paid tiers use monthlyScansUsed
   if (user.tier === 'free') {
-    user.attemptsUsed += 1;
+    user.attemptsUsed += count;
   } else {
-    user.monthlyScansUsed += 1;
+    user.monthlyScansUsed += count;
   }
   
   await user.save();
 }
 
-module.exports = { checkMonthlyLimit, incrementMonthlyScan, getTierLimit };
+/**
+ * Give back scans that were charged but never run (cancelled batch URLs, failed gates)
+ */
+async function refundMonthlyScans(user, count) {
+  if (!user || !count) return;
+  
+  if (user.tier === 'free') {
+    user.attemptsUsed = Math.max(user.attemptsUsed - count, 0);
+  } else {
+    user.monthlyScansUsed = Math.max(user.monthlyScansUsed - count, 0);
+  }
+  
+  await user.save();
+}
+
+/**
+ * Check an API key's own monthly cap (keys without a cap only use the account's pool)
+ */
+async function checkApiKeyLimit(apiKey) {
+  if (!apiKey?.monthlyScanLimit) return { allowed: true };
+  
+  const now = new Date();
+  const lastReset = apiKey.lastMonthReset || apiKey.createdAt;
+  if (now.getMonth() !== lastReset.getMonth() || now.getFullYear() !== lastReset.getFullYear()) {
+    apiKey.monthlyScansUsed = 0;
+    apiKey.lastMonthReset = now;
+    await apiKey.save();
+  }
+  
+  return {
+    allowed: apiKey.monthlyScansUsed < apiKey.monthlyScanLimit,
+    scansUsed: apiKey.monthlyScansUsed,
+    maxScans: apiKey.monthlyScanLimit
+  };
+}
+
+/**
+ * Count scans against an API key
+ */
+async function incrementApiKeyScan(apiKey, count = 1) {
+  if (!apiKey) return;
+  
+  apiKey.monthlyScansUsed += count;
+  await apiKey.save();
+}
+
+/**
+ * Give back an API key's scans that were charged but never run
+ */
+async function refundApiKeyScans(apiKey, count) {
+  if (!apiKey || !count) return;
+  
+  apiKey.monthlyScansUsed = Math.max(apiKey.monthlyScansUsed - count, 0);
+  await apiKey.save();
+}
+
+module.exports = {
+  checkMonthlyLimit,
+  incrementMonthlyScan,
+  refundMonthlyScans,
+  getTierLimit,
+  checkApiKeyLimit,
+  incrementApiKeyScan,
+  refundApiKeyScans
+};
 
@@ -105,6 +105,10 @@ const analysisRateLimiter = createRateLimiter({
   max: 20, // 20 requests per hour for free users
   message: 'Rate limit exceeded. Please upgrade to premium for unlimited scans.',
   keyGenerator: (req) => {
+    // API keys get their own bucket, separate from the user's browser sessions
+    if (req.apiKey) {
+      return `analysis:apikey:${req.apiKey._id}`;
+    }
     if (req.user) {
       return `analysis:user:${req.user._id}`;
     }
@@ -126,8 +130,19 @@ const premiumRateLimiter = createRateLimiter({
   }
 });
 
+/**
+ * Per-key limiter for requests made with an API key (any endpoint)
+ */
+const apiKeyRateLimiter = createRateLimiter({
+  windowMs: 60 * 1000, // 1 minute
+  max: parseInt(process.env.API_KEY_RATE_LIMIT_PER_MINUTE) || 60,
+  message: 'API key rate limit exceeded. Please slow down.',
+  keyGenerator: (req) => `apikey:${req.apiKey._id}`
+});
+
 module.exports = {
   createRateLimiter,
+  apiKeyRateLimiter,
   strictRateLimiter,
   analysisRateLimiter,
   premiumRateLimiter
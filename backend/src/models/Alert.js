@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+/**
+ * Alert Model
+ * Alert rules that fired when a scan was compared with the previous scan of
+ * the same URL (see services/alertService.js). Pending alerts wait for the
+ * owner's next digest; the rest are delivered right away.
+ */
+
+const alertSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Workspace of the scan; its webhooks receive the alert
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    default: null
+  },
+  url: {
+    type: String,
+    required: true
+  },
+  scanId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Scan',
+    required: true
+  },
+  previousScanId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Scan'
+  },
+  // [{ type, message, details }], see alertService.evaluateAlertRules
+  events: [mongoose.Schema.Types.Mixed],
+  status: {
+    type: String,
+    enum: ['pending', 'sent', 'failed'],
+    default: 'pending'
+  },
+  // Per-channel outcome: { email: 'sent' | 'skipped' | error, webhook: ... }
+  delivery: mongoose.Schema.Types.Mixed,
+  sentAt: Date
+}, {
+  timestamps: true
+});
+
+alertSchema.index({ userId: 1, createdAt: -1 });
+alertSchema.index({ status: 1, userId: 1 });
+
+module.exports = mongoose.model('Alert', alertSchema);
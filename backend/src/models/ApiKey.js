@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+
+/**
+ * ApiKey Model
+ * Keys for calling the API from scripts and CI (see services/apiKeyService.js).
+ * A key acts as the user who created it, limited to its scopes. Organization
+ * keys are managed by the organization's admins and stop working if their
+ * creator leaves. Only a hash of the key is stored; the key is shown once.
+ */
+
+const apiKeySchema = new mongoose.Schema({
+  // Who created the key; requests made with it act as this user
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  // Set for organization keys
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    default: null,
+    index: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  keyHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // First characters of the key, to tell keys apart
+  prefix: {
+    type: String,
+    required: true
+  },
+  scopes: [{
+    type: String,
+    enum: ['analyze', 'compare', 'export', 'gate', 'read']
+  }],
+  // Optional per-key cap, on top of the account's monthly scan pool
+  monthlyScanLimit: {
+    type: Number,
+    default: null,
+    min: 1
+  },
+  monthlyScansUsed: {
+    type: Number,
+    default: 0
+  },
+  lastMonthReset: {
+    type: Date,
+    default: Date.now
+  },
+  lastUsedAt: Date,
+  rotatedAt: Date,
+  revokedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('ApiKey', apiKeySchema);
@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+/**
+ * GateBaseline Model
+ * The scan a project's CI quality gate compares a URL with (see
+ * services/gateBaselineService.js). Baselines belong to a workspace like
+ * prompt sets: the user's, or their organization's. Approving a new scan
+ * replaces the baseline.
+ */
+
+const gateBaselineSchema = new mongoose.Schema({
+  // Who approved the baseline
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    default: null
+  },
+  // e.g. 'marketing-site'
+  project: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  url: {
+    type: String,
+    required: true
+  },
+  scanId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Scan',
+    required: true
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  approvedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+gateBaselineSchema.index({ organizationId: 1, userId: 1, project: 1, url: 1 });
+
+module.exports = mongoose.model('GateBaseline', gateBaselineSchema);
@@ -51,6 +51,14 @@ const integrationSchema = new mongoose.Schema({
     index: true
   },
   
+  // Set while the connecting user is in an organization; members' scans use it
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    default: null,
+    index: true
+  },
+  
   // Integration provider
   provider: {
     type: String,
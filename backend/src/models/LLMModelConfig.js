@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+
+// Per-task model list that overrides the LLM_*_MODELS environment variables
+const llmModelConfigSchema = new mongoose.Schema({
+  // Task name, e.g. 'visibility', 'warningRecommendations'
+  task: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+
+  // Ordered "provider:model" specs, e.g. ['gemini:gemini-2.5-flash', 'openai:llama3.1']
+  models: {
+    type: [String],
+    default: []
+  },
+
+  enabled: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('LLMModelConfig', llmModelConfigSchema);
@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+// One row per model per health check run - used for latency/error-rate trends
+const modelHealthCheckSchema = new mongoose.Schema({
+  // Config key in modelHealthCheckService MODELS, e.g. 'openrouterSherlockDash'
+  key: {
+    type: String,
+    required: true
+  },
+
+  model: String,
+  provider: String,
+
+  healthy: {
+    type: Boolean,
+    required: true
+  },
+
+  responseTime: Number,
+  error: String,
+  isRateLimit: Boolean,
+  statusCode: Number,
+
+  checkedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Indexes
+modelHealthCheckSchema.index({ key: 1, checkedAt: -1 });
+modelHealthCheckSchema.index({ checkedAt: 1 }, { expireAfterSeconds: 30 * 24 * 3600 }); // Keep 30 days of history
+
+module.exports = mongoose.model('ModelHealthCheck', modelHealthCheckSchema);
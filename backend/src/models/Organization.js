@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+
+/**
+ * Organization Model
+ * A team workspace. Members are users with `organizationId` set (a user
+ * belongs to at most one organization) and a role (see
+ * services/organizationService.js). Scans, prompt sets and integrations
+ * created inside the organization are visible to all members, and scans
+ * count against the owner's plan, so the whole team shares one pool.
+ *
+ * Invites are sent by email with a one-time code; only a hash of the code is
+ * stored.
+ */
+
+const inviteSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  role: {
+    type: String,
+    enum: ['admin', 'analyst', 'viewer'],
+    required: true
+  },
+  codeHash: {
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  // Wrong codes entered for this invite
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+const organizationSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  // Whose plan and monthly scan pool the organization uses
+  ownerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  invites: [inviteSchema]
+}, {
+  timestamps: true
+});
+
+organizationSchema.index({ 'invites.email': 1 });
+
+module.exports = mongoose.model('Organization', organizationSchema);
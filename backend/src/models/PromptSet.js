@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+
+/**
+ * PromptSet Model
+ * A user's library of visibility prompts, picked per scan. Templates can use
+ * {brand}, {domain} and {topic}. Every edit to the prompts bumps `version` and
+ * keeps the previous prompts in `history`, so a scan can always say exactly
+ * which questions it asked.
+ *
+ * Sets with source 'generated' hold the prompts generated for a premium user's
+ * domain; later scans of that domain reuse them so trends compare the same questions.
+ */
+
+const promptSchema = new mongoose.Schema({
+  // Derived from the template text (see promptSetService.getPromptId), stable across sets and versions
+  id: {
+    type: String,
+    required: true
+  },
+  template: {
+    type: String,
+    required: true,
+    maxlength: 500
+  },
+  category: {
+    type: String,
+    default: 'custom'
+  }
+}, { _id: false });
+
+const promptSetSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  // Shared with every member when created inside an organization
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    default: null,
+    index: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  tags: [String],
+  prompts: [promptSchema],
+  version: {
+    type: Number,
+    default: 1
+  },
+  // Previous versions of the prompts, oldest first
+  history: [{
+    _id: false,
+    version: Number,
+    prompts: [promptSchema],
+    replacedAt: Date
+  }],
+  source: {
+    type: String,
+    enum: ['custom', 'generated'],
+    default: 'custom'
+  },
+  // Generated sets only: the domain the prompts were generated for
+  domain: {
+    type: String,
+    lowercase: true,
+    trim: true
+  }
+}, {
+  timestamps: true
+});
+
+promptSetSchema.index({ userId: 1, source: 1, domain: 1 });
+
+module.exports = mongoose.model('PromptSet', promptSetSchema);
@@ -14,7 +14,102 @@ const scanSchema = new mongoose.Schema({
     enum: ['queued', 'processing', 'completed', 'failed'],
     default: 'processing'
   },
-  
+
+  // 'page' analyzes one URL; 'crawl' also crawls the site (Premium)
+  mode: {
+    type: String,
+    enum: ['page', 'crawl'],
+    default: 'page'
+  },
+
+  // Options captured at enqueue time (the worker has no access to the request)
+  options: {
+    isPremium: {
+      type: Boolean,
+      default: false
+    },
+    fetchIntegrations: {
+      type: Boolean,
+      default: false
+    },
+    businessInfo: {
+      brandName: String,
+      industry: String,
+      brandSummary: String
+    },
+    crawl: {
+      maxPages: Number,
+      maxDepth: Number
+    },
+    competitors: [{
+      _id: false,
+      name: String,
+      domain: String,
+      aliases: [String]
+    }],
+    render: {
+      type: Boolean,
+      default: false
+    },
+    // Repeated sampling (premium): every prompt/model pair is asked `samples` times
+    sampling: {
+      samples: Number,
+      temperature: Number
+    },
+    // Prompt set chosen for the scan (see models/PromptSet.js)
+    promptSetId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PromptSet'
+    },
+    // Fixed multi-LLM models ("provider:model"), set by scheduled scans
+    models: [String]
+  },
+
+  // Schedule that queued this scan (see models/ScheduledScan.js)
+  scheduleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ScheduledScan',
+    index: true
+  },
+
+  // Batch that queued this scan (see models/ScanBatch.js)
+  batchId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ScanBatch'
+  },
+
+  // Job queue bookkeeping (see services/scanQueueService.js)
+  job: {
+    attempts: {
+      type: Number,
+      default: 0
+    },
+    lockedBy: String,
+    lockedAt: Date,
+    heartbeatAt: Date
+  },
+
+  // Per-stage progress, polled via GET /api/analyze/:scanId
+  progress: {
+    stage: {
+      type: String,
+      enum: ['queued', 'fetch', 'seo', 'crawl', 'prompts', 'recommendations', 'completed', 'failed'],
+      default: 'queued'
+    },
+    percent: {
+      type: Number,
+      default: 0,
+      min: 0,
+      max: 100
+    },
+    message: String,
+    stages: mongoose.Schema.Types.Mixed, // { fetch: { status, fraction, startedAt, completedAt }, ... }
+    promptsCompleted: Number,
+    promptsTotal: Number,
+    promptResults: [mongoose.Schema.Types.Mixed], // Per-prompt score/citations as they finish (for live views)
+    updatedAt: Date
+  },
+
   // SEO Analysis Results
   seo: {
     title: String,
@@ -22,23 +117,46 @@ const scanSchema = new mongoose.Schema({
     canonical: String,
     statusCode: Number,
     loadTimeMs: Number,
+    error: String, // Set when SEO analysis failed but the scan still completed
+    finalUrl: String,
+    xRobotsTag: String,
     
     // Open Graph
     ogTitle: String,
     ogDescription: String,
     ogImage: String,
     ogType: String,
+    ogUrl: String,
+    ogSiteName: String,
     
     // Twitter Cards
     twitterCard: String,
     twitterTitle: String,
     twitterDescription: String,
+    twitterImage: String,
+    twitterSite: String,
     
     // Technical
     robotsMeta: String,
     viewport: String,
     lang: String,
     charset: String,
+    favicon: String,
+    
+    // Security
+    isHttps: Boolean,
+    securityHeaders: mongoose.Schema.Types.Mixed,
+    
+    // Page structure (shapes owned by seoService)
+    structuredData: mongoose.Schema.Types.Mixed,
+    headings: mongoose.Schema.Types.Mixed,
+    images: mongoose.Schema.Types.Mixed,
+    links: mongoose.Schema.Types.Mixed,
+    robotsTxt: mongoose.Schema.Types.Mixed,
+    sitemap: mongoose.Schema.Types.Mixed,
+    aiReadiness: mongoose.Schema.Types.Mixed, // llms.txt, llms-full.txt, AI directives
+    rendering: mongoose.Schema.Types.Mixed, // Raw HTML vs headless-rendered DOM
+    premiumAnalysis: mongoose.Schema.Types.Mixed,
     
     // Extracted Page Content (for recommendations)
     extractedText: {
@@ -62,15 +180,26 @@ const scanSchema = new mongoose.Schema({
     totalScore: Number,
     maxScore: Number,
     percentage: Number,
+    // Missing on scans scored before v2 (0-3 per prompt), see visibilityScoringService
+    scoringVersion: Number,
+    legacyPercentage: Number, // v1 percentage, for comparing with older scans
+    isPremium: Boolean,
+    error: String, // Set when LLM analysis failed but the scan still completed
     
     details: [{
       promptId: String,
       prompt: String,
       response: String,
       parsedResponse: mongoose.Schema.Types.Mixed, // Store parsed JSON if available
+      model: String, // "provider:model" that gave the primary response
       domainMentioned: Boolean,
       score: Number,
+      scoreBreakdown: mongoose.Schema.Types.Mixed, // Per-factor points ({ presence: { points, max, value }, ... })
+      legacyScore: Number, // v1 score (0-3)
+      sampling: mongoose.Schema.Types.Mixed, // Sampling scans: mention/citation rates, score spread and CIs
       citations: [String],
+      mentions: mongoose.Schema.Types.Mixed, // Entities named in the answer, see shareOfVoiceService
+      brandClaims: mongoose.Schema.Types.Mixed, // [{ claim, status, evidence, correction }], see brandAccuracyService
       recommendations: [{
         title: String,
         description: String,
@@ -83,15 +212,45 @@ const scanSchema = new mongoose.Schema({
         type: String,
         enum: ['high', 'medium', 'low']
       },
-      tokensUsed: Number
+      tokensUsed: Number,
+      multiLLMResults: mongoose.Schema.Types.Mixed, // Premium: per-model responses
+      error: String
     }],
     
+    // Brands/competitors named across all prompts and models
+    shareOfVoice: mongoose.Schema.Types.Mixed,
+    
+    // Prompt set the questions came from, at the version asked (none for the default prompts)
+    promptSet: {
+      id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'PromptSet'
+      },
+      name: String,
+      version: Number,
+      source: String
+    },
+    
+    // Sampling scans: run-to-run spread of the percentage and the stability label
+    sampling: mongoose.Schema.Types.Mixed,
+    
+    // Answers fact-checked against the site and brand summary (score, misinformation to fix)
+    brandAccuracy: mongoose.Schema.Types.Mixed,
+    
     metadata: {
       totalTokens: Number,
-      estimatedCost: Number
+      estimatedCost: Number,
+      promptsUsed: Number,
+      multiLLMEnabled: Boolean,
+      multiLLMModels: [String], // Premium: models active at the end of the scan
+      modelReplacements: mongoose.Schema.Types.Mixed, // Premium: [{ from, to }] swaps after failures
+      error: String
     }
   },
   
+  // Site crawl report (crawl mode only, see services/crawlService.js)
+  crawl: mongoose.Schema.Types.Mixed,
+  
   // Errors (if any)
   error: {
     message: String,
@@ -99,15 +258,29 @@ const scanSchema = new mongoose.Schema({
     timestamp: Date
   },
   
+  // Non-fatal issues from partial failures (e.g. SEO failed but LLM succeeded)
+  analysisWarnings: [String],
+
   // Metadata
   executionTimeMs: Number,
   
-  // User tracking
+  // User tracking: who ran the scan
   userId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
     index: true
   },
+  // Organization the scan was run in; every member can read it
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    default: null
+  },
+  // API key the scan was queued with, if any
+  apiKeyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ApiKey'
+  },
   
   // Anonymous tracking
   isAnonymous: {
@@ -118,6 +291,11 @@ const scanSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'AnonymousScan'
   },
+  // Hash of the token that lets an anonymous creator read their scan (see scanAccessService)
+  accessTokenHash: {
+    type: String,
+    select: false
+  },
   
   // Integration data (Professional tier only)
   integrations: {
@@ -148,7 +326,10 @@ const scanSchema = new mongoose.Schema({
 // Indexes for faster queries
 scanSchema.index({ url: 1, createdAt: -1 });
 scanSchema.index({ status: 1 });
+scanSchema.index({ status: 1, createdAt: 1 }); // Queue claim order
+scanSchema.index({ status: 1, 'job.heartbeatAt': 1 }); // Stuck job recovery
 scanSchema.index({ userId: 1, createdAt: -1 });
+scanSchema.index({ organizationId: 1, createdAt: -1 });
 
 module.exports = mongoose.model('Scan', scanSchema);
 
@@ -0,0 +1,100 @@
+const mongoose = require('mongoose');
+
+/**
+ * ScanBatch Model
+ * A list of URLs (from an uploaded CSV/TXT file or a sitemap) scanned as one
+ * job. Every URL is charged when the batch is created; services/batchScanService.js
+ * queues the scans a few at a time per host and records each URL's result here.
+ * Batches belong to a workspace like scans: the creator's, or their organization's.
+ */
+
+const batchItemSchema = new mongoose.Schema({
+  url: {
+    type: String,
+    required: true
+  },
+  host: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'queued', 'completed', 'failed', 'cancelled'],
+    default: 'pending'
+  },
+  scanId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Scan'
+  },
+  error: String,
+  queuedAt: Date,
+  finishedAt: Date
+}, { _id: false });
+
+const scanBatchSchema = new mongoose.Schema({
+  // Who created the batch
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    default: null,
+    index: true
+  },
+  // API key the batch was created with, if any (cancelled URLs are refunded to it)
+  apiKeyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ApiKey'
+  },
+  name: {
+    type: String,
+    trim: true,
+    maxlength: 100
+  },
+  source: {
+    type: String,
+    enum: ['upload', 'sitemap'],
+    required: true
+  },
+  // File name or sitemap URL
+  sourceName: String,
+  status: {
+    type: String,
+    enum: ['running', 'completed', 'cancelled'],
+    default: 'running'
+  },
+  // Scans of one host queued at the same time
+  perHostConcurrency: {
+    type: Number,
+    min: 1,
+    max: 5,
+    default: 2
+  },
+  promptSetId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PromptSet'
+  },
+  items: [batchItemSchema],
+  scansCharged: {
+    type: Number,
+    default: 0
+  },
+  // Charged URLs that were cancelled before they ran
+  scansRefunded: {
+    type: Number,
+    default: 0
+  },
+  completedAt: Date,
+  // Held by the server process advancing the batch, so two never queue the same URL
+  lockedUntil: Date
+}, {
+  timestamps: true
+});
+
+scanBatchSchema.index({ status: 1, 'items.status': 1 });
+
+module.exports = mongoose.model('ScanBatch', scanBatchSchema);
@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+
+/**
+ * ScheduledScan Model
+ * A URL a user scans automatically (daily, weekly or monthly) with a fixed
+ * prompt set and model set, so runs can be compared. Run by
+ * services/scheduledScanService.js; every completed run adds a point to `trend`.
+ */
+
+const scheduledScanSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  // Workspace the schedule was created in; its scans go there (null: personal,
+  // missing on schedules created before this was stored: the owner's current one)
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization'
+  },
+  url: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  frequency: {
+    type: String,
+    enum: ['daily', 'weekly', 'monthly'],
+    required: true
+  },
+  // Prompt set to ask (none: the generated set for the domain, see promptSetService)
+  promptSetId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PromptSet'
+  },
+  // "provider:model" specs (none: health-based routing)
+  models: [String],
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+  nextRunAt: {
+    type: Date,
+    required: true
+  },
+  lastRunAt: Date,
+  lastScanId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Scan'
+  },
+  // completed | failed | skipped (e.g. monthly limit reached)
+  lastRunStatus: String,
+  lastError: String,
+
+  // One point per completed run, oldest first (see visibilityTrendService.buildTrendPoint)
+  trend: [{
+    _id: false,
+    scanId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Scan'
+    },
+    runAt: Date,
+    seoWarnings: Number,
+    visibility: Number,
+    mentionRate: Number,
+    citationRate: Number,
+    citations: Number,
+    prompts: Number,
+    promptSetVersion: Number,
+    models: [{
+      _id: false,
+      model: String,
+      answers: Number,
+      mentionRate: Number,
+      citationRate: Number
+    }]
+  }]
+}, {
+  timestamps: true
+});
+
+scheduledScanSchema.index({ enabled: 1, nextRunAt: 1 });
+
+module.exports = mongoose.model('ScheduledScan', scheduledScanSchema);
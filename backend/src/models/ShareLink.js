@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+/**
+ * ShareLink Model
+ * A revocable, read-only link to one scan's report for people without an
+ * account (see services/scanAccessService.js). Only a hash of the link token
+ * is stored; the link itself is shown once, when it is created.
+ */
+
+const shareLinkSchema = new mongoose.Schema({
+  scanId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Scan',
+    required: true,
+    index: true
+  },
+  // Who created the link
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  label: {
+    type: String,
+    trim: true,
+    maxlength: 100
+  },
+  // Null: never expires
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  views: {
+    type: Number,
+    default: 0
+  },
+  lastViewedAt: Date
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('ShareLink', shareLinkSchema);
@@ -35,6 +35,62 @@ const userSchema = new mongoose.Schema({
     ]
   },
   
+  // Team workspace (see models/Organization.js)
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    default: null,
+    index: true
+  },
+  organizationRole: {
+    type: String,
+    enum: ['owner', 'admin', 'analyst', 'viewer', null],
+    default: null
+  },
+  
+  // Pinned competitors - aliases map LLM wording ("Acme CRM") to the right competitor
+  competitors: [{
+    _id: false,
+    name: {
+      type: String,
+      required: true,
+      maxlength: 100
+    },
+    domain: String,
+    aliases: [String]
+  }],
+  
+  // Regression alerts, evaluated when a scan of a URL finishes (see alertService)
+  alertSettings: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    rules: [{
+      _id: false,
+      type: {
+        type: String,
+        enum: ['visibilityDrop', 'noindex', 'newWarnings', 'statusChange', 'metaChange', 'citationsLost'],
+        required: true
+      },
+      threshold: Number
+    }],
+    email: {
+      type: Boolean,
+      default: true
+    },
+    // Set by earlier versions; moved to a WebhookEndpoint on the next alert
+    // (see alertService.convertLegacyAlertWebhook)
+    webhookUrl: String,
+    // 'off' delivers each alert right away; otherwise alerts are bundled
+    digest: {
+      type: String,
+      enum: ['off', 'daily', 'weekly'],
+      default: 'off'
+    },
+    lastDigestAt: Date
+  },
+  
   // Usage tracking
   attemptsUsed: {
     type: Number,
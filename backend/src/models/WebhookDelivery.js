@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+/**
+ * WebhookDelivery Model
+ * One event sent to one endpoint, with its attempts (see services/webhookService.js).
+ * Failed attempts are retried with backoff until the delivery succeeds or
+ * runs out of attempts. Deliveries are kept for 30 days.
+ */
+
+const webhookDeliverySchema = new mongoose.Schema({
+  endpointId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WebhookEndpoint',
+    required: true
+  },
+  event: {
+    type: String,
+    required: true
+  },
+  // The JSON body that is signed and sent: { id, event, createdAt, data }
+  payload: mongoose.Schema.Types.Mixed,
+  status: {
+    type: String,
+    enum: ['pending', 'succeeded', 'failed'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  // When a pending delivery is retried next
+  nextAttemptAt: Date,
+  lastAttemptAt: Date,
+  // Last attempt's outcome
+  responseStatus: Number,
+  responseTimeMs: Number,
+  error: String,
+  // Set on manual redeliveries
+  redeliveryOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WebhookDelivery',
+    default: null
+  },
+  // Claimed by a retry run until then, so processes don't send it twice
+  lockedUntil: Date
+}, {
+  timestamps: true
+});
+
+webhookDeliverySchema.index({ endpointId: 1, createdAt: -1 });
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ createdAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('WebhookDelivery', webhookDeliverySchema);
@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+/**
+ * WebhookEndpoint Model
+ * A URL that receives signed JSON events (see services/webhookService.js).
+ * Endpoints belong to a workspace like integrations: the creator's, or their
+ * organization's. The signing secret is kept to sign deliveries and is only
+ * returned when the endpoint is created or its secret is rotated.
+ */
+
+const webhookEndpointSchema = new mongoose.Schema({
+  // Who created the endpoint
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    default: null,
+    index: true
+  },
+  url: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 200
+  },
+  // Event types, see webhookService.WEBHOOK_EVENTS
+  events: [{
+    type: String,
+    enum: ['scan.created', 'scan.completed', 'scan.failed', 'recommendations.completed', 'integration.expired', 'scan.alerts']
+  }],
+  secret: {
+    type: String,
+    required: true,
+    select: false
+  },
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+  lastDeliveryAt: Date,
+  lastDeliveryStatus: {
+    type: String,
+    enum: ['succeeded', 'failed', null],
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('WebhookEndpoint', webhookEndpointSchema);
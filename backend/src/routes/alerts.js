@@ -0,0 +1,92 @@
+const express = require('express');
+const router = express.Router();
+const Alert = require('../models/Alert');
+const { authenticate } = require('../middleware/auth');
+const { sanitizeBody } = require('../middleware/security');
+const {
+  ALERT_RULE_TYPES,
+  DIGEST_FREQUENCIES,
+  normalizeAlertSettings,
+  hasAlertWebhook
+} = require('../services/alertService');
+
+const RECENT_ALERTS = 20;
+
+/**
+ * GET /api/alerts
+ * The user's alert settings, the available rule types and their most recent alerts
+ * `webhook` says whether a webhook in the workspace is subscribed to `scan.alerts`.
+ */
+router.get('/', authenticate, async (req, res) => {
+  try {
+    const alerts = await Alert.find({ userId: req.user._id })
+      .sort({ createdAt: -1 })
+      .limit(RECENT_ALERTS)
+      .lean();
+
+    const settings = req.user.toObject().alertSettings || {};
+
+    return res.status(200).json({
+      success: true,
+      settings: {
+        enabled: !!settings.enabled,
+        rules: settings.rules || [],
+        email: settings.email !== false,
+        digest: settings.digest || 'off'
+      },
+      email: req.user.email,
+      webhook: !!settings.webhookUrl || await hasAlertWebhook(req.user),
+      ruleTypes: ALERT_RULE_TYPES,
+      digestFrequencies: DIGEST_FREQUENCIES,
+      alerts
+    });
+  } catch (error) {
+    console.error('Get alerts error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to get alerts'
+    });
+  }
+});
+
+/**
+ * PUT /api/alerts/settings
+ * Update alert rules and delivery
+ * Body: any of { enabled, rules: [{ type, threshold? }], email, digest: 'off' | 'daily' | 'weekly' }
+ * With email off, alerts need a webhook in the workspace subscribed to `scan.alerts`.
+ */
+router.put('/settings', sanitizeBody, authenticate, async (req, res) => {
+  let settings;
+  try {
+    const current = req.user.toObject().alertSettings || {};
+    settings = normalizeAlertSettings(req.body, current);
+    if (settings.enabled && !settings.email && !current.webhookUrl && !await hasAlertWebhook(req.user)) {
+      throw new Error('Turn on email or add a webhook for the scan.alerts event to receive alerts');
+    }
+  } catch (error) {
+    return res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+
+  try {
+    Object.entries(settings).forEach(([field, value]) => {
+      req.user.set(`alertSettings.${field}`, value);
+    });
+    await req.user.save();
+
+    return res.status(200).json({
+      success: true,
+      settings
+    });
+  } catch (error) {
+    console.error('Update alert settings error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to update alert settings'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,29 +1,57 @@
 const express = require('express');
 const router = express.Router();
+const mongoose = require('mongoose');
 const Scan = require('../models/Scan');
-const User = require('../models/User');
-const { analyzeSEO } = require('../services/seoService');
-const { analyzeLLMVisibility } = require('../services/llmService');
+const PromptSet = require('../models/PromptSet');
+const { enqueueScan, subscribeToScan, isScanFinished } = require('../services/scanQueueService');
+const { resolveCrawlLimits } = require('../services/crawlService');
+const { resolveSamplingOptions } = require('../services/answerSamplingService');
+const { compareScans } = require('../services/scanDiffService');
+const {
+  createAccessToken,
+  hashAccessToken,
+  getRequestAccessToken,
+  findReadableScan
+} = require('../services/scanAccessService');
 const { validateUrl } = require('../middleware/validation');
-const { optionalAuth } = require('../middleware/auth');
+const { optionalAuth, authenticate, allowApiKey } = require('../middleware/auth');
 const { checkAnonymousScanLimit, recordAnonymousScan } = require('../middleware/anonymousTracking');
 const { analysisRateLimiter } = require('../middleware/rateLimiter');
 const { validateUrlSecurity, sanitizeBody } = require('../middleware/security');
-const { checkMonthlyLimit, incrementMonthlyScan } = require('../middleware/monthlyLimit');
+const { checkMonthlyLimit, incrementMonthlyScan, checkApiKeyLimit, incrementApiKeyScan } = require('../middleware/monthlyLimit');
+const { hasPermission, getPlanUser, getWorkspaceFilter, getWorkspaceFields } = require('../services/organizationService');
+
+const SSE_KEEPALIVE_MS = 15 * 1000; // Also how often we re-check the DB for scans run by another process
 
 /**
  * POST /api/analyze
- * Analyzes a URL for SEO + LLM visibility
+ * Queues a URL for SEO + LLM visibility analysis and returns the scanId right away.
+ * Poll GET /api/analyze/:scanId for stage and percent complete.
  * Enforces: 1 free anonymous scan, then requires auth (3 attempts for free, 100 for premium)
+ * Usage is charged when the scan is queued. Organization members use the owner's plan
+ * and scan pool, and their scans are shared with the organization.
+ * Anonymous scans get an `accessToken`; send it as X-Scan-Token (or ?accessToken=) to read the scan.
+ * API keys with the 'analyze' scope can queue scans (see services/apiKeyService.js).
+ * Body: { url, mode?: 'page' | 'crawl', maxPages?, maxDepth?, render?, samples?, temperature?, promptSetId? }
+ * - crawl mode is Premium only,
+ * render adds a headless-browser pass comparing raw and JavaScript-rendered HTML,
+ * promptSetId asks the prompts of one of the user's prompt sets (see routes/promptSets.js)
  */
 router.post('/', 
   sanitizeBody,
   validateUrl, 
+  allowApiKey('analyze'),
   optionalAuth, 
   analysisRateLimiter,
   async (req, res) => {
-  const { url } = req.body;
-  const overallStartTime = Date.now();
+  const { url, mode = 'page', maxPages, maxDepth, render = false, samples, temperature, promptSetId } = req.body;
+  
+  if (!['page', 'crawl'].includes(mode)) {
+    return res.status(400).json({
+      success: false,
+      error: "Mode must be 'page' or 'crawl'"
+    });
+  }
   
   // Validate URL security (prevent SSRF)
   try {
@@ -36,16 +64,27 @@ router.post('/',
   }
   
   if (process.env.NODE_ENV === 'development') {
-    console.log(`\n🚀 Starting analysis for: ${url}`);
+    console.log(`\n🚀 Queueing analysis for: ${url}`);
   }
   
   let scan;
   
   try {
+    if (req.user && !hasPermission(req.user, 'scans:run')) {
+      return res.status(403).json({
+        success: false,
+        error: 'Viewers cannot run scans. Ask an organization admin for the analyst role.',
+        requiresRole: true
+      });
+    }
+    
+    // Account whose plan and scan pool this scan uses
+    const planUser = req.user ? await getPlanUser(req.user) : null;
+    
     // Check usage limits
-    if (req.user) {
+    if (planUser) {
       // Check monthly limits (auto-resets monthly for premium)
-      const limitCheck = await checkMonthlyLimit(req.user);
+      const limitCheck = await checkMonthlyLimit(planUser);
       
       if (!limitCheck.allowed) {
         return res.status(403).json({
@@ -59,6 +98,17 @@ router.post('/',
           isMonthly: limitCheck.isPremium
         });
       }
+      
+      // API keys can have their own monthly cap on top of the account's pool
+      const apiKeyCheck = await checkApiKeyLimit(req.apiKey);
+      if (!apiKeyCheck.allowed) {
+        return res.status(403).json({
+          success: false,
+          error: `This API key has reached its monthly limit (${apiKeyCheck.maxScans} scans)`,
+          scansUsed: apiKeyCheck.scansUsed,
+          maxScans: apiKeyCheck.maxScans
+        });
+      }
     } else {
       // Anonymous user: check if they've used their free scan
       const anonymousCheck = await checkAnonymousScanLimit(req);
@@ -72,231 +122,162 @@ router.post('/',
       }
     }
     
-    // Create scan record
-    scan = new Scan({
-      url: url,
-      status: 'processing',
-      userId: req.user?._id || null,
-      isAnonymous: !req.user
-    });
-    await scan.save();
-    
-    // Only log in development
-    if (process.env.NODE_ENV === 'development') {
-      console.log(`✓ Scan record created: ${scan._id}`);
-      console.log('⏳ Running SEO + LLM analysis...');
-    }
-    
-    // Check if user is Professional tier and has integrations
-    let integrationData = null;
-    if (req.user && (req.user.tier === 'professional' || req.user.isPremium)) {
-      try {
-        const Integration = require('../models/Integration');
-        const { fetchSearchConsoleData, fetchAnalyticsData } = require('../services/integrationService');
-        
-        const integrations = await Integration.find({ userId: req.user._id });
-        const hasGSC = integrations.some(i => i.provider === 'google_search_console');
-        const hasGA = integrations.some(i => i.provider === 'google_analytics');
-        
-        if (hasGSC || hasGA) {
-          integrationData = {};
-          
-          // Fetch GSC data if connected
-          if (hasGSC) {
-            try {
-              const gscData = await fetchSearchConsoleData(req.user._id.toString());
-              integrationData.searchConsole = gscData;
-            } catch (gscError) {
-              console.warn('Failed to fetch GSC data:', gscError.message);
-              integrationData.searchConsole = { error: gscError.message };
-            }
-          }
-          
-          // Fetch GA data if connected
-          if (hasGA) {
-            try {
-              const gaData = await fetchAnalyticsData(req.user._id.toString());
-              integrationData.analytics = gaData;
-            } catch (gaError) {
-              console.warn('Failed to fetch GA data:', gaError.message);
-              integrationData.analytics = { error: gaError.message };
-            }
-          }
-        }
-      } catch (integrationError) {
-        console.warn('Integration data fetch failed:', integrationError.message);
-        // Continue without integration data
-      }
-    }
-    
     // Determine if user is premium
     let isPremium = false;
     let businessInfo = {};
     
     if (req.user) {
-      isPremium = req.user.isPremium && 
-        (!req.user.premiumExpiresAt || req.user.premiumExpiresAt > new Date()) &&
-        req.user.tier !== 'free';
+      isPremium = planUser.isPremium && 
+        (!planUser.premiumExpiresAt || planUser.premiumExpiresAt > new Date()) &&
+        planUser.tier !== 'free';
       
-      // Get business info for premium users (if available)
-      if (isPremium && req.user.businessInfo) {
-        businessInfo = {
-          brandName: req.user.businessInfo.brandName || req.user.name,
-          industry: req.user.businessInfo.industry,
-          brandSummary: req.user.businessInfo.brandSummary
-        };
-      }
+      // Business info from the user's profile: custom prompts (premium) and the brand accuracy check
+      businessInfo = {
+        brandName: req.user.brandName,
+        industry: req.user.industry,
+        brandSummary: req.user.brandSummary
+      };
     }
     
-    // Run SEO and LLM analysis in parallel, but allow partial failures
-    const [seoResult, llmResult] = await Promise.allSettled([
-      analyzeSEO(url, { isPremium }),
-      analyzeLLMVisibility(url, { isPremium, businessInfo })
-    ]);
+    // Site crawls fetch many pages, so they're limited to Premium
+    if (mode === 'crawl' && !isPremium) {
+      return res.status(403).json({
+        success: false,
+        error: 'Site crawl is a Premium feature. Upgrade to crawl your whole site.',
+        requiresUpgrade: true
+      });
+    }
     
-    // Handle SEO results
-    let seoData = null;
-    let seoError = null;
-    if (seoResult.status === 'fulfilled') {
-      seoData = seoResult.value;
-    } else {
-      seoError = seoResult.reason?.message || 'SEO analysis failed';
-      if (process.env.NODE_ENV === 'development') {
-        console.warn(`⚠️ SEO analysis failed (non-fatal): ${seoError}`);
-      }
-      // Create minimal SEO data structure to allow analysis to continue
-      seoData = {
-        error: seoError,
-        statusCode: null,
-        warnings: [`SEO analysis failed: ${seoError}`]
-      };
+    // Repeated sampling multiplies LLM calls, so it's limited to Premium too
+    const sampling = resolveSamplingOptions({ samples, temperature });
+    if (sampling && !isPremium) {
+      return res.status(403).json({
+        success: false,
+        error: 'Repeated sampling is a Premium feature. Upgrade to measure answer stability.',
+        requiresUpgrade: true
+      });
     }
     
-    // Handle LLM results
-    let llmData = null;
-    let llmError = null;
-    if (llmResult.status === 'fulfilled') {
-      llmData = llmResult.value;
-    } else {
-      llmError = llmResult.reason?.message || 'LLM analysis failed';
-      if (process.env.NODE_ENV === 'development') {
-        console.warn(`⚠️ LLM analysis failed (non-fatal): ${llmError}`);
+    // Prompt sets belong to an account or organization
+    if (promptSetId) {
+      if (!req.user) {
+        return res.status(401).json({
+          success: false,
+          error: 'Sign in to scan with a prompt set',
+          requiresAuth: true
+        });
+      }
+      const promptSet = mongoose.isValidObjectId(promptSetId)
+        && await PromptSet.exists({ _id: promptSetId, ...getWorkspaceFilter(req.user) });
+      if (!promptSet) {
+        return res.status(404).json({
+          success: false,
+          error: 'Prompt set not found'
+        });
       }
-      // Create minimal LLM data structure to allow analysis to continue
-      llmData = {
-        error: llmError,
-        totalScore: 0,
-        maxScore: 0,
-        percentage: 0,
-        details: [],
-        metadata: { error: llmError }
-      };
     }
     
-    // Only fail completely if both analyses failed
-    if (seoError && llmError) {
-      throw new Error(`Both SEO and LLM analyses failed. SEO: ${seoError}, LLM: ${llmError}`);
-    }
+    // Professional tier users get GSC/GA data attached to the scan
+    const fetchIntegrations = !!(planUser && (planUser.tier === 'professional' || planUser.isPremium));
     
-    // Update scan with results
-    scan.seo = seoData;
-    scan.llmVisibility = llmData;
-    if (integrationData) {
-      scan.integrations = integrationData;
-    }
-    scan.status = 'completed';
-    scan.executionTimeMs = Date.now() - overallStartTime;
+    // Without an account, only the holder of this token can read the scan
+    const accessToken = req.user ? null : createAccessToken();
+    
+    // Create queued scan record (workers pick it up from here)
+    scan = await enqueueScan({
+      url: url,
+      ...(req.user ? getWorkspaceFields(req.user) : { userId: null, organizationId: null }),
+      ...(req.apiKey && { apiKeyId: req.apiKey._id }),
+      isAnonymous: !req.user,
+      ...(accessToken && { accessTokenHash: hashAccessToken(accessToken) }),
+      mode,
+      options: {
+        isPremium,
+        fetchIntegrations,
+        businessInfo,
+        competitors: req.user?.competitors || [],
+        render: render === true || render === 'true',
+        ...(sampling && { sampling }),
+        ...(promptSetId && { promptSetId }),
+        ...(mode === 'crawl' && { crawl: resolveCrawlLimits({ maxPages, maxDepth }) })
+      }
+    });
     
     // Record usage
     if (req.user) {
       // Logged-in user: increment monthly/attempts and link scan
-      await incrementMonthlyScan(req.user);
+      await incrementMonthlyScan(planUser);
+      await incrementApiKeyScan(req.apiKey);
       req.user.scans.push(scan._id);
       await req.user.save();
-      scan.userId = req.user._id;
     } else {
       // Anonymous user: record anonymous scan
       const anonymousRecord = await recordAnonymousScan(req, scan._id);
-      scan.anonymousScanId = anonymousRecord.anonymousScanId;
-    }
-    
-    await scan.save();
-    
-    // For premium users, generate recommendations in background
-    if (isPremium) {
-      // Don't await - run in background
-      generateRecommendationsInBackground(scan._id, {
-        seo: seoData,
-        llmVisibility: llmData,
-        url: url
-      }, businessInfo).catch(error => {
-        console.error('Background recommendation generation failed:', error.message);
-      });
+      await Scan.updateOne(
+        { _id: scan._id },
+        { $set: { anonymousScanId: anonymousRecord.anonymousScanId } }
+      );
     }
     
     // Determine user tier and get limit info
-    const { getTierLimit } = require('../middleware/monthlyLimit');
     let limitInfo = { scansUsed: 0, maxScans: 1, isFreeTier: true };
     
-    if (req.user) {
-      limitInfo = await checkMonthlyLimit(req.user);
+    if (planUser) {
+      limitInfo = await checkMonthlyLimit(planUser);
     }
-    const isFreeUser = !req.user || (req.user.tier === 'free' && req.user.attemptsUsed >= 3);
+    const isFreeUser = !planUser || (planUser.tier === 'free' && planUser.attemptsUsed >= 3);
     
     // Only log in development (no sensitive data)
     if (process.env.NODE_ENV === 'development') {
-      console.log(`✅ Analysis completed in ${scan.executionTimeMs}ms`);
+      console.log(`✓ Scan queued: ${scan._id}`);
       if (req.user) {
-        console.log(`👤 User tier: ${req.user.tier}, scans: ${limitInfo.scansUsed}/${limitInfo.maxScans}`);
+        console.log(`👤 User tier: ${planUser.tier}, scans: ${limitInfo.scansUsed}/${limitInfo.maxScans}`);
       } else {
         console.log(`👤 Anonymous scan recorded`);
       }
     }
     
-    // Return response with warnings if there were partial failures
-    const warnings = [];
-    if (seoError) warnings.push(`SEO analysis had issues: ${seoError}`);
-    if (llmError) warnings.push(`LLM analysis had issues: ${llmError}`);
-    
-    return res.status(200).json({
+    return res.status(202).json({
       success: true,
       scanId: scan._id,
-      executionTimeMs: scan.executionTimeMs,
+      status: scan.status,
+      mode: scan.mode,
+      progress: scan.progress,
+      statusUrl: `/api/analyze/${scan._id}`,
+      ...(accessToken && { accessToken }),
       attemptsUsed: limitInfo.scansUsed,
       attemptsRemaining: Math.max(0, limitInfo.maxScans - limitInfo.scansUsed),
       maxScans: limitInfo.maxScans,
       isMonthlyLimit: !limitInfo.isFreeTier,
       isAnonymous: !req.user,
       isPremium: isPremium,
-      isFreeUser: isFreeUser,
-      warnings: warnings.length > 0 ? warnings : undefined,
-      result: {
-        url: scan.url,
-        analyzedAt: scan.createdAt,
-        seo: scan.seo,
-        llmVisibility: scan.llmVisibility,
-        integrations: scan.integrations || null
-      }
+      isFreeUser: isFreeUser
     });
     
   } catch (error) {
     // Log error without sensitive data
     if (process.env.NODE_ENV === 'development') {
-      console.error(`❌ Analysis failed (fatal error): ${error.message}`);
+      console.error(`❌ Failed to queue analysis: ${error.message}`);
     } else {
-      // In production, log minimal error info
-      console.error(`Analysis failed (fatal) for ${req.user?._id || 'anonymous'}`);
+      console.error(`Failed to queue analysis for ${req.user?._id || 'anonymous'}`);
     }
     
     // Save error if scan exists
     if (scan && scan._id) {
-      scan.status = 'failed';
-      scan.error = {
-        message: error.message,
-        stack: error.stack,
-        timestamp: new Date()
-      };
-      await scan.save();
+      await Scan.updateOne(
+        { _id: scan._id },
+        {
+          $set: {
+            status: 'failed',
+            error: {
+              message: error.message,
+              stack: error.stack,
+              timestamp: new Date()
+            },
+            'progress.stage': 'failed'
+          }
+        }
+      );
     }
     
     return res.status(500).json({
@@ -308,56 +289,187 @@ router.post('/',
 });
 
 /**
- * GET /api/analyze/:scanId
- * Retrieves a previous scan result
+ * GET /api/analyze/:scanId/events
+ * Streams live scan progress as Server-Sent Events.
+ * Sends a `snapshot` first (so reconnects catch up), then `progress`, `seo`,
+ * `prompt` (score + citations per prompt), `crawl`, `result`, `recommendations`,
+ * `failed` and finally `done`, after which the stream is closed.
+ * Only the scan's owner (or the holder of an anonymous scan's access token) may follow it.
  */
-router.get('/:scanId', async (req, res) => {
+router.get('/:scanId/events', allowApiKey('read'), optionalAuth, async (req, res) => {
+  let scan;
   try {
-    const scan = await Scan.findById(req.params.scanId);
+    scan = await findReadableScan(req.params.scanId, {
+      user: req.user,
+      accessToken: getRequestAccessToken(req)
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+  
+  if (!scan) {
+    return res.status(404).json({
+      success: false,
+      error: 'Scan not found'
+    });
+  }
+  
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no' // Disable proxy buffering (nginx)
+  });
+  res.flushHeaders();
+  
+  let closed = false;
+  let lastUpdatedAt = scan.progress?.updatedAt?.getTime() || 0;
+  
+  const send = (type, data) => {
+    if (closed) return;
+    res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+  
+  send('snapshot', { status: scan.status, progress: scan.progress, result: scan });
+  
+  if (isScanFinished(scan)) {
+    send('done', { status: scan.status });
+    return res.end();
+  }
+  
+  let unsubscribe = () => {};
+  let keepAlive = null;
+  
+  const close = () => {
+    if (closed) return;
+    closed = true;
+    unsubscribe();
+    clearInterval(keepAlive);
+    res.end();
+  };
+  
+  unsubscribe = subscribeToScan(scan._id, ({ type, data }) => {
+    if (type === 'progress') lastUpdatedAt = Date.now();
+    send(type, data);
+    if (type === 'done') close();
+  });
+  
+  // Keep proxies from timing out the connection, and catch up on scans
+  // processed by a worker in another process (events are in-memory only)
+  keepAlive = setInterval(async () => {
+    if (closed) return;
+    res.write(': keep-alive\n\n');
     
-    if (!scan) {
+    try {
+      const latest = await Scan.findById(scan._id).select('-job');
+      if (!latest || closed) return;
+      
+      const updatedAt = latest.progress?.updatedAt?.getTime() || 0;
+      if (updatedAt > lastUpdatedAt) {
+        lastUpdatedAt = updatedAt;
+        send('snapshot', { status: latest.status, progress: latest.progress, result: latest });
+      }
+      if (isScanFinished(latest)) {
+        send('done', { status: latest.status });
+        close();
+      }
+    } catch (error) {
+      // Transient DB error - the next tick will retry
+    }
+  }, SSE_KEEPALIVE_MS);
+  
+  req.on('close', close);
+});
+
+/**
+ * GET /api/analyze/:scanId/diff/:otherScanId
+ * What changed between two of the user's (or their organization's) completed scans, older scan first whichever
+ * order the ids are given in: SEO fields, warnings, structured data, heading outline,
+ * page text (word-level summary), LLM answers per prompt and recommendations.
+ */
+router.get('/:scanId/diff/:otherScanId', allowApiKey('read'), authenticate, async (req, res) => {
+  const { scanId, otherScanId } = req.params;
+  if (![scanId, otherScanId].every(id => mongoose.isValidObjectId(id))) {
+    return res.status(404).json({
+      success: false,
+      error: 'Scan not found'
+    });
+  }
+  if (scanId === otherScanId) {
+    return res.status(400).json({
+      success: false,
+      error: 'Choose two different scans to compare'
+    });
+  }
+
+  try {
+    const scans = await Scan.find({ _id: { $in: [scanId, otherScanId] }, ...getWorkspaceFilter(req.user) })
+      .select('-job -progress')
+      .sort({ createdAt: 1 })
+      .lean();
+
+    if (scans.length !== 2) {
       return res.status(404).json({
         success: false,
         error: 'Scan not found'
       });
     }
-    
+    if (scans.some(scan => scan.status !== 'completed')) {
+      return res.status(400).json({
+        success: false,
+        error: 'Both scans must be completed to compare them'
+      });
+    }
+
     return res.status(200).json({
       success: true,
-      result: scan
+      diff: compareScans(scans[0], scans[1])
     });
-    
   } catch (error) {
+    console.error('Scan diff error:', error);
     return res.status(500).json({
       success: false,
-      error: error.message
+      error: 'Failed to compare scans'
     });
   }
 });
 
 /**
- * Generate recommendations in background (non-blocking)
+ * GET /api/analyze/:scanId
+ * Retrieves a scan: status and progress while queued/processing, full result once completed.
+ * Only the scan's owner (or the holder of an anonymous scan's access token) may read it.
  */
-async function generateRecommendationsInBackground(scanId, analysisData, businessInfo) {
+router.get('/:scanId', allowApiKey('read'), optionalAuth, async (req, res) => {
   try {
-    console.log(`🔄 Starting background recommendation generation for scan ${scanId}`);
-    
-    const { generateSEORecommendations } = require('../services/seoRecommendationService');
-    const recommendations = await generateSEORecommendations(analysisData, businessInfo);
+    const scan = await findReadableScan(req.params.scanId, {
+      user: req.user,
+      accessToken: getRequestAccessToken(req)
+    });
     
-    // Update scan with recommendations
-    const scan = await Scan.findById(scanId);
-    if (scan) {
-      scan.recommendations = recommendations;
-      scan.recommendationsGeneratedAt = new Date();
-      await scan.save();
-      console.log(`✅ Recommendations generated and saved for scan ${scanId}`);
+    if (!scan) {
+      return res.status(404).json({
+        success: false,
+        error: 'Scan not found'
+      });
     }
+    
+    return res.status(200).json({
+      success: true,
+      status: scan.status,
+      progress: scan.progress,
+      result: scan
+    });
+    
   } catch (error) {
-    console.error(`❌ Background recommendation generation failed for scan ${scanId}:`, error.message);
-    // Don't throw - this is background process
+    return res.status(500).json({
+      success: false,
+      error: error.message
+    });
   }
-}
+});
 
 module.exports = router;
 
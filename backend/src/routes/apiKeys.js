@@ -0,0 +1,194 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const ApiKey = require('../models/ApiKey');
+const { authenticate } = require('../middleware/auth');
+const { sanitizeBody } = require('../middleware/security');
+const {
+  API_KEY_SCOPES,
+  MAX_API_KEYS,
+  normalizeApiKeyInput,
+  canManageApiKey,
+  createApiKey,
+  rotateApiKey,
+  formatApiKey
+} = require('../services/apiKeyService');
+const { hasPermission } = require('../services/organizationService');
+
+/**
+ * Find a key the user may manage, or send a 404
+ */
+async function findManageableKey(req, res) {
+  const apiKey = mongoose.isValidObjectId(req.params.id)
+    ? await ApiKey.findById(req.params.id)
+    : null;
+  if (!apiKey || !canManageApiKey(req.user, apiKey)) {
+    res.status(404).json({
+      success: false,
+      error: 'API key not found'
+    });
+    return null;
+  }
+  return apiKey;
+}
+
+/**
+ * GET /api/api-keys
+ * The user's keys and their organization's (all of them for admins)
+ * Keys can't manage keys: these routes only take a signed-in session.
+ */
+router.get('/', authenticate, async (req, res) => {
+  try {
+    const query = req.user.organizationId
+      ? { $or: [{ userId: req.user._id, organizationId: null }, { organizationId: req.user.organizationId }] }
+      : { userId: req.user._id, organizationId: null };
+    const apiKeys = await ApiKey.find(query).sort({ revokedAt: 1, createdAt: -1 });
+
+    return res.status(200).json({
+      success: true,
+      apiKeys: apiKeys.filter(apiKey => canManageApiKey(req.user, apiKey)).map(formatApiKey),
+      scopes: API_KEY_SCOPES,
+      maxKeys: MAX_API_KEYS,
+      canCreateOrganizationKeys: !!req.user.organizationId && hasPermission(req.user, 'members:manage')
+    });
+  } catch (error) {
+    console.error('List API keys error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to get API keys'
+    });
+  }
+});
+
+/**
+ * POST /api/api-keys
+ * Create a key. The key is only returned now.
+ * Body: { name, scopes: ['analyze' | 'compare' | 'export' | 'read'], monthlyScanLimit?, organization? }
+ */
+router.post('/', sanitizeBody, authenticate, async (req, res) => {
+  try {
+    let created;
+    try {
+      created = await createApiKey(req.user, req.body);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    return res.status(201).json({
+      success: true,
+      apiKey: formatApiKey(created.apiKey),
+      key: created.token
+    });
+  } catch (error) {
+    console.error('Create API key error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to create API key'
+    });
+  }
+});
+
+/**
+ * PUT /api/api-keys/:id
+ * Rename a key or change its scopes or monthly cap
+ * Body: any of { name, scopes, monthlyScanLimit }
+ */
+router.put('/:id', sanitizeBody, authenticate, async (req, res) => {
+  let fields;
+  try {
+    fields = normalizeApiKeyInput(req.body, { partial: true });
+  } catch (error) {
+    return res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+
+  try {
+    const apiKey = await findManageableKey(req, res);
+    if (!apiKey) return;
+    if (apiKey.revokedAt) {
+      return res.status(400).json({
+        success: false,
+        error: 'This API key has been revoked'
+      });
+    }
+
+    Object.assign(apiKey, fields);
+    await apiKey.save();
+
+    return res.status(200).json({
+      success: true,
+      apiKey: formatApiKey(apiKey)
+    });
+  } catch (error) {
+    console.error('Update API key error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to update API key'
+    });
+  }
+});
+
+/**
+ * POST /api/api-keys/:id/rotate
+ * Issue a new secret for a key; the old one stops working right away
+ */
+router.post('/:id/rotate', authenticate, async (req, res) => {
+  try {
+    const apiKey = await findManageableKey(req, res);
+    if (!apiKey) return;
+    if (apiKey.revokedAt) {
+      return res.status(400).json({
+        success: false,
+        error: 'This API key has been revoked'
+      });
+    }
+
+    const token = await rotateApiKey(apiKey);
+
+    return res.status(200).json({
+      success: true,
+      apiKey: formatApiKey(apiKey),
+      key: token
+    });
+  } catch (error) {
+    console.error('Rotate API key error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to rotate API key'
+    });
+  }
+});
+
+/**
+ * DELETE /api/api-keys/:id
+ * Revoke a key
+ */
+router.delete('/:id', authenticate, async (req, res) => {
+  try {
+    const apiKey = await findManageableKey(req, res);
+    if (!apiKey) return;
+
+    if (!apiKey.revokedAt) {
+      apiKey.revokedAt = new Date();
+      await apiKey.save();
+    }
+
+    return res.status(200).json({
+      success: true,
+      apiKey: formatApiKey(apiKey)
+    });
+  } catch (error) {
+    console.error('Revoke API key error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to revoke API key'
+    });
+  }
+});
+
+module.exports = router;
@@ -4,6 +4,7 @@ const User = require('../models/User');
 const { sendOTP, verifyOTP } = require('../services/authService');
 const { generateToken } = require('../middleware/auth');
 const { generateFingerprintHash } = require('../services/fingerprintService');
+const { getPlanUser } = require('../services/organizationService');
 const { strictRateLimiter } = require('../middleware/rateLimiter');
 const { sanitizeBody } = require('../middleware/security');
 
@@ -317,9 +318,12 @@ router.get('/me', async (req, res) => {
       });
     }
     
+    // Organization members use the owner's plan
+    const planUser = await getPlanUser(user);
+    
     // Check if user is premium
-    const isPremium = user.isPremium && 
-      (!user.premiumExpiresAt || new Date(user.premiumExpiresAt) > new Date());
+    const isPremium = planUser.isPremium && 
+      (!planUser.premiumExpiresAt || new Date(planUser.premiumExpiresAt) > new Date());
     
     return res.status(200).json({
       success: true,
@@ -328,9 +332,11 @@ router.get('/me', async (req, res) => {
         email: user.email,
         brandName: user.brandName,
         country: user.country,
-        attemptsUsed: user.attemptsUsed,
+        attemptsUsed: planUser.attemptsUsed,
         isPremium,
-        premiumExpiresAt: user.premiumExpiresAt,
+        premiumExpiresAt: planUser.premiumExpiresAt,
+        organizationId: user.organizationId || null,
+        organizationRole: user.organizationRole || null,
         createdAt: user.createdAt
       }
     });
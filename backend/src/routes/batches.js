@@ -0,0 +1,270 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const ScanBatch = require('../models/ScanBatch');
+const PromptSet = require('../models/PromptSet');
+const { authenticate, allowApiKey, requirePermission } = require('../middleware/auth');
+const { analysisRateLimiter } = require('../middleware/rateLimiter');
+const { checkMonthlyLimit, checkApiKeyLimit } = require('../middleware/monthlyLimit');
+const { getWorkspaceFilter, getPlanUser } = require('../services/organizationService');
+const {
+  MAX_ACTIVE_BATCHES,
+  resolveBatchInput,
+  normalizeBatchOptions,
+  estimateBatch,
+  createBatch,
+  cancelBatch,
+  formatBatch,
+  loadBatchScans,
+  buildExportRows,
+  buildBatchReport,
+  toCsv,
+  toXlsx
+} = require('../services/batchScanService');
+
+const MAX_LISTED_BATCHES = 50;
+
+/**
+ * Find one of the user's (or their organization's) batches, or send a 404
+ */
+async function findBatch(req, res) {
+  const batch = mongoose.isValidObjectId(req.params.id)
+    ? await ScanBatch.findOne({ _id: req.params.id, ...getWorkspaceFilter(req.user) })
+    : null;
+  if (!batch) {
+    res.status(404).json({
+      success: false,
+      error: 'Batch not found'
+    });
+  }
+  return batch;
+}
+
+/**
+ * POST /api/batches
+ * Scan every URL in an uploaded CSV/TXT file or a sitemap (paid plans)
+ * URLs are deduped and validated, and each one is charged as a scan up front.
+ * With dryRun the estimate is returned and nothing is created or charged.
+ * Body: { file: { name, content } } or { sitemapUrl }, plus { name?, perHostConcurrency? (1-5),
+ *   promptSetId?, dryRun? }
+ */
+router.post('/',
+  allowApiKey('analyze'),
+  authenticate,
+  requirePermission('scans:run'),
+  analysisRateLimiter,
+  async (req, res) => {
+  try {
+    let input;
+    let options;
+    try {
+      options = normalizeBatchOptions(req.body);
+      input = await resolveBatchInput(req.body);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    if (options.promptSetId) {
+      const promptSet = mongoose.isValidObjectId(options.promptSetId)
+        && await PromptSet.exists({ _id: options.promptSetId, ...getWorkspaceFilter(req.user) });
+      if (!promptSet) {
+        return res.status(404).json({
+          success: false,
+          error: 'Prompt set not found'
+        });
+      }
+    }
+
+    const planUser = await getPlanUser(req.user);
+    const limitCheck = await checkMonthlyLimit(planUser);
+    const apiKeyCheck = await checkApiKeyLimit(req.apiKey);
+    const estimate = estimateBatch(input.prepared, limitCheck, apiKeyCheck);
+
+    if (req.body.dryRun === true || req.body.dryRun === 'true') {
+      return res.status(200).json({
+        success: true,
+        dryRun: true,
+        estimate,
+        invalidUrls: input.prepared.invalid
+      });
+    }
+
+    if (!limitCheck.isPremium) {
+      return res.status(403).json({
+        success: false,
+        error: 'Batch scans are a paid feature. Upgrade to scan many URLs at once.',
+        requiresUpgrade: true
+      });
+    }
+    if (!estimate.allowed) {
+      return res.status(403).json({
+        success: false,
+        error: `This batch needs ${estimate.scansRequired} scans and you have ${estimate.scansRemaining} left this month`,
+        estimate
+      });
+    }
+    if (await ScanBatch.countDocuments({ ...getWorkspaceFilter(req.user), status: 'running' }) >= MAX_ACTIVE_BATCHES) {
+      return res.status(400).json({
+        success: false,
+        error: `You can run up to ${MAX_ACTIVE_BATCHES} batches at a time`
+      });
+    }
+
+    const batch = await createBatch(req.user, { ...input, ...options }, { planUser, apiKey: req.apiKey });
+
+    return res.status(201).json({
+      success: true,
+      batch: formatBatch(batch),
+      estimate,
+      invalidUrls: input.prepared.invalid
+    });
+  } catch (error) {
+    console.error('Create batch error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to create batch'
+    });
+  }
+});
+
+/**
+ * GET /api/batches
+ * The user's and their organization's batches, newest first
+ */
+router.get('/', allowApiKey('read'), authenticate, async (req, res) => {
+  try {
+    const batches = await ScanBatch.find(getWorkspaceFilter(req.user))
+      .sort({ createdAt: -1 })
+      .limit(MAX_LISTED_BATCHES);
+
+    return res.status(200).json({
+      success: true,
+      batches: batches.map(batch => formatBatch(batch))
+    });
+  } catch (error) {
+    console.error('List batches error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to get batches'
+    });
+  }
+});
+
+/**
+ * GET /api/batches/:id
+ * A batch's status and each URL's
+ */
+router.get('/:id', allowApiKey('read'), authenticate, async (req, res) => {
+  try {
+    const batch = await findBatch(req, res);
+    if (!batch) return;
+
+    return res.status(200).json({
+      success: true,
+      batch: formatBatch(batch, { withItems: true })
+    });
+  } catch (error) {
+    console.error('Get batch error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to get batch'
+    });
+  }
+});
+
+/**
+ * GET /api/batches/:id/report
+ * Aggregated results: average visibility, SEO totals, the most common warnings,
+ * the lowest-visibility URLs and a per-host breakdown
+ */
+router.get('/:id/report', allowApiKey('read'), authenticate, async (req, res) => {
+  try {
+    const batch = await findBatch(req, res);
+    if (!batch) return;
+
+    const report = buildBatchReport(batch, await loadBatchScans(batch));
+
+    return res.status(200).json({
+      success: true,
+      report
+    });
+  } catch (error) {
+    console.error('Batch report error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to build batch report'
+    });
+  }
+});
+
+/**
+ * GET /api/batches/:id/export
+ * One row per URL as CSV or XLSX (with a sheet of the most common warnings)
+ * Query: format? (csv | xlsx, default csv)
+ */
+router.get('/:id/export', allowApiKey('export'), authenticate, async (req, res) => {
+  const format = req.query.format || 'csv';
+  if (!['csv', 'xlsx'].includes(format)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Format must be csv or xlsx'
+    });
+  }
+
+  try {
+    const batch = await findBatch(req, res);
+    if (!batch) return;
+
+    const scans = await loadBatchScans(batch);
+    const rows = buildExportRows(batch, scans);
+
+    res.setHeader('Content-Disposition', `attachment; filename="batch-${batch._id}.${format}"`);
+    if (format === 'xlsx') {
+      res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+      return res.send(await toXlsx(rows, buildBatchReport(batch, scans)));
+    }
+    res.setHeader('Content-Type', 'text/csv');
+    return res.send(toCsv(rows));
+  } catch (error) {
+    console.error('Batch export error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to export batch'
+    });
+  }
+});
+
+/**
+ * POST /api/batches/:id/cancel
+ * Stop queueing a running batch; URLs that haven't been queued are refunded
+ */
+router.post('/:id/cancel', allowApiKey('analyze'), authenticate, requirePermission('scans:run'), async (req, res) => {
+  try {
+    const batch = await findBatch(req, res);
+    if (!batch) return;
+
+    const cancelled = await cancelBatch(req.user, batch._id);
+    if (!cancelled) {
+      return res.status(400).json({
+        success: false,
+        error: `Batch is already ${batch.status}`
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      batch: formatBatch(cancelled)
+    });
+  } catch (error) {
+    console.error('Cancel batch error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to cancel batch'
+    });
+  }
+});
+
+module.exports = router;
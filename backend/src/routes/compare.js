@@ -3,7 +3,8 @@ const router = express.Router();
 const Scan = require('../models/Scan');
 const { analyzeSEO } = require('../services/seoService');
 const { analyzeLLMVisibility } = require('../services/llmService');
-const { authenticate } = require('../middleware/auth');
+const { authenticate, allowApiKey } = require('../middleware/auth');
+const { getPlanUser } = require('../services/organizationService');
 
 /**
  * Validate URLs array
@@ -58,12 +59,13 @@ function validateUrls(req, res, next) {
  * Compare multiple URLs (competitor analysis)
  * Requires authentication and premium tier
  */
-router.post('/', authenticate, validateUrls, async (req, res) => {
+router.post('/', allowApiKey('compare'), authenticate, validateUrls, async (req, res) => {
   const { urls } = req.body;
   
-  // Check if user is premium
-  const isPremium = req.user.isPremium && 
-    (!req.user.premiumExpiresAt || req.user.premiumExpiresAt > new Date());
+  // Check if user is premium (organization members use the owner's plan)
+  const planUser = await getPlanUser(req.user).catch(() => req.user);
+  const isPremium = planUser.isPremium && 
+    (!planUser.premiumExpiresAt || planUser.premiumExpiresAt > new Date());
   
   if (!isPremium) {
     return res.status(403).json({
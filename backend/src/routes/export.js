@@ -2,7 +2,9 @@ const express = require('express');
 const router = express.Router();
 const PDFDocument = require('pdfkit');
 const Scan = require('../models/Scan');
-const { authenticate } = require('../middleware/auth');
+const { authenticate, optionalAuth, allowApiKey } = require('../middleware/auth');
+const { getRequestAccessToken, findReadableScan } = require('../services/scanAccessService');
+const { getWorkspaceFilter, getPlanUser } = require('../services/organizationService');
 
 /**
  * Helper function to generate CSV content
@@ -27,11 +29,14 @@ function generateCSV(data) {
 
 /**
  * GET /api/export/csv/:scanId
- * Export single scan as CSV
+ * Export single scan as CSV (the scan's owner, or the holder of an anonymous scan's access token)
  */
-router.get('/csv/:scanId', async (req, res) => {
+router.get('/csv/:scanId', allowApiKey('export'), optionalAuth, async (req, res) => {
   try {
-    const scan = await Scan.findById(req.params.scanId);
+    const scan = await findReadableScan(req.params.scanId, {
+      user: req.user,
+      accessToken: getRequestAccessToken(req)
+    });
     
     if (!scan) {
       return res.status(404).json({
@@ -56,11 +61,11 @@ router.get('/csv/:scanId', async (req, res) => {
 
 /**
  * GET /api/export/csv/user/scans
- * Export all user scans as CSV (requires auth)
+ * Export all user scans, including their organization's, as CSV (requires auth)
  */
-router.get('/csv/user/scans', authenticate, async (req, res) => {
+router.get('/csv/user/scans', allowApiKey('export'), authenticate, async (req, res) => {
   try {
-    const scans = await Scan.find({ userId: req.user._id })
+    const scans = await Scan.find(getWorkspaceFilter(req.user))
       .sort({ createdAt: -1 })
       .limit(100); // Limit to 100 most recent
     
@@ -87,13 +92,14 @@ router.get('/csv/user/scans', authenticate, async (req, res) => {
 
 /**
  * GET /api/export/pdf/:scanId
- * Export single scan as PDF (requires premium)
+ * Export one of the user's scans as PDF (requires premium)
  */
-router.get('/pdf/:scanId', authenticate, async (req, res) => {
+router.get('/pdf/:scanId', allowApiKey('export'), authenticate, async (req, res) => {
   try {
-    // Check if user is premium
-    const isPremium = req.user.isPremium && 
-      (!req.user.premiumExpiresAt || req.user.premiumExpiresAt > new Date());
+    // Check if user is premium (organization members use the owner's plan)
+    const planUser = await getPlanUser(req.user);
+    const isPremium = planUser.isPremium && 
+      (!planUser.premiumExpiresAt || planUser.premiumExpiresAt > new Date());
     
     if (!isPremium) {
       return res.status(403).json({
@@ -103,7 +109,7 @@ router.get('/pdf/:scanId', authenticate, async (req, res) => {
       });
     }
     
-    const scan = await Scan.findById(req.params.scanId);
+    const scan = await findReadableScan(req.params.scanId, { user: req.user });
     
     if (!scan) {
       return res.status(404).json({
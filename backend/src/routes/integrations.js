@@ -1,19 +1,38 @@
 const express = require('express');
 const router = express.Router();
 const Integration = require('../models/Integration');
-const { authenticate: requireAuth } = require('../middleware/auth');
+const User = require('../models/User');
+const { authenticate: requireAuth, requirePermission } = require('../middleware/auth');
 const {
   getAuthUrl,
   connectGoogleAccount,
   fetchSearchConsoleData,
   fetchAnalyticsData
 } = require('../services/integrationService');
+const { getWorkspaceFilter, getPlanUser } = require('../services/organizationService');
+
+/**
+ * Whether the user's plan (the owner's, for organization members) includes integrations
+ */
+async function hasIntegrationsPlan(user) {
+  const planUser = await getPlanUser(user);
+  return planUser.tier === 'professional' || !!planUser.isPremium;
+}
+
+/**
+ * Id of the account whose connection serves a provider for this user:
+ * their own, or any organization member's
+ */
+async function getIntegrationUserId(user, provider) {
+  const integration = await Integration.findOne({ ...getWorkspaceFilter(user), provider }).select('userId').lean();
+  return (integration?.userId || user._id).toString();
+}
 
 /**
  * GET /api/integrations/google/connect
  * Initiate OAuth flow - redirects to Google
  */
-router.get('/google/connect', requireAuth, (req, res) => {
+router.get('/google/connect', requireAuth, requirePermission('integrations:manage'), (req, res) => {
   try {
     const provider = req.query.provider || 'both'; // 'google_search_console', 'google_analytics', or 'both'
     const authUrl = getAuthUrl(req.user._id.toString(), provider);
@@ -62,6 +81,12 @@ router.get('/google/callback', requireAuth, async (req, res) => {
     // Connect account
     await connectGoogleAccount(userId, code, provider);
     
+    // Connections made inside an organization are shared with its members
+    const owner = await User.findById(userId).select('organizationId').lean();
+    if (owner?.organizationId) {
+      await Integration.updateMany({ userId }, { $set: { organizationId: owner.organizationId } });
+    }
+    
     // Redirect to frontend success page
     const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
     res.redirect(`${frontendUrl}/account?integration=success`);
@@ -74,16 +99,18 @@ router.get('/google/callback', requireAuth, async (req, res) => {
 
 /**
  * GET /api/integrations
- * List user's integrations
+ * List user's integrations, including those shared in their organization
  */
 router.get('/', requireAuth, async (req, res) => {
   try {
-    const integrations = await Integration.find({ userId: req.user._id });
+    const integrations = await Integration.find(getWorkspaceFilter(req.user)).populate('userId', 'email');
     
     // Return integrations without sensitive data
     const safeIntegrations = integrations.map(integration => ({
       _id: integration._id,
       provider: integration.provider,
+      connectedBy: integration.userId?.email || null,
+      shared: !!integration.organizationId,
       properties: integration.properties,
       defaultPropertyId: integration.defaultPropertyId,
       lastSyncAt: integration.lastSyncAt,
@@ -110,11 +137,11 @@ router.get('/', requireAuth, async (req, res) => {
  * POST /api/integrations/:id/disconnect
  * Disconnect an integration
  */
-router.post('/:id/disconnect', requireAuth, async (req, res) => {
+router.post('/:id/disconnect', requireAuth, requirePermission('integrations:manage'), async (req, res) => {
   try {
     const integration = await Integration.findOne({
       _id: req.params.id,
-      userId: req.user._id
+      ...getWorkspaceFilter(req.user)
     });
     
     if (!integration) {
@@ -146,7 +173,7 @@ router.post('/:id/disconnect', requireAuth, async (req, res) => {
 router.get('/search-console/data', requireAuth, async (req, res) => {
   try {
     // Check if user is on Professional tier
-    if (req.user.tier !== 'professional' && !req.user.isPremium) {
+    if (!await hasIntegrationsPlan(req.user)) {
       return res.status(403).json({
         success: false,
         error: 'Search Console integration requires Professional tier'
@@ -160,7 +187,7 @@ router.get('/search-console/data', requireAuth, async (req, res) => {
     } : null;
     
     const data = await fetchSearchConsoleData(
-      req.user._id.toString(),
+      await getIntegrationUserId(req.user, 'google_search_console'),
       propertyUrl,
       dateRange
     );
@@ -185,7 +212,7 @@ router.get('/search-console/data', requireAuth, async (req, res) => {
 router.get('/analytics/data', requireAuth, async (req, res) => {
   try {
     // Check if user is on Professional tier
-    if (req.user.tier !== 'professional' && !req.user.isPremium) {
+    if (!await hasIntegrationsPlan(req.user)) {
       return res.status(403).json({
         success: false,
         error: 'Analytics integration requires Professional tier'
@@ -199,7 +226,7 @@ router.get('/analytics/data', requireAuth, async (req, res) => {
     } : null;
     
     const data = await fetchAnalyticsData(
-      req.user._id.toString(),
+      await getIntegrationUserId(req.user, 'google_analytics'),
       viewId,
       dateRange
     );
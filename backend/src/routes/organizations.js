@@ -0,0 +1,459 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Organization = require('../models/Organization');
+const User = require('../models/User');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { sanitizeBody } = require('../middleware/security');
+const { createRateLimiter } = require('../middleware/rateLimiter');
+const {
+  ORGANIZATION_ROLES,
+  ROLE_PERMISSIONS,
+  canAssignRole,
+  createOrganization,
+  inviteMember,
+  acceptInvite,
+  removeMember,
+  transferOwnership,
+  deleteOrganization
+} = require('../services/organizationService');
+
+// Invite codes are 6 digits, so guesses are limited per user
+const joinRateLimiter = createRateLimiter({
+  windowMs: 15 * 60 * 1000,
+  max: 10,
+  message: 'Too many attempts. Please try again later.',
+  keyGenerator: (req) => `org-join:${req.user._id}`
+});
+
+/**
+ * Organization as returned by the API (invites are listed separately)
+ */
+function formatOrganization(organization) {
+  return {
+    id: organization._id,
+    name: organization.name,
+    ownerId: organization.ownerId,
+    createdAt: organization.createdAt
+  };
+}
+
+/**
+ * Load the user's organization, or send a 404
+ */
+async function findOwnOrganization(req, res) {
+  const organization = req.user.organizationId
+    ? await Organization.findById(req.user.organizationId)
+    : null;
+  if (!organization) {
+    res.status(404).json({
+      success: false,
+      error: 'You are not in an organization'
+    });
+  }
+  return organization;
+}
+
+/**
+ * Load a member of the user's organization, or send a 404
+ */
+async function findMember(req, res, userId) {
+  const member = mongoose.isValidObjectId(userId)
+    ? await User.findOne({ _id: userId, organizationId: req.user.organizationId })
+    : null;
+  if (!member) {
+    res.status(404).json({
+      success: false,
+      error: 'Member not found'
+    });
+  }
+  return member;
+}
+
+/**
+ * GET /api/organizations
+ * The user's organization, its members and (for admins) pending invites
+ */
+router.get('/', authenticate, async (req, res) => {
+  try {
+    const organization = req.user.organizationId
+      ? await Organization.findById(req.user.organizationId).lean()
+      : null;
+    if (!organization) {
+      return res.status(200).json({
+        success: true,
+        organization: null,
+        roles: ORGANIZATION_ROLES
+      });
+    }
+
+    const members = await User.find({ organizationId: organization._id })
+      .select('email organizationRole lastLoginAt')
+      .sort({ email: 1 })
+      .lean();
+    const canManage = ROLE_PERMISSIONS[req.user.organizationRole]?.includes('members:manage');
+
+    return res.status(200).json({
+      success: true,
+      organization: formatOrganization(organization),
+      role: req.user.organizationRole,
+      permissions: ROLE_PERMISSIONS[req.user.organizationRole] || [],
+      roles: ORGANIZATION_ROLES,
+      members: members.map(member => ({
+        id: member._id,
+        email: member.email,
+        role: member.organizationRole,
+        lastLoginAt: member.lastLoginAt || null
+      })),
+      invites: canManage
+        ? organization.invites.map(invite => ({
+          id: invite._id,
+          email: invite.email,
+          role: invite.role,
+          expiresAt: invite.expiresAt,
+          expired: invite.expiresAt <= new Date()
+        }))
+        : []
+    });
+  } catch (error) {
+    console.error('Get organization error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to get organization'
+    });
+  }
+});
+
+/**
+ * POST /api/organizations
+ * Create an organization owned by the user
+ * Body: { name }
+ */
+router.post('/', sanitizeBody, authenticate, async (req, res) => {
+  try {
+    let organization;
+    try {
+      organization = await createOrganization(req.user, req.body.name);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    return res.status(201).json({
+      success: true,
+      organization: formatOrganization(organization)
+    });
+  } catch (error) {
+    console.error('Create organization error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to create organization'
+    });
+  }
+});
+
+/**
+ * PUT /api/organizations
+ * Rename the organization (owner)
+ * Body: { name }
+ */
+router.put('/', sanitizeBody, authenticate, requirePermission('organization:manage'), async (req, res) => {
+  try {
+    const organization = await findOwnOrganization(req, res);
+    if (!organization) return;
+
+    const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+    if (!name || name.length > 100) {
+      return res.status(400).json({
+        success: false,
+        error: 'Organization name is required (up to 100 characters)'
+      });
+    }
+
+    organization.name = name;
+    await organization.save();
+
+    return res.status(200).json({
+      success: true,
+      organization: formatOrganization(organization)
+    });
+  } catch (error) {
+    console.error('Update organization error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to update organization'
+    });
+  }
+});
+
+/**
+ * DELETE /api/organizations
+ * Delete the organization (owner). Its work goes back to whoever created it.
+ */
+router.delete('/', authenticate, requirePermission('organization:manage'), async (req, res) => {
+  try {
+    const organization = await findOwnOrganization(req, res);
+    if (!organization) return;
+
+    await deleteOrganization(organization);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Organization deleted'
+    });
+  } catch (error) {
+    console.error('Delete organization error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to delete organization'
+    });
+  }
+});
+
+/**
+ * POST /api/organizations/invites
+ * Email an invite code (admins invite analysts and viewers, the owner also admins)
+ * Body: { email, role }
+ */
+router.post('/invites', sanitizeBody, authenticate, requirePermission('members:manage'), async (req, res) => {
+  try {
+    const organization = await findOwnOrganization(req, res);
+    if (!organization) return;
+
+    let invite;
+    try {
+      invite = await inviteMember(organization, req.user, req.body);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    return res.status(201).json({
+      success: true,
+      invite: {
+        id: invite._id,
+        email: invite.email,
+        role: invite.role,
+        expiresAt: invite.expiresAt,
+        expired: false
+      }
+    });
+  } catch (error) {
+    console.error('Invite member error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to send invite'
+    });
+  }
+});
+
+/**
+ * DELETE /api/organizations/invites/:inviteId
+ * Cancel a pending invite
+ */
+router.delete('/invites/:inviteId', authenticate, requirePermission('members:manage'), async (req, res) => {
+  try {
+    const organization = await findOwnOrganization(req, res);
+    if (!organization) return;
+
+    const invite = mongoose.isValidObjectId(req.params.inviteId) && organization.invites.id(req.params.inviteId);
+    if (!invite) {
+      return res.status(404).json({
+        success: false,
+        error: 'Invite not found'
+      });
+    }
+
+    organization.invites.pull(invite._id);
+    await organization.save();
+
+    return res.status(200).json({
+      success: true,
+      message: 'Invite cancelled'
+    });
+  } catch (error) {
+    console.error('Cancel invite error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to cancel invite'
+    });
+  }
+});
+
+/**
+ * POST /api/organizations/join
+ * Join with the code emailed to the user's address
+ * Body: { code }
+ */
+router.post('/join', sanitizeBody, authenticate, joinRateLimiter, async (req, res) => {
+  try {
+    let organization;
+    try {
+      organization = await acceptInvite(req.user, req.body.code);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      organization: formatOrganization(organization),
+      role: req.user.organizationRole
+    });
+  } catch (error) {
+    console.error('Join organization error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to join organization'
+    });
+  }
+});
+
+/**
+ * PUT /api/organizations/members/:userId
+ * Change a member's role
+ * Body: { role }
+ */
+router.put('/members/:userId', sanitizeBody, authenticate, requirePermission('members:manage'), async (req, res) => {
+  try {
+    const member = await findMember(req, res, req.params.userId);
+    if (!member) return;
+
+    const { role } = req.body;
+    if (!canAssignRole(req.user.organizationRole, member.organizationRole) || !canAssignRole(req.user.organizationRole, role)) {
+      return res.status(403).json({
+        success: false,
+        error: req.user.organizationRole === 'owner'
+          ? 'Role must be admin, analyst or viewer. To hand over the organization, transfer ownership.'
+          : 'Admins can only change analysts and viewers'
+      });
+    }
+
+    member.organizationRole = role;
+    await member.save();
+
+    return res.status(200).json({
+      success: true,
+      member: {
+        id: member._id,
+        email: member.email,
+        role: member.organizationRole
+      }
+    });
+  } catch (error) {
+    console.error('Update member error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to update member'
+    });
+  }
+});
+
+/**
+ * DELETE /api/organizations/members/:userId
+ * Remove a member
+ */
+router.delete('/members/:userId', authenticate, requirePermission('members:manage'), async (req, res) => {
+  try {
+    const organization = await findOwnOrganization(req, res);
+    if (!organization) return;
+    const member = await findMember(req, res, req.params.userId);
+    if (!member) return;
+
+    if (!canAssignRole(req.user.organizationRole, member.organizationRole)) {
+      return res.status(403).json({
+        success: false,
+        error: member.organizationRole === 'owner'
+          ? 'The owner cannot be removed'
+          : 'Admins can only remove analysts and viewers'
+      });
+    }
+
+    await removeMember(organization, member);
+
+    return res.status(200).json({
+      success: true,
+      message: `${member.email} was removed`
+    });
+  } catch (error) {
+    console.error('Remove member error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to remove member'
+    });
+  }
+});
+
+/**
+ * POST /api/organizations/leave
+ * Leave the organization (not the owner)
+ */
+router.post('/leave', authenticate, async (req, res) => {
+  try {
+    const organization = await findOwnOrganization(req, res);
+    if (!organization) return;
+
+    try {
+      await removeMember(organization, req.user);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: `You left ${organization.name}`
+    });
+  } catch (error) {
+    console.error('Leave organization error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to leave organization'
+    });
+  }
+});
+
+/**
+ * POST /api/organizations/transfer
+ * Make another member the owner (the current owner becomes an admin).
+ * The organization then uses the new owner's plan.
+ * Body: { userId }
+ */
+router.post('/transfer', sanitizeBody, authenticate, requirePermission('organization:manage'), async (req, res) => {
+  try {
+    const organization = await findOwnOrganization(req, res);
+    if (!organization) return;
+
+    const member = await findMember(req, res, req.body.userId);
+    if (!member) return;
+    if (String(member._id) === String(req.user._id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'You already own this organization'
+      });
+    }
+
+    await transferOwnership(organization, req.user, member);
+
+    return res.status(200).json({
+      success: true,
+      message: `${member.email} now owns ${organization.name}`
+    });
+  } catch (error) {
+    console.error('Transfer organization error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to transfer ownership'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,191 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const PromptSet = require('../models/PromptSet');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const {
+  PROMPT_VARIABLES,
+  normalizePromptSet,
+  applyPromptSetChanges
+} = require('../services/promptSetService');
+const { getWorkspaceFilter, getWorkspaceFields } = require('../services/organizationService');
+
+const MAX_PROMPT_SETS = 50;
+
+/**
+ * Find one of the user's (or their organization's) prompt sets, or send a 404
+ */
+async function findOwnPromptSet(req, res) {
+  const promptSet = mongoose.isValidObjectId(req.params.id)
+    ? await PromptSet.findOne({ _id: req.params.id, ...getWorkspaceFilter(req.user) })
+    : null;
+  if (!promptSet) {
+    res.status(404).json({
+      success: false,
+      error: 'Prompt set not found'
+    });
+  }
+  return promptSet;
+}
+
+/**
+ * GET /api/prompt-sets
+ * List the user's and their organization's prompt sets (without version history)
+ * Query: tag? - only sets with this tag
+ */
+router.get('/', authenticate, async (req, res) => {
+  try {
+    const query = getWorkspaceFilter(req.user);
+    if (req.query.tag) {
+      query.tags = String(req.query.tag).toLowerCase();
+    }
+
+    const promptSets = await PromptSet.find(query)
+      .select('-history')
+      .sort({ updatedAt: -1 })
+      .lean();
+
+    return res.status(200).json({
+      success: true,
+      promptSets,
+      variables: PROMPT_VARIABLES
+    });
+  } catch (error) {
+    console.error('List prompt sets error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to get prompt sets'
+    });
+  }
+});
+
+/**
+ * GET /api/prompt-sets/:id
+ * One prompt set, including its previous versions
+ */
+router.get('/:id', authenticate, async (req, res) => {
+  try {
+    const promptSet = await findOwnPromptSet(req, res);
+    if (!promptSet) return;
+
+    return res.status(200).json({
+      success: true,
+      promptSet
+    });
+  } catch (error) {
+    console.error('Get prompt set error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to get prompt set'
+    });
+  }
+});
+
+/**
+ * POST /api/prompt-sets
+ * Create a prompt set
+ * Body: { name, description?, tags?: [], prompts: [template | { template, category? }] }
+ * Templates can use {brand}, {domain} and {topic}
+ */
+router.post('/', authenticate, requirePermission('promptSets:write'), async (req, res) => {
+  let fields;
+  try {
+    fields = normalizePromptSet(req.body);
+  } catch (error) {
+    return res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+
+  try {
+    if (await PromptSet.countDocuments(getWorkspaceFilter(req.user)) >= MAX_PROMPT_SETS) {
+      return res.status(400).json({
+        success: false,
+        error: `You can have up to ${MAX_PROMPT_SETS} prompt sets`
+      });
+    }
+
+    const promptSet = await PromptSet.create({
+      ...fields,
+      ...getWorkspaceFields(req.user),
+      source: 'custom'
+    });
+
+    return res.status(201).json({
+      success: true,
+      promptSet
+    });
+  } catch (error) {
+    console.error('Create prompt set error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to create prompt set'
+    });
+  }
+});
+
+/**
+ * PUT /api/prompt-sets/:id
+ * Update a prompt set. Changing the prompts saves a new version; scans keep
+ * the version they were run with.
+ * Body: any of { name, description, tags, prompts }
+ */
+router.put('/:id', authenticate, requirePermission('promptSets:write'), async (req, res) => {
+  let changes;
+  try {
+    changes = normalizePromptSet(req.body, { partial: true });
+  } catch (error) {
+    return res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+
+  try {
+    const promptSet = await findOwnPromptSet(req, res);
+    if (!promptSet) return;
+
+    const newVersion = applyPromptSetChanges(promptSet, changes);
+    await promptSet.save();
+
+    return res.status(200).json({
+      success: true,
+      promptSet,
+      newVersion
+    });
+  } catch (error) {
+    console.error('Update prompt set error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to update prompt set'
+    });
+  }
+});
+
+/**
+ * DELETE /api/prompt-sets/:id
+ * Delete a prompt set. Scans that used it keep its name and version.
+ * Deleting a generated set makes the next Premium scan of the domain generate new prompts.
+ */
+router.delete('/:id', authenticate, requirePermission('promptSets:write'), async (req, res) => {
+  try {
+    const promptSet = await findOwnPromptSet(req, res);
+    if (!promptSet) return;
+
+    await promptSet.deleteOne();
+
+    return res.status(200).json({
+      success: true,
+      message: 'Prompt set deleted'
+    });
+  } catch (error) {
+    console.error('Delete prompt set error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to delete prompt set'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,244 @@
+const express = require('express');
+const router = express.Router();
+const { authenticate, allowApiKey, requirePermission } = require('../middleware/auth');
+const { analysisRateLimiter } = require('../middleware/rateLimiter');
+const { validateUrlSecurity, sanitizeBody } = require('../middleware/security');
+const {
+  checkMonthlyLimit,
+  incrementMonthlyScan,
+  refundMonthlyScans,
+  checkApiKeyLimit,
+  incrementApiKeyScan,
+  refundApiKeyScans
+} = require('../middleware/monthlyLimit');
+const { getPlanUser } = require('../services/organizationService');
+const {
+  MAX_GATE_URLS,
+  normalizeGatePolicy,
+  policyUsesLlm,
+  runQualityGate,
+  toJUnit,
+  toSarif
+} = require('../services/qualityGateService');
+const {
+  findGateBaseline,
+  approveBaseline,
+  listBaselines,
+  deleteBaseline,
+  formatBaseline
+} = require('../services/gateBaselineService');
+
+const GATE_FORMATS = ['json', 'junit', 'sarif'];
+
+/**
+ * POST /api/quality-gate
+ * Check URLs against SEO and AI thresholds and return a pass/fail verdict (for CI)
+ * API keys with the 'gate' scope can run gates (see services/apiKeyService.js).
+ * SEO-only gates don't use the scan pool; with minVisibility (and skipLlm off)
+ * each URL counts as one scan, charged up front and refunded if the gate errors.
+ * The gate runs inline, not on the scan queue: the response is sent when every
+ * URL has been checked, which with LLM checks can take several minutes (the
+ * CLI in scripts/qualityGate.js waits up to 15 minutes). Keep gates with LLM
+ * checks to a few URLs, or use POST /api/batches for large sets.
+ * Body: { urls: [...], policy: { maxWarnings?, maxWarningsByCategory?, requiredTags?,
+ *   minVisibility?, allowNoindex?, requireSchema?, skipLlm?, baseline? }, format?: 'json' | 'junit' | 'sarif' }
+ * baseline: true (each URL's latest completed scan) or { project? (approved baselines,
+ *   see PUT /baselines), scanId? (single URL only), visibilityTolerance?, loadTimeTolerance? }
+ * The response is 200 whether the gate passed or not; check `verdict.passed`
+ * (or the X-Quality-Gate header for JUnit and SARIF).
+ */
+router.post('/',
+  allowApiKey('gate'),
+  authenticate,
+  requirePermission('scans:run'),
+  analysisRateLimiter,
+  async (req, res) => {
+  const { urls } = req.body;
+  const format = req.body.format || req.query.format || 'json';
+
+  let policy;
+  try {
+    if (!Array.isArray(urls) || urls.length === 0 || urls.length > MAX_GATE_URLS) {
+      throw new Error(`Provide between 1 and ${MAX_GATE_URLS} URLs`);
+    }
+    urls.forEach(url => validateUrlSecurity(url));
+    if (!GATE_FORMATS.includes(format)) {
+      throw new Error(`Format must be one of: ${GATE_FORMATS.join(', ')}`);
+    }
+    policy = normalizeGatePolicy(req.body.policy);
+    if (policy.baseline?.scanId && urls.length > 1) {
+      throw new Error('baseline.scanId can only be used with a single URL');
+    }
+  } catch (error) {
+    return res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+
+  let planUser = null;
+  let charged = 0;
+  try {
+    planUser = await getPlanUser(req.user);
+    const isPremium = planUser.isPremium &&
+      (!planUser.premiumExpiresAt || planUser.premiumExpiresAt > new Date()) &&
+      planUser.tier !== 'free';
+
+    // LLM checks are charged like scans, one per URL
+    const usesLlm = policyUsesLlm(policy);
+    if (usesLlm) {
+      const limitCheck = await checkMonthlyLimit(planUser);
+      if (limitCheck.scansUsed + urls.length > limitCheck.maxScans) {
+        return res.status(403).json({
+          success: false,
+          error: `This gate needs ${urls.length} scans for LLM visibility checks and you have ${Math.max(limitCheck.maxScans - limitCheck.scansUsed, 0)} left. Set skipLlm to run SEO checks only.`,
+          requiresUpgrade: !limitCheck.isPremium,
+          scansUsed: limitCheck.scansUsed,
+          maxScans: limitCheck.maxScans
+        });
+      }
+      const apiKeyCheck = await checkApiKeyLimit(req.apiKey);
+      if (apiKeyCheck.maxScans && apiKeyCheck.scansUsed + urls.length > apiKeyCheck.maxScans) {
+        return res.status(403).json({
+          success: false,
+          error: `This API key has reached its monthly limit (${apiKeyCheck.maxScans} scans)`,
+          scansUsed: apiKeyCheck.scansUsed,
+          maxScans: apiKeyCheck.maxScans
+        });
+      }
+
+      // Charge before running so concurrent gates can't overspend the pool
+      await incrementMonthlyScan(planUser, urls.length);
+      await incrementApiKeyScan(req.apiKey, urls.length);
+      charged = urls.length;
+    }
+
+    if (process.env.NODE_ENV === 'development') {
+      console.log(`\n🚦 Running quality gate for ${urls.length} URL(s)${usesLlm ? ' with LLM checks' : ''}`);
+    }
+
+    const verdict = await runQualityGate(urls, policy, {
+      isPremium,
+      getBaseline: url => findGateBaseline(req.user, url, policy.baseline)
+    });
+
+    if (process.env.NODE_ENV === 'development') {
+      console.log(`${verdict.passed ? '✅' : '❌'} Quality gate ${verdict.passed ? 'passed' : 'failed'} (${verdict.summary.failed}/${verdict.summary.urls} URLs failed)`);
+    }
+
+    // JUnit and SARIF bodies don't carry the verdict itself
+    res.set('X-Quality-Gate', verdict.passed ? 'passed' : 'failed');
+    if (format === 'junit') {
+      return res.status(200).type('application/xml').send(toJUnit(verdict));
+    }
+    if (format === 'sarif') {
+      return res.status(200).type('application/sarif+json').send(JSON.stringify(toSarif(verdict), null, 2));
+    }
+    return res.status(200).json({
+      success: true,
+      verdict
+    });
+  } catch (error) {
+    console.error('Quality gate error:', error);
+    if (charged > 0) {
+      await refundMonthlyScans(planUser, charged).catch(() => {});
+      await refundApiKeyScans(req.apiKey, charged).catch(() => {});
+    }
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to run quality gate'
+    });
+  }
+});
+
+/**
+ * GET /api/quality-gate/baselines
+ * The workspace's approved baselines
+ * Query: project?
+ */
+router.get('/baselines', allowApiKey('gate'), authenticate, requirePermission('scans:read'), async (req, res) => {
+  try {
+    let baselines;
+    try {
+      baselines = await listBaselines(req.user, req.query.project || null);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      baselines: baselines.map(formatBaseline)
+    });
+  } catch (error) {
+    console.error('List gate baselines error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to get baselines'
+    });
+  }
+});
+
+/**
+ * PUT /api/quality-gate/baselines
+ * Approve a scan as a project's baseline for its URL, e.g. after an intentional change
+ * Body: { project, url, scanId? (default: the URL's latest completed scan), note? }
+ */
+router.put('/baselines', sanitizeBody, allowApiKey('gate'), authenticate, requirePermission('scans:run'), async (req, res) => {
+  try {
+    let baseline;
+    try {
+      baseline = await approveBaseline(req.user, req.body);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    if (process.env.NODE_ENV === 'development') {
+      console.log(`📌 Approved baseline for ${baseline.url} in ${baseline.project} (scan ${baseline.scanId})`);
+    }
+
+    return res.status(200).json({
+      success: true,
+      baseline: formatBaseline(baseline)
+    });
+  } catch (error) {
+    console.error('Approve gate baseline error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to approve baseline'
+    });
+  }
+});
+
+/**
+ * DELETE /api/quality-gate/baselines/:id
+ * Remove an approved baseline (gates using the project skip the URL's baseline checks)
+ */
+router.delete('/baselines/:id', allowApiKey('gate'), authenticate, requirePermission('scans:run'), async (req, res) => {
+  try {
+    if (!await deleteBaseline(req.user, req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Baseline not found'
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'Baseline removed'
+    });
+  } catch (error) {
+    console.error('Delete gate baseline error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to remove baseline'
+    });
+  }
+});
+
+module.exports = router;
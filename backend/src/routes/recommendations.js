@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const { authenticate } = require('../middleware/auth');
 const { generateWarningRecommendation } = require('../services/warningRecommendationService');
+const { getPlanUser } = require('../services/organizationService');
 
 /**
  * POST /api/recommendations/warning
@@ -19,9 +20,10 @@ router.post('/warning', authenticate, async (req, res) => {
       });
     }
     
-    // Check if user is premium
-    const isPremium = req.user.isPremium && 
-      (!req.user.premiumExpiresAt || req.user.premiumExpiresAt > new Date());
+    // Check if user is premium (organization members use the owner's plan)
+    const planUser = await getPlanUser(req.user);
+    const isPremium = planUser.isPremium && 
+      (!planUser.premiumExpiresAt || planUser.premiumExpiresAt > new Date());
     
     if (!isPremium) {
       return res.status(403).json({
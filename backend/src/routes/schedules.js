@@ -0,0 +1,259 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const ScheduledScan = require('../models/ScheduledScan');
+const PromptSet = require('../models/PromptSet');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { validateUrl } = require('../middleware/validation');
+const { validateUrlSecurity, sanitizeBody } = require('../middleware/security');
+const { checkMonthlyLimit } = require('../middleware/monthlyLimit');
+const { getTaskModels } = require('../services/llmClientService');
+const { getRoutableModels } = require('../services/modelHealthCheckService');
+const {
+  FREQUENCIES,
+  MAX_SCHEDULES,
+  getNextRunAt,
+  normalizeModels
+} = require('../services/scheduledScanService');
+const { addTrendDeltas } = require('../services/visibilityTrendService');
+const { getWorkspaceFilter, getWorkspaceFields, getPlanUser } = require('../services/organizationService');
+
+/**
+ * Find one of the user's schedules, or send a 404
+ */
+async function findOwnSchedule(req, res, projection = null) {
+  const schedule = mongoose.isValidObjectId(req.params.id)
+    ? await ScheduledScan.findOne({ _id: req.params.id, userId: req.user._id }, projection)
+    : null;
+  if (!schedule) {
+    res.status(404).json({
+      success: false,
+      error: 'Schedule not found'
+    });
+  }
+  return schedule;
+}
+
+/**
+ * Validate the fields shared by create and update
+ * @returns {Promise<Object>} Fields to save
+ */
+async function normalizeScheduleFields(body, user, { partial = false } = {}) {
+  const fields = {};
+
+  if (!partial || body.frequency !== undefined) {
+    if (!FREQUENCIES.includes(body.frequency)) {
+      throw new Error(`Frequency must be one of: ${FREQUENCIES.join(', ')}`);
+    }
+    fields.frequency = body.frequency;
+  }
+
+  if (body.models !== undefined) {
+    fields.models = normalizeModels(body.models);
+  }
+
+  if (body.promptSetId !== undefined) {
+    if (body.promptSetId) {
+      const promptSet = mongoose.isValidObjectId(body.promptSetId)
+        && await PromptSet.exists({ _id: body.promptSetId, ...getWorkspaceFilter(user) });
+      if (!promptSet) {
+        throw new Error('Prompt set not found');
+      }
+    }
+    fields.promptSetId = body.promptSetId || null;
+  }
+
+  if (body.enabled !== undefined) {
+    fields.enabled = body.enabled === true || body.enabled === 'true';
+  }
+
+  return fields;
+}
+
+/**
+ * GET /api/schedules
+ * List the user's scheduled scans (without trend points), with the models a schedule can use
+ */
+router.get('/', authenticate, async (req, res) => {
+  try {
+    const schedules = await ScheduledScan.find({ userId: req.user._id })
+      .select('-trend')
+      .sort({ createdAt: -1 })
+      .lean();
+
+    const configured = await getTaskModels('multiVisibility');
+    const routable = getRoutableModels()
+      .filter(entry => entry.provider)
+      .map(entry => `${entry.provider}:${entry.model}`);
+
+    return res.status(200).json({
+      success: true,
+      schedules,
+      frequencies: FREQUENCIES,
+      availableModels: [...new Set([...configured.map(ref => ref.spec), ...routable])]
+    });
+  } catch (error) {
+    console.error('List schedules error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to get schedules'
+    });
+  }
+});
+
+/**
+ * POST /api/schedules
+ * Scan a URL automatically (paid plans). The first run is queued within a few minutes;
+ * every run counts against the monthly scan limit.
+ * Body: { url, frequency: 'daily' | 'weekly' | 'monthly', promptSetId?, models?: ["provider:model"] }
+ */
+router.post('/', sanitizeBody, authenticate, requirePermission('schedules:write'), validateUrl, async (req, res) => {
+  const { url } = req.body;
+
+  let fields;
+  try {
+    validateUrlSecurity(url);
+    fields = await normalizeScheduleFields(req.body, req.user);
+  } catch (error) {
+    return res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+
+  try {
+    // Organization members use the owner's plan
+    const limit = await checkMonthlyLimit(await getPlanUser(req.user));
+    if (!limit.isPremium) {
+      return res.status(403).json({
+        success: false,
+        error: 'Scheduled scans are a Premium feature. Upgrade to track visibility over time.',
+        requiresUpgrade: true
+      });
+    }
+
+    if (await ScheduledScan.countDocuments({ userId: req.user._id }) >= MAX_SCHEDULES) {
+      return res.status(400).json({
+        success: false,
+        error: `You can have up to ${MAX_SCHEDULES} scheduled scans`
+      });
+    }
+
+    const schedule = await ScheduledScan.create({
+      ...fields,
+      userId: req.user._id,
+      organizationId: getWorkspaceFields(req.user).organizationId,
+      url: url.trim(),
+      nextRunAt: new Date()
+    });
+
+    return res.status(201).json({
+      success: true,
+      schedule
+    });
+  } catch (error) {
+    console.error('Create schedule error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to create schedule'
+    });
+  }
+});
+
+/**
+ * PUT /api/schedules/:id
+ * Change frequency, prompt set or models, or pause/resume
+ * Body: any of { frequency, promptSetId, models, enabled }
+ */
+router.put('/:id', authenticate, requirePermission('schedules:write'), async (req, res) => {
+  let fields;
+  try {
+    fields = await normalizeScheduleFields(req.body, req.user, { partial: true });
+  } catch (error) {
+    return res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+
+  try {
+    const schedule = await findOwnSchedule(req, res, '-trend');
+    if (!schedule) return;
+
+    const frequencyChanged = fields.frequency && fields.frequency !== schedule.frequency;
+    const resumed = fields.enabled === true && !schedule.enabled;
+    Object.assign(schedule, fields);
+    if (frequencyChanged || resumed) {
+      schedule.nextRunAt = schedule.lastRunAt
+        ? new Date(Math.max(Date.now(), getNextRunAt(schedule.frequency, schedule.lastRunAt).getTime()))
+        : new Date();
+    }
+    await schedule.save();
+
+    return res.status(200).json({
+      success: true,
+      schedule
+    });
+  } catch (error) {
+    console.error('Update schedule error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to update schedule'
+    });
+  }
+});
+
+/**
+ * DELETE /api/schedules/:id
+ * Delete a schedule and its trend (the scans stay in the history)
+ */
+router.delete('/:id', authenticate, async (req, res) => {
+  try {
+    const schedule = await findOwnSchedule(req, res, '_id');
+    if (!schedule) return;
+
+    await schedule.deleteOne();
+
+    return res.status(200).json({
+      success: true,
+      message: 'Schedule deleted'
+    });
+  } catch (error) {
+    console.error('Delete schedule error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to delete schedule'
+    });
+  }
+});
+
+/**
+ * GET /api/schedules/:id/trend
+ * Time series of the schedule's runs with the change from the previous run
+ * Query: limit? - most recent N runs (default all)
+ */
+router.get('/:id/trend', authenticate, async (req, res) => {
+  try {
+    const schedule = await findOwnSchedule(req, res);
+    if (!schedule) return;
+
+    const limit = parseInt(req.query.limit) || 0;
+    const points = schedule.trend.map(point => point.toObject());
+
+    return res.status(200).json({
+      success: true,
+      scheduleId: schedule._id,
+      url: schedule.url,
+      frequency: schedule.frequency,
+      points: addTrendDeltas(points).slice(limit > 0 ? -limit : 0)
+    });
+  } catch (error) {
+    console.error('Get schedule trend error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to get trend'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,207 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Scan = require('../models/Scan');
+const ShareLink = require('../models/ShareLink');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { sanitizeBody } = require('../middleware/security');
+const { createRateLimiter } = require('../middleware/rateLimiter');
+const {
+  findReadableScan,
+  createShareLink,
+  isShareLinkActive,
+  canRevokeShareLink,
+  findActiveShareLink,
+  toSharedReport
+} = require('../services/scanAccessService');
+
+const MAX_LINKS_PER_SCAN = 20;
+
+// Public report views, per IP
+const reportRateLimiter = createRateLimiter({
+  windowMs: 15 * 60 * 1000,
+  max: 60,
+  message: 'Too many report views. Please try again later.',
+  keyGenerator: (req) => `share:${req.ip || req.connection.remoteAddress || 'unknown'}`
+});
+
+/**
+ * Public URL of a shared report (opened by the frontend)
+ */
+function getShareUrl(token) {
+  const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+  return `${frontendUrl}/?report=${encodeURIComponent(token)}`;
+}
+
+/**
+ * Share link as shown to its owner (never includes the token hash)
+ */
+function formatShareLink(link) {
+  return {
+    id: link._id,
+    scanId: link.scanId,
+    label: link.label || null,
+    expiresAt: link.expiresAt,
+    revokedAt: link.revokedAt,
+    views: link.views,
+    lastViewedAt: link.lastViewedAt || null,
+    createdAt: link.createdAt,
+    active: isShareLinkActive(link)
+  };
+}
+
+/**
+ * GET /api/share/scans/:scanId
+ * List the share links of one of the user's scans
+ */
+router.get('/scans/:scanId', authenticate, async (req, res) => {
+  try {
+    const scan = await findReadableScan(req.params.scanId, { user: req.user }, '_id');
+    if (!scan) {
+      return res.status(404).json({
+        success: false,
+        error: 'Scan not found'
+      });
+    }
+
+    const links = await ShareLink.find({ scanId: scan._id }).sort({ createdAt: -1 });
+
+    return res.status(200).json({
+      success: true,
+      links: links.map(formatShareLink)
+    });
+  } catch (error) {
+    console.error('List share links error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to get share links'
+    });
+  }
+});
+
+/**
+ * POST /api/share/scans/:scanId
+ * Create a read-only link to a completed scan's report. The link is only returned now.
+ * Body: { label?, expiresInDays?: 1-365, 0 for no expiry (default 30) }
+ */
+router.post('/scans/:scanId', sanitizeBody, authenticate, requirePermission('share:write'), async (req, res) => {
+  try {
+    const scan = await findReadableScan(req.params.scanId, { user: req.user }, '_id status');
+    if (!scan) {
+      return res.status(404).json({
+        success: false,
+        error: 'Scan not found'
+      });
+    }
+    if (scan.status !== 'completed') {
+      return res.status(400).json({
+        success: false,
+        error: 'Only completed scans can be shared'
+      });
+    }
+
+    const activeLinks = await ShareLink.countDocuments({
+      scanId: scan._id,
+      revokedAt: null,
+      $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+    });
+    if (activeLinks >= MAX_LINKS_PER_SCAN) {
+      return res.status(400).json({
+        success: false,
+        error: `A scan can have up to ${MAX_LINKS_PER_SCAN} active share links. Revoke one first.`
+      });
+    }
+
+    let created;
+    try {
+      created = await createShareLink(scan, req.user, req.body);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    return res.status(201).json({
+      success: true,
+      link: {
+        ...formatShareLink(created.link),
+        url: getShareUrl(created.token)
+      }
+    });
+  } catch (error) {
+    console.error('Create share link error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to create share link'
+    });
+  }
+});
+
+/**
+ * DELETE /api/share/links/:linkId
+ * Revoke a share link (it stops working right away). Its creator can revoke it,
+ * and so can an organization's owners and admins for the organization's scans.
+ */
+router.delete('/links/:linkId', authenticate, async (req, res) => {
+  try {
+    const link = mongoose.isValidObjectId(req.params.linkId)
+      ? await ShareLink.findById(req.params.linkId)
+      : null;
+    const scan = link ? await Scan.findById(link.scanId).select('organizationId') : null;
+    if (!link || !canRevokeShareLink(link, scan, req.user)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Share link not found'
+      });
+    }
+
+    if (!link.revokedAt) {
+      link.revokedAt = new Date();
+      await link.save();
+    }
+
+    return res.status(200).json({
+      success: true,
+      link: formatShareLink(link)
+    });
+  } catch (error) {
+    console.error('Revoke share link error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to revoke share link'
+    });
+  }
+});
+
+/**
+ * GET /api/share/report/:token
+ * Public, read-only report for a share link (no account needed)
+ */
+router.get('/report/:token', reportRateLimiter, async (req, res) => {
+  try {
+    const link = await findActiveShareLink(req.params.token);
+    const scan = link && await Scan.findOne({ _id: link.scanId, status: 'completed' }).select('-job');
+    if (!scan) {
+      return res.status(404).json({
+        success: false,
+        error: 'This report link is invalid, expired or has been revoked'
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      report: toSharedReport(scan),
+      label: link.label || null,
+      expiresAt: link.expiresAt
+    });
+  } catch (error) {
+    console.error('Shared report error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to load report'
+    });
+  }
+});
+
+module.exports = router;
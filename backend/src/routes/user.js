@@ -1,8 +1,10 @@
 const express = require('express');
 const router = express.Router();
-const { authenticate } = require('../middleware/auth');
+const { authenticate, allowApiKey } = require('../middleware/auth');
 const User = require('../models/User');
 const Scan = require('../models/Scan');
+const { normalizeCompetitors } = require('../services/shareOfVoiceService');
+const { getWorkspaceFilter } = require('../services/organizationService');
 
 /**
  * GET /api/user/profile
@@ -32,6 +34,7 @@ router.get('/profile', authenticate, async (req, res) => {
         email: user.email,
         brandName: user.brandName,
         country: user.country,
+        competitors: user.competitors || [],
         attemptsUsed: user.attemptsUsed,
         scans: user.scans,
         createdAt: user.createdAt,
@@ -50,9 +53,9 @@ router.get('/profile', authenticate, async (req, res) => {
 
 /**
  * GET /api/user/scans
- * Get user's scan history
+ * Get user's scan history, including their organization's scans and who ran each
  */
-router.get('/scans', authenticate, async (req, res) => {
+router.get('/scans', allowApiKey('read'), authenticate, async (req, res) => {
   try {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 10;
@@ -61,7 +64,7 @@ router.get('/scans', authenticate, async (req, res) => {
     const skip = (page - 1) * limit;
     
     // Build query
-    const query = { userId: req.user._id };
+    const query = getWorkspaceFilter(req.user);
     if (status && status !== 'all') {
       query.status = status;
     }
@@ -71,16 +74,34 @@ router.get('/scans', authenticate, async (req, res) => {
     }
     
     const scans = await Scan.find(query)
-      .select('url status seo llmVisibility createdAt executionTimeMs')
+      .select('url status seo llmVisibility createdAt executionTimeMs scheduleId userId organizationId')
+      .populate('userId', 'email')
       .sort({ createdAt: -1 })
       .skip(skip)
       .limit(limit);
     
     const total = await Scan.countDocuments(query);
     
+    // Previous completed scan of the same URL, for "compare with previous"
+    const previousScans = await Promise.all(scans.map(scan => (scan.status === 'completed'
+      ? Scan.findOne({
+        ...getWorkspaceFilter(req.user),
+        url: scan.url,
+        status: 'completed',
+        createdAt: { $lt: scan.createdAt }
+      }).sort({ createdAt: -1 }).select('_id').lean()
+      : null)));
+    
     return res.status(200).json({
       success: true,
-      scans,
+      scans: scans.map((scan, index) => {
+        const { userId: runBy, ...fields } = scan.toObject();
+        return {
+          ...fields,
+          runBy: runBy ? { id: runBy._id, email: runBy.email } : null,
+          previousScanId: previousScans[index]?._id || null
+        };
+      }),
       pagination: {
         page,
         limit,
@@ -98,5 +119,49 @@ router.get('/scans', authenticate, async (req, res) => {
   }
 });
 
+/**
+ * GET /api/user/competitors
+ * Get the user's pinned competitors
+ */
+router.get('/competitors', authenticate, async (req, res) => {
+  return res.status(200).json({
+    success: true,
+    competitors: req.user.competitors || []
+  });
+});
+
+/**
+ * PUT /api/user/competitors
+ * Replace the user's pinned competitors
+ * Body: { competitors: [{ name, domain?, aliases?: [] }] }
+ */
+router.put('/competitors', authenticate, async (req, res) => {
+  let competitors;
+  try {
+    competitors = normalizeCompetitors(req.body.competitors);
+  } catch (error) {
+    return res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+  
+  try {
+    req.user.competitors = competitors;
+    await req.user.save();
+    
+    return res.status(200).json({
+      success: true,
+      competitors: req.user.competitors
+    });
+  } catch (error) {
+    console.error('Update competitors error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to update competitors'
+    });
+  }
+});
+
 module.exports = router;
 
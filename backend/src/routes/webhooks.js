@@ -0,0 +1,258 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const WebhookEndpoint = require('../models/WebhookEndpoint');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { sanitizeBody } = require('../middleware/security');
+const {
+  WEBHOOK_EVENTS,
+  MAX_ENDPOINTS,
+  createWebhookSecret,
+  normalizeWebhookInput,
+  redeliverWebhook,
+  formatEndpoint,
+  formatDelivery
+} = require('../services/webhookService');
+const { getWorkspaceFilter, getWorkspaceFields } = require('../services/organizationService');
+
+const MAX_DELIVERIES = 100;
+
+/**
+ * Find one of the user's (or their organization's) endpoints, or send a 404
+ */
+async function findEndpoint(req, res, { withSecret = false } = {}) {
+  const query = mongoose.isValidObjectId(req.params.id)
+    ? WebhookEndpoint.findOne({ _id: req.params.id, ...getWorkspaceFilter(req.user) })
+    : null;
+  const endpoint = query && await (withSecret ? query.select('+secret') : query);
+  if (!endpoint) {
+    res.status(404).json({
+      success: false,
+      error: 'Webhook not found'
+    });
+  }
+  return endpoint;
+}
+
+/**
+ * GET /api/webhooks
+ * List the user's and their organization's webhook endpoints
+ */
+router.get('/', authenticate, requirePermission('integrations:manage'), async (req, res) => {
+  try {
+    const endpoints = await WebhookEndpoint.find(getWorkspaceFilter(req.user)).sort({ createdAt: -1 });
+
+    return res.status(200).json({
+      success: true,
+      endpoints: endpoints.map(formatEndpoint),
+      events: WEBHOOK_EVENTS,
+      maxEndpoints: MAX_ENDPOINTS
+    });
+  } catch (error) {
+    console.error('List webhooks error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to get webhooks'
+    });
+  }
+});
+
+/**
+ * POST /api/webhooks
+ * Register an endpoint. The signing secret is only returned now.
+ * Body: { url, events: ['scan.completed', ...], description? }
+ */
+router.post('/', sanitizeBody, authenticate, requirePermission('integrations:manage'), async (req, res) => {
+  let fields;
+  try {
+    fields = normalizeWebhookInput(req.body);
+  } catch (error) {
+    return res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+
+  try {
+    if (await WebhookEndpoint.countDocuments(getWorkspaceFilter(req.user)) >= MAX_ENDPOINTS) {
+      return res.status(400).json({
+        success: false,
+        error: `You can have up to ${MAX_ENDPOINTS} webhooks`
+      });
+    }
+
+    const secret = createWebhookSecret();
+    const endpoint = await WebhookEndpoint.create({
+      ...fields,
+      ...getWorkspaceFields(req.user),
+      secret
+    });
+
+    return res.status(201).json({
+      success: true,
+      endpoint: formatEndpoint(endpoint),
+      secret
+    });
+  } catch (error) {
+    console.error('Create webhook error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to create webhook'
+    });
+  }
+});
+
+/**
+ * PUT /api/webhooks/:id
+ * Update an endpoint
+ * Body: any of { url, events, description, enabled }
+ */
+router.put('/:id', sanitizeBody, authenticate, requirePermission('integrations:manage'), async (req, res) => {
+  let fields;
+  try {
+    fields = normalizeWebhookInput(req.body, { partial: true });
+  } catch (error) {
+    return res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+
+  try {
+    const endpoint = await findEndpoint(req, res);
+    if (!endpoint) return;
+
+    Object.assign(endpoint, fields);
+    await endpoint.save();
+
+    return res.status(200).json({
+      success: true,
+      endpoint: formatEndpoint(endpoint)
+    });
+  } catch (error) {
+    console.error('Update webhook error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to update webhook'
+    });
+  }
+});
+
+/**
+ * DELETE /api/webhooks/:id
+ * Delete an endpoint and its delivery log
+ */
+router.delete('/:id', authenticate, requirePermission('integrations:manage'), async (req, res) => {
+  try {
+    const endpoint = await findEndpoint(req, res);
+    if (!endpoint) return;
+
+    await WebhookDelivery.deleteMany({ endpointId: endpoint._id });
+    await endpoint.deleteOne();
+
+    return res.status(200).json({
+      success: true,
+      message: 'Webhook deleted'
+    });
+  } catch (error) {
+    console.error('Delete webhook error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to delete webhook'
+    });
+  }
+});
+
+/**
+ * POST /api/webhooks/:id/rotate-secret
+ * Replace the signing secret; deliveries are signed with the new one right away
+ */
+router.post('/:id/rotate-secret', authenticate, requirePermission('integrations:manage'), async (req, res) => {
+  try {
+    const endpoint = await findEndpoint(req, res);
+    if (!endpoint) return;
+
+    const secret = createWebhookSecret();
+    endpoint.secret = secret;
+    await endpoint.save();
+
+    return res.status(200).json({
+      success: true,
+      endpoint: formatEndpoint(endpoint),
+      secret
+    });
+  } catch (error) {
+    console.error('Rotate webhook secret error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to rotate webhook secret'
+    });
+  }
+});
+
+/**
+ * GET /api/webhooks/:id/deliveries
+ * An endpoint's delivery log, newest first
+ * Query: status? (pending | succeeded | failed), limit? (default 25, max 100)
+ */
+router.get('/:id/deliveries', authenticate, requirePermission('integrations:manage'), async (req, res) => {
+  try {
+    const endpoint = await findEndpoint(req, res);
+    if (!endpoint) return;
+
+    const query = { endpointId: endpoint._id };
+    if (['pending', 'succeeded', 'failed'].includes(req.query.status)) {
+      query.status = req.query.status;
+    }
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 25, 1), MAX_DELIVERIES);
+    const deliveries = await WebhookDelivery.find(query).sort({ createdAt: -1 }).limit(limit);
+
+    return res.status(200).json({
+      success: true,
+      deliveries: deliveries.map(formatDelivery)
+    });
+  } catch (error) {
+    console.error('List webhook deliveries error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to get webhook deliveries'
+    });
+  }
+});
+
+/**
+ * POST /api/webhooks/:id/deliveries/:deliveryId/redeliver
+ * Send a delivery's payload again (same event id, new delivery)
+ */
+router.post('/:id/deliveries/:deliveryId/redeliver', authenticate, requirePermission('integrations:manage'), async (req, res) => {
+  try {
+    const endpoint = await findEndpoint(req, res, { withSecret: true });
+    if (!endpoint) return;
+
+    const delivery = mongoose.isValidObjectId(req.params.deliveryId)
+      ? await WebhookDelivery.findOne({ _id: req.params.deliveryId, endpointId: endpoint._id })
+      : null;
+    if (!delivery) {
+      return res.status(404).json({
+        success: false,
+        error: 'Delivery not found'
+      });
+    }
+
+    const redelivery = await redeliverWebhook(delivery, endpoint);
+
+    return res.status(200).json({
+      success: true,
+      delivery: formatDelivery(redelivery)
+    });
+  } catch (error) {
+    console.error('Redeliver webhook error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to redeliver webhook'
+    });
+  }
+});
+
+module.exports = router;
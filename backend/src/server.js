@@ -1,6 +1,12 @@
 require('dotenv').config();
 const app = require('./app');
 const connectDB = require('./config/database');
+const { startScanQueue } = require('./services/scanQueueService');
+const { startHealthCheckSchedule } = require('./services/modelHealthCheckService');
+const { startScanScheduler } = require('./services/scheduledScanService');
+const { startAlertDigestScheduler } = require('./services/alertService');
+const { startWebhookRetryScheduler } = require('./services/webhookService');
+const { startBatchScheduler } = require('./services/batchScanService');
 
 const PORT = process.env.PORT || 5000;
 
@@ -14,5 +20,25 @@ app.listen(PORT, async () => {
   console.log(`🌍 Environment: ${process.env.NODE_ENV}`);
   console.log(`⏰ Started at: ${new Date().toLocaleString()}\n`);
   
-  // Model health check disabled on startup (can be run manually via npm run check-models)
+  // Start scan workers (also recovers scans left in 'processing' by a previous run)
+  startScanQueue().catch(error => {
+    console.error('Failed to start scan queue:', error.message);
+  });
+  
+  // Scheduled model health checks feed multi-LLM routing (MODEL_HEALTH_CHECK_INTERVAL_MINUTES, 0 disables)
+  startHealthCheckSchedule().catch(error => {
+    console.error('Failed to start model health checks:', error.message);
+  });
+  
+  // Recurring scans users scheduled (SCAN_SCHEDULER_INTERVAL_MINUTES, 0 disables)
+  startScanScheduler();
+  
+  // Daily/weekly alert digests (ALERT_DIGEST_INTERVAL_MINUTES, 0 disables)
+  startAlertDigestScheduler();
+  
+  // Retries for failed webhook deliveries (WEBHOOK_RETRY_INTERVAL_MINUTES, 0 disables)
+  startWebhookRetryScheduler();
+  
+  // Queues batch scans a few URLs per host at a time (BATCH_SCAN_INTERVAL_SECONDS, 0 disables)
+  startBatchScheduler();
 });
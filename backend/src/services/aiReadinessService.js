@@ -0,0 +1,362 @@
+/**
+ * AI Readiness Service
+ * Checks how well a site is prepared for AI assistants and answer engines.
+ *
+ * - /llms.txt and /llms-full.txt, parsed against the llmstxt.org proposal:
+ *   an H1 title (required), an optional blockquote summary, optional detail
+ *   text and H2 sections listing links as `- [name](url): notes`
+ * - Links in llms.txt are fetched (up to a limit) to catch broken entries
+ * - Page-level AI directives from X-Robots-Tag headers and robots meta tags
+ *   (noai, noimageai, noindex, nosnippet), including per-crawler meta tags
+ */
+
+const axios = require('axios');
+const { URL } = require('url');
+const { validateUrlSecurity } = require('../middleware/security');
+const { KNOWN_CRAWLERS } = require('./robotsTxtService');
+
+const MAX_LLMS_BYTES = 5 * 1024 * 1024; // llms-full.txt can be large
+const MAX_LINK_CHECKS = 15;
+const LINK_CHECK_CONCURRENCY = 3;
+const FETCH_TIMEOUT_MS = 10000;
+const USER_AGENT = 'OptiSenseAI-Bot/1.0 (SEO Analysis Tool)';
+
+// Directives that affect whether AI systems may use the page
+const AI_DIRECTIVES = ['noai', 'noimageai', 'noindex', 'nosnippet', 'none'];
+
+// X-Robots-Tag directives that take a value (so "name: value" is not an agent prefix)
+const VALUED_DIRECTIVES = ['max-snippet', 'max-image-preview', 'max-video-preview', 'unavailable_after'];
+
+// Meta names that carry robots directives: the generic one plus per-crawler ones
+const DIRECTIVE_META_NAMES = ['robots', ...KNOWN_CRAWLERS.map(crawler => crawler.token)];
+
+/**
+ * Parse llms.txt markdown against the llmstxt.org format
+ * @param {string} content - Raw llms.txt
+ * @param {string} fileUrl - URL the file was fetched from (to resolve relative links)
+ * @returns {Object} { title, summary, details, sections, linkCount, errors, warnings }
+ */
+function parseLlmsTxt(content = '', fileUrl = null) {
+  const lines = String(content).replace(/^\uFEFF/, '').split(/\r\n|\r|\n/);
+  const errors = [];
+  const warnings = [];
+  const sections = [];
+  const summaryLines = [];
+  let title = null;
+  let details = 0;
+  let current = null;
+  let seenContent = false;
+  let malformedItems = 0;
+
+  lines.forEach(rawLine => {
+    const line = rawLine.trim();
+    if (!line) return;
+
+    const h1 = line.match(/^#\s+(.+)$/);
+    if (h1) {
+      if (title) {
+        errors.push('More than one H1 heading (only the title may be an H1)');
+      } else if (seenContent) {
+        errors.push('H1 title must be the first line');
+        title = h1[1].trim();
+      } else {
+        title = h1[1].trim();
+      }
+      seenContent = true;
+      return;
+    }
+    seenContent = true;
+
+    const h2 = line.match(/^##\s+(.+)$/);
+    if (h2) {
+      current = { title: h2[1].trim(), optional: /^optional$/i.test(h2[1].trim()), links: [] };
+      sections.push(current);
+      return;
+    }
+
+    // Blockquote summary belongs before the first section
+    if (line.startsWith('>') && !current) {
+      summaryLines.push(line.replace(/^>\s?/, ''));
+      return;
+    }
+
+    if (current && /^[-*+]\s/.test(line)) {
+      const item = line.match(/^[-*+]\s+\[([^\]]+)\]\(([^)\s]+)\)(?::\s*(.*))?$/);
+      if (!item) {
+        malformedItems++;
+        return;
+      }
+      let url = item[2];
+      try {
+        url = new URL(item[2], fileUrl || undefined).href;
+      } catch (e) {
+        // Keep as written - reported as broken when checked
+      }
+      current.links.push({ title: item[1].trim(), url, notes: item[3]?.trim() || null });
+      return;
+    }
+
+    if (!current) details++;
+  });
+
+  if (!title) {
+    errors.push('Missing H1 title (the only required section)');
+  }
+  if (summaryLines.length === 0) {
+    warnings.push('No blockquote summary after the title');
+  }
+  if (malformedItems > 0) {
+    warnings.push(`${malformedItems} list items in link sections are not in "- [name](url): notes" form`);
+  }
+
+  const linkCount = sections.reduce((sum, section) => sum + section.links.length, 0);
+  if (sections.length > 0 && linkCount === 0) {
+    warnings.push('Sections contain no links');
+  }
+
+  return {
+    title,
+    summary: summaryLines.join(' ').trim() || null,
+    details,
+    sections,
+    linkCount,
+    errors,
+    warnings
+  };
+}
+
+/**
+ * Parse directives from an X-Robots-Tag header value
+ * Values may be agent-scoped ("GPTBot: noindex") or apply to all crawlers
+ * @returns {Array<Object>} [{ agent, directives }] - agent is null for all crawlers
+ */
+function parseXRobotsTag(value) {
+  if (!value) return [];
+  const headerValues = Array.isArray(value) ? value : [value];
+  const groups = [];
+
+  headerValues.forEach(headerValue => {
+    let agent = null;
+    String(headerValue).split(',').forEach(rawPart => {
+      let part = rawPart.trim().toLowerCase();
+      if (!part) return;
+
+      const scoped = part.match(/^([a-z0-9_-]+)\s*:\s*(.*)$/);
+      if (scoped && !VALUED_DIRECTIVES.includes(scoped[1])) {
+        agent = scoped[1];
+        part = scoped[2].trim();
+      }
+      if (!part) return;
+
+      let group = groups.find(g => g.agent === agent);
+      if (!group) {
+        group = { agent, directives: [] };
+        groups.push(group);
+      }
+      group.directives.push(part);
+    });
+  });
+
+  return groups;
+}
+
+/**
+ * Collect AI-relevant directives for a page
+ * @param {Object} $ - Cheerio instance for the page
+ * @param {string|Array} xRobotsTag - X-Robots-Tag response header
+ * @returns {Object} { sources, noai, noimageai, noindex, nosnippet, xRobotsTag }
+ */
+function analyzeAiDirectives($, xRobotsTag) {
+  const sources = [];
+
+  parseXRobotsTag(xRobotsTag).forEach(group => {
+    sources.push({ source: 'X-Robots-Tag', agent: group.agent, directives: group.directives });
+  });
+
+  $('meta[name]').each((i, el) => {
+    const name = ($(el).attr('name') || '').toLowerCase();
+    if (!DIRECTIVE_META_NAMES.includes(name)) return;
+    const directives = ($(el).attr('content') || '')
+      .toLowerCase()
+      .split(',')
+      .map(directive => directive.trim())
+      .filter(Boolean);
+    if (directives.length > 0) {
+      sources.push({ source: 'meta', agent: name === 'robots' ? null : name, directives });
+    }
+  });
+
+  // A directive counts if it applies to everyone or to one of the crawlers we track
+  const trackedAgents = KNOWN_CRAWLERS.map(crawler => crawler.token);
+  const applies = (directive) => sources.some(source =>
+    (source.agent === null || trackedAgents.includes(source.agent)) &&
+    source.directives.includes(directive)
+  );
+
+  return {
+    xRobotsTag: xRobotsTag ? [].concat(xRobotsTag).join(', ') : null,
+    sources: sources.filter(source => source.directives.some(d => AI_DIRECTIVES.includes(d)) || source.source === 'X-Robots-Tag'),
+    noai: applies('noai'),
+    noimageai: applies('noimageai'),
+    noindex: applies('noindex') || applies('none'),
+    nosnippet: applies('nosnippet')
+  };
+}
+
+/**
+ * Whether we may fetch a URL (public http/https hosts only)
+ */
+function isFetchable(url) {
+  try {
+    validateUrlSecurity(url);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Check one URL linked from llms.txt (HEAD, falling back to GET)
+ */
+async function checkLinkedUrl(url) {
+  if (!isFetchable(url)) {
+    return { url, status: null, error: 'Not a public http(s) URL' };
+  }
+
+  const request = (method) => axios({
+    method,
+    url,
+    timeout: FETCH_TIMEOUT_MS,
+    maxRedirects: 5,
+    maxContentLength: MAX_LLMS_BYTES,
+    validateStatus: () => true,
+    headers: { 'User-Agent': USER_AGENT }
+  });
+
+  try {
+    let response = await request('head');
+    // Some servers don't implement HEAD
+    if (response.status === 405 || response.status === 501) {
+      response = await request('get');
+    }
+    return { url, status: response.status };
+  } catch (error) {
+    return { url, status: null, error: error.message };
+  }
+}
+
+/**
+ * Check linked URLs with limited concurrency
+ */
+async function checkLinks(links) {
+  const results = [];
+  for (let i = 0; i < links.length; i += LINK_CHECK_CONCURRENCY) {
+    const batch = links.slice(i, i + LINK_CHECK_CONCURRENCY);
+    results.push(...await Promise.all(batch.map(link => checkLinkedUrl(link.url))));
+  }
+  return results;
+}
+
+/**
+ * Fetch and validate /llms.txt or /llms-full.txt
+ * @param {string} baseUrl - Site origin
+ * @param {string} path - '/llms.txt' or '/llms-full.txt'
+ * @param {Object} options
+ * @param {boolean} options.checkLinks - Fetch linked URLs (llms.txt only)
+ * @returns {Promise<Object>} File report
+ */
+async function checkLlmsFile(baseUrl, path, options = {}) {
+  const url = `${baseUrl}${path}`;
+
+  try {
+    const response = await axios.get(url, {
+      timeout: FETCH_TIMEOUT_MS,
+      maxRedirects: 5,
+      maxContentLength: MAX_LLMS_BYTES,
+      responseType: 'text',
+      validateStatus: () => true,
+      headers: { 'User-Agent': USER_AGENT }
+    });
+
+    if (response.status !== 200) {
+      return { exists: false, url, status: response.status };
+    }
+
+    const content = String(response.data || '');
+    const contentType = String(response.headers['content-type'] || '');
+    // SPA hosts often answer every path with the app's index.html
+    if (contentType.includes('html') || /^\s*<(!doctype|html)/i.test(content)) {
+      return { exists: false, url, status: response.status, servedHtml: true };
+    }
+
+    const parsed = parseLlmsTxt(content, url);
+    const report = {
+      exists: true,
+      url,
+      status: response.status,
+      size: Buffer.byteLength(content),
+      contentType: contentType || null,
+      title: parsed.title,
+      summary: parsed.summary,
+      sections: parsed.sections.map(section => ({
+        title: section.title,
+        optional: section.optional,
+        linkCount: section.links.length
+      })),
+      linkCount: parsed.linkCount,
+      errors: parsed.errors,
+      warnings: parsed.warnings
+    };
+
+    if (options.checkLinks && parsed.linkCount > 0) {
+      const links = parsed.sections.flatMap(section => section.links).slice(0, MAX_LINK_CHECKS);
+      const results = await checkLinks(links);
+      report.linkCheck = {
+        checked: results.length,
+        broken: results.filter(result => result.status !== 200).map(result => ({
+          url: result.url,
+          status: result.status,
+          error: result.error
+        }))
+      };
+    }
+
+    return report;
+  } catch (error) {
+    return { exists: false, url, status: null, error: error.message };
+  }
+}
+
+/**
+ * Run the AI readiness audit for a page
+ * @param {string} baseUrl - Site origin
+ * @param {Object} page
+ * @param {Object} page.$ - Cheerio instance for the page
+ * @param {string|Array} page.xRobotsTag - X-Robots-Tag response header
+ * @param {Object} options
+ * @param {boolean} options.skipSiteChecks - Only check page directives (crawler checks llms.txt once)
+ * @returns {Promise<Object>} { directives, llmsTxt?, llmsFullTxt? }
+ */
+async function analyzeAiReadiness(baseUrl, page, options = {}) {
+  const result = {
+    directives: analyzeAiDirectives(page.$, page.xRobotsTag)
+  };
+
+  if (!options.skipSiteChecks) {
+    const [llmsTxt, llmsFullTxt] = await Promise.all([
+      checkLlmsFile(baseUrl, '/llms.txt', { checkLinks: true }),
+      checkLlmsFile(baseUrl, '/llms-full.txt')
+    ]);
+    result.llmsTxt = llmsTxt;
+    result.llmsFullTxt = llmsFullTxt;
+  }
+
+  return result;
+}
+
+module.exports = {
+  analyzeAiReadiness,
+  parseLlmsTxt,
+  parseXRobotsTag,
+  analyzeAiDirectives
+};
@@ -0,0 +1,465 @@
+/**
+ * Alert Service
+ * Regression alerts: when a user's scan finishes it is compared with their
+ * previous completed scan of the same URL (see scanDiffService) and checked
+ * against their alert rules (User.alertSettings). Alerts that fire are stored
+ * (models/Alert.js) and delivered by email and as a signed `scan.alerts`
+ * webhook event (see webhookService) to the webhooks of the scan's workspace,
+ * either right away or bundled into a daily or weekly digest.
+ *
+ * Digests are sent by an in-process scheduler every
+ * ALERT_DIGEST_INTERVAL_MINUTES (default 15, 0 disables), started from server.js.
+ */
+
+const Alert = require('../models/Alert');
+const Scan = require('../models/Scan');
+const User = require('../models/User');
+const WebhookEndpoint = require('../models/WebhookEndpoint');
+const { diffScans } = require('./scanDiffService');
+const { createEmailTransporter, getEmailSender } = require('./authService');
+const { emitWebhookEvent, createWebhookSecret } = require('./webhookService');
+const { getWorkspaceFilter, getWorkspaceFields } = require('./organizationService');
+
+// Rule types; rules with a threshold fire at or above it
+const ALERT_RULE_TYPES = {
+  visibilityDrop: { label: 'LLM visibility drops by at least N points', defaultThreshold: 15, min: 1, max: 100 },
+  noindex: { label: 'Page becomes noindex' },
+  newWarnings: { label: 'At least N new SEO warnings', defaultThreshold: 1, min: 1, max: 50 },
+  statusChange: { label: 'HTTP status code changes' },
+  metaChange: { label: 'Title or meta description changes' },
+  citationsLost: { label: 'At least N citations lost', defaultThreshold: 1, min: 1, max: 100 }
+};
+const DIGEST_FREQUENCIES = ['off', 'daily', 'weekly'];
+const DIGEST_PERIOD_MS = { daily: 24 * 60 * 60 * 1000, weekly: 7 * 24 * 60 * 60 * 1000 };
+const DEFAULT_INTERVAL_MINUTES = 15;
+const MAX_DIGEST_ALERTS = 100;
+
+const digestState = {
+  timer: null,
+  intervalMs: null,
+  running: false
+};
+
+/**
+ * Validate alert settings from a request
+ * @param {Object} body - { enabled?, rules?: [{ type, threshold? }], email?, digest? }
+ * @param {Object} current - The user's saved settings
+ * @param {Date} now - Switching to a digest starts its first period now
+ * @returns {Object} Settings to save
+ */
+function normalizeAlertSettings(body, current = {}, now = new Date()) {
+  const settings = {
+    enabled: body.enabled !== undefined ? body.enabled === true || body.enabled === 'true' : !!current.enabled,
+    rules: current.rules || [],
+    email: body.email !== undefined ? body.email === true || body.email === 'true' : current.email !== false,
+    digest: current.digest || 'off'
+  };
+
+  if (body.rules !== undefined) {
+    if (!Array.isArray(body.rules)) {
+      throw new Error('Rules must be an array');
+    }
+    const byType = new Map();
+    body.rules.forEach(rule => {
+      const ruleType = ALERT_RULE_TYPES[rule?.type];
+      if (!ruleType) {
+        throw new Error(`Unknown alert rule: ${rule?.type}. Use one of: ${Object.keys(ALERT_RULE_TYPES).join(', ')}`);
+      }
+      const normalized = { type: rule.type };
+      if (ruleType.defaultThreshold !== undefined) {
+        const threshold = rule.threshold === undefined || rule.threshold === null || rule.threshold === ''
+          ? ruleType.defaultThreshold
+          : Number(rule.threshold);
+        if (!Number.isFinite(threshold) || threshold < ruleType.min || threshold > ruleType.max) {
+          throw new Error(`Threshold for ${rule.type} must be between ${ruleType.min} and ${ruleType.max}`);
+        }
+        normalized.threshold = threshold;
+      }
+      byType.set(rule.type, normalized);
+    });
+    settings.rules = [...byType.values()];
+  }
+
+  if (body.digest !== undefined) {
+    if (!DIGEST_FREQUENCIES.includes(body.digest)) {
+      throw new Error(`Digest must be one of: ${DIGEST_FREQUENCIES.join(', ')}`);
+    }
+    settings.digest = body.digest;
+    if (body.digest !== 'off' && body.digest !== (current.digest || 'off')) {
+      settings.lastDigestAt = now;
+    }
+  }
+
+  return settings;
+}
+
+/**
+ * Whether a webhook in the user's workspace is subscribed to alerts, i.e.
+ * somewhere to receive them besides email
+ */
+async function hasAlertWebhook(user) {
+  return !!await WebhookEndpoint.exists({ ...getWorkspaceFilter(user), enabled: true, events: 'scan.alerts' });
+}
+
+/**
+ * Turn a webhook URL saved with the old alert settings into a webhook in the
+ * user's workspace subscribed to `scan.alerts`, so its alerts are signed and retried
+ * @param {Object} user - User with alertSettings and organizationId selected
+ */
+async function convertLegacyAlertWebhook(user) {
+  const webhookUrl = user.alertSettings?.webhookUrl;
+  if (!webhookUrl) return;
+
+  // Only the process that clears the URL creates the endpoint
+  const claimed = await User.updateOne(
+    { _id: user._id, 'alertSettings.webhookUrl': webhookUrl },
+    { $unset: { 'alertSettings.webhookUrl': '' } }
+  );
+  user.alertSettings.webhookUrl = undefined;
+  if (claimed.modifiedCount === 0) return;
+
+  await WebhookEndpoint.create({
+    ...getWorkspaceFields(user),
+    url: webhookUrl,
+    description: 'Alert webhook',
+    events: ['scan.alerts'],
+    secret: createWebhookSecret()
+  });
+}
+
+/**
+ * Alert rules that fire for a scan diff
+ * @param {Object} diff - From scanDiffService.diffScans
+ * @param {Array} rules - [{ type, threshold? }]
+ * @returns {Array} [{ type, message, details }]
+ */
+function evaluateAlertRules(diff, rules = []) {
+  const events = [];
+  const seo = diff.seo;
+
+  rules.forEach(rule => {
+    const threshold = rule.threshold ?? ALERT_RULE_TYPES[rule.type]?.defaultThreshold;
+
+    if (rule.type === 'visibilityDrop') {
+      const { before, after, delta, comparable } = diff.visibility;
+      // A different prompt set makes the percentages incomparable
+      if (comparable && delta <= -threshold) {
+        events.push({
+          type: rule.type,
+          message: `LLM visibility dropped ${Math.abs(delta)} points (${before}% → ${after}%)`,
+          details: diff.visibility
+        });
+      }
+    } else if (rule.type === 'noindex') {
+      if (seo?.noindex?.after) {
+        events.push({ type: rule.type, message: 'Page is now noindex: search engines and AI crawlers are told not to index it', details: seo.noindex });
+      }
+    } else if (rule.type === 'newWarnings') {
+      if (seo && seo.warningsAdded.length >= threshold) {
+        events.push({
+          type: rule.type,
+          message: `${seo.warningsAdded.length} new SEO warning${seo.warningsAdded.length === 1 ? '' : 's'}`,
+          details: { warnings: seo.warningsAdded }
+        });
+      }
+    } else if (rule.type === 'statusChange') {
+      // Compared even when SEO analysis failed on an error status (e.g. 200 → 404)
+      const change = diff.statusCode;
+      if (change) {
+        events.push({ type: rule.type, message: `Status code changed from ${change.before} to ${change.after}`, details: { field: 'statusCode', ...change } });
+      }
+    } else if (rule.type === 'metaChange') {
+      (seo?.changes || [])
+        .filter(change => change.field === 'title' || change.field === 'metaDescription')
+        .forEach(change => {
+          events.push({
+            type: rule.type,
+            message: `${change.field === 'title' ? 'Title' : 'Meta description'} changed from "${change.before ?? ''}" to "${change.after ?? ''}"`,
+            details: change
+          });
+        });
+    } else if (rule.type === 'citationsLost') {
+      const lost = diff.citations.lost.reduce((sum, prompt) => sum + prompt.citations.length, 0);
+      if (lost > 0 && lost >= threshold) {
+        events.push({
+          type: rule.type,
+          message: `Lost ${lost} citation${lost === 1 ? '' : 's'} across ${diff.citations.lost.length} prompt${diff.citations.lost.length === 1 ? '' : 's'}`,
+          details: { prompts: diff.citations.lost }
+        });
+      }
+    }
+  });
+
+  return events;
+}
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Email for one or more alerts (a digest when there are several)
+ * @param {Array} alerts - Alert documents or plain objects
+ * @returns {Object} { subject, html, text }
+ */
+function buildAlertEmail(alerts, { digest = false } = {}) {
+  const eventCount = alerts.reduce((sum, alert) => sum + alert.events.length, 0);
+  const subject = digest
+    ? `OptiSenseAI alert digest: ${eventCount} alert${eventCount === 1 ? '' : 's'} for ${alerts.length} scan${alerts.length === 1 ? '' : 's'}`
+    : `OptiSenseAI alert: ${alerts[0].events[0].message} (${alerts[0].url})`;
+
+  const html = `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+          <h2 style="color: #6366F1; margin-bottom: 20px;">${digest ? 'Alert Digest' : 'Scan Alert'}</h2>
+          ${alerts.map(alert => `
+          <h3 style="color: #374151; font-size: 16px; margin: 20px 0 8px;">${escapeHtml(alert.url)}</h3>
+          <p style="color: #9ca3af; font-size: 12px; margin: 0 0 8px;">Compared with the previous scan on ${new Date(alert.createdAt || Date.now()).toUTCString()}</p>
+          <ul style="color: #374151; font-size: 14px; padding-left: 20px;">
+            ${alert.events.map(event => `<li style="margin-bottom: 6px;">${escapeHtml(event.message)}</li>`).join('')}
+          </ul>`).join('')}
+          <p style="color: #9ca3af; font-size: 12px; margin-top: 30px; padding-top: 20px; border-top: 1px solid #e5e7eb;">You are receiving this because you set up alert rules in OptiSenseAI. Change them in your account settings.</p>
+        </div>
+      `;
+
+  const text = alerts
+    .map(alert => `${alert.url}\n${alert.events.map(event => `- ${event.message}`).join('\n')}`)
+    .join('\n\n') + '\n\nChange your alert rules in your OptiSenseAI account settings.';
+
+  return { subject, html, text };
+}
+
+async function sendAlertEmail(user, alerts, options) {
+  if (!process.env.SMTP_USER) {
+    if (process.env.NODE_ENV === 'development') {
+      console.log(`📧 SMTP not configured, alert email for ${user.email} not sent`);
+    }
+    return 'skipped';
+  }
+
+  const transporter = createEmailTransporter();
+  await transporter.sendMail({
+    from: getEmailSender(),
+    to: user.email,
+    ...buildAlertEmail(alerts, options)
+  });
+  return 'sent';
+}
+
+/**
+ * Data of a `scan.alerts` webhook event
+ */
+function buildAlertEventData(alerts, { digest = false } = {}) {
+  return {
+    digest,
+    alerts: alerts.map(alert => ({
+      id: alert._id,
+      url: alert.url,
+      scanId: alert.scanId,
+      previousScanId: alert.previousScanId,
+      createdAt: alert.createdAt,
+      events: alert.events
+    }))
+  };
+}
+
+/**
+ * Send alerts to the webhooks of their scans' workspaces, one event per
+ * workspace; failed deliveries are retried by webhookService
+ * @returns {Promise<string|null>} 'sent', 'retrying', or null without a subscribed webhook
+ */
+async function sendAlertWebhooks(user, alerts, options) {
+  await convertLegacyAlertWebhook(user);
+
+  const byWorkspace = new Map();
+  alerts.forEach(alert => {
+    const key = String(alert.organizationId || '');
+    byWorkspace.set(key, [...(byWorkspace.get(key) || []), alert]);
+  });
+
+  const deliveries = [];
+  for (const workspaceAlerts of byWorkspace.values()) {
+    const owner = { userId: user._id, organizationId: workspaceAlerts[0].organizationId || null };
+    deliveries.push(...await emitWebhookEvent('scan.alerts', owner, buildAlertEventData(workspaceAlerts, options)));
+  }
+  if (deliveries.length === 0) return null;
+  return deliveries.some(delivery => delivery.status === 'succeeded') ? 'sent' : 'retrying';
+}
+
+/**
+ * Send alerts on every channel the user chose and record the outcome
+ * An alert counts as sent if at least one channel delivered it.
+ */
+async function deliverAlerts(user, alerts, options = {}) {
+  const settings = user.alertSettings || {};
+  const delivery = {};
+
+  if (settings.email !== false) {
+    try {
+      delivery.email = await sendAlertEmail(user, alerts, options);
+    } catch (error) {
+      console.error(`Alert email to user ${user._id} failed:`, error.message);
+      delivery.email = `failed: ${error.message}`;
+    }
+  }
+
+  try {
+    const webhook = await sendAlertWebhooks(user, alerts, options);
+    if (webhook) delivery.webhook = webhook;
+  } catch (error) {
+    console.error(`Alert webhooks for user ${user._id} failed:`, error.message);
+    delivery.webhook = `failed: ${error.message}`;
+  }
+
+  const outcomes = Object.values(delivery);
+  const status = outcomes.length > 0 && outcomes.every(outcome => outcome.startsWith('failed')) ? 'failed' : 'sent';
+  await Alert.updateMany(
+    { _id: { $in: alerts.map(alert => alert._id) } },
+    { $set: { status, delivery, sentAt: new Date() } }
+  );
+  return status;
+}
+
+/**
+ * Compare a finished scan with the user's previous scan of the URL in the same
+ * workspace and raise alerts
+ * Called by scanQueueService after a scan completes.
+ * @param {Object} scan - Completed Scan
+ * @returns {Promise<Object|null>} The Alert, or null when no rule fired
+ */
+async function processScanAlerts(scan) {
+  if (!scan.userId) return null;
+
+  const user = await User.findById(scan.userId).select('email organizationId alertSettings');
+  const settings = user?.alertSettings;
+  if (!settings?.enabled || !settings.rules?.length) return null;
+
+  const previous = await Scan.findOne({
+    _id: { $ne: scan._id },
+    userId: scan.userId,
+    // Same workspace: a personal scan is never compared with an organization one
+    organizationId: scan.organizationId || null,
+    url: scan.url,
+    status: 'completed',
+    createdAt: { $lt: scan.createdAt }
+  })
+    .sort({ createdAt: -1 })
+    .select('-seo.extractedText -llmVisibility.details.response -llmVisibility.details.parsedResponse')
+    .lean();
+  if (!previous) return null;
+
+  const diff = diffScans(previous, scan.toObject ? scan.toObject() : scan);
+  const events = evaluateAlertRules(diff, settings.rules);
+  if (events.length === 0) return null;
+
+  const alert = await Alert.create({
+    userId: user._id,
+    organizationId: scan.organizationId || null,
+    url: scan.url,
+    scanId: scan._id,
+    previousScanId: previous._id,
+    events
+  });
+
+  if (process.env.NODE_ENV === 'development') {
+    console.log(`🚨 ${events.length} alert(s) for scan ${scan._id}${settings.digest !== 'off' ? ` (queued for ${settings.digest} digest)` : ''}`);
+  }
+
+  if (settings.digest === 'off') {
+    alert.status = await deliverAlerts(user, [alert]);
+  }
+  return alert;
+}
+
+/**
+ * Send the digest to every user whose digest is due
+ * @returns {Promise<number>} Number of digests sent
+ */
+async function flushAlertDigests(now = new Date()) {
+  const userIds = await Alert.distinct('userId', { status: 'pending' });
+
+  let sent = 0;
+  for (const userId of userIds) {
+    const user = await User.findById(userId).select('email organizationId alertSettings');
+    if (!user) continue;
+
+    const { digest = 'off', lastDigestAt = null } = user.alertSettings || {};
+    // Alerts left pending after switching digests off go out on the next tick
+    const period = DIGEST_PERIOD_MS[digest] || 0;
+    if (lastDigestAt && now - lastDigestAt < period) continue;
+
+    // Claim the digest so several server processes never send it twice
+    const claimed = await User.updateOne(
+      { _id: userId, 'alertSettings.lastDigestAt': lastDigestAt },
+      { $set: { 'alertSettings.lastDigestAt': now } }
+    );
+    if (claimed.modifiedCount === 0) continue;
+    // A digest that never went out (turned on before its start was recorded) starts its first period now
+    if (!lastDigestAt && period > 0) continue;
+
+    const alerts = await Alert.find({ userId, status: 'pending' })
+      .sort({ createdAt: 1 })
+      .limit(MAX_DIGEST_ALERTS);
+    if (alerts.length === 0) continue;
+
+    await deliverAlerts(user, alerts, { digest: true });
+    sent++;
+  }
+
+  return sent;
+}
+
+async function runDigestTick() {
+  if (digestState.running) return;
+  digestState.running = true;
+
+  try {
+    await flushAlertDigests();
+  } catch (error) {
+    console.error('Alert digest run failed:', error.message);
+  } finally {
+    digestState.running = false;
+  }
+}
+
+/**
+ * Check for due alert digests every ALERT_DIGEST_INTERVAL_MINUTES (default 15, 0 disables)
+ * Called once from server.js
+ */
+function startAlertDigestScheduler() {
+  if (digestState.intervalMs !== null) return;
+
+  const minutes = parseFloat(process.env.ALERT_DIGEST_INTERVAL_MINUTES || DEFAULT_INTERVAL_MINUTES);
+  if (!(minutes > 0)) {
+    console.log('🚨 Alert digests disabled');
+    return;
+  }
+  digestState.intervalMs = minutes * 60 * 1000;
+  digestState.timer = setInterval(runDigestTick, digestState.intervalMs);
+
+  console.log(`🚨 Alert digests checking every ${minutes} min`);
+}
+
+/**
+ * Stop the digest scheduler
+ */
+function stopAlertDigestScheduler() {
+  clearInterval(digestState.timer);
+  digestState.timer = null;
+  digestState.intervalMs = null;
+}
+
+module.exports = {
+  ALERT_RULE_TYPES,
+  DIGEST_FREQUENCIES,
+  normalizeAlertSettings,
+  hasAlertWebhook,
+  evaluateAlertRules,
+  buildAlertEmail,
+  buildAlertEventData,
+  processScanAlerts,
+  flushAlertDigests,
+  startAlertDigestScheduler,
+  stopAlertDigestScheduler
+};
@@ -0,0 +1,183 @@
+/**
+ * Answer Sampling Service
+ * Statistics for repeated-sampling scans, where every prompt/model pair is
+ * asked several times at a non-zero temperature. Instead of one yes/no per
+ * prompt we report how often the domain is mentioned and cited, how much the
+ * score varies, and 95% confidence intervals - so users can tell a real change
+ * from noise.
+ */
+
+const DEFAULT_SAMPLES = 5;
+const MAX_SAMPLES = 10;
+const DEFAULT_TEMPERATURE = 0.7;
+const MAX_TEMPERATURE = 1.5;
+
+const Z_95 = 1.96;
+// Two-sided 95% Student's t critical values for 1-30 degrees of freedom
+const T_95 = [
+  12.706, 4.303, 3.182, 2.776, 2.571, 2.447, 2.365, 2.306, 2.262, 2.228,
+  2.201, 2.179, 2.160, 2.145, 2.131, 2.120, 2.110, 2.101, 2.093, 2.086,
+  2.080, 2.074, 2.069, 2.064, 2.060, 2.056, 2.052, 2.048, 2.045, 2.042
+];
+
+// Half-width of the visibility percentage's 95% CI, in points
+const STABLE_HALF_WIDTH = 5;
+const MODERATE_HALF_WIDTH = 12;
+
+const round1 = (value) => Math.round(value * 10) / 10;
+
+/**
+ * Validate sampling options from a request
+ * @param {Object} input - { samples, temperature }
+ * @returns {Object|null} { samples, temperature }, or null for a normal single-sample scan
+ */
+function resolveSamplingOptions({ samples, temperature } = {}) {
+  const count = samples === true ? DEFAULT_SAMPLES : parseInt(samples);
+  if (!count || count < 2) return null;
+
+  const temp = parseFloat(temperature);
+  return {
+    samples: Math.min(count, MAX_SAMPLES),
+    temperature: Number.isFinite(temp) && temp > 0
+      ? Math.min(temp, MAX_TEMPERATURE)
+      : DEFAULT_TEMPERATURE
+  };
+}
+
+/**
+ * Wilson score interval for a proportion
+ * @returns {Array} [low, high] in percent
+ */
+function wilsonInterval(successes, n) {
+  if (n === 0) return [0, 100];
+  const p = successes / n;
+  const z2 = Z_95 * Z_95;
+  const center = (p + z2 / (2 * n)) / (1 + z2 / n);
+  const margin = (Z_95 * Math.sqrt((p * (1 - p)) / n + z2 / (4 * n * n))) / (1 + z2 / n);
+  return [round1(Math.max(0, center - margin) * 100), round1(Math.min(1, center + margin) * 100)];
+}
+
+/**
+ * Mean, sample standard deviation and t-based 95% CI of the mean
+ * @param {Array} values - Numbers
+ * @returns {Object} { mean, stdDev, ci: [low, high] } (ci is null for fewer than 2 values)
+ */
+function meanInterval(values) {
+  const n = values.length;
+  if (n === 0) return { mean: 0, stdDev: 0, ci: null };
+
+  const mean = values.reduce((sum, value) => sum + value, 0) / n;
+  if (n === 1) return { mean: round1(mean), stdDev: 0, ci: null };
+
+  const variance = values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (n - 1);
+  const stdDev = Math.sqrt(variance);
+  const t = T_95[n - 2] || Z_95;
+  const margin = t * (stdDev / Math.sqrt(n));
+
+  return {
+    mean: round1(mean),
+    stdDev: round1(stdDev),
+    ci: [round1(Math.max(0, mean - margin)), round1(Math.min(100, mean + margin))]
+  };
+}
+
+/**
+ * Mention/citation rates and score spread for one set of answers
+ * @param {Array} samples - [{ mentioned, cited, score }]
+ */
+function summarizeSampleSet(samples) {
+  const n = samples.length;
+  const mentions = samples.filter(sample => sample.mentioned || sample.cited).length;
+  const citations = samples.filter(sample => sample.cited).length;
+  const scores = meanInterval(samples.map(sample => sample.score));
+
+  return {
+    samples: n,
+    mentionRate: n > 0 ? round1((mentions / n) * 100) : 0,
+    mentionCI: wilsonInterval(mentions, n),
+    citationRate: n > 0 ? round1((citations / n) * 100) : 0,
+    citationCI: wilsonInterval(citations, n),
+    meanScore: scores.mean,
+    stdDev: scores.stdDev,
+    scoreCI: scores.ci
+  };
+}
+
+/**
+ * Stats for one prompt across every sample and model
+ * @param {Array} samples - [{ model, sample, mentioned, cited, score }]
+ * @returns {Object} Rates, score spread and the same per model
+ */
+function summarizePromptSamples(samples) {
+  const models = [...new Set(samples.map(sample => sample.model))];
+  return {
+    ...summarizeSampleSet(samples),
+    byModel: models.map(model => ({
+      model,
+      ...summarizeSampleSet(samples.filter(sample => sample.model === model))
+    }))
+  };
+}
+
+/**
+ * Label how much the visibility percentage moves between identical runs
+ * @param {number|null} halfWidth - Half-width of the percentage's 95% CI
+ * @returns {string} stable | moderate | noisy | unknown
+ */
+function classifyStability(halfWidth) {
+  if (halfWidth === null || halfWidth === undefined) return 'unknown';
+  if (halfWidth <= STABLE_HALF_WIDTH) return 'stable';
+  if (halfWidth <= MODERATE_HALF_WIDTH) return 'moderate';
+  return 'noisy';
+}
+
+/**
+ * Scan-level sampling summary
+ * Each sample index is treated as one full run of the scan: its percentage is
+ * the average prompt score in that run. The spread of those run percentages is
+ * what a user would see between identical scans.
+ * @param {Array} promptSamples - Per prompt, [{ model, sample, mentioned, cited, score }]
+ * @param {Object} options - { samples, temperature }
+ */
+function summarizeScanSampling(promptSamples, { samples, temperature }) {
+  const runPercentages = [];
+  for (let run = 0; run < samples; run++) {
+    const promptScores = promptSamples
+      .map(promptSample => promptSample.filter(sample => sample.sample === run))
+      .filter(runSamples => runSamples.length > 0)
+      .map(runSamples => runSamples.reduce((sum, sample) => sum + sample.score, 0) / runSamples.length);
+    if (promptScores.length > 0) {
+      runPercentages.push(promptScores.reduce((sum, score) => sum + score, 0) / promptScores.length);
+    }
+  }
+
+  const percentage = meanInterval(runPercentages);
+  const halfWidth = percentage.ci ? round1((percentage.ci[1] - percentage.ci[0]) / 2) : null;
+  const all = summarizeSampleSet(promptSamples.flat());
+
+  return {
+    samples,
+    temperature,
+    runs: runPercentages.length,
+    runPercentages: runPercentages.map(round1),
+    percentageStdDev: percentage.stdDev,
+    percentageCI: percentage.ci,
+    marginOfError: halfWidth,
+    mentionRate: all.mentionRate,
+    mentionCI: all.mentionCI,
+    citationRate: all.citationRate,
+    citationCI: all.citationCI,
+    stability: classifyStability(halfWidth)
+  };
+}
+
+module.exports = {
+  DEFAULT_SAMPLES,
+  MAX_SAMPLES,
+  resolveSamplingOptions,
+  wilsonInterval,
+  meanInterval,
+  summarizePromptSamples,
+  summarizeScanSampling,
+  classifyStability
+};
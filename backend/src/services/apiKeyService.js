@@ -0,0 +1,216 @@
+/**
+ * API Key Service
+ * Keys for scripts and CI, sent as `X-API-Key: osk_...` (or as a Bearer token).
+ * A key acts as the user who created it, but only on routes that allow API
+ * keys (see allowApiKey in middleware/auth.js) and only within its scopes.
+ * Every key can read; the other scopes have to be granted.
+ *
+ * Keys are stored as SHA-256 hashes and shown once, when created or rotated.
+ * Each key has its own rate limit bucket and can have its own monthly scan
+ * cap on top of the account's pool (see middleware/monthlyLimit.js).
+ */
+
+const crypto = require('crypto');
+const ApiKey = require('../models/ApiKey');
+const User = require('../models/User');
+const { hasPermission } = require('./organizationService');
+
+const API_KEY_SCOPES = {
+  analyze: 'Queue scans',
+  compare: 'Compare URLs',
+  export: 'Export scans as CSV or PDF',
+  gate: 'Run CI quality gates',
+  read: 'Read scans and scan history'
+};
+
+const KEY_PREFIX = 'osk_';
+const MAX_API_KEYS = 10;
+const MAX_MONTHLY_SCAN_LIMIT = 100000;
+// lastUsedAt is only written when it's older than this, not on every request
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+/**
+ * New random key (only shown once)
+ */
+function createApiKeyToken() {
+  return KEY_PREFIX + crypto.randomBytes(32).toString('base64url');
+}
+
+function hashApiKey(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * API key sent with a request, if any
+ */
+function getRequestApiKey(req) {
+  const header = req.get('X-API-Key');
+  if (header) return header.trim();
+
+  const bearer = req.headers.authorization?.replace('Bearer ', '');
+  return bearer?.startsWith(KEY_PREFIX) ? bearer : null;
+}
+
+/**
+ * Whether a key may use a scope (every key can read)
+ */
+function hasScope(apiKey, scope) {
+  return scope === 'read' || (apiKey.scopes || []).includes(scope);
+}
+
+/**
+ * Validate create/update input
+ * @param {Object} body - { name, scopes, monthlyScanLimit? }
+ * @param {Object} options - { partial } for updates
+ * @returns {Object} Fields to save
+ */
+function normalizeApiKeyInput(body = {}, { partial = false } = {}) {
+  const fields = {};
+
+  if (!partial || body.name !== undefined) {
+    const name = typeof body.name === 'string' ? body.name.trim() : '';
+    if (!name || name.length > 100) {
+      throw new Error('Name is required (up to 100 characters)');
+    }
+    fields.name = name;
+  }
+
+  if (!partial || body.scopes !== undefined) {
+    const scopes = Array.isArray(body.scopes) ? [...new Set(body.scopes)] : [];
+    const unknown = scopes.filter(scope => !API_KEY_SCOPES[scope]);
+    if (scopes.length === 0 || unknown.length > 0) {
+      throw new Error(`Scopes must be one or more of: ${Object.keys(API_KEY_SCOPES).join(', ')}`);
+    }
+    fields.scopes = scopes;
+  }
+
+  if (body.monthlyScanLimit !== undefined) {
+    if (body.monthlyScanLimit === null || body.monthlyScanLimit === '') {
+      fields.monthlyScanLimit = null;
+    } else {
+      const limit = Number(body.monthlyScanLimit);
+      if (!Number.isInteger(limit) || limit < 1 || limit > MAX_MONTHLY_SCAN_LIMIT) {
+        throw new Error(`Monthly scan limit must be between 1 and ${MAX_MONTHLY_SCAN_LIMIT}, or empty for none`);
+      }
+      fields.monthlyScanLimit = limit;
+    }
+  }
+
+  return fields;
+}
+
+/**
+ * Whether a user may see, rotate or revoke a key: their own personal keys,
+ * their own organization keys, and (admins) every key of their organization
+ */
+function canManageApiKey(user, apiKey) {
+  if (apiKey.organizationId) {
+    if (!user.organizationId || String(apiKey.organizationId) !== String(user.organizationId)) return false;
+    return String(apiKey.userId) === String(user._id) || hasPermission(user, 'members:manage');
+  }
+  return String(apiKey.userId) === String(user._id);
+}
+
+/**
+ * Create a key
+ * @param {Object} user - Creator
+ * @param {Object} body - { name, scopes, monthlyScanLimit?, organization?: true for an organization key }
+ * @returns {Promise<Object>} { apiKey, token } - the token can't be shown again
+ */
+async function createApiKey(user, body = {}) {
+  const fields = normalizeApiKeyInput(body);
+
+  const organizationKey = body.organization === true || body.organization === 'true';
+  if (organizationKey && !user.organizationId) {
+    throw new Error('You are not in an organization');
+  }
+  if (organizationKey && !hasPermission(user, 'members:manage')) {
+    throw new Error('Only organization admins can create organization keys');
+  }
+
+  const count = await ApiKey.countDocuments({ userId: user._id, revokedAt: null });
+  if (count >= MAX_API_KEYS) {
+    throw new Error(`You can have up to ${MAX_API_KEYS} active API keys`);
+  }
+
+  const token = createApiKeyToken();
+  const apiKey = await ApiKey.create({
+    ...fields,
+    userId: user._id,
+    organizationId: organizationKey ? user.organizationId : null,
+    keyHash: hashApiKey(token),
+    prefix: token.slice(0, KEY_PREFIX.length + 6)
+  });
+  return { apiKey, token };
+}
+
+/**
+ * Replace a key's secret; the old key stops working right away
+ * @returns {Promise<string>} The new key
+ */
+async function rotateApiKey(apiKey) {
+  const token = createApiKeyToken();
+  apiKey.keyHash = hashApiKey(token);
+  apiKey.prefix = token.slice(0, KEY_PREFIX.length + 6);
+  apiKey.rotatedAt = new Date();
+  await apiKey.save();
+  return token;
+}
+
+/**
+ * Look up an active key and the user it acts as
+ * @param {string} token
+ * @returns {Promise<Object|null>} { apiKey, user }, or null when the key is unknown, revoked or orphaned
+ */
+async function findApiKeyUser(token) {
+  if (!token || !token.startsWith(KEY_PREFIX)) return null;
+
+  const apiKey = await ApiKey.findOne({ keyHash: hashApiKey(token), revokedAt: null });
+  if (!apiKey) return null;
+
+  const user = await User.findById(apiKey.userId);
+  if (!user || !user.isActive) return null;
+  // Organization keys stop working when their creator leaves the organization
+  if (apiKey.organizationId && String(apiKey.organizationId) !== String(user.organizationId)) return null;
+
+  const now = new Date();
+  if (!apiKey.lastUsedAt || now - apiKey.lastUsedAt > LAST_USED_RESOLUTION_MS) {
+    apiKey.lastUsedAt = now;
+    await ApiKey.updateOne({ _id: apiKey._id }, { $set: { lastUsedAt: now } });
+  }
+
+  return { apiKey, user };
+}
+
+/**
+ * Key as shown to its owner (never includes the hash)
+ */
+function formatApiKey(apiKey) {
+  return {
+    id: apiKey._id,
+    name: apiKey.name,
+    prefix: apiKey.prefix,
+    scopes: apiKey.scopes,
+    organizationId: apiKey.organizationId || null,
+    monthlyScanLimit: apiKey.monthlyScanLimit,
+    monthlyScansUsed: apiKey.monthlyScansUsed,
+    lastUsedAt: apiKey.lastUsedAt || null,
+    rotatedAt: apiKey.rotatedAt || null,
+    revokedAt: apiKey.revokedAt,
+    createdAt: apiKey.createdAt
+  };
+}
+
+module.exports = {
+  API_KEY_SCOPES,
+  MAX_API_KEYS,
+  hashApiKey,
+  getRequestApiKey,
+  hasScope,
+  normalizeApiKeyInput,
+  canManageApiKey,
+  createApiKey,
+  rotateApiKey,
+  findApiKeyUser,
+  formatApiKey
+};
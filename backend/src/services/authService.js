@@ -126,6 +126,14 @@ function createEmailTransporter() {
   });
 }
 
+/**
+ * "From" address for outgoing email (SMTP_FROM, otherwise SMTP_USER)
+ */
+function getEmailSender() {
+  const fromEmail = process.env.SMTP_FROM || process.env.SMTP_USER;
+  return fromEmail.includes('<') ? fromEmail : `OptiSenseAI <${fromEmail}>`;
+}
+
 /**
  * Send OTP email
  */
@@ -153,12 +161,8 @@ async function sendOTPEmail(email, otpCode) {
       console.log('✅ SMTP connection verified successfully');
     }
     
-    const smtpUser = process.env.SMTP_USER;
-    // Use SMTP_FROM if provided, otherwise use SMTP_USER
-    const fromEmail = process.env.SMTP_FROM || smtpUser;
-    
     const mailOptions = {
-      from: fromEmail.includes('<') ? fromEmail : `OptiSenseAI <${fromEmail}>`,
+      from: getEmailSender(),
       to: email,
       subject: 'Your OptiSenseAI Verification Code',
       html: `
@@ -256,6 +260,8 @@ module.exports = {
   sendOTP,
   verifyOTP,
   checkOTPRateLimit,
-  isDisposableEmail
+  isDisposableEmail,
+  createEmailTransporter,
+  getEmailSender
 };
 
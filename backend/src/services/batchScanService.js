@@ -0,0 +1,747 @@
+/**
+ * Batch Scan Service
+ * Scans a list of URLs as one job (see models/ScanBatch.js): from an uploaded
+ * CSV/TXT file or every URL in a sitemap.
+ *
+ * URLs are deduped, checked with validateUrlSecurity and charged to the scan
+ * pool when the batch is created (a dry run returns the same estimate without
+ * creating it). Every BATCH_SCAN_INTERVAL_SECONDS (default 15, 0 disables) each
+ * batch records its finished scans and queues more, at most perHostConcurrency
+ * per host and MAX_IN_FLIGHT per batch, so a large batch neither hammers one
+ * site nor fills the shared scan queue. URLs of a cancelled batch that never
+ * ran are refunded.
+ */
+
+const ExcelJS = require('exceljs');
+const { URL } = require('url');
+const Scan = require('../models/Scan');
+const ScanBatch = require('../models/ScanBatch');
+const User = require('../models/User');
+const ApiKey = require('../models/ApiKey');
+const { validateUrlSecurity } = require('../middleware/security');
+const { incrementMonthlyScan, incrementApiKeyScan, refundMonthlyScans, refundApiKeyScans } = require('../middleware/monthlyLimit');
+const { enqueueScan } = require('./scanQueueService');
+const { normalizeUrl } = require('./crawlService');
+const { analyzeSitemaps } = require('./sitemapService');
+const { categorizeWarning } = require('./qualityGateService');
+const { isNoindex } = require('./scanDiffService');
+const { getPlanUser, getWorkspaceFilter, getWorkspaceFields, hasPermission, restrictToPersonalWorkspace } = require('./organizationService');
+
+const MAX_BATCH_URLS = 500;
+const MAX_FILE_BYTES = 2 * 1024 * 1024; // 2MB of CSV/TXT
+const MAX_ACTIVE_BATCHES = 3; // Running batches per workspace
+const DEFAULT_HOST_CONCURRENCY = 2;
+const MAX_HOST_CONCURRENCY = 5;
+const MAX_IN_FLIGHT = 10; // Queued scans per batch
+const MAX_LISTED = 50; // Invalid URLs listed in an estimate
+const MAX_REPORT_ITEMS = 10; // Top warnings and lowest-visibility URLs in a report
+const DEFAULT_INTERVAL_SECONDS = 15;
+const LOCK_MS = 2 * 60 * 1000;
+const BATCH_TICK_SIZE = 20;
+
+// CSV header names taken as the URL column
+const URL_COLUMNS = ['url', 'urls', 'address', 'page', 'link', 'loc'];
+
+// Per-URL export columns (CSV and XLSX)
+const EXPORT_COLUMNS = [
+  { key: 'url', header: 'URL', width: 60 },
+  { key: 'host', header: 'Host', width: 25 },
+  { key: 'status', header: 'Status', width: 12 },
+  { key: 'visibility', header: 'LLM Visibility (%)', width: 18 },
+  { key: 'warnings', header: 'SEO Warnings', width: 14 },
+  { key: 'statusCode', header: 'HTTP Status', width: 12 },
+  { key: 'title', header: 'Title', width: 40 },
+  { key: 'hasMetaDescription', header: 'Meta Description', width: 16 },
+  { key: 'loadTimeMs', header: 'Load Time (ms)', width: 15 },
+  { key: 'altCoverage', header: 'Alt Coverage (%)', width: 16 },
+  { key: 'structuredData', header: 'Structured Data', width: 15 },
+  { key: 'noindex', header: 'Noindex', width: 10 },
+  { key: 'topWarnings', header: 'Warnings', width: 60 },
+  { key: 'error', header: 'Error', width: 40 },
+  { key: 'scanId', header: 'Scan ID', width: 26 },
+  { key: 'scannedAt', header: 'Scanned At', width: 22 }
+];
+
+// What reports and exports read from each scan
+const REPORT_SCAN_FIELDS = 'url status createdAt error.message llmVisibility.percentage llmVisibility.error seo.title seo.metaDescription seo.warnings seo.statusCode seo.loadTimeMs seo.images seo.structuredData.count seo.robotsMeta seo.xRobotsTag seo.aiReadiness.directives seo.error';
+
+const batchState = {
+  timer: null,
+  intervalMs: null,
+  running: false
+};
+
+/**
+ * Parse CSV text into rows of cells (quoted fields may hold commas, quotes and line breaks)
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  if (cell || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows.filter(cells => cells.some(value => value.trim()));
+}
+
+/**
+ * The URLs listed in an uploaded file
+ * TXT: one URL per line (# starts a comment). CSV: the url/address/page/link/loc
+ * column, or without such a header the first cell of each row that looks like a URL.
+ * @param {string} content - File text
+ * @param {string} filename - Used to tell CSV from TXT
+ * @returns {Array<string>}
+ */
+function extractUrlsFromFile(content, filename = '') {
+  if (typeof content !== 'string' || !content.trim()) {
+    throw new Error('The file is empty');
+  }
+  if (Buffer.byteLength(content) > MAX_FILE_BYTES) {
+    throw new Error('The file is larger than 2MB');
+  }
+
+  const text = content.replace(/^\uFEFF/, '');
+  const firstLine = text.split(/\r?\n/, 1)[0];
+  const isCsv = /\.csv$/i.test(filename) || (!/\.txt$/i.test(filename) && firstLine.includes(','));
+
+  if (!isCsv) {
+    return text.split(/\r?\n/)
+      .map(line => line.trim())
+      .filter(line => line && !line.startsWith('#'));
+  }
+
+  const rows = parseCsv(text);
+  if (rows.length === 0) return [];
+  const column = rows[0].findIndex(cell => URL_COLUMNS.includes(cell.trim().toLowerCase()));
+  if (column !== -1) {
+    return rows.slice(1).map(row => (row[column] || '').trim()).filter(Boolean);
+  }
+  return rows
+    .map(row => row.map(cell => cell.trim()).find(cell => /^https?:\/\//i.test(cell)) || row[0].trim())
+    .filter(Boolean);
+}
+
+/**
+ * Every page URL listed in a sitemap (or the sitemaps of an index)
+ * @param {string} sitemapUrl
+ * @returns {Promise<Array<string>>}
+ */
+async function collectSitemapUrls(sitemapUrl) {
+  if (typeof sitemapUrl !== 'string' || !sitemapUrl.trim()) {
+    throw new Error('sitemapUrl is required');
+  }
+  validateUrlSecurity(sitemapUrl.trim());
+
+  const { origin } = new URL(sitemapUrl.trim());
+  const report = await analyzeSitemaps(origin, {
+    robotsSitemaps: [sitemapUrl.trim()],
+    sampleSize: 0,
+    collectAllUrls: true
+  });
+  if (!report.exists) {
+    throw new Error(`No sitemap found at ${sitemapUrl}`);
+  }
+  return report.urls;
+}
+
+/**
+ * Dedupe and validate a batch's URLs
+ * @param {Array<string>} rawUrls
+ * @returns {Object} { items: [{ url, host }], invalid: [{ url, error }], invalidCount, duplicates }
+ */
+function prepareBatchUrls(rawUrls) {
+  const items = [];
+  const invalid = [];
+  const seen = new Set();
+  let invalidCount = 0;
+  let duplicates = 0;
+
+  rawUrls.forEach(raw => {
+    const value = String(raw).trim();
+    let url;
+    try {
+      validateUrlSecurity(value);
+      url = normalizeUrl(value);
+    } catch (error) {
+      invalidCount++;
+      if (invalid.length < MAX_LISTED) invalid.push({ url: value, error: error.message });
+      return;
+    }
+    if (seen.has(url)) {
+      duplicates++;
+      return;
+    }
+    seen.add(url);
+    items.push({ url, host: new URL(url).host });
+  });
+
+  if (items.length === 0) {
+    throw new Error('No valid URLs found');
+  }
+  if (items.length > MAX_BATCH_URLS) {
+    throw new Error(`A batch can have up to ${MAX_BATCH_URLS} URLs (found ${items.length})`);
+  }
+
+  return { items, invalid, invalidCount, duplicates };
+}
+
+/**
+ * Read a batch request: an uploaded file or a sitemap
+ * @param {Object} body - { file: { name, content } } or { sitemapUrl }
+ * @returns {Promise<Object>} { source, sourceName, prepared }
+ */
+async function resolveBatchInput(body = {}) {
+  if (body.sitemapUrl) {
+    const urls = await collectSitemapUrls(body.sitemapUrl);
+    return { source: 'sitemap', sourceName: body.sitemapUrl.trim(), prepared: prepareBatchUrls(urls) };
+  }
+  if (body.file && typeof body.file === 'object') {
+    const name = typeof body.file.name === 'string' ? body.file.name.slice(0, 200) : '';
+    if (name && !/\.(csv|txt)$/i.test(name)) {
+      throw new Error('Upload a .csv or .txt file');
+    }
+    return { source: 'upload', sourceName: name || null, prepared: prepareBatchUrls(extractUrlsFromFile(body.file.content, name)) };
+  }
+  throw new Error('Upload a CSV/TXT file or give a sitemapUrl');
+}
+
+/**
+ * Validate batch options
+ * @param {Object} body - { name?, perHostConcurrency?, promptSetId? }
+ * @returns {Object}
+ */
+function normalizeBatchOptions(body = {}) {
+  const name = typeof body.name === 'string' ? body.name.trim() : '';
+  if (name.length > 100) {
+    throw new Error('Name must be at most 100 characters');
+  }
+
+  let perHostConcurrency = DEFAULT_HOST_CONCURRENCY;
+  if (body.perHostConcurrency !== undefined && body.perHostConcurrency !== null && body.perHostConcurrency !== '') {
+    perHostConcurrency = Number(body.perHostConcurrency);
+    if (!Number.isInteger(perHostConcurrency) || perHostConcurrency < 1 || perHostConcurrency > MAX_HOST_CONCURRENCY) {
+      throw new Error(`perHostConcurrency must be between 1 and ${MAX_HOST_CONCURRENCY}`);
+    }
+  }
+
+  return { name, perHostConcurrency, promptSetId: body.promptSetId || null };
+}
+
+/**
+ * What a batch would cost
+ * @param {Object} prepared - prepareBatchUrls result
+ * @param {Object} limitCheck - checkMonthlyLimit result for the plan user
+ * @param {Object} apiKeyCheck - checkApiKeyLimit result
+ * @returns {Object} { urls, hosts, duplicates, invalid, scansRequired, scansRemaining, allowed }
+ */
+function estimateBatch(prepared, limitCheck, apiKeyCheck = {}) {
+  const scansRequired = prepared.items.length;
+  const poolRemaining = Math.max(limitCheck.maxScans - limitCheck.scansUsed, 0);
+  const scansRemaining = apiKeyCheck.maxScans
+    ? Math.min(poolRemaining, Math.max(apiKeyCheck.maxScans - apiKeyCheck.scansUsed, 0))
+    : poolRemaining;
+
+  return {
+    urls: scansRequired,
+    hosts: new Set(prepared.items.map(item => item.host)).size,
+    duplicates: prepared.duplicates,
+    invalid: prepared.invalidCount,
+    scansRequired,
+    scansRemaining,
+    allowed: scansRequired <= scansRemaining
+  };
+}
+
+/**
+ * Pending items to queue now, in list order, without going over the per-host
+ * and per-batch limits (counting items already queued)
+ * @param {Array} items - Batch items
+ * @param {number} perHostConcurrency
+ * @param {number} maxInFlight
+ * @returns {Array} Items to queue
+ */
+function pickItemsToQueue(items, perHostConcurrency, maxInFlight = MAX_IN_FLIGHT) {
+  const active = {};
+  let inFlight = 0;
+  items.filter(item => item.status === 'queued').forEach(item => {
+    active[item.host] = (active[item.host] || 0) + 1;
+    inFlight++;
+  });
+
+  const picked = [];
+  for (const item of items) {
+    if (inFlight >= maxInFlight) break;
+    if (item.status !== 'pending' || (active[item.host] || 0) >= perHostConcurrency) continue;
+    active[item.host] = (active[item.host] || 0) + 1;
+    inFlight++;
+    picked.push(item);
+  }
+  return picked;
+}
+
+/**
+ * Create a batch and charge its URLs to the scan pool (and the API key)
+ * @param {Object} user - User document
+ * @param {Object} input - resolveBatchInput result plus normalizeBatchOptions fields
+ * @param {Object} charge - { planUser, apiKey }
+ * @returns {Promise<Object>} ScanBatch document
+ */
+async function createBatch(user, { source, sourceName, prepared, name, perHostConcurrency, promptSetId }, { planUser, apiKey = null }) {
+  const batch = await ScanBatch.create({
+    ...getWorkspaceFields(user),
+    ...(apiKey && { apiKeyId: apiKey._id }),
+    name: name || sourceName || 'Batch scan',
+    source,
+    sourceName,
+    perHostConcurrency,
+    ...(promptSetId && { promptSetId }),
+    items: prepared.items,
+    scansCharged: prepared.items.length
+  });
+
+  await incrementMonthlyScan(planUser, prepared.items.length);
+  await incrementApiKeyScan(apiKey, prepared.items.length);
+
+  if (process.env.NODE_ENV === 'development') {
+    console.log(`📦 Created batch ${batch._id} with ${prepared.items.length} URLs (${perHostConcurrency} per host)`);
+  }
+
+  // Queue the first scans right away instead of on the next tick
+  return await advanceBatch(batch._id) || batch;
+}
+
+/**
+ * Record the result of every queued item whose scan has finished
+ */
+async function syncQueuedItems(batch) {
+  const queued = batch.items.filter(item => item.status === 'queued');
+  if (queued.length === 0) return;
+
+  const scans = await Scan.find({ _id: { $in: queued.map(item => item.scanId) } }).select('status error.message');
+  const byId = new Map(scans.map(scan => [scan._id.toString(), scan]));
+  queued.forEach(item => {
+    const scan = byId.get(item.scanId.toString());
+    if (!scan) {
+      Object.assign(item, { status: 'failed', error: 'Scan was deleted', finishedAt: new Date() });
+    } else if (scan.status === 'completed' || scan.status === 'failed') {
+      Object.assign(item, {
+        status: scan.status,
+        finishedAt: new Date(),
+        ...(scan.status === 'failed' && { error: scan.error?.message || 'Scan failed' })
+      });
+    }
+  });
+}
+
+/**
+ * The batch's creator, limited to the batch's workspace (personal API key
+ * batches stay personal and use the creator's own plan)
+ */
+async function findBatchUser(batch) {
+  const user = await User.findById(batch.userId);
+  if (user && !batch.organizationId) restrictToPersonalWorkspace(user);
+  return user;
+}
+
+/**
+ * Cancel every pending item and refund its scan
+ */
+async function cancelPendingItems(batch, reason) {
+  const pending = batch.items.filter(item => item.status === 'pending');
+  if (pending.length === 0) return;
+
+  pending.forEach(item => Object.assign(item, { status: 'cancelled', error: reason, finishedAt: new Date() }));
+
+  const user = await findBatchUser(batch);
+  const planUser = user ? await getPlanUser(user) : null;
+  await refundMonthlyScans(planUser, pending.length);
+  const apiKey = batch.apiKeyId ? await ApiKey.findById(batch.apiKeyId) : null;
+  await refundApiKeyScans(apiKey, pending.length);
+  batch.scansRefunded += pending.length;
+}
+
+/**
+ * Queue as many pending items as the limits allow
+ */
+async function queuePendingItems(batch) {
+  const picked = pickItemsToQueue(batch.items, batch.perHostConcurrency);
+  if (picked.length === 0) return;
+
+  const user = await findBatchUser(batch);
+  if (!user || !hasPermission(user, 'scans:run')) {
+    batch.status = 'cancelled';
+    await cancelPendingItems(batch, user ? 'Your organization role cannot run scans' : 'Account not found');
+    return;
+  }
+
+  const planUser = await getPlanUser(user);
+  const isPremium = planUser.isPremium &&
+    (!planUser.premiumExpiresAt || planUser.premiumExpiresAt > new Date()) &&
+    planUser.tier !== 'free';
+
+  for (const item of picked) {
+    const scan = await enqueueScan({
+      url: item.url,
+      userId: user._id,
+      organizationId: batch.organizationId,
+      ...(batch.apiKeyId && { apiKeyId: batch.apiKeyId }),
+      isAnonymous: false,
+      mode: 'page',
+      batchId: batch._id,
+      options: {
+        isPremium,
+        fetchIntegrations: planUser.tier === 'professional' || !!planUser.isPremium,
+        businessInfo: {
+          brandName: user.brandName,
+          industry: user.industry,
+          brandSummary: user.brandSummary
+        },
+        competitors: user.competitors || [],
+        ...(batch.promptSetId && { promptSetId: batch.promptSetId })
+      }
+    });
+    Object.assign(item, { status: 'queued', scanId: scan._id, queuedAt: new Date() });
+    user.scans.push(scan._id);
+  }
+  await user.save();
+}
+
+/**
+ * Record finished scans, queue more (or cancel what's left) and complete the batch
+ * @param {string|ObjectId} batchId
+ * @returns {Promise<Object|null>} The batch, or null when another process holds it
+ */
+async function advanceBatch(batchId) {
+  const now = new Date();
+  const batch = await ScanBatch.findOneAndUpdate(
+    { _id: batchId, $or: [{ lockedUntil: null }, { lockedUntil: { $lt: now } }] },
+    { $set: { lockedUntil: new Date(now.getTime() + LOCK_MS) } },
+    { new: true }
+  );
+  if (!batch) return null;
+
+  try {
+    await syncQueuedItems(batch);
+    if (batch.status === 'cancelled') {
+      await cancelPendingItems(batch, 'Batch cancelled');
+    } else if (batch.status === 'running') {
+      await queuePendingItems(batch);
+    }
+
+    if (batch.status === 'running' && batch.items.every(item => !['pending', 'queued'].includes(item.status))) {
+      batch.status = 'completed';
+      batch.completedAt = new Date();
+      if (process.env.NODE_ENV === 'development') {
+        console.log(`📦 Batch ${batch._id} completed`);
+      }
+    }
+  } finally {
+    batch.lockedUntil = null;
+    await batch.save();
+  }
+  return batch;
+}
+
+/**
+ * Stop queueing a batch's URLs; the pending ones are refunded
+ * Scans already queued still run.
+ * @returns {Promise<Object|null>} The batch, or null when it isn't running
+ */
+async function cancelBatch(user, batchId) {
+  const result = await ScanBatch.updateOne(
+    { _id: batchId, status: 'running', ...getWorkspaceFilter(user) },
+    { $set: { status: 'cancelled' } }
+  );
+  if (result.modifiedCount === 0) return null;
+
+  // Another process may hold the batch; its next tick finishes the cancellation
+  return await advanceBatch(batchId) || ScanBatch.findById(batchId);
+}
+
+async function runBatchTick() {
+  if (batchState.running) return;
+  batchState.running = true;
+
+  try {
+    const batches = await ScanBatch.find({
+      status: { $in: ['running', 'cancelled'] },
+      'items.status': { $in: ['pending', 'queued'] }
+    }).select('_id').sort({ updatedAt: 1 }).limit(BATCH_TICK_SIZE);
+
+    for (const { _id } of batches) {
+      await advanceBatch(_id).catch(error => {
+        console.error(`Scan batch ${_id} failed to advance:`, error.message);
+      });
+    }
+  } catch (error) {
+    console.error('Scan batch run failed:', error.message);
+  } finally {
+    batchState.running = false;
+  }
+}
+
+/**
+ * Advance running batches every BATCH_SCAN_INTERVAL_SECONDS (default 15, 0 disables)
+ * Called once from server.js
+ */
+function startBatchScheduler() {
+  if (batchState.intervalMs !== null) return;
+
+  const seconds = parseFloat(process.env.BATCH_SCAN_INTERVAL_SECONDS || DEFAULT_INTERVAL_SECONDS);
+  if (!(seconds > 0)) {
+    console.log('📦 Batch scans disabled');
+    return;
+  }
+  batchState.intervalMs = seconds * 1000;
+  batchState.timer = setInterval(runBatchTick, batchState.intervalMs);
+  setImmediate(runBatchTick);
+
+  console.log(`📦 Batch scans advancing every ${seconds}s`);
+}
+
+/**
+ * Stop advancing batches (queued scans still run)
+ */
+function stopBatchScheduler() {
+  clearInterval(batchState.timer);
+  batchState.timer = null;
+  batchState.intervalMs = null;
+}
+
+/**
+ * Item counts by status
+ */
+function countItems(items) {
+  const counts = { total: items.length, pending: 0, queued: 0, completed: 0, failed: 0, cancelled: 0 };
+  items.forEach(item => {
+    counts[item.status]++;
+  });
+  return counts;
+}
+
+function formatBatch(batch, { withItems = false } = {}) {
+  const counts = countItems(batch.items);
+  return {
+    id: batch._id,
+    name: batch.name,
+    source: batch.source,
+    sourceName: batch.sourceName,
+    status: batch.status,
+    perHostConcurrency: batch.perHostConcurrency,
+    counts,
+    percent: counts.total ? Math.round(((counts.completed + counts.failed + counts.cancelled) / counts.total) * 100) : 100,
+    scansCharged: batch.scansCharged,
+    scansRefunded: batch.scansRefunded,
+    createdAt: batch.createdAt,
+    completedAt: batch.completedAt || null,
+    ...(withItems && {
+      items: batch.items.map(({ url, host, status, scanId, error, queuedAt, finishedAt }) => ({
+        url, host, status, scanId: scanId || null, error: error || null, queuedAt: queuedAt || null, finishedAt: finishedAt || null
+      }))
+    })
+  };
+}
+
+/**
+ * A batch's scans (reports and exports read a subset of fields)
+ * @returns {Promise<Map>} Scan id -> scan
+ */
+async function loadBatchScans(batch) {
+  const scanIds = batch.items.filter(item => item.scanId).map(item => item.scanId);
+  const scans = await Scan.find({ _id: { $in: scanIds } }).select(REPORT_SCAN_FIELDS).lean();
+  return new Map(scans.map(scan => [scan._id.toString(), scan]));
+}
+
+const average = (values) => (values.length ? Math.round((values.reduce((sum, value) => sum + value, 0) / values.length) * 10) / 10 : null);
+
+/**
+ * One export row per batch URL
+ * @param {Object} batch
+ * @param {Map} scans - loadBatchScans result
+ * @returns {Array<Object>} Rows keyed by EXPORT_COLUMNS
+ */
+function buildExportRows(batch, scans) {
+  return batch.items.map(item => {
+    const scan = item.scanId ? scans.get(item.scanId.toString()) : null;
+    const completed = item.status === 'completed' && scan;
+    const seo = completed && !scan.seo?.error ? scan.seo : null;
+    const llm = completed && !scan.llmVisibility?.error ? scan.llmVisibility : null;
+    return {
+      url: item.url,
+      host: item.host,
+      status: item.status,
+      visibility: llm ? llm.percentage ?? null : null,
+      warnings: seo ? (seo.warnings || []).length : null,
+      statusCode: seo ? seo.statusCode ?? null : null,
+      title: seo ? seo.title || '' : '',
+      hasMetaDescription: seo ? (seo.metaDescription ? 'yes' : 'no') : '',
+      loadTimeMs: seo ? seo.loadTimeMs ?? null : null,
+      altCoverage: seo?.images?.total ? seo.images.altCoverage : null,
+      structuredData: seo ? seo.structuredData?.count || 0 : null,
+      noindex: seo ? (isNoindex(seo) ? 'yes' : 'no') : '',
+      topWarnings: seo ? (seo.warnings || []).join('; ') : '',
+      error: item.error || scan?.error?.message || '',
+      scanId: item.scanId ? item.scanId.toString() : '',
+      scannedAt: scan?.createdAt ? new Date(scan.createdAt).toISOString() : ''
+    };
+  });
+}
+
+/**
+ * Aggregated report: visibility and SEO across the batch, the most common
+ * warnings, the lowest-visibility URLs and a per-host breakdown
+ * @param {Object} batch
+ * @param {Map} scans - loadBatchScans result
+ * @returns {Object}
+ */
+function buildBatchReport(batch, scans) {
+  const rows = buildExportRows(batch, scans);
+  const scanned = rows.filter(row => row.status === 'completed');
+  const withVisibility = scanned.filter(row => row.visibility !== null);
+  const withSeo = scanned.filter(row => row.warnings !== null);
+
+  const warningCounts = new Map();
+  batch.items.forEach(item => {
+    const scan = item.status === 'completed' && item.scanId ? scans.get(item.scanId.toString()) : null;
+    if (!scan || scan.seo?.error) return;
+    new Set(scan.seo?.warnings || []).forEach(warning => {
+      warningCounts.set(warning, (warningCounts.get(warning) || 0) + 1);
+    });
+  });
+
+  const hosts = new Map();
+  rows.forEach(row => {
+    const host = hosts.get(row.host) || { host: row.host, urls: 0, completed: 0, failed: 0, visibility: [] };
+    host.urls++;
+    if (row.status === 'completed') host.completed++;
+    if (row.status === 'failed') host.failed++;
+    if (row.visibility !== null) host.visibility.push(row.visibility);
+    hosts.set(row.host, host);
+  });
+
+  return {
+    batch: formatBatch(batch),
+    visibility: {
+      average: average(withVisibility.map(row => row.visibility)),
+      min: withVisibility.length ? Math.min(...withVisibility.map(row => row.visibility)) : null,
+      max: withVisibility.length ? Math.max(...withVisibility.map(row => row.visibility)) : null
+    },
+    seo: {
+      averageWarnings: average(withSeo.map(row => row.warnings)),
+      averageLoadTimeMs: average(withSeo.filter(row => row.loadTimeMs !== null).map(row => row.loadTimeMs)),
+      noindex: withSeo.filter(row => row.noindex === 'yes').length,
+      missingTitle: withSeo.filter(row => !row.title).length,
+      missingMetaDescription: withSeo.filter(row => row.hasMetaDescription === 'no').length,
+      withoutStructuredData: withSeo.filter(row => row.structuredData === 0).length,
+      non200: withSeo.filter(row => row.statusCode !== null && row.statusCode !== 200).length
+    },
+    topWarnings: [...warningCounts.entries()]
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, MAX_REPORT_ITEMS)
+      .map(([warning, urls]) => ({ warning, category: categorizeWarning(warning), urls })),
+    lowestVisibility: withVisibility
+      .sort((a, b) => a.visibility - b.visibility)
+      .slice(0, MAX_REPORT_ITEMS)
+      .map(({ url, visibility, scanId }) => ({ url, visibility, scanId })),
+    hosts: [...hosts.values()].map(({ visibility, ...host }) => ({ ...host, averageVisibility: average(visibility) }))
+  };
+}
+
+/**
+ * Keep spreadsheet apps from running page titles and warnings as formulas
+ */
+function toSafeCell(value) {
+  if (value === null || value === undefined) return '';
+  return typeof value === 'string' && /^[=+\-@]/.test(value) ? `'${value}` : value;
+}
+
+/**
+ * Export rows as CSV
+ */
+function toCsv(rows) {
+  const lines = [EXPORT_COLUMNS.map(column => column.header).join(',')];
+  rows.forEach(row => {
+    lines.push(EXPORT_COLUMNS.map(({ key }) => `"${String(toSafeCell(row[key])).replace(/"/g, '""')}"`).join(','));
+  });
+  return lines.join('\n');
+}
+
+/**
+ * Export rows and the report's top warnings as an XLSX workbook
+ * @returns {Promise<Buffer>}
+ */
+async function toXlsx(rows, report) {
+  const workbook = new ExcelJS.Workbook();
+  workbook.creator = 'OptiSenseAI';
+
+  const urls = workbook.addWorksheet('URLs', { views: [{ state: 'frozen', ySplit: 1 }] });
+  urls.columns = EXPORT_COLUMNS.map(column => ({ ...column }));
+  rows.forEach(row => {
+    urls.addRow(Object.fromEntries(EXPORT_COLUMNS.map(({ key }) => [key, toSafeCell(row[key])])));
+  });
+  urls.getRow(1).font = { bold: true };
+
+  const warnings = workbook.addWorksheet('Top warnings');
+  warnings.columns = [
+    { key: 'warning', header: 'Warning', width: 70 },
+    { key: 'category', header: 'Category', width: 16 },
+    { key: 'urls', header: 'URLs', width: 8 }
+  ];
+  report.topWarnings.forEach(item => warnings.addRow({ ...item, warning: toSafeCell(item.warning) }));
+  warnings.getRow(1).font = { bold: true };
+
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+module.exports = {
+  MAX_BATCH_URLS,
+  MAX_ACTIVE_BATCHES,
+  MAX_HOST_CONCURRENCY,
+  parseCsv,
+  extractUrlsFromFile,
+  prepareBatchUrls,
+  resolveBatchInput,
+  normalizeBatchOptions,
+  estimateBatch,
+  pickItemsToQueue,
+  createBatch,
+  advanceBatch,
+  cancelBatch,
+  startBatchScheduler,
+  stopBatchScheduler,
+  formatBatch,
+  loadBatchScans,
+  buildExportRows,
+  buildBatchReport,
+  toCsv,
+  toXlsx
+};
@@ -0,0 +1,287 @@
+/**
+ * Brand Accuracy Service
+ * Fact-checks what LLM answers say about a brand against what the brand says
+ * about itself: the scanned page (extracted text, JSON-LD Organization data)
+ * and the user's brand summary.
+ *
+ * Each claim is marked supported, contradicted or unverifiable. Claims are
+ * checked by the brandAccuracy LLM task; if no model answers, or the scan
+ * doesn't pay for the extra LLM call (free and anonymous scans), a rule-based
+ * check of founding year, founders and location is used instead.
+ */
+
+const { completeJson } = require('./llmClientService');
+
+const CLAIM_STATUSES = ['supported', 'contradicted', 'unverifiable'];
+const MAX_PAGE_TEXT = 2500;
+const MAX_CLAIMS = 10;
+const MAX_MISINFORMATION = 20;
+const CHECK_CONCURRENCY = 3;
+
+/**
+ * Collect the facts an answer is checked against
+ * @param {Object} input
+ * @param {string} input.brand - Brand name
+ * @param {string} input.domain - Scanned domain
+ * @param {Object} input.businessInfo - { brandName, industry, brandSummary }
+ * @param {Object} input.seo - SEO analysis of the scanned page (may be null)
+ * @returns {Object|null} Facts, or null when there is nothing to check against
+ */
+function buildBrandFacts({ brand, domain, businessInfo = {}, seo = null }) {
+  const organization = seo?.structuredData?.organization || null;
+  const extractedText = seo?.extractedText || {};
+  const pageText = (extractedText.summary || extractedText.fullText || '').slice(0, MAX_PAGE_TEXT);
+
+  const facts = {
+    name: businessInfo.brandName || organization?.name || brand,
+    alternateNames: organization?.alternateNames || [],
+    domain,
+    brandSummary: businessInfo.brandSummary || null,
+    industry: businessInfo.industry || null,
+    organization,
+    title: seo?.title || null,
+    metaDescription: seo?.metaDescription || null,
+    headings: (extractedText.headings || []).slice(0, 10).map(heading => heading.text),
+    pageText,
+    sources: []
+  };
+
+  if (facts.brandSummary) facts.sources.push('brandSummary');
+  if (organization) facts.sources.push('structuredData');
+  if (pageText || facts.title || facts.metaDescription) facts.sources.push('page');
+
+  return facts.sources.length > 0 ? facts : null;
+}
+
+/**
+ * Facts as plain text for the fact-checking prompt
+ */
+function formatFacts(facts) {
+  const organization = facts.organization || {};
+  const lines = [
+    `Brand: ${facts.name} (${facts.domain})`,
+    facts.alternateNames.length > 0 && `Also known as: ${facts.alternateNames.join(', ')}`,
+    facts.brandSummary && `Brand summary (written by the brand): ${facts.brandSummary}`,
+    facts.industry && `Industry: ${facts.industry}`,
+    organization.legalName && `Legal name: ${organization.legalName}`,
+    organization.description && `Organization description: ${organization.description}`,
+    organization.foundingDate && `Founded: ${organization.foundingDate}`,
+    organization.founders?.length > 0 && `Founders: ${organization.founders.join(', ')}`,
+    organization.location && `Location: ${organization.location}`,
+    organization.sameAs?.length > 0 && `Official profiles: ${organization.sameAs.join(', ')}`,
+    facts.title && `Homepage title: ${facts.title}`,
+    facts.metaDescription && `Homepage description: ${facts.metaDescription}`,
+    facts.headings.length > 0 && `Homepage headings: ${facts.headings.join(' | ')}`,
+    facts.pageText && `Homepage text (excerpt): ${facts.pageText}`
+  ];
+  return lines.filter(Boolean).join('\n');
+}
+
+function normalizeClaims(claims) {
+  if (!Array.isArray(claims)) return [];
+  return claims
+    .filter(claim => claim && typeof claim.claim === 'string' && claim.claim.trim())
+    .slice(0, MAX_CLAIMS)
+    .map(claim => ({
+      claim: claim.claim.trim(),
+      status: CLAIM_STATUSES.includes(claim.status) ? claim.status : 'unverifiable',
+      evidence: typeof claim.evidence === 'string' && claim.evidence.trim() ? claim.evidence.trim() : null,
+      correction: claim.status === 'contradicted' && typeof claim.correction === 'string' && claim.correction.trim()
+        ? claim.correction.trim()
+        : null
+    }));
+}
+
+/**
+ * Sentence around a regex match
+ */
+function getSentence(text, index) {
+  const boundary = text.lastIndexOf('. ', index);
+  const start = boundary === -1 ? 0 : boundary + 2;
+  const end = text.slice(index).search(/[.!?](\s|$)/);
+  return text.slice(start, end === -1 ? text.length : index + end + 1).trim();
+}
+
+/**
+ * Rule-based fallback: founding year, founders and location, when the page
+ * declares them in structured data
+ * @param {string} answerText - LLM answer
+ * @param {Object} facts - From buildBrandFacts
+ * @returns {Array} Claims
+ */
+function checkFactsByRules(answerText, facts) {
+  const text = String(answerText || '');
+  const organization = facts?.organization;
+  const claims = [];
+  if (!organization || !text) return claims;
+
+  const foundingYear = String(organization.foundingDate || '').match(/\d{4}/)?.[0];
+  const yearMatch = /\b(?:founded|established|launched|started|created)\b[^.]{0,40}?\b(1[89]\d{2}|20\d{2})\b/i.exec(text);
+  if (foundingYear && yearMatch) {
+    const supported = yearMatch[1] === foundingYear;
+    claims.push({
+      claim: getSentence(text, yearMatch.index),
+      status: supported ? 'supported' : 'contradicted',
+      evidence: `Structured data: foundingDate ${organization.foundingDate}`,
+      correction: supported ? null : `${facts.name} was founded in ${foundingYear}`
+    });
+  }
+
+  const founderMatch = /\bfounded by ([A-Z][\w.'-]+(?: [A-Z][\w.'-]+){0,3})/.exec(text);
+  if (organization.founders?.length > 0 && founderMatch) {
+    const named = founderMatch[1].toLowerCase();
+    const supported = organization.founders.some(founder => {
+      const founderLower = founder.toLowerCase();
+      return founderLower.includes(named) || named.includes(founderLower);
+    });
+    claims.push({
+      claim: getSentence(text, founderMatch.index),
+      status: supported ? 'supported' : 'contradicted',
+      evidence: `Structured data: founder ${organization.founders.join(', ')}`,
+      correction: supported ? null : `${facts.name} was founded by ${organization.founders.join(', ')}`
+    });
+  }
+
+  const locationMatch = /\b(?:based|headquartered|located) in ([A-Z][\w.'-]+(?:,? [A-Z][\w.'-]+){0,3})/.exec(text);
+  if (organization.location && locationMatch) {
+    const locationParts = organization.location.toLowerCase().split(/,\s*/);
+    const named = locationMatch[1].toLowerCase();
+    const supported = locationParts.some(part => named.includes(part) || part.includes(named));
+    claims.push({
+      claim: getSentence(text, locationMatch.index),
+      status: supported ? 'supported' : 'contradicted',
+      evidence: `Structured data: location ${organization.location}`,
+      correction: supported ? null : `${facts.name} is based in ${organization.location}`
+    });
+  }
+
+  return claims;
+}
+
+/**
+ * Fact-check one LLM answer
+ * @param {string} answerText - LLM answer (description when the answer was JSON)
+ * @param {Object} facts - From buildBrandFacts
+ * @param {Object} options - { useLlm: false to only run the rule-based check }
+ * @returns {Promise<Object>} { claims, method: 'llm'|'rules', accuracy (0-1 or null) }
+ */
+async function checkAnswerAccuracy(answerText, facts, { useLlm = true } = {}) {
+  const text = String(answerText || '').trim();
+  if (!text || !facts) {
+    return { claims: [], method: 'rules', accuracy: null };
+  }
+  if (!useLlm) {
+    const claims = checkFactsByRules(text, facts);
+    return { claims, method: 'rules', accuracy: getAccuracy(claims) };
+  }
+
+  let claims;
+  let method = 'llm';
+  try {
+    const result = await completeJson('brandAccuracy', {
+      system: `You fact-check what an AI assistant said about a brand, using only the facts the brand publishes about itself.
+
+For each factual claim the answer makes about ${facts.name} (what it is, what it sells, who runs it, when and where it was founded, who it serves, pricing, etc.):
+- "supported": the facts below confirm it
+- "contradicted": the facts below say otherwise, or the answer describes a different company with the same name
+- "unverifiable": the facts below don't cover it
+
+Ignore claims about other companies. Respond ONLY with valid JSON:
+{"claims": [{"claim": "short quote or paraphrase", "status": "supported|contradicted|unverifiable", "evidence": "fact used, or null", "correction": "what is actually true, only for contradicted claims"}]}`,
+      prompt: `FACTS FROM THE BRAND:\n${formatFacts(facts)}\n\nAI ANSWER TO CHECK:\n${text}`,
+      temperature: 0.1,
+      maxTokens: 1000
+    });
+    if (!result.data || !Array.isArray(result.data.claims)) {
+      throw new Error('Invalid response format');
+    }
+    claims = normalizeClaims(result.data.claims);
+  } catch (error) {
+    if (process.env.NODE_ENV === 'development') {
+      console.warn(`  ⚠️ Brand accuracy check failed (using rules): ${error.message}`);
+    }
+    claims = checkFactsByRules(text, facts);
+    method = 'rules';
+  }
+
+  return { claims, method, accuracy: getAccuracy(claims) };
+}
+
+/**
+ * Fact-check several answers with limited concurrency (sampling scans can have dozens)
+ * @param {Array} answerTexts - LLM answers
+ * @param {Object} facts - From buildBrandFacts
+ * @param {Object} options - Passed to checkAnswerAccuracy
+ * @returns {Promise<Array>} Results of checkAnswerAccuracy, in order
+ */
+async function checkAnswersAccuracy(answerTexts, facts, options = {}) {
+  const results = [];
+  for (let i = 0; i < answerTexts.length; i += CHECK_CONCURRENCY) {
+    const batch = answerTexts.slice(i, i + CHECK_CONCURRENCY);
+    results.push(...await Promise.all(batch.map(text => checkAnswerAccuracy(text, facts, options))));
+  }
+  return results;
+}
+
+/**
+ * Share of checkable claims that are supported (0-1), null if nothing could be checked
+ */
+function getAccuracy(claims) {
+  const supported = claims.filter(claim => claim.status === 'supported').length;
+  const contradicted = claims.filter(claim => claim.status === 'contradicted').length;
+  return supported + contradicted > 0 ? supported / (supported + contradicted) : null;
+}
+
+/**
+ * Combine the checks of every answer in a scan into the AI brand accuracy report
+ * @param {Array} checks - [{ promptId, prompt, model, claims }]
+ * @param {Object} facts - From buildBrandFacts (for the sources list)
+ * @returns {Object} { score (0-100 or null), supported, contradicted, unverifiable, answersChecked, misinformation, sources }
+ */
+function summarizeBrandAccuracy(checks, facts = null) {
+  const counts = { supported: 0, contradicted: 0, unverifiable: 0 };
+  const misinformation = new Map();
+
+  checks.forEach(check => {
+    check.claims.forEach(claim => {
+      counts[claim.status]++;
+      if (claim.status !== 'contradicted') return;
+
+      // The same wrong claim from several prompts/models is one item to fix
+      const key = (claim.correction || claim.claim).toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+      if (!misinformation.has(key)) {
+        misinformation.set(key, {
+          claim: claim.claim,
+          correction: claim.correction,
+          evidence: claim.evidence,
+          count: 0,
+          prompts: [],
+          models: []
+        });
+      }
+      const entry = misinformation.get(key);
+      entry.count++;
+      if (check.prompt && !entry.prompts.includes(check.prompt)) entry.prompts.push(check.prompt);
+      if (check.model && !entry.models.includes(check.model)) entry.models.push(check.model);
+    });
+  });
+
+  const checked = counts.supported + counts.contradicted;
+  return {
+    score: checked > 0 ? Math.round((counts.supported / checked) * 100) : null,
+    ...counts,
+    answersChecked: checks.length,
+    misinformation: [...misinformation.values()]
+      .sort((a, b) => b.count - a.count)
+      .slice(0, MAX_MISINFORMATION),
+    sources: facts?.sources || []
+  };
+}
+
+module.exports = {
+  buildBrandFacts,
+  checkAnswerAccuracy,
+  checkAnswersAccuracy,
+  checkFactsByRules,
+  summarizeBrandAccuracy
+};
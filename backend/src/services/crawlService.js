@@ -0,0 +1,343 @@
+/**
+ * Crawl Service
+ * Multi-page site crawl built on analyzeSEO.
+ *
+ * Starts at a URL and follows internal links (from analyzeLinks) and sitemap
+ * entries (from checkSitemap) on the same host, breadth-first. Respects
+ * robots.txt, a page cap and a depth limit, then builds a site-level report:
+ * per-page warnings, duplicate titles/meta descriptions, orphan pages and
+ * indexable pages missing from the sitemap.
+ */
+
+const axios = require('axios');
+const { URL } = require('url');
+const { analyzeSEO, checkSitemap } = require('./seoService');
+const { parseRobotsTxt, getGroupForAgent, evaluateRules } = require('./robotsTxtService');
+
+const CRAWLER_USER_AGENT = 'OptiSenseAI-Bot';
+const DEFAULT_MAX_PAGES = 25;
+const MAX_PAGES_LIMIT = 100;
+const DEFAULT_MAX_DEPTH = 3;
+const MAX_DEPTH_LIMIT = 5;
+const CRAWL_CONCURRENCY = 3;
+const DEFAULT_CRAWL_DELAY_MS = 250; // Between batches, so we don't hammer small sites
+const MAX_CRAWL_DELAY_MS = 5000; // Cap on robots.txt Crawl-delay
+const MAX_LISTED_URLS = 100; // Per list in the report
+
+// Links to files we can't analyze as HTML pages
+const NON_HTML_EXTENSIONS = /\.(pdf|jpe?g|png|gif|svg|webp|avif|ico|css|js|json|xml|txt|zip|gz|rar|mp3|mp4|webm|mov|woff2?|ttf|eot|docx?|xlsx?|pptx?|csv)$/i;
+
+/**
+ * Normalize a URL so the same page is only crawled once
+ * Drops the fragment and trailing slash (except on the root path).
+ */
+function normalizeUrl(url) {
+  const parsed = new URL(url);
+  parsed.hash = '';
+  if (parsed.pathname.length > 1 && parsed.pathname.endsWith('/')) {
+    parsed.pathname = parsed.pathname.slice(0, -1);
+  }
+  return parsed.href;
+}
+
+/**
+ * Clamp crawl limits to what we allow
+ */
+function resolveCrawlLimits({ maxPages, maxDepth } = {}) {
+  const pages = parseInt(maxPages) || DEFAULT_MAX_PAGES;
+  const depth = maxDepth === 0 ? 0 : (parseInt(maxDepth) || DEFAULT_MAX_DEPTH);
+  return {
+    maxPages: Math.min(Math.max(pages, 1), MAX_PAGES_LIMIT),
+    maxDepth: Math.min(Math.max(depth, 0), MAX_DEPTH_LIMIT)
+  };
+}
+
+/**
+ * Fetch robots.txt rules for a site (missing or unreadable = allow everything)
+ */
+async function fetchRobotsRules(origin) {
+  try {
+    const response = await axios.get(`${origin}/robots.txt`, {
+      timeout: 5000,
+      responseType: 'text',
+      validateStatus: (status) => status < 500,
+      headers: { 'User-Agent': `${CRAWLER_USER_AGENT}/1.0 (SEO Analysis Tool)` }
+    });
+    if (response.status !== 200 || typeof response.data !== 'string') {
+      return { found: false, rules: [], crawlDelayMs: null, sitemaps: [] };
+    }
+    const parsed = parseRobotsTxt(response.data);
+    const { rules, crawlDelay } = getGroupForAgent(parsed, CRAWLER_USER_AGENT);
+    return {
+      found: true,
+      rules,
+      crawlDelayMs: crawlDelay != null ? crawlDelay * 1000 : null,
+      sitemaps: parsed.sitemaps
+    };
+  } catch (error) {
+    return { found: false, rules: [], crawlDelayMs: null, sitemaps: [] };
+  }
+}
+
+/**
+ * Collect same-host page URLs from the site's sitemaps (indexes and gzip included)
+ */
+async function fetchSitemapUrls(origin, robotsSitemaps) {
+  let sitemap;
+  try {
+    sitemap = await checkSitemap(origin, { robotsSitemaps, sampleSize: 0, collectAllUrls: true });
+  } catch (error) {
+    return { found: false, urls: new Set() };
+  }
+  if (!sitemap.exists) {
+    return { found: false, urls: new Set() };
+  }
+
+  const host = new URL(origin).host;
+  const urls = new Set();
+  sitemap.urls.forEach(loc => {
+    try {
+      if (new URL(loc).host === host) urls.add(normalizeUrl(loc));
+    } catch (e) {
+      // Invalid <loc> - ignore
+    }
+  });
+
+  return { found: true, url: sitemap.url, urls };
+}
+
+/**
+ * Whether a crawled page can be indexed as itself
+ */
+function isIndexable(page) {
+  if (page.error || !page.statusCode || page.statusCode >= 300) return false;
+  const robotsDirectives = `${page.robotsMeta || ''} ${page.xRobotsTag || ''}`.toLowerCase();
+  if (robotsDirectives.includes('noindex') || robotsDirectives.includes('none')) return false;
+  if (page.finalUrl && page.finalUrl !== page.url) return false; // Redirected
+  if (page.canonical) {
+    try {
+      if (normalizeUrl(new URL(page.canonical, page.url).href) !== page.url) return false;
+    } catch (e) {
+      // Unparseable canonical - treat the page as self-canonical
+    }
+  }
+  return true;
+}
+
+/**
+ * Group pages that share the same value for a field
+ */
+function findDuplicates(pages, field) {
+  const groups = new Map();
+  pages.forEach(page => {
+    const value = page[field]?.trim();
+    if (!value || !isIndexable(page)) return;
+    const key = value.toLowerCase();
+    if (!groups.has(key)) groups.set(key, { value, urls: [] });
+    groups.get(key).urls.push(page.url);
+  });
+  return Array.from(groups.values()).filter(group => group.urls.length > 1);
+}
+
+/**
+ * Crawl a site starting at a URL
+ * @param {string} startUrl - First page to crawl (its host bounds the crawl)
+ * @param {Object} options
+ * @param {number} options.maxPages - Page cap (clamped to MAX_PAGES_LIMIT)
+ * @param {number} options.maxDepth - Link depth limit from the start page
+ * @param {Function} options.onProgress - Optional callback receiving { stage: 'crawl', status, completed, total }
+ * @returns {Promise<Object>} Site-level crawl report
+ */
+async function crawlSite(startUrl, options = {}) {
+  const { onProgress = () => {} } = options;
+  const { maxPages, maxDepth } = resolveCrawlLimits(options);
+
+  let normalizedStart = startUrl.trim();
+  if (!normalizedStart.startsWith('http://') && !normalizedStart.startsWith('https://')) {
+    normalizedStart = 'https://' + normalizedStart;
+  }
+  const start = normalizeUrl(normalizedStart);
+  const startParsed = new URL(start);
+  const origin = startParsed.origin;
+
+  onProgress({ stage: 'crawl', status: 'running', completed: 0, total: maxPages });
+  console.log(`🕷️ Crawling ${origin} (max ${maxPages} pages, depth ${maxDepth})`);
+
+  const robots = await fetchRobotsRules(origin);
+  const sitemap = await fetchSitemapUrls(origin, robots.sitemaps);
+  const delayMs = robots.crawlDelayMs != null
+    ? Math.min(robots.crawlDelayMs, MAX_CRAWL_DELAY_MS)
+    : DEFAULT_CRAWL_DELAY_MS;
+  // Honor an explicit Crawl-delay by fetching one page at a time
+  const concurrency = robots.crawlDelayMs != null ? 1 : CRAWL_CONCURRENCY;
+
+  const pages = new Map(); // url -> page summary
+  const inlinks = new Map(); // url -> Set of linking page urls
+  const seen = new Set();
+  const frontier = [];
+  const blockedByRobots = [];
+
+  const enqueue = (url, depth, source) => {
+    let normalized;
+    try {
+      normalized = normalizeUrl(url);
+    } catch (e) {
+      return;
+    }
+    const parsed = new URL(normalized);
+    if (parsed.host !== startParsed.host || seen.has(normalized)) return;
+    if (NON_HTML_EXTENSIONS.test(parsed.pathname) || depth > maxDepth) return;
+    seen.add(normalized);
+
+    if (!evaluateRules(robots.rules, parsed.pathname + parsed.search).allowed) {
+      blockedByRobots.push(normalized);
+      return;
+    }
+    frontier.push({ url: normalized, depth, source });
+  };
+
+  const crawlPage = async ({ url, depth, source }) => {
+    const page = { url, depth, source, inSitemap: sitemap.urls.has(url) };
+    try {
+      const seo = await analyzeSEO(url, { skipSiteChecks: true });
+      Object.assign(page, {
+        statusCode: seo.statusCode,
+        finalUrl: seo.finalUrl ? normalizeUrl(seo.finalUrl) : url,
+        title: seo.title,
+        metaDescription: seo.metaDescription,
+        canonical: seo.canonical,
+        robotsMeta: seo.robotsMeta,
+        xRobotsTag: seo.xRobotsTag,
+        wordCount: seo.extractedText?.wordCount || 0,
+        loadTimeMs: seo.loadTimeMs,
+        warnings: seo.warnings || []
+      });
+
+      (seo.links?.internalUrls || []).forEach(link => {
+        let target;
+        try {
+          target = normalizeUrl(link);
+        } catch (e) {
+          return;
+        }
+        if (target === url) return;
+        if (!inlinks.has(target)) inlinks.set(target, new Set());
+        inlinks.get(target).add(url);
+        enqueue(target, depth + 1, 'link');
+      });
+    } catch (error) {
+      page.error = error.message;
+      page.statusCode = parseInt(error.message.match(/^HTTP (\d{3})/)?.[1]) || null;
+      page.warnings = [];
+    }
+    pages.set(url, page);
+  };
+
+  enqueue(start, 0, 'start');
+  let sitemapSeeded = false;
+
+  while (frontier.length > 0 && pages.size < maxPages) {
+    const batch = frontier.splice(0, Math.min(concurrency, maxPages - pages.size));
+    await Promise.all(batch.map(crawlPage));
+
+    // Sitemap entries go in after the start page's own links (breadth-first)
+    if (!sitemapSeeded) {
+      sitemapSeeded = true;
+      sitemap.urls.forEach(url => enqueue(url, 1, 'sitemap'));
+    }
+
+    onProgress({ stage: 'crawl', status: 'running', completed: pages.size, total: maxPages });
+
+    if (frontier.length > 0 && pages.size < maxPages) {
+      await new Promise(resolve => setTimeout(resolve, delayMs));
+    }
+  }
+
+  const crawlComplete = frontier.length === 0;
+  const pageList = Array.from(pages.values()).map(page => ({
+    ...page,
+    inlinks: inlinks.get(page.url)?.size || 0,
+    indexable: isIndexable(page)
+  }));
+
+  const duplicateTitles = findDuplicates(pageList, 'title');
+  const duplicateMetaDescriptions = findDuplicates(pageList, 'metaDescription');
+
+  // Orphans: reachable only through the sitemap - no crawled page links to them
+  const orphanPages = pageList
+    .filter(page => page.url !== start && page.inSitemap && page.inlinks === 0)
+    .map(page => page.url);
+
+  const notInSitemap = sitemap.found
+    ? pageList.filter(page => page.indexable && !page.inSitemap).map(page => page.url)
+    : [];
+
+  const errorPages = pageList.filter(page => page.error || page.statusCode >= 400);
+
+  const warnings = [];
+  if (!sitemap.found) {
+    warnings.push('No sitemap found - orphan and sitemap coverage checks were skipped');
+  }
+  if (duplicateTitles.length > 0) {
+    warnings.push(`${duplicateTitles.length} title${duplicateTitles.length !== 1 ? 's are' : ' is'} shared by multiple pages`);
+  }
+  if (duplicateMetaDescriptions.length > 0) {
+    warnings.push(`${duplicateMetaDescriptions.length} meta description${duplicateMetaDescriptions.length !== 1 ? 's are' : ' is'} shared by multiple pages`);
+  }
+  if (orphanPages.length > 0) {
+    warnings.push(`${orphanPages.length} page${orphanPages.length !== 1 ? 's are' : ' is'} in the sitemap but not linked from any crawled page`);
+  }
+  if (notInSitemap.length > 0) {
+    warnings.push(`${notInSitemap.length} indexable page${notInSitemap.length !== 1 ? 's are' : ' is'} missing from the sitemap`);
+  }
+  if (errorPages.length > 0) {
+    warnings.push(`${errorPages.length} page${errorPages.length !== 1 ? 's' : ''} returned errors`);
+  }
+  if (!crawlComplete) {
+    warnings.push(`Crawl stopped at the ${maxPages}-page limit - site-wide checks cover crawled pages only`);
+  }
+
+  onProgress({ stage: 'crawl', status: 'completed', completed: pages.size, total: pages.size });
+  console.log(`✅ Crawl complete: ${pages.size} pages, ${warnings.length} site-level warnings`);
+
+  return {
+    startUrl: start,
+    maxPages,
+    maxDepth,
+    crawlComplete,
+    robotsTxt: {
+      found: robots.found,
+      crawlDelayMs: robots.crawlDelayMs
+    },
+    sitemap: {
+      found: sitemap.found,
+      url: sitemap.url || null,
+      urlCount: sitemap.urls.size
+    },
+    pages: pageList,
+    duplicateTitles,
+    duplicateMetaDescriptions,
+    orphanPages: orphanPages.slice(0, MAX_LISTED_URLS),
+    notInSitemap: notInSitemap.slice(0, MAX_LISTED_URLS),
+    blockedByRobots: blockedByRobots.slice(0, MAX_LISTED_URLS),
+    summary: {
+      pagesCrawled: pageList.length,
+      indexablePages: pageList.filter(page => page.indexable).length,
+      totalPageWarnings: pageList.reduce((sum, page) => sum + page.warnings.length, 0),
+      duplicateTitles: duplicateTitles.length,
+      duplicateMetaDescriptions: duplicateMetaDescriptions.length,
+      orphanPages: orphanPages.length,
+      notInSitemap: notInSitemap.length,
+      blockedByRobots: blockedByRobots.length,
+      errorPages: errorPages.length
+    },
+    warnings,
+    crawledAt: new Date().toISOString()
+  };
+}
+
+module.exports = {
+  crawlSite,
+  resolveCrawlLimits,
+  normalizeUrl
+};
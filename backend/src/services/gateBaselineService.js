@@ -0,0 +1,171 @@
+/**
+ * Gate Baseline Service
+ * Picks the scan a CI quality gate compares a URL with (see
+ * qualityGateService.compareWithBaseline) and manages pinned baselines
+ * (see models/GateBaseline.js).
+ *
+ * A gate's baseline is, in order: the scan given as `baseline.scanId`, the
+ * scan approved for the URL in `baseline.project`, or the URL's latest
+ * completed scan. Approving a baseline after an intentional change replaces
+ * the project's scan for that URL.
+ */
+
+const mongoose = require('mongoose');
+const Scan = require('../models/Scan');
+const GateBaseline = require('../models/GateBaseline');
+const { getWorkspaceFilter, getWorkspaceFields } = require('./organizationService');
+const { resolveScanPrompts } = require('./promptSetService');
+
+const PROJECT_PATTERN = /^[\w.-]{1,100}$/;
+const MAX_BASELINES = 500; // Per workspace
+// The comparison doesn't read the page text, answers, crawl or recommendations
+const BASELINE_SCAN_FIELDS = '-job -seo.extractedText -llmVisibility.details -crawl -recommendations';
+
+/**
+ * Validate a project name, e.g. 'marketing-site'
+ * @param {string} project
+ * @returns {string}
+ */
+function normalizeProject(project) {
+  const name = typeof project === 'string' ? project.trim() : '';
+  if (!PROJECT_PATTERN.test(name)) {
+    throw new Error('Project must be 1-100 letters, numbers, dots, dashes or underscores');
+  }
+  return name;
+}
+
+/**
+ * Baselines are shared with the organization, like prompt sets
+ */
+function getBaselineOwner(user) {
+  const { userId, organizationId } = getWorkspaceFields(user);
+  return organizationId
+    ? { organizationId }
+    : { userId, organizationId: null };
+}
+
+/**
+ * A completed scan in the user's workspace: the given one, or the URL's latest
+ */
+async function findCompletedScan(user, url, scanId = null) {
+  if (scanId && !mongoose.isValidObjectId(scanId)) return null;
+  const query = { status: 'completed', url, ...getWorkspaceFilter(user), ...(scanId && { _id: scanId }) };
+  return Scan.findOne(query).sort({ createdAt: -1 }).select(BASELINE_SCAN_FIELDS).lean();
+}
+
+/**
+ * Find the baseline for one URL of a gate
+ * @param {Object} user - User document
+ * @param {string} url
+ * @param {Object} baselinePolicy - policy.baseline (see qualityGateService.normalizeGatePolicy)
+ * @returns {Promise<Object>} { scan, source: 'scan' | 'pinned' | 'latest', project, prompts } or { scan: null, message }
+ */
+async function findGateBaseline(user, url, baselinePolicy) {
+  let scan;
+  let source;
+  if (baselinePolicy.scanId) {
+    source = 'scan';
+    scan = await findCompletedScan(user, url, baselinePolicy.scanId);
+    if (!scan) return { scan: null, message: `Scan ${baselinePolicy.scanId} is not a completed scan of ${url}` };
+  } else if (baselinePolicy.project) {
+    source = 'pinned';
+    const pinned = await GateBaseline.findOne({ ...getBaselineOwner(user), project: baselinePolicy.project, url });
+    if (!pinned) return { scan: null, message: `No baseline approved for ${url} in project "${baselinePolicy.project}"` };
+    scan = await findCompletedScan(user, url, pinned.scanId);
+    if (!scan) return { scan: null, message: `The approved baseline scan for ${url} no longer exists` };
+  } else {
+    source = 'latest';
+    scan = await findCompletedScan(user, url);
+    if (!scan) return { scan: null, message: `No completed scan of ${url} yet` };
+  }
+
+  // Ask the baseline's prompt set again so visibility stays comparable
+  let prompts = null;
+  const promptSet = scan.llmVisibility?.promptSet;
+  if (baselinePolicy.visibilityTolerance !== null && promptSet?.id) {
+    prompts = await resolveScanPrompts({
+      ...getWorkspaceFields(user),
+      promptSetId: promptSet.id,
+      url
+    });
+  }
+
+  return { scan, source, project: baselinePolicy.project, prompts };
+}
+
+/**
+ * Pin a scan as a project's baseline for its URL (replaces the previous one)
+ * @param {Object} user - User document
+ * @param {Object} input - { project, url, scanId? (default: the URL's latest completed scan), note? }
+ * @returns {Promise<Object>} GateBaseline document
+ */
+async function approveBaseline(user, { project, url, scanId = null, note = '' }) {
+  const name = normalizeProject(project);
+  if (typeof url !== 'string' || !url.trim()) {
+    throw new Error('url is required');
+  }
+  if (typeof note !== 'string' || note.length > 500) {
+    throw new Error('note must be at most 500 characters');
+  }
+
+  const scan = await findCompletedScan(user, url.trim(), scanId);
+  if (!scan) {
+    throw new Error(scanId
+      ? `Scan ${scanId} is not a completed scan of ${url}`
+      : `No completed scan of ${url} to approve`);
+  }
+
+  const owner = getBaselineOwner(user);
+  const existing = await GateBaseline.findOne({ ...owner, project: name, url: scan.url });
+  if (!existing && await GateBaseline.countDocuments(owner) >= MAX_BASELINES) {
+    throw new Error(`You can have up to ${MAX_BASELINES} baselines`);
+  }
+
+  const baseline = existing || new GateBaseline({ ...owner, project: name, url: scan.url });
+  Object.assign(baseline, {
+    userId: user._id,
+    scanId: scan._id,
+    note: note.trim(),
+    approvedAt: new Date()
+  });
+  await baseline.save();
+  return baseline;
+}
+
+/**
+ * The workspace's pinned baselines, optionally for one project
+ */
+async function listBaselines(user, project = null) {
+  const query = { ...getBaselineOwner(user), ...(project && { project: normalizeProject(project) }) };
+  return GateBaseline.find(query).sort({ project: 1, url: 1 });
+}
+
+/**
+ * Remove a pinned baseline; false when it isn't in the user's workspace
+ */
+async function deleteBaseline(user, baselineId) {
+  if (!mongoose.isValidObjectId(baselineId)) return false;
+  const result = await GateBaseline.deleteOne({ _id: baselineId, ...getBaselineOwner(user) });
+  return result.deletedCount > 0;
+}
+
+function formatBaseline(baseline) {
+  return {
+    id: baseline._id,
+    project: baseline.project,
+    url: baseline.url,
+    scanId: baseline.scanId,
+    note: baseline.note || '',
+    approvedBy: baseline.userId,
+    approvedAt: baseline.approvedAt
+  };
+}
+
+module.exports = {
+  normalizeProject,
+  findGateBaseline,
+  approveBaseline,
+  listBaselines,
+  deleteBaseline,
+  formatBaseline
+};
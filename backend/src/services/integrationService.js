@@ -7,6 +7,7 @@
 
 const { google } = require('googleapis');
 const Integration = require('../models/Integration');
+const { emitWebhookEvent } = require('./webhookService');
 
 // OAuth2 configuration
 const GOOGLE_CLIENT_ID = process.env.GOOGLE_CLIENT_ID;
@@ -180,12 +181,27 @@ async function refreshAccessToken(integration) {
     };
   } catch (error) {
     console.error('Error refreshing token:', error);
-    integration.syncStatus = 'error';
+    // invalid_grant: the refresh token was revoked or expired, so the user has to reconnect
+    const expired = error.response?.data?.error === 'invalid_grant' || /invalid_grant/.test(error.message);
+    const wasExpired = integration.syncStatus === 'expired';
+    integration.syncStatus = expired ? 'expired' : 'error';
     integration.lastError = {
       message: error.message,
       timestamp: new Date()
     };
     await integration.save();
+
+    if (expired && !wasExpired) {
+      emitWebhookEvent('integration.expired', integration, {
+        integrationId: integration._id,
+        provider: integration.provider,
+        connectedBy: integration.userId,
+        organizationId: integration.organizationId || null,
+        error: error.message
+      }).catch(webhookError => {
+        console.error(`integration.expired webhooks failed for integration ${integration._id}:`, webhookError.message);
+      });
+    }
     throw error;
   }
 }
@@ -0,0 +1,416 @@
+/**
+ * LLM Client Service
+ * Single entry point for LLM calls: picks the model for a task, retries with
+ * backoff, falls through to the next configured model, parses JSON answers
+ * and keeps token totals.
+ *
+ * Models are "provider:model" specs (see llmProviderService for providers).
+ * Per task, the first source that is set wins:
+ *   1. LLMModelConfig document in MongoDB (cached for a minute)
+ *   2. Task env var, e.g. LLM_VISIBILITY_MODELS=gemini:gemini-2.5-flash,openai:llama3.1
+ *   3. LLM_DEFAULT_MODELS (applies to every task)
+ *   4. Built-in defaults below
+ */
+
+const mongoose = require('mongoose');
+const { getProvider, PROVIDER_NAMES } = require('./llmProviderService');
+const { isModelHealthy, getRoutableModels } = require('./modelHealthCheckService');
+
+const TASKS = {
+  visibility: {
+    env: 'LLM_VISIBILITY_MODELS',
+    defaults: ['gemini:gemini-2.5-flash']
+  },
+  multiVisibility: {
+    env: 'LLM_MULTI_VISIBILITY_MODELS',
+    defaults: [
+      'gemini:gemini-2.5-flash',
+      'openrouter:openrouter/sherlock-dash-alpha',
+      'openrouter:mistralai/mistral-7b-instruct:free'
+    ]
+  },
+  citationRecommendations: {
+    env: 'LLM_CITATION_RECOMMENDATION_MODELS',
+    defaults: ['gemini:gemini-2.5-flash']
+  },
+  promptGeneration: {
+    env: 'LLM_PROMPT_GENERATION_MODELS',
+    defaults: ['gemini:gemini-2.5-flash']
+  },
+  seoRecommendations: {
+    env: 'LLM_SEO_RECOMMENDATION_MODELS',
+    defaults: ['gemini:gemini-2.5-flash']
+  },
+  brandAccuracy: {
+    env: 'LLM_BRAND_ACCURACY_MODELS',
+    defaults: ['gemini:gemini-2.5-flash']
+  },
+  warningRecommendations: {
+    env: 'LLM_WARNING_RECOMMENDATION_MODELS',
+    // Fastest first, based on health check response times
+    defaults: [
+      'openrouter:openrouter/sherlock-dash-alpha',
+      'openrouter:mistralai/mistral-7b-instruct:free',
+      'openrouter:openrouter/sherlock-think-alpha',
+      'openrouter:kwaipilot/kat-coder-pro:free',
+      'openrouter:tngtech/deepseek-r1t2-chimera:free'
+    ]
+  }
+};
+
+const MAX_ATTEMPTS = 3;
+const RETRY_BASE_DELAY_MS = 1000; // 1s, 2s, ...
+const RATE_LIMIT_BASE_DELAY_MS = 2000; // 2s, 4s, ...
+const DB_CONFIG_TTL_MS = 60 * 1000;
+const DEFAULT_MODELS_PER_PROVIDER = 2;
+
+// Database overrides (task -> specs), refreshed at most once per DB_CONFIG_TTL_MS
+const dbConfigCache = {
+  loadedAt: 0,
+  tasks: {}
+};
+
+// Running token totals since server start
+const usageTotals = {
+  requests: 0,
+  promptTokens: 0,
+  completionTokens: 0,
+  totalTokens: 0,
+  byModel: {}
+};
+
+/**
+ * Parse a "provider:model" spec
+ * Only the first colon separates the provider, so "openrouter:mistralai/mistral-7b-instruct:free" works.
+ * @param {string} spec - Model spec
+ * @returns {Object|null} { provider, model, spec } or null if invalid
+ */
+function parseModelSpec(spec) {
+  if (typeof spec !== 'string') return null;
+  const trimmed = spec.trim();
+  const separator = trimmed.indexOf(':');
+  if (separator <= 0) return null;
+
+  const provider = trimmed.slice(0, separator).toLowerCase();
+  const model = trimmed.slice(separator + 1).trim();
+  if (!PROVIDER_NAMES.includes(provider) || !model) return null;
+
+  return { provider, model, spec: `${provider}:${model}` };
+}
+
+/**
+ * Parse a comma-separated list of specs, dropping invalid entries
+ */
+function parseModelList(value) {
+  return String(value || '')
+    .split(',')
+    .map(parseModelSpec)
+    .filter(Boolean);
+}
+
+/**
+ * Load per-task overrides from MongoDB (skipped when not connected)
+ */
+async function loadDbConfig() {
+  if (Date.now() - dbConfigCache.loadedAt < DB_CONFIG_TTL_MS) {
+    return dbConfigCache.tasks;
+  }
+  if (mongoose.connection.readyState !== 1) {
+    return dbConfigCache.tasks;
+  }
+
+  try {
+    const LLMModelConfig = require('../models/LLMModelConfig');
+    const configs = await LLMModelConfig.find({ enabled: true }).lean();
+    dbConfigCache.tasks = {};
+    configs.forEach(config => {
+      dbConfigCache.tasks[config.task] = config.models || [];
+    });
+  } catch (error) {
+    if (process.env.NODE_ENV === 'development') {
+      console.warn(`⚠️ Failed to load LLM model config from database (using env): ${error.message}`);
+    }
+  }
+  dbConfigCache.loadedAt = Date.now();
+  return dbConfigCache.tasks;
+}
+
+/**
+ * Forget cached database overrides (e.g. after editing LLMModelConfig)
+ */
+function clearModelConfigCache() {
+  dbConfigCache.loadedAt = 0;
+  dbConfigCache.tasks = {};
+}
+
+/**
+ * Get the ordered model list for a task
+ * @param {string} task - Task name (see TASKS)
+ * @returns {Promise<Array>} [{ provider, model, spec }]
+ */
+async function getTaskModels(task) {
+  const taskConfig = TASKS[task];
+  if (!taskConfig) {
+    throw new Error(`Unknown LLM task: ${task}`);
+  }
+
+  const dbTasks = await loadDbConfig();
+  const sources = [
+    dbTasks[task] && dbTasks[task].join(','),
+    process.env[taskConfig.env],
+    process.env.LLM_DEFAULT_MODELS
+  ];
+
+  for (const source of sources) {
+    const models = parseModelList(source);
+    if (models.length > 0) return models;
+  }
+  return parseModelList(taskConfig.defaults.join(','));
+}
+
+/**
+ * Strip markdown fences and parse JSON, falling back to the first {...} or [...] block
+ * @param {string} text - Raw model output
+ * @returns {Object|Array|null} Parsed value or null
+ */
+function parseJsonResponse(text) {
+  if (!text) return null;
+  const cleaned = text.replace(/```(?:json)?\s*/gi, '').replace(/```/g, '').trim();
+
+  try {
+    return JSON.parse(cleaned);
+  } catch (error) {
+    // Models sometimes wrap JSON in prose - try the outermost object or array
+  }
+
+  const starts = [cleaned.indexOf('{'), cleaned.indexOf('[')].filter(index => index !== -1);
+  if (starts.length === 0) return null;
+  const start = Math.min(...starts);
+  const end = cleaned.lastIndexOf(cleaned[start] === '{' ? '}' : ']');
+  if (end <= start) return null;
+
+  try {
+    return JSON.parse(cleaned.slice(start, end + 1));
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Add a call's usage to the running totals
+ */
+function recordUsage(modelRef, usage) {
+  usageTotals.requests++;
+  usageTotals.promptTokens += usage.promptTokens;
+  usageTotals.completionTokens += usage.completionTokens;
+  usageTotals.totalTokens += usage.totalTokens;
+
+  const entry = usageTotals.byModel[modelRef.spec] || { requests: 0, totalTokens: 0 };
+  entry.requests++;
+  entry.totalTokens += usage.totalTokens;
+  usageTotals.byModel[modelRef.spec] = entry;
+}
+
+/**
+ * Token totals since server start
+ */
+function getUsageStats() {
+  return {
+    ...usageTotals,
+    byModel: { ...usageTotals.byModel }
+  };
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Call one model, retrying rate limits and transient errors with exponential backoff
+ * @param {Object|string} modelRef - { provider, model, spec } or a "provider:model" spec
+ * @param {Object} request - { system, prompt, temperature, maxTokens, json, timeoutMs }
+ * @param {Object} options
+ * @param {number} options.maxAttempts - Attempts before giving up on this model
+ * @returns {Promise<Object>} { text, data?, usage, provider, model, spec }
+ */
+async function completeWithModel(modelRef, request, options = {}) {
+  const { maxAttempts = MAX_ATTEMPTS } = options;
+  const ref = typeof modelRef === 'string' ? parseModelSpec(modelRef) : modelRef;
+  if (!ref) {
+    throw new Error(`Invalid LLM model spec: ${modelRef}`);
+  }
+
+  const provider = getProvider(ref.provider);
+  if (!provider.isConfigured()) {
+    throw new Error(`LLM provider ${ref.provider} is not configured`);
+  }
+
+  let lastError;
+  for (let attempt = 0; attempt < maxAttempts; attempt++) {
+    try {
+      const result = await provider.complete({ ...request, model: ref.model });
+      recordUsage(ref, result.usage);
+
+      return {
+        text: result.text,
+        ...(request.json ? { data: parseJsonResponse(result.text) } : {}),
+        usage: result.usage,
+        provider: ref.provider,
+        model: ref.model,
+        spec: ref.spec
+      };
+    } catch (error) {
+      lastError = error;
+      if (!error.retryable || attempt === maxAttempts - 1) break;
+
+      const baseDelay = error.isRateLimit ? RATE_LIMIT_BASE_DELAY_MS : RETRY_BASE_DELAY_MS;
+      const delay = baseDelay * Math.pow(2, attempt);
+      console.log(`  ⏳ Retry ${attempt + 1}/${maxAttempts - 1} for ${ref.spec} after ${delay}ms...`);
+      await sleep(delay);
+    }
+  }
+
+  throw lastError;
+}
+
+/**
+ * Run a task on its configured models, falling through to the next model on failure
+ * Models whose provider has no credentials are skipped; models the health check
+ * marked unhealthy are tried last.
+ * @param {string} task - Task name (see TASKS)
+ * @param {Object} request - { system, prompt, temperature, maxTokens, json, timeoutMs }
+ * @param {Object} options - Passed to completeWithModel
+ * @returns {Promise<Object>} { text, data?, usage, provider, model, spec }
+ */
+async function complete(task, request, options = {}) {
+  const models = (await getTaskModels(task)).filter(ref => getProvider(ref.provider).isConfigured());
+  if (models.length === 0) {
+    throw new Error(`No configured LLM provider for task ${task}`);
+  }
+
+  const healthy = models.filter(ref => isModelHealthy(ref.model));
+  const ordered = [...healthy, ...models.filter(ref => !healthy.includes(ref))];
+
+  let lastError;
+  for (const ref of ordered) {
+    try {
+      return await completeWithModel(ref, request, options);
+    } catch (error) {
+      lastError = error;
+      if (process.env.NODE_ENV === 'development') {
+        console.warn(`  ⚠️ ${ref.spec} failed for ${task} (trying next model): ${error.message}`);
+      }
+    }
+  }
+
+  throw lastError;
+}
+
+/**
+ * Same as complete() but asks for JSON and parses the answer into result.data
+ */
+async function completeJson(task, request, options = {}) {
+  return complete(task, { ...request, json: true }, options);
+}
+
+/**
+ * Build a model router for a multi-model task (one per scan)
+ * Starts from the task's configured models, adds models the health check found
+ * healthy (fastest first) as reserves, and keeps up to N models per provider active.
+ * Known-unhealthy models are only used when nothing else is available.
+ * @param {string} task - Task name (see TASKS)
+ * @param {Object} options
+ * @param {number} options.perProvider - Active models per provider (LLM_MODELS_PER_PROVIDER, default 2)
+ * @param {Array} options.models - Fixed "provider:model" specs (scheduled scans). All are active,
+ *   there are no reserves, and a failing model is dropped rather than replaced.
+ * @returns {Promise<Object>} { getActiveModels(), replace(ref), replacements }
+ */
+async function createModelRouter(task, options = {}) {
+  if (Array.isArray(options.models) && options.models.length > 0) {
+    const fixed = options.models
+      .map(parseModelSpec)
+      .filter(ref => ref && getProvider(ref.provider).isConfigured());
+    return createRouter(fixed, []);
+  }
+
+  const perProvider = options.perProvider ||
+    parseInt(process.env.LLM_MODELS_PER_PROVIDER, 10) ||
+    DEFAULT_MODELS_PER_PROVIDER;
+
+  const configured = await getTaskModels(task);
+  const registry = getRoutableModels()
+    .filter(entry => entry.provider && entry.healthy !== false)
+    .sort((a, b) => {
+      // Checked-and-healthy before unchecked, then fastest first
+      if (a.healthy !== b.healthy) return a.healthy ? -1 : 1;
+      return (a.responseTime ?? Infinity) - (b.responseTime ?? Infinity);
+    })
+    .map(entry => parseModelSpec(`${entry.provider}:${entry.model}`));
+
+  const seen = new Set();
+  const candidates = [...configured, ...registry].filter(ref => {
+    if (!ref || seen.has(ref.spec) || !getProvider(ref.provider).isConfigured()) return false;
+    seen.add(ref.spec);
+    return true;
+  });
+
+  const healthy = candidates.filter(ref => isModelHealthy(ref.model));
+  const pool = healthy.length > 0 ? healthy : candidates;
+
+  const active = [];
+  const reserves = [];
+  pool.forEach(ref => {
+    const activeForProvider = active.filter(activeRef => activeRef.provider === ref.provider).length;
+    (activeForProvider < perProvider ? active : reserves).push(ref);
+  });
+
+  return createRouter(active, reserves);
+}
+
+/**
+ * Router over active models with reserves to swap in
+ */
+function createRouter(active, reserves) {
+  const replacements = [];
+
+  return {
+    getActiveModels() {
+      return [...active];
+    },
+
+    /**
+     * Swap a failing model for the next reserve (same provider first)
+     * @returns {Object|null} The replacement, or null when none are left
+     */
+    replace(ref) {
+      const index = active.findIndex(activeRef => activeRef.spec === ref.spec);
+      if (index === -1) return null;
+
+      let reserveIndex = reserves.findIndex(reserve => reserve.provider === ref.provider);
+      if (reserveIndex === -1) reserveIndex = reserves.length > 0 ? 0 : -1;
+      if (reserveIndex === -1) {
+        active.splice(index, 1);
+        return null;
+      }
+
+      const [replacement] = reserves.splice(reserveIndex, 1);
+      active[index] = replacement;
+      replacements.push({ from: ref.spec, to: replacement.spec });
+      return replacement;
+    },
+
+    replacements
+  };
+}
+
+module.exports = {
+  complete,
+  completeJson,
+  completeWithModel,
+  createModelRouter,
+  getTaskModels,
+  getUsageStats,
+  clearModelConfigCache,
+  parseModelSpec,
+  parseJsonResponse
+};
@@ -0,0 +1,219 @@
+/**
+ * LLM Provider Service
+ * Adapters that give every LLM backend the same interface:
+ *
+ *   provider.isConfigured() -> boolean
+ *   provider.complete({ model, system, prompt, temperature, maxTokens, json, timeoutMs })
+ *     -> { text, usage: { promptTokens, completionTokens, totalTokens, estimated } }
+ *
+ * Supported providers: gemini, openrouter, huggingface and openai (any
+ * OpenAI-compatible endpoint, e.g. a local Ollama or llama.cpp server).
+ * Failures are thrown as Errors carrying status, isRateLimit and retryable.
+ */
+
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+const axios = require('axios');
+
+const DEFAULT_TIMEOUT_MS = 30000;
+const RETRYABLE_STATUS_CODES = [408, 429, 500, 502, 503, 504];
+
+/**
+ * Rough token estimate (~4 characters per token) for providers that don't report usage
+ */
+function estimateTokens(text) {
+  return Math.ceil((text || '').length / 4);
+}
+
+/**
+ * Normalize a provider failure so callers can decide whether to retry
+ * @param {string} provider - Provider name
+ * @param {string} model - Model name
+ * @param {Error} error - Original error
+ * @returns {Error}
+ */
+function createProviderError(provider, model, error) {
+  const message = error.response?.data?.error?.message || error.response?.data?.error || error.message;
+  const statusMatch = !error.response && /\[(\d{3})[^\]]*\]/.exec(error.message || '');
+  const status = error.response?.status || (statusMatch ? parseInt(statusMatch[1], 10) : null);
+  const text = String(message || '').toLowerCase();
+
+  const isRateLimit = status === 429 || text.includes('rate limit') || text.includes('quota');
+  const isTimeout = error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT' || text.includes('timed out');
+  const isOverloaded = text.includes('overloaded') || text.includes('service unavailable');
+
+  const providerError = new Error(`${provider} ${model} failed: ${typeof message === 'string' ? message : JSON.stringify(message)}`);
+  providerError.provider = provider;
+  providerError.model = model;
+  providerError.status = status;
+  providerError.isRateLimit = isRateLimit;
+  providerError.retryable = isRateLimit || isTimeout || isOverloaded || RETRYABLE_STATUS_CODES.includes(status);
+  return providerError;
+}
+
+/**
+ * Reject if a promise takes longer than timeoutMs (for SDKs without a timeout option)
+ */
+function withTimeout(promise, timeoutMs) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      const error = new Error(`Request timed out after ${timeoutMs}ms`);
+      error.code = 'ETIMEDOUT';
+      reject(error);
+    }, timeoutMs);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Google Gemini (via @google/generative-ai)
+ */
+const geminiProvider = {
+  name: 'gemini',
+
+  isConfigured() {
+    return !!process.env.GEMINI_API_KEY;
+  },
+
+  async complete({ model, system, prompt, temperature, maxTokens, timeoutMs = DEFAULT_TIMEOUT_MS }) {
+    const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+    const generationConfig = {};
+    if (temperature !== undefined) generationConfig.temperature = temperature;
+    if (maxTokens) generationConfig.maxOutputTokens = maxTokens;
+
+    const generativeModel = genAI.getGenerativeModel({ model, generationConfig });
+    // The SDK has no system role, so the system text leads the prompt
+    const fullPrompt = system ? `${system}\n\n${prompt}` : prompt;
+
+    try {
+      const result = await withTimeout(generativeModel.generateContent(fullPrompt), timeoutMs);
+      const text = result.response.text();
+      const promptTokens = estimateTokens(fullPrompt);
+      const completionTokens = estimateTokens(text);
+      return {
+        text,
+        usage: { promptTokens, completionTokens, totalTokens: promptTokens + completionTokens, estimated: true }
+      };
+    } catch (error) {
+      throw createProviderError('gemini', model, error);
+    }
+  }
+};
+
+/**
+ * Build an adapter for an OpenAI-style /chat/completions API
+ * @param {Object} config
+ * @param {string} config.name - Provider name
+ * @param {Function} config.getBaseUrl - Returns the API base URL (ending before /chat/completions)
+ * @param {Function} config.getApiKey - Returns the API key (may be empty for local servers)
+ * @param {boolean} config.requiresApiKey - Whether the provider is unusable without a key
+ * @param {Object} config.headers - Extra request headers
+ */
+function createChatCompletionsProvider({ name, getBaseUrl, getApiKey, requiresApiKey = true, headers = {} }) {
+  return {
+    name,
+
+    isConfigured() {
+      return !!getBaseUrl() && (!requiresApiKey || !!getApiKey());
+    },
+
+    async complete({ model, system, prompt, temperature, maxTokens, json = false, timeoutMs = DEFAULT_TIMEOUT_MS }) {
+      const messages = [];
+      if (system) messages.push({ role: 'system', content: system });
+      messages.push({ role: 'user', content: prompt });
+
+      const body = { model, messages };
+      if (temperature !== undefined) body.temperature = temperature;
+      if (maxTokens) body.max_tokens = maxTokens;
+      if (json) body.response_format = { type: 'json_object' };
+
+      const apiKey = getApiKey();
+      try {
+        const response = await axios.post(
+          `${getBaseUrl().replace(/\/$/, '')}/chat/completions`,
+          body,
+          {
+            headers: {
+              'Content-Type': 'application/json',
+              ...(apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {}),
+              ...headers
+            },
+            timeout: timeoutMs
+          }
+        );
+
+        const text = response.data.choices?.[0]?.message?.content || '';
+        const usage = response.data.usage;
+        if (usage && usage.total_tokens) {
+          return {
+            text,
+            usage: {
+              promptTokens: usage.prompt_tokens || 0,
+              completionTokens: usage.completion_tokens || 0,
+              totalTokens: usage.total_tokens,
+              estimated: false
+            }
+          };
+        }
+
+        const promptTokens = estimateTokens((system || '') + prompt);
+        const completionTokens = estimateTokens(text);
+        return {
+          text,
+          usage: { promptTokens, completionTokens, totalTokens: promptTokens + completionTokens, estimated: true }
+        };
+      } catch (error) {
+        throw createProviderError(name, model, error);
+      }
+    }
+  };
+}
+
+const openRouterProvider = createChatCompletionsProvider({
+  name: 'openrouter',
+  getBaseUrl: () => 'https://openrouter.ai/api/v1',
+  getApiKey: () => process.env.OPENROUTER_API_KEY,
+  headers: {
+    'HTTP-Referer': process.env.APP_URL || 'https://optisenseai.com',
+    'X-Title': 'OptiSenseAI'
+  }
+});
+
+// HuggingFace Inference Providers expose an OpenAI-compatible router endpoint
+const huggingFaceProvider = createChatCompletionsProvider({
+  name: 'huggingface',
+  getBaseUrl: () => 'https://router.huggingface.co/v1',
+  getApiKey: () => process.env.HUGGINGFACE_API_KEY
+});
+
+// Any OpenAI-compatible server, e.g. Ollama (http://localhost:11434/v1) or llama.cpp
+const openAICompatibleProvider = createChatCompletionsProvider({
+  name: 'openai',
+  getBaseUrl: () => process.env.OPENAI_COMPATIBLE_BASE_URL,
+  getApiKey: () => process.env.OPENAI_COMPATIBLE_API_KEY,
+  requiresApiKey: false
+});
+
+const PROVIDERS = {
+  gemini: geminiProvider,
+  openrouter: openRouterProvider,
+  huggingface: huggingFaceProvider,
+  openai: openAICompatibleProvider
+};
+
+/**
+ * Look up a provider adapter by name
+ * @param {string} name - Provider name
+ * @returns {Object|null}
+ */
+function getProvider(name) {
+  return PROVIDERS[name] || null;
+}
+
+module.exports = {
+  getProvider,
+  createChatCompletionsProvider,
+  createProviderError,
+  estimateTokens,
+  PROVIDER_NAMES: Object.keys(PROVIDERS)
+};
@@ -1,13 +1,17 @@
-const { GoogleGenerativeAI } = require('@google/generative-ai');
-
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+const { complete, completeJson, createModelRouter, parseJsonResponse } = require('./llmClientService');
+const { analyzeWithMultipleLLMs, buildVisibilityRequest } = require('./multiLLMService');
+const { createEntityResolver, extractMentions, buildShareOfVoice } = require('./shareOfVoiceService');
+const { SCORING_VERSION, scoreAnswer, combineScores } = require('./visibilityScoringService');
+const { buildBrandFacts, checkAnswersAccuracy, summarizeBrandAccuracy } = require('./brandAccuracyService');
+const { summarizePromptSamples, summarizeScanSampling } = require('./answerSamplingService');
+const { renderPrompt } = require('./promptSetService');
 
 /**
- * Gemini Model Configuration
- * Model: gemini-2.5-flash (ONLY)
- * - Latest, fastest, most cost-effective
- * - Free tier: 60 requests/minute
- * - Used for all Gemini-based analysis
+ * Model Configuration
+ * Models are picked by llmClientService per task:
+ * - visibility: single-model analysis (default gemini-2.5-flash)
+ * - multiVisibility: premium multi-model analysis
+ * - citationRecommendations: recommendations when the domain isn't cited
  */
 
 // Predefined prompts for MVP
@@ -38,23 +42,55 @@ const PROMPT_TEMPLATES = [
  * @param {string} options.businessInfo.brandName - Brand name
  * @param {string} options.businessInfo.industry - Industry
  * @param {string} options.businessInfo.brandSummary - Brand summary
+ * @param {Array} options.competitors - Pinned competitors ({ name, domain, aliases }) for share of voice
+ * @param {Object|Promise} options.seo - SEO data of the scanned page (or a promise of it) to fact-check answers against
+ * @param {Object} options.sampling - { samples, temperature } to ask every prompt several times (see answerSamplingService)
+ * @param {Array} options.prompts - Prompts from a prompt set ({ id, template, category }), used instead of the defaults
+ * @param {Object} options.promptSet - { id, name, version, source } of that set, recorded on the result
+ * @param {Array} options.models - Premium: fixed "provider:model" specs instead of health-based routing
+ * @param {Function} options.onProgress - Optional callback receiving per-prompt progress events
  * @returns {Promise<Object>} LLM visibility data
  */
 async function analyzeLLMVisibility(url, options = {}) {
-  const { isPremium = false, businessInfo = {} } = options;
+  const {
+    isPremium = false,
+    businessInfo = {},
+    competitors = [],
+    seo = null,
+    sampling = null,
+    prompts = null,
+    promptSet = null,
+    models = null,
+    onProgress = () => {}
+  } = options;
   const domain = extractDomain(url);
   const brand = extractBrand(domain);
-  const topic = guessTopic(brand);
+  const topic = businessInfo.industry || guessTopic(brand);
   
   const results = [];
+  const ownBrand = businessInfo.brandName || brand;
+  // Every model answer with the entities it names, for the share-of-voice table
+  const entityResolver = createEntityResolver({ brand: ownBrand, domain, competitors });
+  const answers = [];
+  // SEO runs in parallel with the prompts, so the page facts may still be on their way
+  const brandFactsPromise = Promise.resolve(seo)
+    .catch(() => null)
+    .then(seoData => buildBrandFacts({ brand: ownBrand, domain, businessInfo, seo: seoData }));
+  const accuracyChecks = [];
+  // Per prompt, the per-answer results of a sampling scan
+  const samplingResults = [];
   let totalScore = 0;
+  let legacyTotalScore = 0;
   let totalTokens = 0;
   
-  console.log(`🤖 Starting LLM analysis for: ${domain}${isPremium ? ' (Premium)' : ''}`);
+  console.log(`🤖 Starting LLM analysis for: ${domain}${isPremium ? ' (Premium)' : ''}${sampling ? ` (${sampling.samples} samples)` : ''}`);
   
-  // For premium users, generate context-based prompts
+  // A prompt set chosen for the scan; otherwise premium users get context-based prompts
   let promptsToUse = PROMPT_TEMPLATES;
-  if (isPremium && businessInfo) {
+  if (Array.isArray(prompts) && prompts.length > 0) {
+    promptsToUse = prompts;
+    console.log(`  📝 Using prompt set${promptSet ? ` "${promptSet.name}" v${promptSet.version}` : ''} (${prompts.length} prompts)`);
+  } else if (isPremium && businessInfo) {
     try {
       const { generateBusinessPrompts } = require('./promptGenerationService');
       const customPrompts = await generateBusinessPrompts({
@@ -79,144 +115,106 @@ async function analyzeLLMVisibility(url, options = {}) {
     }
   }
   
-  for (const promptTemplate of promptsToUse) {
+  // One router per scan, so a model that fails on one prompt is replaced for the rest
+  let modelRouter = null;
+  if (isPremium) {
+    try {
+      modelRouter = await createModelRouter('multiVisibility', { models });
+      console.log(`  🔀 Multi-LLM models: ${modelRouter.getActiveModels().map(ref => ref.spec).join(', ') || 'none'}`);
+    } catch (error) {
+      if (process.env.NODE_ENV === 'development') {
+        console.warn(`  ⚠️ Model routing failed (using single model): ${error.message}`);
+      }
+    }
+  }
+  
+  onProgress({ stage: 'prompts', status: 'running', completed: 0, total: promptsToUse.length });
+  
+  for (const [promptIndex, promptTemplate] of promptsToUse.entries()) {
     try {
-      // Replace variables in prompt
-      const prompt = promptTemplate.template
-        .replace('{domain}', domain)
-        .replace('{brand}', brand)
-        .replace('{topic}', topic);
+      // Replace variables in prompt ({brand} is the profile's brand name when set)
+      const prompt = renderPrompt(promptTemplate.template, { domain, brand: ownBrand, topic });
       
       console.log(`  📝 Prompt: ${promptTemplate.id}`);
       
-      // For premium users, use multi-LLM analysis (3 models)
-      let analysisResult;
-      if (isPremium) {
+      // Sampling scans ask the same question several times; extra samples may fail without failing the prompt
+      const requestOptions = sampling ? { temperature: sampling.temperature } : {};
+      const analysisResult = await askModels(prompt, domain, modelRouter, requestOptions);
+      const runs = [analysisResult];
+      for (let sample = 1; sample < (sampling?.samples || 1); sample++) {
         try {
-          const { analyzeWithMultipleLLMs } = require('./multiLLMService');
-          const multiLLMResult = await analyzeWithMultipleLLMs(prompt, domain);
-          
-          // Aggregate results from 3 LLMs (Gemini + 2 OpenRouter models)
-          const llmResults = [];
-          if (multiLLMResult.gemini) {
-            llmResults.push({ provider: 'gemini', ...multiLLMResult.gemini });
-          }
-          if (multiLLMResult.openrouter1) {
-            llmResults.push({ provider: 'openrouter1', ...multiLLMResult.openrouter1 });
-          }
-          if (multiLLMResult.openrouter2) {
-            llmResults.push({ provider: 'openrouter2', ...multiLLMResult.openrouter2 });
-          }
-          
-          // Use Gemini as primary response, aggregate citations from all
-          const primaryResponse = multiLLMResult.gemini || multiLLMResult.openrouter1 || multiLLMResult.openrouter2 || {};
-          const allCitations = [
-            ...(multiLLMResult.gemini?.citations || []),
-            ...(multiLLMResult.openrouter1?.citations || []),
-            ...(multiLLMResult.openrouter2?.citations || [])
-          ];
-          const uniqueCitations = [...new Set(allCitations)];
-          
-          analysisResult = {
-            response: JSON.stringify(primaryResponse),
-            parsedResponse: primaryResponse,
-            citations: uniqueCitations,
-            mentioned: uniqueCitations.length > 0 || primaryResponse.mentionsDomain || false,
-            llmResults: llmResults,
-            tokensUsed: Math.ceil((prompt.length + JSON.stringify(primaryResponse).length) / 4)
-          };
-        } catch (multiLLMError) {
-          // This is non-fatal - we fall back to single model
+          runs.push(await askModels(prompt, domain, modelRouter, requestOptions));
+        } catch (sampleError) {
           if (process.env.NODE_ENV === 'development') {
-            console.warn(`  ⚠️ Multi-LLM analysis failed, falling back to single model: ${multiLLMError.message}`);
-          }
-          // Fall through to single model analysis
-          analysisResult = null;
-        }
-      }
-      
-      // Single model analysis (free users or fallback)
-      if (!analysisResult) {
-        const model = genAI.getGenerativeModel({ model: 'gemini-2.5-flash' });
-        
-        const fullPrompt = `You are a helpful assistant providing factual information about websites and companies. 
-
-IMPORTANT: Respond ONLY with valid JSON in this exact format (no markdown, no code blocks, just pure JSON):
-{
-  "description": "Brief description or answer to the question",
-  "citations": ["url1", "url2"],
-  "mentionsDomain": true or false,
-  "reasoning": "Brief explanation of your response"
-}
-
-Include specific URLs in the citations array when relevant. If you mention the domain ${domain} or any of its pages, set mentionsDomain to true.
-
-Question: ${prompt}`;
-        
-        // Retry logic for 503 errors (service unavailable)
-        let result;
-        let lastError;
-        const maxRetries = 3;
-        const baseDelay = 1000; // Start with 1 second
-        
-        for (let attempt = 0; attempt < maxRetries; attempt++) {
-          try {
-            result = await model.generateContent(fullPrompt);
-            lastError = null;
-            break; // Success, exit retry loop
-          } catch (error) {
-            lastError = error;
-            const is503Error = error.message?.includes('503') || 
-                             error.message?.includes('Service Unavailable') ||
-                             error.message?.includes('overloaded');
-            
-            if (is503Error && attempt < maxRetries - 1) {
-              // Exponential backoff: 1s, 2s, 4s
-              const delay = baseDelay * Math.pow(2, attempt);
-              console.log(`  ⏳ Retry ${attempt + 1}/${maxRetries} after ${delay}ms...`);
-              await sleep(delay);
-              continue;
-            } else {
-              // Not a 503 error or max retries reached
-              throw error;
-            }
+            console.warn(`  ⚠️ Sample ${sample + 1} failed for prompt ${promptTemplate.id}: ${sampleError.message}`);
           }
         }
-        
-        if (!result) {
-          throw lastError || new Error('Failed to get response after retries');
-        }
-        let responseText = result.response.text();
-        
-        // Clean up response - remove markdown code blocks if present
-        responseText = responseText.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
-        
-        // Try to parse JSON response
-        let parsedResponse;
-        try {
-          parsedResponse = JSON.parse(responseText);
-        } catch (parseError) {
-          console.warn(`  ⚠️ JSON parse failed, using text fallback: ${parseError.message}`);
-          parsedResponse = null;
-        }
-        
-        const tokensUsed = Math.ceil((fullPrompt.length + responseText.length) / 4);
-        const analysis = analyzeResponse(responseText, domain, parsedResponse);
-        
-        analysisResult = {
-          response: responseText,
-          parsedResponse: parsedResponse,
-          citations: analysis.citations,
-          mentioned: analysis.mentioned,
-          tokensUsed: tokensUsed
-        };
       }
+      // Every model answer from every sample; the first sample's answers come first
+      const modelAnswers = runs.flatMap((run, sample) => run.modelAnswers.map(answer => ({ ...answer, sample })));
       
-      totalTokens += analysisResult.tokensUsed;
+      const tokensUsed = runs.reduce((sum, run) => sum + run.tokensUsed, 0);
+      totalTokens += tokensUsed;
       
-      // Analyze response
+      // Analyze response (v1 score, kept as legacyScore)
       const analysis = analyzeResponse(analysisResult.response, domain, analysisResult.parsedResponse);
       
+      // Brands, products and sites named in each model's answer
+      const answerMentions = modelAnswers.map(answer => {
+        const mentions = extractMentions(answer.text, answer.parsed, entityResolver);
+        answers.push({ promptId: promptTemplate.id, prompt, model: answer.model, mentions });
+        return mentions;
+      });
+      
+      const answerTexts = modelAnswers.map(answer => (
+        typeof answer.parsed?.description === 'string' ? answer.parsed.description : answer.text
+      ));
+      
+      // Fact-check what each model said about the brand (by LLM for premium scans only)
+      const brandFacts = await brandFactsPromise;
+      const answerChecks = brandFacts ? await checkAnswersAccuracy(answerTexts, brandFacts, { useLlm: isPremium }) : [];
+      answerChecks.forEach((check, index) => {
+        accuracyChecks.push({ promptId: promptTemplate.id, prompt, model: modelAnswers[index].model, claims: check.claims });
+      });
+      
+      // Score every model's answer, the prompt score is their average
+      const answerAnalyses = modelAnswers.map(answer => analyzeResponse(answer.text, domain, answer.parsed));
+      const answerScores = modelAnswers.map((answer, index) => {
+        const answerAnalysis = answerAnalyses[index];
+        return scoreAnswer({
+          text: answerTexts[index],
+          domain,
+          brand: ownBrand,
+          mentioned: answerAnalysis.mentioned,
+          citations: answerAnalysis.citations,
+          mentions: answerMentions[index],
+          reference: { brandSummary: businessInfo.brandSummary, industry: businessInfo.industry },
+          accuracy: answerChecks[index]?.accuracy
+        });
+      });
+      const promptScore = combineScores(answerScores);
+      
+      // Sampling: how often each model mentions/cites us, and how much the score moves
+      let promptSampling = null;
+      if (sampling) {
+        const samples = modelAnswers.map((answer, index) => ({
+          model: answer.model,
+          sample: answer.sample,
+          mentioned: answerAnalyses[index].mentioned,
+          cited: answerAnalyses[index].citations.length > 0,
+          score: answerScores[index].score
+        }));
+        samplingResults.push(samples);
+        promptSampling = summarizePromptSamples(samples);
+      }
+      
+      (analysisResult.llmResults || []).forEach((llmResult, index) => {
+        llmResult.mentions = answerMentions[index];
+        llmResult.brandClaims = answerChecks[index]?.claims || [];
+        llmResult.score = answerScores[index].score;
+        llmResult.scoreBreakdown = answerScores[index].breakdown;
+      });
+      
       // If no citations found, get recommendations (only for premium users - will be filtered later)
       let recommendations = [];
       if (analysis.citations.length === 0 && !analysis.mentioned) {
@@ -232,18 +230,37 @@ Question: ${prompt}`;
         prompt: prompt,
         response: analysisResult.response,
         parsedResponse: analysisResult.parsedResponse,
+        model: analysisResult.modelAnswers[0]?.model,
         domainMentioned: analysis.mentioned,
-        score: analysis.score,
+        score: promptScore.score,
+        scoreBreakdown: promptScore.breakdown,
+        legacyScore: analysis.score,
+        ...(promptSampling ? { sampling: promptSampling } : {}),
         citations: analysis.citations,
+        mentions: answerMentions[0] || [],
+        brandClaims: answerChecks[0]?.claims || [],
         recommendations: recommendations,
         confidence: analysis.confidence,
-        tokensUsed: analysisResult.tokensUsed,
+        tokensUsed,
         ...(isPremium && analysisResult.llmResults ? { multiLLMResults: analysisResult.llmResults } : {})
       });
       
-      totalScore += analysis.score;
+      totalScore += promptScore.score;
+      legacyTotalScore += analysis.score;
       
-      console.log(`  ✓ Score: ${analysis.score}/3 | Mentioned: ${analysis.mentioned}${isPremium ? ' (Multi-LLM)' : ''}`);
+      onProgress({
+        stage: 'prompts',
+        status: 'running',
+        completed: promptIndex + 1,
+        total: promptsToUse.length,
+        promptId: promptTemplate.id,
+        prompt: prompt,
+        domainMentioned: analysis.mentioned,
+        score: promptScore.score,
+        citations: analysis.citations
+      });
+      
+      console.log(`  ✓ Score: ${promptScore.score}/100 | Mentioned: ${analysis.mentioned}${isPremium ? ' (Multi-LLM)' : ''}`);
       
       // Rate limiting: wait 500ms between requests
       await sleep(500);
@@ -260,37 +277,145 @@ Question: ${prompt}`;
         response: null,
         domainMentioned: false,
         score: 0,
+        legacyScore: 0,
         citations: [],
         confidence: 'low',
         tokensUsed: 0,
         error: error.message
       });
+      
+      onProgress({
+        stage: 'prompts',
+        status: 'running',
+        completed: promptIndex + 1,
+        total: promptsToUse.length,
+        promptId: promptTemplate.id,
+        error: error.message
+      });
     }
   }
   
-  const maxScore = promptsToUse.length * 3;
+  onProgress({ stage: 'prompts', status: 'completed', completed: promptsToUse.length, total: promptsToUse.length });
+  
+  // Each prompt scores 0-100, so the percentage is the average prompt score
+  const maxScore = promptsToUse.length * 100;
   const percentage = Math.round((totalScore / maxScore) * 100);
+  const legacyPercentage = Math.round((legacyTotalScore / (promptsToUse.length * 3)) * 100);
   
   console.log(`✅ LLM Analysis Complete: ${totalScore}/${maxScore} (${percentage}%)${isPremium ? ' (Premium)' : ''}`);
-  console.log(`📊 Total tokens used (estimated): ${totalTokens}`);
+  console.log(`📊 Total tokens used: ${totalTokens}`);
+  
+  const brandAccuracy = summarizeBrandAccuracy(accuracyChecks, await brandFactsPromise);
   
   return {
     totalScore,
     maxScore,
     percentage,
+    scoringVersion: SCORING_VERSION,
+    legacyPercentage,
     details: results,
+    shareOfVoice: buildShareOfVoice(answers),
+    brandAccuracy,
+    ...(sampling ? { sampling: summarizeScanSampling(samplingResults, sampling) } : {}),
+    ...(promptSet ? { promptSet } : {}),
     isPremium: isPremium,
     metadata: {
       totalTokens,
       estimatedCost: (totalTokens / 1000) * 0.0005, // Rough estimate for Gemini Pro (free tier available)
       promptsUsed: promptsToUse.length,
-      multiLLMEnabled: isPremium
+      multiLLMEnabled: isPremium,
+      ...(modelRouter ? {
+        multiLLMModels: modelRouter.getActiveModels().map(ref => ref.spec),
+        modelReplacements: modelRouter.replacements
+      } : {})
     }
   };
 }
 
+/**
+ * Ask the visibility models one prompt
+ * @param {string} prompt - The question
+ * @param {string} domain - Domain to check
+ * @param {Object|null} modelRouter - Multi-LLM router (premium), or null for the single visibility model
+ * @param {Object} requestOptions - Extra request fields, e.g. { temperature } for sampling scans
+ * @returns {Promise<Object>} { response, parsedResponse, citations, mentioned, llmResults?, modelAnswers, tokensUsed }
+ */
+async function askModels(prompt, domain, modelRouter, requestOptions = {}) {
+  // Premium: multi-LLM analysis (multiVisibility models)
+  let analysisResult;
+  if (modelRouter) {
+    try {
+      const multiLLMResult = await analyzeWithMultipleLLMs(prompt, domain, modelRouter, requestOptions);
+      if (multiLLMResult.results.length === 0) {
+        throw new Error(multiLLMResult.errors.map(e => e.error).join('; ') || 'No models configured');
+      }
+      
+      // Aggregate results from every model, first successful model is the primary response
+      const llmResults = multiLLMResult.results.map(result => ({
+        provider: result.provider,
+        model: result.model,
+        ...result.response
+      }));
+      
+      const primaryResponse = multiLLMResult.results[0].response;
+      const allCitations = multiLLMResult.results.flatMap(result =>
+        Array.isArray(result.response.citations) ? result.response.citations : []
+      );
+      const uniqueCitations = [...new Set(allCitations)];
+      
+      analysisResult = {
+        response: JSON.stringify(primaryResponse),
+        parsedResponse: primaryResponse,
+        citations: uniqueCitations,
+        mentioned: uniqueCitations.length > 0 || primaryResponse.mentionsDomain || false,
+        llmResults: llmResults,
+        modelAnswers: multiLLMResult.results.map(result => ({
+          model: `${result.provider}:${result.model}`,
+          text: JSON.stringify(result.response),
+          parsed: result.response
+        })),
+        tokensUsed: multiLLMResult.results.reduce((sum, result) => sum + result.usage.totalTokens, 0)
+      };
+    } catch (multiLLMError) {
+      // This is non-fatal - we fall back to single model
+      if (process.env.NODE_ENV === 'development') {
+        console.warn(`  ⚠️ Multi-LLM analysis failed, falling back to single model: ${multiLLMError.message}`);
+      }
+      // Fall through to single model analysis
+      analysisResult = null;
+    }
+  }
+  
+  // Single model analysis (free users or fallback)
+  if (!analysisResult) {
+    // Retries, backoff and model fallback are handled by the LLM client
+    const result = await complete('visibility', { ...buildVisibilityRequest(prompt, domain), ...requestOptions });
+    const responseText = result.text.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
+    
+    const parsedResponse = parseJsonResponse(responseText);
+    if (!parsedResponse) {
+      console.warn(`  ⚠️ JSON parse failed for ${result.spec}, using text fallback`);
+    }
+    
+    const tokensUsed = result.usage.totalTokens;
+    const analysis = analyzeResponse(responseText, domain, parsedResponse);
+    
+    analysisResult = {
+      response: responseText,
+      parsedResponse: parsedResponse,
+      citations: analysis.citations,
+      mentioned: analysis.mentioned,
+      modelAnswers: [{ model: result.spec, text: responseText, parsed: parsedResponse }],
+      tokensUsed: tokensUsed
+    };
+  }
+  
+  return analysisResult;
+}
+
 /**
  * Analyzes if and how a domain is mentioned in LLM response
+ * The score here is the v1 (0-3) score; v2 scoring is in visibilityScoringService
  */
 function analyzeResponse(response, domain, parsedResponse = null) {
   const normalizedDomain = normalizeDomain(domain);
@@ -386,8 +511,6 @@ function analyzeResponse(response, domain, parsedResponse = null) {
  */
 async function getRecommendations(domain, brand, promptId) {
   try {
-    const model = genAI.getGenerativeModel({ model: 'gemini-2.5-flash' });
-    
     const recommendationPrompt = `Based on your analysis of ${brand} (${domain}), provide 3-5 specific, actionable recommendations to improve their visibility in AI search results. Focus on:
 1. Content improvements
 2. Technical SEO enhancements
@@ -402,27 +525,22 @@ Respond in JSON format:
   ]
 }`;
     
-    const result = await model.generateContent(recommendationPrompt);
-    let responseText = result.response.text();
+    const result = await completeJson('citationRecommendations', { prompt: recommendationPrompt });
     
-    // Clean up response
-    responseText = responseText.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
-    
-    try {
-      const parsed = JSON.parse(responseText);
-      return parsed.recommendations || [];
-    } catch (parseError) {
-      // Fallback: extract recommendations from text
-      const lines = responseText.split('\n').filter(line => 
-        line.trim().length > 0 && 
-        (line.match(/^\d+\./) || line.match(/^[-*]/))
-      );
-      return lines.slice(0, 5).map((line, idx) => ({
-        title: `Recommendation ${idx + 1}`,
-        description: line.replace(/^\d+\.\s*/, '').replace(/^[-*]\s*/, '').trim(),
-        priority: 'medium'
-      }));
+    if (result.data) {
+      return result.data.recommendations || [];
     }
+    
+    // Fallback: extract recommendations from text
+    const lines = result.text.split('\n').filter(line => 
+      line.trim().length > 0 && 
+      (line.match(/^\d+\./) || line.match(/^[-*]/))
+    );
+    return lines.slice(0, 5).map((line, idx) => ({
+      title: `Recommendation ${idx + 1}`,
+      description: line.replace(/^\d+\.\s*/, '').replace(/^[-*]\s*/, '').trim(),
+      priority: 'medium'
+    }));
   } catch (error) {
     console.error(`Recommendation generation failed: ${error.message}`);
     return [];
@@ -1,10 +1,14 @@
 /**
  * Model Health Check Service
  * Tests all available models and tracks their health status
+ * Runs on a schedule (MODEL_HEALTH_CHECK_INTERVAL_MINUTES) and keeps a history
+ * in MongoDB so latency and error-rate trends survive restarts.
  */
 
-const { GoogleGenerativeAI } = require('@google/generative-ai');
 const axios = require('axios');
+const mongoose = require('mongoose');
+const { getProvider } = require('./llmProviderService');
+const ModelHealthCheck = require('../models/ModelHealthCheck');
 
 const GEMINI_API_KEY = process.env.GEMINI_API_KEY;
 const HUGGINGFACE_API_KEY = process.env.HUGGINGFACE_API_KEY;
@@ -78,7 +82,8 @@ const MODELS = {
     name: 'BAAI/bge-large-en-v1.5',
     provider: 'huggingface',
     free: true,
-    testPrompt: 'Say "OK" in JSON format: {"status": "ok"}'
+    testPrompt: 'Say "OK" in JSON format: {"status": "ok"}',
+    generation: false // Embeddings model - never routed text generation
   },
   huggingfaceFlanT5: {
     name: 'google/flan-t5-base',
@@ -139,6 +144,23 @@ const healthStatus = {
   models: {}
 };
 
+const DEFAULT_CHECK_INTERVAL_MINUTES = 60;
+const DEFAULT_HISTORY_HOURS = 24;
+
+// MODELS says 'google' for Gemini; the LLM client calls that provider 'gemini'
+const CLIENT_PROVIDER_NAMES = {
+  google: 'gemini',
+  openrouter: 'openrouter',
+  huggingface: 'huggingface'
+};
+
+const scheduleState = {
+  timer: null,
+  running: false,
+  intervalMs: null,
+  nextCheckAt: null
+};
+
 /**
  * Test a Gemini model
  */
@@ -149,23 +171,19 @@ async function testGeminiModel(modelName) {
 
   try {
     const startTime = Date.now();
-    const genAI = new GoogleGenerativeAI(GEMINI_API_KEY);
-    const model = genAI.getGenerativeModel({ model: modelName });
-    
-    const testPrompt = MODELS.gemini.testPrompt;
-    const result = await model.generateContent(testPrompt);
-    const response = result.response.text();
+    const result = await getProvider('gemini').complete({
+      model: modelName,
+      prompt: MODELS.gemini.testPrompt
+    });
     const responseTime = Date.now() - startTime;
     
     return {
       healthy: true,
       responseTime,
-      response: response.substring(0, 100)
+      response: result.text.substring(0, 100)
     };
   } catch (error) {
-    const is429 = error.message?.includes('429') || 
-                  error.message?.includes('rate limit') ||
-                  error.message?.includes('quota');
+    const is429 = error.isRateLimit;
     
     return {
       healthy: false,
@@ -340,45 +358,25 @@ async function testOpenRouterModel(modelName) {
 
   try {
     const startTime = Date.now();
-    const response = await axios.post(
-      'https://openrouter.ai/api/v1/chat/completions',
-      {
-        model: modelName,
-        messages: [
-          {
-            role: 'user',
-            content: MODELS.openrouterDeepSeek.testPrompt
-          }
-        ],
-        max_tokens: 50
-      },
-      {
-        headers: {
-          'Authorization': `Bearer ${OPENROUTER_API_KEY}`,
-          'Content-Type': 'application/json',
-          'HTTP-Referer': process.env.APP_URL || 'http://localhost:5000',
-          'X-Title': 'OptiSenseAI'
-        },
-        timeout: 15000
-      }
-    );
-    
+    const result = await getProvider('openrouter').complete({
+      model: modelName,
+      prompt: MODELS.openrouterDeepSeek.testPrompt,
+      maxTokens: 50,
+      timeoutMs: 15000
+    });
     const responseTime = Date.now() - startTime;
-    const content = response.data.choices[0]?.message?.content || '';
     
     return {
       healthy: true,
       responseTime,
-      response: content.substring(0, 100)
+      response: result.text.substring(0, 100)
     };
   } catch (error) {
-    const is429 = error.response?.status === 429 || 
-                  error.message?.includes('429') ||
-                  error.message?.includes('rate limit');
+    const is429 = error.isRateLimit;
     
     return {
       healthy: false,
-      error: error.response?.data?.error?.message || error.message,
+      error: error.message,
       isRateLimit: is429,
       retryAfter: is429 ? 60 : null
     };
@@ -527,6 +525,7 @@ async function checkAllModels() {
   // Update cache
   healthStatus.lastChecked = new Date();
   healthStatus.models = results;
+  await saveHealthHistory(results, healthStatus.lastChecked);
   
   // Log summary
   const healthyCount = Object.values(results).filter(r => r.healthy).length;
@@ -628,13 +627,233 @@ function isModelHealthy(modelName) {
   return true;
 }
 
+/**
+ * Store a health check run (skips deprecated and unconfigured models - nothing was tested)
+ * @param {Object} results - checkAllModels() results keyed by config key
+ * @param {Date} checkedAt - Time of the run
+ */
+async function saveHealthHistory(results, checkedAt) {
+  if (mongoose.connection.readyState !== 1) return;
+
+  const records = Object.entries(results)
+    .filter(([key, result]) => MODELS[key] && !result.deprecated && result.error !== 'API key not configured')
+    .map(([key, result]) => ({
+      key,
+      model: MODELS[key].name,
+      provider: MODELS[key].provider,
+      healthy: !!result.healthy,
+      responseTime: result.responseTime,
+      error: result.error,
+      isRateLimit: !!result.isRateLimit,
+      statusCode: result.statusCode,
+      checkedAt
+    }));
+
+  if (records.length === 0) return;
+
+  try {
+    await ModelHealthCheck.insertMany(records);
+  } catch (error) {
+    console.error('Failed to save model health history:', error.message);
+  }
+}
+
+/**
+ * Seed the in-memory status from the most recent stored run (e.g. after a restart)
+ * @returns {Promise<Date|null>} Time of the loaded run
+ */
+async function loadLatestHealthStatus() {
+  if (mongoose.connection.readyState === 0) return null;
+
+  const latest = await ModelHealthCheck.findOne().sort({ checkedAt: -1 }).lean();
+  if (!latest) return null;
+
+  const records = await ModelHealthCheck.find({ checkedAt: latest.checkedAt }).lean();
+  healthStatus.lastChecked = latest.checkedAt;
+  healthStatus.models = {};
+  records.forEach(record => {
+    healthStatus.models[record.key] = {
+      healthy: record.healthy,
+      responseTime: record.responseTime,
+      error: record.error,
+      isRateLimit: record.isRateLimit,
+      statusCode: record.statusCode
+    };
+  });
+
+  return latest.checkedAt;
+}
+
+/**
+ * Turn stored health checks into per-model trends
+ * @param {Array} records - ModelHealthCheck documents, oldest first
+ * @returns {Object} Keyed by config key: { model, provider, checks, failures, rateLimited,
+ *   errorRate (%), avgResponseTime (ms, healthy checks only), points: [{ checkedAt, healthy, responseTime }] }
+ */
+function summarizeHealthHistory(records) {
+  const models = {};
+
+  records.forEach(record => {
+    if (!models[record.key]) {
+      models[record.key] = {
+        model: record.model,
+        provider: record.provider,
+        checks: 0,
+        failures: 0,
+        rateLimited: 0,
+        errorRate: 0,
+        avgResponseTime: null,
+        points: []
+      };
+    }
+    const entry = models[record.key];
+    entry.checks++;
+    if (!record.healthy) entry.failures++;
+    if (record.isRateLimit) entry.rateLimited++;
+    entry.points.push({
+      checkedAt: record.checkedAt,
+      healthy: record.healthy,
+      responseTime: record.responseTime ?? null
+    });
+  });
+
+  Object.values(models).forEach(entry => {
+    const latencies = entry.points
+      .filter(point => point.healthy && point.responseTime !== null)
+      .map(point => point.responseTime);
+    entry.errorRate = Math.round((entry.failures / entry.checks) * 100);
+    entry.avgResponseTime = latencies.length > 0
+      ? Math.round(latencies.reduce((sum, latency) => sum + latency, 0) / latencies.length)
+      : null;
+  });
+
+  return models;
+}
+
+/**
+ * Get latency and error-rate trends for the last N hours
+ * @param {Object} options
+ * @param {number} options.hours - Window size (default 24)
+ * @returns {Promise<Object>} { since, hours, models }
+ */
+async function getHealthHistory(options = {}) {
+  const hours = options.hours || DEFAULT_HISTORY_HOURS;
+  const since = new Date(Date.now() - hours * 3600 * 1000);
+
+  if (mongoose.connection.readyState !== 1) {
+    return { since, hours, models: {} };
+  }
+
+  const records = await ModelHealthCheck.find({ checkedAt: { $gte: since } })
+    .sort({ checkedAt: 1 })
+    .lean();
+
+  return { since, hours, models: summarizeHealthHistory(records) };
+}
+
+/**
+ * Text generation models that can be routed to, with their last known health
+ * @returns {Array} [{ key, provider, model, healthy (true/false/null if unchecked), responseTime }]
+ */
+function getRoutableModels() {
+  return Object.entries(MODELS)
+    .filter(([key, config]) => !config.deprecated && config.generation !== false)
+    .map(([key, config]) => {
+      const status = healthStatus.models[key];
+      return {
+        key,
+        provider: CLIENT_PROVIDER_NAMES[config.provider],
+        model: config.name,
+        healthy: status ? !!status.healthy : null,
+        responseTime: status?.responseTime ?? null
+      };
+    });
+}
+
+async function runScheduledCheck() {
+  if (scheduleState.running) return;
+  scheduleState.running = true;
+
+  try {
+    await checkAllModels();
+  } catch (error) {
+    console.error('Scheduled model health check failed:', error.message);
+  } finally {
+    scheduleState.running = false;
+    scheduleState.nextCheckAt = new Date(Date.now() + scheduleState.intervalMs);
+  }
+}
+
+/**
+ * Run health checks every MODEL_HEALTH_CHECK_INTERVAL_MINUTES (default 60, 0 disables)
+ * Called once from server.js. The last stored run is loaded first, so routing uses it
+ * even with checks disabled; if it is recent, the first check waits for it to expire.
+ */
+async function startHealthCheckSchedule() {
+  if (scheduleState.intervalMs !== null) return;
+
+  let lastChecked = null;
+  try {
+    lastChecked = await loadLatestHealthStatus();
+  } catch (error) {
+    console.error('Failed to load model health history:', error.message);
+  }
+
+  const minutes = parseFloat(process.env.MODEL_HEALTH_CHECK_INTERVAL_MINUTES || DEFAULT_CHECK_INTERVAL_MINUTES);
+  if (!(minutes > 0)) {
+    console.log('🩺 Scheduled model health checks disabled');
+    return;
+  }
+  scheduleState.intervalMs = minutes * 60 * 1000;
+
+  const dueInMs = lastChecked
+    ? Math.max(0, new Date(lastChecked).getTime() + scheduleState.intervalMs - Date.now())
+    : 0;
+  scheduleState.nextCheckAt = new Date(Date.now() + dueInMs);
+
+  scheduleState.timer = setTimeout(() => {
+    runScheduledCheck();
+    scheduleState.timer = setInterval(runScheduledCheck, scheduleState.intervalMs);
+  }, dueInMs);
+
+  console.log(`🩺 Model health checks scheduled every ${minutes} min (next in ${Math.round(dueInMs / 60000)} min)`);
+}
+
+/**
+ * Stop scheduled health checks
+ */
+function stopHealthCheckSchedule() {
+  clearTimeout(scheduleState.timer);
+  clearInterval(scheduleState.timer);
+  scheduleState.timer = null;
+  scheduleState.intervalMs = null;
+  scheduleState.nextCheckAt = null;
+}
+
+/**
+ * Current schedule, for the health endpoint
+ */
+function getHealthCheckSchedule() {
+  return {
+    enabled: scheduleState.intervalMs !== null,
+    intervalMinutes: scheduleState.intervalMs ? scheduleState.intervalMs / 60000 : null,
+    nextCheckAt: scheduleState.nextCheckAt,
+    running: scheduleState.running
+  };
+}
+
 module.exports = {
   checkAllModels,
   getHealthStatus,
   getHealthyModels,
   isModelHealthy,
+  getRoutableModels,
+  getHealthHistory,
+  summarizeHealthHistory,
+  startHealthCheckSchedule,
+  stopHealthCheckSchedule,
+  getHealthCheckSchedule,
   testGeminiModel,
   testHuggingFaceModel,
   testOpenRouterModel
 };
-
@@ -0,0 +1,323 @@
+/**
+ * Organization Service
+ * Team workspaces. A user belongs to at most one organization, with a role:
+ * - owner: everything, including renaming, deleting and handing over the organization
+ * - admin: invites and removes analysts and viewers, manages integrations
+ * - analyst: runs scans and edits prompt sets, schedules and share links
+ * - viewer: reads the organization's scans
+ *
+ * Scans, prompt sets and integrations created inside an organization carry
+ * its `organizationId` and belong to it: every member sees them, and a member
+ * who leaves loses access. Scans keep `userId` to record who ran them. Scans
+ * count against the owner's plan and monthly pool (see getPlanUser).
+ *
+ * Users without an organization own their work and have every permission.
+ */
+
+const crypto = require('crypto');
+const Organization = require('../models/Organization');
+const User = require('../models/User');
+const Integration = require('../models/Integration');
+const Scan = require('../models/Scan');
+const PromptSet = require('../models/PromptSet');
+const WebhookEndpoint = require('../models/WebhookEndpoint');
+const GateBaseline = require('../models/GateBaseline');
+const ScanBatch = require('../models/ScanBatch');
+const Alert = require('../models/Alert');
+const ScheduledScan = require('../models/ScheduledScan');
+const { generateOTP, createEmailTransporter, getEmailSender } = require('./authService');
+
+const ORGANIZATION_ROLES = ['owner', 'admin', 'analyst', 'viewer'];
+
+const ROLE_PERMISSIONS = {
+  viewer: ['scans:read'],
+  analyst: ['scans:read', 'scans:run', 'promptSets:write', 'schedules:write', 'share:write'],
+  admin: ['scans:read', 'scans:run', 'promptSets:write', 'schedules:write', 'share:write', 'members:manage', 'integrations:manage'],
+  owner: ['scans:read', 'scans:run', 'promptSets:write', 'schedules:write', 'share:write', 'members:manage', 'integrations:manage', 'organization:manage']
+};
+
+// Roles each role may invite or assign, and manage members in
+const ASSIGNABLE_ROLES = {
+  owner: ['admin', 'analyst', 'viewer'],
+  admin: ['analyst', 'viewer']
+};
+
+const INVITE_TTL_DAYS = 7;
+const MAX_INVITE_ATTEMPTS = 5;
+const MAX_MEMBERS = 25;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Whether a user may do something in their workspace
+ * @param {Object} user - User
+ * @param {string} permission - e.g. 'scans:run' (see ROLE_PERMISSIONS)
+ * @returns {boolean}
+ */
+function hasPermission(user, permission) {
+  if (!user) return false;
+  if (!getWorkspaceFields(user).organizationId) return true;
+  return (ROLE_PERMISSIONS[user.organizationRole] || []).includes(permission);
+}
+
+/**
+ * Whether a member with `actorRole` may invite, assign or manage `role`
+ */
+function canAssignRole(actorRole, role) {
+  return (ASSIGNABLE_ROLES[actorRole] || []).includes(role);
+}
+
+/**
+ * Query for the documents (scans, prompt sets, integrations) a user can see:
+ * their own personal ones plus their organization's (only the personal ones
+ * for requests made with a personal API key, see restrictToPersonalWorkspace)
+ * @param {Object} user - User
+ * @returns {Object} MongoDB filter
+ */
+function getWorkspaceFilter(user) {
+  const { userId, organizationId } = getWorkspaceFields(user);
+  const personal = { userId, organizationId: null };
+  return organizationId
+    ? { $or: [personal, { organizationId }] }
+    : personal;
+}
+
+/**
+ * Fields that put a new document in the user's workspace
+ */
+function getWorkspaceFields(user) {
+  const restricted = user.$locals?.workspace;
+  if (restricted) return { ...restricted };
+  return { userId: user._id, organizationId: user.organizationId || null };
+}
+
+/**
+ * Limit a user to their personal workspace for the rest of a request, even
+ * when they are in an organization (personal API keys). Nothing is saved.
+ * @param {Object} user - User document
+ * @returns {Object} The workspace: { userId, organizationId: null }
+ */
+function restrictToPersonalWorkspace(user) {
+  const workspace = { userId: user._id, organizationId: null };
+  user.$locals = { ...user.$locals, workspace };
+  return workspace;
+}
+
+/**
+ * The account whose plan and scan pool a user's scans use: the organization
+ * owner for members, otherwise the user (also for members using a personal
+ * API key)
+ * @param {Object} user - User document
+ * @returns {Promise<Object>} User document
+ */
+async function getPlanUser(user) {
+  if (!getWorkspaceFields(user).organizationId || user.organizationRole === 'owner') return user;
+
+  const organization = await Organization.findById(user.organizationId).select('ownerId').lean();
+  const owner = organization && await User.findById(organization.ownerId);
+  return owner || user;
+}
+
+/**
+ * Validate an invite request
+ * @param {Object} body - { email, role }
+ * @param {string} actorRole - Role of the member sending the invite
+ * @returns {Object} { email, role }
+ */
+function normalizeInvite(body = {}, actorRole) {
+  const email = typeof body.email === 'string' ? body.email.trim().toLowerCase() : '';
+  if (!EMAIL_PATTERN.test(email)) {
+    throw new Error('A valid email is required');
+  }
+
+  const role = body.role || 'analyst';
+  if (!ORGANIZATION_ROLES.includes(role) || role === 'owner') {
+    throw new Error('Role must be admin, analyst or viewer');
+  }
+  if (!canAssignRole(actorRole, role)) {
+    throw new Error(`Only the owner can invite ${role}s`);
+  }
+
+  return { email, role };
+}
+
+function hashInviteCode(code) {
+  return crypto.createHash('sha256').update(String(code)).digest('hex');
+}
+
+/**
+ * Create an organization with the user as its owner
+ * The user's existing work stays personal.
+ */
+async function createOrganization(user, name) {
+  if (user.organizationId) {
+    throw new Error('Leave your current organization first');
+  }
+  const trimmed = typeof name === 'string' ? name.trim() : '';
+  if (!trimmed || trimmed.length > 100) {
+    throw new Error('Organization name is required (up to 100 characters)');
+  }
+
+  const organization = await Organization.create({ name: trimmed, ownerId: user._id });
+  user.organizationId = organization._id;
+  user.organizationRole = 'owner';
+  await user.save();
+  return organization;
+}
+
+async function sendInviteEmail(organization, inviter, invite, code) {
+  if (!process.env.SMTP_USER) {
+    console.log(`📧 Invite code for ${invite.email} to ${organization.name}: ${code} (SMTP not configured)`);
+    return;
+  }
+
+  const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+  const transporter = createEmailTransporter();
+  await transporter.sendMail({
+    from: getEmailSender(),
+    to: invite.email,
+    subject: `You're invited to ${organization.name} on OptiSenseAI`,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+        <h2 style="color: #6366F1;">Join ${organization.name}</h2>
+        <p style="color: #374151;">${inviter.email} invited you to join as ${invite.role}. Sign in at <a href="${frontendUrl}">${frontendUrl}</a> with this email, open Account → Team and enter:</p>
+        <div style="font-size: 32px; font-weight: bold; letter-spacing: 8px; text-align: center; margin: 24px 0;">${code}</div>
+        <p style="color: #6b7280; font-size: 14px;">This code expires in ${INVITE_TTL_DAYS} days.</p>
+      </div>
+    `,
+    text: `${inviter.email} invited you to join ${organization.name} on OptiSenseAI as ${invite.role}.\n\nSign in at ${frontendUrl} with this email, open Account → Team and enter: ${code}\n\nThis code expires in ${INVITE_TTL_DAYS} days.`
+  });
+}
+
+/**
+ * Invite someone by email; a repeat invite replaces the old code
+ * @returns {Promise<Object>} The invite
+ */
+async function inviteMember(organization, inviter, body) {
+  const { email, role } = normalizeInvite(body, inviter.organizationRole);
+
+  const member = await User.findOne({ email, organizationId: organization._id }).select('_id').lean();
+  if (member) {
+    throw new Error(`${email} is already a member`);
+  }
+  const memberCount = await User.countDocuments({ organizationId: organization._id });
+  if (memberCount + organization.invites.length >= MAX_MEMBERS) {
+    throw new Error(`An organization can have up to ${MAX_MEMBERS} members and pending invites`);
+  }
+
+  const code = generateOTP();
+  organization.invites = organization.invites.filter(invite => invite.email !== email);
+  organization.invites.push({
+    email,
+    role,
+    codeHash: hashInviteCode(code),
+    expiresAt: new Date(Date.now() + INVITE_TTL_DAYS * 24 * 60 * 60 * 1000),
+    invitedBy: inviter._id
+  });
+  await organization.save();
+
+  const invite = organization.invites[organization.invites.length - 1];
+  await sendInviteEmail(organization, inviter, invite, code);
+  return invite;
+}
+
+/**
+ * Join the organization that invited the user's email
+ * @param {Object} user - User document (signed in with the invited email)
+ * @param {string} code - Code from the invite email
+ * @returns {Promise<Object>} The organization
+ */
+async function acceptInvite(user, code) {
+  if (user.organizationId) {
+    throw new Error('Leave your current organization first');
+  }
+
+  const organizations = await Organization.find({ 'invites.email': user.email });
+  const now = new Date();
+  for (const organization of organizations) {
+    const invite = organization.invites.find(item => item.email === user.email);
+    if (invite.expiresAt <= now || invite.attempts >= MAX_INVITE_ATTEMPTS) continue;
+
+    if (invite.codeHash === hashInviteCode(String(code || '').trim())) {
+      organization.invites.pull(invite._id);
+      await organization.save();
+
+      user.organizationId = organization._id;
+      user.organizationRole = invite.role;
+      await user.save();
+      return organization;
+    }
+
+    invite.attempts += 1;
+    await organization.save();
+  }
+
+  throw new Error('Invalid or expired invite code');
+}
+
+/**
+ * Remove a member (or let them leave); their integrations stop being shared
+ */
+async function removeMember(organization, member) {
+  if (String(member._id) === String(organization.ownerId)) {
+    throw new Error('The owner cannot leave. Transfer ownership or delete the organization.');
+  }
+
+  await User.updateOne({ _id: member._id }, { $set: { organizationId: null, organizationRole: null } });
+  await Integration.updateMany(
+    { userId: member._id, organizationId: organization._id },
+    { $set: { organizationId: null } }
+  );
+}
+
+/**
+ * Make another member the owner; the old owner becomes an admin
+ */
+async function transferOwnership(organization, owner, member) {
+  if (String(member.organizationId) !== String(organization._id)) {
+    throw new Error('Member not found');
+  }
+
+  organization.ownerId = member._id;
+  await organization.save();
+  await User.updateOne({ _id: member._id }, { $set: { organizationRole: 'owner' } });
+  await User.updateOne({ _id: owner._id }, { $set: { organizationRole: 'admin' } });
+}
+
+/**
+ * Delete an organization; its scans, prompt sets, integrations and webhooks go
+ * back to the members who created them
+ */
+async function deleteOrganization(organization) {
+  const detach = [{ organizationId: organization._id }, { $set: { organizationId: null } }];
+  await User.updateMany(
+    { organizationId: organization._id },
+    { $set: { organizationId: null, organizationRole: null } }
+  );
+  await Integration.updateMany(...detach);
+  await Scan.updateMany(...detach);
+  await PromptSet.updateMany(...detach);
+  await WebhookEndpoint.updateMany(...detach);
+  await GateBaseline.updateMany(...detach);
+  await ScanBatch.updateMany(...detach);
+  await Alert.updateMany(...detach);
+  await ScheduledScan.updateMany(...detach);
+  await Organization.deleteOne({ _id: organization._id });
+}
+
+module.exports = {
+  ORGANIZATION_ROLES,
+  ROLE_PERMISSIONS,
+  hasPermission,
+  canAssignRole,
+  getWorkspaceFilter,
+  getWorkspaceFields,
+  restrictToPersonalWorkspace,
+  getPlanUser,
+  normalizeInvite,
+  createOrganization,
+  inviteMember,
+  acceptInvite,
+  removeMember,
+  transferOwnership,
+  deleteOrganization
+};
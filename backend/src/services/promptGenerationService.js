@@ -1,13 +1,9 @@
 /**
  * Prompt Generation Service
- * Uses HuggingFace Inference API to generate business-specific prompts
+ * Uses the promptGeneration LLM task to generate business-specific prompts
  */
 
-const { GoogleGenerativeAI } = require('@google/generative-ai');
-const axios = require('axios');
-
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-const OPENROUTER_API_KEY = process.env.OPENROUTER_API_KEY;
+const { complete, parseJsonResponse } = require('./llmClientService');
 
 /**
  * Generate 10 business-specific prompts for analysis
@@ -16,15 +12,15 @@ const OPENROUTER_API_KEY = process.env.OPENROUTER_API_KEY;
  * @param {string} businessInfo.brandSummary - Brand summary (1-2 sentences)
  * @param {string} businessInfo.industry - Industry/topic
  * @param {string} businessInfo.url - Website URL
+ * @param {Object} options
+ * @param {boolean} options.fallbackToDefaults - Return the default prompts when generation fails (otherwise throw)
  * @returns {Promise<Array>} Array of 10 prompts
  */
-async function generateBusinessPrompts(businessInfo) {
+async function generateBusinessPrompts(businessInfo, { fallbackToDefaults = true } = {}) {
   const { brandName, brandSummary, industry, url } = businessInfo;
   
   try {
-    // Use Gemini to generate context-based prompts
-    const model = genAI.getGenerativeModel({ model: 'gemini-2.5-flash' });
-    
+    // Use the configured LLM to generate context-based prompts
     const prompt = `Generate 10 specific, actionable prompts that would help analyze the AI search visibility of a business. 
 
 Business Information:
@@ -43,22 +39,15 @@ Generate prompts that:
 Return ONLY a JSON array of 10 prompt strings, no other text:
 ["prompt 1", "prompt 2", ...]`;
 
-    const result = await model.generateContent(prompt);
-    let responseText = result.response.text();
-    responseText = responseText.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
+    // Not JSON mode: OpenAI-style JSON mode only allows objects, and we want an array
+    const result = await complete('promptGeneration', { prompt });
+    const responseText = result.text.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
     
     // Try to extract JSON array
-    const jsonMatch = responseText.match(/\[.*\]/s);
-    if (jsonMatch) {
-      try {
-        const prompts = JSON.parse(jsonMatch[0]);
-        if (Array.isArray(prompts) && prompts.length >= 10) {
-          console.log(`✅ Generated ${prompts.length} context-based prompts using Gemini`);
-          return prompts.slice(0, 10);
-        }
-      } catch (e) {
-        // Fall through to default
-      }
+    const prompts = parseJsonResponse(responseText);
+    if (Array.isArray(prompts) && prompts.length >= 10) {
+      console.log(`✅ Generated ${prompts.length} context-based prompts using ${result.spec}`);
+      return prompts.slice(0, 10);
     }
     
     // Fallback: extract prompts from text
@@ -75,15 +64,21 @@ Return ONLY a JSON array of 10 prompt strings, no other text:
             .replace(/^["']|["']$/g, '')
             .trim()
       );
-      console.log(`✅ Extracted ${extractedPrompts.length} prompts from Gemini response`);
+      console.log(`✅ Extracted ${extractedPrompts.length} prompts from ${result.spec} response`);
       return extractedPrompts;
     }
     
     // If all else fails, use defaults
+    if (!fallbackToDefaults) {
+      throw new Error(`Could not extract prompts from ${result.spec} response`);
+    }
     console.log('⚠️ Using default prompts (AI generation failed)');
     return getDefaultPrompts(brandName, industry);
     
   } catch (error) {
+    if (!fallbackToDefaults) {
+      throw error;
+    }
     // Log as warning since we have a fallback - this is non-fatal
     if (process.env.NODE_ENV === 'development') {
       console.warn(`⚠️ Prompt generation failed (using defaults): ${error.message}`);
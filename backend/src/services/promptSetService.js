@@ -0,0 +1,258 @@
+/**
+ * Prompt Set Service
+ * Validation, versioning and rendering for user prompt sets (see models/PromptSet.js),
+ * and picking the prompts a scan asks.
+ *
+ * Prompt ids are derived from the template text, so the same question keeps
+ * its id across versions and sets - edit a prompt's wording and it becomes a
+ * new question with a new id.
+ */
+
+const crypto = require('crypto');
+const PromptSet = require('../models/PromptSet');
+const { getWorkspaceFilter } = require('./organizationService');
+
+const PROMPT_VARIABLES = ['brand', 'domain', 'topic'];
+const MAX_PROMPTS = 25;
+const MAX_TAGS = 10;
+const MAX_HISTORY = 20;
+const MIN_TEMPLATE_LENGTH = 10;
+const MAX_TEMPLATE_LENGTH = 500;
+
+/**
+ * Stable id for a prompt template (case and whitespace insensitive)
+ */
+function getPromptId(template) {
+  const normalized = String(template || '').trim().toLowerCase().replace(/\s+/g, ' ');
+  return `p-${crypto.createHash('sha256').update(normalized).digest('hex').slice(0, 12)}`;
+}
+
+/**
+ * Validate one prompt; accepts a template string or { template, category }
+ * @returns {Object} { id, template, category }
+ */
+function normalizePrompt(input) {
+  const template = String((typeof input === 'string' ? input : input?.template) || '').trim().replace(/\s+/g, ' ');
+  if (template.length < MIN_TEMPLATE_LENGTH) {
+    throw new Error(`Prompts must be at least ${MIN_TEMPLATE_LENGTH} characters long`);
+  }
+  if (template.length > MAX_TEMPLATE_LENGTH) {
+    throw new Error(`Prompts must be at most ${MAX_TEMPLATE_LENGTH} characters long`);
+  }
+
+  const unknown = [...template.matchAll(/\{([^{}]*)\}/g)]
+    .map(match => match[1])
+    .filter(variable => !PROMPT_VARIABLES.includes(variable));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown variable {${unknown[0]}}. Use ${PROMPT_VARIABLES.map(variable => `{${variable}}`).join(', ')}`);
+  }
+
+  const category = String((typeof input === 'object' && input?.category) || 'custom')
+    .trim().toLowerCase().replace(/[^a-z0-9-]+/g, '-').slice(0, 50) || 'custom';
+
+  return { id: getPromptId(template), template, category };
+}
+
+/**
+ * Validate a prompt set from a request
+ * @param {Object} input - { name, description?, tags?, prompts }
+ * @param {Object} options
+ * @param {boolean} options.partial - Only validate the fields present (updates)
+ * @returns {Object} The fields to save
+ */
+function normalizePromptSet(input = {}, { partial = false } = {}) {
+  const result = {};
+
+  if (!partial || input.name !== undefined) {
+    const name = String(input.name || '').trim().slice(0, 100);
+    if (name.length < 2) {
+      throw new Error('Prompt set name must be at least 2 characters long');
+    }
+    result.name = name;
+  }
+
+  if (!partial || input.description !== undefined) {
+    result.description = String(input.description || '').trim().slice(0, 500);
+  }
+
+  if (!partial || input.tags !== undefined) {
+    if (input.tags !== undefined && !Array.isArray(input.tags)) {
+      throw new Error('Tags must be an array');
+    }
+    result.tags = [...new Set((input.tags || [])
+      .map(tag => String(tag || '').trim().toLowerCase().slice(0, 30))
+      .filter(Boolean))]
+      .slice(0, MAX_TAGS);
+  }
+
+  if (!partial || input.prompts !== undefined) {
+    if (!Array.isArray(input.prompts) || input.prompts.length === 0) {
+      throw new Error('A prompt set needs at least one prompt');
+    }
+    if (input.prompts.length > MAX_PROMPTS) {
+      throw new Error(`A prompt set can have up to ${MAX_PROMPTS} prompts`);
+    }
+    const prompts = input.prompts.map(normalizePrompt);
+    // Duplicates would be the same question asked twice
+    result.prompts = prompts.filter((prompt, index) => prompts.findIndex(other => other.id === prompt.id) === index);
+  }
+
+  return result;
+}
+
+/**
+ * Apply validated changes to a prompt set. Changing the prompts (wording, order
+ * or categories) moves the current prompts to history and bumps the version.
+ * @param {Object} promptSet - PromptSet document
+ * @param {Object} changes - From normalizePromptSet
+ * @returns {boolean} Whether a new version was created
+ */
+function applyPromptSetChanges(promptSet, changes) {
+  ['name', 'description', 'tags'].forEach(field => {
+    if (changes[field] !== undefined) promptSet[field] = changes[field];
+  });
+
+  if (!changes.prompts) return false;
+
+  const toKey = prompts => JSON.stringify(prompts.map(prompt => [prompt.id, prompt.category]));
+  if (toKey(changes.prompts) === toKey(promptSet.prompts || [])) return false;
+
+  const history = [...(promptSet.history || []), {
+    version: promptSet.version || 1,
+    prompts: (promptSet.prompts || []).map(({ id, template, category }) => ({ id, template, category })),
+    replacedAt: new Date()
+  }];
+  promptSet.history = history.slice(-MAX_HISTORY);
+  promptSet.prompts = changes.prompts;
+  promptSet.version = (promptSet.version || 1) + 1;
+  return true;
+}
+
+/**
+ * Fill in {brand}, {domain} and {topic}
+ */
+function renderPrompt(template, variables) {
+  return String(template).replace(/\{(brand|domain|topic)\}/g, (match, variable) => variables[variable] ?? match);
+}
+
+/**
+ * What a scan records about the set it used
+ */
+function describePromptSet(promptSet) {
+  return {
+    id: promptSet._id,
+    name: promptSet.name,
+    version: promptSet.version,
+    source: promptSet.source
+  };
+}
+
+function getDomain(url) {
+  try {
+    return new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+  } catch {
+    return String(url).toLowerCase().replace(/^https?:\/\/(www\.)?/, '').split('/')[0];
+  }
+}
+
+/**
+ * The premium prompts generated for a user's (or their organization's)
+ * domain. Generated once and then reused, so scans of the domain keep asking
+ * the same questions.
+ * @param {Object} owner - { userId, organizationId }
+ * @returns {Promise<Object|null>} PromptSet, or null if generation failed
+ */
+async function getGeneratedPromptSet({ userId, organizationId = null }, url, businessInfo = {}) {
+  const domain = getDomain(url);
+  const filter = organizationId
+    ? { organizationId, source: 'generated', domain }
+    : { userId, organizationId: null, source: 'generated', domain };
+  const existing = await PromptSet.findOne(filter);
+  if (existing) return existing;
+
+  const { generateBusinessPrompts } = require('./promptGenerationService');
+  let generated;
+  try {
+    const brandName = domain.split('.')[0];
+    generated = await generateBusinessPrompts({
+      brandName: businessInfo.brandName || brandName.charAt(0).toUpperCase() + brandName.slice(1),
+      industry: businessInfo.industry,
+      brandSummary: businessInfo.brandSummary || '',
+      url
+    }, { fallbackToDefaults: false });
+  } catch (error) {
+    // Don't save anything, the next scan tries again
+    if (process.env.NODE_ENV === 'development') {
+      console.warn(`  ⚠️ Prompt generation failed (using defaults): ${error.message}`);
+    }
+    return null;
+  }
+
+  // Generated text is literal, so braces can't be mistaken for variables
+  const templates = generated
+    .filter(prompt => typeof prompt === 'string')
+    .map(prompt => prompt.replace(/[{}]/g, '').trim().slice(0, MAX_TEMPLATE_LENGTH))
+    .filter(prompt => prompt.length >= MIN_TEMPLATE_LENGTH)
+    .slice(0, MAX_PROMPTS);
+  if (templates.length === 0) return null;
+  const { prompts } = normalizePromptSet({ name: domain, prompts: templates });
+
+  // Upsert so two scans starting together share one set
+  return PromptSet.findOneAndUpdate(
+    filter,
+    {
+      $setOnInsert: {
+        userId,
+        organizationId,
+        name: `Generated for ${domain}`,
+        description: 'Generated from your brand profile on your first Premium scan of this domain',
+        tags: ['generated'],
+        prompts
+      }
+    },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+}
+
+/**
+ * Pick the prompts a scan asks
+ * @param {Object} input
+ * @param {string} input.userId - Who ran the scan (null for anonymous scans)
+ * @param {string} input.organizationId - Organization the scan was run in, if any
+ * @param {string} input.promptSetId - Prompt set chosen for the scan, if any
+ * @param {string} input.url - Scanned URL
+ * @param {boolean} input.isPremium - Premium scans without a chosen set use the generated set
+ * @param {Object} input.businessInfo - { brandName, industry, brandSummary } for generation
+ * @returns {Promise<Object|null>} { promptSet, prompts } or null for the default prompts
+ */
+async function resolveScanPrompts({ userId, organizationId = null, promptSetId, url, isPremium = false, businessInfo = {} }) {
+  if (!userId) return null;
+
+  let promptSet = null;
+  if (promptSetId) {
+    promptSet = await PromptSet.findOne({ _id: promptSetId, ...getWorkspaceFilter({ _id: userId, organizationId }) });
+    if (!promptSet && process.env.NODE_ENV === 'development') {
+      console.warn(`  ⚠️ Prompt set ${promptSetId} no longer exists (using defaults)`);
+    }
+  } else if (isPremium) {
+    promptSet = await getGeneratedPromptSet({ userId, organizationId }, url, businessInfo);
+  }
+
+  if (!promptSet || promptSet.prompts.length === 0) return null;
+
+  return {
+    promptSet: describePromptSet(promptSet),
+    prompts: promptSet.prompts.map(({ id, template, category }) => ({ id, template, category }))
+  };
+}
+
+module.exports = {
+  PROMPT_VARIABLES,
+  MAX_PROMPTS,
+  getPromptId,
+  normalizePromptSet,
+  applyPromptSetChanges,
+  renderPrompt,
+  describePromptSet,
+  resolveScanPrompts
+};
@@ -0,0 +1,482 @@
+/**
+ * Quality Gate Service
+ * Pass/fail checks for CI: each URL is analyzed with analyzeSEO (and, when
+ * the policy sets minVisibility, analyzeLLMVisibility) and checked against a
+ * policy. Used by POST /api/quality-gate and scripts/qualityGate.js, which
+ * exits non-zero when the gate fails.
+ *
+ * With `policy.baseline` each URL is also compared with a baseline scan (the
+ * latest scan of the URL, a pinned scan or the project's approved baseline,
+ * see gateBaselineService) and fails only on regressions: new warnings, worse
+ * load time, alt coverage, heading structure or structured data, and (with a
+ * tolerance) a drop in LLM visibility.
+ *
+ * Verdicts can be rendered as JUnit XML (one test suite per URL, one test
+ * case per check) or SARIF 2.1.0 (one result per failed check, plus each SEO
+ * warning as a note) so CI systems can show failures inline.
+ */
+
+const { analyzeSEO } = require('./seoService');
+const { analyzeLLMVisibility } = require('./llmService');
+const { diffScans } = require('./scanDiffService');
+
+const MAX_GATE_URLS = 10;
+const GATE_CONCURRENCY = 3;
+const DEFAULT_LOAD_TIME_TOLERANCE = 25; // Percent slower than the baseline
+
+// SEO warnings are plain messages; the first matching pattern picks the category
+const WARNING_CATEGORIES = [
+  { category: 'rendering', pattern: /JavaScript|raw HTML/ },
+  { category: 'ai', pattern: /llms\.txt|AI crawlers|AI use/ },
+  { category: 'indexing', pattern: /noindex|nosnippet|robots\.txt|sitemap/i },
+  { category: 'structuredData', pattern: /structured data|schema|JSON-LD|rich results/i },
+  { category: 'security', pattern: /HTTPS|HSTS/ },
+  { category: 'social', pattern: /Open Graph|Twitter Card/ },
+  { category: 'meta', pattern: /title|meta description|canonical|viewport|language attribute|favicon/i },
+  { category: 'content', pattern: /H1|alt text|content volume|linking|external links/i },
+  { category: 'performance', pattern: /load time|large image/i }
+];
+const WARNING_CATEGORY_NAMES = [...WARNING_CATEGORIES.map(({ category }) => category), 'other'];
+
+// Tags a policy can require, and how to tell they are present
+const GATE_TAGS = {
+  title: seo => !!seo.title,
+  metaDescription: seo => !!seo.metaDescription,
+  canonical: seo => !!seo.canonical,
+  viewport: seo => !!seo.viewport,
+  lang: seo => !!seo.lang,
+  favicon: seo => !!seo.favicon,
+  h1: seo => (seo.headings?.h1?.length || 0) > 0,
+  ogTitle: seo => !!seo.ogTitle,
+  ogDescription: seo => !!seo.ogDescription,
+  ogImage: seo => !!seo.ogImage,
+  twitterCard: seo => !!seo.twitterCard
+};
+
+// Check ids, also used as JUnit test case names and SARIF rule ids
+const GATE_CHECKS = {
+  fetch: 'Page can be analyzed',
+  maxWarnings: 'Total SEO warnings within limit',
+  warningCategory: 'SEO warnings in a category within limit',
+  requiredTags: 'Required tags present',
+  noindex: 'Page is indexable',
+  schema: 'Structured data present',
+  minVisibility: 'LLM visibility at or above minimum',
+  baseline: 'Baseline scan found',
+  baselineWarnings: 'No new SEO warnings since the baseline',
+  baselineLoadTime: 'Load time no worse than the baseline',
+  baselineAltCoverage: 'Image alt coverage no worse than the baseline',
+  baselineHeadings: 'Heading structure no worse than the baseline',
+  baselineStructuredData: 'No fewer structured data items than the baseline',
+  baselineVisibility: 'LLM visibility within tolerance of the baseline'
+};
+
+function categorizeWarning(warning) {
+  return WARNING_CATEGORIES.find(({ pattern }) => pattern.test(warning))?.category || 'other';
+}
+
+/**
+ * Heading structure problems: no H1 or several, and levels skipped (an h3 without any h2)
+ */
+function countHeadingIssues(headings = {}) {
+  const counts = [headings.h1?.length || 0, headings.h2, headings.h3, headings.h4, headings.h5, headings.h6].map(count => count || 0);
+  const skipped = counts.filter((count, index) => index > 0 && count > 0 && counts[index - 1] === 0).length;
+  return (counts[0] === 1 ? 0 : 1) + skipped;
+}
+
+/**
+ * Validate `policy.baseline`
+ * @param {boolean|Object} body - true for the latest scan, or { project?, scanId?, visibilityTolerance?, loadTimeTolerance? }
+ * @returns {Object|null}
+ */
+function normalizeBaselinePolicy(body, count) {
+  if (body === undefined || body === null || body === false) return null;
+  const input = body === true ? {} : body;
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    throw new Error('baseline must be true or an object');
+  }
+  if (input.project && input.scanId) {
+    throw new Error('Use either baseline.project or baseline.scanId');
+  }
+
+  const project = typeof input.project === 'string' ? input.project.trim() : '';
+  const scanId = typeof input.scanId === 'string' ? input.scanId.trim() : '';
+  const loadTimeTolerance = count(input.loadTimeTolerance, 'baseline.loadTimeTolerance', 1000);
+  return {
+    project: project || null,
+    scanId: scanId || null,
+    // Points of visibility the URL may lose; null skips the LLM comparison
+    visibilityTolerance: count(input.visibilityTolerance, 'baseline.visibilityTolerance', 100),
+    loadTimeTolerance: loadTimeTolerance ?? DEFAULT_LOAD_TIME_TOLERANCE
+  };
+}
+
+/**
+ * Validate a gate policy
+ * @param {Object} body - { maxWarnings?, maxWarningsByCategory?, requiredTags?, minVisibility?,
+ *   allowNoindex?, requireSchema?: true | ['Organization', ...], skipLlm?, baseline? }
+ * @returns {Object} Normalized policy
+ */
+function normalizeGatePolicy(body = {}) {
+  const count = (value, label, max) => {
+    if (value === undefined || value === null || value === '') return null;
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 0 || number > max) {
+      throw new Error(`${label} must be a whole number between 0 and ${max}`);
+    }
+    return number;
+  };
+
+  const policy = {
+    maxWarnings: count(body.maxWarnings, 'maxWarnings', 1000),
+    maxWarningsByCategory: {},
+    requiredTags: [],
+    minVisibility: count(body.minVisibility, 'minVisibility', 100),
+    allowNoindex: body.allowNoindex === true || body.allowNoindex === 'true',
+    requireSchema: false,
+    skipLlm: body.skipLlm === true || body.skipLlm === 'true',
+    baseline: null
+  };
+  policy.baseline = normalizeBaselinePolicy(body.baseline, count);
+
+  if (body.maxWarningsByCategory !== undefined) {
+    if (!body.maxWarningsByCategory || typeof body.maxWarningsByCategory !== 'object' || Array.isArray(body.maxWarningsByCategory)) {
+      throw new Error('maxWarningsByCategory must be an object of category: count');
+    }
+    Object.entries(body.maxWarningsByCategory).forEach(([category, value]) => {
+      if (!WARNING_CATEGORY_NAMES.includes(category)) {
+        throw new Error(`Unknown warning category: ${category}. Use one of: ${WARNING_CATEGORY_NAMES.join(', ')}`);
+      }
+      policy.maxWarningsByCategory[category] = count(value, `maxWarningsByCategory.${category}`, 1000);
+    });
+  }
+
+  if (body.requiredTags !== undefined) {
+    const tags = Array.isArray(body.requiredTags) ? [...new Set(body.requiredTags)] : [];
+    const unknown = tags.filter(tag => !GATE_TAGS[tag]);
+    if (!Array.isArray(body.requiredTags) || unknown.length > 0) {
+      throw new Error(`requiredTags must be a list of: ${Object.keys(GATE_TAGS).join(', ')}`);
+    }
+    policy.requiredTags = tags;
+  }
+
+  if (Array.isArray(body.requireSchema)) {
+    const types = body.requireSchema.map(type => String(type).trim()).filter(Boolean);
+    policy.requireSchema = types.length > 0 ? [...new Set(types)] : true;
+  } else {
+    policy.requireSchema = body.requireSchema === true || body.requireSchema === 'true';
+  }
+
+  return policy;
+}
+
+/**
+ * Whether a policy needs LLM calls
+ */
+function policyUsesLlm(policy) {
+  const visibilityChecked = policy.minVisibility !== null || (policy.baseline?.visibilityTolerance ?? null) !== null;
+  return visibilityChecked && !policy.skipLlm;
+}
+
+/**
+ * Compare one analyzed URL with its baseline scan
+ * @param {Object} baselineScan - Completed Scan (plain object)
+ * @param {Object} seo - analyzeSEO result
+ * @param {Object|null} llmVisibility - analyzeLLMVisibility result, null when skipped
+ * @param {Object} baselinePolicy - policy.baseline
+ * @returns {Array} Checks
+ */
+function compareWithBaseline(baselineScan, seo, llmVisibility, baselinePolicy) {
+  const checks = [];
+  const check = (id, passed, message) => {
+    checks.push({ id, name: GATE_CHECKS[id], status: passed ? 'passed' : 'failed', message });
+  };
+  const skip = (id, message) => checks.push({ id, name: GATE_CHECKS[id], status: 'skipped', message });
+
+  const before = baselineScan.seo || {};
+  const diff = diffScans(baselineScan, {
+    url: baselineScan.url,
+    seo,
+    llmVisibility: llmVisibility || { error: 'LLM checks were skipped' }
+  });
+
+  const added = diff.seo?.warningsAdded || [];
+  check('baselineWarnings', added.length === 0,
+    added.length === 0 ? 'No new warnings' : `${added.length} new warning(s): ${added.join('; ')}`);
+
+  const loadBefore = before.loadTimeMs;
+  if (typeof loadBefore === 'number' && typeof seo.loadTimeMs === 'number') {
+    const limit = Math.round(loadBefore * (1 + baselinePolicy.loadTimeTolerance / 100));
+    check('baselineLoadTime', seo.loadTimeMs <= limit,
+      `${seo.loadTimeMs}ms, baseline ${loadBefore}ms (limit ${limit}ms)`);
+  } else {
+    skip('baselineLoadTime', 'The baseline has no load time');
+  }
+
+  if ((seo.images?.total || 0) > 0 && before.images) {
+    const coverageBefore = before.images.total > 0 ? before.images.altCoverage : 100;
+    check('baselineAltCoverage', seo.images.altCoverage >= coverageBefore,
+      `${seo.images.altCoverage}% of images have alt text, baseline ${coverageBefore}%`);
+  } else {
+    skip('baselineAltCoverage', 'No images to compare');
+  }
+
+  const issuesBefore = countHeadingIssues(before.headings);
+  const issuesAfter = countHeadingIssues(seo.headings);
+  check('baselineHeadings', issuesAfter <= issuesBefore,
+    `${issuesAfter} heading issue(s) (missing or multiple H1, skipped levels), baseline ${issuesBefore}`);
+
+  const schemasBefore = before.structuredData?.count || 0;
+  const schemasAfter = seo.structuredData?.count || 0;
+  check('baselineStructuredData', schemasAfter >= schemasBefore,
+    `${schemasAfter} structured data item(s), baseline ${schemasBefore}`);
+
+  if (baselinePolicy.visibilityTolerance !== null) {
+    if (!llmVisibility) {
+      skip('baselineVisibility', 'LLM checks were skipped');
+    } else if (diff.visibility.delta === null) {
+      skip('baselineVisibility', 'The baseline has no LLM visibility');
+    } else if (!diff.visibility.comparable) {
+      skip('baselineVisibility', 'The baseline asked different prompts, so visibility is not comparable');
+    } else {
+      check('baselineVisibility', diff.visibility.delta >= -baselinePolicy.visibilityTolerance,
+        `${diff.visibility.after}%, baseline ${diff.visibility.before}% (${diff.visibility.delta > 0 ? '+' : ''}${diff.visibility.delta}, tolerance ${baselinePolicy.visibilityTolerance})`);
+    }
+  }
+
+  return checks;
+}
+
+/**
+ * Check one analyzed URL against a policy
+ * @param {string} url
+ * @param {Object} seo - analyzeSEO result
+ * @param {Object|null} llmVisibility - analyzeLLMVisibility result, null when skipped
+ * @param {Object} policy - normalizeGatePolicy result
+ * @param {Object} baseline - With policy.baseline: { scan, source, project } or { scan: null, message }
+ * @returns {Object} { url, passed, checks: [{ id, name, status: passed | failed | skipped, message }], warnings, baseline }
+ */
+function evaluateGate(url, seo, llmVisibility, policy, baseline = null) {
+  const checks = [];
+  const check = (id, passed, message, name = GATE_CHECKS[id]) => {
+    checks.push({ id, name, status: passed ? 'passed' : 'failed', message });
+  };
+
+  const warnings = (seo.warnings || []).map(message => ({ message, category: categorizeWarning(message) }));
+
+  if (policy.maxWarnings !== null) {
+    check('maxWarnings', warnings.length <= policy.maxWarnings,
+      `${warnings.length} SEO warning(s), limit ${policy.maxWarnings}`);
+  }
+
+  Object.entries(policy.maxWarningsByCategory).forEach(([category, limit]) => {
+    const inCategory = warnings.filter(warning => warning.category === category);
+    check('warningCategory', inCategory.length <= limit,
+      `${inCategory.length} ${category} warning(s), limit ${limit}${inCategory.length > limit ? `: ${inCategory.map(warning => warning.message).join('; ')}` : ''}`,
+      `${category} warnings within limit`);
+  });
+
+  if (policy.requiredTags.length > 0) {
+    const missing = policy.requiredTags.filter(tag => !GATE_TAGS[tag](seo));
+    check('requiredTags', missing.length === 0,
+      missing.length === 0 ? `All ${policy.requiredTags.length} required tags present` : `Missing: ${missing.join(', ')}`);
+  }
+
+  if (!policy.allowNoindex) {
+    const noindex = !!seo.aiReadiness?.directives?.noindex ||
+      /\b(noindex|none)\b/i.test(seo.robotsMeta || '') || /\b(noindex|none)\b/i.test(seo.xRobotsTag || '');
+    check('noindex', !noindex, noindex ? 'Page has a noindex directive' : 'No noindex directive');
+  }
+
+  if (policy.requireSchema) {
+    const schemas = seo.structuredData?.schemas || [];
+    if (Array.isArray(policy.requireSchema)) {
+      const found = new Set(schemas.flatMap(schema => String(schema.schema || '').split(', ')));
+      const missing = policy.requireSchema.filter(type => !found.has(type));
+      check('schema', missing.length === 0,
+        missing.length === 0 ? `Found ${policy.requireSchema.join(', ')}` : `Missing schema types: ${missing.join(', ')}`);
+    } else {
+      const count = seo.structuredData?.count || 0;
+      check('schema', count > 0, count > 0 ? `${count} structured data item(s)` : 'No structured data found');
+    }
+  }
+
+  if (policy.minVisibility !== null) {
+    if (!llmVisibility) {
+      checks.push({ id: 'minVisibility', name: GATE_CHECKS.minVisibility, status: 'skipped', message: 'LLM checks were skipped' });
+    } else {
+      const visibility = llmVisibility.percentage || 0;
+      check('minVisibility', visibility >= policy.minVisibility,
+        `LLM visibility ${visibility}%, minimum ${policy.minVisibility}%`);
+    }
+  }
+
+  // Without a baseline (e.g. a URL's first run) there is nothing to regress from
+  if (policy.baseline) {
+    if (baseline?.scan) {
+      checks.push({ id: 'baseline', name: GATE_CHECKS.baseline, status: 'passed', message: `Comparing with scan ${baseline.scan._id} (${baseline.source})` });
+      checks.push(...compareWithBaseline(baseline.scan, seo, llmVisibility, policy.baseline));
+    } else {
+      checks.push({ id: 'baseline', name: GATE_CHECKS.baseline, status: 'skipped', message: baseline?.message || 'No baseline scan' });
+    }
+  }
+
+  return {
+    url,
+    passed: checks.every(item => item.status !== 'failed'),
+    checks,
+    warnings,
+    visibility: llmVisibility ? llmVisibility.percentage || 0 : null,
+    baseline: baseline?.scan
+      ? { scanId: baseline.scan._id, source: baseline.source, project: baseline.project || null, createdAt: baseline.scan.createdAt }
+      : null
+  };
+}
+
+/**
+ * Analyze URLs and check them against a policy
+ * @param {Array<string>} urls - Up to MAX_GATE_URLS
+ * @param {Object} policy - normalizeGatePolicy result
+ * @param {Object} options - { isPremium, onResult, getBaseline: async url => baseline (with policy.baseline) }
+ * @returns {Promise<Object>} Verdict { passed, summary, results, policy, ranAt, executionTimeMs }
+ */
+async function runQualityGate(urls, policy, { isPremium = false, onResult = () => {}, getBaseline = async () => null } = {}) {
+  const startTime = Date.now();
+  const useLlm = policyUsesLlm(policy);
+  const results = new Array(urls.length);
+
+  const runOne = async (url) => {
+    try {
+      const baseline = policy.baseline ? await getBaseline(url) : null;
+      const seo = await analyzeSEO(url, { isPremium });
+      // Ask the baseline's prompts so visibility stays comparable
+      const llmVisibility = useLlm
+        ? await analyzeLLMVisibility(url, { isPremium, seo, ...(baseline?.prompts || {}) })
+        : null;
+      return evaluateGate(url, seo, llmVisibility, policy, baseline);
+    } catch (error) {
+      return {
+        url,
+        passed: false,
+        checks: [{ id: 'fetch', name: GATE_CHECKS.fetch, status: 'failed', message: error.message }],
+        warnings: [],
+        visibility: null,
+        baseline: null
+      };
+    }
+  };
+
+  // A few URLs at a time
+  let next = 0;
+  const worker = async () => {
+    while (next < urls.length) {
+      const index = next++;
+      results[index] = await runOne(urls[index]);
+      onResult(results[index]);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(GATE_CONCURRENCY, urls.length) }, worker));
+
+  const failed = results.filter(result => !result.passed).length;
+  return {
+    passed: failed === 0,
+    summary: { urls: results.length, passed: results.length - failed, failed },
+    results,
+    policy,
+    ranAt: new Date(startTime).toISOString(),
+    executionTimeMs: Date.now() - startTime
+  };
+}
+
+function escapeXml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Verdict as JUnit XML
+ */
+function toJUnit(verdict) {
+  const countStatus = (checks, status) => checks.filter(item => item.status === status).length;
+  const allChecks = verdict.results.flatMap(result => result.checks);
+
+  const suites = verdict.results.map(result => {
+    const cases = result.checks.map(item => {
+      const open = `    <testcase classname="${escapeXml(result.url)}" name="${escapeXml(item.name)}">`;
+      if (item.status === 'failed') {
+        return `${open}\n      <failure message="${escapeXml(item.message)}" type="${escapeXml(item.id)}">${escapeXml(item.message)}</failure>\n    </testcase>`;
+      }
+      if (item.status === 'skipped') {
+        return `${open}\n      <skipped message="${escapeXml(item.message)}"/>\n    </testcase>`;
+      }
+      return `${open}</testcase>`;
+    });
+    const output = result.warnings.length > 0
+      ? `\n    <system-out>${escapeXml(result.warnings.map(warning => `[${warning.category}] ${warning.message}`).join('\n'))}</system-out>`
+      : '';
+    return `  <testsuite name="${escapeXml(result.url)}" tests="${result.checks.length}" failures="${countStatus(result.checks, 'failed')}" skipped="${countStatus(result.checks, 'skipped')}" timestamp="${escapeXml(verdict.ranAt)}">\n${cases.join('\n')}${output}\n  </testsuite>`;
+  });
+
+  return `<?xml version="1.0" encoding="UTF-8"?>\n<testsuites name="OptiSenseAI quality gate" tests="${allChecks.length}" failures="${countStatus(allChecks, 'failed')}" skipped="${countStatus(allChecks, 'skipped')}" time="${(verdict.executionTimeMs / 1000).toFixed(3)}">\n${suites.join('\n')}\n</testsuites>\n`;
+}
+
+/**
+ * Verdict as a SARIF 2.1.0 log
+ */
+function toSarif(verdict) {
+  const rules = [
+    ...Object.entries(GATE_CHECKS).map(([id, description]) => ({ id, shortDescription: { text: description } })),
+    ...WARNING_CATEGORY_NAMES.map(category => ({ id: `warning/${category}`, shortDescription: { text: `SEO warning (${category})` } }))
+  ];
+  const location = url => [{ physicalLocation: { artifactLocation: { uri: url } } }];
+
+  const results = verdict.results.flatMap(result => [
+    ...result.checks
+      .filter(item => item.status === 'failed')
+      .map(item => ({
+        ruleId: item.id,
+        level: 'error',
+        message: { text: `${item.name}: ${item.message}` },
+        locations: location(result.url)
+      })),
+    ...result.warnings.map(warning => ({
+      ruleId: `warning/${warning.category}`,
+      level: 'note',
+      message: { text: warning.message },
+      locations: location(result.url)
+    }))
+  ]);
+
+  return {
+    $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+    version: '2.1.0',
+    runs: [{
+      tool: {
+        driver: {
+          name: 'OptiSenseAI quality gate',
+          rules
+        }
+      },
+      results
+    }]
+  };
+}
+
+module.exports = {
+  MAX_GATE_URLS,
+  WARNING_CATEGORY_NAMES,
+  GATE_TAGS,
+  categorizeWarning,
+  countHeadingIssues,
+  normalizeGatePolicy,
+  policyUsesLlm,
+  evaluateGate,
+  compareWithBaseline,
+  runQualityGate,
+  toJUnit,
+  toSarif
+};
@@ -0,0 +1,240 @@
+/**
+ * Render Service
+ * Renders pages in a local headless Chrome so JavaScript-built content can be
+ * compared with the raw HTML that crawlers download.
+ *
+ * Uses puppeteer-core with a system Chrome/Chromium: set CHROME_EXECUTABLE_PATH,
+ * or a common install location is used. Renders run one at a time (a browser
+ * is heavy) and sub-requests to private hosts are blocked like every other fetch.
+ */
+
+const fs = require('fs');
+const cheerio = require('cheerio');
+const { URL } = require('url');
+const { validateUrlSecurity } = require('../middleware/security');
+
+const RENDER_TIMEOUT_MS = 20000;
+const SETTLE_MS = 500; // Extra time after network idle for late DOM updates
+const MAX_CONCURRENT_RENDERS = 1;
+const USER_AGENT = 'Mozilla/5.0 (compatible; OptiSenseAI-Bot/1.0; +Headless rendering)';
+
+// Requests we skip while rendering - they don't change the DOM text we compare
+const BLOCKED_RESOURCE_TYPES = ['image', 'media', 'font'];
+
+const COMMON_CHROME_PATHS = [
+  '/usr/bin/google-chrome',
+  '/usr/bin/google-chrome-stable',
+  '/usr/bin/chromium',
+  '/usr/bin/chromium-browser',
+  '/Applications/Google Chrome.app/Contents/MacOS/Google Chrome',
+  'C:\\Program Files\\Google\\Chrome\\Application\\chrome.exe'
+];
+
+let activeRenders = 0;
+const waiting = [];
+
+/**
+ * Find a Chrome/Chromium executable
+ * @returns {string|null}
+ */
+function getChromePath() {
+  const configured = process.env.CHROME_EXECUTABLE_PATH || process.env.PUPPETEER_EXECUTABLE_PATH;
+  if (configured) return configured;
+  return COMMON_CHROME_PATHS.find(path => fs.existsSync(path)) || null;
+}
+
+/**
+ * Whether headless rendering can run on this server
+ */
+function isRenderingAvailable() {
+  if (!getChromePath()) return false;
+  try {
+    require.resolve('puppeteer-core');
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Wait for a render slot
+ */
+async function acquireSlot() {
+  if (activeRenders < MAX_CONCURRENT_RENDERS) {
+    activeRenders++;
+    return;
+  }
+  await new Promise(resolve => waiting.push(resolve));
+  activeRenders++;
+}
+
+function releaseSlot() {
+  activeRenders--;
+  const next = waiting.shift();
+  if (next) next();
+}
+
+/**
+ * Render a page and return the post-JavaScript DOM
+ * @param {string} url - Page URL (already validated by the caller)
+ * @param {Object} options
+ * @param {number} options.timeoutMs - Navigation timeout
+ * @returns {Promise<Object>} { html, finalUrl, statusCode, renderTimeMs, blockedRequests }
+ */
+async function renderPage(url, options = {}) {
+  const { timeoutMs = RENDER_TIMEOUT_MS } = options;
+  const executablePath = getChromePath();
+  if (!executablePath) {
+    throw new Error('Headless rendering is not available (no Chrome/Chromium found - set CHROME_EXECUTABLE_PATH)');
+  }
+
+  const puppeteer = require('puppeteer-core');
+  await acquireSlot();
+  const startTime = Date.now();
+  let browser;
+
+  try {
+    browser = await puppeteer.launch({
+      executablePath,
+      headless: true,
+      args: ['--no-sandbox', '--disable-dev-shm-usage', '--disable-gpu']
+    });
+
+    const page = await browser.newPage();
+    await page.setUserAgent(USER_AGENT);
+    await page.setViewport({ width: 1366, height: 900 });
+
+    // Block heavy assets and anything pointing at private hosts (SSRF)
+    let blockedRequests = 0;
+    await page.setRequestInterception(true);
+    page.on('request', request => {
+      const requestUrl = request.url();
+      if (BLOCKED_RESOURCE_TYPES.includes(request.resourceType())) {
+        request.abort();
+        return;
+      }
+      if (/^https?:/i.test(requestUrl)) {
+        try {
+          validateUrlSecurity(requestUrl);
+        } catch (error) {
+          blockedRequests++;
+          request.abort();
+          return;
+        }
+      }
+      request.continue();
+    });
+
+    const response = await page.goto(url, { waitUntil: 'networkidle2', timeout: timeoutMs });
+    await new Promise(resolve => setTimeout(resolve, SETTLE_MS));
+
+    const html = await page.content();
+
+    return {
+      html,
+      finalUrl: page.url(),
+      statusCode: response ? response.status() : null,
+      renderTimeMs: Date.now() - startTime,
+      blockedRequests
+    };
+  } finally {
+    if (browser) {
+      await browser.close().catch(() => {});
+    }
+    releaseSlot();
+  }
+}
+
+/**
+ * Count words in the visible body text
+ */
+function countWords($) {
+  const $body = $('body').clone();
+  $body.find('script, style, noscript, template').remove();
+  const text = $body.text().replace(/\s+/g, ' ').trim();
+  return text ? text.split(' ').length : 0;
+}
+
+/**
+ * Summarize the SEO-relevant content of a document
+ * @param {Object} $ - Cheerio instance
+ * @param {string} pageUrl - URL of the page (to classify links)
+ */
+function summarizeDocument($, pageUrl) {
+  const host = new URL(pageUrl).host;
+  const links = { internal: 0, external: 0 };
+  $('a[href]').each((i, el) => {
+    try {
+      const href = new URL($(el).attr('href'), pageUrl);
+      if (!/^https?:$/.test(href.protocol)) return;
+      if (href.host === host) links.internal++;
+      else links.external++;
+    } catch (error) {
+      // Unparseable href
+    }
+  });
+
+  return {
+    title: $('title').first().text().trim() || null,
+    metaDescription: $('meta[name="description"]').attr('content') || null,
+    canonical: $('link[rel="canonical"]').attr('href') || null,
+    robotsMeta: $('meta[name="robots"]').attr('content') || null,
+    h1: $('h1').map((i, el) => $(el).text().trim()).get().filter(Boolean),
+    headings: $('h1, h2, h3, h4, h5, h6').length,
+    wordCount: countWords($),
+    links,
+    structuredData: $('script[type="application/ld+json"]').length + $('[itemscope]').length
+  };
+}
+
+/**
+ * Compare raw HTML with the rendered DOM
+ * @param {string} rawHtml - HTML as downloaded
+ * @param {string} renderedHtml - DOM after JavaScript ran
+ * @param {string} pageUrl - Page URL
+ * @returns {Object} { raw, rendered, changes, jsOnly, rawTextRatio }
+ */
+function compareRenderedContent(rawHtml, renderedHtml, pageUrl) {
+  const raw = summarizeDocument(cheerio.load(rawHtml || ''), pageUrl);
+  const rendered = summarizeDocument(cheerio.load(renderedHtml || ''), pageUrl);
+
+  const changes = [];
+  // Content that exists only after rendering - invisible to crawlers that don't run JS
+  const jsOnly = [];
+
+  ['title', 'metaDescription', 'canonical', 'robotsMeta'].forEach(field => {
+    if (raw[field] !== rendered[field]) {
+      changes.push({ field, raw: raw[field], rendered: rendered[field] });
+      if (!raw[field] && rendered[field] && field !== 'robotsMeta') jsOnly.push(field);
+    }
+  });
+
+  if (raw.h1.join('|') !== rendered.h1.join('|')) {
+    changes.push({ field: 'h1', raw: raw.h1, rendered: rendered.h1 });
+    if (raw.h1.length === 0 && rendered.h1.length > 0) jsOnly.push('h1');
+  }
+
+  ['headings', 'wordCount', 'structuredData'].forEach(field => {
+    if (raw[field] !== rendered[field]) {
+      changes.push({ field, raw: raw[field], rendered: rendered[field] });
+    }
+  });
+  if (raw.structuredData === 0 && rendered.structuredData > 0) jsOnly.push('structuredData');
+
+  if (raw.links.internal !== rendered.links.internal || raw.links.external !== rendered.links.external) {
+    changes.push({ field: 'links', raw: raw.links, rendered: rendered.links });
+  }
+
+  // Share of the rendered text already present in the raw HTML
+  const rawTextRatio = rendered.wordCount > 0
+    ? Math.min(100, Math.round((raw.wordCount / rendered.wordCount) * 100))
+    : 100;
+
+  return { raw, rendered, changes, jsOnly, rawTextRatio };
+}
+
+module.exports = {
+  renderPage,
+  compareRenderedContent,
+  isRenderingAvailable
+};
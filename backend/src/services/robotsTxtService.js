@@ -0,0 +1,206 @@
+/**
+ * Robots.txt Service
+ * Parses robots.txt and evaluates access per user agent.
+ *
+ * Follows Google's robots.txt rules (RFC 9309):
+ * - A crawler obeys the groups whose User-agent equals its product token
+ *   (case-insensitive, merged if there are several); `*` is the fallback
+ * - Within a group the longest matching Allow/Disallow path wins, Allow wins ties
+ * - `*` matches any sequence of characters, a trailing `$` anchors the end
+ */
+
+// Crawlers we report on (token = the product token matched against User-agent lines)
+const KNOWN_CRAWLERS = [
+  { name: 'Googlebot', token: 'googlebot', category: 'search', owner: 'Google' },
+  { name: 'Bingbot', token: 'bingbot', category: 'search', owner: 'Microsoft' },
+  { name: 'GPTBot', token: 'gptbot', category: 'ai', owner: 'OpenAI' },
+  { name: 'ChatGPT-User', token: 'chatgpt-user', category: 'ai', owner: 'OpenAI' },
+  { name: 'ClaudeBot', token: 'claudebot', category: 'ai', owner: 'Anthropic' },
+  { name: 'PerplexityBot', token: 'perplexitybot', category: 'ai', owner: 'Perplexity' },
+  { name: 'Google-Extended', token: 'google-extended', category: 'ai', owner: 'Google (Gemini)' },
+  { name: 'CCBot', token: 'ccbot', category: 'ai', owner: 'Common Crawl' }
+];
+
+/**
+ * Convert a robots.txt path pattern to a RegExp
+ */
+function patternToRegex(pattern) {
+  const anchored = pattern.endsWith('$');
+  const body = (anchored ? pattern.slice(0, -1) : pattern)
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${body}${anchored ? '$' : ''}`);
+}
+
+/**
+ * Parse robots.txt content
+ * @param {string} content - Raw robots.txt
+ * @returns {Object} { groups: [{ agents, rules, crawlDelay }], sitemaps, invalidLines }
+ */
+function parseRobotsTxt(content = '') {
+  const groups = [];
+  const sitemaps = [];
+  let invalidLines = 0;
+  let current = null;
+  let lastWasAgent = false;
+
+  // Strip a UTF-8 BOM so the first line still parses
+  String(content).replace(/^\uFEFF/, '').split(/\r\n|\r|\n/).forEach(rawLine => {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    if (!line) return;
+
+    const separator = line.indexOf(':');
+    if (separator === -1) {
+      invalidLines++;
+      return;
+    }
+
+    const field = line.slice(0, separator).trim().toLowerCase();
+    const value = line.slice(separator + 1).trim();
+
+    switch (field) {
+      case 'user-agent':
+        // Consecutive User-agent lines share one group
+        if (!current || !lastWasAgent) {
+          current = { agents: [], rules: [], crawlDelay: null };
+          groups.push(current);
+        }
+        // "GPTBot/1.0" names the same agent as "GPTBot"
+        current.agents.push(value.split('/')[0].trim().toLowerCase());
+        lastWasAgent = true;
+        return;
+
+      case 'allow':
+      case 'disallow':
+        if (current && value) {
+          // An empty Disallow means "allow everything" - no rule needed
+          current.rules.push({ type: field, path: value, regex: patternToRegex(value) });
+        } else if (!current) {
+          invalidLines++; // Rule before any User-agent line
+        }
+        break;
+
+      case 'crawl-delay': {
+        const seconds = parseFloat(value);
+        if (current && !isNaN(seconds) && seconds >= 0) {
+          current.crawlDelay = seconds;
+        }
+        break;
+      }
+
+      case 'sitemap':
+        // Sitemap lines are global, not part of a group
+        if (value) sitemaps.push(value);
+        return;
+
+      default:
+        // Unknown fields (Host, Clean-param, ...) are ignored by Google
+        break;
+    }
+
+    lastWasAgent = false;
+  });
+
+  return { groups, sitemaps, invalidLines };
+}
+
+/**
+ * Find the rules that apply to a user agent
+ * @param {Object} parsed - Result of parseRobotsTxt
+ * @param {string} userAgent - Product token, e.g. 'GPTBot'
+ * @returns {Object} { matchedAgent, rules, crawlDelay } - matchedAgent is null when no group applies
+ */
+function getGroupForAgent(parsed, userAgent) {
+  const token = userAgent.toLowerCase();
+
+  let matchedAgent = null;
+  if (parsed.groups.some(group => group.agents.includes(token))) {
+    matchedAgent = token;
+  } else if (parsed.groups.some(group => group.agents.includes('*'))) {
+    matchedAgent = '*';
+  }
+  if (!matchedAgent) {
+    return { matchedAgent: null, rules: [], crawlDelay: null };
+  }
+
+  // Merge every group that names the matched agent
+  const matching = parsed.groups.filter(group => group.agents.includes(matchedAgent));
+  const crawlDelays = matching.map(group => group.crawlDelay).filter(delay => delay != null);
+
+  return {
+    matchedAgent,
+    rules: matching.flatMap(group => group.rules),
+    crawlDelay: crawlDelays.length > 0 ? crawlDelays[0] : null
+  };
+}
+
+/**
+ * Check whether a path (with query string) may be fetched under a set of rules
+ * @returns {Object} { allowed, rule } - rule is the deciding rule, or null when none matched
+ */
+function evaluateRules(rules, path) {
+  if (path === '/robots.txt') {
+    return { allowed: true, rule: null }; // Always fetchable
+  }
+
+  let best = null;
+  for (const rule of rules) {
+    if (!rule.regex.test(path)) continue;
+    if (!best || rule.path.length > best.path.length ||
+        (rule.path.length === best.path.length && rule.type === 'allow')) {
+      best = rule;
+    }
+  }
+
+  return {
+    allowed: !best || best.type === 'allow',
+    rule: best ? `${best.type === 'allow' ? 'Allow' : 'Disallow'}: ${best.path}` : null
+  };
+}
+
+/**
+ * Check whether a user agent may fetch a path
+ * @param {Object} parsed - Result of parseRobotsTxt
+ * @param {string} path - URL path plus query, e.g. '/blog?page=2'
+ * @param {string} userAgent - Product token
+ * @returns {boolean}
+ */
+function isAllowed(parsed, path, userAgent) {
+  const { rules } = getGroupForAgent(parsed, userAgent);
+  return evaluateRules(rules, path).allowed;
+}
+
+/**
+ * Report access to a path for each known search and AI crawler
+ * @param {Object} parsed - Result of parseRobotsTxt
+ * @param {string} path - URL path plus query
+ * @returns {Array<Object>} One entry per crawler
+ */
+function evaluateCrawlers(parsed, path) {
+  return KNOWN_CRAWLERS.map(crawler => {
+    const group = getGroupForAgent(parsed, crawler.token);
+    const { allowed, rule } = evaluateRules(group.rules, path);
+    const siteWide = evaluateRules(group.rules, '/');
+
+    return {
+      name: crawler.name,
+      owner: crawler.owner,
+      category: crawler.category,
+      allowed,
+      blockedSiteWide: !siteWide.allowed,
+      matchedGroup: group.matchedAgent,
+      matchedRule: rule,
+      crawlDelay: group.crawlDelay
+    };
+  });
+}
+
+module.exports = {
+  KNOWN_CRAWLERS,
+  parseRobotsTxt,
+  getGroupForAgent,
+  evaluateRules,
+  isAllowed,
+  evaluateCrawlers
+};
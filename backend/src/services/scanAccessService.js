@@ -0,0 +1,191 @@
+/**
+ * Scan Access Service
+ * Who may read a scan. A scan is readable by:
+ * - the signed-in user who ran it, or every member of the organization it was
+ *   run in (see organizationService),
+ * - whoever holds the access token returned when an anonymous scan was queued
+ *   (sent as the X-Scan-Token header, or ?accessToken= where headers can't be
+ *   set, e.g. EventSource).
+ * Anyone else gets a 404, so scan ids don't reveal which scans exist.
+ *
+ * Share links give read-only access to a trimmed report (no integration data
+ * or page text) without an account, until they expire or are revoked.
+ */
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Scan = require('../models/Scan');
+const ShareLink = require('../models/ShareLink');
+const { getWorkspaceFields, hasPermission } = require('./organizationService');
+
+const DEFAULT_SHARE_DAYS = 30;
+const MAX_SHARE_DAYS = 365;
+
+/**
+ * Random token for anonymous scan access and share links (URL-safe)
+ */
+function createAccessToken() {
+  return crypto.randomBytes(24).toString('base64url');
+}
+
+/**
+ * Tokens are only stored hashed
+ */
+function hashAccessToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * Access token sent with a request, if any
+ */
+function getRequestAccessToken(req) {
+  return req.get('X-Scan-Token') || (typeof req.query.accessToken === 'string' ? req.query.accessToken : null);
+}
+
+/**
+ * Whether a user or access token may read a scan
+ * @param {Object} scan - Scan with userId, organizationId and accessTokenHash selected
+ * @param {Object} viewer - { user, accessToken }
+ * @returns {boolean}
+ */
+function canReadScan(scan, { user = null, accessToken = null } = {}) {
+  if (user && scan.organizationId) {
+    const { organizationId } = getWorkspaceFields(user);
+    return !!organizationId && String(scan.organizationId) === String(organizationId);
+  }
+  if (scan.userId && user && String(scan.userId) === String(user._id)) {
+    return true;
+  }
+
+  if (scan.accessTokenHash && accessToken) {
+    const expected = Buffer.from(scan.accessTokenHash);
+    const actual = Buffer.from(hashAccessToken(accessToken));
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+  }
+
+  return false;
+}
+
+/**
+ * Load a scan if the viewer may read it
+ * @param {string} scanId
+ * @param {Object} viewer - { user, accessToken }
+ * @param {string} projection - Fields to select for the returned scan
+ * @returns {Promise<Object|null>} The scan, or null when it doesn't exist or isn't readable
+ */
+async function findReadableScan(scanId, viewer, projection = '-job') {
+  if (!mongoose.isValidObjectId(scanId)) return null;
+
+  const access = await Scan.findById(scanId).select('userId organizationId +accessTokenHash').lean();
+  if (!access || !canReadScan(access, viewer)) return null;
+
+  return Scan.findById(scanId).select(projection);
+}
+
+/**
+ * Expiry for a new share link
+ * @param {number|string|null} expiresInDays - 1-365, 0 for a link that never expires (default 30)
+ * @returns {Date|null}
+ */
+function resolveShareExpiry(expiresInDays, now = new Date()) {
+  if (expiresInDays === undefined || expiresInDays === null || expiresInDays === '') {
+    return new Date(now.getTime() + DEFAULT_SHARE_DAYS * 24 * 60 * 60 * 1000);
+  }
+
+  const days = Number(expiresInDays);
+  if (days === 0) return null;
+  if (!Number.isInteger(days) || days < 1 || days > MAX_SHARE_DAYS) {
+    throw new Error(`Expiry must be between 1 and ${MAX_SHARE_DAYS} days, or 0 for no expiry`);
+  }
+  return new Date(now.getTime() + days * 24 * 60 * 60 * 1000);
+}
+
+/**
+ * Create a share link for a scan
+ * @returns {Promise<Object>} { link, token } - the token is not stored and can't be shown again
+ */
+async function createShareLink(scan, user, { label, expiresInDays } = {}) {
+  const token = createAccessToken();
+  const link = await ShareLink.create({
+    scanId: scan._id,
+    userId: user._id,
+    tokenHash: hashAccessToken(token),
+    label: typeof label === 'string' ? label.trim().slice(0, 100) : undefined,
+    expiresAt: resolveShareExpiry(expiresInDays)
+  });
+  return { link, token };
+}
+
+/**
+ * Whether a share link still works
+ */
+function isShareLinkActive(link, now = new Date()) {
+  return !link.revokedAt && (!link.expiresAt || link.expiresAt > now);
+}
+
+/**
+ * Whether a user may revoke a share link: the member who created it, or for an
+ * organization scan, an owner or admin of that organization (so a report stays
+ * revocable after the member who shared it leaves)
+ * @param {Object} link - ShareLink
+ * @param {Object|null} scan - The link's scan with organizationId selected
+ * @param {Object} user - User
+ * @returns {boolean}
+ */
+function canRevokeShareLink(link, scan, user) {
+  if (String(link.userId) === String(user._id)) return true;
+  if (!scan?.organizationId) return false;
+  const { organizationId } = getWorkspaceFields(user);
+  return !!organizationId && String(scan.organizationId) === String(organizationId) &&
+    hasPermission(user, 'members:manage');
+}
+
+/**
+ * Find the active share link for a token and count the view
+ * @returns {Promise<Object|null>}
+ */
+async function findActiveShareLink(token) {
+  if (!token || typeof token !== 'string') return null;
+
+  const link = await ShareLink.findOne({ tokenHash: hashAccessToken(token) });
+  if (!link || !isShareLinkActive(link)) return null;
+
+  await ShareLink.updateOne({ _id: link._id }, { $inc: { views: 1 }, $set: { lastViewedAt: new Date() } });
+  return link;
+}
+
+/**
+ * Read-only report for a share link: the results, without the owner's
+ * integration data, the page text or queue bookkeeping
+ * @param {Object} scan - Scan (document or plain object)
+ * @returns {Object}
+ */
+function toSharedReport(scan) {
+  const source = scan.toObject ? scan.toObject() : scan;
+  const { extractedText, ...seo } = source.seo || {};
+
+  return {
+    url: source.url,
+    mode: source.mode,
+    createdAt: source.createdAt,
+    seo,
+    llmVisibility: source.llmVisibility,
+    crawl: source.crawl,
+    recommendations: source.recommendations || [],
+    analysisWarnings: source.analysisWarnings || []
+  };
+}
+
+module.exports = {
+  createAccessToken,
+  hashAccessToken,
+  getRequestAccessToken,
+  canReadScan,
+  findReadableScan,
+  resolveShareExpiry,
+  createShareLink,
+  isShareLinkActive,
+  canRevokeShareLink,
+  findActiveShareLink,
+  toSharedReport
+};
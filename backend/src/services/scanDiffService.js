@@ -0,0 +1,394 @@
+/**
+ * Scan Diff Service
+ * Compares two scans of the same URL: SEO warnings added or resolved, title,
+ * meta and status code changes, noindex, LLM visibility and the citations each
+ * prompt gained or lost. Pure - used by alertService to evaluate alert rules.
+ *
+ * compareScans adds what a person checking a fix wants to see: structured
+ * data, the heading outline, a word-level summary of the page text, each
+ * prompt's answer and the recommendations (GET /api/analyze/:scanId/diff/:otherScanId).
+ */
+
+// SEO fields reported when their value changes
+const SEO_FIELDS = ['title', 'metaDescription', 'canonical', 'statusCode', 'finalUrl', 'robotsMeta', 'xRobotsTag'];
+const MAX_LISTED = 10; // Paragraphs and terms listed in the text summary
+const MIN_TERM_LENGTH = 4; // Shorter words are left out of the top added/removed terms
+
+const round1 = (value) => Math.round(value * 10) / 10;
+// Scans without a scoringVersion were scored with v1 (see visibilityScoringService)
+const scoringVersion = (llm = {}) => llm.scoringVersion || 1;
+
+/**
+ * Two scores on the same scale, or null when they have none in common
+ * Scores of the same scoring version are compared as stored; otherwise the v1
+ * score newer scans keep in `legacyField` is compared (legacyPercentage, legacyScore).
+ * @returns {Array|null} [before, after]
+ */
+function sameScaleScores(before, after, [beforeVersion, afterVersion], field, legacyField) {
+  const score = (item, version) => (beforeVersion === afterVersion || version === 1 ? item?.[field] : item?.[legacyField]);
+  const scores = [score(before, beforeVersion), score(after, afterVersion)];
+  return scores.every(value => typeof value === 'number') ? scores : null;
+}
+
+/**
+ * Whether a scan's page tells crawlers not to index it
+ * @param {Object} seo - scan.seo
+ * @returns {boolean}
+ */
+function isNoindex(seo = {}) {
+  if (seo.aiReadiness?.directives) {
+    return !!seo.aiReadiness.directives.noindex;
+  }
+  // Scans from before AI readiness checks
+  return /\b(noindex|none)\b/i.test(`${seo.robotsMeta || ''} ${seo.xRobotsTag || ''}`);
+}
+
+/**
+ * The HTTP status a scan's page returned, also when SEO analysis failed on it
+ * (older failed scans only have it in the error message, e.g. "HTTP 404: Not Found")
+ * @param {Object} seo - scan.seo
+ * @returns {number|null}
+ */
+function getStatusCode(seo = {}) {
+  if (typeof seo?.statusCode === 'number') return seo.statusCode;
+  const match = /^HTTP (\d{3})\b/.exec(seo?.error || '');
+  return match ? Number(match[1]) : null;
+}
+
+/**
+ * Compare the SEO results of two scans
+ * @returns {Object} { warningsAdded, warningsResolved, changes: [{ field, before, after }], noindex: { before, after } | null }
+ */
+function diffSeo(previous = {}, current = {}) {
+  const before = new Set(previous.warnings || []);
+  const after = new Set(current.warnings || []);
+
+  const changes = SEO_FIELDS
+    .filter(field => (previous[field] ?? null) !== (current[field] ?? null))
+    .map(field => ({ field, before: previous[field] ?? null, after: current[field] ?? null }));
+
+  const noindexBefore = isNoindex(previous);
+  const noindexAfter = isNoindex(current);
+
+  return {
+    warningsAdded: [...after].filter(warning => !before.has(warning)),
+    warningsResolved: [...before].filter(warning => !after.has(warning)),
+    changes,
+    noindex: noindexBefore !== noindexAfter ? { before: noindexBefore, after: noindexAfter } : null
+  };
+}
+
+/**
+ * Compare the citations of prompts asked in both scans (matched by promptId)
+ * Prompts that errored in either scan are left out.
+ * @returns {Object} { lost: [{ promptId, prompt, citations }], gained: [...] }
+ */
+function diffCitations(previousDetails = [], currentDetails = []) {
+  const previousById = new Map(
+    previousDetails.filter(detail => detail.promptId && !detail.error).map(detail => [detail.promptId, detail])
+  );
+
+  const lost = [];
+  const gained = [];
+  currentDetails.forEach(detail => {
+    const before = previousById.get(detail.promptId);
+    if (!before || detail.error) return;
+
+    const beforeCitations = new Set(before.citations || []);
+    const afterCitations = new Set(detail.citations || []);
+    const lostCitations = [...beforeCitations].filter(citation => !afterCitations.has(citation));
+    const gainedCitations = [...afterCitations].filter(citation => !beforeCitations.has(citation));
+
+    if (lostCitations.length > 0) {
+      lost.push({ promptId: detail.promptId, prompt: detail.prompt, citations: lostCitations });
+    }
+    if (gainedCitations.length > 0) {
+      gained.push({ promptId: detail.promptId, prompt: detail.prompt, citations: gainedCitations });
+    }
+  });
+
+  return { lost, gained };
+}
+
+/**
+ * Compare two scans of the same URL
+ * @param {Object} previous - Older scan (document or plain object)
+ * @param {Object} current - Newer scan
+ * @returns {Object} { previousScanId, scanId, url, statusCode, seo, visibility, citations }.
+ *   `statusCode` ({ before, after }) is null unless both pages answered and the status
+ *   changed; it is compared even when SEO analysis failed on an error status.
+ *   `seo` is null when SEO analysis failed in either scan.
+ *   `visibility.comparable` is false when the scans asked different prompt sets
+ *   (or versions), so a change in percentage is not a real change. Scans scored
+ *   with different scoring versions are compared on the v1 scale (`legacyPercentage`);
+ *   without one, before/after are null and the pair is not comparable.
+ */
+function diffScans(previous, current) {
+  const previousLlm = previous.llmVisibility || {};
+  const currentLlm = current.llmVisibility || {};
+  // A stage that failed in either scan would show up as everything changing
+  const hasSeo = !!previous.seo && !!current.seo && !previous.seo.error && !current.seo.error;
+  const hasLlm = !previousLlm.error && !currentLlm.error;
+  const percentages = hasLlm
+    ? sameScaleScores(previousLlm, currentLlm, [scoringVersion(previousLlm), scoringVersion(currentLlm)], 'percentage', 'legacyPercentage')
+    : null;
+
+  const promptSetKey = (llm) => (llm.promptSet ? `${llm.promptSet.id}@${llm.promptSet.version}` : null);
+  const statusBefore = getStatusCode(previous.seo);
+  const statusAfter = getStatusCode(current.seo);
+  const statusChanged = statusBefore !== null && statusAfter !== null && statusBefore !== statusAfter;
+
+  return {
+    previousScanId: previous._id,
+    scanId: current._id,
+    url: current.url,
+    statusCode: statusChanged ? { before: statusBefore, after: statusAfter } : null,
+    seo: hasSeo ? diffSeo(previous.seo, current.seo) : null,
+    visibility: {
+      before: percentages ? percentages[0] : null,
+      after: percentages ? percentages[1] : null,
+      delta: percentages ? round1(percentages[1] - percentages[0]) : null,
+      comparable: !!percentages && promptSetKey(previousLlm) === promptSetKey(currentLlm)
+    },
+    citations: hasLlm
+      ? diffCitations(previousLlm.details || [], currentLlm.details || [])
+      : { lost: [], gained: [] }
+  };
+}
+
+/**
+ * Items only in one of two lists, matched by key
+ * @returns {Object} { added, removed }
+ */
+function diffLists(before = [], after = [], key = item => item) {
+  const beforeKeys = new Set(before.map(key));
+  const afterKeys = new Set(after.map(key));
+  return {
+    added: after.filter(item => !beforeKeys.has(key(item))),
+    removed: before.filter(item => !afterKeys.has(key(item)))
+  };
+}
+
+/**
+ * Compare structured data: schema types added or removed, rich result eligibility changes
+ */
+function diffStructuredData(previous = {}, current = {}) {
+  const schemaNames = (data) => [...new Set((data?.schemas || []).map(schema => schema.schema))];
+  const { added, removed } = diffLists(schemaNames(previous), schemaNames(current));
+
+  const eligibility = (data) => new Map((data?.richResults || []).map(result => [result.type, result.eligible]));
+  const before = eligibility(previous);
+  const after = eligibility(current);
+  const richResults = [...new Set([...before.keys(), ...after.keys()])]
+    .filter(type => before.get(type) !== after.get(type))
+    .map(type => ({ type, before: before.get(type) ?? null, after: after.get(type) ?? null }));
+
+  return {
+    countBefore: previous?.count || 0,
+    countAfter: current?.count || 0,
+    schemasAdded: added,
+    schemasRemoved: removed,
+    richResults
+  };
+}
+
+/**
+ * Compare the heading outline (extractedText.headings, in page order)
+ * @returns {Object} { h1: { before, after } | null, added: [{ level, text }], removed: [...] }
+ */
+function diffHeadings(previousSeo = {}, currentSeo = {}) {
+  const key = heading => `${heading.level}:${heading.text}`;
+  const { added, removed } = diffLists(
+    previousSeo.extractedText?.headings || [],
+    currentSeo.extractedText?.headings || [],
+    key
+  );
+
+  const h1Before = previousSeo.headings?.h1 || [];
+  const h1After = currentSeo.headings?.h1 || [];
+  const h1Changed = h1Before.join('\n') !== h1After.join('\n');
+
+  return {
+    h1: h1Changed ? { before: h1Before, after: h1After } : null,
+    added: added.map(({ level, text }) => ({ level, text })),
+    removed: removed.map(({ level, text }) => ({ level, text }))
+  };
+}
+
+function countWords(text = '') {
+  const counts = new Map();
+  text.toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean).forEach(word => {
+    counts.set(word, (counts.get(word) || 0) + 1);
+  });
+  return counts;
+}
+
+const topTerms = (counts) => [...counts.entries()]
+  .filter(([word]) => word.length >= MIN_TERM_LENGTH)
+  .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+  .slice(0, MAX_LISTED)
+  .map(([word, count]) => ({ word, count }));
+
+/**
+ * Word-level summary of how the page text changed
+ * Compares word counts rather than aligning the texts, so moved text counts as unchanged.
+ * @returns {Object} { wordsBefore, wordsAfter, wordsAdded, wordsRemoved, similarity (0-100),
+ *   topAdded, topRemoved: [{ word, count }], paragraphsAdded, paragraphsRemoved: [String] }
+ */
+function diffText(previousText = {}, currentText = {}) {
+  const before = countWords(previousText.fullText || previousText.summary);
+  const after = countWords(currentText.fullText || currentText.summary);
+
+  const added = new Map();
+  const removed = new Map();
+  let shared = 0;
+  new Set([...before.keys(), ...after.keys()]).forEach(word => {
+    const change = (after.get(word) || 0) - (before.get(word) || 0);
+    shared += Math.min(after.get(word) || 0, before.get(word) || 0);
+    if (change > 0) added.set(word, change);
+    if (change < 0) removed.set(word, -change);
+  });
+
+  const total = (counts) => [...counts.values()].reduce((sum, count) => sum + count, 0);
+  const wordsBefore = total(before);
+  const wordsAfter = total(after);
+  const paragraphs = diffLists(previousText.paragraphs || [], currentText.paragraphs || []);
+
+  return {
+    wordsBefore,
+    wordsAfter,
+    wordsAdded: total(added),
+    wordsRemoved: total(removed),
+    similarity: wordsBefore + wordsAfter > 0 ? Math.round((2 * shared / (wordsBefore + wordsAfter)) * 100) : 100,
+    topAdded: topTerms(added),
+    topRemoved: topTerms(removed),
+    paragraphsAdded: paragraphs.added.slice(0, MAX_LISTED),
+    paragraphsRemoved: paragraphs.removed.slice(0, MAX_LISTED)
+  };
+}
+
+const answerSummary = (detail) => (detail ? {
+  response: detail.response || null,
+  score: detail.score ?? null,
+  domainMentioned: !!detail.domainMentioned,
+  citations: detail.citations || [],
+  model: detail.model || null,
+  error: detail.error || null
+} : null);
+
+/**
+ * Compare each prompt's answer (matched by promptId)
+ * Scores of different scoring versions are compared on the v1 scale (legacyScore).
+ * @param {Array} versions - [previous, current] scoring versions of the scans
+ * @returns {Array} [{ promptId, prompt, status: 'added'|'removed'|'changed'|'unchanged',
+ *   before, after, scoreDelta, responseChanged, citationsLost, citationsGained }]
+ */
+function diffAnswers(previousDetails = [], currentDetails = [], versions = [1, 1]) {
+  const previousById = new Map(previousDetails.map(detail => [detail.promptId, detail]));
+  const currentIds = new Set(currentDetails.map(detail => detail.promptId));
+
+  const rows = currentDetails.map(detail => {
+    const before = previousById.get(detail.promptId);
+    const citations = diffLists(before?.citations || [], detail.citations || []);
+    const scores = before ? sameScaleScores(before, detail, versions, 'score', 'legacyScore') : null;
+    const scoreDelta = scores ? round1(scores[1] - scores[0]) : null;
+    const responseChanged = !!before && (before.response || '') !== (detail.response || '');
+
+    let status = 'added';
+    if (before) {
+      const changed = responseChanged || !!scoreDelta ||
+        citations.added.length > 0 || citations.removed.length > 0 ||
+        !!before.domainMentioned !== !!detail.domainMentioned;
+      status = changed ? 'changed' : 'unchanged';
+    }
+
+    return {
+      promptId: detail.promptId,
+      prompt: detail.prompt,
+      status,
+      before: answerSummary(before),
+      after: answerSummary(detail),
+      scoreDelta,
+      responseChanged,
+      citationsLost: before ? citations.removed : [],
+      citationsGained: before ? citations.added : []
+    };
+  });
+
+  previousDetails
+    .filter(detail => !currentIds.has(detail.promptId))
+    .forEach(detail => {
+      rows.push({
+        promptId: detail.promptId,
+        prompt: detail.prompt,
+        status: 'removed',
+        before: answerSummary(detail),
+        after: null,
+        scoreDelta: null,
+        responseChanged: false,
+        citationsLost: [],
+        citationsGained: []
+      });
+    });
+
+  return rows;
+}
+
+/**
+ * Compare recommendations by title
+ * @returns {Object} { added, resolved: [{ title, priority, category }], unchanged: number }
+ */
+function diffRecommendations(previous = [], current = []) {
+  const key = recommendation => (recommendation.title || '').trim().toLowerCase();
+  const { added, removed } = diffLists(previous, current, key);
+  const summary = ({ title, priority, category }) => ({ title, priority, category });
+
+  return {
+    added: added.map(summary),
+    resolved: removed.map(summary),
+    unchanged: current.length - added.length
+  };
+}
+
+/**
+ * Full comparison of two scans, oldest first
+ * @param {Object} previous - Older scan
+ * @param {Object} current - Newer scan
+ * @returns {Object} diffScans fields plus { previous, current, sameUrl, structuredData,
+ *   headings, text, answers, recommendations }. The page-level diffs are null when
+ *   SEO analysis failed in either scan.
+ */
+function compareScans(previous, current) {
+  const diff = diffScans(previous, current);
+  const summary = (scan) => ({
+    id: scan._id,
+    url: scan.url,
+    createdAt: scan.createdAt,
+    visibility: scan.llmVisibility?.percentage ?? null,
+    seoWarnings: scan.seo?.warnings?.length ?? null,
+    promptSet: scan.llmVisibility?.promptSet || null
+  });
+
+  return {
+    ...diff,
+    previous: summary(previous),
+    current: summary(current),
+    sameUrl: previous.url === current.url,
+    structuredData: diff.seo ? diffStructuredData(previous.seo.structuredData, current.seo.structuredData) : null,
+    headings: diff.seo ? diffHeadings(previous.seo, current.seo) : null,
+    text: diff.seo ? diffText(previous.seo.extractedText, current.seo.extractedText) : null,
+    answers: diffAnswers(
+      previous.llmVisibility?.details || [],
+      current.llmVisibility?.details || [],
+      [scoringVersion(previous.llmVisibility), scoringVersion(current.llmVisibility)]
+    ),
+    recommendations: diffRecommendations(previous.recommendations || [], current.recommendations || [])
+  };
+}
+
+module.exports = {
+  isNoindex,
+  getStatusCode,
+  diffScans,
+  compareScans
+};
@@ -0,0 +1,863 @@
+/**
+ * Scan Queue Service
+ * Durable job queue backed by the Scan model.
+ *
+ * POST /api/analyze creates a Scan with status 'queued' and returns right away.
+ * In-process workers claim queued scans atomically, run the SEO + LLM analysis,
+ * and record per-stage progress on the Scan so clients can poll
+ * GET /api/analyze/:scanId. Workers heartbeat while a job runs; scans whose
+ * heartbeat goes stale (process crash/restart) are requeued or failed.
+ *
+ * Every progress change is also published on an in-process event bus so
+ * GET /api/analyze/:scanId/events can stream it to the browser as SSE.
+ */
+
+const os = require('os');
+const { EventEmitter } = require('events');
+const Scan = require('../models/Scan');
+const ScheduledScan = require('../models/ScheduledScan');
+const { analyzeSEO } = require('./seoService');
+const { analyzeLLMVisibility } = require('./llmService');
+const { crawlSite } = require('./crawlService');
+const { resolveScanPrompts } = require('./promptSetService');
+const { buildTrendPoint, MAX_TREND_POINTS } = require('./visibilityTrendService');
+const { processScanAlerts } = require('./alertService');
+const { emitWebhookEvent, buildScanEventData } = require('./webhookService');
+
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+const CONCURRENCY = parseInt(process.env.SCAN_QUEUE_CONCURRENCY || '2');
+const POLL_INTERVAL_MS = parseInt(process.env.SCAN_QUEUE_POLL_MS || '2000');
+const HEARTBEAT_INTERVAL_MS = 30 * 1000; // 30 seconds
+const STALE_AFTER_MS = 3 * 60 * 1000; // No heartbeat for 3 minutes = worker died
+const RECOVERY_INTERVAL_MS = 60 * 1000; // Sweep for stuck jobs every minute
+const MAX_ATTEMPTS = 2; // Run a job at most twice before failing it
+
+// Relative weight of each stage in the overall percentage
+const STAGE_WEIGHTS = {
+  fetch: 10,
+  seo: 20,
+  crawl: 40, // Crawl mode only
+  prompts: 60,
+  recommendations: 10
+};
+
+// Live scan events keyed by scan id (in-memory, per process)
+const scanEvents = new EventEmitter();
+scanEvents.setMaxListeners(0); // One listener per open SSE connection
+
+/**
+ * Publish a live event for a scan
+ * @param {string|ObjectId} scanId
+ * @param {string} type - progress | prompt | seo | crawl | result | recommendations | failed | done
+ * @param {Object} data - Event payload
+ */
+function emitScanEvent(scanId, type, data) {
+  scanEvents.emit(scanId.toString(), { type, data });
+}
+
+/**
+ * Listen for live events on a scan
+ * @param {string|ObjectId} scanId
+ * @param {Function} listener - Receives { type, data }
+ * @returns {Function} Unsubscribe function
+ */
+function subscribeToScan(scanId, listener) {
+  const key = scanId.toString();
+  scanEvents.on(key, listener);
+  return () => scanEvents.off(key, listener);
+}
+
+/**
+ * Whether a scan has nothing more to report
+ * Premium scans stay open after completion until recommendations are saved,
+ * or recoverStuckScans gives up on them after a restart.
+ */
+function isScanFinished(scan) {
+  if (scan.status === 'failed') return true;
+  return scan.status === 'completed' && scan.progress?.stage !== 'recommendations';
+}
+
+// Worker state (in-memory, per process)
+const queueState = {
+  started: false,
+  activeJobs: 0,
+  polling: false,
+  pollTimer: null,
+  recoveryTimer: null
+};
+
+/**
+ * Create a queued scan and wake up the workers
+ * @param {Object} fields - Scan fields (url, userId, isAnonymous, options)
+ * @returns {Promise<Object>} The saved Scan document
+ */
+async function enqueueScan(fields) {
+  const scan = new Scan({
+    ...fields,
+    status: 'queued',
+    progress: {
+      stage: 'queued',
+      percent: 0,
+      message: 'Waiting for an available worker',
+      updatedAt: new Date()
+    }
+  });
+  await scan.save();
+
+  emitWebhookEvent('scan.created', scan, buildScanEventData(scan)).catch(error => {
+    console.error(`scan.created webhooks failed for scan ${scan._id}:`, error.message);
+  });
+
+  if (queueState.started) {
+    setImmediate(pollQueue);
+  }
+
+  return scan;
+}
+
+/**
+ * Atomically claim the oldest queued scan for this worker
+ * @returns {Promise<Object|null>} Claimed Scan document or null if queue is empty
+ */
+async function claimNextScan() {
+  const now = new Date();
+  return Scan.findOneAndUpdate(
+    { status: 'queued' },
+    {
+      $set: {
+        status: 'processing',
+        'job.lockedBy': WORKER_ID,
+        'job.lockedAt': now,
+        'job.heartbeatAt': now,
+        'progress.message': 'Analysis started',
+        'progress.updatedAt': now
+      },
+      $inc: { 'job.attempts': 1 }
+    },
+    { sort: { createdAt: 1 }, new: true }
+  );
+}
+
+/**
+ * Fill free worker slots with queued scans
+ */
+async function pollQueue() {
+  if (queueState.polling) return;
+  queueState.polling = true;
+
+  try {
+    while (queueState.activeJobs < CONCURRENCY) {
+      const scan = await claimNextScan();
+      if (!scan) break;
+
+      queueState.activeJobs++;
+      runScan(scan)
+        .catch(error => {
+          console.error(`❌ Scan worker crashed on ${scan._id}:`, error.message);
+        })
+        .finally(() => {
+          queueState.activeJobs--;
+          setImmediate(pollQueue);
+        });
+    }
+  } catch (error) {
+    console.error('Scan queue poll failed:', error.message);
+  } finally {
+    queueState.polling = false;
+  }
+}
+
+/**
+ * Track stage progress for a scan and persist it
+ * SEO and LLM analysis run in parallel, so the percentage is the weighted sum
+ * of each stage's completed fraction rather than a single linear position.
+ */
+function createProgressTracker(scanId, { includeRecommendations, includeCrawl = false }) {
+  const weights = { ...STAGE_WEIGHTS };
+  if (!includeCrawl) {
+    delete weights.crawl;
+  }
+  if (!includeRecommendations) {
+    // Redistribute the recommendations share to the prompts stage
+    weights.prompts += weights.recommendations;
+    delete weights.recommendations;
+  }
+  const totalWeight = Object.values(weights).reduce((a, b) => a + b, 0);
+
+  const stages = {};
+  Object.keys(weights).forEach(name => {
+    stages[name] = { status: 'pending', fraction: 0 };
+  });
+
+  let currentStage = 'fetch';
+  let promptsCompleted = 0;
+  let promptsTotal = 0;
+  const promptResults = [];
+  let writeChain = Promise.resolve(); // Serialize writes so a stale update never lands last
+
+  function computePercent() {
+    const done = Object.entries(weights).reduce((sum, [name, weight]) => {
+      return sum + weight * (stages[name]?.fraction || 0);
+    }, 0);
+    return Math.min(100, Math.round((done / totalWeight) * 100));
+  }
+
+  async function persist(message) {
+    const now = new Date();
+    await Scan.updateOne(
+      { _id: scanId },
+      {
+        $set: {
+          'progress.stage': currentStage,
+          'progress.percent': computePercent(),
+          'progress.message': message,
+          'progress.stages': stages,
+          'progress.promptsCompleted': promptsCompleted,
+          'progress.promptsTotal': promptsTotal,
+          'progress.promptResults': promptResults,
+          'progress.updatedAt': now,
+          'job.heartbeatAt': now
+        }
+      }
+    );
+  }
+
+  /**
+   * Record a progress event from seoService/llmService
+   * @param {Object} event - { stage, status, completed?, total? }
+   */
+  function update(event) {
+    const stage = stages[event.stage];
+    if (!stage) return Promise.resolve();
+
+    const now = new Date();
+    if (event.status === 'running' && stage.status === 'pending') {
+      stage.status = 'running';
+      stage.startedAt = now;
+    }
+
+    if (event.stage === 'prompts' && event.total) {
+      promptsCompleted = event.completed || 0;
+      promptsTotal = event.total;
+      stage.fraction = promptsCompleted / promptsTotal;
+    } else if (event.total) {
+      // Other counted stages (crawl pages) keep their counts on the stage itself
+      stage.completed = event.completed || 0;
+      stage.total = event.total;
+      stage.fraction = Math.min(1, stage.completed / stage.total);
+    }
+
+    if (event.status === 'completed' || event.status === 'failed') {
+      stage.status = event.status;
+      stage.fraction = 1; // Failed stages still count as finished work
+      stage.completedAt = now;
+    }
+
+    currentStage = event.stage;
+
+    let message = `${event.stage} ${event.status}`;
+    if (event.stage === 'prompts' && promptsTotal) {
+      message = `Running AI prompts (${promptsCompleted}/${promptsTotal})`;
+    } else if (event.stage === 'crawl' && event.status === 'running' && stage.total) {
+      message = `Crawling site (${stage.completed}/${stage.total} pages)`;
+    } else if (event.message) {
+      message = event.message;
+    }
+
+    if (event.promptId) {
+      const promptResult = {
+        promptId: event.promptId,
+        prompt: event.prompt,
+        domainMentioned: event.domainMentioned,
+        score: event.score,
+        citations: event.citations || [],
+        error: event.error
+      };
+      promptResults.push(promptResult);
+      emitScanEvent(scanId, 'prompt', { ...promptResult, completed: promptsCompleted, total: promptsTotal });
+    }
+
+    emitScanEvent(scanId, 'progress', {
+      stage: currentStage,
+      percent: computePercent(),
+      message,
+      stages,
+      promptsCompleted,
+      promptsTotal
+    });
+
+    writeChain = writeChain
+      .then(() => persist(message))
+      .catch(error => {
+        // Progress is best-effort; never fail the scan because of it
+        console.warn(`Progress update failed for scan ${scanId}: ${error.message}`);
+      });
+    return writeChain;
+  }
+
+  return { update, computePercent, stages };
+}
+
+/**
+ * Fetch GSC/GA integration data for Professional tier users
+ * Scans run in an organization use the integrations its members connected.
+ */
+async function fetchIntegrationData(scan) {
+  try {
+    const Integration = require('../models/Integration');
+    const { fetchSearchConsoleData, fetchAnalyticsData } = require('./integrationService');
+
+    const integrations = await Integration.find(scan.organizationId
+      ? { organizationId: scan.organizationId }
+      : { userId: scan.userId, organizationId: null });
+    const gsc = integrations.find(i => i.provider === 'google_search_console');
+    const ga = integrations.find(i => i.provider === 'google_analytics');
+
+    if (!gsc && !ga) return null;
+
+    const integrationData = {};
+
+    // Fetch GSC data if connected
+    if (gsc) {
+      try {
+        integrationData.searchConsole = await fetchSearchConsoleData(gsc.userId.toString());
+      } catch (gscError) {
+        console.warn('Failed to fetch GSC data:', gscError.message);
+        integrationData.searchConsole = { error: gscError.message };
+      }
+    }
+
+    // Fetch GA data if connected
+    if (ga) {
+      try {
+        integrationData.analytics = await fetchAnalyticsData(ga.userId.toString());
+      } catch (gaError) {
+        console.warn('Failed to fetch GA data:', gaError.message);
+        integrationData.analytics = { error: gaError.message };
+      }
+    }
+
+    return integrationData;
+  } catch (integrationError) {
+    console.warn('Integration data fetch failed:', integrationError.message);
+    // Continue without integration data
+    return null;
+  }
+}
+
+/**
+ * Prompts for a scan: the chosen prompt set, or a premium user's generated set
+ * @returns {Promise<Object|null>} { prompts, promptSet }, or null for the default prompts
+ */
+async function getScanPrompts(scan, { isPremium, businessInfo }) {
+  try {
+    return await resolveScanPrompts({
+      userId: scan.userId,
+      organizationId: scan.organizationId,
+      promptSetId: scan.options?.promptSetId,
+      url: scan.url,
+      isPremium,
+      businessInfo
+    });
+  } catch (error) {
+    // Non-fatal: the LLM stage falls back to the default prompts
+    if (process.env.NODE_ENV === 'development') {
+      console.warn(`⚠️ Could not load prompt set (using defaults): ${error.message}`);
+    }
+    return null;
+  }
+}
+
+/**
+ * Run the SEO + LLM analysis for a claimed scan
+ * @param {Object} scan - Scan document in 'processing' state
+ */
+async function runScan(scan) {
+  const overallStartTime = Date.now();
+  const { isPremium = false, fetchIntegrations = false } = scan.options || {};
+  const isCrawl = scan.mode === 'crawl';
+  const businessInfo = scan.options?.businessInfo?.toObject
+    ? scan.options.businessInfo.toObject()
+    : (scan.options?.businessInfo || {});
+  const competitors = (scan.options?.competitors || [])
+    .map(competitor => competitor.toObject ? competitor.toObject() : competitor);
+  const models = scan.options?.models?.length > 0 ? [...scan.options.models] : null;
+  const sampling = scan.options?.sampling?.samples > 1
+    ? { samples: scan.options.sampling.samples, temperature: scan.options.sampling.temperature }
+    : null;
+
+  if (process.env.NODE_ENV === 'development') {
+    console.log(`\n🚀 Worker ${WORKER_ID} starting scan ${scan._id} for: ${scan.url}`);
+  }
+
+  const tracker = createProgressTracker(scan._id, {
+    includeRecommendations: isPremium,
+    includeCrawl: isCrawl
+  });
+
+  // Keep the heartbeat fresh while long LLM calls are in flight
+  const heartbeat = setInterval(() => {
+    Scan.updateOne({ _id: scan._id }, { $set: { 'job.heartbeatAt': new Date() } })
+      .catch(() => {});
+  }, HEARTBEAT_INTERVAL_MS);
+
+  try {
+    const integrationData = fetchIntegrations && scan.userId
+      ? await fetchIntegrationData(scan)
+      : null;
+
+    const seoPromise = analyzeSEO(scan.url, { isPremium, render: !!scan.options?.render, onProgress: tracker.update })
+      .then(async seoData => {
+        // SEO usually finishes well before the prompts - publish it right away
+        await Scan.updateOne({ _id: scan._id }, { $set: { seo: seoData } })
+          .catch(() => {});
+        emitScanEvent(scan._id, 'seo', seoData);
+        return seoData;
+      });
+
+    // Run SEO and LLM analysis (and the site crawl) in parallel, but allow partial failures.
+    // The LLM stage also gets the SEO result to fact-check answers against the page.
+    const [seoResult, llmResult, crawlResult] = await Promise.allSettled([
+      seoPromise,
+      getScanPrompts(scan, { isPremium, businessInfo })
+        .then(scanPrompts => analyzeLLMVisibility(scan.url, {
+          isPremium,
+          businessInfo,
+          competitors,
+          sampling,
+          prompts: scanPrompts?.prompts,
+          promptSet: scanPrompts?.promptSet,
+          models,
+          seo: seoPromise,
+          onProgress: tracker.update
+        })),
+      isCrawl
+        ? crawlSite(scan.url, { ...scan.options?.crawl, onProgress: tracker.update })
+          .then(crawlReport => {
+            emitScanEvent(scan._id, 'crawl', crawlReport);
+            return crawlReport;
+          })
+        : Promise.resolve(null)
+    ]);
+
+    // Handle SEO results
+    let seoData = null;
+    let seoError = null;
+    if (seoResult.status === 'fulfilled') {
+      seoData = seoResult.value;
+    } else {
+      seoError = seoResult.reason?.message || 'SEO analysis failed';
+      if (process.env.NODE_ENV === 'development') {
+        console.warn(`⚠️ SEO analysis failed (non-fatal): ${seoError}`);
+      }
+      // Mark fetch/SEO stages finished so the percentage can still reach 100
+      await tracker.update({ stage: 'fetch', status: 'failed' });
+      await tracker.update({ stage: 'seo', status: 'failed' });
+      // Create minimal SEO data structure to allow analysis to continue
+      seoData = {
+        error: seoError,
+        statusCode: seoResult.reason?.statusCode ?? null,
+        warnings: [`SEO analysis failed: ${seoError}`]
+      };
+    }
+
+    // Handle LLM results
+    let llmData = null;
+    let llmError = null;
+    if (llmResult.status === 'fulfilled') {
+      llmData = llmResult.value;
+    } else {
+      llmError = llmResult.reason?.message || 'LLM analysis failed';
+      if (process.env.NODE_ENV === 'development') {
+        console.warn(`⚠️ LLM analysis failed (non-fatal): ${llmError}`);
+      }
+      await tracker.update({ stage: 'prompts', status: 'failed' });
+      // Create minimal LLM data structure to allow analysis to continue
+      llmData = {
+        error: llmError,
+        totalScore: 0,
+        maxScore: 0,
+        percentage: 0,
+        details: [],
+        metadata: { error: llmError }
+      };
+    }
+
+    // Only fail completely if both analyses failed
+    if (seoError && llmError) {
+      throw new Error(`Both SEO and LLM analyses failed. SEO: ${seoError}, LLM: ${llmError}`);
+    }
+
+    // A failed crawl never fails the scan - the single-page results still stand
+    let crawlData = null;
+    let crawlError = null;
+    if (crawlResult.status === 'fulfilled') {
+      crawlData = crawlResult.value;
+    } else {
+      crawlError = crawlResult.reason?.message || 'Site crawl failed';
+      await tracker.update({ stage: 'crawl', status: 'failed' });
+    }
+
+    const analysisWarnings = [];
+    if (seoError) analysisWarnings.push(`SEO analysis had issues: ${seoError}`);
+    if (llmError) analysisWarnings.push(`LLM analysis had issues: ${llmError}`);
+    if (crawlError) analysisWarnings.push(`Site crawl had issues: ${crawlError}`);
+
+    // Reload so we don't overwrite progress written by the tracker
+    const completedScan = await Scan.findById(scan._id);
+    completedScan.seo = seoData;
+    completedScan.llmVisibility = llmData;
+    if (integrationData) {
+      completedScan.integrations = integrationData;
+    }
+    if (crawlData) {
+      completedScan.crawl = crawlData;
+    }
+    completedScan.analysisWarnings = analysisWarnings;
+    completedScan.status = 'completed';
+    completedScan.executionTimeMs = Date.now() - overallStartTime;
+    completedScan.progress.stage = isPremium ? 'recommendations' : 'completed';
+    completedScan.progress.percent = isPremium ? tracker.computePercent() : 100;
+    completedScan.progress.message = isPremium ? 'Generating recommendations' : 'Analysis complete';
+    completedScan.progress.updatedAt = new Date();
+    await completedScan.save();
+
+    if (process.env.NODE_ENV === 'development') {
+      console.log(`✅ Scan ${scan._id} completed in ${completedScan.executionTimeMs}ms`);
+    }
+
+    if (scan.scheduleId) {
+      await recordScheduledRun(completedScan);
+    }
+
+    // Compare with the previous scan of the URL; alert delivery must not hold up the result
+    processScanAlerts(completedScan).catch(error => {
+      console.error(`Alert check failed for scan ${scan._id}:`, error.message);
+    });
+    emitWebhookEvent('scan.completed', completedScan, buildScanEventData(completedScan)).catch(error => {
+      console.error(`scan.completed webhooks failed for scan ${scan._id}:`, error.message);
+    });
+
+    const { job, ...result } = completedScan.toObject();
+    emitScanEvent(scan._id, 'result', result);
+    if (!isPremium) {
+      emitScanEvent(scan._id, 'done', { status: 'completed' });
+    }
+
+    // For premium users, generate recommendations in background
+    if (isPremium) {
+      // Don't await - the scan is already usable without them
+      generateRecommendationsInBackground(scan._id, {
+        seo: seoData,
+        llmVisibility: llmData,
+        url: scan.url
+      }, businessInfo, tracker).catch(error => {
+        console.error('Background recommendation generation failed:', error.message);
+      });
+    }
+  } catch (error) {
+    // Log error without sensitive data
+    if (process.env.NODE_ENV === 'development') {
+      console.error(`❌ Analysis failed (fatal error): ${error.message}`);
+    } else {
+      console.error(`Analysis failed (fatal) for scan ${scan._id}`);
+    }
+
+    await Scan.updateOne(
+      { _id: scan._id },
+      {
+        $set: {
+          status: 'failed',
+          error: {
+            message: error.message,
+            stack: error.stack,
+            timestamp: new Date()
+          },
+          executionTimeMs: Date.now() - overallStartTime,
+          'progress.stage': 'failed',
+          'progress.message': error.message,
+          'progress.updatedAt': new Date()
+        }
+      }
+    );
+
+    if (scan.scheduleId) {
+      await recordScheduledRun(scan, error);
+    }
+
+    const failedScan = { ...scan.toObject(), status: 'failed', error: { message: error.message } };
+    emitWebhookEvent('scan.failed', scan, buildScanEventData(failedScan)).catch(webhookError => {
+      console.error(`scan.failed webhooks failed for scan ${scan._id}:`, webhookError.message);
+    });
+
+    emitScanEvent(scan._id, 'failed', { error: error.message });
+    emitScanEvent(scan._id, 'done', { status: 'failed' });
+  } finally {
+    clearInterval(heartbeat);
+  }
+}
+
+/**
+ * Add a finished scheduled scan to its schedule's trend (failed runs only update the status)
+ * @param {Object} scan - The finished Scan
+ * @param {Error} error - Set when the scan failed
+ */
+async function recordScheduledRun(scan, error = null) {
+  const update = error
+    ? { $set: { lastRunStatus: 'failed', lastError: error.message } }
+    : {
+      $set: { lastRunStatus: 'completed', lastError: null },
+      $push: { trend: { $each: [buildTrendPoint(scan.toObject ? scan.toObject() : scan)], $slice: -MAX_TREND_POINTS } }
+    };
+
+  try {
+    await ScheduledScan.updateOne({ _id: scan.scheduleId }, update);
+  } catch (recordError) {
+    console.error(`Failed to record scheduled run for scan ${scan._id}:`, recordError.message);
+  }
+}
+
+/**
+ * Generate recommendations in background (non-blocking)
+ */
+async function generateRecommendationsInBackground(scanId, analysisData, businessInfo, tracker = null) {
+  try {
+    console.log(`🔄 Starting background recommendation generation for scan ${scanId}`);
+    if (tracker) await tracker.update({ stage: 'recommendations', status: 'running' });
+
+    const { generateSEORecommendations } = require('./seoRecommendationService');
+    const recommendations = await generateSEORecommendations(analysisData, businessInfo);
+
+    // Update scan with recommendations
+    const scan = await Scan.findById(scanId);
+    if (scan) {
+      scan.recommendations = recommendations;
+      scan.recommendationsGeneratedAt = new Date();
+      scan.progress.stage = 'completed';
+      scan.progress.percent = 100;
+      scan.progress.message = 'Analysis complete';
+      scan.progress.updatedAt = new Date();
+      await scan.save();
+      console.log(`✅ Recommendations generated and saved for scan ${scanId}`);
+
+      emitWebhookEvent('recommendations.completed', scan, {
+        scanId,
+        url: scan.url,
+        status: 'completed',
+        recommendations: recommendations?.length || 0
+      }).catch(error => {
+        console.error(`recommendations.completed webhooks failed for scan ${scanId}:`, error.message);
+      });
+    }
+
+    emitScanEvent(scanId, 'recommendations', { recommendations });
+    emitScanEvent(scanId, 'done', { status: 'completed' });
+  } catch (error) {
+    console.error(`❌ Background recommendation generation failed for scan ${scanId}:`, error.message);
+    // Don't throw - this is background process, but close out the progress
+    await Scan.updateOne(
+      { _id: scanId },
+      {
+        $set: {
+          'progress.stage': 'completed',
+          'progress.percent': 100,
+          'progress.message': 'Analysis complete (recommendations unavailable)',
+          'progress.updatedAt': new Date()
+        }
+      }
+    ).catch(() => {});
+
+    Scan.findById(scanId).select('url userId organizationId').lean()
+      .then(scan => scan && emitWebhookEvent('recommendations.completed', scan, {
+        scanId,
+        url: scan.url,
+        status: 'failed',
+        recommendations: 0,
+        error: error.message
+      }))
+      .catch(webhookError => {
+        console.error(`recommendations.completed webhooks failed for scan ${scanId}:`, webhookError.message);
+      });
+
+    emitScanEvent(scanId, 'recommendations', { recommendations: [], error: error.message });
+    emitScanEvent(scanId, 'done', { status: 'completed' });
+  }
+}
+
+/**
+ * Close out completed scans whose background recommendations never finished
+ * The scan's results are kept; only the recommendations stage is given up so
+ * polling and SSE clients see the scan as done.
+ * @param {Date} cutoff - Scans whose progress is older than this are stale
+ * @returns {Promise<number>} Number of scans closed out
+ */
+async function closeStaleRecommendations(cutoff) {
+  const staleScans = await Scan.find({
+    status: 'completed',
+    'progress.stage': 'recommendations',
+    $or: [
+      { 'progress.updatedAt': { $lt: cutoff } },
+      { 'progress.updatedAt': { $exists: false } }
+    ]
+  }).select('_id url userId organizationId progress.updatedAt');
+
+  let closed = 0;
+  const message = 'Recommendations were interrupted by a server restart';
+
+  for (const stale of staleScans) {
+    // Guard on stage + timestamp so recommendations saved in the meantime win
+    const result = await Scan.updateOne(
+      {
+        _id: stale._id,
+        'progress.stage': 'recommendations',
+        'progress.updatedAt': stale.progress?.updatedAt
+      },
+      {
+        $set: {
+          'progress.stage': 'completed',
+          'progress.percent': 100,
+          'progress.message': 'Analysis complete (recommendations unavailable)',
+          'progress.updatedAt': new Date()
+        }
+      }
+    );
+    if (result.modifiedCount === 0) continue;
+    closed += 1;
+
+    emitWebhookEvent('recommendations.completed', stale, {
+      scanId: stale._id,
+      url: stale.url,
+      status: 'failed',
+      recommendations: 0,
+      error: message
+    }).catch(error => {
+      console.error(`recommendations.completed webhooks failed for scan ${stale._id}:`, error.message);
+    });
+
+    emitScanEvent(stale._id, 'recommendations', { recommendations: [], error: message });
+    emitScanEvent(stale._id, 'done', { status: 'completed' });
+  }
+
+  return closed;
+}
+
+/**
+ * Requeue or fail scans whose worker stopped heartbeating
+ * Scans created before the queue existed have no job metadata and cannot be
+ * rerun (their options were never stored), so they are failed outright.
+ * Completed scans stuck generating recommendations are closed out (see
+ * closeStaleRecommendations).
+ * @returns {Promise<Object>} { requeued, failed, recommendationsClosed }
+ */
+async function recoverStuckScans() {
+  const cutoff = new Date(Date.now() - STALE_AFTER_MS);
+  const stuckScans = await Scan.find({
+    status: 'processing',
+    $or: [
+      { 'job.heartbeatAt': { $lt: cutoff } },
+      { 'job.heartbeatAt': { $exists: false }, updatedAt: { $lt: cutoff } }
+    ]
+  }).select('_id job url userId organizationId scheduleId apiKeyId createdAt');
+
+  let requeued = 0;
+  let failed = 0;
+
+  for (const stuck of stuckScans) {
+    const attempts = stuck.job?.attempts || 0;
+    const canRetry = stuck.job?.heartbeatAt && attempts < MAX_ATTEMPTS;
+
+    // Guard on status + heartbeat so we never steal a job that just woke up
+    const filter = {
+      _id: stuck._id,
+      status: 'processing',
+      'job.heartbeatAt': stuck.job?.heartbeatAt
+    };
+
+    if (canRetry) {
+      const result = await Scan.updateOne(filter, {
+        $set: {
+          status: 'queued',
+          'progress.stage': 'queued',
+          'progress.percent': 0,
+          'progress.message': 'Requeued after worker interruption',
+          'progress.stages': {},
+          'progress.promptResults': [],
+          'progress.updatedAt': new Date()
+        },
+        $unset: { 'job.lockedBy': '', 'job.lockedAt': '' }
+      });
+      requeued += result.modifiedCount;
+    } else {
+      const message = 'Scan was interrupted by a server restart. Please run it again.';
+      const result = await Scan.updateOne(filter, {
+        $set: {
+          status: 'failed',
+          error: { message, timestamp: new Date() },
+          'progress.stage': 'failed',
+          'progress.message': message,
+          'progress.updatedAt': new Date()
+        }
+      });
+      failed += result.modifiedCount;
+
+      if (result.modifiedCount > 0) {
+        const failedScan = { ...stuck.toObject(), status: 'failed', error: { message } };
+        emitWebhookEvent('scan.failed', stuck, buildScanEventData(failedScan)).catch(error => {
+          console.error(`scan.failed webhooks failed for scan ${stuck._id}:`, error.message);
+        });
+      }
+    }
+  }
+
+  const recommendationsClosed = await closeStaleRecommendations(cutoff);
+
+  if (requeued > 0 || failed > 0 || recommendationsClosed > 0) {
+    console.log(`♻️ Recovered stuck scans: ${requeued} requeued, ${failed} failed, ${recommendationsClosed} without recommendations`);
+  }
+
+  return { requeued, failed, recommendationsClosed };
+}
+
+/**
+ * Start the in-process workers
+ * Called once from server.js after the database connection is opened.
+ */
+async function startScanQueue() {
+  if (queueState.started) return;
+  queueState.started = true;
+
+  try {
+    await recoverStuckScans();
+  } catch (error) {
+    console.error('Initial stuck scan recovery failed:', error.message);
+  }
+
+  queueState.pollTimer = setInterval(pollQueue, POLL_INTERVAL_MS);
+  queueState.recoveryTimer = setInterval(() => {
+    recoverStuckScans().catch(error => {
+      console.error('Stuck scan recovery failed:', error.message);
+    });
+  }, RECOVERY_INTERVAL_MS);
+
+  console.log(`🧵 Scan queue started (worker ${WORKER_ID}, concurrency ${CONCURRENCY})`);
+  setImmediate(pollQueue);
+}
+
+/**
+ * Stop polling for new jobs (running jobs finish on their own)
+ */
+function stopScanQueue() {
+  clearInterval(queueState.pollTimer);
+  clearInterval(queueState.recoveryTimer);
+  queueState.started = false;
+}
+
+module.exports = {
+  enqueueScan,
+  startScanQueue,
+  stopScanQueue,
+  recoverStuckScans,
+  generateRecommendationsInBackground,
+  subscribeToScan,
+  isScanFinished
+};
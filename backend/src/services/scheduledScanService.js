@@ -0,0 +1,252 @@
+/**
+ * Scheduled Scan Service
+ * In-process scheduler for recurring scans (see models/ScheduledScan.js).
+ *
+ * Every SCAN_SCHEDULER_INTERVAL_MINUTES (default 5, 0 disables) due schedules
+ * are claimed and queued as normal scans, counted against the owner's monthly
+ * limit like a manual scan. A schedule is claimed by moving its nextRunAt
+ * forward conditionally, so several server processes never queue the same run twice.
+ * Trend points are recorded by scanQueueService when the scan finishes.
+ */
+
+const ScheduledScan = require('../models/ScheduledScan');
+const User = require('../models/User');
+const { enqueueScan } = require('./scanQueueService');
+const { parseModelSpec } = require('./llmClientService');
+const { checkMonthlyLimit, incrementMonthlyScan } = require('../middleware/monthlyLimit');
+const { getPlanUser, hasPermission, restrictToPersonalWorkspace } = require('./organizationService');
+
+const FREQUENCIES = ['daily', 'weekly', 'monthly'];
+const MAX_SCHEDULES = 10;
+const MAX_MODELS = 6;
+const DEFAULT_INTERVAL_MINUTES = 5;
+const BATCH_SIZE = 20;
+
+const schedulerState = {
+  timer: null,
+  intervalMs: null,
+  running: false,
+  lastRunAt: null
+};
+
+/**
+ * When a schedule runs next
+ * Monthly runs keep the day of the month, clamped to shorter months (Jan 31 -> Feb 28).
+ * @param {string} frequency - daily | weekly | monthly
+ * @param {Date} from - The run being scheduled from
+ * @returns {Date}
+ */
+function getNextRunAt(frequency, from = new Date()) {
+  const next = new Date(from);
+  if (frequency === 'daily') {
+    next.setUTCDate(next.getUTCDate() + 1);
+  } else if (frequency === 'weekly') {
+    next.setUTCDate(next.getUTCDate() + 7);
+  } else if (frequency === 'monthly') {
+    const day = next.getUTCDate();
+    next.setUTCDate(1);
+    next.setUTCMonth(next.getUTCMonth() + 1);
+    const daysInMonth = new Date(Date.UTC(next.getUTCFullYear(), next.getUTCMonth() + 1, 0)).getUTCDate();
+    next.setUTCDate(Math.min(day, daysInMonth));
+  } else {
+    throw new Error(`Unknown frequency: ${frequency}`);
+  }
+  return next;
+}
+
+/**
+ * Validate a model set from a request
+ * @param {Array} models - "provider:model" specs
+ * @returns {Array} Normalized specs
+ */
+function normalizeModels(models) {
+  if (models === undefined || models === null) return [];
+  if (!Array.isArray(models)) {
+    throw new Error('Models must be an array');
+  }
+  if (models.length > MAX_MODELS) {
+    throw new Error(`A schedule can use up to ${MAX_MODELS} models`);
+  }
+  const refs = models.map(spec => {
+    const ref = parseModelSpec(spec);
+    if (!ref) {
+      throw new Error(`Invalid model: ${spec}. Use "provider:model"`);
+    }
+    return ref.spec;
+  });
+  return [...new Set(refs)];
+}
+
+/**
+ * Whether the schedule's owner is still in the workspace it was created in
+ * (schedules created before the workspace was stored use the owner's current one)
+ */
+function isScheduleMember(schedule, user) {
+  if (schedule.organizationId === undefined || schedule.organizationId === null) return true;
+  return !!user.organizationId && user.organizationId.toString() === schedule.organizationId.toString();
+}
+
+/**
+ * Queue the scan for one claimed schedule
+ * @param {Object} schedule - ScheduledScan document
+ * @returns {Promise<Object|null>} The queued Scan, or null when the run was skipped
+ */
+async function runSchedule(schedule) {
+  const user = await User.findById(schedule.userId);
+  // A personal schedule of an organization member runs in their personal workspace
+  if (user && schedule.organizationId === null) restrictToPersonalWorkspace(user);
+  // Organization members use the owner's plan and scan pool
+  const planUser = user ? await getPlanUser(user) : null;
+  const limit = planUser ? await checkMonthlyLimit(planUser) : null;
+
+  let skipReason = null;
+  if (!user) {
+    skipReason = 'Account not found';
+  } else if (!isScheduleMember(schedule, user)) {
+    skipReason = 'You are no longer a member of the schedule\'s organization';
+  } else if (!hasPermission(user, 'scans:run')) {
+    skipReason = 'Your organization role cannot run scans';
+  } else if (!limit.isPremium) {
+    skipReason = 'Scheduled scans need a paid plan';
+  } else if (!limit.allowed) {
+    skipReason = `Monthly scan limit reached (${limit.scansUsed}/${limit.maxScans})`;
+  }
+
+  if (skipReason) {
+    await ScheduledScan.updateOne(
+      { _id: schedule._id },
+      { $set: { lastRunAt: new Date(), lastRunStatus: 'skipped', lastError: skipReason } }
+    );
+    if (process.env.NODE_ENV === 'development') {
+      console.log(`⏭️ Skipped scheduled scan ${schedule._id}: ${skipReason}`);
+    }
+    return null;
+  }
+
+  const scan = await enqueueScan({
+    url: schedule.url,
+    userId: user._id,
+    organizationId: schedule.organizationId === undefined ? user.organizationId || null : schedule.organizationId,
+    isAnonymous: false,
+    mode: 'page',
+    scheduleId: schedule._id,
+    options: {
+      isPremium: true,
+      fetchIntegrations: planUser.tier === 'professional' || !!planUser.isPremium,
+      businessInfo: {
+        brandName: user.brandName,
+        industry: user.industry,
+        brandSummary: user.brandSummary
+      },
+      competitors: user.competitors || [],
+      ...(schedule.promptSetId && { promptSetId: schedule.promptSetId }),
+      ...(schedule.models?.length > 0 && { models: schedule.models })
+    }
+  });
+
+  await incrementMonthlyScan(planUser);
+  user.scans.push(scan._id);
+  await user.save();
+
+  await ScheduledScan.updateOne(
+    { _id: schedule._id },
+    { $set: { lastRunAt: new Date(), lastScanId: scan._id, lastRunStatus: 'queued', lastError: null } }
+  );
+
+  if (process.env.NODE_ENV === 'development') {
+    console.log(`📅 Queued scheduled scan ${scan._id} for ${schedule.url} (${schedule.frequency})`);
+  }
+  return scan;
+}
+
+/**
+ * Queue every schedule that is due
+ * @returns {Promise<number>} Number of schedules claimed
+ */
+async function runDueSchedules(now = new Date()) {
+  const due = await ScheduledScan.find({ enabled: true, nextRunAt: { $lte: now } })
+    .sort({ nextRunAt: 1 })
+    .limit(BATCH_SIZE);
+
+  let claimed = 0;
+  for (const schedule of due) {
+    // Skip runs missed while the server was down instead of queueing them all
+    let nextRunAt = getNextRunAt(schedule.frequency, schedule.nextRunAt);
+    while (nextRunAt <= now) {
+      nextRunAt = getNextRunAt(schedule.frequency, nextRunAt);
+    }
+
+    const claimedSchedule = await ScheduledScan.findOneAndUpdate(
+      { _id: schedule._id, enabled: true, nextRunAt: schedule.nextRunAt },
+      { $set: { nextRunAt } },
+      { new: true }
+    );
+    if (!claimedSchedule) continue; // Another process got it first
+    claimed++;
+
+    try {
+      await runSchedule(claimedSchedule);
+    } catch (error) {
+      console.error(`Scheduled scan ${schedule._id} failed to queue:`, error.message);
+      await ScheduledScan.updateOne(
+        { _id: schedule._id },
+        { $set: { lastRunAt: new Date(), lastRunStatus: 'failed', lastError: error.message } }
+      ).catch(() => {});
+    }
+  }
+
+  return claimed;
+}
+
+async function runSchedulerTick() {
+  if (schedulerState.running) return;
+  schedulerState.running = true;
+
+  try {
+    await runDueSchedules();
+  } catch (error) {
+    console.error('Scan scheduler run failed:', error.message);
+  } finally {
+    schedulerState.running = false;
+    schedulerState.lastRunAt = new Date();
+  }
+}
+
+/**
+ * Check for due schedules every SCAN_SCHEDULER_INTERVAL_MINUTES (default 5, 0 disables)
+ * Called once from server.js
+ */
+function startScanScheduler() {
+  if (schedulerState.intervalMs !== null) return;
+
+  const minutes = parseFloat(process.env.SCAN_SCHEDULER_INTERVAL_MINUTES || DEFAULT_INTERVAL_MINUTES);
+  if (!(minutes > 0)) {
+    console.log('📅 Scheduled scans disabled');
+    return;
+  }
+  schedulerState.intervalMs = minutes * 60 * 1000;
+  schedulerState.timer = setInterval(runSchedulerTick, schedulerState.intervalMs);
+  setImmediate(runSchedulerTick);
+
+  console.log(`📅 Scan scheduler checking every ${minutes} min`);
+}
+
+/**
+ * Stop the scheduler (queued scans still run)
+ */
+function stopScanScheduler() {
+  clearInterval(schedulerState.timer);
+  schedulerState.timer = null;
+  schedulerState.intervalMs = null;
+}
+
+module.exports = {
+  FREQUENCIES,
+  MAX_SCHEDULES,
+  getNextRunAt,
+  normalizeModels,
+  isScheduleMember,
+  runDueSchedules,
+  startScanScheduler,
+  stopScanScheduler
+};
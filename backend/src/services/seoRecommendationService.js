@@ -3,9 +3,7 @@
  * Generates actionable SEO recommendations based on analysis
  */
 
-const { GoogleGenerativeAI } = require('@google/generative-ai');
-
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+const { completeJson } = require('./llmClientService');
 
 /**
  * Generate SEO recommendations based on analysis results
@@ -21,8 +19,6 @@ async function generateSEORecommendations(analysisData, businessInfo = {}) {
   const { brandName, industry, brandSummary } = businessInfo;
   
   try {
-    const model = genAI.getGenerativeModel({ model: 'gemini-2.5-flash' });
-    
     // Use extracted page text if available (first 5000 chars for context)
     const pageContent = seo.extractedText?.summary 
       ? `\n\nPage Content (first 5000 chars):\n${seo.extractedText.summary.substring(0, 5000)}`
@@ -75,17 +71,14 @@ Focus on:
 5. Structured data enhancements
 ${pageContent ? '6. Content quality improvements based on the actual page text' : ''}`;
 
-    const result = await model.generateContent(prompt);
-    let responseText = result.response.text();
-    responseText = responseText.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
+    const result = await completeJson('seoRecommendations', { prompt });
     
-    try {
-      const parsed = JSON.parse(responseText);
-      return parsed.recommendations || [];
-    } catch (parseError) {
-      // Fallback: extract from text
-      return extractRecommendationsFromText(responseText);
+    if (result.data) {
+      return result.data.recommendations || [];
     }
+    
+    // Fallback: extract from text
+    return extractRecommendationsFromText(result.text);
   } catch (error) {
     console.error('SEO recommendation generation failed:', error.message);
     return getDefaultRecommendations(seo, llmVisibility);
@@ -1,16 +1,26 @@
 const axios = require('axios');
 const cheerio = require('cheerio');
 const { URL } = require('url');
+const { parseRobotsTxt, evaluateCrawlers } = require('./robotsTxtService');
+const { analyzeSitemaps } = require('./sitemapService');
+const { analyzeAiReadiness } = require('./aiReadinessService');
+const { analyzeStructuredData } = require('./structuredDataService');
+const { renderPage, compareRenderedContent } = require('./renderService');
+
+const MAX_INTERNAL_URLS = 500; // Per page, for the crawler frontier
 
 /**
  * Analyzes SEO health of a given URL
  * @param {string} url - The URL to analyze
  * @param {Object} options - Analysis options
  * @param {boolean} options.isPremium - Whether user is premium (enables enhanced checks)
+ * @param {Function} options.onProgress - Optional callback receiving { stage, status } events
+ * @param {boolean} options.skipSiteChecks - Skip robots.txt/sitemap/llms.txt checks (crawler does them once per site)
+ * @param {boolean} options.render - Also render the page in headless Chrome and compare with the raw HTML
  * @returns {Promise<Object>} SEO data
  */
 async function analyzeSEO(url, options = {}) {
-  const { isPremium = false } = options;
+  const { isPremium = false, onProgress = () => {}, skipSiteChecks = false, render = false } = options;
   const startTime = Date.now();
   
   try {
@@ -28,6 +38,7 @@ async function analyzeSEO(url, options = {}) {
     const isHttps = normalizedUrl.startsWith('https://') || parsedUrl.protocol === 'https:';
     
     // Fetch the page with timeout
+    onProgress({ stage: 'fetch', status: 'running' });
     const response = await axios.get(normalizedUrl, {
       timeout: 15000, // 15 seconds
       maxRedirects: 5,
@@ -37,6 +48,8 @@ async function analyzeSEO(url, options = {}) {
     });
     
     const loadTimeMs = Date.now() - startTime;
+    onProgress({ stage: 'fetch', status: 'completed', statusCode: response.status });
+    onProgress({ stage: 'seo', status: 'running' });
     const html = response.data;
     const $ = cheerio.load(html);
     
@@ -49,6 +62,8 @@ async function analyzeSEO(url, options = {}) {
       
       // Technical
       statusCode: response.status,
+      finalUrl: response.request?.res?.responseUrl || normalizedUrl, // After redirects
+      xRobotsTag: response.headers['x-robots-tag'] || null,
       loadTimeMs: loadTimeMs,
       robotsMeta: $('meta[name="robots"]').attr('content') || null,
       viewport: $('meta[name="viewport"]').attr('content') || null,
@@ -81,8 +96,8 @@ async function analyzeSEO(url, options = {}) {
       twitterImage: $('meta[name="twitter:image"]').attr('content') || null,
       twitterSite: $('meta[name="twitter:site"]').attr('content') || null,
       
-      // Structured Data (JSON-LD)
-      structuredData: extractStructuredData($),
+      // Structured Data (JSON-LD, Microdata, RDFa) with rich result checks
+      structuredData: analyzeStructuredData($),
       
       // Heading Structure
       headings: analyzeHeadings($),
@@ -91,31 +106,62 @@ async function analyzeSEO(url, options = {}) {
       images: analyzeImages($),
       
       // Links Analysis
-      links: analyzeLinks($, baseUrl),
+      links: analyzeLinks($, baseUrl, response.request?.res?.responseUrl || normalizedUrl),
       
       // Extracted Page Content (for use in recommendations)
       extractedText: extractPageText($),
     };
     
     // Check robots.txt and sitemap (non-blocking - failures don't stop analysis)
-    try {
-      seoData.robotsTxt = await checkRobotsTxt(baseUrl);
-    } catch (error) {
-      seoData.robotsTxt = {
-        exists: false,
-        accessible: false,
-        error: error.message
-      };
+    if (!skipSiteChecks) {
+      try {
+        seoData.robotsTxt = await checkRobotsTxt(baseUrl, parsedUrl.pathname + parsedUrl.search);
+      } catch (error) {
+        seoData.robotsTxt = {
+          exists: false,
+          accessible: false,
+          error: error.message
+        };
+      }
+      
+      try {
+        seoData.sitemap = await checkSitemap(baseUrl, {
+          robotsSitemaps: seoData.robotsTxt?.sitemaps || []
+        });
+      } catch (error) {
+        seoData.sitemap = {
+          exists: false,
+          accessible: false,
+          error: error.message
+        };
+      }
     }
     
+    // Headless render: what the page looks like after JavaScript runs (non-blocking)
+    if (render) {
+      onProgress({ stage: 'seo', status: 'running', message: 'Rendering page with JavaScript' });
+      try {
+        const rendered = await renderPage(seoData.finalUrl);
+        seoData.rendering = {
+          enabled: true,
+          finalUrl: rendered.finalUrl,
+          statusCode: rendered.statusCode,
+          renderTimeMs: rendered.renderTimeMs,
+          ...compareRenderedContent(html, rendered.html, seoData.finalUrl)
+        };
+      } catch (error) {
+        seoData.rendering = { enabled: true, error: error.message };
+      }
+    }
+    
+    // AI readiness: llms.txt and AI directives (non-blocking)
     try {
-      seoData.sitemap = await checkSitemap(baseUrl);
+      seoData.aiReadiness = await analyzeAiReadiness(baseUrl, {
+        $,
+        xRobotsTag: response.headers['x-robots-tag']
+      }, { skipSiteChecks });
     } catch (error) {
-      seoData.sitemap = {
-        exists: false,
-        accessible: false,
-        error: error.message
-      };
+      seoData.aiReadiness = { error: error.message };
     }
     
     // Validation warnings (enhanced for premium users)
@@ -133,6 +179,7 @@ async function analyzeSEO(url, options = {}) {
       };
     }
     
+    onProgress({ stage: 'seo', status: 'completed', warningCount: seoData.warnings.length });
     return seoData;
     
   } catch (error) {
@@ -142,7 +189,10 @@ async function analyzeSEO(url, options = {}) {
     } else if (error.code === 'ECONNREFUSED') {
       throw new Error('Connection refused (server not responding)');
     } else if (error.response) {
-      throw new Error(`HTTP ${error.response.status}: ${error.response.statusText}`);
+      // Keep the status so scans can record it (alert rules compare it)
+      const httpError = new Error(`HTTP ${error.response.status}: ${error.response.statusText}`);
+      httpError.statusCode = error.response.status;
+      throw httpError;
     } else if (error.code === 'ETIMEDOUT' || error.message.includes('timeout')) {
       throw new Error('Our servers are temporarily experiencing high load. Please try again in a few moments.');
     } else {
@@ -151,36 +201,6 @@ async function analyzeSEO(url, options = {}) {
   }
 }
 
-/**
- * Extract structured data (JSON-LD, Microdata)
- */
-function extractStructuredData($) {
-  const structuredData = [];
-  
-  // JSON-LD
-  $('script[type="application/ld+json"]').each((i, elem) => {
-    try {
-      const data = JSON.parse($(elem).html());
-      structuredData.push({
-        type: 'JSON-LD',
-        schema: data['@type'] || 'Unknown',
-        valid: true
-      });
-    } catch (e) {
-      structuredData.push({
-        type: 'JSON-LD',
-        schema: 'Invalid',
-        valid: false
-      });
-    }
-  });
-  
-  return {
-    count: structuredData.length,
-    schemas: structuredData
-  };
-}
-
 /**
  * Analyze heading structure
  */
@@ -236,9 +256,12 @@ function analyzeImages($) {
 
 /**
  * Analyze links on the page
+ * Also collects the resolved same-host URLs (used by the site crawler).
  */
-function analyzeLinks($, baseUrl) {
+function analyzeLinks($, baseUrl, pageUrl = baseUrl) {
   const links = $('a[href]');
+  const host = new URL(pageUrl).host; // Final host after redirects (e.g. www.)
+  const internalUrls = new Set();
   let internal = 0;
   let external = 0;
   let nofollow = 0;
@@ -248,6 +271,18 @@ function analyzeLinks($, baseUrl) {
     const rel = $(elem).attr('rel') || '';
     
     if (href) {
+      // Resolve relative links against the page and keep crawlable same-host URLs
+      try {
+        const resolved = new URL(href, pageUrl);
+        if (['http:', 'https:'].includes(resolved.protocol) && resolved.host === host &&
+            internalUrls.size < MAX_INTERNAL_URLS) {
+          resolved.hash = '';
+          internalUrls.add(resolved.href);
+        }
+      } catch (e) {
+        // Malformed href - ignore
+      }
+      
       // Check if link is internal or external
       if (href.startsWith('/') || href.startsWith(baseUrl) || href.startsWith('#')) {
         internal++;
@@ -266,34 +301,50 @@ function analyzeLinks($, baseUrl) {
     total: links.length,
     internal,
     external,
-    nofollow
+    nofollow,
+    internalUrls: Array.from(internalUrls)
   };
 }
 
 /**
  * Check robots.txt file
+ * Parses the rules and reports whether search and AI crawlers may fetch the analyzed page.
+ * @param {string} baseUrl - Site origin
+ * @param {string} pagePath - Path + query of the analyzed page
  */
-async function checkRobotsTxt(baseUrl) {
+async function checkRobotsTxt(baseUrl, pagePath = '/') {
+  const robotsUrl = `${baseUrl}/robots.txt`;
   try {
-    const robotsUrl = `${baseUrl}/robots.txt`;
     const response = await axios.get(robotsUrl, {
       timeout: 5000,
+      responseType: 'text',
       validateStatus: (status) => status < 500
     });
     
     if (response.status === 200) {
-      const content = response.data;
+      const content = String(response.data);
       const lines = content.split('\n').filter(line => line.trim() !== '');
+      const parsed = parseRobotsTxt(content);
+      const crawlers = evaluateCrawlers(parsed, pagePath);
+      const blocked = crawlers.filter(crawler => !crawler.allowed);
       
       return {
         exists: true,
         accessible: true,
         size: content.length,
         linesCount: lines.length,
-        hasSitemap: content.toLowerCase().includes('sitemap:'),
+        hasSitemap: parsed.sitemaps.length > 0,
+        sitemaps: parsed.sitemaps,
+        groupCount: parsed.groups.length,
+        invalidLines: parsed.invalidLines,
+        checkedPath: pagePath,
+        crawlers,
+        blockedSearchCrawlers: blocked.filter(crawler => crawler.category === 'search').map(crawler => crawler.name),
+        blockedAiCrawlers: blocked.filter(crawler => crawler.category === 'ai').map(crawler => crawler.name),
         url: robotsUrl
       };
     } else {
+      // 4xx: crawlers treat the site as having no restrictions
       return {
         exists: false,
         accessible: false,
@@ -304,6 +355,9 @@ async function checkRobotsTxt(baseUrl) {
     return {
       exists: false,
       accessible: false,
+      // 5xx/unreachable: Google treats the whole site as disallowed until it can read the file
+      serverError: error.response?.status >= 500,
+      url: robotsUrl,
       error: error.message
     };
   }
@@ -369,46 +423,12 @@ function extractPageText($) {
 
 /**
  * Check sitemap.xml file
+ * Discovery, index/gzip handling and validation live in sitemapService.
+ * @param {string} baseUrl - Site origin
+ * @param {Object} options - See analyzeSitemaps (robotsSitemaps, sampleSize, collectAllUrls)
  */
-async function checkSitemap(baseUrl) {
-  const sitemapUrls = [
-    `${baseUrl}/sitemap.xml`,
-    `${baseUrl}/sitemap_index.xml`,
-    `${baseUrl}/sitemap1.xml`
-  ];
-  
-  for (const sitemapUrl of sitemapUrls) {
-    try {
-      const response = await axios.get(sitemapUrl, {
-        timeout: 5000,
-        validateStatus: (status) => status < 500
-      });
-      
-      if (response.status === 200) {
-        const content = response.data;
-        // Count URLs in sitemap
-        const urlMatches = content.match(/<url>/g);
-        const urlCount = urlMatches ? urlMatches.length : 0;
-        
-        return {
-          exists: true,
-          accessible: true,
-          url: sitemapUrl,
-          urlCount,
-          size: content.length
-        };
-      }
-    } catch (error) {
-      // Continue to next sitemap URL
-      continue;
-    }
-  }
-  
-  return {
-    exists: false,
-    accessible: false,
-    checked: sitemapUrls
-  };
+async function checkSitemap(baseUrl, options = {}) {
+  return analyzeSitemaps(baseUrl, options);
 }
 
 /**
@@ -461,6 +481,19 @@ function generateWarnings(seoData, $, isPremium = false) {
     warnings.push('No structured data (Schema.org) found');
   }
   
+  const parseErrors = seoData.structuredData?.parseErrors || [];
+  if (parseErrors.length > 0) {
+    warnings.push(`${parseErrors.length} JSON-LD structured data block(s) could not be parsed (invalid JSON)`);
+  }
+  
+  (seoData.structuredData?.richResults || []).forEach(result => {
+    if (!result.eligible) {
+      warnings.push(`Not eligible for ${result.type} rich results - schema problems: ${result.missing.join(', ')}`);
+    } else if (result.note) {
+      warnings.push(`${result.type} rich results: ${result.note}`);
+    }
+  });
+  
   // Headings
   if (seoData.headings.h1.length === 0) {
     warnings.push('Missing H1 heading');
@@ -478,14 +511,121 @@ function generateWarnings(seoData, $, isPremium = false) {
     warnings.push(`Page load time is slow (${seoData.loadTimeMs}ms, recommended: <3000ms)`);
   }
   
-  // Robots.txt
-  if (!seoData.robotsTxt.exists) {
+  // Robots.txt (not checked per page during a crawl)
+  if (seoData.robotsTxt?.serverError) {
+    warnings.push('robots.txt returned a server error (search engines may treat the whole site as blocked)');
+  } else if (seoData.robotsTxt && !seoData.robotsTxt.exists) {
     warnings.push('robots.txt file not found');
   }
   
+  if (seoData.robotsTxt?.blockedSearchCrawlers?.length > 0) {
+    warnings.push(`robots.txt blocks search crawlers from this page: ${seoData.robotsTxt.blockedSearchCrawlers.join(', ')}`);
+  }
+  
+  if (seoData.robotsTxt?.blockedAiCrawlers?.length > 0) {
+    warnings.push(`robots.txt blocks AI crawlers from this page: ${seoData.robotsTxt.blockedAiCrawlers.join(', ')}`);
+  }
+  
   // Sitemap
-  if (!seoData.sitemap.exists) {
-    warnings.push('sitemap.xml file not found');
+  const sitemap = seoData.sitemap;
+  if (sitemap && !sitemap.exists) {
+    const failed = (sitemap.files || []).find(file => file.errors?.length > 0);
+    if (sitemap.discoveredFrom === 'robots.txt' && failed) {
+      warnings.push(`Sitemap listed in robots.txt could not be read: ${failed.url} (${failed.errors[0]})`);
+    } else {
+      warnings.push('sitemap.xml file not found');
+    }
+  } else if (sitemap?.exists) {
+    (sitemap.files || []).filter(file => file.errors?.length > 0).forEach(file => {
+      warnings.push(`Sitemap problem in ${file.url}: ${file.errors.join('; ')}`);
+    });
+    
+    const issues = sitemap.issues || {};
+    if (issues.invalidLoc || issues.missingLoc) {
+      const count = (issues.invalidLoc?.count || 0) + (issues.missingLoc?.count || 0);
+      warnings.push(`Sitemap has ${count} entries with a missing or invalid <loc> URL`);
+    }
+    if (issues.otherHostUrls) {
+      warnings.push(`Sitemap lists ${issues.otherHostUrls.count} URLs on another host (e.g. ${issues.otherHostUrls.examples[0]})`);
+    }
+    if (issues.invalidLastmod) {
+      warnings.push(`Sitemap has ${issues.invalidLastmod.count} invalid <lastmod> dates (e.g. ${issues.invalidLastmod.examples[0]})`);
+    }
+    if (issues.invalidChangefreq || issues.invalidPriority) {
+      const count = (issues.invalidChangefreq?.count || 0) + (issues.invalidPriority?.count || 0);
+      warnings.push(`Sitemap has ${count} invalid <changefreq>/<priority> values`);
+    }
+    
+    const broken = (sitemap.sample || []).filter(result => result.status !== 200);
+    if (broken.length > 0) {
+      const examples = broken.slice(0, 3).map(result => `${result.url} → ${result.status || 'no response'}`);
+      warnings.push(`Sitemap lists URLs that don't return 200 (${broken.length} of ${sitemap.sample.length} sampled): ${examples.join(', ')}`);
+    }
+    
+    const noindexed = (sitemap.sample || []).filter(result => result.noindex);
+    if (noindexed.length > 0) {
+      warnings.push(`Sitemap lists noindex pages (${noindexed.length} of ${sitemap.sample.length} sampled): ${noindexed.slice(0, 3).map(result => result.url).join(', ')}`);
+    }
+    
+    if (seoData.robotsTxt?.exists && !sitemap.referencedInRobots) {
+      warnings.push('Sitemap is not referenced in robots.txt (add a Sitemap: line)');
+    }
+  }
+  
+  // JavaScript-dependent content (only known when the page was rendered)
+  const rendering = seoData.rendering;
+  if (rendering && !rendering.error) {
+    const labels = {
+      title: 'title',
+      metaDescription: 'meta description',
+      canonical: 'canonical URL',
+      h1: 'H1 heading',
+      structuredData: 'structured data'
+    };
+    if (rendering.jsOnly.length > 0) {
+      warnings.push(`Critical content only appears after JavaScript runs: ${rendering.jsOnly.map(field => labels[field]).join(', ')} (most AI crawlers don't execute JavaScript)`);
+    }
+    if (rendering.rendered.wordCount >= 50 && rendering.rawTextRatio < 50) {
+      warnings.push(`Only ${rendering.rawTextRatio}% of the page text is in the raw HTML - the rest is rendered by JavaScript (${rendering.raw.wordCount} of ${rendering.rendered.wordCount} words)`);
+    }
+    const changedTitle = rendering.changes.find(change => change.field === 'title');
+    if (changedTitle && changedTitle.raw && changedTitle.rendered) {
+      warnings.push(`JavaScript changes the title from "${changedTitle.raw}" to "${changedTitle.rendered}" - crawlers that don't run JavaScript see the first one`);
+    }
+    const changedRobots = rendering.changes.find(change => change.field === 'robotsMeta');
+    if (changedRobots) {
+      warnings.push(`JavaScript changes the robots meta tag from "${changedRobots.raw || 'none'}" to "${changedRobots.rendered || 'none'}"`);
+    }
+  }
+  
+  // AI readiness
+  const aiReadiness = seoData.aiReadiness || {};
+  if (aiReadiness.llmsTxt && !aiReadiness.llmsTxt.exists) {
+    warnings.push(aiReadiness.llmsTxt.servedHtml
+      ? 'llms.txt returns an HTML page instead of a text file'
+      : 'llms.txt file not found (helps AI assistants understand your site)');
+  } else if (aiReadiness.llmsTxt?.exists) {
+    const problems = [...aiReadiness.llmsTxt.errors, ...aiReadiness.llmsTxt.warnings];
+    if (problems.length > 0) {
+      warnings.push(`llms.txt format issues: ${problems.join('; ')}`);
+    }
+    const broken = aiReadiness.llmsTxt.linkCheck?.broken || [];
+    if (broken.length > 0) {
+      const examples = broken.slice(0, 3).map(link => `${link.url} → ${link.status || 'no response'}`);
+      warnings.push(`llms.txt links are broken (${broken.length} of ${aiReadiness.llmsTxt.linkCheck.checked} checked): ${examples.join(', ')}`);
+    }
+  }
+  
+  const directives = aiReadiness.directives;
+  if (directives?.noai || directives?.noimageai) {
+    const flags = ['noai', 'noimageai'].filter(flag => directives[flag]);
+    warnings.push(`Page opts out of AI use with ${flags.join(' and ')} directives`);
+  }
+  if (directives?.noindex) {
+    warnings.push('Page has a noindex directive, so search engines and AI answer engines will drop it');
+  }
+  if (directives?.nosnippet) {
+    warnings.push('Page has a nosnippet directive, so AI answers and search results cannot quote it');
   }
   
   // Premium: Additional advanced checks
@@ -508,15 +648,6 @@ function generateWarnings(seoData, $, isPremium = false) {
       warnings.push('No external links found (authority building opportunity)');
     }
     
-    // Schema validation
-    const structuredDataArray = Array.isArray(seoData.structuredData) 
-      ? seoData.structuredData 
-      : (seoData.structuredData?.schemas || []);
-    const invalidSchemas = structuredDataArray.filter(s => s && !s.valid) || [];
-    if (invalidSchemas.length > 0) {
-      warnings.push(`${invalidSchemas.length} invalid structured data schema(s) found`);
-    }
-    
     // Image optimization
     const largeImages = seoData.images?.largeImages || 0;
     if (largeImages > 0) {
@@ -616,5 +747,5 @@ function analyzeSemanticHTML($) {
   };
 }
 
-module.exports = { analyzeSEO };
+module.exports = { analyzeSEO, checkSitemap };
 
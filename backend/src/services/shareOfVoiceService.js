@@ -0,0 +1,368 @@
+/**
+ * Share of Voice Service
+ * Finds the brands, products and websites named in LLM answers and counts them
+ * across prompts and models - who the models recommend, at what position, and
+ * how they describe them.
+ *
+ * Mentions come from three places: the "mentions" list the visibility prompt
+ * asks for, domains in the answer text and citations, and aliases of our own
+ * brand and the user's pinned competitors (so "HubSpot CRM" and "hubspot.com"
+ * count as the same competitor).
+ */
+
+const MAX_COMPETITORS = 10;
+const MAX_ALIASES = 10;
+const MAX_ENTITIES = 25;
+const MAX_SAMPLES = 3;
+const MAX_CONTEXT_LENGTH = 200;
+
+// Only bare domains with these TLDs are picked out of prose (avoids "Node.js", "e.g.")
+const COMMON_TLDS = [
+  'com', 'org', 'net', 'io', 'ai', 'co', 'app', 'dev', 'edu', 'gov', 'info', 'biz',
+  'me', 'tv', 'xyz', 'shop', 'store', 'tech', 'cloud', 'us', 'uk', 'ca', 'au', 'de',
+  'fr', 'es', 'it', 'nl', 'in', 'jp'
+];
+const DOMAIN_REGEX = new RegExp(
+  `\\b(?:https?:\\/\\/)?((?:[a-z0-9](?:[a-z0-9-]*[a-z0-9])?\\.)+(?:${COMMON_TLDS.join('|')}))\\b`,
+  'gi'
+);
+
+/**
+ * Lowercase hostname without protocol, www or path
+ * @returns {string|null}
+ */
+function normalizeDomain(value) {
+  if (!value || typeof value !== 'string') return null;
+  const host = value.trim().toLowerCase()
+    .replace(/^[a-z]+:\/\//, '')
+    .replace(/^www\./, '')
+    .split(/[/?#:]/)[0];
+  return /^([a-z0-9-]+\.)+[a-z]{2,}$/.test(host) ? host : null;
+}
+
+/**
+ * Comparison key for brand names ("Acme, Inc." -> "acme")
+ */
+function normalizeName(value) {
+  return String(value || '')
+    .toLowerCase()
+    .replace(/[,.]?\s+(inc|llc|ltd|corp|co|gmbh)\.?$/, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+function escapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Validate and clean the pinned competitor list from a user's profile
+ * @param {Array} input - [{ name, domain, aliases }]
+ * @returns {Array} Cleaned list
+ * @throws {Error} When the list is malformed
+ */
+function normalizeCompetitors(input) {
+  if (!Array.isArray(input)) {
+    throw new Error('Competitors must be an array');
+  }
+  if (input.length > MAX_COMPETITORS) {
+    throw new Error(`You can pin up to ${MAX_COMPETITORS} competitors`);
+  }
+
+  return input.map(competitor => {
+    const name = String(competitor?.name || '').trim().slice(0, 100);
+    if (name.length < 2) {
+      throw new Error('Competitor name must be at least 2 characters long');
+    }
+
+    let domain = null;
+    if (competitor.domain) {
+      domain = normalizeDomain(String(competitor.domain));
+      if (!domain) {
+        throw new Error(`Invalid domain for ${name}: ${competitor.domain}`);
+      }
+    }
+
+    const aliases = [...new Set((Array.isArray(competitor.aliases) ? competitor.aliases : [])
+      .map(alias => String(alias || '').trim().slice(0, 100))
+      .filter(alias => alias.length >= 2))]
+      .slice(0, MAX_ALIASES);
+
+    return { name, domain, aliases };
+  });
+}
+
+/**
+ * Map mentions to entities; learns new entities as answers are processed so
+ * keys stay stable across a whole scan
+ * @param {Object} context
+ * @param {string} context.brand - Our brand name
+ * @param {string} context.domain - Our domain
+ * @param {Array} context.competitors - Pinned competitors ({ name, domain, aliases })
+ */
+function createEntityResolver({ brand, domain, competitors = [] }) {
+  const entities = new Map();
+  const byAlias = new Map();
+  const byDomain = new Map();
+
+  const register = (entity, aliases, domains) => {
+    entities.set(entity.key, entity);
+    aliases.map(normalizeName).filter(alias => alias.length >= 2).forEach(alias => {
+      if (!byAlias.has(alias)) byAlias.set(alias, entity.key);
+    });
+    domains.map(normalizeDomain).filter(Boolean).forEach(entityDomain => {
+      if (!byDomain.has(entityDomain)) byDomain.set(entityDomain, entity.key);
+      if (!entity.domain) entity.domain = entityDomain;
+      // "acme.com" also answers to "Acme"
+      const label = entityDomain.split('.')[0];
+      if (label.length >= 3 && !byAlias.has(label)) byAlias.set(label, entity.key);
+    });
+  };
+
+  const ownDomain = normalizeDomain(domain);
+  register(
+    { key: 'own', name: brand || ownDomain, domain: ownDomain, isOwn: true, isPinned: false, surfaces: [brand, ownDomain].filter(Boolean) },
+    [brand].filter(Boolean),
+    [ownDomain].filter(Boolean)
+  );
+
+  competitors.forEach(competitor => {
+    register(
+      {
+        key: `competitor:${normalizeName(competitor.name)}`,
+        name: competitor.name,
+        domain: null,
+        isOwn: false,
+        isPinned: true,
+        surfaces: [competitor.name, ...(competitor.aliases || []), competitor.domain].filter(Boolean)
+      },
+      [competitor.name, ...(competitor.aliases || [])],
+      [competitor.domain].filter(Boolean)
+    );
+  });
+
+  const findByDomain = (entityDomain) => {
+    // Subdomains belong to their parent (blog.acme.com -> acme.com)
+    const parts = entityDomain.split('.');
+    for (let i = 0; i < parts.length - 1; i++) {
+      const key = byDomain.get(parts.slice(i).join('.'));
+      if (key) return entities.get(key);
+    }
+    return null;
+  };
+
+  return {
+    /**
+     * Find or create the entity for a mention
+     * @param {Object} mention - { name, domain }
+     */
+    resolve({ name, domain: mentionDomain }) {
+      const entityDomain = normalizeDomain(mentionDomain);
+      const alias = normalizeName(name);
+
+      // A bare domain can match a name seen earlier ("acme.com" -> "Acme")
+      const lookupAlias = alias || (entityDomain ? entityDomain.split('.')[0] : '');
+      const existing = (entityDomain && findByDomain(entityDomain)) ||
+        (lookupAlias && byAlias.has(lookupAlias) ? entities.get(byAlias.get(lookupAlias)) : null);
+      if (existing) {
+        // Learn new surface forms ("Acme CRM" for acme.com)
+        if (name && !existing.surfaces.includes(name)) existing.surfaces.push(name);
+        if (entityDomain && !existing.domain && !existing.isOwn) register(existing, [], [entityDomain]);
+        return existing;
+      }
+
+      if (!alias && !entityDomain) return null;
+      const entity = {
+        key: entityDomain ? `domain:${entityDomain}` : `name:${alias}`,
+        name: name ? String(name).trim() : entityDomain,
+        domain: null,
+        isOwn: false,
+        isPinned: false,
+        surfaces: [name, entityDomain].filter(Boolean)
+      };
+      register(entity, [name].filter(Boolean), [entityDomain].filter(Boolean));
+      return entity;
+    },
+
+    /**
+     * Entities we always look for in the text (our brand and pinned competitors)
+     */
+    getKnownEntities() {
+      return [...entities.values()].filter(entity => entity.isOwn || entity.isPinned);
+    }
+  };
+}
+
+/**
+ * Sentence around a character offset, trimmed for display
+ */
+function getContext(text, index) {
+  if (index < 0 || !text) return null;
+  const start = Math.max(
+    text.lastIndexOf('. ', index) + 1,
+    text.lastIndexOf('\n', index) + 1,
+    0
+  );
+  // Sentence ends at punctuation followed by whitespace, not at the dot in "acme.com"
+  const endMatch = /[.!?](\s|$)|\n/.exec(text.slice(index));
+  const end = endMatch ? index + endMatch.index + 1 : text.length;
+  const sentence = text.slice(start, end).trim();
+  return sentence.length > MAX_CONTEXT_LENGTH
+    ? `${sentence.slice(0, MAX_CONTEXT_LENGTH - 1)}…`
+    : sentence;
+}
+
+/**
+ * First offset of any surface form of an entity in the text (-1 if absent)
+ */
+function findFirstOccurrence(text, surfaces) {
+  let first = -1;
+  surfaces.forEach(surface => {
+    if (!surface || surface.length < 2) return;
+    const match = new RegExp(`(^|[^a-z0-9])${escapeRegex(surface.toLowerCase())}($|[^a-z0-9])`).exec(text.toLowerCase());
+    if (match) {
+      const index = match.index + match[1].length;
+      if (first === -1 || index < first) first = index;
+    }
+  });
+  return first;
+}
+
+/**
+ * Extract the entities named in one LLM answer
+ * @param {string} responseText - Raw answer
+ * @param {Object|null} parsedResponse - Parsed JSON answer (description, citations, mentions)
+ * @param {Object} resolver - From createEntityResolver
+ * @returns {Array} [{ key, name, domain, type, isOwn, isPinned, position, context }] in answer order
+ */
+function extractMentions(responseText, parsedResponse, resolver) {
+  const text = typeof parsedResponse?.description === 'string'
+    ? parsedResponse.description
+    : String(responseText || '');
+  const found = new Map();
+
+  const add = (entity, type) => {
+    if (entity && !found.has(entity.key)) found.set(entity.key, { entity, type });
+  };
+
+  // 1. Mentions the model listed itself
+  if (Array.isArray(parsedResponse?.mentions)) {
+    parsedResponse.mentions.forEach(mention => {
+      if (typeof mention === 'string') {
+        add(resolver.resolve({ name: mention }), 'brand');
+      } else if (mention && (mention.name || mention.domain)) {
+        add(resolver.resolve({ name: mention.name, domain: mention.domain }), mention.type || 'brand');
+      }
+    });
+  }
+
+  // 2. Domains in the text and citations
+  const citations = Array.isArray(parsedResponse?.citations) ? parsedResponse.citations : [];
+  const domainSources = [text, ...citations.filter(citation => typeof citation === 'string')];
+  domainSources.forEach(source => {
+    for (const match of source.matchAll(DOMAIN_REGEX)) {
+      add(resolver.resolve({ domain: match[1] }), 'website');
+    }
+  });
+
+  // 3. Our brand and pinned competitors by alias
+  resolver.getKnownEntities().forEach(entity => {
+    if (findFirstOccurrence(text, entity.surfaces) !== -1) add(entity, 'brand');
+  });
+
+  // Position = order of first appearance in the answer (entities only in citations go last)
+  const mentions = [...found.values()].map(({ entity, type }) => {
+    const index = findFirstOccurrence(text, entity.surfaces);
+    return {
+      key: entity.key,
+      name: entity.name,
+      domain: entity.domain,
+      type,
+      isOwn: entity.isOwn,
+      isPinned: entity.isPinned,
+      index,
+      context: getContext(text, index)
+    };
+  });
+
+  mentions.sort((a, b) => (a.index === -1 ? Infinity : a.index) - (b.index === -1 ? Infinity : b.index));
+  return mentions.map(({ index, ...mention }, position) => ({ ...mention, position: position + 1 }));
+}
+
+/**
+ * Count mentions across all answers into a share-of-voice table
+ * @param {Array} answers - [{ promptId, prompt, model, mentions }]
+ * @returns {Object} { totalAnswers, totalMentions, own, entities }
+ */
+function buildShareOfVoice(answers) {
+  const entities = new Map();
+  let totalMentions = 0;
+
+  answers.forEach(answer => {
+    const ownMentioned = answer.mentions.some(mention => mention.isOwn);
+
+    answer.mentions.forEach(mention => {
+      totalMentions++;
+      if (!entities.has(mention.key)) {
+        entities.set(mention.key, {
+          name: mention.name,
+          domain: mention.domain,
+          isOwn: mention.isOwn,
+          isPinned: mention.isPinned,
+          mentions: 0,
+          prompts: new Set(),
+          models: new Set(),
+          positionTotal: 0,
+          firstPlaceCount: 0,
+          mentionedWithoutUs: 0,
+          samples: []
+        });
+      }
+
+      const entry = entities.get(mention.key);
+      entry.domain = entry.domain || mention.domain;
+      entry.mentions++;
+      entry.prompts.add(answer.promptId);
+      if (answer.model) entry.models.add(answer.model);
+      entry.positionTotal += mention.position;
+      if (mention.position === 1) entry.firstPlaceCount++;
+      if (!mention.isOwn && !ownMentioned) entry.mentionedWithoutUs++;
+      if (mention.context && entry.samples.length < MAX_SAMPLES) {
+        entry.samples.push({
+          promptId: answer.promptId,
+          prompt: answer.prompt,
+          model: answer.model || null,
+          position: mention.position,
+          context: mention.context
+        });
+      }
+    });
+  });
+
+  const rows = [...entities.values()]
+    .map(({ prompts, models, positionTotal, ...entry }) => ({
+      ...entry,
+      shareOfVoice: totalMentions > 0 ? Math.round((entry.mentions / totalMentions) * 1000) / 10 : 0,
+      promptCount: prompts.size,
+      models: [...models],
+      avgPosition: Math.round((positionTotal / entry.mentions) * 10) / 10
+    }))
+    .sort((a, b) => b.mentions - a.mentions || a.avgPosition - b.avgPosition);
+
+  // Always keep our own row and pinned competitors, even if they'd fall off the end
+  const top = rows.filter((row, index) => index < MAX_ENTITIES || row.isOwn || row.isPinned);
+
+  return {
+    totalAnswers: answers.length,
+    totalMentions,
+    own: rows.find(row => row.isOwn) || null,
+    entities: top
+  };
+}
+
+module.exports = {
+  createEntityResolver,
+  extractMentions,
+  buildShareOfVoice,
+  normalizeCompetitors
+};
@@ -0,0 +1,419 @@
+/**
+ * Sitemap Service
+ * Discovers and validates XML sitemaps against the sitemaps.org protocol.
+ *
+ * Sitemaps are found via robots.txt `Sitemap:` lines and common locations,
+ * sitemap indexes are followed, and gzipped files are decompressed. Each file
+ * is checked against the protocol limits (50,000 URLs, 50MB uncompressed),
+ * lastmod formats and host, and a sample of listed URLs is fetched to catch
+ * non-200 responses and noindex pages.
+ */
+
+const axios = require('axios');
+const zlib = require('zlib');
+const cheerio = require('cheerio');
+const { URL } = require('url');
+const { validateUrlSecurity } = require('../middleware/security');
+
+const MAX_URLS_PER_SITEMAP = 50000;
+const MAX_SITEMAP_BYTES = 50 * 1024 * 1024; // 50MB uncompressed
+const MAX_SITEMAP_FILES = 20; // Files fetched per scan (index children included)
+const MAX_STORED_URLS = 1000; // URLs kept on the Scan
+const MAX_EXAMPLES = 5; // Example values kept per issue
+const DEFAULT_SAMPLE_SIZE = 10;
+const SAMPLE_CONCURRENCY = 3;
+const FETCH_TIMEOUT_MS = 10000;
+
+// Common locations tried when robots.txt doesn't list a sitemap
+const COMMON_SITEMAP_PATHS = [
+  '/sitemap.xml',
+  '/sitemap_index.xml',
+  '/sitemap-index.xml',
+  '/sitemap.xml.gz',
+  '/wp-sitemap.xml',
+  '/sitemap1.xml'
+];
+
+const VALID_CHANGEFREQ = ['always', 'hourly', 'daily', 'weekly', 'monthly', 'yearly', 'never'];
+
+// W3C Datetime: YYYY, YYYY-MM, YYYY-MM-DD, or a full date-time with timezone
+const W3C_DATETIME = /^\d{4}(-(0[1-9]|1[0-2])(-(0[1-9]|[12]\d|3[01])(T([01]\d|2[0-3]):[0-5]\d(:[0-5]\d(\.\d+)?)?(Z|[+-]([01]\d|2[0-3]):[0-5]\d))?)?)?$/;
+
+/**
+ * Check a lastmod value against the W3C Datetime format the protocol requires
+ */
+function isValidLastmod(value) {
+  if (!W3C_DATETIME.test(value)) return false;
+  if (value.length < 10) return true; // YYYY or YYYY-MM
+
+  // Reject impossible dates such as 2024-02-31
+  const day = value.slice(0, 10);
+  const parsed = new Date(`${day}T00:00:00Z`);
+  return !isNaN(parsed.getTime()) && parsed.toISOString().slice(0, 10) === day;
+}
+
+/**
+ * Add an example to an issue bucket
+ */
+function recordIssue(issues, key, example) {
+  if (!issues[key]) issues[key] = { count: 0, examples: [] };
+  issues[key].count++;
+  if (issues[key].examples.length < MAX_EXAMPLES) {
+    issues[key].examples.push(example);
+  }
+}
+
+/**
+ * Parse and validate one sitemap document
+ * @param {string} xml - Sitemap XML
+ * @param {string} host - Host of the analyzed site (URLs elsewhere are flagged)
+ * @returns {Object} { type, entries, childSitemaps, issues, errors }
+ */
+function parseSitemapXml(xml, host) {
+  const issues = {};
+  const errors = [];
+  let $;
+
+  try {
+    $ = cheerio.load(xml, { xmlMode: true });
+  } catch (error) {
+    return { type: null, entries: [], childSitemaps: [], issues, errors: [`XML could not be parsed: ${error.message}`] };
+  }
+
+  const root = $.root().children().first();
+  const rootName = root.length ? root[0].tagName?.toLowerCase().replace(/^.*:/, '') : null;
+
+  if (rootName !== 'urlset' && rootName !== 'sitemapindex') {
+    errors.push(rootName
+      ? `Root element is <${rootName}>, expected <urlset> or <sitemapindex>`
+      : 'No XML root element found');
+    return { type: null, entries: [], childSitemaps: [], issues, errors };
+  }
+
+  if (root.attr('xmlns') !== 'http://www.sitemaps.org/schemas/sitemap/0.9') {
+    errors.push('Missing or incorrect sitemaps.org namespace (xmlns)');
+  }
+
+  const type = rootName;
+  const entryTag = type === 'urlset' ? 'url' : 'sitemap';
+  const entries = [];
+  const childSitemaps = [];
+
+  root.children().filter((i, elem) => elem.tagName?.toLowerCase().replace(/^.*:/, '') === entryTag).each((i, elem) => {
+    const entry = $(elem);
+    const loc = entry.children('loc').first().text().trim();
+    const lastmod = entry.children('lastmod').first().text().trim();
+
+    if (!loc) {
+      recordIssue(issues, 'missingLoc', `${entryTag} #${i + 1}`);
+      return;
+    }
+
+    let parsed;
+    try {
+      parsed = new URL(loc);
+    } catch (e) {
+      recordIssue(issues, 'invalidLoc', loc);
+      return;
+    }
+    if (!['http:', 'https:'].includes(parsed.protocol) || loc.length > 2048) {
+      recordIssue(issues, 'invalidLoc', loc);
+      return;
+    }
+    if (host && parsed.host !== host) {
+      recordIssue(issues, 'otherHostUrls', loc);
+    }
+    if (lastmod && !isValidLastmod(lastmod)) {
+      recordIssue(issues, 'invalidLastmod', `${lastmod} (${loc})`);
+    }
+
+    if (type === 'sitemapindex') {
+      childSitemaps.push(loc);
+      return;
+    }
+
+    const changefreq = entry.children('changefreq').first().text().trim().toLowerCase();
+    if (changefreq && !VALID_CHANGEFREQ.includes(changefreq)) {
+      recordIssue(issues, 'invalidChangefreq', `${changefreq} (${loc})`);
+    }
+    const priority = entry.children('priority').first().text().trim();
+    if (priority && !(/^(0(\.\d+)?|1(\.0+)?)$/.test(priority))) {
+      recordIssue(issues, 'invalidPriority', `${priority} (${loc})`);
+    }
+
+    entries.push({ loc, lastmod: lastmod || null });
+  });
+
+  if (type === 'urlset' && entries.length > MAX_URLS_PER_SITEMAP) {
+    errors.push(`Lists ${entries.length.toLocaleString()} URLs (limit is 50,000 per file)`);
+  }
+  if (type === 'sitemapindex' && childSitemaps.length > MAX_URLS_PER_SITEMAP) {
+    errors.push(`Lists ${childSitemaps.length.toLocaleString()} sitemaps (limit is 50,000 per index)`);
+  }
+
+  return { type, entries, childSitemaps, issues, errors };
+}
+
+/**
+ * Fetch a sitemap file, decompressing gzip
+ * @returns {Promise<Object>} { status, xml, compressed, bytes, uncompressedBytes, errors }
+ */
+async function fetchSitemapFile(url) {
+  const response = await axios.get(url, {
+    timeout: FETCH_TIMEOUT_MS,
+    responseType: 'arraybuffer',
+    maxContentLength: MAX_SITEMAP_BYTES + 1,
+    validateStatus: () => true,
+    headers: { 'User-Agent': 'OptiSenseAI-Bot/1.0 (SEO Analysis Tool)' }
+  });
+
+  if (response.status !== 200) {
+    return { status: response.status, xml: null, errors: [`HTTP ${response.status}`] };
+  }
+
+  let buffer = Buffer.from(response.data);
+  const bytes = buffer.length;
+  const errors = [];
+  // Check magic bytes - servers often send .gz files with a generic content type
+  const compressed = buffer.length > 2 && buffer[0] === 0x1f && buffer[1] === 0x8b;
+
+  if (compressed) {
+    try {
+      buffer = zlib.gunzipSync(buffer, { maxOutputLength: MAX_SITEMAP_BYTES + 1 });
+    } catch (error) {
+      const tooLarge = error.code === 'ERR_BUFFER_TOO_LARGE' || /too large|maxOutputLength/i.test(error.message);
+      return {
+        status: response.status,
+        xml: null,
+        compressed,
+        bytes,
+        errors: [tooLarge ? 'Larger than 50MB uncompressed (protocol limit)' : `Could not decompress gzip: ${error.message}`]
+      };
+    }
+  }
+
+  if (buffer.length > MAX_SITEMAP_BYTES) {
+    errors.push('Larger than 50MB uncompressed (protocol limit)');
+  }
+
+  return {
+    status: response.status,
+    xml: buffer.toString('utf8'),
+    compressed,
+    bytes,
+    uncompressedBytes: buffer.length,
+    errors
+  };
+}
+
+/**
+ * Whether we may fetch a sitemap URL (public http/https hosts only)
+ */
+function isFetchable(url) {
+  try {
+    validateUrlSecurity(url);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Pick evenly spaced URLs so the sample covers the whole sitemap
+ */
+function pickSample(urls, size) {
+  if (urls.length <= size) return urls.slice();
+  const step = urls.length / size;
+  return Array.from({ length: size }, (_, i) => urls[Math.floor(i * step)]);
+}
+
+/**
+ * Fetch one listed URL and check its status and indexability
+ */
+async function checkListedUrl(url) {
+  try {
+    const response = await axios.get(url, {
+      timeout: FETCH_TIMEOUT_MS,
+      maxRedirects: 0, // A sitemap should list final URLs, so redirects are findings
+      maxContentLength: 5 * 1024 * 1024,
+      responseType: 'text',
+      validateStatus: () => true,
+      headers: { 'User-Agent': 'OptiSenseAI-Bot/1.0 (SEO Analysis Tool)' }
+    });
+
+    const result = { url, status: response.status };
+    if (response.status >= 300 && response.status < 400) {
+      result.redirectTo = response.headers.location || null;
+    }
+
+    if (response.status === 200) {
+      const xRobotsTag = String(response.headers['x-robots-tag'] || '').toLowerCase();
+      let robotsMeta = '';
+      if (String(response.headers['content-type'] || '').includes('html')) {
+        const $ = cheerio.load(response.data);
+        robotsMeta = ($('meta[name="robots"]').attr('content') || '').toLowerCase();
+      }
+      result.noindex = /noindex|none/.test(xRobotsTag) || /noindex|none/.test(robotsMeta);
+    }
+
+    return result;
+  } catch (error) {
+    return { url, status: null, error: error.message };
+  }
+}
+
+/**
+ * Fetch sampled URLs with limited concurrency
+ */
+async function sampleListedUrls(urls, size) {
+  const sample = pickSample(urls, size);
+  const results = [];
+  for (let i = 0; i < sample.length; i += SAMPLE_CONCURRENCY) {
+    const batch = sample.slice(i, i + SAMPLE_CONCURRENCY);
+    results.push(...await Promise.all(batch.map(checkListedUrl)));
+  }
+  return results;
+}
+
+/**
+ * Discover, follow and validate a site's sitemaps
+ * @param {string} baseUrl - Site origin (e.g. https://example.com)
+ * @param {Object} options
+ * @param {Array<string>} options.robotsSitemaps - Sitemap URLs from robots.txt
+ * @param {number} options.sampleSize - Listed URLs to fetch (0 disables sampling)
+ * @param {boolean} options.collectAllUrls - Return every listed URL instead of the first 1,000 (crawler)
+ * @returns {Promise<Object>} Sitemap report
+ */
+async function analyzeSitemaps(baseUrl, options = {}) {
+  const { robotsSitemaps = [], sampleSize = DEFAULT_SAMPLE_SIZE, collectAllUrls = false } = options;
+  const host = new URL(baseUrl).host;
+
+  // robots.txt entries first, then the common locations
+  const fromRobots = robotsSitemaps.filter(isFetchable);
+  const candidates = fromRobots.length > 0
+    ? fromRobots
+    : COMMON_SITEMAP_PATHS.map(path => `${baseUrl}${path}`);
+
+  const files = [];
+  const issues = {};
+  const urls = [];
+  const seenUrls = new Set();
+  const fetched = new Set();
+  const queue = [];
+
+  // Without robots.txt entries, stop at the first common location that exists
+  for (const candidate of candidates) {
+    if (fromRobots.length === 0 && files.some(file => file.type)) break;
+    queue.push({ url: candidate, parent: null });
+
+    while (queue.length > 0 && fetched.size < MAX_SITEMAP_FILES) {
+      const { url, parent } = queue.shift();
+      if (fetched.has(url)) continue;
+      fetched.add(url);
+
+      let file;
+      try {
+        file = await fetchSitemapFile(url);
+      } catch (error) {
+        const tooLarge = /maxContentLength/.test(error.message);
+        file = { status: null, xml: null, errors: [tooLarge ? 'Larger than 50MB (protocol limit)' : error.message] };
+      }
+
+      const isProbe = !parent && fromRobots.length === 0;
+
+      const report = {
+        url,
+        parent,
+        status: file.status,
+        compressed: !!file.compressed,
+        bytes: file.bytes || 0,
+        uncompressedBytes: file.uncompressedBytes || 0,
+        type: null,
+        urlCount: 0,
+        errors: [...(file.errors || [])]
+      };
+
+      if (file.xml) {
+        const parsed = parseSitemapXml(file.xml, host);
+        report.type = parsed.type;
+        report.errors.push(...parsed.errors);
+        Object.entries(parsed.issues).forEach(([key, value]) => {
+          if (!issues[key]) issues[key] = { count: 0, examples: [] };
+          issues[key].count += value.count;
+          issues[key].examples.push(...value.examples.slice(0, MAX_EXAMPLES - issues[key].examples.length));
+        });
+
+        if (parsed.type === 'sitemapindex') {
+          report.urlCount = parsed.childSitemaps.length;
+          if (parent) {
+            report.errors.push('Sitemap index inside another index (indexes cannot be nested)');
+          }
+          parsed.childSitemaps.filter(isFetchable).forEach(child => queue.push({ url: child, parent: url }));
+        } else if (parsed.type === 'urlset') {
+          report.urlCount = parsed.entries.length;
+          parsed.entries.forEach(entry => {
+            if (!seenUrls.has(entry.loc)) {
+              seenUrls.add(entry.loc);
+              urls.push(entry.loc);
+            }
+          });
+        }
+      }
+
+      // Probed common locations that aren't sitemaps (404s, SPA fallback pages) are expected
+      if (isProbe && !report.type) continue;
+
+      files.push(report);
+    }
+  }
+
+  const validFiles = files.filter(file => file.type);
+  if (validFiles.length === 0) {
+    return {
+      exists: false,
+      accessible: false,
+      checked: candidates,
+      discoveredFrom: fromRobots.length > 0 ? 'robots.txt' : 'common-locations',
+      files
+    };
+  }
+
+  const sameHostUrls = urls.filter(url => {
+    try {
+      return new URL(url).host === host;
+    } catch (e) {
+      return false;
+    }
+  });
+  const sample = sampleSize > 0 ? await sampleListedUrls(sameHostUrls, sampleSize) : [];
+
+  const primary = validFiles[0];
+  return {
+    exists: true,
+    accessible: true,
+    url: primary.url,
+    discoveredFrom: fromRobots.length > 0 ? 'robots.txt' : 'common-locations',
+    referencedInRobots: fromRobots.length > 0,
+    urlCount: urls.length,
+    size: primary.uncompressedBytes,
+    files,
+    sitemaps: validFiles.filter(file => file.parent).map(file => file.url),
+    filesLimitReached: fetched.size >= MAX_SITEMAP_FILES && queue.length > 0,
+    issues,
+    sample,
+    sampleSummary: {
+      checked: sample.length,
+      non200: sample.filter(result => result.status !== 200).length,
+      noindex: sample.filter(result => result.noindex).length
+    },
+    urls: collectAllUrls ? urls : urls.slice(0, MAX_STORED_URLS),
+    urlsTruncated: !collectAllUrls && urls.length > MAX_STORED_URLS
+  };
+}
+
+module.exports = {
+  analyzeSitemaps,
+  parseSitemapXml,
+  isValidLastmod,
+  pickSample
+};
@@ -0,0 +1,527 @@
+/**
+ * Structured Data Service
+ * Extracts schema.org data from JSON-LD, Microdata and RDFa, and checks it
+ * against the properties Google needs for rich results.
+ *
+ * All three formats are normalized to plain JSON-LD-style objects
+ * ({ '@type': 'Product', name: ..., offers: { '@type': 'Offer', ... } }),
+ * so validation doesn't care where the data came from. `@graph` arrays and
+ * top-level arrays are flattened; nested entities stay nested.
+ */
+
+const MAX_ENTITIES = 50; // Per page
+const MAX_DEPTH = 10; // Nesting depth when reading Microdata/RDFa
+
+const SCHEMA_ORG_PREFIX = /^(https?:\/\/)?(www\.)?schema\.org\/|^schema:/i;
+
+const ARTICLE_TYPES = ['Article', 'NewsArticle', 'BlogPosting'];
+const LOCAL_BUSINESS_TYPES = [
+  'LocalBusiness', 'Restaurant', 'Store', 'Dentist', 'MedicalBusiness', 'AutoRepair',
+  'HomeAndConstructionBusiness', 'ProfessionalService', 'LegalService', 'FinancialService',
+  'FoodEstablishment', 'CafeOrCoffeeShop', 'BarOrPub', 'Bakery', 'HealthAndBeautyBusiness',
+  'LodgingBusiness', 'Hotel', 'RealEstateAgent', 'SportsActivityLocation', 'TravelAgency'
+];
+
+const ORGANIZATION_TYPES = [
+  'Organization', 'Corporation', 'OnlineBusiness', 'OnlineStore', 'NGO', 'EducationalOrganization',
+  'NewsMediaOrganization', 'SportsOrganization', 'GovernmentOrganization', ...LOCAL_BUSINESS_TYPES
+];
+
+/**
+ * Strip the schema.org prefix from a type ("https://schema.org/Product" -> "Product")
+ */
+function normalizeType(type) {
+  return String(type).trim().replace(SCHEMA_ORG_PREFIX, '');
+}
+
+/**
+ * Types of an entity as an array of bare names
+ */
+function getTypes(entity) {
+  if (!entity || typeof entity !== 'object') return [];
+  return [].concat(entity['@type'] || []).map(normalizeType).filter(Boolean);
+}
+
+/**
+ * Whether a value is present (non-empty string, object or array)
+ */
+function hasValue(value) {
+  if (value == null) return false;
+  if (Array.isArray(value)) return value.some(hasValue);
+  if (typeof value === 'string') return value.trim().length > 0;
+  return true;
+}
+
+/**
+ * First value of a property (properties may be single values or arrays)
+ */
+function first(value) {
+  return Array.isArray(value) ? value[0] : value;
+}
+
+/**
+ * Flatten top-level arrays and @graph containers into a list of entities
+ */
+function flattenJsonLd(data) {
+  if (Array.isArray(data)) return data.flatMap(flattenJsonLd);
+  if (!data || typeof data !== 'object') return [];
+  if (Array.isArray(data['@graph'])) {
+    // Entities in @graph share the container's @context
+    return data['@graph'].flatMap(flattenJsonLd);
+  }
+  return [data];
+}
+
+/**
+ * Extract JSON-LD blocks
+ * @returns {Object} { entities, parseErrors }
+ */
+function extractJsonLd($) {
+  const entities = [];
+  const parseErrors = [];
+
+  $('script[type="application/ld+json"]').each((i, elem) => {
+    const raw = $(elem).html() || '';
+    try {
+      // Strip HTML comments and CDATA wrappers some CMSs add
+      const cleaned = raw.replace(/^\s*(<!--|\/\/\s*<!\[CDATA\[)/, '').replace(/(-->|\/\/\s*\]\]>)\s*$/, '');
+      flattenJsonLd(JSON.parse(cleaned)).forEach(entity => entities.push(entity));
+    } catch (error) {
+      parseErrors.push({ format: 'JSON-LD', block: i + 1, error: error.message });
+    }
+  });
+
+  return { entities, parseErrors };
+}
+
+/**
+ * Read the value of a Microdata itemprop element
+ */
+function microdataValue($, el) {
+  const tag = (el.tagName || el.name || '').toLowerCase();
+  const $el = $(el);
+  if (tag === 'meta') return $el.attr('content') || '';
+  if (['a', 'area', 'link'].includes(tag)) return $el.attr('href') || '';
+  if (['img', 'audio', 'video', 'source', 'embed', 'iframe', 'track'].includes(tag)) return $el.attr('src') || '';
+  if (tag === 'object') return $el.attr('data') || '';
+  if (tag === 'time' && $el.attr('datetime')) return $el.attr('datetime');
+  if (['data', 'meter'].includes(tag)) return $el.attr('value') || '';
+  return $el.attr('content') || $el.text().trim().replace(/\s+/g, ' ');
+}
+
+/**
+ * Add a value to a property, turning repeated properties into arrays
+ */
+function addProperty(entity, name, value) {
+  if (entity[name] === undefined) {
+    entity[name] = value;
+  } else {
+    entity[name] = [].concat(entity[name], value);
+  }
+}
+
+/**
+ * Read one Microdata item (an element with itemscope) into an object
+ */
+function readMicrodataItem($, scopeEl, depth = 0) {
+  const entity = {};
+  const itemtype = $(scopeEl).attr('itemtype');
+  if (itemtype) {
+    const types = itemtype.split(/\s+/).filter(Boolean).map(normalizeType);
+    entity['@type'] = types.length === 1 ? types[0] : types;
+  }
+  if ($(scopeEl).attr('itemid')) entity['@id'] = $(scopeEl).attr('itemid');
+
+  // Walk descendants, stopping at nested items (their properties belong to them)
+  const walk = (parent) => {
+    $(parent).children().each((i, child) => {
+      const $child = $(child);
+      const props = ($child.attr('itemprop') || '').split(/\s+/).filter(Boolean);
+      const isScope = $child.attr('itemscope') !== undefined;
+
+      if (props.length > 0) {
+        const value = isScope
+          ? (depth < MAX_DEPTH ? readMicrodataItem($, child, depth + 1) : {})
+          : microdataValue($, child);
+        props.forEach(prop => addProperty(entity, prop, value));
+      }
+      if (!isScope) walk(child);
+    });
+  };
+  walk(scopeEl);
+
+  return entity;
+}
+
+/**
+ * Extract top-level Microdata items
+ */
+function extractMicrodata($) {
+  const entities = [];
+  $('[itemscope]').each((i, el) => {
+    // Items with itemprop are properties of another item
+    if ($(el).attr('itemprop') !== undefined) return;
+    entities.push(readMicrodataItem($, el));
+  });
+  return entities;
+}
+
+/**
+ * Read the value of an RDFa property element
+ */
+function rdfaValue($, el) {
+  const $el = $(el);
+  if ($el.attr('content') !== undefined) return $el.attr('content');
+  const tag = (el.tagName || el.name || '').toLowerCase();
+  if (['a', 'area', 'link'].includes(tag) && $el.attr('href')) return $el.attr('href');
+  if (['img', 'audio', 'video', 'source', 'embed', 'iframe'].includes(tag) && $el.attr('src')) return $el.attr('src');
+  if ($el.attr('resource')) return $el.attr('resource');
+  if (tag === 'time' && $el.attr('datetime')) return $el.attr('datetime');
+  return $el.text().trim().replace(/\s+/g, ' ');
+}
+
+/**
+ * Read one RDFa node (an element with typeof) into an object
+ */
+function readRdfaNode($, nodeEl, depth = 0) {
+  const entity = {};
+  const types = ($(nodeEl).attr('typeof') || '').split(/\s+/).filter(Boolean).map(normalizeType);
+  if (types.length > 0) entity['@type'] = types.length === 1 ? types[0] : types;
+  if ($(nodeEl).attr('resource')) entity['@id'] = $(nodeEl).attr('resource');
+
+  const walk = (parent) => {
+    $(parent).children().each((i, child) => {
+      const $child = $(child);
+      const props = ($child.attr('property') || '').split(/\s+/).filter(Boolean).map(normalizeType);
+      const isNode = $child.attr('typeof') !== undefined;
+
+      if (props.length > 0) {
+        const value = isNode
+          ? (depth < MAX_DEPTH ? readRdfaNode($, child, depth + 1) : {})
+          : rdfaValue($, child);
+        props.forEach(prop => addProperty(entity, prop, value));
+      }
+      if (!isNode) walk(child);
+    });
+  };
+  walk(nodeEl);
+
+  return entity;
+}
+
+/**
+ * Extract top-level RDFa nodes (schema.org vocabulary)
+ */
+function extractRdfa($) {
+  const entities = [];
+  $('[typeof]').each((i, el) => {
+    // Nodes with a property are values of another node
+    if ($(el).attr('property') !== undefined) return;
+    entities.push(readRdfaNode($, el));
+  });
+  return entities;
+}
+
+/**
+ * Check a list of required properties
+ */
+function missingProps(entity, props) {
+  return props.filter(prop => !hasValue(entity[prop]));
+}
+
+/**
+ * Rich result rules per type. Each returns { richResult, errors, warnings, note? }
+ * errors = missing required properties (not eligible), warnings = missing recommended ones
+ */
+const RULES = [
+  {
+    types: ['Organization', 'Corporation', 'NGO', 'OnlineStore', 'NewsMediaOrganization'],
+    richResult: 'Organization logo & knowledge panel',
+    check(entity) {
+      const errors = missingProps(entity, ['name', 'url', 'logo']).map(prop => `missing ${prop}`);
+      const warnings = missingProps(entity, ['sameAs', 'contactPoint']).map(prop => `missing recommended ${prop}`);
+      return { errors, warnings };
+    }
+  },
+  {
+    types: ['Product', 'ProductGroup'],
+    richResult: 'Product snippet',
+    check(entity) {
+      const errors = missingProps(entity, ['name']).map(prop => `missing ${prop}`);
+      const warnings = [];
+      if (!hasValue(entity.offers) && !hasValue(entity.review) && !hasValue(entity.aggregateRating)) {
+        errors.push('needs offers, review or aggregateRating');
+      }
+      const offer = first(entity.offers);
+      if (offer && typeof offer === 'object') {
+        const offerTypes = getTypes(offer);
+        const price = offerTypes.includes('AggregateOffer')
+          ? offer.lowPrice
+          : (offer.price ?? first(offer.priceSpecification)?.price);
+        if (!hasValue(price) && price !== 0) errors.push('offers missing price');
+        if (!hasValue(offer.priceCurrency) && !hasValue(first(offer.priceSpecification)?.priceCurrency)) {
+          errors.push('offers missing priceCurrency');
+        }
+        if (!hasValue(offer.availability)) warnings.push('offers missing recommended availability');
+      }
+      const rating = first(entity.aggregateRating);
+      if (rating && typeof rating === 'object' && !hasValue(rating.ratingValue)) {
+        errors.push('aggregateRating missing ratingValue');
+      }
+      if (!hasValue(entity.image)) warnings.push('missing recommended image');
+      return { errors, warnings };
+    }
+  },
+  {
+    types: ARTICLE_TYPES,
+    richResult: 'Article',
+    check(entity) {
+      const errors = missingProps(entity, ['headline', 'image', 'datePublished']).map(prop => `missing ${prop}`);
+      const warnings = [];
+      if (hasValue(entity.headline) && String(first(entity.headline)).length > 110) {
+        warnings.push('headline longer than 110 characters');
+      }
+      const author = first(entity.author);
+      if (!hasValue(author)) {
+        warnings.push('missing recommended author');
+      } else if (typeof author === 'object' && !hasValue(author.name)) {
+        warnings.push('author missing name');
+      }
+      if (!hasValue(entity.dateModified)) warnings.push('missing recommended dateModified');
+      return { errors, warnings };
+    }
+  },
+  {
+    types: ['FAQPage'],
+    richResult: 'FAQ',
+    check(entity) {
+      const errors = [];
+      const questions = [].concat(entity.mainEntity || []);
+      if (questions.length === 0) {
+        errors.push('missing mainEntity (a list of Question items)');
+      }
+      questions.forEach((question, index) => {
+        if (!getTypes(question).includes('Question')) {
+          errors.push(`mainEntity #${index + 1} is not a Question`);
+          return;
+        }
+        if (!hasValue(question.name)) errors.push(`Question #${index + 1} missing name`);
+        const answer = first(question.acceptedAnswer);
+        if (!answer || !hasValue(answer.text)) errors.push(`Question #${index + 1} missing acceptedAnswer.text`);
+      });
+      return {
+        errors,
+        warnings: [],
+        // Google limited FAQ rich results in August 2023
+        note: 'Google only shows FAQ rich results for well-known, authoritative government and health websites. Valid markup still helps AI assistants read your Q&A.'
+      };
+    }
+  },
+  {
+    types: ['BreadcrumbList'],
+    richResult: 'Breadcrumb',
+    check(entity) {
+      const errors = [];
+      const items = [].concat(entity.itemListElement || []);
+      if (items.length === 0) errors.push('missing itemListElement');
+      items.forEach((item, index) => {
+        if (!item || typeof item !== 'object') {
+          errors.push(`item #${index + 1} is not a ListItem`);
+          return;
+        }
+        if (!hasValue(item.position)) errors.push(`item #${index + 1} missing position`);
+        const named = hasValue(item.name) || (item.item && typeof item.item === 'object' && hasValue(item.item.name));
+        if (!named) errors.push(`item #${index + 1} missing name`);
+        // The last item may omit its URL (it's the current page)
+        if (index < items.length - 1 && !hasValue(item.item)) errors.push(`item #${index + 1} missing item URL`);
+      });
+      return { errors, warnings: [] };
+    }
+  },
+  {
+    types: LOCAL_BUSINESS_TYPES,
+    richResult: 'Local business',
+    check(entity) {
+      const errors = missingProps(entity, ['name', 'address']).map(prop => `missing ${prop}`);
+      const address = first(entity.address);
+      if (address && typeof address === 'object') {
+        missingProps(address, ['streetAddress', 'addressLocality']).forEach(prop => errors.push(`address missing ${prop}`));
+      }
+      const warnings = missingProps(entity, ['telephone', 'openingHoursSpecification', 'geo', 'url'])
+        .filter(prop => !(prop === 'openingHoursSpecification' && hasValue(entity.openingHours)))
+        .map(prop => `missing recommended ${prop}`);
+      return { errors, warnings };
+    }
+  }
+];
+
+/**
+ * Find the rule for an entity (first matching type wins)
+ */
+function findRule(types) {
+  return RULES.find(rule => rule.types.some(type => types.includes(type)));
+}
+
+/**
+ * Validate one entity
+ * @returns {Object} Schema report: { type, schema, valid, errors, warnings, richResult, eligible, note }
+ */
+function validateEntity(entity, format) {
+  const types = getTypes(entity);
+  const report = {
+    type: format,
+    schema: types.join(', ') || 'Unknown',
+    valid: true,
+    errors: [],
+    warnings: []
+  };
+
+  if (types.length === 0) {
+    report.valid = false;
+    report.errors.push('missing @type');
+    return report;
+  }
+
+  const rule = findRule(types);
+  if (rule) {
+    const result = rule.check(entity);
+    report.richResult = rule.richResult;
+    report.errors = result.errors;
+    report.warnings = result.warnings;
+    report.eligible = result.errors.length === 0;
+    report.valid = result.errors.length === 0;
+    if (result.note) report.note = result.note;
+  }
+
+  return report;
+}
+
+/**
+ * Entities to validate: top-level ones plus mainEntity of pages (e.g. WebPage > FAQPage)
+ */
+function collectValidatable(entities) {
+  const list = [];
+  entities.forEach(entity => {
+    list.push(entity);
+    [].concat(entity.mainEntity || []).forEach(main => {
+      if (main && typeof main === 'object' && findRule(getTypes(main))) {
+        list.push(main);
+      }
+    });
+  });
+  return list;
+}
+
+/**
+ * Plain text of a property that may be a string, an entity ({ name }) or a list of either
+ */
+function textValues(value) {
+  return [].concat(value || [])
+    .map(item => (item && typeof item === 'object' ? item.name || item['@value'] : item))
+    .filter(item => typeof item === 'string' && item.trim())
+    .map(item => item.trim());
+}
+
+/**
+ * Facts about the site's own organization (first Organization-type entity, or
+ * the publisher of a WebSite/WebPage), used to fact-check what LLMs say about the brand
+ * @param {Array} entities - Normalized entities from any format
+ * @returns {Object|null} { name, alternateNames, legalName, description, url, foundingDate, founders, location, sameAs }
+ */
+function extractOrganization(entities) {
+  const isOrganization = entity => getTypes(entity).some(type => ORGANIZATION_TYPES.includes(type));
+  const organization = entities.find(isOrganization) ||
+    entities.map(entity => first(entity.publisher)).find(publisher => publisher && isOrganization(publisher));
+  if (!organization) return null;
+
+  const address = first(organization.address);
+  const location = address && typeof address === 'object'
+    ? [address.addressLocality, address.addressRegion, first(textValues(address.addressCountry))]
+      .filter(part => typeof part === 'string' && part.trim())
+      .join(', ')
+    : textValues(address)[0];
+
+  return {
+    name: textValues(organization.name)[0] || null,
+    alternateNames: textValues(organization.alternateName),
+    legalName: textValues(organization.legalName)[0] || null,
+    description: textValues(organization.description)[0] || null,
+    url: textValues(organization.url)[0] || null,
+    foundingDate: textValues(organization.foundingDate)[0] || null,
+    founders: textValues(organization.founder || organization.founders),
+    location: location || textValues(organization.foundingLocation || organization.location)[0] || null,
+    sameAs: textValues(organization.sameAs)
+  };
+}
+
+/**
+ * Extract and validate all structured data on a page
+ * @param {Object} $ - Cheerio instance
+ * @returns {Object} { count, schemas, formats, richResults, parseErrors, organization }
+ */
+function analyzeStructuredData($) {
+  const jsonLd = extractJsonLd($);
+  const sources = [
+    { format: 'JSON-LD', entities: jsonLd.entities },
+    { format: 'Microdata', entities: extractMicrodata($) },
+    { format: 'RDFa', entities: extractRdfa($) }
+  ];
+
+  const schemas = [];
+  sources.forEach(({ format, entities }) => {
+    collectValidatable(entities).forEach(entity => {
+      if (schemas.length < MAX_ENTITIES) schemas.push(validateEntity(entity, format));
+    });
+  });
+
+  // Unparseable JSON-LD blocks still count (and show as invalid)
+  jsonLd.parseErrors.forEach(parseError => {
+    schemas.push({
+      type: 'JSON-LD',
+      schema: 'Invalid',
+      valid: false,
+      errors: [`JSON could not be parsed: ${parseError.error}`],
+      warnings: []
+    });
+  });
+
+  // One entry per rich result type: eligible if any schema of that type passes
+  const richResults = [];
+  schemas.filter(schema => schema.richResult).forEach(schema => {
+    let entry = richResults.find(result => result.type === schema.richResult);
+    if (!entry) {
+      entry = { type: schema.richResult, eligible: false, schemas: 0, missing: [] };
+      if (schema.note) entry.note = schema.note;
+      richResults.push(entry);
+    }
+    entry.schemas++;
+    if (schema.eligible) {
+      entry.eligible = true;
+      entry.missing = [];
+    } else if (!entry.eligible && entry.missing.length === 0) {
+      entry.missing = schema.errors;
+    }
+  });
+
+  return {
+    count: schemas.length,
+    schemas,
+    formats: {
+      jsonLd: sources[0].entities.length,
+      microdata: sources[1].entities.length,
+      rdfa: sources[2].entities.length
+    },
+    richResults,
+    parseErrors: jsonLd.parseErrors,
+    organization: extractOrganization(sources.flatMap(source => source.entities))
+  };
+}
+
+module.exports = {
+  analyzeStructuredData,
+  extractJsonLd,
+  extractMicrodata,
+  extractRdfa,
+  extractOrganization,
+  validateEntity
+};
@@ -0,0 +1,252 @@
+/**
+ * Visibility Scoring Service
+ * Scores one LLM answer for how well it represents our site, on a 0-100 scale
+ * with a per-factor breakdown. See docs/VISIBILITY_SCORING.md.
+ *
+ * Scans store `scoringVersion`; scans without one were scored with v1
+ * (0-3 points per prompt). v2 scans also keep the v1 score as `legacyScore` /
+ * `legacyPercentage` so old and new scans can still be compared.
+ */
+
+const SCORING_VERSION = 2;
+
+// Maximum points per factor (sums to 100)
+const FACTORS = {
+  presence: 40,   // cited with a link, or mentioned by name
+  rank: 20,       // our place among the brands the answer lists
+  prominence: 15, // headline vs. footnote
+  sentiment: 10,  // tone of the sentence that mentions us
+  accuracy: 10,   // description matches what the brand says about itself
+  deepLink: 5     // cited URL is a specific page rather than the homepage
+};
+
+const RANK_STEP = 5; // points lost per place below first
+const ACCURACY_FULL_OVERLAP = 0.3; // share of reference keywords needed for full accuracy points
+
+const POSITIVE_WORDS = [
+  'leading', 'trusted', 'reliable', 'reputable', 'popular', 'best', 'top', 'recommended',
+  'excellent', 'great', 'official', 'well-known', 'established', 'innovative', 'powerful',
+  'comprehensive', 'easy', 'award', 'favorite', 'preferred', 'authoritative', 'high-quality'
+];
+const NEGATIVE_WORDS = [
+  'scam', 'fraud', 'unreliable', 'poor', 'complaints', 'outdated', 'lawsuit', 'controversy',
+  'controversial', 'criticized', 'avoid', 'expensive', 'overpriced', 'lacks', 'limited',
+  'insecure', 'breach', 'shut down', 'discontinued', 'not recommended'
+];
+// The model doesn't really know us - a mention, but a weak one
+const UNCERTAIN_PHRASES = [
+  "don't have", 'do not have', 'not aware', 'no information', 'not familiar', 'unclear',
+  'cannot confirm', "can't confirm", 'not sure', 'limited information'
+];
+const SENTIMENT_POINTS = { positive: 1, neutral: 0.6, uncertain: 0.3, negative: 0 };
+
+const STOP_WORDS = new Set([
+  'the', 'and', 'for', 'with', 'that', 'this', 'from', 'your', 'their', 'they', 'about',
+  'into', 'than', 'more', 'most', 'have', 'also', 'which', 'while', 'what', 'when', 'where',
+  'will', 'helps', 'help', 'using', 'based', 'other', 'such', 'them', 'over', 'through'
+]);
+
+/**
+ * Lowercase hostname for comparisons
+ */
+function getHost(url) {
+  return String(url || '').toLowerCase()
+    .replace(/^[a-z]+:\/\//, '')
+    .replace(/^www\./, '')
+    .split(/[/?#]/)[0];
+}
+
+function countMatches(text, words) {
+  return words.filter(word => new RegExp(`\\b${word.replace(/[-']/g, '.?')}\\b`).test(text)).length;
+}
+
+/**
+ * Classify the tone of the sentence(s) that mention us
+ * @returns {string} positive | neutral | uncertain | negative
+ */
+function classifySentiment(text) {
+  const lower = String(text || '').toLowerCase();
+  if (!lower) return 'neutral';
+  if (UNCERTAIN_PHRASES.some(phrase => lower.includes(phrase))) return 'uncertain';
+
+  const positive = countMatches(lower, POSITIVE_WORDS);
+  const negative = countMatches(lower, NEGATIVE_WORDS);
+  if (negative > positive) return 'negative';
+  if (positive > negative) return 'positive';
+  return 'neutral';
+}
+
+/**
+ * Significant words for the accuracy overlap check
+ */
+function getKeywords(text) {
+  return [...new Set(String(text || '').toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(word => word.length >= 4 && !STOP_WORDS.has(word)))];
+}
+
+/**
+ * Where our first mention sits in the answer
+ * @returns {string} headline | early | body | footnote
+ */
+function getPlacement(text, surfaces) {
+  const lower = String(text || '').toLowerCase();
+  const indexes = surfaces
+    .filter(surface => surface && surface.length >= 2)
+    .map(surface => lower.indexOf(surface.toLowerCase()))
+    .filter(index => index !== -1);
+
+  // Only in citations / the mentionsDomain flag
+  if (indexes.length === 0) return 'footnote';
+
+  const index = Math.min(...indexes);
+  const firstSentenceEnd = lower.search(/[.!?](\s|$)/);
+  if (firstSentenceEnd === -1 || index < firstSentenceEnd) return 'headline';
+  if (index < lower.length / 3) return 'early';
+  return 'body';
+}
+
+const PLACEMENT_POINTS = { headline: 1, early: 0.7, body: 0.4, footnote: 0.15 };
+
+const round1 = (value) => Math.round(value * 10) / 10;
+
+/**
+ * Score one model answer
+ * @param {Object} input
+ * @param {string} input.text - Answer text (parsed description when available)
+ * @param {string} input.domain - Our domain
+ * @param {string} input.brand - Our brand name
+ * @param {boolean} input.mentioned - From analyzeResponse
+ * @param {Array} input.citations - Citations pointing at our domain
+ * @param {Array} input.mentions - Entities from shareOfVoiceService.extractMentions
+ * @param {Object} input.reference - { brandSummary, industry } to check the description against
+ * @param {number} input.accuracy - Optional 0-1 accuracy from a dedicated check; overrides the keyword overlap
+ * @returns {Object} { score, breakdown, version }
+ */
+function scoreAnswer({ text, domain, brand, mentioned, citations = [], mentions = [], reference = {}, accuracy = null }) {
+  const cited = citations.length > 0;
+  const breakdown = {};
+
+  const referenceKeywords = getKeywords(`${reference.brandSummary || ''} ${reference.industry || ''}`);
+  const accuracyAssessed = typeof accuracy === 'number' || referenceKeywords.length > 0;
+
+  if (!cited && !mentioned) {
+    Object.entries(FACTORS).forEach(([factor, max]) => {
+      breakdown[factor] = { points: 0, max };
+    });
+    breakdown.presence.value = 'absent';
+    if (!accuracyAssessed) breakdown.accuracy.max = 0;
+    return { score: 0, breakdown, version: SCORING_VERSION };
+  }
+
+  breakdown.presence = {
+    points: cited ? FACTORS.presence : FACTORS.presence * 0.75,
+    max: FACTORS.presence,
+    value: cited ? 'cited' : 'mentioned'
+  };
+
+  // Not in the extracted list (e.g. only in citations) counts as after everything listed
+  const own = mentions.find(mention => mention.isOwn);
+  const position = own ? own.position : mentions.length + 1;
+  breakdown.rank = {
+    points: Math.max(0, FACTORS.rank - (position - 1) * RANK_STEP),
+    max: FACTORS.rank,
+    position,
+    of: Math.max(mentions.length, position)
+  };
+
+  const placement = getPlacement(text, [domain, brand]);
+  breakdown.prominence = {
+    points: round1(FACTORS.prominence * PLACEMENT_POINTS[placement]),
+    max: FACTORS.prominence,
+    value: placement
+  };
+
+  const sentiment = classifySentiment(own?.context || text);
+  breakdown.sentiment = {
+    points: round1(FACTORS.sentiment * SENTIMENT_POINTS[sentiment]),
+    max: FACTORS.sentiment,
+    value: sentiment
+  };
+
+  if (typeof accuracy === 'number') {
+    breakdown.accuracy = {
+      points: round1(FACTORS.accuracy * Math.min(1, Math.max(0, accuracy))),
+      max: FACTORS.accuracy,
+      value: round1(accuracy * 100)
+    };
+  } else {
+    if (!accuracyAssessed) {
+      // Nothing to check against - leave the factor out rather than guess
+      breakdown.accuracy = { points: 0, max: 0, value: 'not assessed' };
+    } else {
+      const answerKeywords = new Set(getKeywords(text));
+      const overlap = referenceKeywords.filter(word => answerKeywords.has(word)).length / referenceKeywords.length;
+      breakdown.accuracy = {
+        points: round1(FACTORS.accuracy * Math.min(1, overlap / ACCURACY_FULL_OVERLAP)),
+        max: FACTORS.accuracy,
+        value: round1(overlap * 100)
+      };
+    }
+  }
+
+  const host = getHost(domain);
+  const ownCitations = citations.filter(url => getHost(url) === host || getHost(url).endsWith(`.${host}`));
+  const hasDeepLink = ownCitations.some(url => {
+    const path = String(url).replace(/^[a-z]+:\/\/[^/]+/i, '').split(/[?#]/)[0];
+    return path.replace(/\/+$/, '').length > 0;
+  });
+  breakdown.deepLink = {
+    points: hasDeepLink ? FACTORS.deepLink : ownCitations.length > 0 ? FACTORS.deepLink * 0.6 : 0,
+    max: FACTORS.deepLink,
+    value: hasDeepLink ? 'deep' : ownCitations.length > 0 ? 'homepage' : 'none'
+  };
+
+  return { score: toScore(breakdown), breakdown, version: SCORING_VERSION };
+}
+
+/**
+ * 0-100 score from a breakdown, scaled over the factors that were assessed
+ */
+function toScore(breakdown) {
+  const factors = Object.values(breakdown);
+  const max = factors.reduce((sum, factor) => sum + factor.max, 0);
+  const points = factors.reduce((sum, factor) => sum + factor.points, 0);
+  return max > 0 ? Math.round((points / max) * 100) : 0;
+}
+
+/**
+ * Combine the scores of several model answers to one prompt (premium multi-LLM)
+ * @param {Array} scored - Results of scoreAnswer
+ * @returns {Object} { score, breakdown } with factor points averaged across models
+ */
+function combineScores(scored) {
+  if (scored.length === 0) {
+    return { score: 0, breakdown: {} };
+  }
+  if (scored.length === 1) {
+    return { score: scored[0].score, breakdown: scored[0].breakdown };
+  }
+
+  const breakdown = {};
+  Object.keys(FACTORS).forEach(factor => {
+    const assessed = scored.some(item => item.breakdown[factor].max > 0);
+    breakdown[factor] = {
+      points: round1(scored.reduce((sum, item) => sum + item.breakdown[factor].points, 0) / scored.length),
+      max: assessed ? FACTORS[factor] : 0
+    };
+  });
+
+  return {
+    score: Math.round(scored.reduce((sum, item) => sum + item.score, 0) / scored.length),
+    breakdown
+  };
+}
+
+module.exports = {
+  SCORING_VERSION,
+  FACTORS,
+  scoreAnswer,
+  combineScores,
+  classifySentiment
+};
@@ -0,0 +1,115 @@
+/**
+ * Visibility Trend Service
+ * Turns a completed scan into one point of a schedule's time series (SEO
+ * warnings, LLM visibility, mention and citation rates overall and per model),
+ * and computes the change between consecutive runs.
+ */
+
+// About a year of daily runs
+const MAX_TREND_POINTS = 400;
+
+const round1 = (value) => Math.round(value * 10) / 10;
+const percent = (count, total) => (total > 0 ? round1((count / total) * 100) : 0);
+
+/**
+ * Whether each model's answer to a prompt mentioned or cited the domain
+ * @param {Object} detail - llmVisibility.details[] entry
+ * @returns {Array} [{ model, presence: 'cited'|'mentioned'|'absent' }]
+ */
+function getAnswerOutcomes(detail) {
+  if (Array.isArray(detail.multiLLMResults) && detail.multiLLMResults.length > 0) {
+    return detail.multiLLMResults.map(result => ({
+      model: result.provider ? `${result.provider}:${result.model}` : result.model,
+      presence: result.scoreBreakdown?.presence?.value || (result.mentionsDomain ? 'mentioned' : 'absent')
+    }));
+  }
+
+  // Single model; scans from before scoring v2 have no breakdown
+  const presence = detail.scoreBreakdown?.presence?.value ||
+    (detail.citations?.length > 0 ? 'cited' : detail.domainMentioned ? 'mentioned' : 'absent');
+  return [{ model: detail.model || 'default', presence }];
+}
+
+/**
+ * Trend point for a completed scan
+ * Metrics of a stage that failed are null rather than 0, so a failed run
+ * doesn't show up as a dip.
+ * @param {Object} scan - Scan (document or plain object)
+ * @returns {Object} { scanId, runAt, seoWarnings, visibility, mentionRate, citationRate, citations, prompts, promptSetVersion, models }
+ */
+function buildTrendPoint(scan) {
+  const llmVisibility = scan.llmVisibility || {};
+  const hasSeo = !!scan.seo && !scan.seo.error;
+  const hasLlm = !llmVisibility.error;
+  const details = (llmVisibility.details || []).filter(detail => !detail.error);
+  const outcomes = details.flatMap(getAnswerOutcomes);
+
+  const byModel = new Map();
+  outcomes.forEach(outcome => {
+    if (!byModel.has(outcome.model)) byModel.set(outcome.model, []);
+    byModel.get(outcome.model).push(outcome);
+  });
+
+  const summarize = items => ({
+    answers: items.length,
+    mentionRate: percent(items.filter(item => item.presence !== 'absent').length, items.length),
+    citationRate: percent(items.filter(item => item.presence === 'cited').length, items.length)
+  });
+  const overall = summarize(outcomes);
+
+  return {
+    scanId: scan._id,
+    runAt: scan.createdAt || new Date(),
+    seoWarnings: hasSeo ? scan.seo.warnings?.length || 0 : null,
+    visibility: hasLlm ? llmVisibility.percentage || 0 : null,
+    mentionRate: hasLlm ? overall.mentionRate : null,
+    citationRate: hasLlm ? overall.citationRate : null,
+    citations: hasLlm ? details.reduce((sum, detail) => sum + (detail.citations?.length || 0), 0) : null,
+    prompts: details.length,
+    promptSetVersion: llmVisibility.promptSet?.version ?? null,
+    models: [...byModel.entries()]
+      .map(([model, items]) => ({ model, ...summarize(items) }))
+      .sort((a, b) => a.model.localeCompare(b.model))
+  };
+}
+
+const DELTA_FIELDS = ['seoWarnings', 'visibility', 'mentionRate', 'citationRate', 'citations'];
+
+/**
+ * Add the change from the previous run to each point
+ * @param {Array} points - Trend points, oldest first
+ * @returns {Array} Points with `delta` ({ field: change }, null for the first run).
+ *   A field's change is null when either run has no value (its stage failed).
+ *   `comparable` is false when the prompt set version changed between the two runs.
+ */
+function addTrendDeltas(points) {
+  return points.map((point, index) => {
+    const previous = points[index - 1];
+    if (!previous) return { ...point, delta: null, comparable: true };
+
+    const delta = {};
+    DELTA_FIELDS.forEach(field => {
+      const hasValues = typeof point[field] === 'number' && typeof previous[field] === 'number';
+      delta[field] = hasValues ? round1(point[field] - previous[field]) : null;
+    });
+    delta.models = (point.models || []).map(model => {
+      const before = (previous.models || []).find(other => other.model === model.model);
+      return {
+        model: model.model,
+        mentionRate: before ? round1(model.mentionRate - before.mentionRate) : null
+      };
+    });
+
+    return {
+      ...point,
+      delta,
+      comparable: (point.promptSetVersion ?? null) === (previous.promptSetVersion ?? null)
+    };
+  });
+}
+
+module.exports = {
+  MAX_TREND_POINTS,
+  buildTrendPoint,
+  addTrendDeltas
+};
@@ -3,58 +3,17 @@
  * Generates detailed AI recommendations for specific SEO warnings
  */
 
-const axios = require('axios');
-const { getHealthyModels, isModelHealthy } = require('./modelHealthCheckService');
-
-const OPENROUTER_API_KEY = process.env.OPENROUTER_API_KEY;
-const OPENROUTER_API_URL = 'https://openrouter.ai/api/v1/chat/completions';
-
-// Model priority list (will skip unhealthy models)
-// Based on health check: 7/18 models are healthy
-// Working OpenRouter models: mistral, deepseek-chimera, sherlock-dash, sherlock-think, kat-coder
-// Working HuggingFace models: BGE (embeddings model, not for text generation)
-// Removed: gemini-exp (deprecated), deepseek-r1 (deprecated), qwen-coder (deprecated)
-// Removed: All other HuggingFace models (404 - not available on router endpoint)
-const MODEL_PRIORITY = [
-  // Working OpenRouter models (fastest first, based on response times)
-  'openrouter/sherlock-dash-alpha', // ~1261ms - Fastest
-  'mistralai/mistral-7b-instruct:free', // ~2765ms
-  'openrouter/sherlock-think-alpha', // ~2545ms
-  'kwaipilot/kat-coder-pro:free', // ~2226ms
-  'tngtech/deepseek-r1t2-chimera:free' // ~19186ms - Slowest but reliable
-  // Note: HuggingFace BGE is working but it's an embeddings model, not suitable for text generation
-  // All other HuggingFace text generation models return 404 on router endpoint
-];
+const { completeJson } = require('./llmClientService');
 
 /**
  * Generate detailed recommendation for a specific SEO warning
+ * Uses the warningRecommendations LLM task (healthy models first, 429s retried with backoff)
  * @param {string} warning - The SEO warning message
  * @param {Object} context - Additional context about the website
  * @returns {Promise<Object>} Detailed recommendation
  */
 async function generateWarningRecommendation(warning, context = {}) {
-  if (!OPENROUTER_API_KEY) {
-    console.warn('⚠️ OPENROUTER_API_KEY not set, using fallback recommendations');
-    return getFallbackRecommendation(warning);
-  }
-  
-  // Find a healthy model to use
-  let selectedModel = null;
-  for (const modelName of MODEL_PRIORITY) {
-    if (isModelHealthy(modelName)) {
-      selectedModel = modelName;
-      break;
-    }
-  }
-  
-  // If no healthy model found, try the first one anyway (will fail gracefully)
-  if (!selectedModel) {
-    selectedModel = MODEL_PRIORITY[0];
-    console.warn(`⚠️ No healthy models found in cache, trying ${selectedModel}`);
-  }
-  
   console.log(`🤖 Generating recommendation for: "${warning}"`);
-  console.log(`📊 Using model: ${selectedModel}`);
   
   const prompt = `As an SEO expert, provide a detailed, actionable recommendation for the following SEO issue:
 
@@ -73,102 +32,29 @@ Provide your response in the following JSON format:
 
 Be specific, actionable, and concise.`;
 
-  // Try each model with retry logic for 429 errors
-  for (const modelName of MODEL_PRIORITY) {
-    try {
-      const response = await tryModelRequest(modelName, prompt);
-      
-      if (response) {
-        console.log(`✅ Recommendation generated successfully with ${modelName}`);
-        
-        let responseText = response.data.choices[0].message.content.trim();
-        
-        // Clean up markdown code blocks if present
-        responseText = responseText.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
-        
-        try {
-          const parsed = JSON.parse(responseText);
-          return {
-            ...parsed,
-            model: modelName,
-            warning: warning
-          };
-        } catch (parseError) {
-          console.warn('⚠️ Failed to parse JSON, using fallback');
-          return getFallbackRecommendation(warning);
-        }
-      }
-    } catch (error) {
-      const is429 = error.response?.status === 429 || 
-                    error.message?.includes('429') ||
-                    error.message?.includes('rate limit');
-      
-      if (is429) {
-        console.warn(`⚠️ Rate limit hit for ${modelName}, trying next model...`);
-        // Continue to next model
-        continue;
-      } else {
-        console.error(`❌ Error with ${modelName}:`, error.message);
-        // Continue to next model
-        continue;
-      }
-    }
-  }
-  
-  // All models failed, use fallback
-  console.warn('⚠️ All models failed, using fallback recommendation');
-  return getFallbackRecommendation(warning);
-}
-
-/**
- * Try to make a request to a model with retry logic for 429 errors
- */
-async function tryModelRequest(modelName, prompt, maxRetries = 2) {
-  for (let attempt = 0; attempt < maxRetries; attempt++) {
-    try {
-      const response = await axios.post(
-        OPENROUTER_API_URL,
-        {
-          model: modelName,
-          messages: [
-            {
-              role: 'user',
-              content: prompt
-            }
-          ],
-          temperature: 0.7,
-          max_tokens: 500
-        },
-        {
-          headers: {
-            'Authorization': `Bearer ${OPENROUTER_API_KEY}`,
-            'Content-Type': 'application/json',
-            'HTTP-Referer': process.env.SITE_URL || 'http://localhost:3000',
-            'X-Title': 'OptiSenseAI'
-          },
-          timeout: 15000
-        }
-      );
-      
-      return response;
-    } catch (error) {
-      const is429 = error.response?.status === 429 || 
-                    error.message?.includes('429') ||
-                    error.message?.includes('rate limit');
-      
-      if (is429 && attempt < maxRetries - 1) {
-        // Exponential backoff for rate limits: 2s, 4s
-        const delay = 2000 * Math.pow(2, attempt);
-        console.log(`  ⏳ Rate limited, retrying ${modelName} after ${delay}ms...`);
-        await new Promise(resolve => setTimeout(resolve, delay));
-        continue;
-      } else {
-        throw error;
-      }
+  try {
+    const result = await completeJson(
+      'warningRecommendations',
+      { prompt, temperature: 0.7, maxTokens: 500, timeoutMs: 15000 },
+      { maxAttempts: 2 }
+    );
+    
+    if (!result.data || Array.isArray(result.data)) {
+      console.warn('⚠️ Failed to parse JSON, using fallback');
+      return getFallbackRecommendation(warning);
     }
+    
+    console.log(`✅ Recommendation generated successfully with ${result.spec}`);
+    return {
+      ...result.data,
+      model: result.model,
+      warning: warning
+    };
+  } catch (error) {
+    // All models failed (or none configured), use fallback
+    console.warn(`⚠️ All models failed, using fallback recommendation: ${error.message}`);
+    return getFallbackRecommendation(warning);
   }
-  
-  return null;
 }
 
 /**
@@ -177,6 +63,177 @@ async function tryModelRequest(modelName, prompt, maxRetries = 2) {
 function getFallbackRecommendation(warning) {
   const warningLower = warning.toLowerCase();
   
+  // robots.txt blocking AI crawlers
+  if (warningLower.includes('robots.txt blocks ai crawlers')) {
+    return {
+      summary: 'Your robots.txt stops AI assistants from reading this page, so they cannot cite or recommend it.',
+      impact: 'Blocked crawlers such as GPTBot, ClaudeBot and PerplexityBot cannot use your content in answers. Blocking Google-Extended or CCBot keeps your content out of model training data.',
+      steps: [
+        'Open your robots.txt and find the User-agent groups for the blocked crawlers (or the * group they fall back to)',
+        'Decide which AI crawlers you want to allow - answer engines (ChatGPT-User, PerplexityBot) and training crawlers (GPTBot, CCBot, Google-Extended) can be treated separately',
+        'Remove or narrow the Disallow rules for the crawlers you allow (e.g. "User-agent: GPTBot" + "Allow: /")',
+        'Check that your CDN or firewall is not blocking the same bots by user agent',
+        'Re-run this scan to confirm the page is allowed'
+      ],
+      resources: [
+        'OpenAI GPTBot documentation',
+        'Google Search Central - robots.txt specification',
+        'Anthropic ClaudeBot documentation'
+      ],
+      timeEstimate: '15-30 minutes',
+      model: 'fallback',
+      warning: warning
+    };
+  }
+  
+  // robots.txt blocking search crawlers or unreachable
+  if (warningLower.includes('robots.txt blocks search crawlers') || warningLower.includes('robots.txt returned a server error')) {
+    return {
+      summary: 'Search engines are not allowed to crawl this page, so it cannot rank.',
+      impact: 'A Disallow rule (or a robots.txt that fails with a 5xx error) keeps Googlebot and Bingbot from fetching the page, removing it from search results over time.',
+      steps: [
+        'Find the Disallow rule that matches this page (shown in the robots.txt section of this report)',
+        'Add a more specific Allow rule or remove the Disallow rule',
+        'If robots.txt returns a server error, fix the server so it returns 200 (or 404 if you have no rules)',
+        'Test the URL with the robots.txt report in Google Search Console',
+        'Request re-indexing of the page once it is allowed'
+      ],
+      resources: [
+        'Google Search Console - robots.txt report',
+        'Google Search Central - robots.txt specification',
+        'Bing Webmaster Tools - robots.txt tester'
+      ],
+      timeEstimate: '15-30 minutes',
+      model: 'fallback',
+      warning: warning
+    };
+  }
+  
+  // llms.txt warnings (checked before HTTPS - they often quote https:// URLs)
+  if (warningLower.includes('llms.txt')) {
+    return {
+      summary: 'An llms.txt file gives AI assistants a curated, plain-text map of your most important content.',
+      impact: 'Without a valid llms.txt, AI tools have to guess which pages matter from your HTML, and broken links in it send them to dead ends.',
+      steps: [
+        'Create /llms.txt as a Markdown text file served with a text/plain or text/markdown content type',
+        'Start with "# Your Site Name" followed by a "> one-paragraph summary" blockquote',
+        'Add "## Section" headings with links in the form "- [Page name](https://yoursite.com/page): what it covers"',
+        'Put nice-to-have links under an "## Optional" section so tools can skip them when context is short',
+        'Make sure every linked URL returns 200, and optionally publish the full content as /llms-full.txt'
+      ],
+      resources: [
+        'llmstxt.org - The /llms.txt proposal',
+        'directory.llmstxt.cloud - Example llms.txt files'
+      ],
+      timeEstimate: '30-60 minutes',
+      model: 'fallback',
+      warning: warning
+    };
+  }
+
+  // Page-level AI directives (noai, noimageai, noindex, nosnippet)
+  if (warningLower.includes('noai') || warningLower.includes('noindex directive') || warningLower.includes('nosnippet')) {
+    return {
+      summary: 'A robots directive on this page tells AI systems or search engines not to use it.',
+      impact: 'noindex removes the page from search and AI answer engines, nosnippet stops them quoting it, and noai/noimageai ask AI tools not to use the text or images.',
+      steps: [
+        'Check the robots meta tags and the X-Robots-Tag response header (shown in the AI readiness section of this report)',
+        'If the opt-out is unintentional, remove the directive from your CMS template, SEO plugin or server/CDN config',
+        'If you want to limit AI training but stay visible in answers, block training crawlers in robots.txt instead of using noindex/nosnippet',
+        'Use max-snippet to limit quote length rather than blocking snippets entirely',
+        'Re-run this scan to confirm the directives are gone'
+      ],
+      resources: [
+        'Google Search Central - Robots meta tag and X-Robots-Tag specifications',
+        'Google Search Central - AI features and your website'
+      ],
+      timeEstimate: '15-30 minutes',
+      model: 'fallback',
+      warning: warning
+    };
+  }
+
+  // Rich result eligibility (checked before the image/title branches - missing properties are often named image or headline)
+  if (warningLower.includes('rich result')) {
+    const isFaq = warningLower.startsWith('faq rich results');
+    return {
+      summary: isFaq
+        ? 'Your FAQ markup is valid, but Google now limits FAQ rich results to authoritative government and health sites.'
+        : 'Your structured data is missing properties Google requires, so the page cannot get this rich result.',
+      impact: isFaq
+        ? 'The FAQ dropdowns will not appear in Google results for most sites, but the markup still helps AI assistants and other search engines understand your questions and answers.'
+        : 'Rich results (product prices and ratings, article images, breadcrumbs, business details) make listings more prominent and help AI answer engines extract accurate facts.',
+      steps: isFaq
+        ? [
+          'Keep the FAQPage markup if it matches visible Q&A content - it is still valid schema.org data',
+          'Do not expect FAQ rich results in Google unless you are a well-known government or health site',
+          'Keep questions as headings with concise answers below them so AI assistants can quote them',
+          'Make sure each Question has a name and an acceptedAnswer with text'
+        ]
+        : [
+          'Find the schema listed in the Structured Data section of this report and add the missing properties',
+          'Make sure the values match content visible on the page (e.g. the same price and currency)',
+          'Prefer JSON-LD - it is easier to maintain than Microdata or RDFa',
+          'Test the page with Google\'s Rich Results Test',
+          'Monitor the Enhancements reports in Google Search Console'
+        ],
+      resources: [
+        'Google Rich Results Test',
+        'Google Search Central - Structured data search gallery',
+        'Schema.org - Full type hierarchy'
+      ],
+      timeEstimate: isFaq ? '5-10 minutes' : '30-60 minutes',
+      model: 'fallback',
+      warning: warning
+    };
+  }
+
+  // JavaScript-rendered content (checked before the title branch - these warnings name the fields involved)
+  if (warningLower.includes('javascript')) {
+    return {
+      summary: 'Important content on this page is only created by JavaScript in the browser.',
+      impact: 'Most AI crawlers (GPTBot, ClaudeBot, PerplexityBot) and many other bots read the raw HTML only, so they see an empty or different page. Google renders JavaScript, but later and not always completely.',
+      steps: [
+        'Compare the raw and rendered values in the JavaScript Rendering section of this report',
+        'Enable server-side rendering (SSR) or static generation - e.g. Next.js/Remix for React, Nuxt for Vue, Angular Universal',
+        'At minimum, put the title, meta description, canonical, H1 and JSON-LD in the HTML the server sends',
+        'Avoid changing the title or robots meta tag with JavaScript',
+        'Re-run this scan with rendering enabled to confirm the raw HTML now has the content'
+      ],
+      resources: [
+        'Google Search Central - Understand JavaScript SEO basics',
+        'Google Search Central - Dynamic rendering as a workaround',
+        'web.dev - Rendering on the Web'
+      ],
+      timeEstimate: '1-3 days',
+      model: 'fallback',
+      warning: warning
+    };
+  }
+
+  // Sitemap warnings (checked before HTTPS - they often quote https:// URLs)
+  if (warningLower.includes('sitemap')) {
+    return {
+      summary: 'Your XML sitemap is missing or has problems, so search engines may miss or distrust it.',
+      impact: 'Sitemaps with invalid entries, broken or noindex URLs, or files over the protocol limits are partly ignored, slowing discovery of new and updated pages.',
+      steps: [
+        'Generate the sitemap from your CMS or build so it only lists canonical, indexable URLs that return 200',
+        'Keep each file under 50,000 URLs and 50MB uncompressed - split larger sites with a sitemap index',
+        'Use W3C dates for <lastmod> (e.g. 2024-05-01 or 2024-05-01T10:00:00+00:00) and only update them when content changes',
+        'Add a "Sitemap: https://yoursite.com/sitemap.xml" line to robots.txt',
+        'Submit the sitemap in Google Search Console and Bing Webmaster Tools'
+      ],
+      resources: [
+        'sitemaps.org - Sitemap protocol',
+        'Google Search Central - Build and submit a sitemap',
+        'Google Search Console - Sitemaps report'
+      ],
+      timeEstimate: '30-60 minutes',
+      model: 'fallback',
+      warning: warning
+    };
+  }
+
   // HTTPS warnings
   if (warningLower.includes('https') || warningLower.includes('ssl')) {
     return {
@@ -0,0 +1,398 @@
+/**
+ * Webhook Service
+ * Outbound webhooks: users register endpoints (models/WebhookEndpoint.js) for
+ * the events in WEBHOOK_EVENTS. Each event is POSTed as JSON
+ * `{ id, event, createdAt, data }` to every enabled endpoint in the workspace
+ * it happened in (the user's, or their organization's).
+ *
+ * Requests are signed with the endpoint's secret:
+ *   X-OptiSense-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>">
+ * Every attempt is recorded as a WebhookDelivery. Failed attempts (network
+ * errors and non-2xx responses) are retried with backoff (RETRY_DELAYS_MS) by
+ * an in-process scheduler every WEBHOOK_RETRY_INTERVAL_MINUTES (default 1,
+ * 0 disables), started from server.js.
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+const WebhookEndpoint = require('../models/WebhookEndpoint');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { validateUrlSecurity } = require('../middleware/security');
+const { buildTrendPoint } = require('./visibilityTrendService');
+
+const WEBHOOK_EVENTS = {
+  'scan.created': 'A scan is queued',
+  'scan.completed': 'A scan finishes',
+  'scan.failed': 'A scan fails',
+  'recommendations.completed': 'Recommendations for a scan are ready (or could not be generated)',
+  'integration.expired': 'A Google integration needs to be reconnected',
+  'scan.alerts': 'Alert rules fire for a scan, or an alert digest is due'
+};
+
+const MAX_ENDPOINTS = 10;
+// Wait before each retry; a delivery gets one attempt plus one per entry
+const RETRY_DELAYS_MS = [60 * 1000, 5 * 60 * 1000, 30 * 60 * 1000, 2 * 60 * 60 * 1000, 6 * 60 * 60 * 1000];
+const DELIVERY_TIMEOUT_MS = 10000;
+// A claimed delivery is left alone by other retry runs for this long
+const DELIVERY_LOCK_MS = 60 * 1000;
+const MAX_RETRIES_PER_RUN = 100;
+const SIGNATURE_TOLERANCE_SECONDS = 5 * 60;
+const DEFAULT_INTERVAL_MINUTES = 1;
+
+const retryState = {
+  timer: null,
+  intervalMs: null,
+  running: false
+};
+
+function createWebhookSecret() {
+  return 'whsec_' + crypto.randomBytes(24).toString('base64url');
+}
+
+/**
+ * Signature header for a request body
+ * @param {string} secret - Endpoint secret
+ * @param {string} body - Exact JSON body sent
+ * @param {number} timestamp - Unix seconds
+ * @returns {string} `t=<timestamp>,v1=<hex>`
+ */
+function signWebhookPayload(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+  const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${signature}`;
+}
+
+/**
+ * Check a signature header the way receivers should: the HMAC must match and
+ * the timestamp must be recent, so captured requests can't be replayed later
+ * @returns {boolean}
+ */
+function verifyWebhookSignature(secret, body, header, { now = Date.now(), toleranceSeconds = SIGNATURE_TOLERANCE_SECONDS } = {}) {
+  const parts = Object.fromEntries(String(header || '').split(',').map(part => part.trim().split('=')));
+  const timestamp = Number(parts.t);
+  if (!Number.isFinite(timestamp) || !parts.v1) return false;
+  if (Math.abs(now / 1000 - timestamp) > toleranceSeconds) return false;
+
+  const expected = Buffer.from(signWebhookPayload(secret, body, timestamp).split('v1=')[1], 'hex');
+  const received = Buffer.from(parts.v1, 'hex');
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+/**
+ * Wait before retrying a delivery that has failed `attempts` times
+ * @returns {number|null} Milliseconds, or null when there are no retries left
+ */
+function getRetryDelay(attempts) {
+  return RETRY_DELAYS_MS[attempts - 1] ?? null;
+}
+
+/**
+ * Validate endpoint input
+ * @param {Object} body - { url, events, description?, enabled? }
+ * @param {Object} options - { partial } for updates
+ * @returns {Object} Fields to save
+ */
+function normalizeWebhookInput(body = {}, { partial = false } = {}) {
+  const fields = {};
+
+  if (!partial || body.url !== undefined) {
+    const url = typeof body.url === 'string' ? body.url.trim() : '';
+    if (!url) {
+      throw new Error('URL is required');
+    }
+    validateUrlSecurity(url);
+    fields.url = url;
+  }
+
+  if (!partial || body.events !== undefined) {
+    const events = Array.isArray(body.events) ? [...new Set(body.events)] : [];
+    const unknown = events.filter(event => !WEBHOOK_EVENTS[event]);
+    if (events.length === 0 || unknown.length > 0) {
+      throw new Error(`Events must be one or more of: ${Object.keys(WEBHOOK_EVENTS).join(', ')}`);
+    }
+    fields.events = events;
+  }
+
+  if (body.description !== undefined) {
+    const description = typeof body.description === 'string' ? body.description.trim() : '';
+    if (description.length > 200) {
+      throw new Error('Description can be up to 200 characters');
+    }
+    fields.description = description;
+  }
+
+  if (body.enabled !== undefined) {
+    fields.enabled = body.enabled === true || body.enabled === 'true';
+  }
+
+  return fields;
+}
+
+/**
+ * Event data for a scan
+ * @param {Object} scan - Scan (document or plain object)
+ */
+function buildScanEventData(scan) {
+  const data = {
+    scanId: scan._id,
+    url: scan.url,
+    status: scan.status,
+    runBy: scan.userId || null,
+    organizationId: scan.organizationId || null,
+    scheduleId: scan.scheduleId || null,
+    apiKeyId: scan.apiKeyId || null,
+    createdAt: scan.createdAt
+  };
+
+  if (scan.status === 'completed') {
+    const { scanId, runAt, ...summary } = buildTrendPoint(scan);
+    data.executionTimeMs = scan.executionTimeMs;
+    data.summary = summary;
+  } else if (scan.status === 'failed') {
+    data.error = scan.error?.message || 'Scan failed';
+  }
+
+  return data;
+}
+
+/**
+ * Send one attempt of a delivery and record the outcome
+ * @param {Object} delivery - WebhookDelivery document
+ * @param {Object} endpoint - WebhookEndpoint document, with its secret
+ * @returns {Promise<Object>} The delivery
+ */
+async function attemptDelivery(delivery, endpoint) {
+  const body = JSON.stringify(delivery.payload);
+  const startTime = Date.now();
+  delivery.attempts += 1;
+  delivery.lastAttemptAt = new Date(startTime);
+
+  try {
+    validateUrlSecurity(endpoint.url);
+    const response = await axios.post(endpoint.url, body, {
+      timeout: DELIVERY_TIMEOUT_MS,
+      maxRedirects: 0,
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'OptiSenseAI-Webhooks/1.0',
+        'X-OptiSense-Event': delivery.event,
+        'X-OptiSense-Delivery': String(delivery._id),
+        'X-OptiSense-Signature': signWebhookPayload(endpoint.secret, body)
+      }
+    });
+
+    delivery.status = 'succeeded';
+    delivery.responseStatus = response.status;
+    delivery.error = null;
+    delivery.nextAttemptAt = null;
+  } catch (error) {
+    const delay = endpoint.enabled ? getRetryDelay(delivery.attempts) : null;
+    delivery.status = delay === null ? 'failed' : 'pending';
+    delivery.responseStatus = error.response?.status || null;
+    delivery.error = error.response ? `HTTP ${error.response.status}` : error.message;
+    delivery.nextAttemptAt = delay === null ? null : new Date(Date.now() + delay);
+
+    if (process.env.NODE_ENV === 'development') {
+      console.log(`🪝 Webhook ${delivery.event} to ${endpoint.url} failed (attempt ${delivery.attempts}): ${delivery.error}`);
+    }
+  }
+
+  delivery.responseTimeMs = Date.now() - startTime;
+  delivery.lockedUntil = null;
+  await delivery.save();
+
+  if (delivery.status !== 'pending') {
+    await WebhookEndpoint.updateOne(
+      { _id: endpoint._id },
+      { $set: { lastDeliveryAt: delivery.lastAttemptAt, lastDeliveryStatus: delivery.status } }
+    );
+  }
+  return delivery;
+}
+
+/**
+ * Record a delivery and make its first attempt
+ */
+async function createDelivery(endpoint, event, payload, redeliveryOf = null) {
+  const now = new Date();
+  const delivery = await WebhookDelivery.create({
+    endpointId: endpoint._id,
+    event,
+    payload,
+    nextAttemptAt: now,
+    // The first attempt is made right here, not by the retry scheduler
+    lockedUntil: new Date(now.getTime() + DELIVERY_LOCK_MS),
+    redeliveryOf
+  });
+  return attemptDelivery(delivery, endpoint);
+}
+
+/**
+ * Send an event to every enabled endpoint subscribed to it
+ * Callers don't await this; a slow endpoint must not hold anything up.
+ * @param {string} event - One of WEBHOOK_EVENTS
+ * @param {Object} owner - { userId, organizationId } of the scan or integration
+ * @param {Object} data - Event data
+ * @returns {Promise<Array>} The deliveries
+ */
+async function emitWebhookEvent(event, owner, data) {
+  if (!owner?.userId && !owner?.organizationId) return [];
+
+  const workspace = owner.organizationId
+    ? { organizationId: owner.organizationId }
+    : { userId: owner.userId, organizationId: null };
+  const endpoints = await WebhookEndpoint.find({ ...workspace, enabled: true, events: event }).select('+secret');
+  if (endpoints.length === 0) return [];
+
+  // One id per event, shared by its deliveries and redeliveries so receivers can deduplicate
+  const payload = {
+    id: `evt_${crypto.randomBytes(12).toString('hex')}`,
+    event,
+    createdAt: new Date().toISOString(),
+    data
+  };
+
+  const deliveries = [];
+  for (const endpoint of endpoints) {
+    deliveries.push(await createDelivery(endpoint, event, payload));
+  }
+  return deliveries;
+}
+
+/**
+ * Send a delivery's payload again as a new delivery
+ * @returns {Promise<Object>} The new delivery
+ */
+async function redeliverWebhook(delivery, endpoint) {
+  return createDelivery(endpoint, delivery.event, delivery.payload, delivery._id);
+}
+
+/**
+ * Retry deliveries whose next attempt is due
+ * @returns {Promise<number>} Number of attempts made
+ */
+async function retryPendingDeliveries(now = new Date()) {
+  let attempted = 0;
+
+  while (attempted < MAX_RETRIES_PER_RUN) {
+    // Claim one at a time so several server processes never send it twice
+    const delivery = await WebhookDelivery.findOneAndUpdate(
+      {
+        status: 'pending',
+        nextAttemptAt: { $lte: now },
+        $or: [{ lockedUntil: null }, { lockedUntil: { $lt: now } }]
+      },
+      { $set: { lockedUntil: new Date(Date.now() + DELIVERY_LOCK_MS) } },
+      { sort: { nextAttemptAt: 1 }, new: true }
+    );
+    if (!delivery) break;
+
+    const endpoint = await WebhookEndpoint.findById(delivery.endpointId).select('+secret');
+    if (!endpoint || !endpoint.enabled) {
+      delivery.status = 'failed';
+      delivery.error = 'Endpoint was deleted or disabled';
+      delivery.nextAttemptAt = null;
+      delivery.lockedUntil = null;
+      await delivery.save();
+      continue;
+    }
+
+    await attemptDelivery(delivery, endpoint);
+    attempted++;
+  }
+
+  return attempted;
+}
+
+async function runRetryTick() {
+  if (retryState.running) return;
+  retryState.running = true;
+
+  try {
+    await retryPendingDeliveries();
+  } catch (error) {
+    console.error('Webhook retry run failed:', error.message);
+  } finally {
+    retryState.running = false;
+  }
+}
+
+/**
+ * Retry failed deliveries every WEBHOOK_RETRY_INTERVAL_MINUTES (default 1, 0 disables)
+ * Called once from server.js
+ */
+function startWebhookRetryScheduler() {
+  if (retryState.intervalMs !== null) return;
+
+  const minutes = parseFloat(process.env.WEBHOOK_RETRY_INTERVAL_MINUTES || DEFAULT_INTERVAL_MINUTES);
+  if (!(minutes > 0)) {
+    console.log('🪝 Webhook retries disabled');
+    return;
+  }
+  retryState.intervalMs = minutes * 60 * 1000;
+  retryState.timer = setInterval(runRetryTick, retryState.intervalMs);
+
+  console.log(`🪝 Webhook retries checking every ${minutes} min`);
+}
+
+/**
+ * Stop the retry scheduler
+ */
+function stopWebhookRetryScheduler() {
+  clearInterval(retryState.timer);
+  retryState.timer = null;
+  retryState.intervalMs = null;
+}
+
+/**
+ * Endpoint as returned by the API (never includes the secret)
+ */
+function formatEndpoint(endpoint) {
+  return {
+    id: endpoint._id,
+    url: endpoint.url,
+    description: endpoint.description || '',
+    events: endpoint.events,
+    enabled: endpoint.enabled,
+    organizationId: endpoint.organizationId || null,
+    createdBy: endpoint.userId,
+    lastDeliveryAt: endpoint.lastDeliveryAt || null,
+    lastDeliveryStatus: endpoint.lastDeliveryStatus || null,
+    createdAt: endpoint.createdAt
+  };
+}
+
+function formatDelivery(delivery) {
+  return {
+    id: delivery._id,
+    event: delivery.event,
+    eventId: delivery.payload?.id || null,
+    status: delivery.status,
+    attempts: delivery.attempts,
+    responseStatus: delivery.responseStatus || null,
+    responseTimeMs: delivery.responseTimeMs ?? null,
+    error: delivery.error || null,
+    nextAttemptAt: delivery.nextAttemptAt || null,
+    lastAttemptAt: delivery.lastAttemptAt || null,
+    redeliveryOf: delivery.redeliveryOf || null,
+    payload: delivery.payload,
+    createdAt: delivery.createdAt
+  };
+}
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  MAX_ENDPOINTS,
+  createWebhookSecret,
+  signWebhookPayload,
+  verifyWebhookSignature,
+  getRetryDelay,
+  normalizeWebhookInput,
+  buildScanEventData,
+  emitWebhookEvent,
+  redeliverWebhook,
+  retryPendingDeliveries,
+  startWebhookRetryScheduler,
+  stopWebhookRetryScheduler,
+  formatEndpoint,
+  formatDelivery
+};
@@ -1,15 +1,21 @@
 const request = require('supertest');
+const mongoose = require('mongoose');
 const app = require('../../src/app');
 const Scan = require('../../src/models/Scan');
+const User = require('../../src/models/User');
+const { generateToken } = require('../../src/middleware/auth');
+const { createAccessToken, hashAccessToken } = require('../../src/services/scanAccessService');
+const { createApiKey } = require('../../src/services/apiKeyService');
 
 describe('Analyze Routes', () => {
   beforeEach(async () => {
     // Clean up test scans
     await Scan.deleteMany({ url: /test.*example\.com/i });
+    await User.deleteMany({ email: /test.*@example\.com/i });
   });
 
   describe('POST /api/analyze', () => {
-    test('should analyze a valid URL', async () => {
+    test('should queue a valid URL for analysis', async () => {
       const response = await request(app)
         .post('/api/analyze')
         .send({ 
@@ -18,16 +24,16 @@ describe('Analyze Routes', () => {
           fingerprint: 'test-fingerprint-123'
         });
       
-      // Should either succeed or require auth
-      expect([200, 403]).toContain(response.status);
+      // Should either be queued or require auth
+      expect([202, 403]).toContain(response.status);
       
-      if (response.status === 200) {
+      if (response.status === 202) {
         expect(response.body).toHaveProperty('success', true);
-        expect(response.body).toHaveProperty('result');
-        expect(response.body.result).toHaveProperty('seo');
-        expect(response.body.result).toHaveProperty('llmVisibility');
+        expect(response.body).toHaveProperty('scanId');
+        expect(response.body).toHaveProperty('status', 'queued');
+        expect(response.body.progress).toHaveProperty('percent', 0);
       }
-    }, 60000); // 60 second timeout for analysis
+    }, 60000);
 
     test('should reject invalid URL', async () => {
       const response = await request(app)
@@ -42,6 +48,35 @@ describe('Analyze Routes', () => {
       expect(response.body).toHaveProperty('success', false);
     });
 
+    test('should reject an unknown scan mode', async () => {
+      const response = await request(app)
+        .post('/api/analyze')
+        .send({ 
+          url: 'https://example.com',
+          mode: 'everything',
+          visitorId: 'test-visitor-123',
+          fingerprint: 'test-fingerprint-123'
+        });
+      
+      expect(response.status).toBe(400);
+      expect(response.body).toHaveProperty('success', false);
+    });
+
+    test('should not allow crawl mode without Premium', async () => {
+      const response = await request(app)
+        .post('/api/analyze')
+        .send({ 
+          url: 'https://example.com',
+          mode: 'crawl',
+          visitorId: 'test-visitor-crawl',
+          fingerprint: 'test-fingerprint-crawl'
+        });
+      
+      // Anonymous: either the free scan is used up or crawl needs an upgrade
+      expect(response.status).toBe(403);
+      expect(response.body).toHaveProperty('success', false);
+    });
+
     test('should handle timeout errors gracefully', async () => {
       // Test with a URL that might timeout
       const response = await request(app)
@@ -53,7 +88,7 @@ describe('Analyze Routes', () => {
         });
       
       // Should handle timeout or return error
-      expect([200, 400, 500, 503]).toContain(response.status);
+      expect([202, 400, 403, 500, 503]).toContain(response.status);
       
       if (response.body.error) {
         // Error message should be user-friendly
@@ -90,6 +125,155 @@ describe('Analyze Routes', () => {
       }
     }, 60000);
   });
-});
 
+  describe('GET /api/analyze/:scanId', () => {
+    test('should return status and progress for a queued scan to its owner', async () => {
+      const owner = await User.create({ email: 'test-owner@example.com' });
+      const scan = await Scan.create({
+        url: 'https://test-queue.example.com',
+        userId: owner._id,
+        status: 'queued',
+        progress: { stage: 'queued', percent: 0 }
+      });
+      
+      const response = await request(app)
+        .get(`/api/analyze/${scan._id}`)
+        .set('Authorization', `Bearer ${generateToken(owner._id)}`);
+      
+      expect(response.status).toBe(200);
+      expect(response.body).toHaveProperty('status', 'queued');
+      expect(response.body.progress).toHaveProperty('stage', 'queued');
+      expect(response.body.progress).toHaveProperty('percent', 0);
+    });
+
+    test('should return an anonymous scan to the holder of its access token', async () => {
+      const accessToken = createAccessToken();
+      const scan = await Scan.create({
+        url: 'https://test-anonymous.example.com',
+        accessTokenHash: hashAccessToken(accessToken),
+        status: 'queued',
+        progress: { stage: 'queued', percent: 0 }
+      });
+      
+      const response = await request(app)
+        .get(`/api/analyze/${scan._id}`)
+        .set('X-Scan-Token', accessToken);
+      
+      expect(response.status).toBe(200);
+      expect(response.body).toHaveProperty('status', 'queued');
+    });
+
+    test('should return 404 to another user', async () => {
+      const owner = await User.create({ email: 'test-owner@example.com' });
+      const other = await User.create({ email: 'test-other@example.com' });
+      const scan = await Scan.create({
+        url: 'https://test-private.example.com',
+        userId: owner._id,
+        status: 'completed',
+        progress: { stage: 'completed', percent: 100 }
+      });
+      
+      const response = await request(app)
+        .get(`/api/analyze/${scan._id}`)
+        .set('Authorization', `Bearer ${generateToken(other._id)}`);
+      
+      expect(response.status).toBe(404);
+    });
+
+    test('should not let a personal API key read organization scans', async () => {
+      const organizationId = new mongoose.Types.ObjectId();
+      const member = await User.create({ email: 'test-member@example.com', organizationId, organizationRole: 'admin' });
+      const orgScan = await Scan.create({
+        url: 'https://test-org.example.com',
+        userId: member._id,
+        organizationId,
+        status: 'completed',
+        progress: { stage: 'completed', percent: 100 }
+      });
+      const { token: personalKey } = await createApiKey(member, { name: 'Personal', scopes: ['read'] });
+      const { token: organizationKey } = await createApiKey(member, { name: 'Team', scopes: ['read'], organization: true });
+      
+      const personal = await request(app)
+        .get(`/api/analyze/${orgScan._id}`)
+        .set('X-API-Key', personalKey);
+      expect(personal.status).toBe(404);
+      
+      const organization = await request(app)
+        .get(`/api/analyze/${orgScan._id}`)
+        .set('X-API-Key', organizationKey);
+      expect(organization.status).toBe(200);
+    });
+
+    test('should return 404 without an access token or with a wrong one', async () => {
+      const scan = await Scan.create({
+        url: 'https://test-anonymous.example.com',
+        accessTokenHash: hashAccessToken(createAccessToken()),
+        status: 'completed',
+        progress: { stage: 'completed', percent: 100 }
+      });
+      
+      const missing = await request(app).get(`/api/analyze/${scan._id}`);
+      expect(missing.status).toBe(404);
+      
+      const wrong = await request(app)
+        .get(`/api/analyze/${scan._id}`)
+        .set('X-Scan-Token', createAccessToken());
+      expect(wrong.status).toBe(404);
+    });
 
+    test('should return 404 for unknown scan', async () => {
+      const response = await request(app).get('/api/analyze/507f1f77bcf86cd799439011');
+      
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('GET /api/analyze/:scanId/events', () => {
+    test('should stream a snapshot and close for a finished scan', async () => {
+      const accessToken = createAccessToken();
+      const scan = await Scan.create({
+        url: 'https://test-events.example.com',
+        accessTokenHash: hashAccessToken(accessToken),
+        status: 'completed',
+        progress: { stage: 'completed', percent: 100 }
+      });
+      
+      // EventSource can't set headers, so the token goes in the query
+      const response = await request(app).get(`/api/analyze/${scan._id}/events?accessToken=${accessToken}`);
+      
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toMatch(/text\/event-stream/);
+      expect(response.text).toContain('event: snapshot');
+      expect(response.text).toContain('event: done');
+    });
+
+    test('should return 404 to another user or without the access token', async () => {
+      const owner = await User.create({ email: 'test-owner@example.com' });
+      const other = await User.create({ email: 'test-other@example.com' });
+      const scan = await Scan.create({
+        url: 'https://test-events.example.com',
+        userId: owner._id,
+        accessTokenHash: hashAccessToken(createAccessToken()),
+        status: 'completed',
+        progress: { stage: 'completed', percent: 100 }
+      });
+      
+      const otherUser = await request(app)
+        .get(`/api/analyze/${scan._id}/events`)
+        .set('Authorization', `Bearer ${generateToken(other._id)}`);
+      expect(otherUser.status).toBe(404);
+      
+      const missing = await request(app).get(`/api/analyze/${scan._id}/events`);
+      expect(missing.status).toBe(404);
+      
+      const wrong = await request(app).get(`/api/analyze/${scan._id}/events?accessToken=${createAccessToken()}`);
+      expect(wrong.status).toBe(404);
+    });
+
+    test('should return 404 for unknown scan', async () => {
+      const response = await request(app).get('/api/analyze/507f1f77bcf86cd799439011/events');
+      
+      expect(response.status).toBe(404);
+    });
+  });
+});
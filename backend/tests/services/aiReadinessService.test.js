@@ -0,0 +1,88 @@
+const cheerio = require('cheerio');
+const {
+  parseLlmsTxt,
+  parseXRobotsTag,
+  analyzeAiDirectives
+} = require('../../src/services/aiReadinessService');
+
+describe('AI Readiness Service', () => {
+  describe('parseLlmsTxt', () => {
+    test('should parse a well-formed llms.txt', () => {
+      const content = [
+        '# Example Docs',
+        '',
+        '> Example is a tool for building examples.',
+        '',
+        'Start with the quickstart.',
+        '',
+        '## Docs',
+        '- [Quickstart](https://example.com/quickstart): Set up in 5 minutes',
+        '- [API](/api)',
+        '',
+        '## Optional',
+        '- [Changelog](https://example.com/changelog)'
+      ].join('\n');
+      const parsed = parseLlmsTxt(content, 'https://example.com/llms.txt');
+
+      expect(parsed.title).toBe('Example Docs');
+      expect(parsed.summary).toBe('Example is a tool for building examples.');
+      expect(parsed.errors).toEqual([]);
+      expect(parsed.warnings).toEqual([]);
+      expect(parsed.linkCount).toBe(3);
+      expect(parsed.sections[0].links[0].notes).toBe('Set up in 5 minutes');
+      expect(parsed.sections[0].links[1].url).toBe('https://example.com/api');
+      expect(parsed.sections[1].optional).toBe(true);
+    });
+
+    test('should report a missing title and malformed links', () => {
+      const parsed = parseLlmsTxt('## Docs\n- Quickstart: https://example.com/quickstart');
+
+      expect(parsed.title).toBeNull();
+      expect(parsed.errors[0]).toMatch(/Missing H1/);
+      expect(parsed.warnings.join(' ')).toMatch(/not in "- \[name\]\(url\): notes" form/);
+    });
+
+    test('should require the title to come first', () => {
+      const parsed = parseLlmsTxt('Intro text\n# Example');
+
+      expect(parsed.title).toBe('Example');
+      expect(parsed.errors).toContain('H1 title must be the first line');
+    });
+  });
+
+  describe('parseXRobotsTag', () => {
+    test('should split agent-scoped and global directives', () => {
+      const groups = parseXRobotsTag('noimageai, max-snippet: 50, GPTBot: noindex, nofollow');
+
+      expect(groups).toEqual([
+        { agent: null, directives: ['noimageai', 'max-snippet: 50'] },
+        { agent: 'gptbot', directives: ['noindex', 'nofollow'] }
+      ]);
+    });
+  });
+
+  describe('analyzeAiDirectives', () => {
+    test('should combine meta tags and headers', () => {
+      const $ = cheerio.load(`
+        <head>
+          <meta name="robots" content="index, follow, noai">
+          <meta name="ClaudeBot" content="nosnippet">
+          <meta name="description" content="noindex is not a directive here">
+        </head>`);
+      const directives = analyzeAiDirectives($, 'noimageai');
+
+      expect(directives.noai).toBe(true);
+      expect(directives.noimageai).toBe(true);
+      expect(directives.nosnippet).toBe(true);
+      expect(directives.noindex).toBe(false);
+      expect(directives.xRobotsTag).toBe('noimageai');
+    });
+
+    test('should report no restrictions for a plain page', () => {
+      const directives = analyzeAiDirectives(cheerio.load('<head><title>Hi</title></head>'), undefined);
+
+      expect(directives).toMatchObject({ noai: false, noimageai: false, noindex: false, nosnippet: false, xRobotsTag: null });
+      expect(directives.sources).toEqual([]);
+    });
+  });
+});
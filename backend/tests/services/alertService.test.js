@@ -0,0 +1,103 @@
+const { normalizeAlertSettings, evaluateAlertRules, buildAlertEmail, buildAlertEventData } = require('../../src/services/alertService');
+const { diffScans } = require('../../src/services/scanDiffService');
+
+describe('Alert Service', () => {
+  const diff = {
+    url: 'https://example.com',
+    statusCode: { before: 200, after: 404 },
+    seo: {
+      warningsAdded: ['Page has a noindex directive'],
+      warningsResolved: [],
+      changes: [
+        { field: 'title', before: 'Example', after: 'Example | Home' },
+        { field: 'statusCode', before: 200, after: 404 }
+      ],
+      noindex: { before: false, after: true }
+    },
+    visibility: { before: 60, after: 42, delta: -18, comparable: true },
+    citations: {
+      lost: [{ promptId: 'p-1', prompt: 'best crm', citations: ['https://example.com/pricing'] }],
+      gained: []
+    }
+  };
+
+  test('should fire the rules the diff crosses', () => {
+    const events = evaluateAlertRules(diff, [
+      { type: 'visibilityDrop', threshold: 15 },
+      { type: 'noindex' },
+      { type: 'newWarnings', threshold: 2 },
+      { type: 'statusChange' },
+      { type: 'metaChange' },
+      { type: 'citationsLost', threshold: 1 }
+    ]);
+
+    expect(events.map(event => event.type)).toEqual(['visibilityDrop', 'noindex', 'statusChange', 'metaChange', 'citationsLost']);
+    expect(events[0].message).toBe('LLM visibility dropped 18 points (60% → 42%)');
+    expect(events[2].message).toBe('Status code changed from 200 to 404');
+  });
+
+  test('should alert when a page starts returning an error status', () => {
+    const ok = { _id: 'scan-1', url: 'https://example.com', seo: { statusCode: 200, warnings: [] }, llmVisibility: {} };
+    const notFound = { _id: 'scan-2', url: 'https://example.com', seo: { error: 'HTTP 404: Not Found', statusCode: 404, warnings: [] }, llmVisibility: {} };
+
+    const events = evaluateAlertRules(diffScans(ok, notFound), [{ type: 'statusChange' }, { type: 'newWarnings', threshold: 1 }]);
+    expect(events).toEqual([
+      { type: 'statusChange', message: 'Status code changed from 200 to 404', details: { field: 'statusCode', before: 200, after: 404 } }
+    ]);
+  });
+
+  test('should not alert on visibility when the prompt sets differ', () => {
+    const events = evaluateAlertRules(
+      { ...diff, visibility: { ...diff.visibility, comparable: false } },
+      [{ type: 'visibilityDrop', threshold: 15 }]
+    );
+    expect(events).toEqual([]);
+  });
+
+  test('should validate settings and fill default thresholds', () => {
+    const settings = normalizeAlertSettings({
+      enabled: true,
+      rules: [{ type: 'visibilityDrop' }, { type: 'noindex', threshold: 5 }],
+      digest: 'daily'
+    });
+
+    expect(settings.rules).toEqual([{ type: 'visibilityDrop', threshold: 15 }, { type: 'noindex' }]);
+    expect(settings.email).toBe(true);
+    expect(() => normalizeAlertSettings({ rules: [{ type: 'bounceRate' }] })).toThrow('Unknown alert rule');
+    expect(() => normalizeAlertSettings({ rules: [{ type: 'visibilityDrop', threshold: 0 }] })).toThrow('between 1 and 100');
+    // Webhooks are set up as endpoints for the scan.alerts event, not here
+    expect(normalizeAlertSettings({ webhookUrl: 'https://hooks.example.com/x' })).not.toHaveProperty('webhookUrl');
+  });
+
+  test('should start the first digest period when a digest is turned on', () => {
+    const now = new Date('2026-03-01T09:00:00Z');
+
+    expect(normalizeAlertSettings({ digest: 'weekly' }, { digest: 'off' }, now).lastDigestAt).toEqual(now);
+    expect(normalizeAlertSettings({ digest: 'weekly' }, { digest: 'daily' }, now).lastDigestAt).toEqual(now);
+    // Saving other settings doesn't restart the period
+    expect(normalizeAlertSettings({ digest: 'daily' }, { digest: 'daily' }, now)).not.toHaveProperty('lastDigestAt');
+    expect(normalizeAlertSettings({ digest: 'off' }, { digest: 'daily' }, now)).not.toHaveProperty('lastDigestAt');
+  });
+
+  test('should build a digest email with every alert', () => {
+    const email = buildAlertEmail([
+      { url: 'https://example.com', events: [{ message: 'Page is now noindex' }] },
+      { url: 'https://example.com/<b>', events: [{ message: 'Lost 1 citation across 1 prompt' }] }
+    ], { digest: true });
+
+    expect(email.subject).toBe('OptiSenseAI alert digest: 2 alerts for 2 scans');
+    expect(email.html).toContain('https://example.com/&lt;b&gt;');
+    expect(email.text).toContain('- Lost 1 citation across 1 prompt');
+  });
+
+  test('should send alerts as scan.alerts webhook data', () => {
+    const data = buildAlertEventData([
+      { _id: 'alert-1', url: 'https://example.com', scanId: 'scan-2', previousScanId: 'scan-1', userId: 'user-1', status: 'pending', events: [{ type: 'noindex', message: 'Page is now noindex' }] }
+    ], { digest: true });
+
+    expect(data.digest).toBe(true);
+    expect(data.alerts).toEqual([
+      { id: 'alert-1', url: 'https://example.com', scanId: 'scan-2', previousScanId: 'scan-1', createdAt: undefined, events: [{ type: 'noindex', message: 'Page is now noindex' }] }
+    ]);
+  });
+});
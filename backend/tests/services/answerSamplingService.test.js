@@ -0,0 +1,59 @@
+const {
+  resolveSamplingOptions,
+  wilsonInterval,
+  meanInterval,
+  summarizePromptSamples,
+  summarizeScanSampling,
+  classifyStability
+} = require('../../src/services/answerSamplingService');
+
+describe('Answer Sampling Service', () => {
+  test('should resolve sampling options with limits', () => {
+    expect(resolveSamplingOptions({})).toBeNull();
+    expect(resolveSamplingOptions({ samples: 1 })).toBeNull();
+    expect(resolveSamplingOptions({ samples: true })).toEqual({ samples: 5, temperature: 0.7 });
+    expect(resolveSamplingOptions({ samples: '50', temperature: 3 })).toEqual({ samples: 10, temperature: 1.5 });
+  });
+
+  test('should compute Wilson intervals that stay inside 0-100', () => {
+    expect(wilsonInterval(5, 5)).toEqual([56.6, 100]);
+    expect(wilsonInterval(0, 5)).toEqual([0, 43.4]);
+    expect(wilsonInterval(0, 0)).toEqual([0, 100]);
+  });
+
+  test('should compute a t-based interval for the mean', () => {
+    expect(meanInterval([60, 70, 80])).toEqual({ mean: 70, stdDev: 10, ci: [45.2, 94.8] });
+    expect(meanInterval([42]).ci).toBeNull();
+  });
+
+  test('should summarize a prompt per model', () => {
+    const summary = summarizePromptSamples([
+      { model: 'gemini:a', sample: 0, mentioned: true, cited: true, score: 90 },
+      { model: 'gemini:a', sample: 1, mentioned: true, cited: false, score: 60 },
+      { model: 'openrouter:b', sample: 0, mentioned: false, cited: false, score: 0 },
+      { model: 'openrouter:b', sample: 1, mentioned: false, cited: false, score: 0 }
+    ]);
+
+    expect(summary).toMatchObject({ samples: 4, mentionRate: 50, citationRate: 25, meanScore: 37.5 });
+    expect(summary.byModel.map(model => [model.model, model.mentionRate])).toEqual([['gemini:a', 100], ['openrouter:b', 0]]);
+  });
+
+  test('should treat each sample index as a run of the scan', () => {
+    const promptSamples = [
+      [{ sample: 0, score: 80 }, { sample: 1, score: 70 }, { sample: 2, score: 60 }],
+      [{ sample: 0, score: 40 }, { sample: 1, score: 50 }, { sample: 2, score: 60 }]
+    ];
+    const summary = summarizeScanSampling(promptSamples, { samples: 3, temperature: 0.7 });
+
+    expect(summary.runPercentages).toEqual([60, 60, 60]);
+    expect(summary.marginOfError).toBe(0);
+    expect(summary.stability).toBe('stable');
+  });
+
+  test('should classify stability by margin of error', () => {
+    expect(classifyStability(4)).toBe('stable');
+    expect(classifyStability(10)).toBe('moderate');
+    expect(classifyStability(20)).toBe('noisy');
+    expect(classifyStability(null)).toBe('unknown');
+  });
+});
@@ -0,0 +1,54 @@
+const {
+  getRequestApiKey,
+  hasScope,
+  normalizeApiKeyInput,
+  canManageApiKey
+} = require('../../src/services/apiKeyService');
+
+const request = (headers) => ({
+  headers,
+  get: (name) => headers[name.toLowerCase()]
+});
+
+describe('API Key Service', () => {
+  test('should read the key from X-API-Key or a Bearer token', () => {
+    expect(getRequestApiKey(request({ 'x-api-key': 'osk_abc' }))).toBe('osk_abc');
+    expect(getRequestApiKey(request({ authorization: 'Bearer osk_abc' }))).toBe('osk_abc');
+    // Session JWTs are not API keys
+    expect(getRequestApiKey(request({ authorization: 'Bearer eyJhbGciOi' }))).toBeNull();
+    expect(getRequestApiKey(request({}))).toBeNull();
+  });
+
+  test('should let every key read and check the other scopes', () => {
+    const key = { scopes: ['analyze'] };
+
+    expect(hasScope(key, 'read')).toBe(true);
+    expect(hasScope(key, 'analyze')).toBe(true);
+    expect(hasScope(key, 'export')).toBe(false);
+  });
+
+  test('should validate key input', () => {
+    expect(normalizeApiKeyInput({ name: ' CI ', scopes: ['analyze', 'analyze', 'read'] })).toEqual({
+      name: 'CI',
+      scopes: ['analyze', 'read']
+    });
+    expect(normalizeApiKeyInput({ monthlyScanLimit: '50' }, { partial: true })).toEqual({ monthlyScanLimit: 50 });
+    expect(normalizeApiKeyInput({ monthlyScanLimit: '' }, { partial: true })).toEqual({ monthlyScanLimit: null });
+    expect(() => normalizeApiKeyInput({ name: 'CI', scopes: [] })).toThrow('Scopes must be');
+    expect(() => normalizeApiKeyInput({ name: 'CI', scopes: ['admin'] })).toThrow('Scopes must be');
+    expect(() => normalizeApiKeyInput({ scopes: ['read'] })).toThrow('Name is required');
+    expect(() => normalizeApiKeyInput({ monthlyScanLimit: 0 }, { partial: true })).toThrow('Monthly scan limit');
+  });
+
+  test('should let creators and organization admins manage keys', () => {
+    const personalKey = { userId: 'u1', organizationId: null };
+    const orgKey = { userId: 'u1', organizationId: 'org-1' };
+
+    expect(canManageApiKey({ _id: 'u1' }, personalKey)).toBe(true);
+    expect(canManageApiKey({ _id: 'u2' }, personalKey)).toBe(false);
+    expect(canManageApiKey({ _id: 'u2', organizationId: 'org-1', organizationRole: 'admin' }, orgKey)).toBe(true);
+    expect(canManageApiKey({ _id: 'u2', organizationId: 'org-1', organizationRole: 'analyst' }, orgKey)).toBe(false);
+    // The creator loses the key when they leave the organization
+    expect(canManageApiKey({ _id: 'u1', organizationId: null }, orgKey)).toBe(false);
+  });
+});
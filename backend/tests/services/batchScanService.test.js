@@ -0,0 +1,90 @@
+const {
+  extractUrlsFromFile,
+  prepareBatchUrls,
+  estimateBatch,
+  pickItemsToQueue,
+  buildBatchReport,
+  buildExportRows,
+  toCsv
+} = require('../../src/services/batchScanService');
+
+describe('Batch Scan Service', () => {
+  test('should read URLs from CSV and TXT files', () => {
+    const csv = 'Name,Address\n"Home, main",https://example.com/\n"Pricing ""new""",https://example.com/pricing\n';
+    expect(extractUrlsFromFile(csv, 'pages.csv')).toEqual(['https://example.com/', 'https://example.com/pricing']);
+
+    const headerless = 'home,https://example.com\nblog,https://example.com/blog';
+    expect(extractUrlsFromFile(headerless, 'export.csv')).toEqual(['https://example.com', 'https://example.com/blog']);
+
+    const txt = '# Landing pages\nhttps://example.com\n\n  https://example.org/a  \n';
+    expect(extractUrlsFromFile(txt, 'urls.txt')).toEqual(['https://example.com', 'https://example.org/a']);
+    expect(() => extractUrlsFromFile('  ', 'urls.txt')).toThrow('empty');
+  });
+
+  test('should dedupe and validate URLs and estimate the cost', () => {
+    const prepared = prepareBatchUrls([
+      'https://example.com/pricing/',
+      'https://example.com/pricing#plans',
+      'http://localhost:3000',
+      'not a url',
+      'https://example.org'
+    ]);
+
+    expect(prepared.items).toEqual([
+      { url: 'https://example.com/pricing', host: 'example.com' },
+      { url: 'https://example.org/', host: 'example.org' }
+    ]);
+    expect(prepared.duplicates).toBe(1);
+    expect(prepared.invalidCount).toBe(2);
+
+    expect(estimateBatch(prepared, { maxScans: 50, scansUsed: 49 })).toMatchObject({ scansRequired: 2, scansRemaining: 1, hosts: 2, allowed: false });
+    expect(estimateBatch(prepared, { maxScans: 200, scansUsed: 0 }, { maxScans: 10, scansUsed: 4 })).toMatchObject({ scansRemaining: 6, allowed: true });
+    expect(() => prepareBatchUrls(['ftp://example.com'])).toThrow('No valid URLs');
+  });
+
+  test('should limit queued scans per host and per batch', () => {
+    const items = [
+      { url: 'https://a.com/1', host: 'a.com', status: 'queued' },
+      { url: 'https://a.com/2', host: 'a.com', status: 'pending' },
+      { url: 'https://a.com/3', host: 'a.com', status: 'pending' },
+      { url: 'https://b.com/1', host: 'b.com', status: 'pending' },
+      { url: 'https://b.com/2', host: 'b.com', status: 'completed' },
+      { url: 'https://c.com/1', host: 'c.com', status: 'pending' }
+    ];
+
+    expect(pickItemsToQueue(items, 2).map(item => item.url)).toEqual(['https://a.com/2', 'https://b.com/1', 'https://c.com/1']);
+    expect(pickItemsToQueue(items, 1).map(item => item.url)).toEqual(['https://b.com/1', 'https://c.com/1']);
+    expect(pickItemsToQueue(items, 5, 3).map(item => item.url)).toEqual(['https://a.com/2', 'https://a.com/3']);
+  });
+
+  test('should aggregate results and export one row per URL', () => {
+    const batch = {
+      _id: 'batch-1',
+      status: 'completed',
+      items: [
+        { url: 'https://a.com', host: 'a.com', status: 'completed', scanId: 'scan-1' },
+        { url: 'https://a.com/blog', host: 'a.com', status: 'completed', scanId: 'scan-2' },
+        { url: 'https://b.com', host: 'b.com', status: 'failed', scanId: 'scan-3', error: 'Both SEO and LLM analyses failed' }
+      ]
+    };
+    const scans = new Map([
+      ['scan-1', { seo: { title: 'A', warnings: ['Missing meta description'], statusCode: 200, structuredData: { count: 1 } }, llmVisibility: { percentage: 60 } }],
+      ['scan-2', { seo: { title: '=1+1', warnings: ['Missing meta description', 'Missing canonical URL'], statusCode: 200 }, llmVisibility: { percentage: 20 } }]
+    ]);
+
+    const report = buildBatchReport(batch, scans);
+    expect(report.batch.counts).toMatchObject({ total: 3, completed: 2, failed: 1 });
+    expect(report.visibility).toEqual({ average: 40, min: 20, max: 60 });
+    expect(report.topWarnings[0]).toEqual({ warning: 'Missing meta description', category: 'meta', urls: 2 });
+    expect(report.lowestVisibility[0].url).toBe('https://a.com/blog');
+    expect(report.hosts).toEqual([
+      { host: 'a.com', urls: 2, completed: 2, failed: 0, averageVisibility: 40 },
+      { host: 'b.com', urls: 1, completed: 0, failed: 1, averageVisibility: null }
+    ]);
+
+    const lines = toCsv(buildExportRows(batch, scans)).split('\n');
+    expect(lines).toHaveLength(4);
+    expect(lines[2]).toContain('"\'=1+1"');
+    expect(lines[3]).toContain('"Both SEO and LLM analyses failed"');
+  });
+});
@@ -0,0 +1,83 @@
+const {
+  buildBrandFacts,
+  checkAnswerAccuracy,
+  checkFactsByRules,
+  summarizeBrandAccuracy
+} = require('../../src/services/brandAccuracyService');
+
+describe('Brand Accuracy Service', () => {
+  const seo = {
+    title: 'Acme - Project management for agencies',
+    metaDescription: 'Plan, track and bill client work.',
+    extractedText: { summary: 'Acme helps agencies plan projects.', headings: [{ level: 'h1', text: 'Run your agency' }] },
+    structuredData: {
+      organization: {
+        name: 'Acme',
+        alternateNames: [],
+        foundingDate: '2016-03-01',
+        founders: ['Jane Doe'],
+        location: 'Berlin, Germany'
+      }
+    }
+  };
+
+  describe('buildBrandFacts', () => {
+    test('should combine the brand summary, structured data and page', () => {
+      const facts = buildBrandFacts({ brand: 'Acme', domain: 'acme.com', businessInfo: { brandSummary: 'Agency software' }, seo });
+
+      expect(facts.sources).toEqual(['brandSummary', 'structuredData', 'page']);
+      expect(facts.headings).toEqual(['Run your agency']);
+    });
+
+    test('should return null when there is nothing to check against', () => {
+      expect(buildBrandFacts({ brand: 'Acme', domain: 'acme.com', seo: { error: 'timeout' } })).toBeNull();
+    });
+  });
+
+  describe('checkFactsByRules', () => {
+    test('should flag wrong founding year, founder and location', () => {
+      const facts = buildBrandFacts({ brand: 'Acme', domain: 'acme.com', seo });
+      const claims = checkFactsByRules(
+        'Acme is a CRM founded in 2012. It was founded by John Smith. The company is headquartered in Berlin.',
+        facts
+      );
+
+      expect(claims.map(claim => claim.status)).toEqual(['contradicted', 'contradicted', 'supported']);
+      expect(claims[0]).toMatchObject({
+        claim: 'Acme is a CRM founded in 2012.',
+        correction: 'Acme was founded in 2016'
+      });
+      expect(claims[1].correction).toBe('Acme was founded by Jane Doe');
+    });
+  });
+
+  describe('checkAnswerAccuracy', () => {
+    test('should only run the rule-based check when the LLM check is off', async () => {
+      const facts = buildBrandFacts({ brand: 'Acme', domain: 'acme.com', seo });
+      const result = await checkAnswerAccuracy('Acme was founded in 2016 and is based in Munich.', facts, { useLlm: false });
+
+      expect(result.method).toBe('rules');
+      expect(result.claims.map(claim => claim.status)).toEqual(['supported', 'contradicted']);
+      expect(result.accuracy).toBe(0.5);
+    });
+  });
+
+  describe('summarizeBrandAccuracy', () => {
+    test('should score supported claims and merge repeated misinformation', () => {
+      const wrongYear = { claim: 'Founded in 2012', status: 'contradicted', correction: 'Acme was founded in 2016' };
+      const summary = summarizeBrandAccuracy([
+        { prompt: 'What is Acme?', model: 'gemini:a', claims: [wrongYear, { claim: 'Agency software', status: 'supported' }] },
+        { prompt: 'What is Acme?', model: 'openrouter:b', claims: [{ ...wrongYear, claim: 'Started in 2012' }] },
+        { prompt: 'Who uses Acme?', model: 'gemini:a', claims: [{ claim: 'Used by NASA', status: 'unverifiable' }] }
+      ], { sources: ['page'] });
+
+      expect(summary).toMatchObject({ score: 33, supported: 1, contradicted: 2, unverifiable: 1, answersChecked: 3, sources: ['page'] });
+      expect(summary.misinformation).toHaveLength(1);
+      expect(summary.misinformation[0]).toMatchObject({ count: 2, models: ['gemini:a', 'openrouter:b'] });
+    });
+
+    test('should leave the score empty when nothing was checkable', () => {
+      expect(summarizeBrandAccuracy([{ claims: [{ claim: 'x', status: 'unverifiable' }] }]).score).toBeNull();
+    });
+  });
+});
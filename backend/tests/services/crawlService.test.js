@@ -0,0 +1,18 @@
+const { normalizeUrl, resolveCrawlLimits } = require('../../src/services/crawlService');
+
+describe('Crawl Service', () => {
+  describe('normalizeUrl', () => {
+    test('should drop fragments and trailing slashes', () => {
+      expect(normalizeUrl('https://example.com/about/#team')).toBe('https://example.com/about');
+      expect(normalizeUrl('https://Example.com')).toBe('https://example.com/');
+    });
+  });
+
+  describe('resolveCrawlLimits', () => {
+    test('should apply defaults and clamp to the allowed range', () => {
+      expect(resolveCrawlLimits()).toEqual({ maxPages: 25, maxDepth: 3 });
+      expect(resolveCrawlLimits({ maxPages: 1000, maxDepth: 50 })).toEqual({ maxPages: 100, maxDepth: 5 });
+      expect(resolveCrawlLimits({ maxPages: '10', maxDepth: 0 })).toEqual({ maxPages: 10, maxDepth: 0 });
+    });
+  });
+});
@@ -0,0 +1,140 @@
+const {
+  createModelRouter,
+  getTaskModels,
+  parseModelSpec,
+  parseJsonResponse
+} = require('../../src/services/llmClientService');
+const { createProviderError } = require('../../src/services/llmProviderService');
+const { getHealthStatus } = require('../../src/services/modelHealthCheckService');
+
+describe('LLM Client Service', () => {
+  describe('parseModelSpec', () => {
+    test('should split on the first colon only', () => {
+      expect(parseModelSpec('openrouter:mistralai/mistral-7b-instruct:free')).toEqual({
+        provider: 'openrouter',
+        model: 'mistralai/mistral-7b-instruct:free',
+        spec: 'openrouter:mistralai/mistral-7b-instruct:free'
+      });
+    });
+
+    test('should reject unknown providers and bare model names', () => {
+      expect(parseModelSpec('acme:model-1')).toBeNull();
+      expect(parseModelSpec('gemini-2.5-flash')).toBeNull();
+    });
+  });
+
+  describe('parseJsonResponse', () => {
+    test('should strip markdown fences', () => {
+      expect(parseJsonResponse('```json\n{"ok": true}\n```')).toEqual({ ok: true });
+    });
+
+    test('should extract JSON wrapped in prose', () => {
+      expect(parseJsonResponse('Here you go:\n["a", "b"]\nHope this helps')).toEqual(['a', 'b']);
+      expect(parseJsonResponse('Sure! {"summary": "x"} Anything else?')).toEqual({ summary: 'x' });
+    });
+
+    test('should return null for non-JSON text', () => {
+      expect(parseJsonResponse('1. Add a title\n2. Add a description')).toBeNull();
+    });
+  });
+
+  describe('getTaskModels', () => {
+    const originalEnv = { ...process.env };
+
+    afterEach(() => {
+      process.env = { ...originalEnv };
+    });
+
+    test('should prefer the task env var over LLM_DEFAULT_MODELS', async () => {
+      process.env.LLM_DEFAULT_MODELS = 'openai:llama3.1';
+      process.env.LLM_VISIBILITY_MODELS = 'huggingface:meta-llama/Llama-3.1-8B-Instruct, bogus';
+
+      expect((await getTaskModels('visibility')).map(ref => ref.spec))
+        .toEqual(['huggingface:meta-llama/Llama-3.1-8B-Instruct']);
+      expect((await getTaskModels('seoRecommendations')).map(ref => ref.spec))
+        .toEqual(['openai:llama3.1']);
+    });
+
+    test('should fall back to built-in defaults', async () => {
+      delete process.env.LLM_DEFAULT_MODELS;
+      delete process.env.LLM_PROMPT_GENERATION_MODELS;
+
+      expect((await getTaskModels('promptGeneration')).map(ref => ref.spec))
+        .toEqual(['gemini:gemini-2.5-flash']);
+      await expect(getTaskModels('unknownTask')).rejects.toThrow('Unknown LLM task');
+    });
+  });
+
+  describe('createModelRouter', () => {
+    const originalEnv = { ...process.env };
+
+    beforeEach(() => {
+      process.env.GEMINI_API_KEY = 'test-gemini-key';
+      process.env.OPENROUTER_API_KEY = 'test-openrouter-key';
+      delete process.env.HUGGINGFACE_API_KEY;
+      delete process.env.OPENAI_COMPATIBLE_BASE_URL;
+      delete process.env.LLM_DEFAULT_MODELS;
+      delete process.env.LLM_MULTI_VISIBILITY_MODELS;
+      delete process.env.LLM_MODELS_PER_PROVIDER;
+      getHealthStatus().models = {
+        openrouterSherlockDash: { healthy: false, error: 'Rate limited' },
+        openrouterKatCoder: { healthy: true, responseTime: 500 },
+        openrouterSherlockThink: { healthy: true, responseTime: 900 }
+      };
+    });
+
+    afterEach(() => {
+      process.env = { ...originalEnv };
+      getHealthStatus().models = {};
+    });
+
+    test('should skip unhealthy models and keep healthy ones in reserve', async () => {
+      const router = await createModelRouter('multiVisibility');
+
+      expect(router.getActiveModels().map(ref => ref.spec)).toEqual([
+        'gemini:gemini-2.5-flash',
+        'openrouter:mistralai/mistral-7b-instruct:free',
+        'openrouter:kwaipilot/kat-coder-pro:free'
+      ]);
+    });
+
+    test('should replace a failing model with the next reserve, same provider first', async () => {
+      const router = await createModelRouter('multiVisibility');
+
+      const replacement = router.replace({ provider: 'openrouter', model: 'kwaipilot/kat-coder-pro:free', spec: 'openrouter:kwaipilot/kat-coder-pro:free' });
+      expect(replacement.spec).toBe('openrouter:openrouter/sherlock-think-alpha');
+      expect(router.replacements).toEqual([
+        { from: 'openrouter:kwaipilot/kat-coder-pro:free', to: 'openrouter:openrouter/sherlock-think-alpha' }
+      ]);
+
+      // No Gemini reserves - falls back to any remaining healthy model
+      expect(router.replace(router.getActiveModels()[0]).spec).toBe('openrouter:tngtech/deepseek-r1t2-chimera:free');
+      expect(router.replace(router.getActiveModels()[0])).toBeNull();
+      expect(router.getActiveModels()).toHaveLength(2);
+    });
+
+    test('should use a fixed model set without reserves', async () => {
+      const router = await createModelRouter('multiVisibility', {
+        models: ['openrouter:openrouter/sherlock-dash-alpha', 'huggingface:some/model']
+      });
+
+      // Unhealthy models stay in a fixed set, unconfigured providers are dropped
+      expect(router.getActiveModels().map(ref => ref.spec)).toEqual(['openrouter:openrouter/sherlock-dash-alpha']);
+      expect(router.replace(router.getActiveModels()[0])).toBeNull();
+      expect(router.getActiveModels()).toHaveLength(0);
+    });
+  });
+
+  describe('createProviderError', () => {
+    test('should mark rate limits and overload errors as retryable', () => {
+      const rateLimited = createProviderError('openrouter', 'm', { message: 'x', response: { status: 429, data: {} } });
+      expect(rateLimited).toMatchObject({ status: 429, isRateLimit: true, retryable: true });
+
+      const overloaded = createProviderError('gemini', 'm', new Error('[503 Service Unavailable] The model is overloaded'));
+      expect(overloaded).toMatchObject({ status: 503, retryable: true });
+
+      const unauthorized = createProviderError('openrouter', 'm', { message: 'x', response: { status: 401, data: {} } });
+      expect(unauthorized.retryable).toBe(false);
+    });
+  });
+});
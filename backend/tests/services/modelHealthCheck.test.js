@@ -9,7 +9,8 @@ const {
   testHuggingFaceModel,
   testOpenRouterModel,
   getHealthStatus,
-  getHealthyModels
+  getHealthyModels,
+  summarizeHealthHistory
 } = require('../../src/services/modelHealthCheckService');
 
 describe('Model Health Check Service', () => {
@@ -202,5 +203,25 @@ describe('Model Health Check Service', () => {
       }
     });
   });
+  
+  describe('summarizeHealthHistory', () => {
+    it('should compute error rate and average latency per model', () => {
+      const history = summarizeHealthHistory([
+        { key: 'openrouterMistral', model: 'mistralai/mistral-7b-instruct:free', provider: 'openrouter', healthy: true, responseTime: 1000, checkedAt: new Date('2025-01-01T00:00:00Z') },
+        { key: 'openrouterMistral', model: 'mistralai/mistral-7b-instruct:free', provider: 'openrouter', healthy: false, isRateLimit: true, checkedAt: new Date('2025-01-01T01:00:00Z') },
+        { key: 'openrouterMistral', model: 'mistralai/mistral-7b-instruct:free', provider: 'openrouter', healthy: true, responseTime: 2000, checkedAt: new Date('2025-01-01T02:00:00Z') },
+        { key: 'openrouterMistral', model: 'mistralai/mistral-7b-instruct:free', provider: 'openrouter', healthy: true, responseTime: 3000, checkedAt: new Date('2025-01-01T03:00:00Z') }
+      ]);
+      
+      expect(history.openrouterMistral).toMatchObject({
+        checks: 4,
+        failures: 1,
+        rateLimited: 1,
+        errorRate: 25,
+        avgResponseTime: 2000
+      });
+      expect(history.openrouterMistral.points).toHaveLength(4);
+      expect(history.openrouterMistral.points[1]).toMatchObject({ healthy: false, responseTime: null });
+    });
+  });
 });
-
@@ -0,0 +1,53 @@
+const {
+  hasPermission,
+  canAssignRole,
+  getWorkspaceFilter,
+  getWorkspaceFields,
+  restrictToPersonalWorkspace,
+  normalizeInvite
+} = require('../../src/services/organizationService');
+
+describe('Organization Service', () => {
+  test('should check permissions by role', () => {
+    expect(hasPermission({ _id: 'u1', organizationId: null }, 'members:manage')).toBe(true);
+    expect(hasPermission({ _id: 'u1', organizationId: 'org-1', organizationRole: 'viewer' }, 'scans:read')).toBe(true);
+    expect(hasPermission({ _id: 'u1', organizationId: 'org-1', organizationRole: 'viewer' }, 'scans:run')).toBe(false);
+    expect(hasPermission({ _id: 'u1', organizationId: 'org-1', organizationRole: 'analyst' }, 'integrations:manage')).toBe(false);
+    expect(hasPermission({ _id: 'u1', organizationId: 'org-1', organizationRole: 'admin' }, 'integrations:manage')).toBe(true);
+    expect(hasPermission(null, 'scans:read')).toBe(false);
+  });
+
+  test('should only let the owner assign admins', () => {
+    expect(canAssignRole('owner', 'admin')).toBe(true);
+    expect(canAssignRole('admin', 'admin')).toBe(false);
+    expect(canAssignRole('admin', 'viewer')).toBe(true);
+    expect(canAssignRole('analyst', 'viewer')).toBe(false);
+    expect(canAssignRole('owner', 'owner')).toBe(false);
+  });
+
+  test('should scope queries to personal and organization documents', () => {
+    expect(getWorkspaceFilter({ _id: 'u1', organizationId: null })).toEqual({ userId: 'u1', organizationId: null });
+    expect(getWorkspaceFilter({ _id: 'u1', organizationId: 'org-1' })).toEqual({
+      $or: [{ userId: 'u1', organizationId: null }, { organizationId: 'org-1' }]
+    });
+  });
+
+  test('should limit personal API key requests to the personal workspace', () => {
+    const member = { _id: 'u1', organizationId: 'org-1', organizationRole: 'viewer' };
+    restrictToPersonalWorkspace(member);
+
+    expect(getWorkspaceFilter(member)).toEqual({ userId: 'u1', organizationId: null });
+    expect(getWorkspaceFields(member)).toEqual({ userId: 'u1', organizationId: null });
+    expect(hasPermission(member, 'scans:run')).toBe(true);
+    // The user itself is left alone
+    expect(member.organizationId).toBe('org-1');
+  });
+
+  test('should validate invites', () => {
+    expect(normalizeInvite({ email: ' Sam@Example.com ', role: 'viewer' }, 'admin')).toEqual({ email: 'sam@example.com', role: 'viewer' });
+    expect(normalizeInvite({ email: 'sam@example.com' }, 'owner').role).toBe('analyst');
+    expect(() => normalizeInvite({ email: 'not-an-email' }, 'owner')).toThrow('valid email');
+    expect(() => normalizeInvite({ email: 'sam@example.com', role: 'owner' }, 'owner')).toThrow('admin, analyst or viewer');
+    expect(() => normalizeInvite({ email: 'sam@example.com', role: 'admin' }, 'admin')).toThrow('Only the owner');
+  });
+});
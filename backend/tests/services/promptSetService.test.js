@@ -0,0 +1,61 @@
+const {
+  getPromptId,
+  normalizePromptSet,
+  applyPromptSetChanges,
+  renderPrompt
+} = require('../../src/services/promptSetService');
+
+describe('Prompt Set Service', () => {
+  test('should give the same question the same id regardless of case and spacing', () => {
+    expect(getPromptId('Best CRM for  startups?')).toBe(getPromptId('best crm for startups?'));
+    expect(getPromptId('Best CRM for startups?')).not.toBe(getPromptId('Alternatives to {brand}'));
+  });
+
+  test('should normalize a prompt set', () => {
+    const fields = normalizePromptSet({
+      name: '  CRM questions ',
+      tags: ['CRM', 'crm', ' Startups '],
+      prompts: [
+        'Best CRM for startups?',
+        { template: 'What are the best alternatives to {brand}?', category: 'Competitors' },
+        'best crm   for startups?'
+      ]
+    });
+
+    expect(fields.name).toBe('CRM questions');
+    expect(fields.tags).toEqual(['crm', 'startups']);
+    expect(fields.prompts).toHaveLength(2);
+    expect(fields.prompts[1]).toMatchObject({ template: 'What are the best alternatives to {brand}?', category: 'competitors' });
+  });
+
+  test('should reject unknown variables and empty sets', () => {
+    expect(() => normalizePromptSet({ name: 'Set', prompts: ['Who competes with {company}?'] }))
+      .toThrow('Unknown variable {company}');
+    expect(() => normalizePromptSet({ name: 'Set', prompts: [] })).toThrow('at least one prompt');
+    expect(normalizePromptSet({ tags: ['x'] }, { partial: true })).toEqual({ tags: ['x'] });
+  });
+
+  test('should version prompt changes and keep history', () => {
+    const promptSet = {
+      name: 'CRM',
+      version: 1,
+      history: [],
+      prompts: normalizePromptSet({ name: 'CRM', prompts: ['Best CRM for startups?'] }).prompts
+    };
+
+    expect(applyPromptSetChanges(promptSet, { name: 'CRM v2', prompts: promptSet.prompts })).toBe(false);
+    expect(promptSet.version).toBe(1);
+
+    const changes = normalizePromptSet({ prompts: ['Best CRM for small teams?'] }, { partial: true });
+    expect(applyPromptSetChanges(promptSet, changes)).toBe(true);
+    expect(promptSet.version).toBe(2);
+    expect(promptSet.history).toHaveLength(1);
+    expect(promptSet.history[0].prompts[0].template).toBe('Best CRM for startups?');
+  });
+
+  test('should render every variable occurrence', () => {
+    expect(renderPrompt('{brand} vs others: is {brand} good for {topic} on {domain}? {other}', {
+      brand: 'Acme', domain: 'acme.com', topic: 'CRM'
+    })).toBe('Acme vs others: is Acme good for CRM on acme.com? {other}');
+  });
+});
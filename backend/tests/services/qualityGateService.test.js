@@ -0,0 +1,122 @@
+const {
+  categorizeWarning,
+  normalizeGatePolicy,
+  evaluateGate,
+  compareWithBaseline,
+  toJUnit,
+  toSarif
+} = require('../../src/services/qualityGateService');
+
+const seo = {
+  title: 'Example',
+  metaDescription: null,
+  headings: { h1: ['Example'] },
+  robotsMeta: 'noindex, follow',
+  structuredData: { count: 1, schemas: [{ schema: 'Organization' }] },
+  warnings: ['Missing meta description', 'Missing canonical URL', 'Missing Open Graph image']
+};
+
+describe('Quality Gate Service', () => {
+  test('should categorize SEO warnings', () => {
+    expect(categorizeWarning('Missing meta description')).toBe('meta');
+    expect(categorizeWarning('robots.txt blocks AI crawlers from this page: GPTBot')).toBe('ai');
+    expect(categorizeWarning('No structured data (Schema.org) found')).toBe('structuredData');
+    expect(categorizeWarning('Something new')).toBe('other');
+  });
+
+  test('should validate policies', () => {
+    expect(normalizeGatePolicy({ maxWarnings: '5', requireSchema: ['Organization'] })).toMatchObject({
+      maxWarnings: 5,
+      minVisibility: null,
+      allowNoindex: false,
+      requireSchema: ['Organization']
+    });
+    expect(() => normalizeGatePolicy({ maxWarningsByCategory: { spelling: 1 } })).toThrow('Unknown warning category');
+    expect(() => normalizeGatePolicy({ requiredTags: ['keywords'] })).toThrow('requiredTags');
+    expect(() => normalizeGatePolicy({ minVisibility: 120 })).toThrow('minVisibility');
+  });
+
+  test('should fail each check that breaks the policy', () => {
+    const policy = normalizeGatePolicy({
+      maxWarnings: 5,
+      maxWarningsByCategory: { meta: 0 },
+      requiredTags: ['title', 'metaDescription'],
+      requireSchema: ['Organization'],
+      minVisibility: 50,
+      skipLlm: true
+    });
+    const result = evaluateGate('https://example.com', seo, null, policy);
+    const status = Object.fromEntries(result.checks.map(check => [check.id, check.status]));
+
+    expect(result.passed).toBe(false);
+    expect(status).toEqual({
+      maxWarnings: 'passed',
+      warningCategory: 'failed',
+      requiredTags: 'failed',
+      noindex: 'failed',
+      schema: 'passed',
+      minVisibility: 'skipped'
+    });
+  });
+
+  test('should report regressions since the baseline scan', () => {
+    const baselineScan = {
+      _id: 'scan-1',
+      url: 'https://example.com',
+      seo: {
+        loadTimeMs: 1000,
+        images: { total: 4, withAlt: 4, altCoverage: 100 },
+        headings: { h1: ['Example'], h2: 2, h3: 1 },
+        structuredData: { count: 2 },
+        warnings: ['Missing canonical URL']
+      },
+      llmVisibility: { percentage: 60 }
+    };
+    const current = {
+      loadTimeMs: 1200,
+      images: { total: 4, withAlt: 3, altCoverage: 75 },
+      headings: { h1: ['Example'], h2: 0, h3: 1 },
+      structuredData: { count: 2 },
+      warnings: ['Missing canonical URL', 'Missing meta description']
+    };
+    const policy = normalizeGatePolicy({ baseline: { visibilityTolerance: 5 } });
+    const checks = compareWithBaseline(baselineScan, current, { percentage: 50 }, policy.baseline);
+    const status = Object.fromEntries(checks.map(check => [check.id, check.status]));
+
+    expect(status).toEqual({
+      baselineWarnings: 'failed',
+      baselineLoadTime: 'passed',
+      baselineAltCoverage: 'failed',
+      baselineHeadings: 'failed',
+      baselineStructuredData: 'passed',
+      baselineVisibility: 'failed'
+    });
+    expect(checks[0].message).toBe('1 new warning(s): Missing meta description');
+  });
+
+  test('should skip baseline checks without a baseline scan', () => {
+    const policy = normalizeGatePolicy({ baseline: true, allowNoindex: true });
+    expect(policy.baseline).toEqual({ project: null, scanId: null, visibilityTolerance: null, loadTimeTolerance: 25 });
+    expect(() => normalizeGatePolicy({ baseline: { project: 'site', scanId: 'abc' } })).toThrow('either');
+
+    const result = evaluateGate('https://example.com', seo, null, policy, { scan: null, message: 'No completed scan of https://example.com yet' });
+    expect(result.passed).toBe(true);
+    expect(result.checks).toEqual([expect.objectContaining({ id: 'baseline', status: 'skipped' })]);
+    expect(result.baseline).toBeNull();
+  });
+
+  test('should render JUnit and SARIF reports', () => {
+    const result = evaluateGate('https://example.com/?a=1&b=2', seo, { percentage: 60 }, normalizeGatePolicy({ minVisibility: 50 }));
+    const verdict = { passed: false, summary: { urls: 1, passed: 0, failed: 1 }, results: [result], ranAt: '2026-01-01T00:00:00.000Z', executionTimeMs: 1200 };
+
+    const junit = toJUnit(verdict);
+    expect(junit).toContain('<testsuites name="OptiSenseAI quality gate" tests="2" failures="1" skipped="0" time="1.200">');
+    expect(junit).toContain('classname="https://example.com/?a=1&amp;b=2"');
+    expect(junit).toContain('<failure message="Page has a noindex directive" type="noindex">');
+
+    const sarif = toSarif(verdict);
+    expect(sarif.version).toBe('2.1.0');
+    expect(sarif.runs[0].results.filter(item => item.level === 'error').map(item => item.ruleId)).toEqual(['noindex']);
+    expect(sarif.runs[0].results.filter(item => item.level === 'note')).toHaveLength(3);
+  });
+});
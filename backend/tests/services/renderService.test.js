@@ -0,0 +1,32 @@
+const { compareRenderedContent } = require('../../src/services/renderService');
+
+describe('Render Service', () => {
+  describe('compareRenderedContent', () => {
+    const pageUrl = 'https://example.com/';
+
+    test('should flag content that only exists after JavaScript runs', () => {
+      const raw = '<html><head><title></title></head><body><div id="root"></div><script>app()</script></body></html>';
+      const rendered = `<html><head><title>Acme Shoes</title>
+        <meta name="description" content="Running shoes">
+        <script type="application/ld+json">{"@type":"Organization"}</script></head>
+        <body><div id="root"><h1>Acme</h1><p>Fast, light running shoes for every runner.</p>
+        <a href="/shop">Shop</a><a href="https://other.com">Other</a></div></body></html>`;
+      const result = compareRenderedContent(raw, rendered, pageUrl);
+
+      expect(result.jsOnly).toEqual(['title', 'metaDescription', 'h1', 'structuredData']);
+      expect(result.raw.wordCount).toBe(0);
+      expect(result.rendered.links).toEqual({ internal: 1, external: 1 });
+      expect(result.rawTextRatio).toBe(0);
+      expect(result.changes.map(change => change.field)).toContain('links');
+    });
+
+    test('should report no changes for a server-rendered page', () => {
+      const html = '<html><head><title>Acme</title></head><body><h1>Acme</h1><p>Hello world</p></body></html>';
+      const result = compareRenderedContent(html, html, pageUrl);
+
+      expect(result.changes).toEqual([]);
+      expect(result.jsOnly).toEqual([]);
+      expect(result.rawTextRatio).toBe(100);
+    });
+  });
+});
@@ -0,0 +1,105 @@
+const {
+  parseRobotsTxt,
+  getGroupForAgent,
+  isAllowed,
+  evaluateCrawlers
+} = require('../../src/services/robotsTxtService');
+
+describe('Robots.txt Service', () => {
+  const robotsTxt = [
+    '# Example robots.txt',
+    'User-agent: *',
+    'Disallow: /admin',
+    'Allow: /admin/public',
+    'Disallow: /*.php$',
+    'Crawl-delay: 2',
+    '',
+    'User-agent: GPTBot',
+    'User-agent: CCBot',
+    'Disallow: /',
+    '',
+    'User-agent: Googlebot',
+    'Disallow: /private',
+    '',
+    'User-agent: googlebot',
+    'Disallow: /drafts',
+    '',
+    'Sitemap: https://example.com/sitemap.xml'
+  ].join('\n');
+  const parsed = parseRobotsTxt(robotsTxt);
+
+  describe('parseRobotsTxt', () => {
+    test('should parse groups, shared user agents and sitemaps', () => {
+      expect(parsed.groups).toHaveLength(4);
+      expect(parsed.groups[1].agents).toEqual(['gptbot', 'ccbot']);
+      expect(parsed.groups[0].crawlDelay).toBe(2);
+      expect(parsed.sitemaps).toEqual(['https://example.com/sitemap.xml']);
+    });
+
+    test('should count rules outside any group as invalid', () => {
+      const result = parseRobotsTxt('Disallow: /\nnot a directive');
+      
+      expect(result.groups).toHaveLength(0);
+      expect(result.invalidLines).toBe(2);
+    });
+  });
+
+  describe('getGroupForAgent', () => {
+    test('should merge groups naming the same agent case-insensitively', () => {
+      const group = getGroupForAgent(parsed, 'Googlebot');
+      
+      expect(group.matchedAgent).toBe('googlebot');
+      expect(group.rules.map(rule => rule.path)).toEqual(['/private', '/drafts']);
+    });
+
+    test('should fall back to the * group', () => {
+      const group = getGroupForAgent(parsed, 'ClaudeBot');
+      
+      expect(group.matchedAgent).toBe('*');
+      expect(group.crawlDelay).toBe(2);
+    });
+
+    test('should not apply the * group to agents with their own group', () => {
+      expect(isAllowed(parsed, '/admin/settings', 'Googlebot')).toBe(true);
+    });
+  });
+
+  describe('isAllowed', () => {
+    test('should apply longest match with Allow winning ties', () => {
+      expect(isAllowed(parsed, '/', 'Bingbot')).toBe(true);
+      expect(isAllowed(parsed, '/admin/settings', 'Bingbot')).toBe(false);
+      expect(isAllowed(parsed, '/admin/public/page', 'Bingbot')).toBe(true);
+      expect(isAllowed(parseRobotsTxt('User-agent: *\nDisallow: /x\nAllow: /x'), '/x', 'Bingbot')).toBe(true);
+    });
+
+    test('should support * wildcards and $ anchors', () => {
+      expect(isAllowed(parsed, '/index.php', 'Bingbot')).toBe(false);
+      expect(isAllowed(parsed, '/index.php?x=1', 'Bingbot')).toBe(true);
+      expect(isAllowed(parseRobotsTxt('User-agent: *\nDisallow: /*/print'), '/blog/print/1', 'Bingbot')).toBe(false);
+    });
+
+    test('should always allow robots.txt itself', () => {
+      expect(isAllowed(parsed, '/robots.txt', 'GPTBot')).toBe(true);
+    });
+
+    test('should allow everything when there are no rules', () => {
+      expect(isAllowed(parseRobotsTxt(''), '/anything', 'GPTBot')).toBe(true);
+      expect(isAllowed(parseRobotsTxt('User-agent: *\nDisallow:'), '/anything', 'GPTBot')).toBe(true);
+    });
+  });
+
+  describe('evaluateCrawlers', () => {
+    test('should report blocked AI crawlers for a page', () => {
+      const crawlers = evaluateCrawlers(parsed, '/blog/post');
+      const byName = Object.fromEntries(crawlers.map(crawler => [crawler.name, crawler]));
+      
+      expect(byName.GPTBot.allowed).toBe(false);
+      expect(byName.GPTBot.blockedSiteWide).toBe(true);
+      expect(byName.GPTBot.matchedRule).toBe('Disallow: /');
+      expect(byName.CCBot.allowed).toBe(false);
+      expect(byName.ClaudeBot.allowed).toBe(true);
+      expect(byName.Googlebot.allowed).toBe(true);
+      expect(byName['Google-Extended'].matchedGroup).toBe('*');
+    });
+  });
+});
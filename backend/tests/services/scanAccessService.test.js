@@ -0,0 +1,87 @@
+const {
+  createAccessToken,
+  hashAccessToken,
+  canReadScan,
+  resolveShareExpiry,
+  isShareLinkActive,
+  canRevokeShareLink,
+  toSharedReport
+} = require('../../src/services/scanAccessService');
+const { restrictToPersonalWorkspace } = require('../../src/services/organizationService');
+
+describe('Scan Access Service', () => {
+  test('should let only the owner or the access token holder read a scan', () => {
+    const token = createAccessToken();
+    const ownedScan = { userId: 'user-1' };
+    const anonymousScan = { userId: null, accessTokenHash: hashAccessToken(token) };
+
+    expect(canReadScan(ownedScan, { user: { _id: 'user-1' } })).toBe(true);
+    expect(canReadScan(ownedScan, { user: { _id: 'user-2' } })).toBe(false);
+    expect(canReadScan(ownedScan, {})).toBe(false);
+    expect(canReadScan(anonymousScan, { accessToken: token })).toBe(true);
+    expect(canReadScan(anonymousScan, { accessToken: createAccessToken() })).toBe(false);
+    expect(canReadScan(anonymousScan, { user: { _id: 'user-1' } })).toBe(false);
+  });
+
+  test('should let every member of the organization read its scans', () => {
+    const orgScan = { userId: 'user-1', organizationId: 'org-1' };
+
+    expect(canReadScan(orgScan, { user: { _id: 'user-2', organizationId: 'org-1' } })).toBe(true);
+    expect(canReadScan(orgScan, { user: { _id: 'user-3', organizationId: 'org-2' } })).toBe(false);
+    // The member who ran it loses access after leaving
+    expect(canReadScan(orgScan, { user: { _id: 'user-1', organizationId: null } })).toBe(false);
+
+    // Personal API keys only reach their creator's personal scans
+    const keyUser = { _id: 'user-2', organizationId: 'org-1' };
+    restrictToPersonalWorkspace(keyUser);
+    expect(canReadScan(orgScan, { user: keyUser })).toBe(false);
+    expect(canReadScan({ userId: 'user-2', organizationId: null }, { user: keyUser })).toBe(true);
+  });
+
+  test('should resolve share link expiry', () => {
+    const now = new Date('2026-01-01T00:00:00Z');
+
+    expect(resolveShareExpiry(undefined, now)).toEqual(new Date('2026-01-31T00:00:00Z'));
+    expect(resolveShareExpiry('7', now)).toEqual(new Date('2026-01-08T00:00:00Z'));
+    expect(resolveShareExpiry(0, now)).toBeNull();
+    expect(() => resolveShareExpiry(400, now)).toThrow('between 1 and 365');
+    expect(() => resolveShareExpiry(1.5, now)).toThrow();
+  });
+
+  test('should treat revoked and expired links as inactive', () => {
+    const now = new Date('2026-01-10T00:00:00Z');
+
+    expect(isShareLinkActive({ expiresAt: null, revokedAt: null }, now)).toBe(true);
+    expect(isShareLinkActive({ expiresAt: new Date('2026-01-09T00:00:00Z') }, now)).toBe(false);
+    expect(isShareLinkActive({ expiresAt: null, revokedAt: new Date('2026-01-05T00:00:00Z') }, now)).toBe(false);
+  });
+
+  test('should leave private data out of shared reports', () => {
+    const report = toSharedReport({
+      url: 'https://example.com',
+      userId: 'user-1',
+      options: { businessInfo: { brandSummary: 'Internal' } },
+      integrations: { searchConsole: { clicks: 10 } },
+      seo: { title: 'Example', extractedText: { fullText: 'Page text' } },
+      llmVisibility: { percentage: 40 }
+    });
+
+    expect(report).toMatchObject({ url: 'https://example.com', seo: { title: 'Example' }, llmVisibility: { percentage: 40 } });
+    expect(report.seo.extractedText).toBeUndefined();
+    expect(report).not.toHaveProperty('userId');
+    expect(report).not.toHaveProperty('options');
+    expect(report).not.toHaveProperty('integrations');
+  });
+
+  test('should let the creator or an organization admin revoke a share link', () => {
+    const link = { userId: 'user-1' };
+    const orgScan = { organizationId: 'org-1' };
+    const admin = { _id: 'user-2', organizationId: 'org-1', organizationRole: 'admin' };
+
+    expect(canRevokeShareLink(link, orgScan, { _id: 'user-1' })).toBe(true);
+    expect(canRevokeShareLink(link, orgScan, admin)).toBe(true);
+    expect(canRevokeShareLink(link, orgScan, { ...admin, organizationRole: 'analyst' })).toBe(false);
+    expect(canRevokeShareLink(link, orgScan, { ...admin, organizationId: 'org-2' })).toBe(false);
+    expect(canRevokeShareLink(link, { organizationId: null }, admin)).toBe(false);
+  });
+});
@@ -0,0 +1,161 @@
+const { diffScans, compareScans, isNoindex, getStatusCode } = require('../../src/services/scanDiffService');
+
+describe('Scan Diff Service', () => {
+  const previous = {
+    _id: 'scan-1',
+    url: 'https://example.com',
+    seo: {
+      title: 'Example',
+      metaDescription: 'Old description',
+      statusCode: 200,
+      warnings: ['Missing H1 tag', 'Missing canonical URL'],
+      aiReadiness: { directives: { noindex: false } }
+    },
+    llmVisibility: {
+      percentage: 60,
+      promptSet: { id: 'set-1', version: 1 },
+      details: [
+        { promptId: 'p-1', prompt: 'best crm', citations: ['https://example.com/', 'https://example.com/pricing'] },
+        { promptId: 'p-2', prompt: 'crm pricing', citations: ['https://example.com/pricing'] }
+      ]
+    }
+  };
+
+  const current = {
+    _id: 'scan-2',
+    url: 'https://example.com',
+    seo: {
+      title: 'Example',
+      metaDescription: 'New description',
+      statusCode: 200,
+      warnings: ['Missing H1 tag', 'Page has a noindex directive'],
+      aiReadiness: { directives: { noindex: true } }
+    },
+    llmVisibility: {
+      percentage: 42.5,
+      promptSet: { id: 'set-1', version: 1 },
+      details: [
+        { promptId: 'p-1', prompt: 'best crm', citations: ['https://example.com/', 'https://example.com/blog'] },
+        { promptId: 'p-2', prompt: 'crm pricing', error: 'timeout', citations: [] }
+      ]
+    }
+  };
+
+  test('should report SEO warnings, field changes and noindex', () => {
+    const diff = diffScans(previous, current);
+
+    expect(diff.seo.warningsAdded).toEqual(['Page has a noindex directive']);
+    expect(diff.seo.warningsResolved).toEqual(['Missing canonical URL']);
+    expect(diff.seo.changes).toEqual([{ field: 'metaDescription', before: 'Old description', after: 'New description' }]);
+    expect(diff.seo.noindex).toEqual({ before: false, after: true });
+  });
+
+  test('should compare visibility and per-prompt citations, skipping failed prompts', () => {
+    const diff = diffScans(previous, current);
+
+    expect(diff.visibility).toEqual({ before: 60, after: 42.5, delta: -17.5, comparable: true });
+    expect(diff.citations.lost).toEqual([{ promptId: 'p-1', prompt: 'best crm', citations: ['https://example.com/pricing'] }]);
+    expect(diff.citations.gained).toEqual([{ promptId: 'p-1', prompt: 'best crm', citations: ['https://example.com/blog'] }]);
+  });
+
+  test('should mark visibility incomparable across prompt set versions and skip failed SEO', () => {
+    const diff = diffScans(previous, {
+      ...current,
+      seo: { error: 'Request timed out' },
+      llmVisibility: { ...current.llmVisibility, promptSet: { id: 'set-1', version: 2 } }
+    });
+
+    expect(diff.visibility.comparable).toBe(false);
+    expect(diff.seo).toBeNull();
+  });
+
+  test('should compare status codes when SEO analysis failed on an error status', () => {
+    const diff = diffScans(previous, { ...current, seo: { error: 'HTTP 404: Not Found', statusCode: 404 } });
+
+    expect(diff.statusCode).toEqual({ before: 200, after: 404 });
+    expect(diff.seo).toBeNull();
+    expect(diffScans(previous, current).statusCode).toBeNull();
+    // Older failed scans only kept the status in the message; unreachable pages have none
+    expect(getStatusCode({ error: 'HTTP 500: Internal Server Error', statusCode: null })).toBe(500);
+    expect(diffScans(previous, { ...current, seo: { error: 'Domain not found (DNS resolution failed)' } }).statusCode).toBeNull();
+  });
+
+  test('should compare visibility across scoring versions on the v1 scale', () => {
+    const v2 = { ...current.llmVisibility, scoringVersion: 2, percentage: 85, legacyPercentage: 50 };
+    const diff = diffScans(previous, { ...current, llmVisibility: v2 });
+
+    expect(diff.visibility).toEqual({ before: 60, after: 50, delta: -10, comparable: true });
+    // Without the v1 percentage the scales can't be matched
+    expect(diffScans(previous, { ...current, llmVisibility: { ...v2, legacyPercentage: undefined } }).visibility)
+      .toEqual({ before: null, after: null, delta: null, comparable: false });
+  });
+
+  test('should compare answer scores across scoring versions on the v1 scale', () => {
+    const scored = (scan, llm) => ({ ...scan, llmVisibility: { ...scan.llmVisibility, ...llm } });
+    const diff = compareScans(
+      scored(previous, { details: [{ promptId: 'p-1', prompt: 'best crm', response: 'Example', score: 2 }] }),
+      scored(current, {
+        scoringVersion: 2,
+        details: [{ promptId: 'p-1', prompt: 'best crm', response: 'Example', score: 72, legacyScore: 2 }]
+      })
+    );
+
+    expect(diff.answers[0]).toMatchObject({ scoreDelta: 0, status: 'unchanged' });
+  });
+
+  test('should fall back to robots meta for older scans', () => {
+    expect(isNoindex({ robotsMeta: 'noindex, follow' })).toBe(true);
+    expect(isNoindex({ robotsMeta: 'index, follow' })).toBe(false);
+  });
+
+  test('should compare structured data, headings, page text, answers and recommendations', () => {
+    const withPage = (scan, page) => ({ ...scan, seo: { ...scan.seo, ...page.seo }, recommendations: page.recommendations });
+    const diff = compareScans(
+      withPage(previous, {
+        seo: {
+          headings: { h1: ['CRM for startups'] },
+          structuredData: { count: 1, schemas: [{ schema: 'Organization' }], richResults: [] },
+          extractedText: {
+            fullText: 'Simple CRM for startups. Pricing starts free.',
+            paragraphs: ['Simple CRM for startups.'],
+            headings: [{ level: 'h1', text: 'CRM for startups' }]
+          }
+        },
+        recommendations: [{ title: 'Add FAQ schema', priority: 'high' }, { title: 'Add llms.txt', priority: 'low' }]
+      }),
+      withPage(current, {
+        seo: {
+          headings: { h1: ['CRM for startups'] },
+          structuredData: {
+            count: 2,
+            schemas: [{ schema: 'Organization' }, { schema: 'FAQPage', richResult: 'FAQ' }],
+            richResults: [{ type: 'FAQ', eligible: true }]
+          },
+          extractedText: {
+            fullText: 'Simple CRM for startups. Pricing starts free. Frequently asked questions.',
+            paragraphs: ['Simple CRM for startups.', 'Frequently asked questions.'],
+            headings: [{ level: 'h1', text: 'CRM for startups' }, { level: 'h2', text: 'FAQ' }]
+          }
+        },
+        recommendations: [{ title: 'add llms.txt', priority: 'low' }]
+      })
+    );
+
+    expect(diff.structuredData).toMatchObject({
+      schemasAdded: ['FAQPage'],
+      schemasRemoved: [],
+      richResults: [{ type: 'FAQ', before: null, after: true }]
+    });
+    expect(diff.headings).toEqual({ h1: null, added: [{ level: 'h2', text: 'FAQ' }], removed: [] });
+    expect(diff.text).toMatchObject({ wordsBefore: 7, wordsAfter: 10, wordsAdded: 3, wordsRemoved: 0, similarity: 82 });
+    expect(diff.text.topAdded.map(term => term.word)).toEqual(['asked', 'frequently', 'questions']);
+    expect(diff.text.paragraphsAdded).toEqual(['Frequently asked questions.']);
+    expect(diff.answers.map(answer => [answer.promptId, answer.status])).toEqual([['p-1', 'changed'], ['p-2', 'changed']]);
+    expect(diff.answers[0].citationsLost).toEqual(['https://example.com/pricing']);
+    expect(diff.recommendations).toEqual({
+      added: [],
+      resolved: [{ title: 'Add FAQ schema', priority: 'high' }],
+      unchanged: 1
+    });
+  });
+});
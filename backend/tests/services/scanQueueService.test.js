@@ -0,0 +1,33 @@
+const Scan = require('../../src/models/Scan');
+const { recoverStuckScans, isScanFinished } = require('../../src/services/scanQueueService');
+
+describe('Scan Queue Service', () => {
+  test('should close out completed scans stuck generating recommendations', async () => {
+    const staleAt = new Date(Date.now() - 10 * 60 * 1000);
+    const stuck = await Scan.create({
+      url: 'https://test-stuck.example.com',
+      status: 'completed',
+      progress: { stage: 'recommendations', percent: 90, message: 'Generating recommendations', updatedAt: staleAt }
+    });
+    const running = await Scan.create({
+      url: 'https://test-running.example.com',
+      status: 'completed',
+      progress: { stage: 'recommendations', percent: 90, message: 'Generating recommendations', updatedAt: new Date() }
+    });
+
+    const result = await recoverStuckScans();
+    expect(result.recommendationsClosed).toBe(1);
+
+    const closed = await Scan.findById(stuck._id);
+    expect(closed.status).toBe('completed');
+    expect(closed.progress.stage).toBe('completed');
+    expect(closed.progress.percent).toBe(100);
+    expect(closed.progress.message).toBe('Analysis complete (recommendations unavailable)');
+    expect(isScanFinished(closed)).toBe(true);
+
+    // Still within the stale window: left for the worker to finish
+    const untouched = await Scan.findById(running._id);
+    expect(untouched.progress.stage).toBe('recommendations');
+    expect(isScanFinished(untouched)).toBe(false);
+  });
+});
@@ -0,0 +1,30 @@
+const { getNextRunAt, normalizeModels, isScheduleMember } = require('../../src/services/scheduledScanService');
+
+describe('Scheduled Scan Service', () => {
+  test('should schedule the next run by frequency', () => {
+    const from = new Date('2026-01-31T09:00:00Z');
+
+    expect(getNextRunAt('daily', from).toISOString()).toBe('2026-02-01T09:00:00.000Z');
+    expect(getNextRunAt('weekly', from).toISOString()).toBe('2026-02-07T09:00:00.000Z');
+    // Clamped to the end of shorter months
+    expect(getNextRunAt('monthly', from).toISOString()).toBe('2026-02-28T09:00:00.000Z');
+    expect(() => getNextRunAt('hourly', from)).toThrow('Unknown frequency');
+  });
+
+  test('should validate model specs', () => {
+    expect(normalizeModels(undefined)).toEqual([]);
+    expect(normalizeModels(['Gemini:gemini-2.5-flash', 'gemini:gemini-2.5-flash'])).toEqual(['gemini:gemini-2.5-flash']);
+    expect(() => normalizeModels(['gpt-4o'])).toThrow('Invalid model');
+  });
+
+  test('should only run organization schedules for current members', () => {
+    const member = { organizationId: 'org-1' };
+
+    expect(isScheduleMember({ organizationId: 'org-1' }, member)).toBe(true);
+    expect(isScheduleMember({ organizationId: 'org-2' }, member)).toBe(false);
+    expect(isScheduleMember({ organizationId: 'org-1' }, { organizationId: null })).toBe(false);
+    // Personal schedules, and ones created before the workspace was stored
+    expect(isScheduleMember({ organizationId: null }, member)).toBe(true);
+    expect(isScheduleMember({}, { organizationId: null })).toBe(true);
+  });
+});
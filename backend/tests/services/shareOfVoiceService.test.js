@@ -0,0 +1,80 @@
+const {
+  createEntityResolver,
+  extractMentions,
+  buildShareOfVoice,
+  normalizeCompetitors
+} = require('../../src/services/shareOfVoiceService');
+
+describe('Share of Voice Service', () => {
+  const createResolver = () => createEntityResolver({
+    brand: 'OptiSense',
+    domain: 'https://www.optisense.ai',
+    competitors: [{ name: 'HubSpot', domain: 'hubspot.com', aliases: ['HubSpot CRM'] }]
+  });
+
+  describe('extractMentions', () => {
+    test('should map aliases and domains to the pinned competitor', () => {
+      const resolver = createResolver();
+      const mentions = extractMentions('', {
+        description: 'Try HubSpot CRM first. Salesforce is an alternative. OptiSense audits AI visibility.',
+        citations: ['https://blog.hubspot.com/guide'],
+        mentions: [{ name: 'Salesforce', domain: 'salesforce.com' }, { name: 'HubSpot CRM' }]
+      }, resolver);
+
+      expect(mentions.map(mention => [mention.name, mention.position])).toEqual([
+        ['HubSpot', 1],
+        ['Salesforce', 2],
+        ['OptiSense', 3]
+      ]);
+      expect(mentions[0]).toMatchObject({ isPinned: true, domain: 'hubspot.com', context: 'Try HubSpot CRM first.' });
+      expect(mentions[2].isOwn).toBe(true);
+    });
+
+    test('should pick bare domains out of plain text answers', () => {
+      const mentions = extractMentions('Use ahrefs.com or Node.js tooling, e.g. semrush.com.', null, createResolver());
+
+      expect(mentions.map(mention => mention.domain)).toEqual(['ahrefs.com', 'semrush.com']);
+    });
+  });
+
+  describe('buildShareOfVoice', () => {
+    test('should count mentions across prompts and models', () => {
+      const resolver = createResolver();
+      const answers = [
+        { promptId: 'p1', prompt: 'Best CRM?', model: 'gemini:a', text: 'HubSpot and optisense.ai.' },
+        { promptId: 'p1', prompt: 'Best CRM?', model: 'openrouter:b', text: 'HubSpot is the leader.' },
+        { promptId: 'p2', prompt: 'SEO tools?', model: 'gemini:a', text: 'Ahrefs.com then HubSpot.' }
+      ].map(answer => ({ ...answer, mentions: extractMentions(answer.text, null, resolver) }));
+
+      const shareOfVoice = buildShareOfVoice(answers);
+      const hubspot = shareOfVoice.entities.find(entity => entity.name === 'HubSpot');
+
+      expect(shareOfVoice.totalAnswers).toBe(3);
+      expect(shareOfVoice.totalMentions).toBe(5);
+      expect(hubspot).toMatchObject({
+        mentions: 3,
+        shareOfVoice: 60,
+        promptCount: 2,
+        firstPlaceCount: 2,
+        mentionedWithoutUs: 2,
+        avgPosition: 1.3
+      });
+      expect(hubspot.models).toEqual(['gemini:a', 'openrouter:b']);
+      expect(shareOfVoice.own).toMatchObject({ mentions: 1, avgPosition: 2 });
+    });
+  });
+
+  describe('normalizeCompetitors', () => {
+    test('should clean domains and aliases', () => {
+      expect(normalizeCompetitors([{ name: ' Acme ', domain: 'https://www.Acme.com/pricing', aliases: ['Acme CRM', 'Acme CRM', 'x'] }]))
+        .toEqual([{ name: 'Acme', domain: 'acme.com', aliases: ['Acme CRM'] }]);
+    });
+
+    test('should reject malformed lists', () => {
+      expect(() => normalizeCompetitors('Acme')).toThrow('must be an array');
+      expect(() => normalizeCompetitors([{ name: 'A' }])).toThrow('at least 2 characters');
+      expect(() => normalizeCompetitors([{ name: 'Acme', domain: 'not a domain' }])).toThrow('Invalid domain');
+      expect(() => normalizeCompetitors(new Array(11).fill({ name: 'Acme' }))).toThrow('up to 10');
+    });
+  });
+});
@@ -0,0 +1,90 @@
+const {
+  parseSitemapXml,
+  isValidLastmod,
+  pickSample
+} = require('../../src/services/sitemapService');
+
+describe('Sitemap Service', () => {
+  const NS = 'http://www.sitemaps.org/schemas/sitemap/0.9';
+
+  describe('parseSitemapXml', () => {
+    test('should parse a urlset and flag invalid entries', () => {
+      const xml = `<?xml version="1.0" encoding="UTF-8"?>
+        <urlset xmlns="${NS}">
+          <url><loc>https://example.com/</loc><lastmod>2024-05-01</lastmod></url>
+          <url><loc>https://example.com/about</loc><lastmod>01/05/2024</lastmod></url>
+          <url><loc>https://other.com/page</loc></url>
+          <url><loc>https://example.com/blog</loc><changefreq>sometimes</changefreq><priority>2</priority></url>
+          <url><lastmod>2024-05-01</lastmod></url>
+        </urlset>`;
+      const parsed = parseSitemapXml(xml, 'example.com');
+
+      expect(parsed.type).toBe('urlset');
+      expect(parsed.errors).toEqual([]);
+      expect(parsed.entries.map(entry => entry.loc)).toContain('https://example.com/about');
+      expect(parsed.issues.invalidLastmod.count).toBe(1);
+      expect(parsed.issues.otherHostUrls.examples).toEqual(['https://other.com/page']);
+      expect(parsed.issues.invalidChangefreq.count).toBe(1);
+      expect(parsed.issues.invalidPriority.count).toBe(1);
+      expect(parsed.issues.missingLoc.count).toBe(1);
+    });
+
+    test('should list child sitemaps of an index', () => {
+      const xml = `<sitemapindex xmlns="${NS}">
+          <sitemap><loc>https://example.com/sitemap-posts.xml.gz</loc></sitemap>
+          <sitemap><loc>https://example.com/sitemap-pages.xml</loc></sitemap>
+        </sitemapindex>`;
+      const parsed = parseSitemapXml(xml, 'example.com');
+
+      expect(parsed.type).toBe('sitemapindex');
+      expect(parsed.childSitemaps).toEqual([
+        'https://example.com/sitemap-posts.xml.gz',
+        'https://example.com/sitemap-pages.xml'
+      ]);
+    });
+
+    test('should reject documents that are not sitemaps', () => {
+      const parsed = parseSitemapXml('<html><body>Not found</body></html>', 'example.com');
+
+      expect(parsed.type).toBeNull();
+      expect(parsed.errors.length).toBeGreaterThan(0);
+    });
+
+    test('should flag a missing namespace', () => {
+      const parsed = parseSitemapXml('<urlset><url><loc>https://example.com/</loc></url></urlset>', 'example.com');
+
+      expect(parsed.type).toBe('urlset');
+      expect(parsed.errors[0]).toMatch(/namespace/);
+    });
+  });
+
+  describe('isValidLastmod', () => {
+    test('should accept W3C Datetime values', () => {
+      ['2024', '2024-05', '2024-05-01', '2024-05-01T10:30Z', '2024-05-01T10:30:15+02:00', '2024-05-01T10:30:15.5Z']
+        .forEach(value => expect(isValidLastmod(value)).toBe(true));
+    });
+
+    test('should reject other formats and impossible dates', () => {
+      ['01/05/2024', '2024-5-1', '2024-05-01T10:30', '2024-02-31', 'yesterday']
+        .forEach(value => expect(isValidLastmod(value)).toBe(false));
+    });
+  });
+
+  describe('pickSample', () => {
+    test('should spread the sample across the list', () => {
+      const urls = Array.from({ length: 100 }, (_, i) => `https://example.com/${i}`);
+      const sample = pickSample(urls, 4);
+
+      expect(sample).toEqual([
+        'https://example.com/0',
+        'https://example.com/25',
+        'https://example.com/50',
+        'https://example.com/75'
+      ]);
+    });
+
+    test('should return every URL when there are fewer than the sample size', () => {
+      expect(pickSample(['https://example.com/'], 10)).toEqual(['https://example.com/']);
+    });
+  });
+});
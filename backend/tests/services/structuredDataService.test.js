@@ -0,0 +1,118 @@
+const cheerio = require('cheerio');
+const {
+  analyzeStructuredData,
+  extractMicrodata,
+  extractRdfa,
+  validateEntity
+} = require('../../src/services/structuredDataService');
+
+describe('Structured Data Service', () => {
+  describe('analyzeStructuredData', () => {
+    test('should flatten @graph and check rich result requirements', () => {
+      const $ = cheerio.load(`<script type="application/ld+json">${JSON.stringify({
+        '@context': 'https://schema.org',
+        '@graph': [
+          { '@type': 'Organization', name: 'Acme', url: 'https://acme.com', logo: 'https://acme.com/logo.png' },
+          { '@type': 'BreadcrumbList', itemListElement: [
+            { '@type': 'ListItem', position: 1, name: 'Home', item: 'https://acme.com/' },
+            { '@type': 'ListItem', position: 2, name: 'Shoes' }
+          ] },
+          { '@type': 'Product', name: 'Runner', offers: { '@type': 'Offer', price: '59.99' } }
+        ]
+      })}</script>`);
+      const result = analyzeStructuredData($);
+
+      expect(result.count).toBe(3);
+      expect(result.formats.jsonLd).toBe(3);
+      expect(result.schemas.map(schema => schema.schema)).toEqual(['Organization', 'BreadcrumbList', 'Product']);
+
+      const product = result.richResults.find(richResult => richResult.type === 'Product snippet');
+      expect(product.eligible).toBe(false);
+      expect(product.missing).toEqual(['offers missing priceCurrency']);
+      expect(result.richResults.find(richResult => richResult.type === 'Breadcrumb').eligible).toBe(true);
+    });
+
+    test('should extract the site organization for fact checks', () => {
+      const $ = cheerio.load(`<script type="application/ld+json">${JSON.stringify({
+        '@type': 'WebSite',
+        name: 'Acme',
+        publisher: {
+          '@type': 'Organization',
+          name: 'Acme',
+          foundingDate: '2016',
+          founder: [{ '@type': 'Person', name: 'Jane Doe' }],
+          address: { '@type': 'PostalAddress', addressLocality: 'Berlin', addressCountry: 'DE' }
+        }
+      })}</script>`);
+
+      expect(analyzeStructuredData($).organization).toMatchObject({
+        name: 'Acme',
+        foundingDate: '2016',
+        founders: ['Jane Doe'],
+        location: 'Berlin, DE'
+      });
+    });
+
+    test('should report unparseable JSON-LD', () => {
+      const $ = cheerio.load('<script type="application/ld+json">{ "@type": "Article", }</script>');
+      const result = analyzeStructuredData($);
+
+      expect(result.parseErrors).toHaveLength(1);
+      expect(result.schemas[0]).toMatchObject({ schema: 'Invalid', valid: false });
+    });
+
+    test('should explain why valid FAQ markup has limited rich results', () => {
+      const $ = cheerio.load(`<script type="application/ld+json">${JSON.stringify({
+        '@type': 'FAQPage',
+        mainEntity: [{ '@type': 'Question', name: 'Do you ship?', acceptedAnswer: { '@type': 'Answer', text: 'Yes.' } }]
+      })}</script>`);
+      const faq = analyzeStructuredData($).richResults[0];
+
+      expect(faq.type).toBe('FAQ');
+      expect(faq.eligible).toBe(true);
+      expect(faq.note).toMatch(/government and health/);
+    });
+  });
+
+  describe('extractMicrodata', () => {
+    test('should read nested items and property values', () => {
+      const $ = cheerio.load(`
+        <div itemscope itemtype="https://schema.org/Product">
+          <h1 itemprop="name">Runner</h1>
+          <img itemprop="image" src="/runner.jpg">
+          <div itemprop="offers" itemscope itemtype="https://schema.org/Offer">
+            <meta itemprop="priceCurrency" content="USD">
+            <span itemprop="price">59.99</span>
+          </div>
+        </div>`);
+      const [product] = extractMicrodata($);
+
+      expect(product).toEqual({
+        '@type': 'Product',
+        name: 'Runner',
+        image: '/runner.jpg',
+        offers: { '@type': 'Offer', priceCurrency: 'USD', price: '59.99' }
+      });
+      expect(validateEntity(product, 'Microdata').eligible).toBe(true);
+    });
+  });
+
+  describe('extractRdfa', () => {
+    test('should read schema.org RDFa nodes', () => {
+      const $ = cheerio.load(`
+        <div vocab="https://schema.org/" typeof="LocalBusiness">
+          <span property="name">Acme Bakery</span>
+          <div property="address" typeof="PostalAddress">
+            <span property="streetAddress">1 Main St</span>
+            <span property="addressLocality">Springfield</span>
+          </div>
+        </div>`);
+      const [business] = extractRdfa($);
+
+      expect(business.address).toEqual({ '@type': 'PostalAddress', streetAddress: '1 Main St', addressLocality: 'Springfield' });
+      const report = validateEntity(business, 'RDFa');
+      expect(report.eligible).toBe(true);
+      expect(report.warnings).toContain('missing recommended telephone');
+    });
+  });
+});
@@ -0,0 +1,70 @@
+const { scoreAnswer, combineScores, classifySentiment } = require('../../src/services/visibilityScoringService');
+
+describe('Visibility Scoring Service', () => {
+  const base = {
+    domain: 'example.com',
+    brand: 'Example'
+  };
+
+  test('should score an absent domain as 0', () => {
+    const result = scoreAnswer({ ...base, text: 'Try Acme instead.', mentioned: false, citations: [] });
+
+    expect(result.score).toBe(0);
+    expect(result.version).toBe(2);
+    expect(result.breakdown.presence.value).toBe('absent');
+  });
+
+  test('should give full marks to a cited, first-listed, positive headline with a deep link', () => {
+    const result = scoreAnswer({
+      ...base,
+      text: 'Example is the leading analytics platform for small teams. Acme is another option.',
+      mentioned: true,
+      citations: ['https://www.example.com/features/analytics'],
+      mentions: [
+        { key: 'own', isOwn: true, position: 1, context: 'Example is the leading analytics platform for small teams.' },
+        { key: 'name:acme', isOwn: false, position: 2 }
+      ],
+      reference: { brandSummary: 'Analytics platform for small teams' }
+    });
+
+    expect(result.score).toBe(100);
+    expect(result.breakdown.deepLink.value).toBe('deep');
+  });
+
+  test('should reward rank, prominence and deep links separately', () => {
+    const result = scoreAnswer({
+      ...base,
+      text: 'Popular tools include Acme and Globex. Example (example.com) is also used.',
+      mentioned: true,
+      citations: ['https://example.com/'],
+      mentions: [
+        { key: 'name:acme', isOwn: false, position: 1 },
+        { key: 'name:globex', isOwn: false, position: 2 },
+        { key: 'own', isOwn: true, position: 3, context: 'Example (example.com) is also used.' }
+      ]
+    });
+
+    expect(result.breakdown.rank).toMatchObject({ points: 10, position: 3, of: 3 });
+    expect(result.breakdown.prominence.value).toBe('body');
+    expect(result.breakdown.deepLink).toMatchObject({ points: 3, value: 'homepage' });
+    // No brand summary - accuracy is left out of the scale
+    expect(result.breakdown.accuracy.max).toBe(0);
+    expect(result.score).toBe(Math.round((40 + 10 + 6 + 6 + 3) / 90 * 100));
+  });
+
+  test('should classify sentiment', () => {
+    expect(classifySentiment('Example is a trusted and reliable source.')).toBe('positive');
+    expect(classifySentiment('Example has many complaints and is overpriced.')).toBe('negative');
+    expect(classifySentiment("I don't have specific information about Example.")).toBe('uncertain');
+    expect(classifySentiment('Example sells software.')).toBe('neutral');
+  });
+
+  test('should average scores and factor points across models', () => {
+    const cited = scoreAnswer({ ...base, text: 'Example.', mentioned: true, citations: ['https://example.com/a'], mentions: [] });
+    const absent = scoreAnswer({ ...base, text: 'Acme.', mentioned: false, citations: [] });
+    const combined = combineScores([cited, absent]);
+
+    expect(combined.score).toBe(Math.round(cited.score / 2));
+    expect(combined.breakdown.presence).toEqual({ points: 20, max: 40 });
+  });
+});
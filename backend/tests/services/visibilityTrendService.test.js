@@ -0,0 +1,67 @@
+const { buildTrendPoint, addTrendDeltas } = require('../../src/services/visibilityTrendService');
+
+describe('Visibility Trend Service', () => {
+  const scan = {
+    _id: 'scan-1',
+    createdAt: new Date('2026-01-01T00:00:00Z'),
+    seo: { warnings: ['a', 'b'] },
+    llmVisibility: {
+      percentage: 55,
+      promptSet: { version: 2 },
+      details: [
+        {
+          citations: ['https://example.com/pricing'],
+          multiLLMResults: [
+            { provider: 'gemini', model: 'gemini-2.5-flash', scoreBreakdown: { presence: { value: 'cited' } } },
+            { provider: 'openrouter', model: 'm', scoreBreakdown: { presence: { value: 'absent' } } }
+          ]
+        },
+        { model: 'gemini:gemini-2.5-flash', domainMentioned: true, citations: [] },
+        { error: 'timeout' }
+      ]
+    }
+  };
+
+  test('should build a point with overall and per-model rates', () => {
+    const point = buildTrendPoint(scan);
+
+    expect(point).toMatchObject({
+      scanId: 'scan-1',
+      seoWarnings: 2,
+      visibility: 55,
+      mentionRate: 66.7,
+      citationRate: 33.3,
+      citations: 1,
+      prompts: 2,
+      promptSetVersion: 2
+    });
+    expect(point.models).toEqual([
+      { model: 'gemini:gemini-2.5-flash', answers: 2, mentionRate: 100, citationRate: 50 },
+      { model: 'openrouter:m', answers: 1, mentionRate: 0, citationRate: 0 }
+    ]);
+  });
+
+  test('should compute deltas between consecutive runs', () => {
+    const first = buildTrendPoint(scan);
+    const second = { ...first, visibility: 70, seoWarnings: 1, promptSetVersion: 3, models: [{ model: 'openrouter:m', mentionRate: 50 }] };
+    const [a, b] = addTrendDeltas([first, second]);
+
+    expect(a.delta).toBeNull();
+    expect(b.delta).toMatchObject({ visibility: 15, seoWarnings: -1 });
+    expect(b.delta.models).toEqual([{ model: 'openrouter:m', mentionRate: 50 }]);
+    expect(b.comparable).toBe(false);
+  });
+
+  test('should leave out the metrics of a failed stage', () => {
+    const first = buildTrendPoint(scan);
+    const llmFailed = buildTrendPoint({ ...scan, llmVisibility: { error: 'All models failed' } });
+    const seoFailed = buildTrendPoint({ ...scan, seo: { error: 'HTTP 503: Service Unavailable', warnings: ['SEO analysis failed: HTTP 503'] } });
+
+    expect(llmFailed).toMatchObject({ seoWarnings: 2, visibility: null, mentionRate: null, citationRate: null, citations: null });
+    expect(seoFailed).toMatchObject({ seoWarnings: null, visibility: 55 });
+
+    const [, afterLlm, afterSeo] = addTrendDeltas([first, llmFailed, seoFailed]);
+    expect(afterLlm.delta).toMatchObject({ seoWarnings: 0, visibility: null, mentionRate: null });
+    expect(afterSeo.delta).toMatchObject({ seoWarnings: null, visibility: null });
+  });
+});
@@ -0,0 +1,49 @@
+const {
+  signWebhookPayload,
+  verifyWebhookSignature,
+  getRetryDelay,
+  normalizeWebhookInput,
+  buildScanEventData
+} = require('../../src/services/webhookService');
+
+describe('Webhook Service', () => {
+  test('should sign payloads so receivers can verify them', () => {
+    const body = JSON.stringify({ id: 'evt_1', event: 'scan.completed', data: {} });
+    const now = Date.now();
+    const header = signWebhookPayload('whsec_test', body, Math.floor(now / 1000));
+
+    expect(header).toMatch(/^t=\d+,v1=[0-9a-f]{64}$/);
+    expect(verifyWebhookSignature('whsec_test', body, header, { now })).toBe(true);
+    expect(verifyWebhookSignature('whsec_other', body, header, { now })).toBe(false);
+    expect(verifyWebhookSignature('whsec_test', body + ' ', header, { now })).toBe(false);
+    // Old signatures are rejected so captured requests can't be replayed
+    expect(verifyWebhookSignature('whsec_test', body, header, { now: now + 10 * 60 * 1000 })).toBe(false);
+  });
+
+  test('should back off between retries and stop after the last one', () => {
+    expect(getRetryDelay(1)).toBe(60 * 1000);
+    expect(getRetryDelay(2)).toBeGreaterThan(getRetryDelay(1));
+    expect(getRetryDelay(6)).toBeNull();
+  });
+
+  test('should validate endpoint input', () => {
+    expect(normalizeWebhookInput({ url: 'https://hooks.example.com/x', events: ['scan.completed', 'scan.completed'] }))
+      .toEqual({ url: 'https://hooks.example.com/x', events: ['scan.completed'] });
+    expect(() => normalizeWebhookInput({ url: 'http://127.0.0.1/hook', events: ['scan.failed'] })).toThrow('Private IP');
+    expect(() => normalizeWebhookInput({ url: 'https://hooks.example.com/x', events: ['scan.deleted'] })).toThrow('Events must be');
+    expect(normalizeWebhookInput({ enabled: false }, { partial: true })).toEqual({ enabled: false });
+  });
+
+  test('should describe failed scans with their error', () => {
+    const data = buildScanEventData({
+      _id: 'scan1',
+      url: 'https://example.com',
+      status: 'failed',
+      userId: 'user1',
+      error: { message: 'Timed out' }
+    });
+
+    expect(data).toMatchObject({ scanId: 'scan1', status: 'failed', runBy: 'user1', error: 'Timed out' });
+    expect(data.summary).toBeUndefined();
+  });
+});
@@ -10,9 +10,12 @@ import ScanHistory from './components/ScanHistory';
 import CompetitorComparison from './components/CompetitorComparison';
 import PricingComparison from './components/PricingComparison';
 import AccountSection from './components/AccountSection';
+import SharedReport from './components/SharedReport';
 import './styles/globals.css';
 
 const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000';
+const SCAN_POLL_INTERVAL_MS = 2000;
+const SCAN_POLL_TIMEOUT_MS = 10 * 60 * 1000; // Give up polling after 10 minutes
 
 // Generate or retrieve visitor ID
 function getOrCreateVisitorId() {
@@ -48,12 +51,15 @@ function App() {
   const [results, setResults] = useState(null);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
+  const [scanProgress, setScanProgress] = useState(null);
   const [showLoginModal, setShowLoginModal] = useState(false);
   const [showScanHistory, setShowScanHistory] = useState(false);
   const [showCompare, setShowCompare] = useState(false);
   const [showAccount, setShowAccount] = useState(false);
   const [user, setUser] = useState(null);
   const [token, setToken] = useState(localStorage.getItem('auth_token'));
+  // Read-only report opened from a share link (?report=<token>)
+  const [reportToken, setReportToken] = useState(() => new URLSearchParams(window.location.search).get('report'));
   const [fingerprint] = useState(generateFingerprint());
   const [visitorId] = useState(getOrCreateVisitorId());
   const isOpeningRef = useRef(false);
@@ -92,10 +98,117 @@ function App() {
     }
   };
 
+  // Poll a queued scan until the worker marks it completed or failed
+  const pollScan = async (scanId, config) => {
+    const startedAt = Date.now();
+    
+    while (Date.now() - startedAt < SCAN_POLL_TIMEOUT_MS) {
+      await new Promise(resolve => setTimeout(resolve, SCAN_POLL_INTERVAL_MS));
+      
+      const response = await axios.get(`${API_URL}/api/analyze/${scanId}`, config);
+      const { status, progress, result } = response.data;
+      setScanProgress(progress || null);
+      
+      if (status === 'completed') {
+        return result;
+      }
+      if (status === 'failed') {
+        throw new Error(result?.error?.message || 'Analysis failed. Please try again.');
+      }
+    }
+    
+    throw new Error('Analysis is taking longer than expected. Check your scan history for the result.');
+  };
+
+  // Follow a scan over Server-Sent Events, rendering partial results as they land.
+  // Falls back to polling if the stream can't be opened or drops mid-scan.
+  // Anonymous scans pass their access token in the query (EventSource can't send headers).
+  const watchScan = (scanId, config, onUpdate, accessToken = null) => new Promise((resolve, reject) => {
+    if (typeof EventSource === 'undefined') {
+      pollScan(scanId, config).then(resolve, reject);
+      return;
+    }
+    
+    const query = accessToken ? `?accessToken=${encodeURIComponent(accessToken)}` : '';
+    const source = new EventSource(`${API_URL}/api/analyze/${scanId}/events${query}`, { withCredentials: true });
+    const live = { scan: null, seo: null, prompts: [], progress: null };
+    let settled = false;
+    
+    const finish = (callback) => {
+      if (settled) return;
+      settled = true;
+      source.close();
+      callback();
+    };
+    const parse = (event) => JSON.parse(event.data);
+    
+    source.addEventListener('snapshot', (event) => {
+      const { status, progress, result } = parse(event);
+      live.progress = progress || null;
+      live.prompts = progress?.promptResults || [];
+      setScanProgress(live.progress);
+      
+      if (status === 'completed') {
+        live.scan = result;
+        onUpdate(result, null);
+      } else if (status === 'failed') {
+        finish(() => reject(new Error(result?.error?.message || 'Analysis failed. Please try again.')));
+      } else {
+        // SEO is saved as soon as it finishes; statusCode is always set on a real result
+        live.seo = result?.seo?.statusCode != null || result?.seo?.error ? result.seo : null;
+        onUpdate({ ...result, seo: live.seo, llmVisibility: null }, live);
+      }
+    });
+    
+    source.addEventListener('progress', (event) => {
+      live.progress = { ...live.progress, ...parse(event) };
+      setScanProgress(live.progress);
+    });
+    
+    source.addEventListener('seo', (event) => {
+      live.seo = parse(event);
+      onUpdate({ _id: scanId, seo: live.seo, llmVisibility: null }, live);
+    });
+    
+    source.addEventListener('prompt', (event) => {
+      live.prompts = [...live.prompts, parse(event)];
+      onUpdate({ _id: scanId, seo: live.seo, llmVisibility: null }, live);
+    });
+    
+    source.addEventListener('result', (event) => {
+      // Scan is usable now; premium scans keep streaming until recommendations are saved
+      live.scan = parse(event);
+      onUpdate(live.scan, null);
+    });
+    
+    source.addEventListener('recommendations', (event) => {
+      const { recommendations } = parse(event);
+      if (live.scan) {
+        live.scan = { ...live.scan, recommendations };
+        onUpdate(live.scan, null);
+      }
+    });
+    
+    source.addEventListener('failed', (event) => {
+      const { error } = parse(event);
+      finish(() => reject(new Error(error || 'Analysis failed. Please try again.')));
+    });
+    
+    source.addEventListener('done', () => {
+      finish(() => (live.scan ? resolve(live.scan) : pollScan(scanId, config).then(resolve, reject)));
+    });
+    
+    source.onerror = () => {
+      // EventSource retries on its own, but a completed result is all we need
+      finish(() => (live.scan ? resolve(live.scan) : pollScan(scanId, config).then(resolve, reject)));
+    };
+  });
+
   const handleAnalyze = async (url, context = {}) => {
     setLoading(true);
     setError(null);
     setResults(null);
+    setScanProgress(null);
 
     try {
       console.log('Analyzing:', url, context);
@@ -107,7 +220,11 @@ function App() {
         // Include optional context if provided
         ...(context.brand && { brandName: context.brand }),
         ...(context.industry && { industry: context.industry }),
-        ...(context.description && { description: context.description })
+        ...(context.description && { description: context.description }),
+        ...(context.crawl && { mode: 'crawl' }),
+        ...(context.render && { render: true }),
+        ...(context.sample && { samples: 5 }),
+        ...(context.promptSetId && { promptSetId: context.promptSetId })
       };
       
       const config = token ? {
@@ -117,20 +234,40 @@ function App() {
       } : {};
       
       const response = await axios.post(`${API_URL}/api/analyze`, requestData, config);
-      console.log('Response:', response.data);
+      console.log('Scan queued:', response.data);
       
-      // Store result with tier information and warnings
-      setResults({
-        ...response.data.result,
-        scanId: response.data.scanId,
-        isFreeUser: response.data.isFreeUser,
-        isPremium: response.data.isPremium,
-        warnings: response.data.warnings
-      });
+      // Anonymous scans can only be read with the token returned when they were queued
+      const { accessToken } = response.data;
+      const scanConfig = accessToken
+        ? { ...config, headers: { ...config.headers, 'X-Scan-Token': accessToken } }
+        : config;
+      
+      // Store result with tier information and warnings (live holds in-progress prompt results)
+      const showScan = (scan, live = null) => {
+        setResults({
+          url: scan.url || url,
+          analyzedAt: scan.createdAt || new Date().toISOString(),
+          seo: scan.seo || null,
+          llmVisibility: scan.llmVisibility || null,
+          integrations: scan.integrations || null,
+          crawl: scan.crawl || null,
+          recommendations: scan.recommendations || [],
+          scanId: scan._id,
+          isFreeUser: response.data.isFreeUser,
+          isPremium: response.data.isPremium,
+          warnings: scan.analysisWarnings,
+          accessToken,
+          live: live && { progress: live.progress, prompts: live.prompts }
+        });
+      };
+      
+      // Analysis runs in a background worker - stream progress until it finishes
+      const scan = await watchScan(response.data.scanId, scanConfig, showScan, accessToken);
+      showScan(scan);
       
       // Show warnings as informational messages (not errors)
-      if (response.data.warnings && response.data.warnings.length > 0) {
-        console.warn('Analysis completed with warnings:', response.data.warnings);
+      if (scan.analysisWarnings && scan.analysisWarnings.length > 0) {
+        console.warn('Analysis completed with warnings:', scan.analysisWarnings);
         // Don't set error - warnings are informational, analysis still succeeded
       }
       
@@ -156,13 +293,15 @@ function App() {
       }, 100);
     } catch (err) {
       const errorData = err.response?.data;
+      // Drop partial results from a scan that didn't finish
+      setResults(prev => (prev?.live ? null : prev));
       
       // Check if auth is required
       if (errorData?.requiresAuth) {
         setShowLoginModal(true);
         setError(null); // Don't show error, show login modal instead
       } else {
-        let errorMessage = errorData?.error || 'Analysis failed. Please try again.';
+        let errorMessage = errorData?.error || err.message || 'Analysis failed. Please try again.';
         // Improve timeout error messages
         if (errorMessage.includes('timeout') || errorMessage.includes('exceeded')) {
           errorMessage = 'Our servers are temporarily experiencing high load. Please try again in a few moments.';
@@ -172,6 +311,7 @@ function App() {
       console.error('Analysis error:', err);
     } finally {
       setLoading(false);
+      setScanProgress(null);
     }
   };
 
@@ -266,9 +406,19 @@ function App() {
         onShowCompare={handleShowCompare}
         onShowAccount={handleShowAccount}
       />
+      {reportToken && (
+        <SharedReport
+          token={reportToken}
+          onClose={() => {
+            setReportToken(null);
+            window.history.replaceState({}, '', window.location.pathname);
+          }}
+        />
+      )}
       <Hero 
         onAnalyze={handleAnalyze} 
         loading={loading} 
+        progress={scanProgress}
         user={user}
         isPremium={isPremium}
         onShowLogin={handleShowLogin}
@@ -1,14 +1,23 @@
 import { useState, useEffect, useRef } from 'react';
-import { FiUser, FiStar, FiCalendar, FiMail, FiGlobe, FiX, FiLink } from 'react-icons/fi';
+import { FiUser, FiStar, FiCalendar, FiMail, FiGlobe, FiX, FiLink, FiUsers, FiPlus, FiTrash2, FiList, FiBell, FiKey, FiSend, FiLayers } from 'react-icons/fi';
 import axios from 'axios';
 import Integrations from './Integrations';
+import PromptSets from './PromptSets';
+import Alerts from './Alerts';
+import Team from './Team';
+import ApiKeys from './ApiKeys';
+import Webhooks from './Webhooks';
+import BatchScans from './BatchScans';
 
 const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000';
 
 export default function AccountSection({ isOpen, onClose, token, user: initialUser, onUserUpdate }) {
   const [user, setUser] = useState(initialUser);
   const [loading, setLoading] = useState(false);
-  const [activeTab, setActiveTab] = useState('account'); // 'account' or 'integrations'
+  const [activeTab, setActiveTab] = useState('account'); // 'account', 'team', 'prompts', 'alerts' or 'integrations'
+  const [competitors, setCompetitors] = useState([]);
+  const [competitorsSaving, setCompetitorsSaving] = useState(false);
+  const [competitorsMessage, setCompetitorsMessage] = useState(null);
   const sectionRef = useRef(null);
 
   useEffect(() => {
@@ -70,6 +79,64 @@ export default function AccountSection({ isOpen, onClose, token, user: initialUs
     } catch (err) {
       console.error('Failed to fetch user data:', err);
     }
+
+    fetchCompetitors();
+  };
+
+  const fetchCompetitors = async () => {
+    try {
+      const response = await axios.get(`${API_URL}/api/user/competitors`, {
+        headers: {
+          Authorization: `Bearer ${token}`
+        }
+      });
+
+      if (response.data.success) {
+        setCompetitors(response.data.competitors.map(competitor => ({
+          name: competitor.name,
+          domain: competitor.domain || '',
+          aliases: (competitor.aliases || []).join(', ')
+        })));
+      }
+    } catch (err) {
+      console.error('Failed to fetch competitors:', err);
+    }
+  };
+
+  const updateCompetitor = (index, field, value) => {
+    setCompetitors(competitors.map((competitor, i) => (
+      i === index ? { ...competitor, [field]: value } : competitor
+    )));
+  };
+
+  const saveCompetitors = async () => {
+    setCompetitorsSaving(true);
+    setCompetitorsMessage(null);
+
+    try {
+      const response = await axios.put(`${API_URL}/api/user/competitors`, {
+        competitors: competitors
+          .filter(competitor => competitor.name.trim())
+          .map(competitor => ({
+            name: competitor.name,
+            domain: competitor.domain,
+            aliases: competitor.aliases.split(',').map(alias => alias.trim()).filter(Boolean)
+          }))
+      }, {
+        headers: {
+          Authorization: `Bearer ${token}`
+        }
+      });
+
+      if (response.data.success) {
+        setCompetitorsMessage({ type: 'success', text: 'Competitors saved. They will be used in your next scan.' });
+        fetchCompetitors();
+      }
+    } catch (err) {
+      setCompetitorsMessage({ type: 'error', text: err.response?.data?.error || 'Failed to save competitors' });
+    } finally {
+      setCompetitorsSaving(false);
+    }
   };
 
   if (!isOpen) return null;
@@ -118,6 +185,27 @@ export default function AccountSection({ isOpen, onClose, token, user: initialUs
             <FiUser size={18} />
             Account
           </button>
+          <button
+            className={`account-tab ${activeTab === 'team' ? 'active' : ''}`}
+            onClick={() => setActiveTab('team')}
+          >
+            <FiUsers size={18} />
+            Team
+          </button>
+          <button
+            className={`account-tab ${activeTab === 'prompts' ? 'active' : ''}`}
+            onClick={() => setActiveTab('prompts')}
+          >
+            <FiList size={18} />
+            Prompt Sets
+          </button>
+          <button
+            className={`account-tab ${activeTab === 'alerts' ? 'active' : ''}`}
+            onClick={() => setActiveTab('alerts')}
+          >
+            <FiBell size={18} />
+            Alerts
+          </button>
           <button
             className={`account-tab ${activeTab === 'integrations' ? 'active' : ''}`}
             onClick={() => setActiveTab('integrations')}
@@ -125,6 +213,27 @@ export default function AccountSection({ isOpen, onClose, token, user: initialUs
             <FiLink size={18} />
             Integrations
           </button>
+          <button
+            className={`account-tab ${activeTab === 'apiKeys' ? 'active' : ''}`}
+            onClick={() => setActiveTab('apiKeys')}
+          >
+            <FiKey size={18} />
+            API Keys
+          </button>
+          <button
+            className={`account-tab ${activeTab === 'webhooks' ? 'active' : ''}`}
+            onClick={() => setActiveTab('webhooks')}
+          >
+            <FiSend size={18} />
+            Webhooks
+          </button>
+          <button
+            className={`account-tab ${activeTab === 'batches' ? 'active' : ''}`}
+            onClick={() => setActiveTab('batches')}
+          >
+            <FiLayers size={18} />
+            Batch Scans
+          </button>
         </div>
 
         <div className="account-content">
@@ -254,6 +363,59 @@ export default function AccountSection({ isOpen, onClose, token, user: initialUs
             </div>
           </div>
 
+          {/* Pinned Competitors */}
+          <div className="account-card">
+            <h4><FiUsers size={18} /> Pinned Competitors</h4>
+            <p className="form-hint">
+              Competitors to track in AI answers. Aliases (product names, old brand names) are counted as the same competitor.
+            </p>
+            {competitors.map((competitor, index) => (
+              <div key={index} className="competitor-row">
+                <input
+                  type="text"
+                  placeholder="Name"
+                  value={competitor.name}
+                  maxLength={100}
+                  onChange={(e) => updateCompetitor(index, 'name', e.target.value)}
+                />
+                <input
+                  type="text"
+                  placeholder="Domain (optional)"
+                  value={competitor.domain}
+                  onChange={(e) => updateCompetitor(index, 'domain', e.target.value)}
+                />
+                <input
+                  type="text"
+                  placeholder="Aliases, comma separated"
+                  value={competitor.aliases}
+                  onChange={(e) => updateCompetitor(index, 'aliases', e.target.value)}
+                />
+                <button
+                  className="btn btn-secondary btn-sm"
+                  onClick={() => setCompetitors(competitors.filter((_, i) => i !== index))}
+                  aria-label="Remove competitor"
+                >
+                  <FiTrash2 />
+                </button>
+              </div>
+            ))}
+            <div className="competitor-actions">
+              <button
+                className="btn btn-secondary btn-sm"
+                disabled={competitors.length >= 10}
+                onClick={() => setCompetitors([...competitors, { name: '', domain: '', aliases: '' }])}
+              >
+                <FiPlus /> Add Competitor
+              </button>
+              <button className="btn btn-primary btn-sm" disabled={competitorsSaving} onClick={saveCompetitors}>
+                {competitorsSaving ? 'Saving...' : 'Save Competitors'}
+              </button>
+            </div>
+            {competitorsMessage && (
+              <p className={`form-hint text-${competitorsMessage.type}`}>{competitorsMessage.text}</p>
+            )}
+          </div>
+
           {/* Usage Stats */}
           <div className="account-card">
             <h4>Usage Statistics</h4>
@@ -275,6 +437,30 @@ export default function AccountSection({ isOpen, onClose, token, user: initialUs
             </div>
           </div>
             </>
+          ) : activeTab === 'team' ? (
+            <div className="account-tab-content">
+              <Team />
+            </div>
+          ) : activeTab === 'prompts' ? (
+            <div className="account-tab-content">
+              <PromptSets />
+            </div>
+          ) : activeTab === 'alerts' ? (
+            <div className="account-tab-content">
+              <Alerts />
+            </div>
+          ) : activeTab === 'apiKeys' ? (
+            <div className="account-tab-content">
+              <ApiKeys />
+            </div>
+          ) : activeTab === 'webhooks' ? (
+            <div className="account-tab-content">
+              <Webhooks />
+            </div>
+          ) : activeTab === 'batches' ? (
+            <div className="account-tab-content">
+              <BatchScans />
+            </div>
           ) : (
             <div className="account-tab-content">
               <Integrations />
@@ -0,0 +1,201 @@
+import { useState, useEffect } from 'react';
+import axios from 'axios';
+import { FiAlertCircle, FiLoader } from 'react-icons/fi';
+
+const formatDate = (date) => new Date(date).toLocaleString('en-US', { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' });
+
+export default function Alerts() {
+  const [settings, setSettings] = useState(null);
+  const [ruleTypes, setRuleTypes] = useState({});
+  const [alerts, setAlerts] = useState([]);
+  const [email, setEmail] = useState('');
+  // Whether a webhook in the workspace is subscribed to scan.alerts
+  const [hasWebhook, setHasWebhook] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000';
+  const token = localStorage.getItem('auth_token');
+
+  useEffect(() => {
+    fetchAlerts();
+  }, []);
+
+  const fetchAlerts = async () => {
+    try {
+      setLoading(true);
+      const response = await axios.get(`${API_URL}/api/alerts`, {
+        headers: {
+          Authorization: `Bearer ${token}`
+        }
+      });
+
+      if (response.data.success) {
+        setSettings(response.data.settings);
+        setRuleTypes(response.data.ruleTypes);
+        setAlerts(response.data.alerts);
+        setEmail(response.data.email);
+        setHasWebhook(response.data.webhook);
+      }
+    } catch (error) {
+      console.error('Error fetching alerts:', error);
+      setError('Failed to load alert settings');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const getRule = (type) => settings.rules.find(rule => rule.type === type);
+
+  const toggleRule = (type) => {
+    setSettings({
+      ...settings,
+      rules: getRule(type)
+        ? settings.rules.filter(rule => rule.type !== type)
+        : [...settings.rules, { type, threshold: ruleTypes[type].defaultThreshold }]
+    });
+  };
+
+  const setThreshold = (type, threshold) => {
+    setSettings({
+      ...settings,
+      rules: settings.rules.map(rule => (rule.type === type ? { ...rule, threshold } : rule))
+    });
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    setMessage(null);
+    try {
+      const response = await axios.put(`${API_URL}/api/alerts/settings`, settings, {
+        headers: {
+          Authorization: `Bearer ${token}`
+        }
+      });
+
+      if (response.data.success) {
+        setMessage({ type: 'success', text: 'Alert settings saved.' });
+      }
+    } catch (err) {
+      setMessage({ type: 'error', text: err.response?.data?.error || 'Failed to save alert settings' });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="integrations-container">
+        <div className="loading-state">
+          <FiLoader className="spinner" />
+          <p>Loading alerts...</p>
+        </div>
+      </div>
+    );
+  }
+
+  if (!settings) {
+    return (
+      <div className="integrations-container">
+        <div className="alert alert-error">
+          <FiAlertCircle />
+          <span>{error || 'Failed to load alert settings'}</span>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="integrations-container">
+      <div className="integrations-header">
+        <h2>Alerts</h2>
+        <p>When a scan finishes, it is compared with your previous scan of the same URL. Get notified when something gets worse.</p>
+      </div>
+
+      <div className="account-card alert-settings">
+        <label className="crawl-toggle">
+          <input
+            type="checkbox"
+            checked={settings.enabled}
+            onChange={(e) => setSettings({ ...settings, enabled: e.target.checked })}
+          />
+          Send alerts
+        </label>
+
+        <h4>Alert me when</h4>
+        {Object.entries(ruleTypes).map(([type, ruleType]) => {
+          const rule = getRule(type);
+          return (
+            <div key={type} className="alert-rule">
+              <label className="crawl-toggle">
+                <input type="checkbox" checked={!!rule} onChange={() => toggleRule(type)} />
+                {ruleType.label}
+              </label>
+              {rule && ruleType.defaultThreshold !== undefined && (
+                <input
+                  type="number"
+                  min={ruleType.min}
+                  max={ruleType.max}
+                  value={rule.threshold ?? ''}
+                  onChange={(e) => setThreshold(type, e.target.value)}
+                  aria-label={`N for ${ruleType.label}`}
+                />
+              )}
+            </div>
+          );
+        })}
+        <p className="form-hint">Visibility drops are only compared between scans that asked the same prompt set version.</p>
+
+        <h4>Deliver to</h4>
+        <label className="crawl-toggle">
+          <input
+            type="checkbox"
+            checked={settings.email}
+            onChange={(e) => setSettings({ ...settings, email: e.target.checked })}
+          />
+          Email ({email})
+        </label>
+        <p className="form-hint">
+          {hasWebhook
+            ? 'Alerts are also sent as signed scan.alerts events to your webhooks.'
+            : 'To get alerts by webhook, add one for the scan.alerts event under Webhooks.'}
+        </p>
+        <div className="prompt-set-form">
+          <select value={settings.digest} onChange={(e) => setSettings({ ...settings, digest: e.target.value })}>
+            <option value="off">Send each alert right away</option>
+            <option value="daily">Daily digest</option>
+            <option value="weekly">Weekly digest</option>
+          </select>
+        </div>
+
+        <div className="competitor-actions">
+          <button className="btn btn-primary btn-sm" disabled={saving} onClick={handleSave}>
+            {saving ? 'Saving...' : 'Save Alerts'}
+          </button>
+        </div>
+
+        {message && (
+          <p className={`form-hint text-${message.type}`}>{message.text}</p>
+        )}
+      </div>
+
+      <h4>Recent Alerts</h4>
+      {alerts.length === 0 ? (
+        <p className="form-hint">No alerts yet.</p>
+      ) : (
+        alerts.map(alert => (
+          <div key={alert._id} className="account-card alert-history-item">
+            <div className="metric-hint">
+              {alert.url} · {formatDate(alert.createdAt)} · {alert.status === 'pending' ? 'waiting for digest' : alert.status}
+            </div>
+            <ul>
+              {alert.events.map((event, index) => <li key={index}>{event.message}</li>)}
+            </ul>
+          </div>
+        ))
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,213 @@
+import { useState, useEffect } from 'react';
+import axios from 'axios';
+import { FiAlertCircle, FiLoader, FiCopy, FiRefreshCw, FiTrash2 } from 'react-icons/fi';
+
+const formatDate = (date) => (date ? new Date(date).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' }) : 'never');
+
+const EMPTY_FORM = { name: '', scopes: ['analyze'], monthlyScanLimit: '', organization: false };
+
+export default function ApiKeys() {
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState(null);
+  // { name, key } of a key just created or rotated (only shown once)
+  const [revealed, setRevealed] = useState(null);
+
+  const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000';
+  const token = localStorage.getItem('auth_token');
+  const headers = { Authorization: `Bearer ${token}` };
+
+  useEffect(() => {
+    fetchKeys();
+  }, []);
+
+  const fetchKeys = async () => {
+    try {
+      const response = await axios.get(`${API_URL}/api/api-keys`, { headers });
+      if (response.data.success) {
+        setData(response.data);
+      }
+    } catch (err) {
+      console.error('Error fetching API keys:', err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const toggleScope = (scope) => {
+    setForm({
+      ...form,
+      scopes: form.scopes.includes(scope) ? form.scopes.filter(item => item !== scope) : [...form.scopes, scope]
+    });
+  };
+
+  const handleCreate = async () => {
+    setSaving(true);
+    setMessage(null);
+    try {
+      const response = await axios.post(`${API_URL}/api/api-keys`, {
+        ...form,
+        monthlyScanLimit: form.monthlyScanLimit === '' ? undefined : Number(form.monthlyScanLimit)
+      }, { headers });
+      setRevealed({ name: response.data.apiKey.name, key: response.data.key });
+      setForm(EMPTY_FORM);
+      fetchKeys();
+    } catch (err) {
+      setMessage({ type: 'error', text: err.response?.data?.error || 'Failed to create API key' });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRotate = async (apiKey) => {
+    if (!confirm(`Rotate "${apiKey.name}"? The current key stops working right away.`)) return;
+    try {
+      const response = await axios.post(`${API_URL}/api/api-keys/${apiKey.id}/rotate`, {}, { headers });
+      setRevealed({ name: apiKey.name, key: response.data.key });
+      fetchKeys();
+    } catch (err) {
+      setMessage({ type: 'error', text: err.response?.data?.error || 'Failed to rotate API key' });
+    }
+  };
+
+  const handleRevoke = async (apiKey) => {
+    if (!confirm(`Revoke "${apiKey.name}"? Scripts using it will stop working.`)) return;
+    try {
+      await axios.delete(`${API_URL}/api/api-keys/${apiKey.id}`, { headers });
+      if (revealed?.name === apiKey.name) setRevealed(null);
+      fetchKeys();
+    } catch (err) {
+      setMessage({ type: 'error', text: err.response?.data?.error || 'Failed to revoke API key' });
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="integrations-container">
+        <div className="loading-state">
+          <FiLoader className="spinner" />
+          <p>Loading API keys...</p>
+        </div>
+      </div>
+    );
+  }
+
+  if (!data) {
+    return (
+      <div className="integrations-container">
+        <div className="alert alert-error">
+          <FiAlertCircle />
+          <span>Failed to load API keys</span>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="integrations-container">
+      <div className="integrations-header">
+        <h2>API Keys</h2>
+        <p>Call the API from CI pipelines and scripts. Send the key as an <code>X-API-Key</code> header. Scans use your plan's monthly pool.</p>
+      </div>
+
+      {revealed && (
+        <div className="account-card share-link-created">
+          <input type="text" readOnly value={revealed.key} onFocus={(e) => e.target.select()} aria-label={`Key for ${revealed.name}`} />
+          <button className="btn btn-secondary btn-sm" onClick={() => navigator.clipboard?.writeText(revealed.key)} aria-label="Copy key">
+            <FiCopy /> Copy
+          </button>
+          <p className="form-hint">Copy the key for "{revealed.name}" now. For security it can't be shown again.</p>
+        </div>
+      )}
+
+      <div className="account-card team-card">
+        <h4>New key</h4>
+        <div className="prompt-set-form">
+          <input type="text" placeholder="Name, e.g. Deploy pipeline" maxLength={100} value={form.name} onChange={(e) => setForm({ ...form, name: e.target.value })} />
+          <input
+            type="number"
+            min={1}
+            placeholder="Monthly scan cap (optional)"
+            value={form.monthlyScanLimit}
+            onChange={(e) => setForm({ ...form, monthlyScanLimit: e.target.value })}
+          />
+        </div>
+        <div className="api-key-scopes">
+          {Object.entries(data.scopes).map(([scope, description]) => (
+            <label key={scope} className="crawl-toggle" title={description}>
+              <input
+                type="checkbox"
+                checked={scope === 'read' || form.scopes.includes(scope)}
+                disabled={scope === 'read'}
+                onChange={() => toggleScope(scope)}
+              />
+              {scope}
+            </label>
+          ))}
+        </div>
+        <p className="form-hint">Every key can read scans; pick read alone for a read-only key.</p>
+        {data.canCreateOrganizationKeys && (
+          <label className="crawl-toggle">
+            <input type="checkbox" checked={form.organization} onChange={(e) => setForm({ ...form, organization: e.target.checked })} />
+            Organization key (other admins can rotate and revoke it)
+          </label>
+        )}
+        <div className="competitor-actions">
+          <button
+            className="btn btn-primary btn-sm"
+            disabled={saving || !form.name.trim()}
+            onClick={handleCreate}
+          >
+            {saving ? 'Creating...' : 'Create Key'}
+          </button>
+        </div>
+        {message && <p className={`form-hint text-${message.type}`}>{message.text}</p>}
+      </div>
+
+      {data.apiKeys.length === 0 ? (
+        <p className="form-hint">No API keys yet.</p>
+      ) : (
+        <table className="integration-table">
+          <thead>
+            <tr>
+              <th>Name</th>
+              <th>Scopes</th>
+              <th>Scans this month</th>
+              <th>Last used</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {data.apiKeys.map(apiKey => (
+              <tr key={apiKey.id}>
+                <td>
+                  {apiKey.name}
+                  <div className="metric-hint">
+                    {apiKey.prefix}… {apiKey.organizationId && '· organization'} {apiKey.revokedAt && '· revoked'}
+                  </div>
+                </td>
+                <td>{[...new Set([...apiKey.scopes, 'read'])].join(', ')}</td>
+                <td>{apiKey.monthlyScansUsed}{apiKey.monthlyScanLimit ? ` / ${apiKey.monthlyScanLimit}` : ''}</td>
+                <td>{formatDate(apiKey.lastUsedAt)}</td>
+                <td className="team-member-actions">
+                  {!apiKey.revokedAt && (
+                    <>
+                      <button className="btn btn-secondary btn-sm" onClick={() => handleRotate(apiKey)} aria-label="Rotate key">
+                        <FiRefreshCw />
+                      </button>
+                      <button className="btn btn-secondary btn-sm" onClick={() => handleRevoke(apiKey)} aria-label="Revoke key">
+                        <FiTrash2 />
+                      </button>
+                    </>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,331 @@
+import { useState, useEffect } from 'react';
+import axios from 'axios';
+import { FiAlertCircle, FiLoader, FiDownload, FiBarChart2, FiXCircle } from 'react-icons/fi';
+
+const formatDateTime = (date) => (date ? new Date(date).toLocaleString('en-US', { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' }) : '—');
+
+const POLL_INTERVAL_MS = 10000;
+
+export default function BatchScans() {
+  const [batches, setBatches] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [source, setSource] = useState('upload'); // 'upload' or 'sitemap'
+  const [file, setFile] = useState(null); // { name, content }
+  const [sitemapUrl, setSitemapUrl] = useState('');
+  const [perHostConcurrency, setPerHostConcurrency] = useState(2);
+  // Dry-run result for the current input: { estimate, invalidUrls }
+  const [estimate, setEstimate] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState(null);
+  // Batch whose report is open, and the report
+  const [openBatchId, setOpenBatchId] = useState(null);
+  const [report, setReport] = useState(null);
+
+  const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000';
+  const token = localStorage.getItem('auth_token');
+  const headers = { Authorization: `Bearer ${token}` };
+
+  useEffect(() => {
+    fetchBatches();
+  }, []);
+
+  // Keep progress fresh while a batch is running
+  const hasRunning = batches?.some(batch => batch.status === 'running');
+  useEffect(() => {
+    if (!hasRunning) return undefined;
+    const timer = setInterval(fetchBatches, POLL_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [hasRunning]);
+
+  const fetchBatches = async () => {
+    try {
+      const response = await axios.get(`${API_URL}/api/batches`, { headers });
+      if (response.data.success) {
+        setBatches(response.data.batches);
+      }
+    } catch (err) {
+      console.error('Error fetching batches:', err);
+      setError(err.response?.data?.error || 'Failed to load batch scans');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleFileChange = (event) => {
+    const selected = event.target.files?.[0];
+    setEstimate(null);
+    if (!selected) {
+      setFile(null);
+      return;
+    }
+    const reader = new FileReader();
+    reader.onload = () => setFile({ name: selected.name, content: reader.result });
+    reader.readAsText(selected);
+  };
+
+  const buildBody = (dryRun) => ({
+    ...(source === 'sitemap' ? { sitemapUrl: sitemapUrl.trim() } : { file }),
+    perHostConcurrency,
+    dryRun
+  });
+
+  const handleEstimate = async () => {
+    setSaving(true);
+    setMessage(null);
+    try {
+      const response = await axios.post(`${API_URL}/api/batches`, buildBody(true), { headers });
+      setEstimate({ estimate: response.data.estimate, invalidUrls: response.data.invalidUrls });
+    } catch (err) {
+      setEstimate(null);
+      setMessage({ type: 'error', text: err.response?.data?.error || 'Failed to estimate batch' });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleStart = async () => {
+    setSaving(true);
+    setMessage(null);
+    try {
+      const response = await axios.post(`${API_URL}/api/batches`, buildBody(false), { headers });
+      setMessage({ type: 'success', text: `Started a batch of ${response.data.batch.counts.total} URLs` });
+      setEstimate(null);
+      setFile(null);
+      setSitemapUrl('');
+      fetchBatches();
+    } catch (err) {
+      setMessage({ type: 'error', text: err.response?.data?.error || 'Failed to start batch' });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleCancel = async (batch) => {
+    if (!confirm(`Cancel "${batch.name}"? URLs that haven't been queued are refunded; queued scans still finish.`)) return;
+    try {
+      await axios.post(`${API_URL}/api/batches/${batch.id}/cancel`, {}, { headers });
+      fetchBatches();
+    } catch (err) {
+      setMessage({ type: 'error', text: err.response?.data?.error || 'Failed to cancel batch' });
+    }
+  };
+
+  const handleToggleReport = async (batch) => {
+    if (openBatchId === batch.id) {
+      setOpenBatchId(null);
+      return;
+    }
+    setOpenBatchId(batch.id);
+    setReport(null);
+    try {
+      const response = await axios.get(`${API_URL}/api/batches/${batch.id}/report`, { headers });
+      setReport(response.data.report);
+    } catch (err) {
+      setMessage({ type: 'error', text: err.response?.data?.error || 'Failed to load report' });
+    }
+  };
+
+  const handleExport = async (batch, format) => {
+    try {
+      const response = await axios.get(`${API_URL}/api/batches/${batch.id}/export?format=${format}`, { headers, responseType: 'blob' });
+      const url = URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `batch-${batch.id}.${format}`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      setMessage({ type: 'error', text: 'Failed to export batch' });
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="integrations-container">
+        <div className="loading-state">
+          <FiLoader className="spinner" />
+          <p>Loading batch scans...</p>
+        </div>
+      </div>
+    );
+  }
+
+  if (!batches) {
+    return (
+      <div className="integrations-container">
+        <div className="alert alert-error">
+          <FiAlertCircle />
+          <span>{error || 'Failed to load batch scans'}</span>
+        </div>
+      </div>
+    );
+  }
+
+  const hasInput = source === 'sitemap' ? !!sitemapUrl.trim() : !!file;
+
+  return (
+    <div className="integrations-container">
+      <div className="integrations-header">
+        <h2>Batch Scans</h2>
+        <p>Scan up to 500 URLs from a CSV or TXT file, or every URL in a sitemap. Each URL counts as one scan, charged when the batch starts.</p>
+      </div>
+
+      <div className="account-card team-card">
+        <h4>New batch</h4>
+        <div className="webhook-events">
+          <label className="crawl-toggle">
+            <input type="radio" name="batch-source" checked={source === 'upload'} onChange={() => { setSource('upload'); setEstimate(null); }} />
+            Upload CSV/TXT
+          </label>
+          <label className="crawl-toggle">
+            <input type="radio" name="batch-source" checked={source === 'sitemap'} onChange={() => { setSource('sitemap'); setEstimate(null); }} />
+            Sitemap
+          </label>
+        </div>
+        <div className="prompt-set-form">
+          {source === 'upload' ? (
+            <input type="file" accept=".csv,.txt,text/csv,text/plain" onChange={handleFileChange} aria-label="URL list" />
+          ) : (
+            <input type="url" placeholder="https://example.com/sitemap.xml" value={sitemapUrl} onChange={(e) => { setSitemapUrl(e.target.value); setEstimate(null); }} />
+          )}
+          <label className="metric-hint">
+            Scans per host at a time{' '}
+            <select value={perHostConcurrency} onChange={(e) => setPerHostConcurrency(Number(e.target.value))}>
+              {[1, 2, 3, 4, 5].map(value => <option key={value} value={value}>{value}</option>)}
+            </select>
+          </label>
+        </div>
+
+        {estimate && (
+          <p className={`form-hint ${estimate.estimate.allowed ? '' : 'text-error'}`}>
+            {estimate.estimate.urls} URLs on {estimate.estimate.hosts} host(s)
+            {estimate.estimate.duplicates > 0 && `, ${estimate.estimate.duplicates} duplicate(s) removed`}
+            {estimate.estimate.invalid > 0 && `, ${estimate.estimate.invalid} invalid skipped`}
+            {' · '}needs {estimate.estimate.scansRequired} scans, {estimate.estimate.scansRemaining} left this month
+          </p>
+        )}
+        {estimate?.invalidUrls?.length > 0 && (
+          <ul className="metric-hint">
+            {estimate.invalidUrls.slice(0, 5).map(item => <li key={item.url}>{item.url}: {item.error}</li>)}
+          </ul>
+        )}
+
+        <div className="competitor-actions">
+          <button className="btn btn-secondary btn-sm" disabled={saving || !hasInput} onClick={handleEstimate}>
+            Estimate
+          </button>
+          <button className="btn btn-primary btn-sm" disabled={saving || !estimate?.estimate.allowed} onClick={handleStart}>
+            {saving ? 'Working...' : 'Start Batch'}
+          </button>
+        </div>
+        {message && <p className={`form-hint text-${message.type}`}>{message.text}</p>}
+      </div>
+
+      {batches.length === 0 ? (
+        <p className="form-hint">No batch scans yet.</p>
+      ) : (
+        batches.map(batch => (
+          <div key={batch.id} className="account-card team-card">
+            <div className="webhook-endpoint-header">
+              <div>
+                <h4>{batch.name}</h4>
+                <p className="metric-hint">
+                  {batch.status} · {batch.counts.completed} completed, {batch.counts.failed} failed
+                  {batch.counts.cancelled > 0 && `, ${batch.counts.cancelled} cancelled`} of {batch.counts.total} · {formatDateTime(batch.createdAt)}
+                </p>
+              </div>
+              <div className="team-member-actions">
+                <button className="btn btn-secondary btn-sm" onClick={() => handleToggleReport(batch)} aria-label="Report">
+                  <FiBarChart2 />
+                </button>
+                <button className="btn btn-secondary btn-sm" onClick={() => handleExport(batch, 'csv')} aria-label="Export CSV">
+                  <FiDownload /> CSV
+                </button>
+                <button className="btn btn-secondary btn-sm" onClick={() => handleExport(batch, 'xlsx')} aria-label="Export XLSX">
+                  <FiDownload /> XLSX
+                </button>
+                {batch.status === 'running' && (
+                  <button className="btn btn-secondary btn-sm" onClick={() => handleCancel(batch)} aria-label="Cancel batch">
+                    <FiXCircle />
+                  </button>
+                )}
+              </div>
+            </div>
+            {batch.status === 'running' && (
+              <div className="progress-bar">
+                <div className="progress-fill progress-fill-tracked" style={{ width: `${batch.percent}%` }} />
+              </div>
+            )}
+
+            {openBatchId === batch.id && (
+              !report ? (
+                <p className="form-hint">Loading report...</p>
+              ) : (
+                <>
+                  <div className="analytics-metrics-grid">
+                    <div className="metric-card">
+                      <h4>Avg visibility</h4>
+                      <p className="metric-value">{report.visibility.average ?? '—'}{report.visibility.average !== null && '%'}</p>
+                    </div>
+                    <div className="metric-card">
+                      <h4>Avg warnings</h4>
+                      <p className="metric-value">{report.seo.averageWarnings ?? '—'}</p>
+                    </div>
+                    <div className="metric-card">
+                      <h4>Noindex</h4>
+                      <p className="metric-value">{report.seo.noindex}</p>
+                    </div>
+                    <div className="metric-card">
+                      <h4>Non-200</h4>
+                      <p className="metric-value">{report.seo.non200}</p>
+                    </div>
+                  </div>
+                  {report.topWarnings.length > 0 && (
+                    <table className="integration-table">
+                      <thead>
+                        <tr>
+                          <th>Most common warnings</th>
+                          <th>URLs</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {report.topWarnings.map(item => (
+                          <tr key={item.warning}>
+                            <td>
+                              {item.warning}
+                              <div className="metric-hint">{item.category}</div>
+                            </td>
+                            <td>{item.urls}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  )}
+                  {report.lowestVisibility.length > 0 && (
+                    <table className="integration-table">
+                      <thead>
+                        <tr>
+                          <th>Lowest visibility</th>
+                          <th>Visibility</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {report.lowestVisibility.map(item => (
+                          <tr key={item.url}>
+                            <td>{item.url}</td>
+                            <td>{item.visibility}%</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  )}
+                </>
+              )
+            )}
+          </div>
+        ))
+      )}
+    </div>
+  );
+}
@@ -1,13 +1,32 @@
 import { useState, useEffect } from 'react';
+import axios from 'axios';
 import { FiArrowRight, FiCheck, FiSearch, FiCode, FiZap } from 'react-icons/fi';
 import { SiOpenai, SiGoogle } from 'react-icons/si';
 
-export default function Hero({ onAnalyze, loading, user, isPremium = false, onShowLogin }) {
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000';
+
+// Map queue progress stages to the loader's step index
+const STAGE_STEPS = {
+  queued: 0,
+  fetch: 0,
+  seo: 1,
+  crawl: 1,
+  prompts: 2,
+  recommendations: 3,
+  completed: 3
+};
+
+export default function Hero({ onAnalyze, loading, progress = null, user, isPremium = false, onShowLogin }) {
   const [url, setUrl] = useState('');
   const [brand, setBrand] = useState('');
   const [industry, setIndustry] = useState('');
   const [description, setDescription] = useState('');
   const [showOptionalFields, setShowOptionalFields] = useState(false);
+  const [crawlSite, setCrawlSite] = useState(false);
+  const [renderJs, setRenderJs] = useState(false);
+  const [sampleAnswers, setSampleAnswers] = useState(false);
+  const [promptSets, setPromptSets] = useState([]);
+  const [promptSetId, setPromptSetId] = useState('');
   const [showForm, setShowForm] = useState(true);
   const [analysisStep, setAnalysisStep] = useState(0);
   
@@ -34,6 +53,23 @@ export default function Hero({ onAnalyze, loading, user, isPremium = false, onSh
     }
   }, [loading]);
 
+  // Signed-in users can pick one of their prompt sets for the scan
+  useEffect(() => {
+    const token = localStorage.getItem('auth_token');
+    if (!user || !token) {
+      setPromptSets([]);
+      setPromptSetId('');
+      return;
+    }
+    axios.get(`${API_URL}/api/prompt-sets`, {
+      headers: {
+        Authorization: `Bearer ${token}`
+      }
+    })
+      .then(response => setPromptSets(response.data.promptSets || []))
+      .catch(err => console.error('Failed to fetch prompt sets:', err));
+  }, [user?.id]);
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     if (!url) return;
@@ -42,12 +78,19 @@ export default function Hero({ onAnalyze, loading, user, isPremium = false, onSh
     const context = {
       brand: brand.trim(),
       industry: industry.trim(),
-      description: description.trim()
+      description: description.trim(),
+      crawl: isPremium && crawlSite,
+      render: renderJs,
+      sample: isPremium && sampleAnswers,
+      promptSetId
     };
     
     await onAnalyze(url, context);
   };
 
+  // Prefer the worker-reported stage over the timed cycle when available
+  const currentStep = progress ? (STAGE_STEPS[progress.stage] ?? analysisStep) : analysisStep;
+
   return (
     <section className={`hero ${loading ? 'loading' : ''}`}>
       {/* Animated Background */}
@@ -102,6 +145,62 @@ export default function Hero({ onAnalyze, loading, user, isPremium = false, onSh
                   </button>
                 </div>
                 
+                {/* Site crawl (Premium) */}
+                {isPremium && (
+                  <label className="crawl-toggle">
+                    <input
+                      type="checkbox"
+                      checked={crawlSite}
+                      onChange={(e) => setCrawlSite(e.target.checked)}
+                      disabled={loading}
+                    />
+                    Crawl the whole site (up to 25 pages)
+                  </label>
+                )}
+                
+                {/* Repeated sampling (Premium) */}
+                {isPremium && (
+                  <label className="crawl-toggle">
+                    <input
+                      type="checkbox"
+                      checked={sampleAnswers}
+                      onChange={(e) => setSampleAnswers(e.target.checked)}
+                      disabled={loading}
+                    />
+                    Ask each AI prompt 5 times to measure answer stability (slower)
+                  </label>
+                )}
+                
+                {/* Prompt set to ask (signed-in users) */}
+                {promptSets.length > 0 && (
+                  <label className="crawl-toggle">
+                    Prompts:
+                    <select
+                      value={promptSetId}
+                      onChange={(e) => setPromptSetId(e.target.value)}
+                      disabled={loading}
+                    >
+                      <option value="">{isPremium ? 'Generated for this site' : 'Default prompts'}</option>
+                      {promptSets.map(promptSet => (
+                        <option key={promptSet._id} value={promptSet._id}>
+                          {promptSet.name} (v{promptSet.version})
+                        </option>
+                      ))}
+                    </select>
+                  </label>
+                )}
+                
+                {/* Headless rendering for JavaScript-built sites */}
+                <label className="crawl-toggle">
+                  <input
+                    type="checkbox"
+                    checked={renderJs}
+                    onChange={(e) => setRenderJs(e.target.checked)}
+                    disabled={loading}
+                  />
+                  Render JavaScript (for React, Vue or Angular sites)
+                </label>
+                
                 {/* Optional Context Fields */}
                 <button
                   type="button"
@@ -169,25 +268,25 @@ export default function Hero({ onAnalyze, loading, user, isPremium = false, onSh
                   </div>
                   <h3 className="analysis-title">Analyzing Your Website</h3>
                   <p className="analysis-step">
-                    {analysisStep === 0 && (
+                    {currentStep === 0 && (
                       <>
                         <FiSearch className="step-icon" />
                         Fetching website data...
                       </>
                     )}
-                    {analysisStep === 1 && (
+                    {currentStep === 1 && (
                       <>
                         <FiCode className="step-icon" />
                         Analyzing SEO metrics...
                       </>
                     )}
-                    {analysisStep === 2 && (
+                    {currentStep === 2 && (
                       <>
                         <FiZap className="step-icon" />
                         Testing AI model visibility...
                       </>
                     )}
-                    {analysisStep === 3 && (
+                    {currentStep === 3 && (
                       <>
                         <FiCheck className="step-icon" />
                         Generating recommendations...
@@ -196,9 +295,16 @@ export default function Hero({ onAnalyze, loading, user, isPremium = false, onSh
                   </p>
                   <div className="analysis-progress">
                     <div className="progress-bar">
-                      <div className="progress-fill"></div>
+                      <div 
+                        className={`progress-fill ${progress ? 'progress-fill-tracked' : ''}`}
+                        style={progress ? { width: `${progress.percent || 0}%` } : undefined}
+                      ></div>
                     </div>
-                    <p className="progress-hint">This usually takes 20-30 seconds</p>
+                    <p className="progress-hint">
+                      {progress?.message
+                        ? `${progress.percent || 0}% · ${progress.message}`
+                        : 'This usually takes 20-30 seconds'}
+                    </p>
                   </div>
                 </div>
               </div>
@@ -0,0 +1,243 @@
+import { useState, useEffect } from 'react';
+import axios from 'axios';
+import { FiAlertCircle, FiEdit2, FiLoader, FiPlus, FiTrash2 } from 'react-icons/fi';
+
+const EMPTY_FORM = { name: '', description: '', tags: '', prompts: '' };
+
+export default function PromptSets() {
+  const [promptSets, setPromptSets] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [tagFilter, setTagFilter] = useState(null);
+  const [editing, setEditing] = useState(null); // null, 'new' or a prompt set id
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000';
+  const token = localStorage.getItem('auth_token');
+
+  useEffect(() => {
+    fetchPromptSets();
+  }, []);
+
+  const fetchPromptSets = async () => {
+    try {
+      setLoading(true);
+      const response = await axios.get(`${API_URL}/api/prompt-sets`, {
+        headers: {
+          Authorization: `Bearer ${token}`
+        }
+      });
+
+      if (response.data.success) {
+        setPromptSets(response.data.promptSets);
+      }
+    } catch (error) {
+      console.error('Error fetching prompt sets:', error);
+      setError('Failed to load prompt sets');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const startEditing = (promptSet) => {
+    setMessage(null);
+    if (!promptSet) {
+      setEditing('new');
+      setForm(EMPTY_FORM);
+      return;
+    }
+    setEditing(promptSet._id);
+    setForm({
+      name: promptSet.name,
+      description: promptSet.description || '',
+      tags: (promptSet.tags || []).join(', '),
+      prompts: promptSet.prompts.map(prompt => prompt.template).join('\n')
+    });
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    setMessage(null);
+    const existing = promptSets.find(promptSet => promptSet._id === editing);
+    // Keep categories of prompts that weren't reworded
+    const categories = new Map((existing?.prompts || []).map(prompt => [prompt.template, prompt.category]));
+    const body = {
+      name: form.name,
+      description: form.description,
+      tags: form.tags.split(',').map(tag => tag.trim()).filter(Boolean),
+      prompts: form.prompts.split('\n').map(line => line.trim()).filter(Boolean)
+        .map(template => ({ template, category: categories.get(template) || 'custom' }))
+    };
+
+    try {
+      const headers = { Authorization: `Bearer ${token}` };
+      const response = editing === 'new'
+        ? await axios.post(`${API_URL}/api/prompt-sets`, body, { headers })
+        : await axios.put(`${API_URL}/api/prompt-sets/${editing}`, body, { headers });
+
+      if (response.data.success) {
+        setMessage({
+          type: 'success',
+          text: editing === 'new'
+            ? 'Prompt set created. Pick it when you start a scan.'
+            : response.data.newVersion
+              ? `Saved as version ${response.data.promptSet.version}. Earlier scans keep the version they used.`
+              : 'Prompt set saved.'
+        });
+        setEditing(null);
+        fetchPromptSets();
+      }
+    } catch (err) {
+      setMessage({ type: 'error', text: err.response?.data?.error || 'Failed to save prompt set' });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (promptSet) => {
+    if (!confirm(`Delete the prompt set "${promptSet.name}"?`)) {
+      return;
+    }
+
+    try {
+      const response = await axios.delete(`${API_URL}/api/prompt-sets/${promptSet._id}`, {
+        headers: {
+          Authorization: `Bearer ${token}`
+        }
+      });
+
+      if (response.data.success) {
+        fetchPromptSets();
+      }
+    } catch (error) {
+      console.error('Error deleting prompt set:', error);
+      setError('Failed to delete prompt set. Please try again.');
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="integrations-container">
+        <div className="loading-state">
+          <FiLoader className="spinner" />
+          <p>Loading prompt sets...</p>
+        </div>
+      </div>
+    );
+  }
+
+  const tags = [...new Set(promptSets.flatMap(promptSet => promptSet.tags || []))];
+  const visibleSets = tagFilter
+    ? promptSets.filter(promptSet => (promptSet.tags || []).includes(tagFilter))
+    : promptSets;
+
+  return (
+    <div className="integrations-container">
+      <div className="integrations-header">
+        <h2>Prompt Sets</h2>
+        <p>The questions asked to AI models in your scans. Use {'{brand}'}, {'{domain}'} and {'{topic}'} in a prompt; they are filled in from the scanned site and your profile.</p>
+      </div>
+
+      {error && (
+        <div className="alert alert-error">
+          <FiAlertCircle />
+          <span>{error}</span>
+        </div>
+      )}
+
+      {tags.length > 0 && (
+        <div className="prompt-set-tags">
+          <button className={`badge ${!tagFilter ? 'active' : ''}`} onClick={() => setTagFilter(null)}>All</button>
+          {tags.map(tag => (
+            <button key={tag} className={`badge ${tagFilter === tag ? 'active' : ''}`} onClick={() => setTagFilter(tag)}>
+              {tag}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {visibleSets.map(promptSet => (
+        <div key={promptSet._id} className="account-card prompt-set-card">
+          <div className="prompt-set-header">
+            <div>
+              <h4>{promptSet.name}</h4>
+              <p className="form-hint">
+                Version {promptSet.version} · {promptSet.prompts.length} prompt{promptSet.prompts.length !== 1 ? 's' : ''}
+                {promptSet.source === 'generated' && ' · Generated on your first Premium scan of this domain'}
+              </p>
+              {promptSet.description && <p className="form-hint">{promptSet.description}</p>}
+            </div>
+            <div className="competitor-actions">
+              <button className="btn btn-secondary btn-sm" onClick={() => startEditing(promptSet)} aria-label="Edit prompt set">
+                <FiEdit2 />
+              </button>
+              <button className="btn btn-secondary btn-sm" onClick={() => handleDelete(promptSet)} aria-label="Delete prompt set">
+                <FiTrash2 />
+              </button>
+            </div>
+          </div>
+          {(promptSet.tags || []).length > 0 && (
+            <div className="prompt-set-tags">
+              {promptSet.tags.map(tag => <span key={tag} className="badge">{tag}</span>)}
+            </div>
+          )}
+        </div>
+      ))}
+
+      {promptSets.length === 0 && editing !== 'new' && (
+        <p className="form-hint">No prompt sets yet. Scans use the default prompts until you create one.</p>
+      )}
+
+      {editing ? (
+        <div className="account-card prompt-set-form">
+          <h4>{editing === 'new' ? 'New Prompt Set' : 'Edit Prompt Set'}</h4>
+          <input
+            type="text"
+            placeholder="Name, e.g. CRM buyer questions"
+            value={form.name}
+            maxLength={100}
+            onChange={(e) => setForm({ ...form, name: e.target.value })}
+          />
+          <input
+            type="text"
+            placeholder="Description (optional)"
+            value={form.description}
+            maxLength={500}
+            onChange={(e) => setForm({ ...form, description: e.target.value })}
+          />
+          <input
+            type="text"
+            placeholder="Tags, comma separated"
+            value={form.tags}
+            onChange={(e) => setForm({ ...form, tags: e.target.value })}
+          />
+          <textarea
+            rows={8}
+            placeholder={'One prompt per line, e.g.\nWhat is the best CRM for startups?\nWhat are the best alternatives to {brand}?'}
+            value={form.prompts}
+            onChange={(e) => setForm({ ...form, prompts: e.target.value })}
+          />
+          <p className="form-hint">Changing the prompts saves a new version. Rewording a prompt makes it a new question in your trends.</p>
+          <div className="competitor-actions">
+            <button className="btn btn-secondary btn-sm" onClick={() => setEditing(null)}>Cancel</button>
+            <button className="btn btn-primary btn-sm" disabled={saving} onClick={handleSave}>
+              {saving ? 'Saving...' : 'Save Prompt Set'}
+            </button>
+          </div>
+        </div>
+      ) : (
+        <div className="competitor-actions">
+          <button className="btn btn-secondary btn-sm" disabled={promptSets.length >= 50} onClick={() => startEditing(null)}>
+            <FiPlus /> New Prompt Set
+          </button>
+        </div>
+      )}
+
+      {message && (
+        <p className={`form-hint text-${message.type}`}>{message.text}</p>
+      )}
+    </div>
+  );
+}
@@ -4,19 +4,23 @@ import {
   FiCheckCircle, FiAlertTriangle, FiInfo, FiExternalLink, 
   FiLock, FiUnlock, FiFileText, FiMap, FiImage, FiLink,
   FiCode, FiLayers, FiShare2, FiStar, FiArrowRight, FiDownload,
-  FiChevronDown, FiChevronUp, FiLoader
+  FiChevronDown, FiChevronUp, FiLoader, FiCpu, FiUsers, FiShield
 } from 'react-icons/fi';
 import PremiumUpgradeModal from './PremiumUpgradeModal';
 import FeatureExplanation from './FeatureExplanation';
+import ShareLinks from './ShareLinks';
 
 export default function ResultsDisplay({ data }) {
   if (!data) return null;
 
-  const { seo, llmVisibility, integrations, isFreeUser = true, isPremium = false, scanId, warnings } = data;
+  const { seo, llmVisibility, integrations, crawl, recommendations = [], isFreeUser = true, isPremium = false, scanId, warnings, live, accessToken, readOnly = false } = data;
   const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000';
   const token = localStorage.getItem('auth_token');
   
   const [expandedWarnings, setExpandedWarnings] = useState(new Set());
+  const [showShare, setShowShare] = useState(false);
+  // Signed-in owners can share their scans; anonymous scans have an access token instead
+  const canShare = !!(token && scanId && !accessToken && !readOnly && !live);
   const [warningRecommendations, setWarningRecommendations] = useState({});
   const [loadingRecommendations, setLoadingRecommendations] = useState({});
   const [showPremiumModal, setShowPremiumModal] = useState(false);
@@ -40,9 +44,11 @@ export default function ResultsDisplay({ data }) {
       };
 
       const response = await fetch(url, {
-        headers: token ? {
-          Authorization: `Bearer ${token}`
-        } : {}
+        headers: {
+          ...(token && { Authorization: `Bearer ${token}` }),
+          // Anonymous scans are only readable with their access token
+          ...(accessToken && { 'X-Scan-Token': accessToken })
+        }
       });
       
       if (!response.ok) {
@@ -173,36 +179,48 @@ export default function ResultsDisplay({ data }) {
             </div>
           )}
           
-          <div className="export-buttons">
-            <button 
-              className="btn btn-secondary export-btn" 
-              onClick={() => handleExport('csv')}
-              title="Export as CSV"
-            >
-              <FiDownload /> Export CSV
-            </button>
-            {isPremium && (
+          {!live && !readOnly && (
+            <div className="export-buttons">
               <button 
                 className="btn btn-secondary export-btn" 
-                onClick={() => handleExport('pdf')}
-                title="Export as PDF (Premium)"
-              >
-                <FiDownload /> Export PDF
-              </button>
-            )}
-            {!isPremium && (
-              <button 
-                className="btn btn-secondary export-btn premium-locked" 
-                onClick={() => {
-                  setPremiumFeatureName('PDF Export');
-                  setShowPremiumModal(true);
-                }}
-                title="PDF Export (Premium Feature) - Click to learn more"
+                onClick={() => handleExport('csv')}
+                title="Export as CSV"
               >
-                <FiLock size={14} /> PDF (Premium)
+                <FiDownload /> Export CSV
               </button>
-            )}
-          </div>
+              {isPremium && (
+                <button 
+                  className="btn btn-secondary export-btn" 
+                  onClick={() => handleExport('pdf')}
+                  title="Export as PDF (Premium)"
+                >
+                  <FiDownload /> Export PDF
+                </button>
+              )}
+              {!isPremium && (
+                <button 
+                  className="btn btn-secondary export-btn premium-locked" 
+                  onClick={() => {
+                    setPremiumFeatureName('PDF Export');
+                    setShowPremiumModal(true);
+                  }}
+                  title="PDF Export (Premium Feature) - Click to learn more"
+                >
+                  <FiLock size={14} /> PDF (Premium)
+                </button>
+              )}
+              {canShare && (
+                <button
+                  className="btn btn-secondary export-btn"
+                  onClick={() => setShowShare(!showShare)}
+                  title="Share a read-only report"
+                >
+                  <FiShare2 /> Share
+                </button>
+              )}
+            </div>
+          )}
+          {canShare && showShare && <ShareLinks scanId={scanId} token={token} />}
         </div>
         
         {/* Premium Upgrade Modal */}
@@ -212,586 +230,755 @@ export default function ResultsDisplay({ data }) {
           feature={premiumFeatureName}
         />
 
-        {/* LLM Visibility Score - Hero Card */}
-        <div className="llm-score-card card">
-          <div className="score-content">
-            <div className="score-label">
-              <h3>LLM Visibility Score</h3>
-              <p>How well AI models cite your website</p>
-              <FeatureExplanation
-                feature="llm-visibility"
-                title="LLM Visibility Score"
-                description="The LLM Visibility Score measures how well your website is recognized and recommended by AI search models like ChatGPT, Claude, and Gemini. A higher score means AI assistants are more likely to cite your website when users ask relevant questions."
-                howItWorks="We test your website against 3 different prompts that simulate real user queries. Each prompt is scored based on whether your domain is mentioned (1 point), cited with a link (2 points), or recommended as a top resource (3 points). Your total score is calculated as X/9, where 9 is the maximum possible score."
-                whyItMatters="As AI-powered search becomes more common, being visible to AI models is crucial for driving traffic. When ChatGPT or Claude recommends your website, you get direct traffic without traditional SEO. This score helps you understand your AI search presence and identify opportunities to improve."
-                examples={[
-                  "Score 80-100%: Excellent - AI models frequently recommend your site",
-                  "Score 50-79%: Good - Your site is mentioned but could be more prominent",
-                  "Score 0-49%: Needs improvement - AI models rarely cite your website"
-                ]}
-              />
-            </div>
-            <div className="score-value">
-              <div className="score-circle">
-                <svg viewBox="0 0 100 100">
-                  <circle cx="50" cy="50" r="45" />
-                  <circle 
-                    cx="50" 
-                    cy="50" 
-                    r="45"
-                    style={{
-                      strokeDasharray: `${llmVisibility.percentage * 2.827}, 282.7`,
-                      stroke: getScoreColor(llmVisibility.percentage)
-                    }}
-                  />
-                </svg>
-                <div className="score-text">
-                  <span className="percentage">{llmVisibility.percentage}%</span>
-                  <span className="sublabel">{llmVisibility.totalScore}/{llmVisibility.maxScore}</span>
-                </div>
+        {/* LLM Visibility Score - Hero Card (live prompt results until the LLM stage finishes) */}
+        {llmVisibility ? (
+          <div className="llm-score-card card">
+            <div className="score-content">
+              <div className="score-label">
+                <h3>LLM Visibility Score</h3>
+                <p>How well AI models cite your website</p>
+                <FeatureExplanation
+                  feature="llm-visibility"
+                  title="LLM Visibility Score"
+                  description="The LLM Visibility Score measures how well your website is recognized and recommended by AI search models like ChatGPT, Claude, and Gemini. A higher score means AI assistants are more likely to cite your website when users ask relevant questions."
+                  howItWorks="We test your website against prompts that simulate real user queries. Each answer is scored from 0 to 100: being cited with a link or mentioned by name (40), your rank among the brands the answer lists (20), whether you're the headline or a footnote (15), the tone of the description (10), how well it matches your own brand summary (10), and whether the AI links to a specific page rather than your homepage (5). Your score is the average across prompts and AI models."
+                  whyItMatters="As AI-powered search becomes more common, being visible to AI models is crucial for driving traffic. When ChatGPT or Claude recommends your website, you get direct traffic without traditional SEO. This score helps you understand your AI search presence and identify opportunities to improve."
+                  examples={[
+                    "Score 80-100%: Excellent - AI models frequently recommend your site",
+                    "Score 50-79%: Good - Your site is mentioned but could be more prominent",
+                    "Score 0-49%: Needs improvement - AI models rarely cite your website"
+                  ]}
+                />
               </div>
-              <div className="score-calculation">
-                <small>Calculation: {llmVisibility.totalScore} points out of {llmVisibility.maxScore} possible</small>
+              <div className="score-value">
+                <div className="score-circle">
+                  <svg viewBox="0 0 100 100">
+                    <circle cx="50" cy="50" r="45" />
+                    <circle 
+                      cx="50" 
+                      cy="50" 
+                      r="45"
+                      style={{
+                        strokeDasharray: `${llmVisibility.percentage * 2.827}, 282.7`,
+                        stroke: getScoreColor(llmVisibility.percentage)
+                      }}
+                    />
+                  </svg>
+                  <div className="score-text">
+                    <span className="percentage">{llmVisibility.percentage}%</span>
+                    <span className="sublabel">{llmVisibility.totalScore}/{llmVisibility.maxScore}</span>
+                  </div>
+                </div>
+                {llmVisibility.sampling && <StabilityIndicator sampling={llmVisibility.sampling} />}
+                <div className="score-calculation">
+                  <small>
+                    {llmVisibility.scoringVersion
+                      ? `Average of ${llmVisibility.details.length} prompt score${llmVisibility.details.length !== 1 ? 's' : ''} (0-100, scoring v${llmVisibility.scoringVersion})`
+                      : `Calculation: ${llmVisibility.totalScore} points out of ${llmVisibility.maxScore} possible`}
+                  </small>
+                  {llmVisibility.promptSet?.name && (
+                    <small className="metric-hint">
+                      Prompts: {llmVisibility.promptSet.name} (v{llmVisibility.promptSet.version})
+                    </small>
+                  )}
+                </div>
               </div>
             </div>
-          </div>
           
-          <div className="score-breakdown">
-            <h4>Prompt Breakdown</h4>
-            <div className="prompts-list">
-              {llmVisibility.details.map((detail, index) => (
-                <div key={index} className="prompt-item">
-                  <div className="prompt-header">
-                    <span className="prompt-label">Prompt {index + 1}</span>
-                    {detail.domainMentioned ? (
-                      <span className="badge badge-success">
-                        <FiCheckCircle /> Mentioned
-                      </span>
-                    ) : (
-                      <span className="badge badge-error">
-                        ✗ Not Mentioned
-                      </span>
-                    )}
-                  </div>
-                  <p className="prompt-text">"{detail.prompt}"</p>
-                  <details className="prompt-response">
-                    <summary>View AI Response</summary>
-                    <div className="response-content">
-                      {/* Show parsed JSON description if available, otherwise raw response */}
-                      {detail.parsedResponse?.description ? (
-                        <div>
-                          <p><strong>Description:</strong> {detail.parsedResponse.description}</p>
-                          {detail.parsedResponse.reasoning && (
-                            <p><strong>Reasoning:</strong> {detail.parsedResponse.reasoning}</p>
-                          )}
-                        </div>
+            <div className="score-breakdown">
+              <h4>Prompt Breakdown</h4>
+              <div className="prompts-list">
+                {llmVisibility.details.map((detail, index) => (
+                  <div key={index} className="prompt-item">
+                    <div className="prompt-header">
+                      <span className="prompt-label">Prompt {index + 1}</span>
+                      {detail.domainMentioned ? (
+                        <span className="badge badge-success">
+                          <FiCheckCircle /> Mentioned
+                        </span>
                       ) : (
-                        <p>{detail.response || 'No response available'}</p>
-                      )}
-                      {detail.citations && detail.citations.length > 0 && (
-                        <div className="citations">
-                          <strong>Citations Found:</strong>
-                          <ul>
-                            {detail.citations.map((citation, i) => (
-                              <li key={i}>
-                                <a href={citation} target="_blank" rel="noopener noreferrer">
-                                  {citation} <FiExternalLink size={12} />
-                                </a>
-                              </li>
-                            ))}
-                          </ul>
-                        </div>
+                        <span className="badge badge-error">
+                          ✗ Not Mentioned
+                        </span>
                       )}
+                    </div>
+                    <p className="prompt-text">"{detail.prompt}"</p>
+                    {detail.scoreBreakdown && <ScoreBreakdown score={detail.score} breakdown={detail.scoreBreakdown} />}
+                    {detail.sampling && <PromptSampling sampling={detail.sampling} />}
+                    <details className="prompt-response">
+                      <summary>View AI Response</summary>
+                      <div className="response-content">
+                        {/* Show parsed JSON description if available, otherwise raw response */}
+                        {detail.parsedResponse?.description ? (
+                          <div>
+                            <p><strong>Description:</strong> {detail.parsedResponse.description}</p>
+                            {detail.parsedResponse.reasoning && (
+                              <p><strong>Reasoning:</strong> {detail.parsedResponse.reasoning}</p>
+                            )}
+                          </div>
+                        ) : (
+                          <p>{detail.response || 'No response available'}</p>
+                        )}
+                        {detail.brandClaims?.length > 0 && (
+                          <div className="brand-claims">
+                            <strong>Claims About Your Brand:</strong>
+                            <ul className="crawler-access-list">
+                              {detail.brandClaims.map((claim, i) => (
+                                <li key={i}>
+                                  <span className="crawler-name">
+                                    {claim.claim}
+                                    {claim.correction && <span className="crawler-owner">Actually: {claim.correction}</span>}
+                                  </span>
+                                  <span className={`claim-status claim-${claim.status}`}>{claim.status}</span>
+                                </li>
+                              ))}
+                            </ul>
+                          </div>
+                        )}
+                        {detail.citations && detail.citations.length > 0 && (
+                          <div className="citations">
+                            <strong>Citations Found:</strong>
+                            <ul>
+                              {detail.citations.map((citation, i) => (
+                                <li key={i}>
+                                  <a href={citation} target="_blank" rel="noopener noreferrer">
+                                    {citation} <FiExternalLink size={12} />
+                                  </a>
+                                </li>
+                              ))}
+                            </ul>
+                          </div>
+                        )}
                       
-                      {/* Recommendations Section */}
-                      {detail.recommendations && detail.recommendations.length > 0 && (
-                        <div className="recommendations-section">
-                          {isPremium ? (
-                            <div className="recommendations-content">
-                              <h5><FiStar /> AI Recommendations to Improve Visibility</h5>
-                              <ul className="recommendations-list">
-                                {detail.recommendations.map((rec, i) => (
-                                  <li key={i} className={`recommendation-item priority-${rec.priority || 'medium'}`}>
-                                    <strong>{rec.title || `Recommendation ${i + 1}`}</strong>
-                                    <p>{rec.description}</p>
-                                    {rec.priority && (
-                                      <span className={`priority-badge priority-${rec.priority}`}>
-                                        {rec.priority} priority
-                                      </span>
-                                    )}
-                                  </li>
-                                ))}
-                              </ul>
-                            </div>
-                          ) : (
-                            <div className="premium-cta">
-                              <div className="premium-cta-content">
-                                <FiStar className="premium-icon" />
-                                <div>
-                                  <h5>AI-Powered Recommendations Available</h5>
-                                  <p>Get personalized, actionable recommendations to improve your AI search visibility</p>
+                        {/* Recommendations Section */}
+                        {detail.recommendations && detail.recommendations.length > 0 && (
+                          <div className="recommendations-section">
+                            {isPremium ? (
+                              <div className="recommendations-content">
+                                <h5><FiStar /> AI Recommendations to Improve Visibility</h5>
+                                <ul className="recommendations-list">
+                                  {detail.recommendations.map((rec, i) => (
+                                    <li key={i} className={`recommendation-item priority-${rec.priority || 'medium'}`}>
+                                      <strong>{rec.title || `Recommendation ${i + 1}`}</strong>
+                                      <p>{rec.description}</p>
+                                      {rec.priority && (
+                                        <span className={`priority-badge priority-${rec.priority}`}>
+                                          {rec.priority} priority
+                                        </span>
+                                      )}
+                                    </li>
+                                  ))}
+                                </ul>
+                              </div>
+                            ) : (
+                              <div className="premium-cta">
+                                <div className="premium-cta-content">
+                                  <FiStar className="premium-icon" />
+                                  <div>
+                                    <h5>AI-Powered Recommendations Available</h5>
+                                    <p>Get personalized, actionable recommendations to improve your AI search visibility</p>
+                                  </div>
                                 </div>
+                                <button className="btn btn-primary premium-btn" onClick={() => window.scrollTo({ top: 0, behavior: 'smooth' })}>
+                                  Upgrade to Pro <FiArrowRight />
+                                </button>
                               </div>
-                              <button className="btn btn-primary premium-btn" onClick={() => window.scrollTo({ top: 0, behavior: 'smooth' })}>
-                                Upgrade to Pro <FiArrowRight />
-                              </button>
-                            </div>
-                          )}
-                        </div>
-                      )}
-                    </div>
-                  </details>
-                </div>
-              ))}
-            </div>
-          </div>
-        </div>
-
-        <h2 className="section-title">SEO Analysis</h2>
-
-        {/* SEO Score Overview */}
-        <div className="seo-overview-grid">
-          <div className="card stat-card">
-            <div className="stat-icon" style={{ color: seo.isHttps ? '#10B981' : '#EF4444' }}>
-              {seo.isHttps ? <FiLock /> : <FiUnlock />}
-            </div>
-            <div className="stat-content">
-              <h4>{seo.isHttps ? 'Secure (HTTPS)' : 'Not Secure'}</h4>
-              <p className="stat-value">{seo.isHttps ? '✓ SSL Certificate' : 'X No HTTPS'}</p>
-            </div>
-          </div>
-
-          <div className="card stat-card">
-            <div className="stat-icon" style={{ color: seo.loadTimeMs < 3000 ? '#10B981' : '#F59E0B' }}>
-              ⚡
-            </div>
-            <div className="stat-content">
-              <h4>Load Time</h4>
-              <p className="stat-value">{seo.loadTimeMs}ms</p>
+                            )}
+                          </div>
+                        )}
+                      </div>
+                    </details>
+                  </div>
+                ))}
+              </div>
             </div>
           </div>
+        ) : (
+          <LivePromptResults progress={live?.progress} prompts={live?.prompts || []} />
+        )}
 
-          <div className="card stat-card">
-            <div className="stat-icon" style={{ color: seo.images?.altCoverage > 80 ? '#10B981' : seo.images?.altCoverage > 50 ? '#F59E0B' : '#EF4444' }}>
-              <FiImage />
-            </div>
-            <div className="stat-content">
-              <h4>Images Alt Text</h4>
-              <p className="stat-value">{seo.images?.altCoverage || 0}% Coverage</p>
-              <p className="stat-detail">{seo.images?.withAlt || 0} of {seo.images?.total || 0} images</p>
-            </div>
-          </div>
+        {/* Brands the AI answers named, ours included */}
+        {llmVisibility?.shareOfVoice?.entities?.length > 0 && (
+          <ShareOfVoice shareOfVoice={llmVisibility.shareOfVoice} />
+        )}
 
-          <div className="card stat-card">
-            <div className="stat-icon" style={{ color: seo.structuredData?.count > 0 ? '#10B981' : '#EF4444' }}>
-              <FiCode />
-            </div>
-            <div className="stat-content">
-              <h4>Structured Data</h4>
-              <p className="stat-value">{seo.structuredData?.count || 0} Schema{seo.structuredData?.count !== 1 ? 's' : ''}</p>
-              {seo.structuredData?.count > 0 && (
-                <p className="stat-detail">{seo.structuredData.schemas?.map(s => s.schema).join(', ')}</p>
-              )}
-            </div>
-          </div>
-        </div>
+        {/* What the AI answers got right and wrong about the brand */}
+        {llmVisibility?.brandAccuracy?.answersChecked > 0 && (
+          <BrandAccuracy brandAccuracy={llmVisibility.brandAccuracy} />
+        )}
 
-        {/* Main SEO Grid */}
-        <div className="seo-detailed-grid">
-          {/* Basic SEO */}
-          <div className="card">
-            <h3><FiFileText /> Basic SEO</h3>
-            <div className="seo-metrics">
-              <div className="metric">
-                <span className="metric-label">Title</span>
-                <span className="metric-value">{seo.title || 'Not found'}</span>
-                {seo.title && <span className="metric-hint">{seo.title.length} characters</span>}
-              </div>
-              <div className="metric">
-                <span className="metric-label">Meta Description</span>
-                <span className="metric-value">{seo.metaDescription || 'Not found'}</span>
-                {seo.metaDescription && <span className="metric-hint">{seo.metaDescription.length} characters</span>}
-              </div>
-              <div className="metric">
-                <span className="metric-label">Canonical URL</span>
-                <span className="metric-value">{seo.canonical || 'Not set'}</span>
-              </div>
-              <div className="metric">
-                <span className="metric-label">Meta Robots</span>
-                <span className="metric-value">{seo.robotsMeta || 'Default (index, follow)'}</span>
-              </div>
-            </div>
-          </div>
+        {/* Recommendations for the page (premium scans stream them in after the results) */}
+        {recommendations.length > 0 && <ScanRecommendations recommendations={recommendations} />}
 
-          {/* Technical SEO */}
-          <div className="card">
-            <h3>⚙️ Technical</h3>
-            <div className="seo-metrics">
-              <div className="metric">
-                <span className="metric-label">Status Code</span>
-                <span className={`metric-value ${seo.statusCode === 200 ? 'text-success' : 'text-error'}`}>
-                  {seo.statusCode}
-                </span>
-              </div>
-              <div className="metric">
-                <span className="metric-label">Charset</span>
-                <span className="metric-value">{seo.charset || 'Not specified'}</span>
-              </div>
-              <div className="metric">
-                <span className="metric-label">Viewport</span>
-                <span className="metric-value">{seo.viewport ? '✓ Mobile-friendly' : '✗ Not set'}</span>
-              </div>
-              <div className="metric">
-                <span className="metric-label">Language</span>
-                <span className="metric-value">{seo.lang || 'Not specified'}</span>
-              </div>
-              <div className="metric">
-                <span className="metric-label">Favicon</span>
-                <span className="metric-value">{seo.favicon ? '✓ Present' : '✗ Missing'}</span>
-              </div>
-            </div>
-          </div>
+        {seo ? (
+          <>
+            <h2 className="section-title">SEO Analysis</h2>
 
-          {/* Heading Structure */}
-          {seo.headings && (
-            <div className="card">
-              <h3><FiLayers /> Heading Structure</h3>
-              <div className="seo-metrics">
-                <div className="metric">
-                  <span className="metric-label">H1 Tags</span>
-                  <span className={`metric-value ${seo.headings.h1.length === 1 ? 'text-success' : 'text-warning'}`}>
-                    {seo.headings.h1.length} found
-                  </span>
-                  {seo.headings.h1.length > 0 && (
-                    <span className="metric-hint">"{seo.headings.h1[0]}"</span>
-                  )}
-                </div>
-                <div className="metric">
-                  <span className="metric-label">H2 Tags</span>
-                  <span className="metric-value">{seo.headings.h2}</span>
-                </div>
-                <div className="metric">
-                  <span className="metric-label">H3 Tags</span>
-                  <span className="metric-value">{seo.headings.h3}</span>
+            {/* SEO Score Overview */}
+            <div className="seo-overview-grid">
+              <div className="card stat-card">
+                <div className="stat-icon" style={{ color: seo.isHttps ? '#10B981' : '#EF4444' }}>
+                  {seo.isHttps ? <FiLock /> : <FiUnlock />}
                 </div>
-                <div className="metric">
-                  <span className="metric-label">H4-H6 Tags</span>
-                  <span className="metric-value">{seo.headings.h4 + seo.headings.h5 + seo.headings.h6}</span>
+                <div className="stat-content">
+                  <h4>{seo.isHttps ? 'Secure (HTTPS)' : 'Not Secure'}</h4>
+                  <p className="stat-value">{seo.isHttps ? '✓ SSL Certificate' : 'X No HTTPS'}</p>
                 </div>
               </div>
-            </div>
-          )}
 
-          {/* Images Analysis */}
-          {seo.images && (
-            <div className="card">
-              <h3><FiImage /> Images & Accessibility</h3>
-              <div className="seo-metrics">
-                <div className="metric">
-                  <span className="metric-label">Total Images</span>
-                  <span className="metric-value">{seo.images.total}</span>
-                </div>
-                <div className="metric">
-                  <span className="metric-label">With Alt Text</span>
-                  <span className="metric-value text-success">{seo.images.withAlt}</span>
+              <div className="card stat-card">
+                <div className="stat-icon" style={{ color: seo.loadTimeMs < 3000 ? '#10B981' : '#F59E0B' }}>
+                  ⚡
                 </div>
-                <div className="metric">
-                  <span className="metric-label">Without Alt Text</span>
-                  <span className={`metric-value ${seo.images.withoutAlt > 0 ? 'text-error' : 'text-success'}`}>
-                    {seo.images.withoutAlt}
-                  </span>
-                </div>
-                <div className="metric">
-                  <span className="metric-label">Alt Text Coverage</span>
-                  <span className="metric-value">{seo.images.altCoverage}%</span>
+                <div className="stat-content">
+                  <h4>Load Time</h4>
+                  <p className="stat-value">{seo.loadTimeMs}ms</p>
                 </div>
               </div>
-            </div>
-          )}
 
-          {/* Links Analysis */}
-          {seo.links && (
-            <div className="card">
-              <h3><FiLink /> Links</h3>
-              <div className="seo-metrics">
-                <div className="metric">
-                  <span className="metric-label">Total Links</span>
-                  <span className="metric-value">{seo.links.total}</span>
+              <div className="card stat-card">
+                <div className="stat-icon" style={{ color: seo.images?.altCoverage > 80 ? '#10B981' : seo.images?.altCoverage > 50 ? '#F59E0B' : '#EF4444' }}>
+                  <FiImage />
                 </div>
-                <div className="metric">
-                  <span className="metric-label">Internal Links</span>
-                  <span className="metric-value">{seo.links.internal}</span>
-                </div>
-                <div className="metric">
-                  <span className="metric-label">External Links</span>
-                  <span className="metric-value">{seo.links.external}</span>
-                </div>
-                <div className="metric">
-                  <span className="metric-label">Nofollow Links</span>
-                  <span className="metric-value">{seo.links.nofollow}</span>
+                <div className="stat-content">
+                  <h4>Images Alt Text</h4>
+                  <p className="stat-value">{seo.images?.altCoverage || 0}% Coverage</p>
+                  <p className="stat-detail">{seo.images?.withAlt || 0} of {seo.images?.total || 0} images</p>
                 </div>
               </div>
-            </div>
-          )}
 
-          {/* Social Media Tags */}
-          <div className="card">
-            <h3><FiShare2 /> Social Media</h3>
-            <div className="seo-metrics">
-              <div className="metric">
-                <span className="metric-label">Open Graph Title</span>
-                <span className="metric-value">{seo.ogTitle ? '✓ Set' : '✗ Missing'}</span>
-              </div>
-              <div className="metric">
-                <span className="metric-label">Open Graph Description</span>
-                <span className="metric-value">{seo.ogDescription ? '✓ Set' : '✗ Missing'}</span>
-              </div>
-              <div className="metric">
-                <span className="metric-label">Open Graph Image</span>
-                <span className="metric-value">{seo.ogImage ? '✓ Set' : '✗ Missing'}</span>
-              </div>
-              <div className="metric">
-                <span className="metric-label">Twitter Card</span>
-                <span className="metric-value">{seo.twitterCard || '✗ Not set'}</span>
+              <div className="card stat-card">
+                <div className="stat-icon" style={{ color: seo.structuredData?.count > 0 ? '#10B981' : '#EF4444' }}>
+                  <FiCode />
+                </div>
+                <div className="stat-content">
+                  <h4>Structured Data</h4>
+                  <p className="stat-value">{seo.structuredData?.count || 0} Schema{seo.structuredData?.count !== 1 ? 's' : ''}</p>
+                  {seo.structuredData?.count > 0 && (
+                    <p className="stat-detail">{seo.structuredData.schemas?.map(s => s.schema).join(', ')}</p>
+                  )}
+                </div>
               </div>
             </div>
-          </div>
-        </div>
 
-        {/* Structured Data */}
-        {seo.structuredData && (
-          <div className="card">
-            <h3><FiCode /> Structured Data (Schema.org)</h3>
-            {seo.structuredData.count > 0 ? (
-              <div className="structured-data-list">
-                <p className="metric-hint">Found {seo.structuredData.count} structured data schema(s):</p>
-                <div className="schema-badges">
-                  {seo.structuredData.schemas.map((schema, index) => (
-                    <span key={index} className={`badge ${schema.valid ? 'badge-success' : 'badge-error'}`}>
-                      {schema.schema}
-                    </span>
-                  ))}
+            {/* Main SEO Grid */}
+            <div className="seo-detailed-grid">
+              {/* Basic SEO */}
+              <div className="card">
+                <h3><FiFileText /> Basic SEO</h3>
+                <div className="seo-metrics">
+                  <div className="metric">
+                    <span className="metric-label">Title</span>
+                    <span className="metric-value">{seo.title || 'Not found'}</span>
+                    {seo.title && <span className="metric-hint">{seo.title.length} characters</span>}
+                  </div>
+                  <div className="metric">
+                    <span className="metric-label">Meta Description</span>
+                    <span className="metric-value">{seo.metaDescription || 'Not found'}</span>
+                    {seo.metaDescription && <span className="metric-hint">{seo.metaDescription.length} characters</span>}
+                  </div>
+                  <div className="metric">
+                    <span className="metric-label">Canonical URL</span>
+                    <span className="metric-value">{seo.canonical || 'Not set'}</span>
+                  </div>
+                  <div className="metric">
+                    <span className="metric-label">Meta Robots</span>
+                    <span className="metric-value">{seo.robotsMeta || 'Default (index, follow)'}</span>
+                  </div>
                 </div>
               </div>
-            ) : (
-              <p className="no-data">No structured data found. Consider adding Schema.org markup for better search visibility.</p>
-            )}
-          </div>
-        )}
 
-        {/* robots.txt & Sitemap */}
-        <div className="seo-files-grid">
-          {/* robots.txt */}
-          {seo.robotsTxt && (
-            <div className="card">
-              <h3><FiFileText /> robots.txt</h3>
-              {seo.robotsTxt.exists ? (
+              {/* Technical SEO */}
+              <div className="card">
+                <h3>⚙️ Technical</h3>
                 <div className="seo-metrics">
                   <div className="metric">
-                    <span className="metric-label">Status</span>
-                    <span className="metric-value text-success">✓ Found</span>
+                    <span className="metric-label">Status Code</span>
+                    <span className={`metric-value ${seo.statusCode === 200 ? 'text-success' : 'text-error'}`}>
+                      {seo.statusCode}
+                    </span>
+                  </div>
+                  <div className="metric">
+                    <span className="metric-label">Charset</span>
+                    <span className="metric-value">{seo.charset || 'Not specified'}</span>
                   </div>
                   <div className="metric">
-                    <span className="metric-label">Size</span>
-                    <span className="metric-value">{seo.robotsTxt.size} bytes</span>
+                    <span className="metric-label">Viewport</span>
+                    <span className="metric-value">{seo.viewport ? '✓ Mobile-friendly' : '✗ Not set'}</span>
                   </div>
                   <div className="metric">
-                    <span className="metric-label">Rules</span>
-                    <span className="metric-value">{seo.robotsTxt.linesCount} lines</span>
+                    <span className="metric-label">Language</span>
+                    <span className="metric-value">{seo.lang || 'Not specified'}</span>
                   </div>
                   <div className="metric">
-                    <span className="metric-label">Sitemap Reference</span>
-                    <span className="metric-value">{seo.robotsTxt.hasSitemap ? '✓ Yes' : '✗ No'}</span>
+                    <span className="metric-label">Favicon</span>
+                    <span className="metric-value">{seo.favicon ? '✓ Present' : '✗ Missing'}</span>
+                  </div>
+                </div>
+              </div>
+
+              {/* Heading Structure */}
+              {seo.headings && (
+                <div className="card">
+                  <h3><FiLayers /> Heading Structure</h3>
+                  <div className="seo-metrics">
+                    <div className="metric">
+                      <span className="metric-label">H1 Tags</span>
+                      <span className={`metric-value ${seo.headings.h1.length === 1 ? 'text-success' : 'text-warning'}`}>
+                        {seo.headings.h1.length} found
+                      </span>
+                      {seo.headings.h1.length > 0 && (
+                        <span className="metric-hint">"{seo.headings.h1[0]}"</span>
+                      )}
+                    </div>
+                    <div className="metric">
+                      <span className="metric-label">H2 Tags</span>
+                      <span className="metric-value">{seo.headings.h2}</span>
+                    </div>
+                    <div className="metric">
+                      <span className="metric-label">H3 Tags</span>
+                      <span className="metric-value">{seo.headings.h3}</span>
+                    </div>
+                    <div className="metric">
+                      <span className="metric-label">H4-H6 Tags</span>
+                      <span className="metric-value">{seo.headings.h4 + seo.headings.h5 + seo.headings.h6}</span>
+                    </div>
                   </div>
-                  <a href={seo.robotsTxt.url} target="_blank" rel="noopener noreferrer" className="view-link">
-                    View robots.txt <FiExternalLink size={14} />
-                  </a>
                 </div>
-              ) : (
-                <p className="no-data text-error">✗ robots.txt not found</p>
               )}
-            </div>
-          )}
 
-          {/* Sitemap */}
-          {seo.sitemap && (
-            <div className="card">
-              <h3><FiMap /> sitemap.xml</h3>
-              {seo.sitemap.exists ? (
+              {/* Images Analysis */}
+              {seo.images && (
+                <div className="card">
+                  <h3><FiImage /> Images & Accessibility</h3>
+                  <div className="seo-metrics">
+                    <div className="metric">
+                      <span className="metric-label">Total Images</span>
+                      <span className="metric-value">{seo.images.total}</span>
+                    </div>
+                    <div className="metric">
+                      <span className="metric-label">With Alt Text</span>
+                      <span className="metric-value text-success">{seo.images.withAlt}</span>
+                    </div>
+                    <div className="metric">
+                      <span className="metric-label">Without Alt Text</span>
+                      <span className={`metric-value ${seo.images.withoutAlt > 0 ? 'text-error' : 'text-success'}`}>
+                        {seo.images.withoutAlt}
+                      </span>
+                    </div>
+                    <div className="metric">
+                      <span className="metric-label">Alt Text Coverage</span>
+                      <span className="metric-value">{seo.images.altCoverage}%</span>
+                    </div>
+                  </div>
+                </div>
+              )}
+
+              {/* Links Analysis */}
+              {seo.links && (
+                <div className="card">
+                  <h3><FiLink /> Links</h3>
+                  <div className="seo-metrics">
+                    <div className="metric">
+                      <span className="metric-label">Total Links</span>
+                      <span className="metric-value">{seo.links.total}</span>
+                    </div>
+                    <div className="metric">
+                      <span className="metric-label">Internal Links</span>
+                      <span className="metric-value">{seo.links.internal}</span>
+                    </div>
+                    <div className="metric">
+                      <span className="metric-label">External Links</span>
+                      <span className="metric-value">{seo.links.external}</span>
+                    </div>
+                    <div className="metric">
+                      <span className="metric-label">Nofollow Links</span>
+                      <span className="metric-value">{seo.links.nofollow}</span>
+                    </div>
+                  </div>
+                </div>
+              )}
+
+              {/* Social Media Tags */}
+              <div className="card">
+                <h3><FiShare2 /> Social Media</h3>
                 <div className="seo-metrics">
                   <div className="metric">
-                    <span className="metric-label">Status</span>
-                    <span className="metric-value text-success">✓ Found</span>
+                    <span className="metric-label">Open Graph Title</span>
+                    <span className="metric-value">{seo.ogTitle ? '✓ Set' : '✗ Missing'}</span>
                   </div>
                   <div className="metric">
-                    <span className="metric-label">URLs</span>
-                    <span className="metric-value">{seo.sitemap.urlCount} pages</span>
+                    <span className="metric-label">Open Graph Description</span>
+                    <span className="metric-value">{seo.ogDescription ? '✓ Set' : '✗ Missing'}</span>
                   </div>
                   <div className="metric">
-                    <span className="metric-label">Size</span>
-                    <span className="metric-value">{Math.round(seo.sitemap.size / 1024)} KB</span>
+                    <span className="metric-label">Open Graph Image</span>
+                    <span className="metric-value">{seo.ogImage ? '✓ Set' : '✗ Missing'}</span>
+                  </div>
+                  <div className="metric">
+                    <span className="metric-label">Twitter Card</span>
+                    <span className="metric-value">{seo.twitterCard || '✗ Not set'}</span>
                   </div>
-                  <a href={seo.sitemap.url} target="_blank" rel="noopener noreferrer" className="view-link">
-                    View sitemap.xml <FiExternalLink size={14} />
-                  </a>
                 </div>
-              ) : (
-                <p className="no-data text-error">✗ sitemap.xml not found</p>
-              )}
+              </div>
             </div>
-          )}
-        </div>
 
-        {/* Security Headers */}
-        {seo.securityHeaders && (
-          <div className="card">
-            <h3><FiLock /> Security Headers</h3>
-            <div className="seo-metrics">
-              <div className="metric">
-                <span className="metric-label">HTTPS</span>
-                <span className={`metric-value ${seo.isHttps ? 'text-success' : 'text-error'}`}>
-                  {seo.isHttps ? '✓ Enabled' : '✗ Not Enabled'}
-                </span>
-              </div>
-              <div className="metric">
-                <span className="metric-label">HSTS</span>
-                <span className={`metric-value ${seo.securityHeaders.strictTransportSecurity ? 'text-success' : 'text-warning'}`}>
-                  {seo.securityHeaders.strictTransportSecurity ? '✓ Enabled' : '✗ Not Set'}
-                </span>
-              </div>
-              <div className="metric">
-                <span className="metric-label">X-Frame-Options</span>
-                <span className={`metric-value ${seo.securityHeaders.xFrameOptions ? 'text-success' : 'text-warning'}`}>
-                  {seo.securityHeaders.xFrameOptions || '✗ Not Set'}
-                </span>
-              </div>
-              <div className="metric">
-                <span className="metric-label">X-Content-Type-Options</span>
-                <span className={`metric-value ${seo.securityHeaders.xContentTypeOptions ? 'text-success' : 'text-warning'}`}>
-                  {seo.securityHeaders.xContentTypeOptions || '✗ Not Set'}
-                </span>
+            {/* Structured Data */}
+            {seo.structuredData && (
+              <div className="card">
+                <h3><FiCode /> Structured Data (Schema.org)</h3>
+                {seo.structuredData.count > 0 ? (
+                  <div className="structured-data-list">
+                    <p className="metric-hint">
+                      Found {seo.structuredData.count} structured data schema(s)
+                      {seo.structuredData.formats && ` (${[
+                        ['JSON-LD', seo.structuredData.formats.jsonLd],
+                        ['Microdata', seo.structuredData.formats.microdata],
+                        ['RDFa', seo.structuredData.formats.rdfa]
+                      ].filter(([, count]) => count > 0).map(([format]) => format).join(', ')})`}:
+                    </p>
+                    <div className="schema-badges">
+                      {seo.structuredData.schemas.map((schema, index) => (
+                        <span
+                          key={index}
+                          className={`badge ${schema.valid ? 'badge-success' : 'badge-error'}`}
+                          title={[...(schema.errors || []), ...(schema.warnings || [])].join('; ') || schema.type}
+                        >
+                          {schema.schema}
+                        </span>
+                      ))}
+                    </div>
+                    {seo.structuredData.richResults?.length > 0 && (
+                      <div className="crawler-access">
+                        <span className="metric-label">Rich Result Eligibility</span>
+                        <ul className="crawler-access-list rich-results-list">
+                          {seo.structuredData.richResults.map(result => (
+                            <li key={result.type} className={result.eligible ? 'allowed' : 'blocked'}>
+                              <span className="crawler-name">
+                                {result.type}
+                                {!result.eligible && result.missing.length > 0 && (
+                                  <span className="crawler-owner">{result.missing.join(', ')}</span>
+                                )}
+                                {result.eligible && result.note && (
+                                  <span className="crawler-owner">{result.note}</span>
+                                )}
+                              </span>
+                              <span className={result.eligible ? (result.note ? 'text-warning' : 'text-success') : 'text-error'}>
+                                {result.eligible ? (result.note ? '⚠ Limited' : '✓ Eligible') : '✗ Not eligible'}
+                              </span>
+                            </li>
+                          ))}
+                        </ul>
+                      </div>
+                    )}
+                  </div>
+                ) : (
+                  <p className="no-data">No structured data found. Consider adding Schema.org markup for better search visibility.</p>
+                )}
               </div>
+            )}
+
+            {/* robots.txt & Sitemap */}
+            <div className="seo-files-grid">
+              {/* robots.txt */}
+              {seo.robotsTxt && (
+                <div className="card">
+                  <h3><FiFileText /> robots.txt</h3>
+                  {seo.robotsTxt.exists ? (
+                    <div className="seo-metrics">
+                      <div className="metric">
+                        <span className="metric-label">Status</span>
+                        <span className="metric-value text-success">✓ Found</span>
+                      </div>
+                      <div className="metric">
+                        <span className="metric-label">Size</span>
+                        <span className="metric-value">{seo.robotsTxt.size} bytes</span>
+                      </div>
+                      <div className="metric">
+                        <span className="metric-label">Rules</span>
+                        <span className="metric-value">{seo.robotsTxt.linesCount} lines</span>
+                      </div>
+                      <div className="metric">
+                        <span className="metric-label">Sitemap Reference</span>
+                        <span className="metric-value">{seo.robotsTxt.hasSitemap ? '✓ Yes' : '✗ No'}</span>
+                      </div>
+                      {seo.robotsTxt.crawlers?.length > 0 && (
+                        <div className="crawler-access">
+                          <span className="metric-label">Crawler Access (this page)</span>
+                          <ul className="crawler-access-list">
+                            {seo.robotsTxt.crawlers.map(crawler => (
+                              <li key={crawler.name} className={crawler.allowed ? 'allowed' : 'blocked'}>
+                                <span className="crawler-name">
+                                  {crawler.name}
+                                  <span className="crawler-owner">
+                                    {crawler.category === 'ai' ? 'AI' : 'Search'} · {crawler.owner}
+                                  </span>
+                                </span>
+                                <span
+                                  className={crawler.allowed ? 'text-success' : 'text-error'}
+                                  title={crawler.matchedRule || 'No matching rule'}
+                                >
+                                  {crawler.allowed ? '✓ Allowed' : `✗ Blocked${crawler.blockedSiteWide ? ' (site-wide)' : ''}`}
+                                </span>
+                              </li>
+                            ))}
+                          </ul>
+                        </div>
+                      )}
+                      <a href={seo.robotsTxt.url} target="_blank" rel="noopener noreferrer" className="view-link">
+                        View robots.txt <FiExternalLink size={14} />
+                      </a>
+                    </div>
+                  ) : seo.robotsTxt.serverError ? (
+                    <p className="no-data text-error">✗ robots.txt returned a server error - crawlers may treat the site as blocked</p>
+                  ) : (
+                    <p className="no-data text-error">✗ robots.txt not found</p>
+                  )}
+                </div>
+              )}
+
+              {/* Sitemap */}
+              {seo.sitemap && (
+                <div className="card">
+                  <h3><FiMap /> sitemap.xml</h3>
+                  {seo.sitemap.exists ? (
+                    <div className="seo-metrics">
+                      <div className="metric">
+                        <span className="metric-label">Status</span>
+                        <span className="metric-value text-success">✓ Found</span>
+                      </div>
+                      <div className="metric">
+                        <span className="metric-label">URLs</span>
+                        <span className="metric-value">{seo.sitemap.urlCount} pages</span>
+                      </div>
+                      <div className="metric">
+                        <span className="metric-label">Size</span>
+                        <span className="metric-value">{Math.round(seo.sitemap.size / 1024)} KB</span>
+                      </div>
+                      {seo.sitemap.files?.length > 0 && (
+                        <div className="metric">
+                          <span className="metric-label">Files</span>
+                          <span className="metric-value">
+                            {seo.sitemap.files.length}{seo.sitemap.sitemaps?.length > 0 ? ' (sitemap index)' : ''}
+                          </span>
+                        </div>
+                      )}
+                      {seo.sitemap.referencedInRobots !== undefined && (
+                        <div className="metric">
+                          <span className="metric-label">In robots.txt</span>
+                          <span className="metric-value">{seo.sitemap.referencedInRobots ? '✓ Yes' : '✗ No'}</span>
+                        </div>
+                      )}
+                      {seo.sitemap.sampleSummary?.checked > 0 && (
+                        <div className="metric">
+                          <span className="metric-label">Sampled URLs</span>
+                          <span className={`metric-value ${seo.sitemap.sampleSummary.non200 + seo.sitemap.sampleSummary.noindex > 0 ? 'text-error' : 'text-success'}`}>
+                            {seo.sitemap.sampleSummary.checked - seo.sitemap.sampleSummary.non200} / {seo.sitemap.sampleSummary.checked} OK
+                            {seo.sitemap.sampleSummary.noindex > 0 ? `, ${seo.sitemap.sampleSummary.noindex} noindex` : ''}
+                          </span>
+                        </div>
+                      )}
+                      {seo.sitemap.files?.length > 1 && (
+                        <div className="crawler-access">
+                          <span className="metric-label">Sitemap Files</span>
+                          <ul className="crawler-access-list">
+                            {seo.sitemap.files.map(file => (
+                              <li key={file.url} className={file.errors?.length > 0 ? 'blocked' : 'allowed'}>
+                                <span className="crawler-name">
+                                  {new URL(file.url).pathname}
+                                  <span className="crawler-owner">
+                                    {file.type === 'sitemapindex' ? 'Index' : 'URL set'}{file.compressed ? ' · gzip' : ''}
+                                  </span>
+                                </span>
+                                <span
+                                  className={file.errors?.length > 0 ? 'text-error' : 'text-success'}
+                                  title={file.errors?.join('; ') || ''}
+                                >
+                                  {file.errors?.length > 0 ? '✗ Issues' : `${file.urlCount} entries`}
+                                </span>
+                              </li>
+                            ))}
+                          </ul>
+                        </div>
+                      )}
+                      <a href={seo.sitemap.url} target="_blank" rel="noopener noreferrer" className="view-link">
+                        View sitemap <FiExternalLink size={14} />
+                      </a>
+                    </div>
+                  ) : seo.sitemap.files?.some(file => file.errors?.length > 0) ? (
+                    <p className="no-data text-error">✗ Sitemap could not be read: {seo.sitemap.files.find(file => file.errors?.length > 0).errors[0]}</p>
+                  ) : (
+                    <p className="no-data text-error">✗ sitemap.xml not found</p>
+                  )}
+                </div>
+              )}
             </div>
-          </div>
-        )}
 
-        {/* SEO Recommendations */}
-        {seo.warnings && seo.warnings.length > 0 && (
-          <div className="card seo-recommendations-card">
-            <div className="recommendations-header">
-              <div>
-                <h3>
-                  <FiAlertTriangle /> SEO Recommendations
-                </h3>
-                <p className="recommendations-subtitle">
-                  {seo.warnings.length} improvement{seo.warnings.length !== 1 ? 's' : ''} identified to boost your SEO performance
-                  {isPremium && ' • Click any recommendation for AI-powered insights'}
-                </p>
-              </div>
-              <div className="recommendations-count-badge">
-                {seo.warnings.length}
+            {/* Security Headers */}
+            {seo.securityHeaders && (
+              <div className="card">
+                <h3><FiLock /> Security Headers</h3>
+                <div className="seo-metrics">
+                  <div className="metric">
+                    <span className="metric-label">HTTPS</span>
+                    <span className={`metric-value ${seo.isHttps ? 'text-success' : 'text-error'}`}>
+                      {seo.isHttps ? '✓ Enabled' : '✗ Not Enabled'}
+                    </span>
+                  </div>
+                  <div className="metric">
+                    <span className="metric-label">HSTS</span>
+                    <span className={`metric-value ${seo.securityHeaders.strictTransportSecurity ? 'text-success' : 'text-warning'}`}>
+                      {seo.securityHeaders.strictTransportSecurity ? '✓ Enabled' : '✗ Not Set'}
+                    </span>
+                  </div>
+                  <div className="metric">
+                    <span className="metric-label">X-Frame-Options</span>
+                    <span className={`metric-value ${seo.securityHeaders.xFrameOptions ? 'text-success' : 'text-warning'}`}>
+                      {seo.securityHeaders.xFrameOptions || '✗ Not Set'}
+                    </span>
+                  </div>
+                  <div className="metric">
+                    <span className="metric-label">X-Content-Type-Options</span>
+                    <span className={`metric-value ${seo.securityHeaders.xContentTypeOptions ? 'text-success' : 'text-warning'}`}>
+                      {seo.securityHeaders.xContentTypeOptions || '✗ Not Set'}
+                    </span>
+                  </div>
+                </div>
               </div>
-            </div>
+            )}
+
+            {/* AI Readiness: llms.txt and AI directives */}
+            {seo.aiReadiness && !seo.aiReadiness.error && <AiReadiness aiReadiness={seo.aiReadiness} />}
+
+            {/* Raw HTML vs JavaScript-rendered DOM */}
+            {seo.rendering && <RenderingComparison rendering={seo.rendering} />}
+
+            {/* SEO Recommendations */}
+            {seo.warnings && seo.warnings.length > 0 && (
+              <div className="card seo-recommendations-card">
+                <div className="recommendations-header">
+                  <div>
+                    <h3>
+                      <FiAlertTriangle /> SEO Recommendations
+                    </h3>
+                    <p className="recommendations-subtitle">
+                      {seo.warnings.length} improvement{seo.warnings.length !== 1 ? 's' : ''} identified to boost your SEO performance
+                      {isPremium && ' • Click any recommendation for AI-powered insights'}
+                    </p>
+                  </div>
+                  <div className="recommendations-count-badge">
+                    {seo.warnings.length}
+                  </div>
+                </div>
             
-            <div className="recommendations-grid">
-              {seo.warnings.map((warning, index) => (
-                <div key={index} className="recommendation-card">
-                  <div className="recommendation-number">{index + 1}</div>
-                  <div className="recommendation-content">
-                    <FiInfo className="recommendation-icon" />
-                    <div style={{ flex: 1 }}>
-                      <p className="recommendation-text">{warning}</p>
+                <div className="recommendations-grid">
+                  {seo.warnings.map((warning, index) => (
+                    <div key={index} className="recommendation-card">
+                      <div className="recommendation-number">{index + 1}</div>
+                      <div className="recommendation-content">
+                        <FiInfo className="recommendation-icon" />
+                        <div style={{ flex: 1 }}>
+                          <p className="recommendation-text">{warning}</p>
                       
-                      {/* AI Recommendation Dropdown */}
-                      <button
-                        className={`ai-recommendation-toggle ${!isPremium ? 'locked' : ''}`}
-                        onClick={() => toggleWarningDetail(index, warning)}
-                      >
-                        {loadingRecommendations[index] ? (
-                          <>
-                            <FiLoader className="spinner-icon" />
-                            Loading AI insights...
-                          </>
-                        ) : expandedWarnings.has(index) ? (
-                          <>
-                            <FiChevronUp />
-                            Hide AI insights
-                          </>
-                        ) : (
-                          <>
-                            <FiStar />
-                            Get AI-powered insights
-                            {!isPremium && <FiLock size={14} style={{ marginLeft: '4px' }} />}
-                          </>
-                        )}
-                      </button>
+                          {/* AI Recommendation Dropdown */}
+                          <button
+                            className={`ai-recommendation-toggle ${!isPremium ? 'locked' : ''}`}
+                            onClick={() => toggleWarningDetail(index, warning)}
+                          >
+                            {loadingRecommendations[index] ? (
+                              <>
+                                <FiLoader className="spinner-icon" />
+                                Loading AI insights...
+                              </>
+                            ) : expandedWarnings.has(index) ? (
+                              <>
+                                <FiChevronUp />
+                                Hide AI insights
+                              </>
+                            ) : (
+                              <>
+                                <FiStar />
+                                Get AI-powered insights
+                                {!isPremium && <FiLock size={14} style={{ marginLeft: '4px' }} />}
+                              </>
+                            )}
+                          </button>
                       
-                      {/* AI Recommendation Details */}
-                      {expandedWarnings.has(index) && warningRecommendations[index] && (
-                        <div className="ai-recommendation-details">
-                          {warningRecommendations[index].error ? (
-                            <div className="ai-recommendation-error">
-                              <FiAlertTriangle size={16} />
-                              <p>{warningRecommendations[index].error}</p>
-                            </div>
-                          ) : (
-                            <>
-                              {warningRecommendations[index].model && (
-                                <div className="ai-model-badge">
-                                  <FiStar size={12} />
-                                  Generated by {warningRecommendations[index].model}
+                          {/* AI Recommendation Details */}
+                          {expandedWarnings.has(index) && warningRecommendations[index] && (
+                            <div className="ai-recommendation-details">
+                              {warningRecommendations[index].error ? (
+                                <div className="ai-recommendation-error">
+                                  <FiAlertTriangle size={16} />
+                                  <p>{warningRecommendations[index].error}</p>
                                 </div>
-                              )}
+                              ) : (
+                                <>
+                                  {warningRecommendations[index].model && (
+                                    <div className="ai-model-badge">
+                                      <FiStar size={12} />
+                                      Generated by {warningRecommendations[index].model}
+                                    </div>
+                                  )}
                               
-                              <div className="ai-recommendation-section">
-                                <h5>Why This Matters</h5>
-                                <p>{warningRecommendations[index].summary}</p>
-                              </div>
+                                  <div className="ai-recommendation-section">
+                                    <h5>Why This Matters</h5>
+                                    <p>{warningRecommendations[index].summary}</p>
+                                  </div>
                               
-                              <div className="ai-recommendation-section">
-                                <h5>Impact</h5>
-                                <p>{warningRecommendations[index].impact}</p>
-                              </div>
+                                  <div className="ai-recommendation-section">
+                                    <h5>Impact</h5>
+                                    <p>{warningRecommendations[index].impact}</p>
+                                  </div>
                               
-                              {warningRecommendations[index].steps && warningRecommendations[index].steps.length > 0 && (
-                                <div className="ai-recommendation-section">
-                                  <h5>Action Steps</h5>
-                                  <ol className="action-steps-list">
-                                    {warningRecommendations[index].steps.map((step, i) => (
-                                      <li key={i}>{step}</li>
-                                    ))}
-                                  </ol>
-                                </div>
-                              )}
+                                  {warningRecommendations[index].steps && warningRecommendations[index].steps.length > 0 && (
+                                    <div className="ai-recommendation-section">
+                                      <h5>Action Steps</h5>
+                                      <ol className="action-steps-list">
+                                        {warningRecommendations[index].steps.map((step, i) => (
+                                          <li key={i}>{step}</li>
+                                        ))}
+                                      </ol>
+                                    </div>
+                                  )}
                               
-                              {warningRecommendations[index].resources && warningRecommendations[index].resources.length > 0 && (
-                                <div className="ai-recommendation-section">
-                                  <h5>Helpful Resources</h5>
-                                  <ul className="resources-list">
-                                    {warningRecommendations[index].resources.map((resource, i) => (
-                                      <li key={i}>{resource}</li>
-                                    ))}
-                                  </ul>
-                                </div>
-                              )}
+                                  {warningRecommendations[index].resources && warningRecommendations[index].resources.length > 0 && (
+                                    <div className="ai-recommendation-section">
+                                      <h5>Helpful Resources</h5>
+                                      <ul className="resources-list">
+                                        {warningRecommendations[index].resources.map((resource, i) => (
+                                          <li key={i}>{resource}</li>
+                                        ))}
+                                      </ul>
+                                    </div>
+                                  )}
                               
-                              {warningRecommendations[index].timeEstimate && (
-                                <div className="ai-recommendation-section time-estimate">
-                                  <strong>Estimated Time:</strong> {warningRecommendations[index].timeEstimate}
-                                </div>
+                                  {warningRecommendations[index].timeEstimate && (
+                                    <div className="ai-recommendation-section time-estimate">
+                                      <strong>Estimated Time:</strong> {warningRecommendations[index].timeEstimate}
+                                    </div>
+                                  )}
+                                </>
                               )}
-                            </>
+                            </div>
                           )}
                         </div>
-                      )}
+                      </div>
                     </div>
-                  </div>
+                  ))}
                 </div>
-              ))}
-            </div>
+              </div>
+            )}
+          </>
+        ) : (
+          <div className="card live-pending-card">
+            <FiLoader className="spinner-icon" /> Running SEO checks...
           </div>
         )}
 
+        {/* Site Crawl Report (crawl mode) */}
+        {crawl && <CrawlReport crawl={crawl} />}
+
         {/* Integration Data - Search Console */}
         {integrations?.searchConsole && !integrations.searchConsole.error && (
           <div className="card integration-data-card">
@@ -908,6 +1095,612 @@ export default function ResultsDisplay({ data }) {
   );
 }
 
+/**
+ * Site-level findings from a multi-page crawl
+ */
+function CrawlReport({ crawl }) {
+  const { summary = {}, pages = [] } = crawl;
+  const urlLists = [
+    { title: 'Orphan pages (in sitemap, not linked)', urls: crawl.orphanPages },
+    { title: 'Indexable pages missing from sitemap', urls: crawl.notInSitemap },
+    { title: 'Blocked by robots.txt', urls: crawl.blockedByRobots }
+  ].filter(list => list.urls?.length > 0);
+  const duplicates = [
+    ...(crawl.duplicateTitles || []).map(group => ({ ...group, field: 'Title' })),
+    ...(crawl.duplicateMetaDescriptions || []).map(group => ({ ...group, field: 'Meta description' }))
+  ];
+
+  return (
+    <>
+      <h2 className="section-title">Site Crawl</h2>
+      <div className="card crawl-report-card">
+        <h3><FiLayers /> {summary.pagesCrawled || pages.length} Pages Crawled</h3>
+        <p className="metric-hint">
+          Up to {crawl.maxPages} pages, {crawl.maxDepth} link{crawl.maxDepth !== 1 ? 's' : ''} deep from {crawl.startUrl}
+        </p>
+
+        <div className="analytics-metrics-grid">
+          <div className="metric-card">
+            <h4>Indexable</h4>
+            <p className="metric-value">{summary.indexablePages || 0}</p>
+          </div>
+          <div className="metric-card">
+            <h4>Duplicate Titles</h4>
+            <p className="metric-value">{summary.duplicateTitles || 0}</p>
+          </div>
+          <div className="metric-card">
+            <h4>Duplicate Descriptions</h4>
+            <p className="metric-value">{summary.duplicateMetaDescriptions || 0}</p>
+          </div>
+          <div className="metric-card">
+            <h4>Orphan Pages</h4>
+            <p className="metric-value">{summary.orphanPages || 0}</p>
+          </div>
+          <div className="metric-card">
+            <h4>Not in Sitemap</h4>
+            <p className="metric-value">{summary.notInSitemap || 0}</p>
+          </div>
+          <div className="metric-card">
+            <h4>Error Pages</h4>
+            <p className="metric-value">{summary.errorPages || 0}</p>
+          </div>
+        </div>
+
+        {crawl.warnings?.length > 0 && (
+          <div className="alert alert-warning crawl-warnings">
+            <FiAlertTriangle />
+            <ul>
+              {crawl.warnings.map((warning, index) => (
+                <li key={index}>{warning}</li>
+              ))}
+            </ul>
+          </div>
+        )}
+
+        {duplicates.length > 0 && (
+          <div className="integration-table">
+            <h4>Duplicate Content</h4>
+            <table>
+              <thead>
+                <tr>
+                  <th>Field</th>
+                  <th>Value</th>
+                  <th>Pages</th>
+                </tr>
+              </thead>
+              <tbody>
+                {duplicates.map((group, index) => (
+                  <tr key={index}>
+                    <td>{group.field}</td>
+                    <td>{group.value}</td>
+                    <td>
+                      {group.urls.map(url => <div key={url}>{url}</div>)}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        {urlLists.map(list => (
+          <details key={list.title} className="crawl-url-list">
+            <summary>{list.title} ({list.urls.length})</summary>
+            <ul>
+              {list.urls.map(url => (
+                <li key={url}>
+                  <a href={url} target="_blank" rel="noopener noreferrer">
+                    {url} <FiExternalLink size={12} />
+                  </a>
+                </li>
+              ))}
+            </ul>
+          </details>
+        ))}
+
+        <div className="integration-table">
+          <h4>Pages</h4>
+          <table>
+            <thead>
+              <tr>
+                <th>URL</th>
+                <th>Status</th>
+                <th>Depth</th>
+                <th>Inlinks</th>
+                <th>Warnings</th>
+              </tr>
+            </thead>
+            <tbody>
+              {pages.map(page => (
+                <tr key={page.url}>
+                  <td>
+                    {page.url}
+                    {!page.indexable && !page.error && <span className="metric-hint"> (not indexable)</span>}
+                  </td>
+                  <td>{page.error && !page.statusCode ? 'Error' : page.statusCode}</td>
+                  <td>{page.depth}</td>
+                  <td>{page.inlinks}</td>
+                  <td>
+                    {page.error ? page.error : page.warnings?.length > 0 ? (
+                      <details>
+                        <summary>{page.warnings.length}</summary>
+                        <ul>
+                          {page.warnings.map((warning, index) => <li key={index}>{warning}</li>)}
+                        </ul>
+                      </details>
+                    ) : 0}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </>
+  );
+}
+
+/**
+ * llms.txt / llms-full.txt checks and page-level AI directives
+ */
+function AiReadiness({ aiReadiness }) {
+  const { llmsTxt, llmsFullTxt, directives } = aiReadiness;
+  const directiveFlags = directives
+    ? ['noai', 'noimageai', 'noindex', 'nosnippet'].filter(flag => directives[flag])
+    : [];
+
+  return (
+    <div className="card ai-readiness-card">
+      <h3><FiCpu /> AI Readiness</h3>
+      <div className="seo-metrics">
+        {llmsTxt && (
+          <div className="metric">
+            <span className="metric-label">llms.txt</span>
+            <span className={`metric-value ${llmsTxt.exists ? (llmsTxt.errors?.length > 0 ? 'text-warning' : 'text-success') : 'text-error'}`}>
+              {llmsTxt.exists
+                ? `✓ Found${llmsTxt.errors?.length > 0 ? ' (format issues)' : ''}`
+                : llmsTxt.servedHtml ? '✗ Returns HTML' : '✗ Not Found'}
+            </span>
+          </div>
+        )}
+        {llmsTxt?.exists && (
+          <>
+            <div className="metric">
+              <span className="metric-label">Title</span>
+              <span className="metric-value">{llmsTxt.title || '✗ Missing'}</span>
+            </div>
+            <div className="metric">
+              <span className="metric-label">Sections / Links</span>
+              <span className="metric-value">{llmsTxt.sections.length} / {llmsTxt.linkCount}</span>
+            </div>
+            {llmsTxt.linkCheck && (
+              <div className="metric">
+                <span className="metric-label">Links Checked</span>
+                <span className={`metric-value ${llmsTxt.linkCheck.broken.length > 0 ? 'text-error' : 'text-success'}`}>
+                  {llmsTxt.linkCheck.checked - llmsTxt.linkCheck.broken.length} / {llmsTxt.linkCheck.checked} OK
+                </span>
+              </div>
+            )}
+          </>
+        )}
+        {llmsFullTxt && (
+          <div className="metric">
+            <span className="metric-label">llms-full.txt</span>
+            <span className={`metric-value ${llmsFullTxt.exists ? 'text-success' : 'text-warning'}`}>
+              {llmsFullTxt.exists ? `✓ Found (${Math.round(llmsFullTxt.size / 1024)} KB)` : '✗ Not Found'}
+            </span>
+          </div>
+        )}
+        {directives && (
+          <div className="metric">
+            <span className="metric-label">AI Directives</span>
+            <span className={`metric-value ${directiveFlags.length > 0 ? 'text-error' : 'text-success'}`}>
+              {directiveFlags.length > 0 ? directiveFlags.join(', ') : '✓ None restricting AI'}
+            </span>
+          </div>
+        )}
+        {directives?.xRobotsTag && (
+          <div className="metric">
+            <span className="metric-label">X-Robots-Tag</span>
+            <span className="metric-value">{directives.xRobotsTag}</span>
+          </div>
+        )}
+        {directives?.sources?.length > 0 && (
+          <div className="crawler-access">
+            <span className="metric-label">Directive Sources</span>
+            <ul className="crawler-access-list">
+              {directives.sources.map((source, index) => (
+                <li key={index}>
+                  <span className="crawler-name">
+                    {source.source === 'meta' ? `<meta name="${source.agent || 'robots'}">` : 'X-Robots-Tag'}
+                    {source.agent && source.source !== 'meta' && <span className="crawler-owner">{source.agent}</span>}
+                  </span>
+                  <span>{source.directives.join(', ')}</span>
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+        {llmsTxt?.exists && (
+          <a href={llmsTxt.url} target="_blank" rel="noopener noreferrer" className="view-link">
+            View llms.txt <FiExternalLink size={14} />
+          </a>
+        )}
+      </div>
+    </div>
+  );
+}
+
+const STABILITY_LABELS = {
+  stable: { label: 'Stable', className: 'text-success', hint: 'Repeat scans should land within a few points of this score.' },
+  moderate: { label: 'Moderate', className: 'text-warning', hint: 'Changes smaller than the margin below are likely noise.' },
+  noisy: { label: 'Noisy', className: 'text-error', hint: 'AI answers vary a lot for this site - compare trends, not single scans.' },
+  unknown: { label: 'Unknown', className: '', hint: 'Not enough successful samples to estimate stability.' }
+};
+
+/**
+ * How much the visibility score moves between identical runs (sampling scans)
+ */
+function StabilityIndicator({ sampling }) {
+  const stability = STABILITY_LABELS[sampling.stability] || STABILITY_LABELS.unknown;
+
+  return (
+    <div className="stability-indicator" title={stability.hint}>
+      <span className={`stability-label ${stability.className}`}>{stability.label}</span>
+      <small>
+        {sampling.marginOfError !== null && sampling.marginOfError !== undefined
+          ? `±${sampling.marginOfError} pts (95% CI ${sampling.percentageCI[0]}-${sampling.percentageCI[1]}%)`
+          : 'No confidence interval'}
+        {' · '}{sampling.runs} run{sampling.runs !== 1 ? 's' : ''} at temperature {sampling.temperature}
+      </small>
+      <small>
+        Mentioned in {sampling.mentionRate}% of answers · cited in {sampling.citationRate}%
+      </small>
+    </div>
+  );
+}
+
+/**
+ * Per-prompt mention/citation frequency across samples, with 95% intervals
+ */
+function PromptSampling({ sampling }) {
+  return (
+    <div className="prompt-sampling">
+      <small>
+        Mentioned in {sampling.mentionRate}% of {sampling.samples} answers (95% CI {sampling.mentionCI[0]}-{sampling.mentionCI[1]}%)
+        {' · '}cited in {sampling.citationRate}%
+        {' · '}score {sampling.meanScore} ± {sampling.stdDev}
+      </small>
+      {sampling.byModel?.length > 1 && (
+        <ul className="crawler-access-list">
+          {sampling.byModel.map(model => (
+            <li key={model.model}>
+              <span className="crawler-name">{model.model}</span>
+              <span>{model.mentionRate}% mentioned · {model.citationRate}% cited</span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+const SCORE_FACTOR_LABELS = {
+  presence: 'Cited / Mentioned',
+  rank: 'Rank Among Brands',
+  prominence: 'Prominence',
+  sentiment: 'Sentiment',
+  accuracy: 'Accuracy',
+  deepLink: 'Deep Link'
+};
+
+/**
+ * Per-factor points behind a prompt's 0-100 visibility score
+ */
+function ScoreBreakdown({ score, breakdown }) {
+  const describe = (factor, detail) => {
+    if (factor === 'rank' && detail.position) return `#${detail.position} of ${detail.of}`;
+    return typeof detail.value === 'number' ? `${detail.value}% match` : detail.value;
+  };
+
+  return (
+    <div className="score-factors">
+      <span className="metric-label">Score: {score}/100</span>
+      <ul className="crawler-access-list">
+        {Object.entries(SCORE_FACTOR_LABELS)
+          .filter(([factor]) => breakdown[factor] && breakdown[factor].max > 0)
+          .map(([factor, label]) => (
+            <li key={factor}>
+              <span className="crawler-name">
+                {label}
+                {describe(factor, breakdown[factor]) && (
+                  <span className="crawler-owner">{describe(factor, breakdown[factor])}</span>
+                )}
+              </span>
+              <span>{breakdown[factor].points} / {breakdown[factor].max}</span>
+            </li>
+          ))}
+      </ul>
+    </div>
+  );
+}
+
+const ACCURACY_SOURCE_LABELS = {
+  brandSummary: 'your brand summary',
+  structuredData: 'Organization structured data',
+  page: 'your homepage'
+};
+
+const PRIORITY_CLASSES = { high: 'text-error', medium: 'text-warning', low: 'text-success' };
+
+/**
+ * Prioritized recommendations generated for the whole scan
+ */
+function ScanRecommendations({ recommendations }) {
+  return (
+    <div className="card">
+      <h3><FiStar /> Recommendations</h3>
+      <ul className="crawler-access-list">
+        {recommendations.map((recommendation, index) => (
+          <li key={index}>
+            <span className="crawler-name">
+              {recommendation.title}
+              {recommendation.description && <span className="crawler-owner">{recommendation.description}</span>}
+              {recommendation.actionItems?.length > 0 && (
+                <span className="crawler-owner">{recommendation.actionItems.join(' • ')}</span>
+              )}
+            </span>
+            {recommendation.priority && (
+              <span className={PRIORITY_CLASSES[recommendation.priority] || ''}>{recommendation.priority}</span>
+            )}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+/**
+ * AI brand accuracy: claims checked against the site, and the misinformation to fix
+ */
+function BrandAccuracy({ brandAccuracy }) {
+  const { score, supported, contradicted, unverifiable, answersChecked, misinformation = [], sources = [] } = brandAccuracy;
+
+  return (
+    <div className="card brand-accuracy-card">
+      <h3><FiShield /> AI Brand Accuracy</h3>
+      <p className="metric-hint">
+        {answersChecked} AI answer{answersChecked !== 1 ? 's' : ''} checked against {sources.map(source => ACCURACY_SOURCE_LABELS[source] || source).join(', ')}
+      </p>
+      <div className="seo-metrics">
+        <div className="metric">
+          <span className="metric-label">Accuracy</span>
+          <span className={`metric-value ${score === null ? '' : score >= 80 ? 'text-success' : score >= 50 ? 'text-warning' : 'text-error'}`}>
+            {score === null ? 'Nothing checkable' : `${score}%`}
+          </span>
+        </div>
+        <div className="metric">
+          <span className="metric-label">Claims Supported / Contradicted / Unverifiable</span>
+          <span className="metric-value">{supported} / {contradicted} / {unverifiable}</span>
+        </div>
+      </div>
+      {misinformation.length > 0 ? (
+        <div className="crawler-access">
+          <span className="metric-label">Misinformation to Fix</span>
+          <ul className="crawler-access-list">
+            {misinformation.map((item, index) => (
+              <li key={index}>
+                <span className="crawler-name">
+                  "{item.claim}"
+                  {item.correction && <span className="crawler-owner">Actually: {item.correction}</span>}
+                  {item.models.length > 0 && <span className="crawler-owner">{item.models.join(', ')}</span>}
+                </span>
+                <span className="text-error">{item.count}×</span>
+              </li>
+            ))}
+          </ul>
+          <p className="metric-hint">
+            Fix these by stating the correct facts on your site and in your Organization structured data - AI models pick them up from there.
+          </p>
+        </div>
+      ) : (
+        <p className="metric-hint text-success">✓ No contradictions found</p>
+      )}
+    </div>
+  );
+}
+
+/**
+ * Which brands the LLMs named across prompts and models, and how often they
+ * were recommended in answers that left us out
+ */
+function ShareOfVoice({ shareOfVoice }) {
+  const { entities, own, totalAnswers, totalMentions } = shareOfVoice;
+
+  return (
+    <div className="card share-of-voice-card">
+      <h3><FiUsers /> Share of Voice</h3>
+      <p className="metric-hint">
+        {totalMentions} brand mention{totalMentions !== 1 ? 's' : ''} across {totalAnswers} AI answer{totalAnswers !== 1 ? 's' : ''}
+        {own ? ` · you: ${own.shareOfVoice}%` : ' · you were not mentioned'}
+      </p>
+      <div className="integration-table">
+        <table>
+          <thead>
+            <tr>
+              <th>Brand</th>
+              <th>Share</th>
+              <th>Mentions</th>
+              <th>Avg. Position</th>
+              <th>Recommended Instead of You</th>
+            </tr>
+          </thead>
+          <tbody>
+            {entities.map(entity => (
+              <tr
+                key={`${entity.name}-${entity.domain || ''}`}
+                className={entity.isOwn ? 'own-row' : entity.isPinned ? 'pinned-row' : ''}
+              >
+                <td>
+                  <span className="crawler-name">
+                    {entity.name}
+                    {entity.isOwn && <span className="crawler-owner">You</span>}
+                    {entity.isPinned && <span className="crawler-owner">Pinned competitor</span>}
+                    {entity.domain && entity.domain !== entity.name && (
+                      <span className="crawler-owner">{entity.domain}</span>
+                    )}
+                  </span>
+                  {entity.samples?.length > 0 && (
+                    <details className="sov-samples">
+                      <summary>How it was mentioned</summary>
+                      <ul>
+                        {entity.samples.map((sample, i) => (
+                          <li key={i}>
+                            "{sample.context}"
+                            <span className="crawler-owner">#{sample.position} · {sample.model} · {sample.prompt}</span>
+                          </li>
+                        ))}
+                      </ul>
+                    </details>
+                  )}
+                </td>
+                <td>{entity.shareOfVoice}%</td>
+                <td>{entity.mentions} in {entity.promptCount} prompt{entity.promptCount !== 1 ? 's' : ''}</td>
+                <td>{entity.avgPosition ?? '—'}</td>
+                <td className={!entity.isOwn && entity.mentionedWithoutUs > 0 ? 'text-error' : ''}>
+                  {entity.isOwn ? '—' : entity.mentionedWithoutUs}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Raw HTML (what most crawlers see) vs the DOM after JavaScript runs
+ */
+function RenderingComparison({ rendering }) {
+  if (rendering.error) {
+    return (
+      <div className="card">
+        <h3><FiCode /> JavaScript Rendering</h3>
+        <p className="no-data text-error">✗ Rendering failed: {rendering.error}</p>
+      </div>
+    );
+  }
+
+  const { raw, rendered, jsOnly = [] } = rendering;
+  const show = (value) => value === null || value === undefined || value === '' ? '—' : value;
+  const rows = [
+    { label: 'Title', field: 'title', raw: show(raw.title), rendered: show(rendered.title) },
+    { label: 'Meta Description', field: 'metaDescription', raw: show(raw.metaDescription), rendered: show(rendered.metaDescription) },
+    { label: 'Canonical', field: 'canonical', raw: show(raw.canonical), rendered: show(rendered.canonical) },
+    { label: 'H1', field: 'h1', raw: show(raw.h1.join(' | ')), rendered: show(rendered.h1.join(' | ')) },
+    { label: 'Headings', field: 'headings', raw: raw.headings, rendered: rendered.headings },
+    { label: 'Words', field: 'wordCount', raw: raw.wordCount, rendered: rendered.wordCount },
+    { label: 'Internal Links', field: 'links', raw: raw.links.internal, rendered: rendered.links.internal },
+    { label: 'Structured Data', field: 'structuredData', raw: raw.structuredData, rendered: rendered.structuredData }
+  ];
+
+  return (
+    <div className="card rendering-card">
+      <h3><FiCode /> JavaScript Rendering</h3>
+      <p className="metric-hint">
+        {rendering.rawTextRatio}% of the rendered text is in the raw HTML · rendered in {(rendering.renderTimeMs / 1000).toFixed(1)}s
+      </p>
+      <div className="integration-table">
+        <table>
+          <thead>
+            <tr>
+              <th></th>
+              <th>Raw HTML</th>
+              <th>After JavaScript</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map(row => (
+              <tr key={row.field} className={jsOnly.includes(row.field) ? 'js-only-row' : ''}>
+                <td>{row.label}</td>
+                <td>{row.raw}</td>
+                <td>{row.rendered}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      {jsOnly.length > 0 && (
+        <p className="metric-hint text-error">
+          Highlighted rows only exist after JavaScript runs - AI crawlers that read raw HTML won't see them.
+        </p>
+      )}
+    </div>
+  );
+}
+
+/**
+ * Per-prompt results streamed while a scan is still running
+ */
+function LivePromptResults({ progress, prompts }) {
+  const total = progress?.promptsTotal || 0;
+
+  return (
+    <div className="llm-score-card card live-results-card">
+      <div className="score-label">
+        <h3><FiLoader className="spinner-icon" /> LLM Visibility Score</h3>
+        <p>
+          {total > 0
+            ? `Asking AI models about your site (${prompts.length}/${total} prompts answered)`
+            : 'Preparing AI prompts...'}
+        </p>
+      </div>
+
+      {prompts.length > 0 && (
+        <div className="score-breakdown">
+          <h4>Prompt Breakdown</h4>
+          <div className="prompts-list">
+            {prompts.map((result, index) => (
+              <div key={result.promptId || index} className="prompt-item">
+                <div className="prompt-header">
+                  <span className="prompt-label">Prompt {index + 1}</span>
+                  {result.error ? (
+                    <span className="badge badge-error">Failed</span>
+                  ) : result.domainMentioned ? (
+                    <span className="badge badge-success">
+                      <FiCheckCircle /> Mentioned · {result.score}/100
+                    </span>
+                  ) : (
+                    <span className="badge badge-error">
+                      ✗ Not Mentioned · {result.score}/100
+                    </span>
+                  )}
+                </div>
+                {result.prompt && <p className="prompt-text">"{result.prompt}"</p>}
+                {result.citations?.length > 0 && (
+                  <div className="citations">
+                    <strong>Citations Found:</strong>
+                    <ul>
+                      {result.citations.map((citation, i) => (
+                        <li key={i}>
+                          <a href={citation} target="_blank" rel="noopener noreferrer">
+                            {citation} <FiExternalLink size={12} />
+                          </a>
+                        </li>
+                      ))}
+                    </ul>
+                  </div>
+                )}
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
 function getScoreColor(percentage) {
   if (percentage >= 70) return '#10B981'; // Green
   if (percentage >= 40) return '#F59E0B'; // Orange
@@ -0,0 +1,215 @@
+import { useState, useEffect } from 'react';
+import axios from 'axios';
+
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000';
+
+const FIELD_LABELS = {
+  title: 'Title',
+  metaDescription: 'Meta description',
+  canonical: 'Canonical',
+  statusCode: 'Status code',
+  finalUrl: 'Final URL',
+  robotsMeta: 'Robots meta',
+  xRobotsTag: 'X-Robots-Tag'
+};
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+
+function Delta({ value, unit = '', higherIsBetter = true }) {
+  if (value === null || value === undefined) return <span className="no-data">-</span>;
+  if (value === 0) return <span className="no-data">no change</span>;
+  const good = higherIsBetter ? value > 0 : value < 0;
+  return <span className={good ? 'text-success' : 'text-error'}>{value > 0 ? '+' : ''}{value}{unit}</span>;
+}
+
+function ChangeList({ title, added = [], removed = [], addedLabel = 'Added', removedLabel = 'Removed', render = item => item }) {
+  if (added.length === 0 && removed.length === 0) return null;
+  return (
+    <div className="compare-block">
+      <h4>{title}</h4>
+      <ul className="compare-list">
+        {added.map((item, index) => (
+          <li key={`added-${index}`} className="compare-added"><span className="badge">{addedLabel}</span> {render(item)}</li>
+        ))}
+        {removed.map((item, index) => (
+          <li key={`removed-${index}`} className="compare-removed"><span className="badge">{removedLabel}</span> {render(item)}</li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+function AnswerDiff({ answer }) {
+  const [open, setOpen] = useState(false);
+  const statusLabel = { added: 'New prompt', removed: 'Not asked', changed: 'Changed', unchanged: 'Unchanged' }[answer.status];
+
+  return (
+    <div className="compare-answer">
+      <div className="compare-answer-header" onClick={() => setOpen(!open)}>
+        <span className={`badge compare-status-${answer.status}`}>{statusLabel}</span>
+        <span className="compare-answer-prompt">{answer.prompt}</span>
+        <span>
+          {answer.before?.score ?? '-'} → {answer.after?.score ?? '-'} <Delta value={answer.scoreDelta} />
+        </span>
+      </div>
+      {(answer.citationsLost.length > 0 || answer.citationsGained.length > 0) && (
+        <ul className="compare-list">
+          {answer.citationsGained.map(citation => <li key={`gained-${citation}`} className="compare-added">Cited: {citation}</li>)}
+          {answer.citationsLost.map(citation => <li key={`lost-${citation}`} className="compare-removed">No longer cited: {citation}</li>)}
+        </ul>
+      )}
+      {open && (
+        <div className="compare-columns">
+          <div>
+            <div className="metric-label">Before</div>
+            <p className="compare-response">{answer.before?.error || answer.before?.response || '-'}</p>
+          </div>
+          <div>
+            <div className="metric-label">After</div>
+            <p className="compare-response">{answer.after?.error || answer.after?.response || '-'}</p>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+/**
+ * What changed between two scans (GET /api/analyze/:scanId/diff/:otherScanId)
+ */
+export default function ScanCompare({ scanId, otherScanId, token }) {
+  const [diff, setDiff] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    setDiff(null);
+    setError(null);
+    axios.get(`${API_URL}/api/analyze/${scanId}/diff/${otherScanId}`, {
+      headers: {
+        Authorization: `Bearer ${token}`
+      }
+    })
+      .then(response => setDiff(response.data.diff))
+      .catch(err => setError(err.response?.data?.error || 'Failed to compare scans'));
+  }, [scanId, otherScanId, token]);
+
+  if (error) return <p className="form-hint text-error">{error}</p>;
+  if (!diff) return <p className="form-hint">Comparing scans...</p>;
+
+  const { seo, visibility, structuredData, headings, text, answers, recommendations } = diff;
+  const changedAnswers = answers.filter(answer => answer.status !== 'unchanged');
+
+  return (
+    <div className="scan-compare">
+      <p className="form-hint">
+        {formatDate(diff.previous.createdAt)} → {formatDate(diff.current.createdAt)}
+        {!diff.sameUrl && ` · comparing ${diff.previous.url} with ${diff.current.url}`}
+      </p>
+
+      <div className="compare-summary">
+        <div className="account-card">
+          <div className="metric-label">LLM Visibility</div>
+          <strong>{visibility.before ?? '-'}% → {visibility.after ?? '-'}%</strong>{' '}
+          <Delta value={visibility.delta} unit=" pts" />
+          {visibility.delta !== null && !visibility.comparable && <div className="metric-hint">Different prompt sets, not directly comparable</div>}
+        </div>
+        <div className="account-card">
+          <div className="metric-label">SEO Warnings</div>
+          <strong>{diff.previous.seoWarnings ?? '-'} → {diff.current.seoWarnings ?? '-'}</strong>
+        </div>
+        {text && (
+          <div className="account-card">
+            <div className="metric-label">Page Text</div>
+            <strong>{text.similarity}% similar</strong>
+            <div className="metric-hint">{text.wordsBefore} → {text.wordsAfter} words (+{text.wordsAdded} / -{text.wordsRemoved})</div>
+          </div>
+        )}
+      </div>
+
+      {!seo && <p className="form-hint">SEO analysis failed in one of the scans, so page changes can't be compared.</p>}
+
+      {seo && seo.changes.length > 0 && (
+        <div className="compare-block">
+          <h4>SEO Fields</h4>
+          <table className="integration-table">
+            <thead>
+              <tr>
+                <th>Field</th>
+                <th>Before</th>
+                <th>After</th>
+              </tr>
+            </thead>
+            <tbody>
+              {seo.changes.map(change => (
+                <tr key={change.field}>
+                  <td>{FIELD_LABELS[change.field] || change.field}</td>
+                  <td>{change.before ?? '-'}</td>
+                  <td>{change.after ?? '-'}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {seo.noindex && (
+            <p className={`form-hint ${seo.noindex.after ? 'text-error' : 'text-success'}`}>
+              {seo.noindex.after ? 'The page is now noindex.' : 'The page is no longer noindex.'}
+            </p>
+          )}
+        </div>
+      )}
+
+      {seo && (
+        <ChangeList title="SEO Warnings" added={seo.warningsAdded} removed={seo.warningsResolved} addedLabel="New" removedLabel="Fixed" />
+      )}
+
+      {structuredData && (
+        <ChangeList
+          title="Structured Data"
+          added={[
+            ...structuredData.schemasAdded,
+            ...structuredData.richResults.filter(result => result.after).map(result => `${result.type} rich result eligible`)
+          ]}
+          removed={[
+            ...structuredData.schemasRemoved,
+            ...structuredData.richResults.filter(result => !result.after).map(result => `${result.type} rich result eligible`)
+          ]}
+        />
+      )}
+
+      {headings && (
+        <ChangeList
+          title="Heading Outline"
+          added={headings.added}
+          removed={headings.removed}
+          render={heading => <><span className="metric-label">{heading.level}</span> {heading.text}</>}
+        />
+      )}
+
+      {text && (text.topAdded.length > 0 || text.topRemoved.length > 0 || text.paragraphsAdded.length > 0 || text.paragraphsRemoved.length > 0) && (
+        <div className="compare-block">
+          <h4>Page Text</h4>
+          {text.topAdded.length > 0 && (
+            <p className="form-hint">More of: {text.topAdded.map(term => `${term.word} (+${term.count})`).join(', ')}</p>
+          )}
+          {text.topRemoved.length > 0 && (
+            <p className="form-hint">Less of: {text.topRemoved.map(term => `${term.word} (-${term.count})`).join(', ')}</p>
+          )}
+          <ChangeList title="Paragraphs" added={text.paragraphsAdded} removed={text.paragraphsRemoved} />
+        </div>
+      )}
+
+      <div className="compare-block">
+        <h4>LLM Answers ({changedAnswers.length} of {answers.length} changed)</h4>
+        {answers.map((answer, index) => <AnswerDiff key={answer.promptId || index} answer={answer} />)}
+      </div>
+
+      <ChangeList
+        title={`Recommendations (${recommendations.unchanged} unchanged)`}
+        added={recommendations.added}
+        removed={recommendations.resolved}
+        addedLabel="New"
+        removedLabel="Resolved"
+        render={recommendation => recommendation.title}
+      />
+    </div>
+  );
+}
@@ -1,7 +1,9 @@
 import React, { useState, useEffect, useRef } from 'react';
-import { FiExternalLink, FiCalendar, FiClock, FiTrendingUp, FiChevronDown, FiChevronRight, FiX, FiChevronLeft } from 'react-icons/fi';
+import { FiExternalLink, FiCalendar, FiClock, FiTrendingUp, FiChevronDown, FiChevronRight, FiX, FiChevronLeft, FiUser } from 'react-icons/fi';
 import axios from 'axios';
 import ResultsDisplay from './ResultsDisplay';
+import ScheduledScans from './ScheduledScans';
+import ScanCompare from './ScanCompare';
 
 const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000';
 
@@ -10,6 +12,7 @@ export default function ScanHistory({ isOpen, onClose, token }) {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [expandedRows, setExpandedRows] = useState(new Set());
+  const [comparing, setComparing] = useState(null); // scanId shown next to its previous scan
   const [page, setPage] = useState(1);
   const [limit, setLimit] = useState(10);
   const [total, setTotal] = useState(0);
@@ -157,6 +160,9 @@ export default function ScanHistory({ isOpen, onClose, token }) {
 
   if (!isOpen) return null;
 
+  const isPremium = !!(user?.isPremium &&
+    (!user?.premiumExpiresAt || new Date(user.premiumExpiresAt) > new Date()));
+
   return (
     <div className="scan-history-section section" ref={sectionRef}>
       <div className="container">
@@ -172,6 +178,8 @@ export default function ScanHistory({ isOpen, onClose, token }) {
           </div>
         </div>
 
+        {user && <ScheduledScans token={token} isPremium={isPremium} />}
+
         {loading ? (
           <div className="scan-history-loading">
             <div className="spinner"></div>
@@ -300,6 +308,18 @@ export default function ScanHistory({ isOpen, onClose, token }) {
                               <FiCalendar size={14} />
                               {formatDate(scan.createdAt)}
                             </span>
+                            {scan.organizationId && scan.runBy && (
+                              <span className="meta-item" title="Run by">
+                                <FiUser size={14} />
+                                {scan.runBy.id === user?.id ? 'You' : scan.runBy.email}
+                              </span>
+                            )}
+                            {scan.scheduleId && (
+                              <span className="meta-item" title="Queued by a scheduled scan">
+                                <FiTrendingUp size={14} />
+                                Scheduled
+                              </span>
+                            )}
                             {scan.executionTimeMs && (
                               <span className="meta-item">
                                 <FiClock size={14} />
@@ -313,6 +333,9 @@ export default function ScanHistory({ isOpen, onClose, token }) {
                             <span 
                               className="score-badge"
                               style={{ color: getScoreColor(scan.llmVisibility.percentage) }}
+                              title={scan.llmVisibility.scoringVersion
+                                ? `Scoring v${scan.llmVisibility.scoringVersion} · v1 equivalent: ${scan.llmVisibility.legacyPercentage ?? '-'}%`
+                                : 'Scoring v1 (0-3 points per prompt)'}
                             >
                               {scan.llmVisibility.percentage}%
                             </span>
@@ -346,8 +369,30 @@ export default function ScanHistory({ isOpen, onClose, token }) {
                           >
                             {isExpanded ? 'Hide Details' : 'View Details'}
                           </button>
+                          {scan.previousScanId && (
+                            <button
+                              className="btn-expand btn-compare"
+                              title="Compare with the previous scan of this URL"
+                              onClick={(e) => {
+                                e.stopPropagation();
+                                setComparing(comparing === scan._id ? null : scan._id);
+                              }}
+                            >
+                              {comparing === scan._id ? 'Hide Changes' : 'Compare'}
+                            </button>
+                          )}
                         </td>
                       </tr>
+                      {comparing === scan._id && (
+                        <tr className="scan-details-row">
+                          <td colSpan={6}>
+                            <div className="scan-details-content">
+                              <h3>Changes since the previous scan</h3>
+                              <ScanCompare scanId={scan._id} otherScanId={scan.previousScanId} token={token} />
+                            </div>
+                          </td>
+                        </tr>
+                      )}
                       {isExpanded && scan.status === 'completed' && (
                         <tr className="scan-details-row">
                           <td colSpan={6}>
@@ -358,11 +403,10 @@ export default function ScanHistory({ isOpen, onClose, token }) {
                                   analyzedAt: scan.createdAt,
                                   seo: scan.seo,
                                   llmVisibility: scan.llmVisibility,
+                                  recommendations: scan.recommendations,
                                   scanId: scan._id,
-                                  isPremium: user?.isPremium && 
-                                    (!user?.premiumExpiresAt || new Date(user.premiumExpiresAt) > new Date()),
-                                  isFreeUser: !(user?.isPremium && 
-                                    (!user?.premiumExpiresAt || new Date(user.premiumExpiresAt) > new Date()))
+                                  isPremium,
+                                  isFreeUser: !isPremium
                                 }} 
                               />
                             </div>
@@ -0,0 +1,323 @@
+import { useState, useEffect } from 'react';
+import axios from 'axios';
+import { FiCalendar, FiPause, FiPlay, FiTrash2, FiTrendingUp, FiPlus } from 'react-icons/fi';
+
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000';
+
+const MODEL_COLORS = ['#6366F1', '#10B981', '#F59E0B', '#EF4444', '#0EA5E9', '#A855F7'];
+
+const formatDate = (date) => (date ? new Date(date).toLocaleDateString('en-US', { month: 'short', day: 'numeric' }) : '-');
+// Metrics of a failed stage are null
+const formatMetric = (value, unit = '') => (value === null || value === undefined ? '-' : `${value}${unit}`);
+
+/**
+ * Line chart of one or more series over the runs (plain SVG)
+ * series: [{ label, color, values: [number|null] }]
+ */
+function TrendChart({ title, series, labels, max = null, unit = '' }) {
+  const width = 320;
+  const height = 120;
+  const padding = 8;
+  const allValues = series.flatMap(line => line.values).filter(value => value !== null && value !== undefined);
+  const top = max ?? Math.max(1, ...allValues);
+  const count = labels.length;
+
+  const x = (index) => (count > 1 ? padding + (index / (count - 1)) * (width - padding * 2) : width / 2);
+  const y = (value) => height - padding - (value / top) * (height - padding * 2);
+
+  return (
+    <div className="trend-chart">
+      <div className="metric-label">{title}</div>
+      <svg viewBox={`0 0 ${width} ${height}`} preserveAspectRatio="none" role="img" aria-label={title}>
+        <line x1={padding} y1={height - padding} x2={width - padding} y2={height - padding} className="trend-axis" />
+        {series.map(line => {
+          const points = line.values
+            .map((value, index) => (value === null || value === undefined ? null : `${x(index)},${y(value)}`))
+            .filter(Boolean);
+          return (
+            <g key={line.label}>
+              {points.length > 1 && <polyline points={points.join(' ')} fill="none" stroke={line.color} strokeWidth="2" />}
+              {points.map(point => {
+                const [cx, cy] = point.split(',');
+                return <circle key={point} cx={cx} cy={cy} r="3" fill={line.color} />;
+              })}
+            </g>
+          );
+        })}
+      </svg>
+      <div className="trend-chart-footer">
+        <span>{labels[0]}</span>
+        <span>
+          {series.map(line => (
+            <span key={line.label} className="trend-legend" style={{ color: line.color }}>
+              {series.length > 1 ? `${line.label}: ` : ''}
+              {line.values[line.values.length - 1] ?? '-'}{unit}
+            </span>
+          ))}
+        </span>
+        <span>{labels[labels.length - 1]}</span>
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Change from the previous run; `higherIsBetter` picks the colour
+ */
+function Delta({ value, unit = '', higherIsBetter = true }) {
+  if (value === null || value === undefined) return <span className="no-data">-</span>;
+  if (value === 0) return <span className="no-data">0{unit}</span>;
+  const good = higherIsBetter ? value > 0 : value < 0;
+  return <span className={good ? 'text-success' : 'text-error'}>{value > 0 ? '+' : ''}{value}{unit}</span>;
+}
+
+function ScheduleTrend({ scheduleId, token }) {
+  const [points, setPoints] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    axios.get(`${API_URL}/api/schedules/${scheduleId}/trend`, {
+      headers: {
+        Authorization: `Bearer ${token}`
+      }
+    })
+      .then(response => setPoints(response.data.points))
+      .catch(err => setError(err.response?.data?.error || 'Failed to load trend'));
+  }, [scheduleId, token]);
+
+  if (error) return <p className="form-hint text-error">{error}</p>;
+  if (!points) return <p className="form-hint">Loading trend...</p>;
+  if (points.length === 0) return <p className="form-hint">No completed runs yet. The trend appears after the first run.</p>;
+
+  const labels = points.map(point => formatDate(point.runAt));
+  const models = [...new Set(points.flatMap(point => (point.models || []).map(model => model.model)))];
+
+  return (
+    <div className="schedule-trend">
+      <div className="trend-charts">
+        <TrendChart title="LLM Visibility" unit="%" max={100} labels={labels}
+          series={[{ label: 'Visibility', color: MODEL_COLORS[0], values: points.map(point => point.visibility) }]} />
+        <TrendChart title="Mention & Citation Rate" unit="%" max={100} labels={labels}
+          series={[
+            { label: 'Mentioned', color: MODEL_COLORS[1], values: points.map(point => point.mentionRate) },
+            { label: 'Cited', color: MODEL_COLORS[4], values: points.map(point => point.citationRate) }
+          ]} />
+        <TrendChart title="SEO Warnings" labels={labels}
+          series={[{ label: 'Warnings', color: MODEL_COLORS[2], values: points.map(point => point.seoWarnings) }]} />
+        {models.length > 0 && (
+          <TrendChart title="Mention Rate by Model" unit="%" max={100} labels={labels}
+            series={models.map((model, index) => ({
+              label: model,
+              color: MODEL_COLORS[index % MODEL_COLORS.length],
+              values: points.map(point => (point.models || []).find(item => item.model === model)?.mentionRate ?? null)
+            }))} />
+        )}
+      </div>
+
+      <table className="integration-table">
+        <thead>
+          <tr>
+            <th>Run</th>
+            <th>Visibility</th>
+            <th>Mention Rate</th>
+            <th>Citations</th>
+            <th>SEO Warnings</th>
+          </tr>
+        </thead>
+        <tbody>
+          {[...points].reverse().map(point => (
+            <tr key={point.scanId}>
+              <td>
+                {formatDate(point.runAt)}
+                {!point.comparable && <span className="metric-hint">Prompt set changed</span>}
+              </td>
+              <td>{formatMetric(point.visibility, '%')} <Delta value={point.delta?.visibility} unit=" pts" /></td>
+              <td>{formatMetric(point.mentionRate, '%')} <Delta value={point.delta?.mentionRate} unit=" pts" /></td>
+              <td>{formatMetric(point.citations)} <Delta value={point.delta?.citations} /></td>
+              <td>{formatMetric(point.seoWarnings)} <Delta value={point.delta?.seoWarnings} higherIsBetter={false} /></td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+export default function ScheduledScans({ token, isPremium }) {
+  const [schedules, setSchedules] = useState([]);
+  const [availableModels, setAvailableModels] = useState([]);
+  const [promptSets, setPromptSets] = useState([]);
+  const [form, setForm] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [openTrend, setOpenTrend] = useState(null);
+
+  const headers = { Authorization: `Bearer ${token}` };
+
+  useEffect(() => {
+    if (token && isPremium) {
+      fetchSchedules();
+    }
+  }, [token, isPremium]);
+
+  const fetchSchedules = async () => {
+    try {
+      const [scheduleResponse, promptSetResponse] = await Promise.all([
+        axios.get(`${API_URL}/api/schedules`, { headers }),
+        axios.get(`${API_URL}/api/prompt-sets`, { headers })
+      ]);
+      setSchedules(scheduleResponse.data.schedules);
+      setAvailableModels(scheduleResponse.data.availableModels || []);
+      setPromptSets(promptSetResponse.data.promptSets || []);
+    } catch (err) {
+      console.error('Failed to fetch schedules:', err);
+    }
+  };
+
+  const handleCreate = async () => {
+    setSaving(true);
+    setError(null);
+    try {
+      await axios.post(`${API_URL}/api/schedules`, {
+        url: form.url.trim(),
+        frequency: form.frequency,
+        ...(form.promptSetId && { promptSetId: form.promptSetId }),
+        models: form.models
+      }, { headers });
+      setForm(null);
+      fetchSchedules();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to create schedule');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const updateSchedule = async (schedule, changes) => {
+    try {
+      await axios.put(`${API_URL}/api/schedules/${schedule._id}`, changes, { headers });
+      fetchSchedules();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to update schedule');
+    }
+  };
+
+  const deleteSchedule = async (schedule) => {
+    if (!confirm(`Stop scanning ${schedule.url} and delete its trend?`)) {
+      return;
+    }
+    try {
+      await axios.delete(`${API_URL}/api/schedules/${schedule._id}`, { headers });
+      fetchSchedules();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to delete schedule');
+    }
+  };
+
+  const toggleModel = (model) => {
+    setForm({
+      ...form,
+      models: form.models.includes(model)
+        ? form.models.filter(item => item !== model)
+        : [...form.models, model]
+    });
+  };
+
+  if (!isPremium) {
+    return (
+      <div className="card scheduled-scans">
+        <h3><FiCalendar /> Scheduled Scans</h3>
+        <p className="form-hint">Upgrade to Premium to scan your site daily, weekly or monthly and track visibility trends.</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="card scheduled-scans">
+      <h3><FiCalendar /> Scheduled Scans</h3>
+      <p className="form-hint">Recurring scans use the same prompts and models every run, so changes in the trend are real changes. Each run counts toward your monthly scans.</p>
+
+      {schedules.map(schedule => (
+        <div key={schedule._id} className="schedule-item">
+          <div className="schedule-row">
+            <div>
+              <strong>{schedule.url}</strong>
+              <div className="metric-hint">
+                {schedule.frequency} · {schedule.enabled ? `next run ${formatDate(schedule.nextRunAt)}` : 'paused'}
+                {schedule.lastRunStatus && ` · last run ${schedule.lastRunStatus}`}
+                {schedule.lastError && `: ${schedule.lastError}`}
+                {schedule.models?.length > 0 && ` · ${schedule.models.join(', ')}`}
+              </div>
+            </div>
+            <div className="competitor-actions">
+              <button className="btn btn-secondary btn-sm" onClick={() => setOpenTrend(openTrend === schedule._id ? null : schedule._id)}>
+                <FiTrendingUp /> {openTrend === schedule._id ? 'Hide Trend' : 'Trend'}
+              </button>
+              <button
+                className="btn btn-secondary btn-sm"
+                onClick={() => updateSchedule(schedule, { enabled: !schedule.enabled })}
+                aria-label={schedule.enabled ? 'Pause schedule' : 'Resume schedule'}
+              >
+                {schedule.enabled ? <FiPause /> : <FiPlay />}
+              </button>
+              <button className="btn btn-secondary btn-sm" onClick={() => deleteSchedule(schedule)} aria-label="Delete schedule">
+                <FiTrash2 />
+              </button>
+            </div>
+          </div>
+          {openTrend === schedule._id && <ScheduleTrend scheduleId={schedule._id} token={token} />}
+        </div>
+      ))}
+
+      {form ? (
+        <div className="prompt-set-form">
+          <input
+            type="url"
+            placeholder="https://example.com"
+            value={form.url}
+            onChange={(e) => setForm({ ...form, url: e.target.value })}
+          />
+          <select value={form.frequency} onChange={(e) => setForm({ ...form, frequency: e.target.value })}>
+            <option value="daily">Daily</option>
+            <option value="weekly">Weekly</option>
+            <option value="monthly">Monthly</option>
+          </select>
+          <select value={form.promptSetId} onChange={(e) => setForm({ ...form, promptSetId: e.target.value })}>
+            <option value="">Prompts generated for this site</option>
+            {promptSets.map(promptSet => (
+              <option key={promptSet._id} value={promptSet._id}>{promptSet.name}</option>
+            ))}
+          </select>
+          {availableModels.length > 0 && (
+            <div className="schedule-models">
+              <span className="metric-label">Models (none selected: automatic)</span>
+              {availableModels.map(model => (
+                <label key={model} className="crawl-toggle">
+                  <input type="checkbox" checked={form.models.includes(model)} onChange={() => toggleModel(model)} />
+                  {model}
+                </label>
+              ))}
+            </div>
+          )}
+          <div className="competitor-actions">
+            <button className="btn btn-secondary btn-sm" onClick={() => setForm(null)}>Cancel</button>
+            <button className="btn btn-primary btn-sm" disabled={saving || !form.url} onClick={handleCreate}>
+              {saving ? 'Saving...' : 'Schedule Scan'}
+            </button>
+          </div>
+        </div>
+      ) : (
+        <div className="competitor-actions">
+          <button
+            className="btn btn-secondary btn-sm"
+            onClick={() => setForm({ url: '', frequency: 'weekly', promptSetId: '', models: [] })}
+          >
+            <FiPlus /> Schedule a Scan
+          </button>
+        </div>
+      )}
+
+      {error && <p className="form-hint text-error">{error}</p>}
+    </div>
+  );
+}
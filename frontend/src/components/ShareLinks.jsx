@@ -0,0 +1,134 @@
+import { useState, useEffect } from 'react';
+import axios from 'axios';
+import { FiCopy, FiTrash2 } from 'react-icons/fi';
+
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000';
+
+const formatDate = (date) => (date ? new Date(date).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' }) : 'never');
+
+/**
+ * Create and revoke read-only share links for one scan
+ */
+export default function ShareLinks({ scanId, token }) {
+  const [links, setLinks] = useState([]);
+  const [form, setForm] = useState({ label: '', expiresInDays: '30' });
+  const [created, setCreated] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const headers = { Authorization: `Bearer ${token}` };
+
+  useEffect(() => {
+    fetchLinks();
+  }, [scanId]);
+
+  const fetchLinks = async () => {
+    try {
+      const response = await axios.get(`${API_URL}/api/share/scans/${scanId}`, { headers });
+      setLinks(response.data.links);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to load share links');
+    }
+  };
+
+  const handleCreate = async () => {
+    setSaving(true);
+    setError(null);
+    try {
+      const response = await axios.post(`${API_URL}/api/share/scans/${scanId}`, {
+        ...(form.label.trim() && { label: form.label.trim() }),
+        expiresInDays: Number(form.expiresInDays)
+      }, { headers });
+      setCreated(response.data.link);
+      setForm({ label: '', expiresInDays: form.expiresInDays });
+      fetchLinks();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to create share link');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRevoke = async (link) => {
+    if (!confirm('Revoke this link? Anyone using it will lose access right away.')) {
+      return;
+    }
+    try {
+      await axios.delete(`${API_URL}/api/share/links/${link.id}`, { headers });
+      if (created?.id === link.id) setCreated(null);
+      fetchLinks();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to revoke share link');
+    }
+  };
+
+  return (
+    <div className="card share-links">
+      <h4>Share a read-only report</h4>
+      <p className="form-hint">Anyone with the link can view this scan's results without an account. Page text and integration data are not included.</p>
+
+      <div className="share-link-form">
+        <input
+          type="text"
+          placeholder="Label, e.g. Client name (optional)"
+          value={form.label}
+          maxLength={100}
+          onChange={(e) => setForm({ ...form, label: e.target.value })}
+        />
+        <select value={form.expiresInDays} onChange={(e) => setForm({ ...form, expiresInDays: e.target.value })}>
+          <option value="7">Expires in 7 days</option>
+          <option value="30">Expires in 30 days</option>
+          <option value="90">Expires in 90 days</option>
+          <option value="0">Never expires</option>
+        </select>
+        <button className="btn btn-primary btn-sm" disabled={saving} onClick={handleCreate}>
+          {saving ? 'Creating...' : 'Create Link'}
+        </button>
+      </div>
+
+      {created && (
+        <div className="share-link-created">
+          <input type="text" readOnly value={created.url} onFocus={(e) => e.target.select()} />
+          <button className="btn btn-secondary btn-sm" onClick={() => navigator.clipboard?.writeText(created.url)} aria-label="Copy link">
+            <FiCopy /> Copy
+          </button>
+          <p className="form-hint">Copy the link now. For security it can't be shown again.</p>
+        </div>
+      )}
+
+      {links.length > 0 && (
+        <table className="integration-table">
+          <thead>
+            <tr>
+              <th>Link</th>
+              <th>Expires</th>
+              <th>Views</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {links.map(link => (
+              <tr key={link.id}>
+                <td>
+                  {link.label || `Created ${formatDate(link.createdAt)}`}
+                  {!link.active && <span className="metric-hint">{link.revokedAt ? 'Revoked' : 'Expired'}</span>}
+                </td>
+                <td>{formatDate(link.expiresAt)}</td>
+                <td>{link.views}</td>
+                <td>
+                  {link.active && (
+                    <button className="btn btn-secondary btn-sm" onClick={() => handleRevoke(link)} aria-label="Revoke link">
+                      <FiTrash2 />
+                    </button>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      {error && <p className="form-hint text-error">{error}</p>}
+    </div>
+  );
+}
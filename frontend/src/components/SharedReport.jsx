@@ -0,0 +1,68 @@
+import { useState, useEffect } from 'react';
+import axios from 'axios';
+import { FiX } from 'react-icons/fi';
+import ResultsDisplay from './ResultsDisplay';
+
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000';
+
+/**
+ * Read-only report opened from a share link (no account needed)
+ */
+export default function SharedReport({ token, onClose }) {
+  const [shared, setShared] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    axios.get(`${API_URL}/api/share/report/${encodeURIComponent(token)}`)
+      .then(response => setShared(response.data))
+      .catch(err => setError(err.response?.data?.error || 'Failed to load the shared report'));
+  }, [token]);
+
+  return (
+    <div className="shared-report section">
+      <div className="container">
+        <div className="scan-history-header">
+          <div className="scan-history-header-content">
+            <div>
+              <h2>Shared Report</h2>
+              {shared && (
+                <p>
+                  {shared.label ? `${shared.label} · ` : ''}
+                  Read-only
+                  {shared.expiresAt && ` · link expires ${new Date(shared.expiresAt).toLocaleDateString()}`}
+                </p>
+              )}
+            </div>
+            <button className="btn-close-history" onClick={onClose} title="Close">
+              <FiX size={20} />
+            </button>
+          </div>
+        </div>
+
+        {error && (
+          <div className="error-banner">
+            <p>{error}</p>
+          </div>
+        )}
+        {!shared && !error && <p className="form-hint">Loading report...</p>}
+      </div>
+
+      {shared && (
+        <ResultsDisplay
+          data={{
+            url: shared.report.url,
+            analyzedAt: shared.report.createdAt,
+            seo: shared.report.seo,
+            llmVisibility: shared.report.llmVisibility,
+            crawl: shared.report.crawl,
+            recommendations: shared.report.recommendations,
+            warnings: shared.report.analysisWarnings,
+            isPremium: !!shared.report.llmVisibility?.isPremium,
+            isFreeUser: !shared.report.llmVisibility?.isPremium,
+            readOnly: true
+          }}
+        />
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,256 @@
+import { useState, useEffect } from 'react';
+import axios from 'axios';
+import { FiAlertCircle, FiLoader, FiTrash2 } from 'react-icons/fi';
+
+const ROLE_DESCRIPTIONS = {
+  owner: 'Everything, including renaming, deleting and handing over the team',
+  admin: 'Invites and removes analysts and viewers, manages integrations',
+  analyst: 'Runs scans, edits prompt sets, schedules and share links',
+  viewer: 'Reads the team\'s scans'
+};
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+
+export default function Team() {
+  const [team, setTeam] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [name, setName] = useState('');
+  const [code, setCode] = useState('');
+  const [invite, setInvite] = useState({ email: '', role: 'analyst' });
+
+  const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000';
+  const token = localStorage.getItem('auth_token');
+  const headers = { Authorization: `Bearer ${token}` };
+
+  useEffect(() => {
+    fetchTeam();
+  }, []);
+
+  const fetchTeam = async () => {
+    try {
+      const response = await axios.get(`${API_URL}/api/organizations`, { headers });
+      if (response.data.success) {
+        setTeam(response.data);
+        setName(response.data.organization?.name || '');
+      }
+    } catch (err) {
+      console.error('Error fetching team:', err);
+      setError('Failed to load your team');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Run a request, show its message and reload the team
+  const run = async (request, successText) => {
+    setSaving(true);
+    setMessage(null);
+    try {
+      const response = await request();
+      setMessage({ type: 'success', text: response.data.message || successText });
+      await fetchTeam();
+      return true;
+    } catch (err) {
+      setMessage({ type: 'error', text: err.response?.data?.error || 'Something went wrong' });
+      return false;
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleCreate = () => run(() => axios.post(`${API_URL}/api/organizations`, { name }, { headers }), 'Team created.');
+
+  const handleJoin = async () => {
+    if (await run(() => axios.post(`${API_URL}/api/organizations/join`, { code }, { headers }), 'You joined the team.')) {
+      setCode('');
+    }
+  };
+
+  const handleRename = () => run(() => axios.put(`${API_URL}/api/organizations`, { name }, { headers }), 'Team renamed.');
+
+  const handleInvite = async () => {
+    if (await run(() => axios.post(`${API_URL}/api/organizations/invites`, invite, { headers }), `Invite sent to ${invite.email}.`)) {
+      setInvite({ ...invite, email: '' });
+    }
+  };
+
+  const handleCancelInvite = (pending) => run(() => axios.delete(`${API_URL}/api/organizations/invites/${pending.id}`, { headers }));
+
+  const handleRoleChange = (member, role) => run(() => axios.put(`${API_URL}/api/organizations/members/${member.id}`, { role }, { headers }), `${member.email} is now ${role}.`);
+
+  const handleRemove = (member) => {
+    if (!confirm(`Remove ${member.email} from the team? They lose access to the team's scans.`)) return;
+    run(() => axios.delete(`${API_URL}/api/organizations/members/${member.id}`, { headers }));
+  };
+
+  const handleTransfer = (member) => {
+    if (!confirm(`Make ${member.email} the owner? The team will use their plan and you become an admin.`)) return;
+    run(() => axios.post(`${API_URL}/api/organizations/transfer`, { userId: member.id }, { headers }));
+  };
+
+  const handleLeave = () => {
+    if (!confirm('Leave this team? You lose access to its scans, prompt sets and integrations.')) return;
+    run(() => axios.post(`${API_URL}/api/organizations/leave`, {}, { headers }));
+  };
+
+  const handleDelete = () => {
+    if (!confirm('Delete this team? Scans, prompt sets and integrations go back to whoever created them.')) return;
+    run(() => axios.delete(`${API_URL}/api/organizations`, { headers }));
+  };
+
+  if (loading) {
+    return (
+      <div className="integrations-container">
+        <div className="loading-state">
+          <FiLoader className="spinner" />
+          <p>Loading team...</p>
+        </div>
+      </div>
+    );
+  }
+
+  if (!team) {
+    return (
+      <div className="integrations-container">
+        <div className="alert alert-error">
+          <FiAlertCircle />
+          <span>{error || 'Failed to load your team'}</span>
+        </div>
+      </div>
+    );
+  }
+
+  const statusMessage = message && <p className={`form-hint text-${message.type}`}>{message.text}</p>;
+
+  if (!team.organization) {
+    return (
+      <div className="integrations-container">
+        <div className="integrations-header">
+          <h2>Team</h2>
+          <p>Work with your team in one workspace: shared scans, prompt sets, integrations and one monthly scan pool on the owner's plan.</p>
+        </div>
+
+        <div className="account-card team-card">
+          <h4>Join a team</h4>
+          <p className="form-hint">Enter the code from your invite email.</p>
+          <div className="prompt-set-form">
+            <input type="text" inputMode="numeric" placeholder="6-digit code" maxLength={6} value={code} onChange={(e) => setCode(e.target.value)} />
+            <button className="btn btn-primary btn-sm" disabled={saving || code.length !== 6} onClick={handleJoin}>Join</button>
+          </div>
+        </div>
+
+        <div className="account-card team-card">
+          <h4>Create a team</h4>
+          <p className="form-hint">You become the owner and the team uses your plan. Your existing scans stay private.</p>
+          <div className="prompt-set-form">
+            <input type="text" placeholder="Team name" maxLength={100} value={name} onChange={(e) => setName(e.target.value)} />
+            <button className="btn btn-primary btn-sm" disabled={saving || !name.trim()} onClick={handleCreate}>Create Team</button>
+          </div>
+        </div>
+
+        {statusMessage}
+      </div>
+    );
+  }
+
+  const { organization, role, members, invites, permissions } = team;
+  const canManage = permissions.includes('members:manage');
+  const isOwner = role === 'owner';
+  // Admins manage analysts and viewers; the owner also manages admins
+  const assignableRoles = isOwner ? ['admin', 'analyst', 'viewer'] : ['analyst', 'viewer'];
+
+  return (
+    <div className="integrations-container">
+      <div className="integrations-header">
+        <h2>{organization.name}</h2>
+        <p>You are {role === 'admin' || role === 'analyst' ? 'an' : 'a'} {role}: {ROLE_DESCRIPTIONS[role].toLowerCase()}.</p>
+      </div>
+
+      {isOwner && (
+        <div className="account-card team-card">
+          <div className="prompt-set-form">
+            <input type="text" maxLength={100} value={name} onChange={(e) => setName(e.target.value)} aria-label="Team name" />
+            <button className="btn btn-secondary btn-sm" disabled={saving || !name.trim() || name === organization.name} onClick={handleRename}>Rename</button>
+          </div>
+        </div>
+      )}
+
+      <div className="account-card team-card">
+        <h4>Members ({members.length})</h4>
+        <table className="integration-table">
+          <thead>
+            <tr>
+              <th>Email</th>
+              <th>Role</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {members.map(member => {
+              const manageable = canManage && assignableRoles.includes(member.role);
+              return (
+                <tr key={member.id}>
+                  <td>{member.email}</td>
+                  <td>
+                    {manageable ? (
+                      <select value={member.role} disabled={saving} onChange={(e) => handleRoleChange(member, e.target.value)}>
+                        {assignableRoles.map(option => <option key={option} value={option}>{option}</option>)}
+                      </select>
+                    ) : member.role}
+                  </td>
+                  <td className="team-member-actions">
+                    {isOwner && member.role !== 'owner' && (
+                      <button className="btn btn-secondary btn-sm" disabled={saving} onClick={() => handleTransfer(member)}>Make Owner</button>
+                    )}
+                    {manageable && (
+                      <button className="btn btn-secondary btn-sm" disabled={saving} onClick={() => handleRemove(member)} aria-label="Remove member">
+                        <FiTrash2 />
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+
+      {canManage && (
+        <div className="account-card team-card">
+          <h4>Invite by email</h4>
+          <p className="form-hint">They get a code by email and enter it here after signing in with that address. Codes expire after 7 days.</p>
+          <div className="prompt-set-form">
+            <input type="email" placeholder="teammate@example.com" value={invite.email} onChange={(e) => setInvite({ ...invite, email: e.target.value })} />
+            <select value={invite.role} onChange={(e) => setInvite({ ...invite, role: e.target.value })}>
+              {assignableRoles.map(option => <option key={option} value={option}>{option}</option>)}
+            </select>
+            <button className="btn btn-primary btn-sm" disabled={saving || !invite.email.trim()} onClick={handleInvite}>Send Invite</button>
+          </div>
+          {invites.length > 0 && (
+            <ul className="team-invites">
+              {invites.map(pending => (
+                <li key={pending.id}>
+                  {pending.email} · {pending.role} · {pending.expired ? 'expired' : `expires ${formatDate(pending.expiresAt)}`}
+                  <button className="btn btn-secondary btn-sm" disabled={saving} onClick={() => handleCancelInvite(pending)}>Cancel</button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+
+      {statusMessage}
+
+      <div className="competitor-actions">
+        {isOwner ? (
+          <button className="btn btn-secondary btn-sm" disabled={saving} onClick={handleDelete}>Delete Team</button>
+        ) : (
+          <button className="btn btn-secondary btn-sm" disabled={saving} onClick={handleLeave}>Leave Team</button>
+        )}
+      </div>
+    </div>
+  );
+}
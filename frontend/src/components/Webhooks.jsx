@@ -0,0 +1,263 @@
+import { useState, useEffect } from 'react';
+import axios from 'axios';
+import { FiAlertCircle, FiLoader, FiCopy, FiRefreshCw, FiTrash2, FiList } from 'react-icons/fi';
+
+const formatDateTime = (date) => (date ? new Date(date).toLocaleString('en-US', { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' }) : '—');
+
+const EMPTY_FORM = { url: '', description: '', events: ['scan.completed', 'scan.failed'] };
+
+export default function Webhooks() {
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState(null);
+  // { url, secret } of an endpoint just created or rotated (only shown once)
+  const [revealed, setRevealed] = useState(null);
+  // Endpoint whose delivery log is open, and its deliveries
+  const [openEndpointId, setOpenEndpointId] = useState(null);
+  const [deliveries, setDeliveries] = useState([]);
+
+  const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000';
+  const token = localStorage.getItem('auth_token');
+  const headers = { Authorization: `Bearer ${token}` };
+
+  useEffect(() => {
+    fetchEndpoints();
+  }, []);
+
+  const fetchEndpoints = async () => {
+    try {
+      const response = await axios.get(`${API_URL}/api/webhooks`, { headers });
+      if (response.data.success) {
+        setData(response.data);
+      }
+    } catch (err) {
+      console.error('Error fetching webhooks:', err);
+      setError(err.response?.data?.error || 'Failed to load webhooks');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchDeliveries = async (endpointId) => {
+    try {
+      const response = await axios.get(`${API_URL}/api/webhooks/${endpointId}/deliveries`, { headers });
+      setDeliveries(response.data.deliveries || []);
+    } catch (err) {
+      setMessage({ type: 'error', text: err.response?.data?.error || 'Failed to load deliveries' });
+    }
+  };
+
+  const toggleEvent = (event) => {
+    setForm({
+      ...form,
+      events: form.events.includes(event) ? form.events.filter(item => item !== event) : [...form.events, event]
+    });
+  };
+
+  const handleCreate = async () => {
+    setSaving(true);
+    setMessage(null);
+    try {
+      const response = await axios.post(`${API_URL}/api/webhooks`, form, { headers });
+      setRevealed({ url: response.data.endpoint.url, secret: response.data.secret });
+      setForm(EMPTY_FORM);
+      fetchEndpoints();
+    } catch (err) {
+      setMessage({ type: 'error', text: err.response?.data?.error || 'Failed to create webhook' });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleToggleEnabled = async (endpoint) => {
+    try {
+      await axios.put(`${API_URL}/api/webhooks/${endpoint.id}`, { enabled: !endpoint.enabled }, { headers });
+      fetchEndpoints();
+    } catch (err) {
+      setMessage({ type: 'error', text: err.response?.data?.error || 'Failed to update webhook' });
+    }
+  };
+
+  const handleRotate = async (endpoint) => {
+    if (!confirm(`Rotate the signing secret for ${endpoint.url}? Deliveries are signed with the new secret right away.`)) return;
+    try {
+      const response = await axios.post(`${API_URL}/api/webhooks/${endpoint.id}/rotate-secret`, {}, { headers });
+      setRevealed({ url: endpoint.url, secret: response.data.secret });
+    } catch (err) {
+      setMessage({ type: 'error', text: err.response?.data?.error || 'Failed to rotate secret' });
+    }
+  };
+
+  const handleDelete = async (endpoint) => {
+    if (!confirm(`Delete the webhook for ${endpoint.url} and its delivery log?`)) return;
+    try {
+      await axios.delete(`${API_URL}/api/webhooks/${endpoint.id}`, { headers });
+      if (openEndpointId === endpoint.id) setOpenEndpointId(null);
+      fetchEndpoints();
+    } catch (err) {
+      setMessage({ type: 'error', text: err.response?.data?.error || 'Failed to delete webhook' });
+    }
+  };
+
+  const handleToggleLog = (endpoint) => {
+    if (openEndpointId === endpoint.id) {
+      setOpenEndpointId(null);
+      return;
+    }
+    setOpenEndpointId(endpoint.id);
+    setDeliveries([]);
+    fetchDeliveries(endpoint.id);
+  };
+
+  const handleRedeliver = async (delivery) => {
+    try {
+      await axios.post(`${API_URL}/api/webhooks/${openEndpointId}/deliveries/${delivery.id}/redeliver`, {}, { headers });
+      fetchDeliveries(openEndpointId);
+      fetchEndpoints();
+    } catch (err) {
+      setMessage({ type: 'error', text: err.response?.data?.error || 'Failed to redeliver' });
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="integrations-container">
+        <div className="loading-state">
+          <FiLoader className="spinner" />
+          <p>Loading webhooks...</p>
+        </div>
+      </div>
+    );
+  }
+
+  if (!data) {
+    return (
+      <div className="integrations-container">
+        <div className="alert alert-error">
+          <FiAlertCircle />
+          <span>{error || 'Failed to load webhooks'}</span>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="integrations-container">
+      <div className="integrations-header">
+        <h2>Webhooks</h2>
+        <p>Get signed JSON events when scans run, when alert rules fire and when integrations need attention. Check the <code>X-OptiSense-Signature</code> header with your signing secret.</p>
+      </div>
+
+      {revealed && (
+        <div className="account-card share-link-created">
+          <input type="text" readOnly value={revealed.secret} onFocus={(e) => e.target.select()} aria-label={`Signing secret for ${revealed.url}`} />
+          <button className="btn btn-secondary btn-sm" onClick={() => navigator.clipboard?.writeText(revealed.secret)} aria-label="Copy secret">
+            <FiCopy /> Copy
+          </button>
+          <p className="form-hint">Copy the signing secret for {revealed.url} now. It can't be shown again.</p>
+        </div>
+      )}
+
+      <div className="account-card team-card">
+        <h4>New webhook</h4>
+        <div className="prompt-set-form">
+          <input type="url" placeholder="https://hooks.example.com/optisense" value={form.url} onChange={(e) => setForm({ ...form, url: e.target.value })} />
+          <input type="text" placeholder="Description (optional)" maxLength={200} value={form.description} onChange={(e) => setForm({ ...form, description: e.target.value })} />
+        </div>
+        <div className="webhook-events">
+          {Object.entries(data.events).map(([event, description]) => (
+            <label key={event} className="crawl-toggle" title={description}>
+              <input type="checkbox" checked={form.events.includes(event)} onChange={() => toggleEvent(event)} />
+              {event}
+            </label>
+          ))}
+        </div>
+        <div className="competitor-actions">
+          <button
+            className="btn btn-primary btn-sm"
+            disabled={saving || !form.url.trim() || form.events.length === 0}
+            onClick={handleCreate}
+          >
+            {saving ? 'Creating...' : 'Add Webhook'}
+          </button>
+        </div>
+        {message && <p className={`form-hint text-${message.type}`}>{message.text}</p>}
+      </div>
+
+      {data.endpoints.length === 0 ? (
+        <p className="form-hint">No webhooks yet.</p>
+      ) : (
+        data.endpoints.map(endpoint => (
+          <div key={endpoint.id} className="account-card team-card">
+            <div className="webhook-endpoint-header">
+              <div>
+                <h4>{endpoint.url}</h4>
+                <p className="metric-hint">
+                  {endpoint.description && `${endpoint.description} · `}
+                  {endpoint.events.join(', ')}
+                  {endpoint.lastDeliveryStatus && ` · last delivery ${endpoint.lastDeliveryStatus} ${formatDateTime(endpoint.lastDeliveryAt)}`}
+                </p>
+              </div>
+              <div className="team-member-actions">
+                <label className="crawl-toggle">
+                  <input type="checkbox" checked={endpoint.enabled} onChange={() => handleToggleEnabled(endpoint)} />
+                  Enabled
+                </label>
+                <button className="btn btn-secondary btn-sm" onClick={() => handleToggleLog(endpoint)} aria-label="Delivery log">
+                  <FiList />
+                </button>
+                <button className="btn btn-secondary btn-sm" onClick={() => handleRotate(endpoint)} aria-label="Rotate secret">
+                  <FiRefreshCw />
+                </button>
+                <button className="btn btn-secondary btn-sm" onClick={() => handleDelete(endpoint)} aria-label="Delete webhook">
+                  <FiTrash2 />
+                </button>
+              </div>
+            </div>
+
+            {openEndpointId === endpoint.id && (
+              deliveries.length === 0 ? (
+                <p className="form-hint">No deliveries in the last 30 days.</p>
+              ) : (
+                <table className="integration-table">
+                  <thead>
+                    <tr>
+                      <th>Event</th>
+                      <th>Status</th>
+                      <th>Attempts</th>
+                      <th>Last attempt</th>
+                      <th></th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {deliveries.map(delivery => (
+                      <tr key={delivery.id}>
+                        <td>
+                          {delivery.event}
+                          {delivery.redeliveryOf && <div className="metric-hint">redelivery</div>}
+                        </td>
+                        <td className={delivery.status === 'succeeded' ? 'text-success' : delivery.status === 'failed' ? 'text-error' : ''}>
+                          {delivery.status}
+                          {delivery.error && <div className="metric-hint">{delivery.error}</div>}
+                          {delivery.status === 'pending' && <div className="metric-hint">retry {formatDateTime(delivery.nextAttemptAt)}</div>}
+                        </td>
+                        <td>{delivery.attempts}</td>
+                        <td>{formatDateTime(delivery.lastAttemptAt)}</td>
+                        <td>
+                          <button className="btn btn-secondary btn-sm" onClick={() => handleRedeliver(delivery)}>Redeliver</button>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )
+            )}
+          </div>
+        ))
+      )}
+    </div>
+  );
+}